@@ -0,0 +1,75 @@
+-- AI Usage Ledger Migration
+-- Records every Claude call made through the backend proxy (tokens, model,
+-- route, prompt profile, cost) so we can report usage per user and per
+-- feature and enforce SUBSCRIPTION tier limits.
+--
+-- Rows are written by the backend with the service role key
+-- (SUPABASE_SERVICE_ROLE_KEY). Users can read their own rows.
+
+-- 1. Ledger table
+CREATE TABLE IF NOT EXISTS ai_usage_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- NULL for guests
+  route VARCHAR(50) NOT NULL,            -- claude, claude-stream, claude-generate, optimize-goals
+  feature VARCHAR(100) NOT NULL,         -- prompt profile id, e.g. luna-planner
+  profile_version VARCHAR(20),
+  provider VARCHAR(30) NOT NULL,         -- anthropic, mock
+  model VARCHAR(100) NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_user_created
+  ON ai_usage_events (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_created
+  ON ai_usage_events (created_at DESC);
+
+-- 2. RLS: read own usage, no client writes
+ALTER TABLE ai_usage_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own AI usage" ON ai_usage_events;
+CREATE POLICY "Users can view own AI usage"
+  ON ai_usage_events FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- 3. Aggregated usage for the admin endpoint and quota checks
+-- Pass p_user_id to summarize one user, NULL for everyone
+CREATE OR REPLACE FUNCTION get_ai_usage_summary(
+  p_since TIMESTAMPTZ,
+  p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  user_id UUID,
+  feature VARCHAR(100),
+  route VARCHAR(50),
+  model VARCHAR(100),
+  calls BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT
+    e.user_id,
+    e.feature,
+    e.route,
+    e.model,
+    COUNT(*) AS calls,
+    COALESCE(SUM(e.input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(e.output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(e.cost_usd), 0) AS cost_usd
+  FROM ai_usage_events e
+  WHERE e.created_at >= p_since
+    AND (p_user_id IS NULL OR e.user_id = p_user_id)
+  GROUP BY e.user_id, e.feature, e.route, e.model
+  ORDER BY cost_usd DESC;
+$$;
+
+-- Only the backend (service role) may aggregate across users
+REVOKE EXECUTE ON FUNCTION get_ai_usage_summary(TIMESTAMPTZ, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_ai_usage_summary(TIMESTAMPTZ, UUID) TO service_role;
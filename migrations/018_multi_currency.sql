@@ -0,0 +1,184 @@
+-- Multi-Currency Migration
+-- Roadmaps, milestones and expenses each record the ISO 4217 currency their
+-- amounts are in, and every user has a default currency on their profile.
+--
+-- Conversion happens in the app (src/utils/currency.js) with the exchange
+-- rates the user keeps in Settings; the database never converts.
+-- Existing rows were entered in euros and default to EUR.
+
+-- 1. Currency columns
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS default_currency CHAR(3) NOT NULL DEFAULT 'EUR'
+  CHECK (default_currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE roadmaps
+ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'EUR'
+  CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE milestones
+ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'EUR'
+  CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'EUR'
+  CHECK (currency ~ '^[A-Z]{3}$');
+
+-- 2. Pocket validation in the milestone's currency
+-- Replaces the 015 version, whose messages hardcoded '$'. Pocket targets are
+-- in the milestone's currency; only expenses in that currency count here.
+-- The app converts other currencies before calling this (validatePocketContribution).
+CREATE OR REPLACE FUNCTION validate_pocket_contribution(
+  p_milestone_id UUID,
+  p_category VARCHAR(50),
+  p_amount DECIMAL(10,2)
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_pocket_target DECIMAL(10,2);
+  v_current_total DECIMAL(10,2);
+  v_remaining DECIMAL(10,2);
+  v_pockets JSONB;
+  v_currency CHAR(3);
+BEGIN
+  SELECT budget_pockets, currency INTO v_pockets, v_currency
+  FROM milestones
+  WHERE id = p_milestone_id;
+
+  IF v_pockets IS NULL OR v_pockets = '{}'::jsonb THEN
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'remaining', NULL,
+      'currency', v_currency,
+      'message', 'No pocket constraints defined'
+    );
+  END IF;
+
+  v_pocket_target := (v_pockets -> p_category ->> 'target')::DECIMAL(10,2);
+
+  IF v_pocket_target IS NULL THEN
+    RETURN jsonb_build_object(
+      'allowed', true,
+      'remaining', NULL,
+      'currency', v_currency,
+      'message', 'Pocket not in constraints'
+    );
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_current_total
+  FROM expenses
+  WHERE milestone_id = p_milestone_id
+    AND category = p_category
+    AND currency = v_currency
+    AND status != 'cancelled';
+
+  v_remaining := v_pocket_target - v_current_total;
+
+  IF p_amount > v_remaining THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'remaining', v_remaining,
+      'currency', v_currency,
+      'message', format('Contribution of %s %s would exceed pocket target. Only %s %s remaining.',
+        p_amount, v_currency, v_remaining, v_currency)
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'remaining', v_remaining - p_amount,
+    'currency', v_currency,
+    'message', 'OK'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 3. Pocket status counts expenses in the milestone's currency
+CREATE OR REPLACE FUNCTION get_pocket_status(p_milestone_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_pockets JSONB;
+  v_currency CHAR(3);
+  v_result JSONB := '{}'::jsonb;
+  v_pocket_name TEXT;
+  v_pocket_target DECIMAL(10,2);
+  v_contributed DECIMAL(10,2);
+BEGIN
+  SELECT budget_pockets, currency INTO v_pockets, v_currency
+  FROM milestones
+  WHERE id = p_milestone_id;
+
+  IF v_pockets IS NULL OR v_pockets = '{}'::jsonb THEN
+    RETURN '{}'::jsonb;
+  END IF;
+
+  FOR v_pocket_name IN SELECT jsonb_object_keys(v_pockets)
+  LOOP
+    v_pocket_target := (v_pockets -> v_pocket_name ->> 'target')::DECIMAL(10,2);
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_contributed
+    FROM expenses
+    WHERE milestone_id = p_milestone_id
+      AND category = v_pocket_name
+      AND currency = v_currency
+      AND status != 'cancelled';
+
+    v_result := v_result || jsonb_build_object(
+      v_pocket_name, jsonb_build_object(
+        'target', v_pocket_target,
+        'contributed', v_contributed,
+        'remaining', GREATEST(v_pocket_target - v_contributed, 0),
+        'currency', v_currency,
+        'isFunded', v_contributed >= v_pocket_target,
+        'percentFunded', CASE
+          WHEN v_pocket_target > 0 THEN ROUND((v_contributed / v_pocket_target) * 100, 1)
+          ELSE 0
+        END
+      )
+    );
+  END LOOP;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 4. The trigger can only compare like with like: expenses in another
+-- currency than their milestone are checked by the app after conversion
+CREATE OR REPLACE FUNCTION enforce_pocket_limit()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_validation JSONB;
+  v_currency CHAR(3);
+BEGIN
+  IF NEW.status = 'cancelled' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT currency INTO v_currency FROM milestones WHERE id = NEW.milestone_id;
+  IF v_currency IS NOT NULL AND NEW.currency IS DISTINCT FROM v_currency THEN
+    RETURN NEW;
+  END IF;
+
+  v_validation := validate_pocket_contribution(NEW.milestone_id, NEW.category, NEW.amount);
+
+  IF NOT (v_validation ->> 'allowed')::boolean THEN
+    RAISE EXCEPTION 'Pocket overfunding prevented: %', v_validation ->> 'message';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_pocket_limit_update ON expenses;
+CREATE TRIGGER check_pocket_limit_update
+  BEFORE UPDATE ON expenses
+  FOR EACH ROW
+  WHEN (OLD.amount IS DISTINCT FROM NEW.amount
+    OR OLD.category IS DISTINCT FROM NEW.category
+    OR OLD.currency IS DISTINCT FROM NEW.currency)
+  EXECUTE FUNCTION enforce_pocket_limit();
+
+-- 5. Comments
+COMMENT ON COLUMN profiles.default_currency IS 'ISO 4217 currency for new dreams and expenses';
+COMMENT ON COLUMN roadmaps.currency IS 'ISO 4217 currency budget summaries for this roadmap are shown in';
+COMMENT ON COLUMN milestones.currency IS 'ISO 4217 currency of budget_amount and budget_pockets targets';
+COMMENT ON COLUMN expenses.currency IS 'ISO 4217 currency of amount';
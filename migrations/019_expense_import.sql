@@ -0,0 +1,16 @@
+-- Expense Import Migration
+-- Expenses created from a bank statement keep the bank's transaction id
+-- (OFX FITID, CAMT.053 AcctSvcrRef) so importing the same statement twice
+-- doesn't record the same payment twice.
+
+-- 1. Bank reference column
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS import_reference TEXT;
+
+-- 2. One expense per bank transaction per milestone
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_milestone_import_reference
+  ON expenses (milestone_id, import_reference)
+  WHERE import_reference IS NOT NULL;
+
+-- 3. Comments
+COMMENT ON COLUMN expenses.import_reference IS 'Bank transaction id the expense was imported from (NULL for manual entries)';
@@ -0,0 +1,99 @@
+-- Recurring Expenses Migration
+-- Recurrence rules for payments that repeat (mortgage, venue instalments) and
+-- scheduled savings contributions into budget pockets.
+--
+-- The app turns each rule into ordinary expense rows, one per occurrence
+-- (generateRecurringExpenseInstances in supabaseService), so budget totals,
+-- pocket checks and upcoming/overdue lists treat them like any other expense.
+
+-- 1. Rules
+CREATE TABLE IF NOT EXISTS public.recurring_expenses (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  roadmap_id UUID REFERENCES public.roadmaps(id) ON DELETE CASCADE NOT NULL,
+  milestone_id UUID REFERENCES public.milestones(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+
+  -- What each occurrence records
+  kind TEXT NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'savings')),
+  description TEXT NOT NULL CHECK (length(description) <= 200),
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  currency CHAR(3) NOT NULL DEFAULT 'EUR' CHECK (currency ~ '^[A-Z]{3}$'),
+  category TEXT CHECK (length(category) <= 100),
+  payment_method TEXT CHECK (length(payment_method) <= 50),
+  paid_by_name TEXT,
+  paid_by_user_id UUID REFERENCES auth.users(id),
+
+  -- When: every `interval` months or weeks from start_date, until end_date
+  -- or for `installments` occurrences (both optional)
+  frequency TEXT NOT NULL CHECK (frequency IN ('monthly', 'weekly')),
+  interval INTEGER NOT NULL DEFAULT 1 CHECK (interval BETWEEN 1 AND 52),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  installments INTEGER CHECK (installments > 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Generation progress: occurrences up to last_generated_date have been
+  -- dealt with (created, or skipped because the pocket was full) and are
+  -- never generated again, so deleting one keeps it deleted
+  last_generated_date DATE,
+  skipped_dates DATE[] NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+ALTER TABLE public.recurring_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR SELECT
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE POLICY "Users can insert recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR INSERT
+  WITH CHECK (user_can_access_roadmap(roadmap_id) AND user_id = auth.uid());
+
+CREATE POLICY "Users can update recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR UPDATE
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE POLICY "Users can delete recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR DELETE
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_roadmap
+  ON public.recurring_expenses (roadmap_id) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_milestone
+  ON public.recurring_expenses (milestone_id) WHERE active;
+
+DROP TRIGGER IF EXISTS set_updated_at_recurring_expenses ON public.recurring_expenses;
+CREATE TRIGGER set_updated_at_recurring_expenses
+  BEFORE UPDATE ON public.recurring_expenses
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- 2. Generated occurrences link back to their rule
+-- Deleting a rule keeps the expenses it already created
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS recurring_expense_id UUID REFERENCES public.recurring_expenses(id) ON DELETE SET NULL;
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+-- Savings occurrences fund their pocket but aren't spending
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'expense' CHECK (kind IN ('expense', 'savings'));
+
+-- One expense per rule per occurrence, so generating twice is harmless
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_occurrence
+  ON expenses (recurring_expense_id, occurrence_date)
+  WHERE recurring_expense_id IS NOT NULL;
+
+-- 3. Comments
+COMMENT ON TABLE public.recurring_expenses IS 'Recurrence rules that generate expense rows (payments and scheduled savings)';
+COMMENT ON COLUMN public.recurring_expenses.kind IS 'expense = a bill to pay; savings = a scheduled contribution into a budget pocket';
+COMMENT ON COLUMN public.recurring_expenses.last_generated_date IS 'Latest occurrence date already generated or skipped; generation resumes the day after';
+COMMENT ON COLUMN public.recurring_expenses.skipped_dates IS 'Occurrences not generated because they would have overfilled the pocket';
+COMMENT ON COLUMN expenses.kind IS 'Copied from the rule: savings rows count towards pockets, not expense totals';
+COMMENT ON COLUMN expenses.recurring_expense_id IS 'Rule this expense was generated from (NULL for one-off expenses)';
+COMMENT ON COLUMN expenses.occurrence_date IS 'Scheduled date of this occurrence of the rule';
@@ -0,0 +1,179 @@
+-- Comments Migration
+-- Threaded discussion on tasks, expenses and milestones, with @partner mentions.
+--
+-- Every comment carries its milestone_id so one realtime channel per milestone
+-- (subscribeToComments in supabaseService) covers the milestone itself and
+-- all of its tasks and expenses.
+
+-- 1. Comments
+CREATE TABLE IF NOT EXISTS public.comments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  roadmap_id UUID REFERENCES public.roadmaps(id) ON DELETE CASCADE NOT NULL,
+  milestone_id UUID REFERENCES public.milestones(id) ON DELETE CASCADE NOT NULL,
+
+  -- What the comment is about
+  target_type TEXT NOT NULL CHECK (target_type IN ('task', 'expense', 'milestone')),
+  target_id UUID NOT NULL,
+
+  -- Replies point at the top-level comment of their thread
+  parent_id UUID REFERENCES public.comments(id) ON DELETE CASCADE,
+
+  author_id UUID REFERENCES auth.users(id) NOT NULL,
+  author_name TEXT,
+  body TEXT NOT NULL CHECK (length(body) BETWEEN 1 AND 4000),
+  mentions UUID[] NOT NULL DEFAULT '{}',
+
+  edited_at TIMESTAMPTZ,
+  -- Deleted comments stay as placeholders so their replies keep a thread
+  deleted_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.comments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view comments in their roadmaps"
+  ON public.comments FOR SELECT
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE POLICY "Users can comment in their roadmaps"
+  ON public.comments FOR INSERT
+  WITH CHECK (user_can_access_roadmap(roadmap_id) AND author_id = auth.uid());
+
+CREATE POLICY "Users can update their own comments"
+  ON public.comments FOR UPDATE
+  USING (author_id = auth.uid());
+
+CREATE INDEX IF NOT EXISTS idx_comments_target
+  ON public.comments (target_type, target_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_milestone
+  ON public.comments (milestone_id, created_at);
+
+DROP TRIGGER IF EXISTS set_updated_at_comments ON public.comments;
+CREATE TRIGGER set_updated_at_comments
+  BEFORE UPDATE ON public.comments
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- Realtime: new comments and edits reach the other partner live
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'comments'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.comments;
+  END IF;
+END $$;
+
+-- 2. Read markers (one per user per commented item)
+CREATE TABLE IF NOT EXISTS public.comment_reads (
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('task', 'expense', 'milestone')),
+  target_id UUID NOT NULL,
+  last_read_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, target_type, target_id)
+);
+
+ALTER TABLE public.comment_reads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own comment read markers"
+  ON public.comment_reads FOR ALL
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+-- 3. Unread counts for the current user, per commented item in a milestone
+CREATE OR REPLACE FUNCTION get_unread_comment_counts(p_milestone_id UUID)
+RETURNS TABLE (target_type TEXT, target_id UUID, unread INTEGER) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT c.target_type, c.target_id, COUNT(*)::INTEGER
+  FROM public.comments c
+  LEFT JOIN public.comment_reads r
+    ON r.user_id = auth.uid()
+   AND r.target_type = c.target_type
+   AND r.target_id = c.target_id
+  WHERE c.milestone_id = p_milestone_id
+    AND c.author_id != auth.uid()
+    AND c.deleted_at IS NULL
+    AND (r.last_read_at IS NULL OR c.created_at > r.last_read_at)
+    AND user_can_access_roadmap(c.roadmap_id)
+  GROUP BY c.target_type, c.target_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 4. Notify the partner and anyone mentioned
+CREATE OR REPLACE FUNCTION notify_comment_added()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_partner_id UUID;
+  v_recipient UUID;
+  v_data JSONB;
+BEGIN
+  SELECT CASE
+    WHEN r.user_id = NEW.author_id THEN r.partner_id
+    ELSE r.user_id
+  END INTO v_partner_id
+  FROM public.roadmaps r WHERE r.id = NEW.roadmap_id;
+
+  v_data := jsonb_build_object(
+    'comment_id', NEW.id,
+    'target_type', NEW.target_type,
+    'target_id', NEW.target_id,
+    'parent_id', NEW.parent_id
+  );
+  IF NEW.target_type = 'task' THEN
+    v_data := v_data || jsonb_build_object('task_id', NEW.target_id);
+  END IF;
+
+  -- Mentioned users get a 'mention' instead of a plain comment notification
+  FOREACH v_recipient IN ARRAY NEW.mentions LOOP
+    IF v_recipient != NEW.author_id THEN
+      PERFORM create_notification(
+        v_recipient,
+        'mention',
+        format('%s mentioned you', COALESCE(NEW.author_name, 'Your partner')),
+        left(NEW.body, 140),
+        NEW.roadmap_id,
+        NEW.milestone_id,
+        NEW.author_id,
+        NEW.author_name,
+        v_data
+      );
+    END IF;
+  END LOOP;
+
+  IF v_partner_id IS NOT NULL
+     AND v_partner_id != NEW.author_id
+     AND NOT (v_partner_id = ANY (NEW.mentions)) THEN
+    PERFORM create_notification(
+      v_partner_id,
+      'comment_added',
+      CASE WHEN NEW.parent_id IS NULL
+        THEN format('%s left a comment', COALESCE(NEW.author_name, 'Your partner'))
+        ELSE format('%s replied', COALESCE(NEW.author_name, 'Your partner'))
+      END,
+      left(NEW.body, 140),
+      NEW.roadmap_id,
+      NEW.milestone_id,
+      NEW.author_id,
+      NEW.author_name,
+      v_data
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_notify_comment_added ON public.comments;
+CREATE TRIGGER trigger_notify_comment_added
+  AFTER INSERT ON public.comments
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_comment_added();
+
+-- 5. Comments
+COMMENT ON TABLE public.comments IS 'Threaded comments on tasks, expenses and milestones';
+COMMENT ON COLUMN public.comments.parent_id IS 'Top-level comment this is a reply to (NULL for a new thread)';
+COMMENT ON COLUMN public.comments.mentions IS 'User ids @mentioned in the body; each gets a mention notification';
+COMMENT ON TABLE public.comment_reads IS 'When each user last read the comments on an item, for unread badges';
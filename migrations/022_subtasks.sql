@@ -0,0 +1,61 @@
+-- Subtasks Migration
+-- Checklist items inside a task. A subtask is an ordinary tasks row with
+-- parent_task_id set, so it keeps its own assignee, due date and completion
+-- state (and the existing assignment/completion notifications).
+--
+-- Nesting is one level deep. Subtasks take no roadmap phase of their own;
+-- their progress rolls up through the parent (calculateRoadmapProgress and
+-- getPhaseProgress in the app).
+
+-- 1. Parent link
+ALTER TABLE public.tasks
+ADD COLUMN IF NOT EXISTS parent_task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_parent ON public.tasks(parent_task_id)
+  WHERE parent_task_id IS NOT NULL;
+
+-- 2. Parent must be a top-level task in the same milestone
+CREATE OR REPLACE FUNCTION check_subtask_parent()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_parent RECORD;
+BEGIN
+  IF NEW.parent_task_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.parent_task_id = NEW.id THEN
+    RAISE EXCEPTION 'A task cannot be its own subtask';
+  END IF;
+
+  SELECT milestone_id, parent_task_id INTO v_parent
+  FROM public.tasks WHERE id = NEW.parent_task_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Parent task % does not exist', NEW.parent_task_id;
+  END IF;
+
+  IF v_parent.parent_task_id IS NOT NULL THEN
+    RAISE EXCEPTION 'Subtasks cannot have subtasks of their own';
+  END IF;
+
+  IF v_parent.milestone_id IS DISTINCT FROM NEW.milestone_id THEN
+    RAISE EXCEPTION 'A subtask must belong to the same milestone as its parent';
+  END IF;
+
+  -- Progress comes from the parent's phase
+  NEW.roadmap_phase_index := NULL;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_check_subtask_parent ON public.tasks;
+CREATE TRIGGER trigger_check_subtask_parent
+  BEFORE INSERT OR UPDATE OF parent_task_id, milestone_id ON public.tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION check_subtask_parent();
+
+-- 3. Comments
+COMMENT ON COLUMN public.tasks.parent_task_id IS
+'Task this is a subtask (checklist item) of. NULL for top-level tasks.';
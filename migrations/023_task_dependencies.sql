@@ -0,0 +1,84 @@
+-- Task Dependencies Migration
+-- Finish-to-start links inside a milestone: a task or roadmap phase can't
+-- start until its predecessor (another task or phase) is done.
+--
+-- Phases live in milestones.deep_dive_data.roadmapPhases, so they are
+-- referenced by index, the same way tasks.roadmap_phase_index does.
+-- Loops (including through the phase order) are rejected by the app before
+-- insert; see findDependencyCycle in src/utils/taskDependencies.js.
+
+-- 1. Dependencies
+CREATE TABLE IF NOT EXISTS public.task_dependencies (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  roadmap_id UUID REFERENCES public.roadmaps(id) ON DELETE CASCADE NOT NULL,
+  milestone_id UUID REFERENCES public.milestones(id) ON DELETE CASCADE NOT NULL,
+
+  -- What has to finish first: exactly one of task / phase
+  predecessor_task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE,
+  predecessor_phase_index INTEGER CHECK (predecessor_phase_index >= 0),
+
+  -- What waits on it: exactly one of task / phase
+  successor_task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE,
+  successor_phase_index INTEGER CHECK (successor_phase_index >= 0),
+
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (num_nonnulls(predecessor_task_id, predecessor_phase_index) = 1),
+  CHECK (num_nonnulls(successor_task_id, successor_phase_index) = 1),
+  CHECK (predecessor_task_id IS DISTINCT FROM successor_task_id
+         OR predecessor_task_id IS NULL),
+  CHECK (predecessor_phase_index IS DISTINCT FROM successor_phase_index
+         OR predecessor_phase_index IS NULL)
+);
+
+ALTER TABLE public.task_dependencies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view task dependencies in their roadmaps"
+  ON public.task_dependencies FOR SELECT
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE POLICY "Users can add task dependencies in their roadmaps"
+  ON public.task_dependencies FOR INSERT
+  WITH CHECK (user_can_access_roadmap(roadmap_id));
+
+CREATE POLICY "Users can remove task dependencies in their roadmaps"
+  ON public.task_dependencies FOR DELETE
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_milestone
+  ON public.task_dependencies (milestone_id);
+
+-- One link per pair
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_dependencies_unique
+  ON public.task_dependencies (
+    milestone_id,
+    COALESCE(predecessor_task_id::TEXT, 'phase:' || predecessor_phase_index),
+    COALESCE(successor_task_id::TEXT, 'phase:' || successor_phase_index)
+  );
+
+-- 2. Linked tasks must be top-level tasks of the same milestone
+CREATE OR REPLACE FUNCTION check_task_dependency()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM public.tasks
+    WHERE id IN (NEW.predecessor_task_id, NEW.successor_task_id)
+      AND (milestone_id IS DISTINCT FROM NEW.milestone_id OR parent_task_id IS NOT NULL)
+  ) THEN
+    RAISE EXCEPTION 'Dependencies can only link top-level tasks of the same milestone';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_check_task_dependency ON public.task_dependencies;
+CREATE TRIGGER trigger_check_task_dependency
+  BEFORE INSERT OR UPDATE ON public.task_dependencies
+  FOR EACH ROW
+  EXECUTE FUNCTION check_task_dependency();
+
+-- 3. Comments
+COMMENT ON TABLE public.task_dependencies IS
+'Finish-to-start dependencies between tasks and roadmap phases of a milestone.';
@@ -0,0 +1,206 @@
+-- Calendar Feeds Migration
+-- Per-user ICS subscription feed of task due dates, upcoming expense payments
+-- and milestone target dates, served by the backend at
+-- /api/calendar/feed/<token>.ics (server/calendar).
+--
+-- The feed URL is the only credential a calendar app can send, so the token
+-- is long and random, only its SHA-256 hash is stored, and it is shown to
+-- the user once when created. Creating a new one revokes the old URL.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- 1. Feed tokens (one per user)
+CREATE TABLE IF NOT EXISTS public.calendar_feeds (
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_accessed_at TIMESTAMPTZ
+);
+
+ALTER TABLE public.calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+-- Users can see and revoke their feed; tokens are only issued through
+-- create_calendar_feed_token()
+CREATE POLICY "Users can view their calendar feed"
+  ON public.calendar_feeds FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can revoke their calendar feed"
+  ON public.calendar_feeds FOR DELETE
+  USING (user_id = auth.uid());
+
+-- 2. Issue (or replace) the current user's feed token
+CREATE OR REPLACE FUNCTION create_calendar_feed_token()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_token TEXT;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- 32 random bytes, URL safe
+  v_token := translate(encode(gen_random_bytes(32), 'base64'), '+/=', '-_');
+
+  INSERT INTO public.calendar_feeds (user_id, token_hash, created_at, last_accessed_at)
+  VALUES (auth.uid(), encode(digest(v_token, 'sha256'), 'hex'), NOW(), NULL)
+  ON CONFLICT (user_id) DO UPDATE
+    SET token_hash = EXCLUDED.token_hash,
+        created_at = EXCLUDED.created_at,
+        last_accessed_at = NULL;
+
+  RETURN v_token;
+END;
+$$;
+
+-- 3. Calendar entries visible to a user
+-- Open tasks with a due date assigned to them or to both partners, pending
+-- expenses due in the next p_days_ahead days (the getUpcomingExpenses window)
+-- and open milestone target dates, across every dream they can access.
+CREATE OR REPLACE FUNCTION calendar_events_for_user(
+  p_user_id UUID,
+  p_milestone_id UUID DEFAULT NULL,
+  p_days_ahead INTEGER DEFAULT 30
+)
+RETURNS JSON
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+SET search_path = public
+AS $$
+  WITH accessible AS (
+    -- user_can_access_roadmap() for a given user rather than auth.uid()
+    SELECT r.id, r.title
+    FROM public.roadmaps r
+    WHERE r.user_id = p_user_id
+       OR r.partner_id = p_user_id
+       OR (
+         r.visible_to_partner = TRUE
+         AND EXISTS (
+           SELECT 1 FROM public.partnerships p
+           WHERE p.status = 'active'
+             AND (
+               (p.inviter_id = p_user_id AND p.invitee_id = r.user_id)
+               OR (p.invitee_id = p_user_id AND p.inviter_id = r.user_id)
+             )
+         )
+       )
+  ),
+  scoped_milestones AS (
+    SELECT m.*, a.title AS roadmap_title
+    FROM public.milestones m
+    JOIN accessible a ON a.id = m.roadmap_id
+    WHERE p_milestone_id IS NULL OR m.id = p_milestone_id
+  )
+  SELECT json_build_object(
+    'tasks', COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', t.id,
+        'title', t.title,
+        'description', t.description,
+        'due_date', t.due_date,
+        'assigned_to', t.assigned_to,
+        'parent_title', parent.title,
+        'milestone_id', m.id,
+        'milestone_title', m.title,
+        'roadmap_title', m.roadmap_title
+      ) ORDER BY t.due_date)
+      FROM public.tasks t
+      JOIN scoped_milestones m ON m.id = t.milestone_id
+      LEFT JOIN public.tasks parent ON parent.id = t.parent_task_id
+      WHERE t.due_date IS NOT NULL
+        AND NOT COALESCE(t.completed, FALSE)
+        AND NOT COALESCE(t.deleted, FALSE)
+        AND NOT COALESCE(parent.deleted, FALSE)
+        AND (
+          t.assigned_to_user_id = p_user_id
+          OR (t.assigned_to_user_id IS NULL AND COALESCE(t.assigned_to, '') = '')
+        )
+    ), '[]'::json),
+    'expenses', COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', e.id,
+        'title', e.title,
+        'description', e.description,
+        'amount', e.amount,
+        'currency', e.currency,
+        'due_date', e.due_date,
+        'milestone_id', e.milestone_id,
+        'milestone_title', m.title,
+        'roadmap_title', a.title
+      ) ORDER BY e.due_date)
+      FROM public.expenses e
+      JOIN accessible a ON a.id = e.roadmap_id
+      LEFT JOIN public.milestones m ON m.id = e.milestone_id
+      WHERE e.status = 'pending'
+        AND e.kind <> 'savings'
+        AND e.due_date BETWEEN CURRENT_DATE AND CURRENT_DATE + p_days_ahead
+        AND (p_milestone_id IS NULL OR e.milestone_id = p_milestone_id)
+    ), '[]'::json),
+    'milestones', COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', m.id,
+        'title', m.title,
+        'target_date', m.target_date,
+        'roadmap_title', m.roadmap_title
+      ) ORDER BY m.target_date)
+      FROM scoped_milestones m
+      WHERE m.target_date IS NOT NULL
+        AND NOT COALESCE(m.completed, FALSE)
+    ), '[]'::json)
+  );
+$$;
+
+-- Internal: callers go through the two wrappers below
+REVOKE EXECUTE ON FUNCTION calendar_events_for_user(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- 4. Subscription feed: resolves the token, no session needed
+CREATE OR REPLACE FUNCTION get_calendar_feed(p_token TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id UUID;
+BEGIN
+  UPDATE public.calendar_feeds
+  SET last_accessed_at = NOW()
+  WHERE token_hash = encode(digest(p_token, 'sha256'), 'hex')
+  RETURNING user_id INTO v_user_id;
+
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN calendar_events_for_user(v_user_id);
+END;
+$$;
+
+-- 5. One-off export for the signed-in user, optionally one milestone
+CREATE OR REPLACE FUNCTION get_my_calendar_events(p_milestone_id UUID DEFAULT NULL)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN calendar_events_for_user(auth.uid(), p_milestone_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_calendar_feed_token() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_calendar_feed(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_my_calendar_events(UUID) TO authenticated;
+
+-- 6. Comments
+COMMENT ON TABLE public.calendar_feeds IS
+'Secret ICS feed token per user (SHA-256 hash only). See get_calendar_feed().';
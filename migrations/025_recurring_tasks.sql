@@ -0,0 +1,120 @@
+-- Recurring Tasks Migration
+-- Routines (fitness, habits, date nights...) are tasks that repeat daily,
+-- weekly or on chosen weekdays. Each occurrence is checked off separately in
+-- task_completions, which is what streaks and the completion heatmap are
+-- built from (src/utils/taskRecurrence.js).
+--
+-- tasks.completed keeps its meaning: the routine is finished (its goal count
+-- was reached or it was retired), so phase progress and dependencies don't
+-- change for recurring tasks.
+
+-- 1. Recurrence rule on the task
+ALTER TABLE public.tasks
+ADD COLUMN IF NOT EXISTS recurrence_frequency TEXT
+  CHECK (recurrence_frequency IN ('daily', 'weekly', 'custom')),
+ADD COLUMN IF NOT EXISTS recurrence_interval INTEGER NOT NULL DEFAULT 1
+  CHECK (recurrence_interval BETWEEN 1 AND 52),
+ADD COLUMN IF NOT EXISTS recurrence_weekdays SMALLINT[]
+  CHECK (recurrence_weekdays <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::SMALLINT[]),
+ADD COLUMN IF NOT EXISTS recurrence_start_date DATE,
+ADD COLUMN IF NOT EXISTS recurrence_target INTEGER
+  CHECK (recurrence_target > 0);
+
+ALTER TABLE public.tasks DROP CONSTRAINT IF EXISTS tasks_recurrence_check;
+ALTER TABLE public.tasks ADD CONSTRAINT tasks_recurrence_check CHECK (
+  recurrence_frequency IS NULL
+  OR (
+    recurrence_start_date IS NOT NULL
+    -- Routines are top-level tasks
+    AND parent_task_id IS NULL
+    -- Custom schedules name their weekdays
+    AND (recurrence_frequency <> 'custom' OR cardinality(recurrence_weekdays) > 0)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_recurring ON public.tasks(milestone_id)
+  WHERE recurrence_frequency IS NOT NULL;
+
+-- 2. One row per checked-off occurrence
+CREATE TABLE IF NOT EXISTS public.task_completions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE NOT NULL,
+  roadmap_id UUID REFERENCES public.roadmaps(id) ON DELETE CASCADE NOT NULL,
+  milestone_id UUID REFERENCES public.milestones(id) ON DELETE CASCADE NOT NULL,
+
+  -- Scheduled date the check-in counts for (see getOccurrenceFor)
+  occurrence_date DATE NOT NULL,
+  completed_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+  completed_at TIMESTAMPTZ DEFAULT NOW(),
+  note TEXT CHECK (length(note) <= 500),
+
+  UNIQUE (task_id, occurrence_date)
+);
+
+ALTER TABLE public.task_completions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view routine check-ins in their roadmaps"
+  ON public.task_completions FOR SELECT
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE POLICY "Users can check in routines in their roadmaps"
+  ON public.task_completions FOR INSERT
+  WITH CHECK (user_can_access_roadmap(roadmap_id) AND completed_by = auth.uid());
+
+CREATE POLICY "Users can undo routine check-ins in their roadmaps"
+  ON public.task_completions FOR DELETE
+  USING (user_can_access_roadmap(roadmap_id));
+
+CREATE INDEX IF NOT EXISTS idx_task_completions_milestone
+  ON public.task_completions (milestone_id, occurrence_date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_task_completions_roadmap
+  ON public.task_completions (roadmap_id, occurrence_date DESC);
+
+-- 3. Check-ins belong to a recurring task of the same milestone
+CREATE OR REPLACE FUNCTION check_task_completion()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_task RECORD;
+BEGIN
+  SELECT t.milestone_id, t.recurrence_frequency, t.recurrence_start_date, m.roadmap_id
+  INTO v_task
+  FROM public.tasks t
+  JOIN public.milestones m ON m.id = t.milestone_id
+  WHERE t.id = NEW.task_id;
+
+  IF NOT FOUND OR v_task.recurrence_frequency IS NULL THEN
+    RAISE EXCEPTION 'Only recurring tasks can be checked in';
+  END IF;
+
+  IF v_task.milestone_id IS DISTINCT FROM NEW.milestone_id
+     OR v_task.roadmap_id IS DISTINCT FROM NEW.roadmap_id THEN
+    RAISE EXCEPTION 'A check-in must belong to the same milestone as its task';
+  END IF;
+
+  IF NEW.occurrence_date < v_task.recurrence_start_date THEN
+    RAISE EXCEPTION 'This routine starts on %', v_task.recurrence_start_date;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_check_task_completion ON public.task_completions;
+CREATE TRIGGER trigger_check_task_completion
+  BEFORE INSERT OR UPDATE ON public.task_completions
+  FOR EACH ROW
+  EXECUTE FUNCTION check_task_completion();
+
+-- 4. Comments
+COMMENT ON COLUMN public.tasks.recurrence_frequency IS
+'daily / weekly (every recurrence_interval days or weeks from recurrence_start_date) or custom (on recurrence_weekdays). NULL for one-off tasks.';
+
+COMMENT ON COLUMN public.tasks.recurrence_weekdays IS
+'Weekdays of a custom routine, 0 = Sunday ... 6 = Saturday.';
+
+COMMENT ON COLUMN public.tasks.recurrence_target IS
+'Optional number of check-ins that finishes the routine (e.g. 12 date nights).';
+
+COMMENT ON TABLE public.task_completions IS
+'Checked-off occurrences of recurring tasks. A check-in counts for the latest scheduled date on or before the day it was done.';
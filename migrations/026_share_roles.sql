@@ -0,0 +1,613 @@
+-- =====================================================
+-- Migration 026: Share Roles
+-- =====================================================
+-- A dream share now carries a role instead of making every invitee a
+-- co-owner:
+--   owner     - full co-owner (the old behaviour); becomes roadmaps.partner_id
+--   editor    - can change tasks, expenses, budget and the dream itself
+--   commenter - can read everything and comment
+--   viewer    - read only
+--
+-- The dream's creator, its per-dream partner and global partners (012) are
+-- always 'owner'. Everyone else gets the role of their accepted share.
+-- Reads need any role; writes need 'editor' (comments need 'commenter').
+-- The app mirrors these rules in src/utils/shareRoles.js.
+-- =====================================================
+
+-- 1. Role column (replaces the unused access_level)
+-- New invites, and invites still pending, default to editor. Never to
+-- owner: that must always be chosen explicitly.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_schema = 'public'
+                 AND table_name = 'dream_sharing'
+                 AND column_name = 'role') THEN
+    ALTER TABLE public.dream_sharing
+      ADD COLUMN role TEXT NOT NULL DEFAULT 'editor'
+        CHECK (role IN ('owner', 'editor', 'commenter', 'viewer'));
+
+    -- Shares accepted before roles existed made the invitee a co-owner;
+    -- keep that (only on the first run, so later role changes stick)
+    UPDATE public.dream_sharing
+    SET role = 'owner'
+    WHERE status = 'accepted';
+  END IF;
+END $$;
+
+ALTER TABLE public.dream_sharing DROP COLUMN IF EXISTS access_level;
+
+CREATE INDEX IF NOT EXISTS idx_dream_sharing_accepted
+  ON public.dream_sharing(roadmap_id, partner_id) WHERE status = 'accepted';
+
+-- =====================================================
+-- 2. ROLE HELPERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION share_role_rank(p_role TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_role
+    WHEN 'owner' THEN 4
+    WHEN 'editor' THEN 3
+    WHEN 'commenter' THEN 2
+    WHEN 'viewer' THEN 1
+    ELSE 0
+  END;
+$$;
+
+-- The current user's role on a roadmap, NULL when they have no access
+CREATE OR REPLACE FUNCTION get_roadmap_role(p_roadmap_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT CASE
+    WHEN EXISTS (
+      SELECT 1 FROM public.roadmaps r
+      WHERE r.id = p_roadmap_id
+        AND (
+          r.user_id = auth.uid()
+          OR r.partner_id = auth.uid()
+          OR (
+            r.visible_to_partner = TRUE
+            AND EXISTS (
+              SELECT 1 FROM public.partnerships p
+              WHERE p.status = 'active'
+                AND (
+                  (p.inviter_id = auth.uid() AND p.invitee_id = r.user_id)
+                  OR (p.invitee_id = auth.uid() AND p.inviter_id = r.user_id)
+                )
+            )
+          )
+        )
+    ) THEN 'owner'
+    ELSE (
+      SELECT ds.role FROM public.dream_sharing ds
+      WHERE ds.roadmap_id = p_roadmap_id
+        AND ds.partner_id = auth.uid()
+        AND ds.status = 'accepted'
+      ORDER BY share_role_rank(ds.role) DESC
+      LIMIT 1
+    )
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION user_has_roadmap_role(p_roadmap_id UUID, p_min_role TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT share_role_rank(get_roadmap_role(p_roadmap_id)) >= share_role_rank(p_min_role);
+$$;
+
+-- Any role can read
+CREATE OR REPLACE FUNCTION user_can_access_roadmap(p_roadmap_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT get_roadmap_role(p_roadmap_id) IS NOT NULL;
+$$;
+
+CREATE OR REPLACE FUNCTION user_can_access_milestone(p_milestone_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.milestones m
+    WHERE m.id = p_milestone_id
+      AND user_can_access_roadmap(m.roadmap_id)
+  );
+$$;
+
+-- Editors and owners can write
+CREATE OR REPLACE FUNCTION user_can_edit_roadmap(p_roadmap_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT user_has_roadmap_role(p_roadmap_id, 'editor');
+$$;
+
+CREATE OR REPLACE FUNCTION user_can_edit_milestone(p_milestone_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.milestones m
+    WHERE m.id = p_milestone_id
+      AND user_can_edit_roadmap(m.roadmap_id)
+  );
+$$;
+
+-- Dashboard helpers (013) also list dreams shared with any role
+CREATE OR REPLACE FUNCTION user_can_access_roadmap_by_id(p_roadmap_id UUID, p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM get_accessible_roadmap_ids(p_user_id) a
+    WHERE a.roadmap_id = p_roadmap_id
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION get_accessible_roadmap_ids(p_user_id UUID)
+RETURNS TABLE(roadmap_id UUID)
+LANGUAGE sql
+SECURITY DEFINER
+STABLE
+AS $$
+  SELECT DISTINCT r.id
+  FROM public.roadmaps r
+  WHERE
+    -- User owns the roadmap
+    r.user_id = p_user_id
+    -- User is per-dream partner
+    OR r.partner_id = p_user_id
+    -- User is global partner and dream is visible
+    OR (r.visible_to_partner = TRUE AND EXISTS (
+      SELECT 1 FROM public.partnerships p
+      WHERE p.status = 'active' AND (
+        (p.inviter_id = p_user_id AND p.invitee_id = r.user_id)
+        OR (p.invitee_id = p_user_id AND p.inviter_id = r.user_id)
+      )
+    ))
+    -- User accepted a share with any role
+    OR EXISTS (
+      SELECT 1 FROM public.dream_sharing ds
+      WHERE ds.roadmap_id = r.id
+        AND ds.partner_id = p_user_id
+        AND ds.status = 'accepted'
+    );
+$$;
+
+-- =====================================================
+-- 3. ROADMAPS, MILESTONES AND TASKS
+-- =====================================================
+
+DROP POLICY IF EXISTS "Users can view own or partner roadmaps" ON public.roadmaps;
+CREATE POLICY "Users can view own or partner roadmaps"
+  ON public.roadmaps FOR SELECT
+  USING (user_can_access_roadmap(id));
+
+DROP POLICY IF EXISTS "Users can update own or partner roadmaps" ON public.roadmaps;
+CREATE POLICY "Users can update own or partner roadmaps"
+  ON public.roadmaps FOR UPDATE
+  USING (user_can_edit_roadmap(id));
+
+-- Editors may change the dream itself but not who owns it: user_id,
+-- partner_id and visible_to_partner all feed get_roadmap_role
+CREATE OR REPLACE FUNCTION guard_roadmap_ownership()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.user_id IS DISTINCT FROM OLD.user_id
+      OR NEW.partner_id IS DISTINCT FROM OLD.partner_id
+      OR NEW.visible_to_partner IS DISTINCT FROM OLD.visible_to_partner)
+     AND current_setting('app.dream_share_accept', true) IS DISTINCT FROM 'on'
+     AND NOT user_has_roadmap_role(OLD.id, 'owner') THEN
+    RAISE EXCEPTION 'Only the dream''s owners can change who owns or sees it';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_guard_roadmap_ownership ON public.roadmaps;
+CREATE TRIGGER trigger_guard_roadmap_ownership
+  BEFORE UPDATE ON public.roadmaps
+  FOR EACH ROW
+  EXECUTE FUNCTION guard_roadmap_ownership();
+
+DROP POLICY IF EXISTS "Users can insert milestones in their roadmaps" ON public.milestones;
+DROP POLICY IF EXISTS "Users can update milestones in their roadmaps" ON public.milestones;
+DROP POLICY IF EXISTS "Users can delete milestones in their roadmaps" ON public.milestones;
+
+CREATE POLICY "Users can insert milestones in their roadmaps"
+  ON public.milestones FOR INSERT
+  WITH CHECK (user_can_edit_roadmap(roadmap_id));
+
+CREATE POLICY "Users can update milestones in their roadmaps"
+  ON public.milestones FOR UPDATE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+CREATE POLICY "Users can delete milestones in their roadmaps"
+  ON public.milestones FOR DELETE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+DROP POLICY IF EXISTS "Users can insert tasks in their milestones" ON public.tasks;
+DROP POLICY IF EXISTS "Users can update tasks in their milestones" ON public.tasks;
+DROP POLICY IF EXISTS "Users can delete tasks in their milestones" ON public.tasks;
+
+CREATE POLICY "Users can insert tasks in their milestones"
+  ON public.tasks FOR INSERT
+  WITH CHECK (user_can_edit_milestone(milestone_id));
+
+CREATE POLICY "Users can update tasks in their milestones"
+  ON public.tasks FOR UPDATE
+  USING (user_can_edit_milestone(milestone_id));
+
+CREATE POLICY "Users can delete tasks in their milestones"
+  ON public.tasks FOR DELETE
+  USING (user_can_edit_milestone(milestone_id));
+
+-- =====================================================
+-- 4. EXPENSES AND BUDGET
+-- =====================================================
+-- Both earlier policy sets are replaced; permissive policies are OR'ed,
+-- so leaving either in place would let viewers write.
+
+DROP POLICY IF EXISTS "Users can view expenses in their roadmaps" ON public.expenses;
+DROP POLICY IF EXISTS "Users can insert expenses in their roadmaps" ON public.expenses;
+DROP POLICY IF EXISTS "Users can update expenses in their roadmaps" ON public.expenses;
+DROP POLICY IF EXISTS "Users can delete expenses in their roadmaps" ON public.expenses;
+DROP POLICY IF EXISTS "Users can view their own expenses" ON public.expenses;
+DROP POLICY IF EXISTS "Users can insert their own expenses" ON public.expenses;
+DROP POLICY IF EXISTS "Users can update their own expenses" ON public.expenses;
+DROP POLICY IF EXISTS "Users can delete their own expenses" ON public.expenses;
+
+CREATE POLICY "Users can view expenses in their roadmaps"
+  ON public.expenses FOR SELECT
+  USING (user_can_access_roadmap(roadmap_id) OR user_id = auth.uid());
+
+CREATE POLICY "Users can insert expenses in their roadmaps"
+  ON public.expenses FOR INSERT
+  WITH CHECK (user_can_edit_roadmap(roadmap_id) AND user_id = auth.uid());
+
+CREATE POLICY "Users can update expenses in their roadmaps"
+  ON public.expenses FOR UPDATE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+CREATE POLICY "Users can delete expenses in their roadmaps"
+  ON public.expenses FOR DELETE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+DROP POLICY IF EXISTS "Users can insert recurring expenses in their roadmaps" ON public.recurring_expenses;
+DROP POLICY IF EXISTS "Users can update recurring expenses in their roadmaps" ON public.recurring_expenses;
+DROP POLICY IF EXISTS "Users can delete recurring expenses in their roadmaps" ON public.recurring_expenses;
+
+CREATE POLICY "Users can insert recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR INSERT
+  WITH CHECK (user_can_edit_roadmap(roadmap_id));
+
+CREATE POLICY "Users can update recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR UPDATE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+CREATE POLICY "Users can delete recurring expenses in their roadmaps"
+  ON public.recurring_expenses FOR DELETE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+-- =====================================================
+-- 5. DEPENDENCIES, CHECK-INS AND COMMENTS
+-- =====================================================
+
+DROP POLICY IF EXISTS "Users can add task dependencies in their roadmaps" ON public.task_dependencies;
+DROP POLICY IF EXISTS "Users can remove task dependencies in their roadmaps" ON public.task_dependencies;
+
+CREATE POLICY "Users can add task dependencies in their roadmaps"
+  ON public.task_dependencies FOR INSERT
+  WITH CHECK (user_can_edit_roadmap(roadmap_id));
+
+CREATE POLICY "Users can remove task dependencies in their roadmaps"
+  ON public.task_dependencies FOR DELETE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+DROP POLICY IF EXISTS "Users can check in routines in their roadmaps" ON public.task_completions;
+DROP POLICY IF EXISTS "Users can undo routine check-ins in their roadmaps" ON public.task_completions;
+
+CREATE POLICY "Users can check in routines in their roadmaps"
+  ON public.task_completions FOR INSERT
+  WITH CHECK (user_can_edit_roadmap(roadmap_id) AND completed_by = auth.uid());
+
+CREATE POLICY "Users can undo routine check-ins in their roadmaps"
+  ON public.task_completions FOR DELETE
+  USING (user_can_edit_roadmap(roadmap_id));
+
+DROP POLICY IF EXISTS "Users can comment in their roadmaps" ON public.comments;
+
+CREATE POLICY "Users can comment in their roadmaps"
+  ON public.comments FOR INSERT
+  WITH CHECK (user_has_roadmap_role(roadmap_id, 'commenter') AND author_id = auth.uid());
+
+-- =====================================================
+-- 6. MANAGING SHARES
+-- =====================================================
+
+-- Accepted shares grant roles, so only owners may change them. Invitees
+-- accept through accept_dream_share(), which does its own checks.
+DROP POLICY IF EXISTS "Users can update dream sharing" ON public.dream_sharing;
+DROP POLICY IF EXISTS "Owners can update dream sharing" ON public.dream_sharing;
+CREATE POLICY "Owners can update dream sharing"
+  ON public.dream_sharing FOR UPDATE
+  USING (user_has_roadmap_role(roadmap_id, 'owner'))
+  WITH CHECK (user_has_roadmap_role(roadmap_id, 'owner'));
+
+-- Only owners pick or change a share's role, or who and what it is for;
+-- a share never moves to another dream. Moving an accepted share to or
+-- from 'owner' (or cancelling an owner share) also moves
+-- roadmaps.partner_id, which get_roadmap_role treats as an owner on its own.
+CREATE OR REPLACE FUNCTION check_dream_share_role()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.roadmap_id IS DISTINCT FROM OLD.roadmap_id THEN
+    RAISE EXCEPTION 'A share cannot be moved to another dream';
+  END IF;
+
+  IF (NEW.partner_id IS DISTINCT FROM OLD.partner_id
+      OR NEW.invited_email IS DISTINCT FROM OLD.invited_email
+      OR NEW.status IS DISTINCT FROM OLD.status)
+     AND current_setting('app.dream_share_accept', true) IS DISTINCT FROM 'on'
+     AND NOT user_has_roadmap_role(OLD.roadmap_id, 'owner') THEN
+    RAISE EXCEPTION 'Only the dream''s owners can change a share; invites are accepted with accept_dream_share()';
+  END IF;
+
+  IF OLD.status = 'accepted' AND NEW.status != 'accepted' AND OLD.role = 'owner' THEN
+    UPDATE public.roadmaps
+    SET partner_id = NULL
+    WHERE id = OLD.roadmap_id AND partner_id = OLD.partner_id;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role THEN
+    IF NOT user_has_roadmap_role(NEW.roadmap_id, 'owner') THEN
+      RAISE EXCEPTION 'Only the dream''s owners can change sharing roles';
+    END IF;
+
+    IF NEW.status = 'accepted' AND NEW.partner_id IS NOT NULL THEN
+      IF NEW.role = 'owner' THEN
+        UPDATE public.roadmaps
+        SET partner_id = NEW.partner_id
+        WHERE id = NEW.roadmap_id AND partner_id IS NULL;
+      ELSE
+        UPDATE public.roadmaps
+        SET partner_id = NULL
+        WHERE id = NEW.roadmap_id AND partner_id = NEW.partner_id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_check_dream_share_role ON public.dream_sharing;
+CREATE TRIGGER trigger_check_dream_share_role
+  BEFORE UPDATE ON public.dream_sharing
+  FOR EACH ROW
+  EXECUTE FUNCTION check_dream_share_role();
+
+-- Invites take a role, and only owners can create them
+DROP FUNCTION IF EXISTS create_dream_share_invite(UUID, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION create_dream_share_invite(
+  p_roadmap_id UUID,
+  p_invited_email TEXT DEFAULT NULL,
+  p_message TEXT DEFAULT NULL,
+  p_role TEXT DEFAULT 'editor'
+)
+RETURNS TABLE(share_code TEXT, share_id UUID) AS $$
+DECLARE
+  v_share_code TEXT;
+  v_share_id UUID;
+  v_attempts INTEGER := 0;
+  v_existing_share RECORD;
+BEGIN
+  IF NOT user_has_roadmap_role(p_roadmap_id, 'owner') THEN
+    RAISE EXCEPTION 'Only the dream''s owners can invite people';
+  END IF;
+
+  IF share_role_rank(p_role) = 0 THEN
+    RAISE EXCEPTION 'Unknown sharing role: %', p_role;
+  END IF;
+
+  -- Reuse a pending invite for the same email (or the open link) with the same role
+  SELECT id, dream_sharing.share_code INTO v_existing_share
+  FROM public.dream_sharing
+  WHERE roadmap_id = p_roadmap_id
+    AND status = 'pending'
+    AND role = p_role
+    AND (expires_at IS NULL OR expires_at > NOW())
+    AND (
+      (p_invited_email IS NOT NULL AND LOWER(invited_email) = LOWER(p_invited_email))
+      OR (p_invited_email IS NULL AND invited_email IS NULL)
+    )
+  LIMIT 1;
+
+  IF v_existing_share.id IS NOT NULL THEN
+    RETURN QUERY SELECT v_existing_share.share_code, v_existing_share.id;
+    RETURN;
+  END IF;
+
+  -- An email only has one invite per dream: a new role replaces the old invite
+  IF p_invited_email IS NOT NULL THEN
+    DELETE FROM public.dream_sharing
+    WHERE roadmap_id = p_roadmap_id
+      AND LOWER(invited_email) = LOWER(p_invited_email)
+      AND status = 'pending';
+  END IF;
+
+  -- Generate unique share code
+  LOOP
+    v_share_code := generate_share_code();
+    v_attempts := v_attempts + 1;
+
+    IF NOT EXISTS (SELECT 1 FROM public.dream_sharing WHERE dream_sharing.share_code = v_share_code) THEN
+      EXIT;
+    END IF;
+
+    IF v_attempts > 10 THEN
+      RAISE EXCEPTION 'Could not generate unique share code';
+    END IF;
+  END LOOP;
+
+  INSERT INTO public.dream_sharing (
+    roadmap_id,
+    share_code,
+    share_link_enabled,
+    invited_by,
+    invited_email,
+    invitation_message,
+    role,
+    status
+  ) VALUES (
+    p_roadmap_id,
+    v_share_code,
+    TRUE,
+    auth.uid(),
+    p_invited_email,
+    p_message,
+    p_role,
+    'pending'
+  )
+  RETURNING id INTO v_share_id;
+
+  RETURN QUERY SELECT v_share_code, v_share_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Accepting an owner share still makes you the dream's partner; other roles
+-- only record who accepted
+CREATE OR REPLACE FUNCTION accept_dream_share(p_share_code TEXT)
+RETURNS TABLE(
+  success BOOLEAN,
+  roadmap_id UUID,
+  roadmap_title TEXT,
+  message TEXT
+) AS $$
+DECLARE
+  v_share RECORD;
+  v_user_email TEXT;
+  v_current_user_id UUID;
+BEGIN
+  v_current_user_id := auth.uid();
+
+  IF v_current_user_id IS NULL THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TEXT, 'User not authenticated'::TEXT;
+    RETURN;
+  END IF;
+
+  SELECT email INTO v_user_email FROM auth.users WHERE id = v_current_user_id;
+
+  SELECT ds.*, r.title as rtitle, r.id as rid, r.user_id as owner_id
+  INTO v_share
+  FROM public.dream_sharing ds
+  JOIN public.roadmaps r ON r.id = ds.roadmap_id
+  WHERE UPPER(ds.share_code) = UPPER(p_share_code)
+    AND ds.status = 'pending'
+    AND (ds.expires_at IS NULL OR ds.expires_at > NOW());
+
+  IF v_share IS NULL THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TEXT, 'Invalid or expired invite code'::TEXT;
+    RETURN;
+  END IF;
+
+  IF v_share.owner_id = v_current_user_id THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TEXT, 'You cannot accept your own invite'::TEXT;
+    RETURN;
+  END IF;
+
+  IF v_share.invited_email IS NOT NULL AND LOWER(v_share.invited_email) != LOWER(v_user_email) THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TEXT, 'This invite was sent to a different email address'::TEXT;
+    RETURN;
+  END IF;
+
+  IF v_share.role = 'owner' AND EXISTS (
+    SELECT 1 FROM public.roadmaps
+    WHERE id = v_share.rid
+      AND partner_id IS NOT NULL
+      AND partner_id != v_current_user_id
+  ) THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TEXT, 'This dream already has a partner'::TEXT;
+    RETURN;
+  END IF;
+
+  -- A second invite to the same dream replaces the earlier accepted one
+  DELETE FROM public.dream_sharing
+  WHERE dream_sharing.roadmap_id = v_share.rid
+    AND partner_id = v_current_user_id
+    AND id != v_share.id;
+
+  PERFORM set_config('app.dream_share_accept', 'on', true);
+
+  UPDATE public.dream_sharing
+  SET
+    partner_id = v_current_user_id,
+    status = 'accepted',
+    accepted_at = NOW()
+  WHERE id = v_share.id;
+
+  IF v_share.role = 'owner' THEN
+    UPDATE public.roadmaps
+    SET partner_id = v_current_user_id
+    WHERE id = v_share.rid;
+  END IF;
+
+  PERFORM set_config('app.dream_share_accept', 'off', true);
+
+  BEGIN
+    PERFORM create_notification(
+      v_share.owner_id,
+      'partner_joined',
+      CASE WHEN v_share.role = 'owner' THEN 'Your partner joined!' ELSE 'Someone joined your dream' END,
+      format('%s accepted your invite to "%s" as %s', COALESCE(v_user_email, 'Your partner'), v_share.rtitle, v_share.role),
+      v_share.rid,
+      NULL,
+      v_current_user_id,
+      v_user_email,
+      jsonb_build_object('roadmap_id', v_share.rid, 'roadmap_title', v_share.rtitle, 'role', v_share.role)
+    );
+  EXCEPTION WHEN OTHERS THEN
+    RAISE NOTICE 'Failed to create notification: %', SQLERRM;
+  END;
+
+  RETURN QUERY SELECT TRUE, v_share.rid, v_share.rtitle, 'Successfully joined the dream!'::TEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- 7. GRANTS AND COMMENTS
+-- =====================================================
+
+GRANT EXECUTE ON FUNCTION share_role_rank(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_roadmap_role(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION user_has_roadmap_role(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION user_can_edit_roadmap(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION user_can_edit_milestone(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION create_dream_share_invite(UUID, TEXT, TEXT, TEXT) TO authenticated;
+
+COMMENT ON COLUMN public.dream_sharing.role IS
+'owner / editor / commenter / viewer. Owner shares become roadmaps.partner_id when accepted.';
+
+COMMENT ON FUNCTION get_roadmap_role(UUID) IS
+'The current user''s role on a roadmap: owner for its creator, partner and global partners, else the role of their accepted share, else NULL.';
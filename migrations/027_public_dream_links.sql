@@ -0,0 +1,257 @@
+-- Public Dream Links Migration
+-- Read-only pages of a dream at /shared/<token> that anyone with the link
+-- can open without an account: the roadmap, its progress and, if the owner
+-- chooses, a budget summary with or without amounts.
+--
+-- Like calendar feeds (024), the token in the URL is the only credential:
+-- it is long and random, only its SHA-256 hash is stored and it is shown
+-- once. Every link expires. Revoked links stay in the table as the dream's
+-- revocation list.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- 1. Links
+CREATE TABLE IF NOT EXISTS public.public_dream_links (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  roadmap_id UUID REFERENCES public.roadmaps(id) ON DELETE CASCADE NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  label TEXT CHECK (length(label) <= 80),
+
+  -- What the page shows
+  show_budget BOOLEAN NOT NULL DEFAULT FALSE,
+  show_amounts BOOLEAN NOT NULL DEFAULT FALSE,
+
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES auth.users(id),
+
+  created_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_viewed_at TIMESTAMPTZ,
+  view_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Hold for updates too, not just create_public_dream_link()
+  CONSTRAINT public_dream_links_amounts_need_budget
+    CHECK (NOT show_amounts OR show_budget),
+  CONSTRAINT public_dream_links_expiry_limit
+    CHECK (expires_at <= created_at + INTERVAL '365 days')
+);
+
+CREATE INDEX IF NOT EXISTS idx_public_dream_links_roadmap
+  ON public.public_dream_links (roadmap_id, created_at DESC);
+
+ALTER TABLE public.public_dream_links ENABLE ROW LEVEL SECURITY;
+
+-- Owners see and manage their dream's links; links are only created through
+-- create_public_dream_link() and never deleted
+CREATE POLICY "Owners can view public links of their dreams"
+  ON public.public_dream_links FOR SELECT
+  USING (user_has_roadmap_role(roadmap_id, 'owner'));
+
+CREATE POLICY "Owners can update public links of their dreams"
+  ON public.public_dream_links FOR UPDATE
+  USING (user_has_roadmap_role(roadmap_id, 'owner'));
+
+-- A revoked link stays revoked and keeps its token. created_at can't move
+-- either, since the expiry limit is counted from it.
+CREATE OR REPLACE FUNCTION check_public_dream_link()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.token_hash IS DISTINCT FROM OLD.token_hash
+     OR NEW.roadmap_id IS DISTINCT FROM OLD.roadmap_id THEN
+    RAISE EXCEPTION 'A public link''s token and dream can''t change';
+  END IF;
+
+  IF NEW.created_at IS DISTINCT FROM OLD.created_at
+     OR NEW.created_by IS DISTINCT FROM OLD.created_by THEN
+    RAISE EXCEPTION 'A public link''s creation details can''t change';
+  END IF;
+
+  IF OLD.revoked_at IS NOT NULL AND NEW.revoked_at IS DISTINCT FROM OLD.revoked_at THEN
+    RAISE EXCEPTION 'This link has been revoked';
+  END IF;
+
+  IF NEW.revoked_at IS NOT NULL AND OLD.revoked_at IS NULL THEN
+    NEW.revoked_by := auth.uid();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_check_public_dream_link ON public.public_dream_links;
+CREATE TRIGGER trigger_check_public_dream_link
+  BEFORE UPDATE ON public.public_dream_links
+  FOR EACH ROW
+  EXECUTE FUNCTION check_public_dream_link();
+
+-- 2. Create a link (owners only); returns the token once
+CREATE OR REPLACE FUNCTION create_public_dream_link(
+  p_roadmap_id UUID,
+  p_expires_in_days INTEGER DEFAULT 30,
+  p_show_budget BOOLEAN DEFAULT FALSE,
+  p_show_amounts BOOLEAN DEFAULT FALSE,
+  p_label TEXT DEFAULT NULL
+)
+RETURNS TABLE(link_id UUID, token TEXT, expires_at TIMESTAMPTZ)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_token TEXT;
+  v_link_id UUID;
+  v_expires_at TIMESTAMPTZ;
+BEGIN
+  IF NOT user_has_roadmap_role(p_roadmap_id, 'owner') THEN
+    RAISE EXCEPTION 'Only the dream''s owners can create public links';
+  END IF;
+
+  IF p_expires_in_days IS NULL OR p_expires_in_days < 1 OR p_expires_in_days > 365 THEN
+    RAISE EXCEPTION 'Public links expire after 1 to 365 days';
+  END IF;
+
+  -- 32 random bytes, URL safe
+  v_token := translate(encode(gen_random_bytes(32), 'base64'), '+/=', '-_');
+  v_expires_at := NOW() + make_interval(days => p_expires_in_days);
+
+  INSERT INTO public.public_dream_links (
+    roadmap_id, token_hash, label, show_budget, show_amounts, expires_at, created_by
+  ) VALUES (
+    p_roadmap_id,
+    encode(digest(v_token, 'sha256'), 'hex'),
+    NULLIF(trim(p_label), ''),
+    COALESCE(p_show_budget, FALSE),
+    COALESCE(p_show_budget, FALSE) AND COALESCE(p_show_amounts, FALSE),
+    v_expires_at,
+    auth.uid()
+  )
+  RETURNING id INTO v_link_id;
+
+  RETURN QUERY SELECT v_link_id, v_token, v_expires_at;
+END;
+$$;
+
+-- 3. The public page: resolves the token, no session needed
+-- Tasks come without descriptions or assignees, and there are no comments.
+-- Without show_amounts the budget is only the ratio of spend in the
+-- milestone's currency to its budget, plus which other currencies were spent.
+CREATE OR REPLACE FUNCTION get_public_dream(p_token TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_link public.public_dream_links%ROWTYPE;
+BEGIN
+  UPDATE public.public_dream_links
+  SET last_viewed_at = NOW(),
+      view_count = view_count + 1
+  WHERE token_hash = encode(digest(p_token, 'sha256'), 'hex')
+    AND revoked_at IS NULL
+    AND expires_at > NOW()
+  RETURNING * INTO v_link;
+
+  IF v_link.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN (
+    WITH dream_milestones AS (
+      SELECT m.*, COALESCE(m.currency, r.currency) AS budget_currency
+      FROM public.milestones m
+      JOIN public.roadmaps r ON r.id = m.roadmap_id
+      WHERE m.roadmap_id = v_link.roadmap_id
+    ),
+    spend AS (
+      SELECT
+        e.milestone_id,
+        COALESCE(e.currency, m.budget_currency) AS currency,
+        e.status,
+        SUM(e.amount) AS amount
+      FROM public.expenses e
+      JOIN dream_milestones m ON m.id = e.milestone_id
+      WHERE e.status IS DISTINCT FROM 'cancelled'
+        AND e.kind <> 'savings'
+      GROUP BY 1, 2, 3
+    )
+    SELECT json_build_object(
+      'link', json_build_object(
+        'label', v_link.label,
+        'show_budget', v_link.show_budget,
+        'show_amounts', v_link.show_amounts,
+        'expires_at', v_link.expires_at
+      ),
+      'roadmap', (
+        SELECT json_build_object(
+          'title', r.title,
+          'partner1_name', r.partner1_name,
+          'partner2_name', r.partner2_name,
+          'currency', r.currency
+        )
+        FROM public.roadmaps r
+        WHERE r.id = v_link.roadmap_id
+      ),
+      'milestones', COALESCE((
+        SELECT json_agg(json_build_object(
+          'id', m.id,
+          'title', m.title,
+          'description', m.description,
+          'category', m.category,
+          'target_date', m.target_date,
+          'completed', COALESCE(m.completed, FALSE),
+          'currency', m.budget_currency,
+          'budget_amount', CASE WHEN v_link.show_amounts THEN m.budget_amount END,
+          'tasks', COALESCE((
+            SELECT json_agg(json_build_object(
+              'title', t.title,
+              'completed', COALESCE(t.completed, FALSE),
+              'due_date', t.due_date
+            ) ORDER BY t.order_index)
+            FROM public.tasks t
+            WHERE t.milestone_id = m.id
+              AND t.parent_task_id IS NULL
+              AND NOT COALESCE(t.deleted, FALSE)
+          ), '[]'::json),
+          -- Spend per currency and status as amounts, or per currency as a
+          -- ratio of the milestone budget. Only spend in the budget's own
+          -- currency gets a ratio; other currencies come without one.
+          'spend', CASE WHEN v_link.show_budget THEN COALESCE(
+            CASE WHEN v_link.show_amounts THEN (
+              SELECT json_agg(json_build_object('currency', s.currency, 'status', s.status, 'amount', s.amount))
+              FROM spend s
+              WHERE s.milestone_id = m.id
+            ) ELSE (
+              SELECT json_agg(json_build_object(
+                'currency', s.currency,
+                'ratio', CASE WHEN UPPER(s.currency) = UPPER(m.budget_currency) THEN s.amount / m.budget_amount END
+              ))
+              FROM (
+                SELECT currency, SUM(amount) AS amount
+                FROM spend
+                WHERE spend.milestone_id = m.id
+                GROUP BY 1
+              ) s
+              WHERE COALESCE(m.budget_amount, 0) > 0
+            ) END,
+          '[]'::json) END,
+          'has_budget', COALESCE(m.budget_amount, 0) > 0
+        ) ORDER BY m.order_index)
+        FROM dream_milestones m
+      ), '[]'::json)
+    )
+  );
+END;
+$$;
+
+GRANT SELECT, UPDATE ON public.public_dream_links TO authenticated;
+GRANT EXECUTE ON FUNCTION create_public_dream_link(UUID, INTEGER, BOOLEAN, BOOLEAN, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_public_dream(TEXT) TO anon, authenticated;
+
+-- 4. Comments
+COMMENT ON TABLE public.public_dream_links IS
+'Expiring read-only links to a dream (SHA-256 token hash only). Revoked rows are kept as the revocation list. See get_public_dream().';
+
+COMMENT ON COLUMN public.public_dream_links.show_amounts IS
+'Show budget and spend amounts. When false the page only gets spend as a share of each milestone budget.';
@@ -0,0 +1,16 @@
+-- =====================================================
+-- Migration 028: Question Bank Versions
+-- =====================================================
+-- Compatibility questions now come from one versioned bank
+-- (src/data/questionBank.js). Session questions drawn from the bank keep
+-- its stable question id, and results record the bank version they were
+-- scored against, so retakes on a newer bank stay comparable.
+-- Luna's generated questions aren't in the bank and leave these NULL.
+-- =====================================================
+
+ALTER TABLE public.session_questions
+  ADD COLUMN IF NOT EXISTS bank_question_id TEXT,
+  ADD COLUMN IF NOT EXISTS bank_version INTEGER;
+
+ALTER TABLE public.assessment_results
+  ADD COLUMN IF NOT EXISTS question_bank_version INTEGER;
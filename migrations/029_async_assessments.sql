@@ -0,0 +1,208 @@
+-- =====================================================
+-- Migration 029: Async Assessments
+-- =====================================================
+-- Adds an 'async' session mode where each partner answers their half
+-- whenever suits them. Partners who stall get reminded through the
+-- existing queues: an assessment_reminder email via queue_email()
+-- (email_queue) and, for partners with an account, a 'reminder'
+-- notification, which trigger_queue_push copies into
+-- push_notification_queue.
+--
+-- Reminder rules (mirrored in src/utils/assessmentSchedule.js):
+-- - only async sessions that are not completed or expired
+-- - a partner is stalled when they haven't answered every question and
+--   haven't been active, or reminded, for 2 days
+-- - at most 3 reminders per partner per session
+--
+-- The creator can extend a session or reopen an expired one, which
+-- moves expires_at and resets the reminder counts.
+--
+-- Schedule queue_assessment_reminders() alongside the email queue cron,
+-- e.g. hourly:
+--   SELECT public.queue_assessment_reminders();
+-- =====================================================
+
+-- 1. Activity, reminder and ownership tracking per partner
+ALTER TABLE public.assessment_sessions
+  ADD COLUMN IF NOT EXISTS partner2_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS partner1_last_active_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS partner2_last_active_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS partner1_reminders_sent INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS partner2_reminders_sent INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS partner1_last_reminded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS partner2_last_reminded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS extended_count INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN public.assessment_sessions.mode IS '''together'', ''separate'' or ''async''';
+
+CREATE INDEX IF NOT EXISTS idx_assessment_sessions_async_open
+  ON public.assessment_sessions(expires_at)
+  WHERE mode = 'async' AND status <> 'completed';
+
+-- 2. Record when each partner last did something
+CREATE OR REPLACE FUNCTION public.touch_assessment_partner_activity()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NEW.partner_number = 1 THEN
+    UPDATE public.assessment_sessions
+    SET partner1_last_active_at = NOW()
+    WHERE id = NEW.session_id;
+  ELSE
+    UPDATE public.assessment_sessions
+    SET partner2_last_active_at = NOW()
+    WHERE id = NEW.session_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_assessment_response_activity ON public.assessment_responses;
+CREATE TRIGGER on_assessment_response_activity
+  AFTER INSERT OR UPDATE ON public.assessment_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_assessment_partner_activity();
+
+DROP TRIGGER IF EXISTS on_prescreening_response_activity ON public.prescreening_responses;
+CREATE TRIGGER on_prescreening_response_activity
+  AFTER INSERT OR UPDATE ON public.prescreening_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_assessment_partner_activity();
+
+-- 3. Queue reminders for stalled partners
+CREATE OR REPLACE FUNCTION public.queue_assessment_reminders()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_session RECORD;
+  v_partner INTEGER;
+  v_total INTEGER;
+  v_answered INTEGER;
+  v_name TEXT;
+  v_other_name TEXT;
+  v_email TEXT;
+  v_user_id UUID;
+  v_last_touched TIMESTAMPTZ;
+  v_reminders_sent INTEGER;
+  v_resume_url TEXT;
+  v_queued INTEGER := 0;
+BEGIN
+  FOR v_session IN
+    SELECT *
+    FROM public.assessment_sessions
+    WHERE mode = 'async'
+      AND status <> 'completed'
+      AND expires_at > NOW()
+  LOOP
+    SELECT COUNT(*) INTO v_total
+    FROM public.session_questions
+    WHERE session_id = v_session.id;
+
+    v_resume_url := 'https://twogetherforward.com/assessment/join/' || v_session.session_code;
+
+    FOR v_partner IN 1..2 LOOP
+      SELECT COUNT(*) INTO v_answered
+      FROM public.assessment_responses
+      WHERE session_id = v_session.id AND partner_number = v_partner;
+
+      -- Finished partners are waiting, not stalled
+      CONTINUE WHEN v_total > 0 AND v_answered >= v_total;
+
+      IF v_partner = 1 THEN
+        v_name := v_session.partner1_name;
+        v_other_name := v_session.partner2_name;
+        v_user_id := v_session.user_id;
+        v_email := v_session.partner1_email;
+        v_reminders_sent := COALESCE(v_session.partner1_reminders_sent, 0);
+        v_last_touched := GREATEST(
+          COALESCE(v_session.partner1_last_active_at, v_session.created_at),
+          v_session.partner1_last_reminded_at
+        );
+      ELSE
+        v_name := v_session.partner2_name;
+        v_other_name := v_session.partner1_name;
+        v_user_id := v_session.partner2_user_id;
+        v_email := v_session.partner2_email;
+        v_reminders_sent := COALESCE(v_session.partner2_reminders_sent, 0);
+        v_last_touched := GREATEST(
+          COALESCE(v_session.partner2_last_active_at, v_session.created_at),
+          v_session.partner2_last_reminded_at
+        );
+      END IF;
+
+      CONTINUE WHEN v_reminders_sent >= 3;
+      CONTINUE WHEN v_last_touched > NOW() - INTERVAL '2 days';
+
+      IF v_email IS NULL AND v_user_id IS NOT NULL THEN
+        SELECT email INTO v_email FROM public.profiles WHERE id = v_user_id;
+      END IF;
+
+      -- Nowhere to send it
+      CONTINUE WHEN v_email IS NULL AND v_user_id IS NULL;
+
+      IF v_email IS NOT NULL THEN
+        PERFORM public.queue_email(
+          v_email,
+          v_user_id,
+          'assessment_reminder',
+          jsonb_build_object(
+            'partner_name', v_name,
+            'other_partner_name', v_other_name,
+            'answered', v_answered,
+            'total', v_total,
+            'session_code', v_session.session_code,
+            'resume_url', v_resume_url,
+            'expires_at', v_session.expires_at
+          )
+        );
+      END IF;
+
+      IF v_user_id IS NOT NULL THEN
+        INSERT INTO public.notifications (user_id, type, title, body, data)
+        VALUES (
+          v_user_id,
+          'reminder',
+          'Your alignment test is waiting',
+          CASE
+            WHEN v_answered > 0 THEN 'Pick up where you left off: ' || v_answered || ' of ' || v_total || ' answered.'
+            ELSE v_other_name || ' is waiting for your answers.'
+          END,
+          jsonb_build_object(
+            'kind', 'assessment_reminder',
+            'session_id', v_session.id,
+            'session_code', v_session.session_code,
+            'url', '/assessment/join/' || v_session.session_code
+          )
+        );
+      END IF;
+
+      IF v_partner = 1 THEN
+        UPDATE public.assessment_sessions
+        SET partner1_reminders_sent = v_reminders_sent + 1,
+            partner1_last_reminded_at = NOW()
+        WHERE id = v_session.id;
+      ELSE
+        UPDATE public.assessment_sessions
+        SET partner2_reminders_sent = v_reminders_sent + 1,
+            partner2_last_reminded_at = NOW()
+        WHERE id = v_session.id;
+      END IF;
+
+      v_queued := v_queued + 1;
+    END LOOP;
+  END LOOP;
+
+  RETURN v_queued;
+END;
+$$;
+
+-- Only cron / the backend (service role) may fan out reminders
+REVOKE EXECUTE ON FUNCTION public.queue_assessment_reminders() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.queue_assessment_reminders() TO service_role;
+
+COMMENT ON FUNCTION public.queue_assessment_reminders IS 'Queues email and push reminders for partners stalled in async assessments';
@@ -0,0 +1,286 @@
+-- =====================================================
+-- Migration 030: Sealed Assessments ("reveal together")
+-- =====================================================
+-- A sealed session keeps each partner's individual answers private until
+-- both partners have opted in to reveal them. Until then each partner can
+-- only read their own rows in assessment_responses and
+-- conversational_responses; the scores and Luna's discussion guide are
+-- built from get_sealed_assessment_alignment(), which returns coarse
+-- per-category match bands but never the answers themselves.
+--
+-- Partners are identified by their account: user_id is partner 1 (the
+-- creator) and partner2_user_id (migration 029) is partner 2, so both
+-- need to be signed in to take a sealed assessment.
+--
+-- Scores of a sealed session never go below the category level: knowing
+-- their own answers, a partner could read the other's answer straight
+-- off a per-question match or score. get_sealed_assessment_alignment()
+-- only says how many answers in a category matched, as a band that never
+-- means "all of them" or "none of them" on its own, so every answer
+-- could still have gone either way. Categories with fewer than three
+-- questions are pooled so they can be banded too.
+--
+-- Once both partners have answered everything, the answers lock, so
+-- nobody can change their own answers to probe the bands.
+-- =====================================================
+
+-- 1. Seal and consent columns
+ALTER TABLE public.assessment_sessions
+  ADD COLUMN IF NOT EXISTS sealed BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS partner1_reveal_consent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS partner2_reveal_consent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMPTZ;
+
+-- 2. Helpers used by the policies below
+-- Which partner the signed-in user is in a session (NULL if neither)
+CREATE OR REPLACE FUNCTION public.assessment_seat(p_session_id UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN auth.uid() IS NULL THEN NULL
+    WHEN s.user_id = auth.uid() THEN 1
+    WHEN s.partner2_user_id = auth.uid() THEN 2
+  END
+  FROM public.assessment_sessions s
+  WHERE s.id = p_session_id;
+$$;
+
+-- Both partners have answered every question of a sealed session
+CREATE OR REPLACE FUNCTION public.assessment_answers_locked(p_session_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT s.sealed AND q.total > 0
+    AND (SELECT COUNT(*) FROM public.assessment_responses r
+         WHERE r.session_id = s.id AND r.partner_number = 1) >= q.total
+    AND (SELECT COUNT(*) FROM public.assessment_responses r
+         WHERE r.session_id = s.id AND r.partner_number = 2) >= q.total
+  FROM public.assessment_sessions s
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS total FROM public.session_questions WHERE session_id = s.id
+  ) q
+  WHERE s.id = p_session_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_view_assessment_answers(p_session_id UUID, p_partner_number INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT NOT COALESCE(s.sealed, FALSE)
+    OR s.revealed_at IS NOT NULL
+    OR public.assessment_seat(s.id) = p_partner_number
+  FROM public.assessment_sessions s
+  WHERE s.id = p_session_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_write_assessment_answers(p_session_id UUID, p_partner_number INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT NOT COALESCE(s.sealed, FALSE)
+    OR (public.assessment_seat(s.id) = p_partner_number
+        AND NOT public.assessment_answers_locked(s.id))
+  FROM public.assessment_sessions s
+  WHERE s.id = p_session_id;
+$$;
+
+-- 3. Answer policies (replace the open ones from 005)
+DROP POLICY IF EXISTS "Anyone can view responses" ON public.assessment_responses;
+DROP POLICY IF EXISTS "Anyone can insert responses" ON public.assessment_responses;
+DROP POLICY IF EXISTS "Anyone can update responses" ON public.assessment_responses;
+
+CREATE POLICY "Responses are visible unless sealed"
+  ON public.assessment_responses FOR SELECT
+  USING (public.can_view_assessment_answers(session_id, partner_number));
+
+CREATE POLICY "Partners insert their own responses"
+  ON public.assessment_responses FOR INSERT
+  WITH CHECK (public.can_write_assessment_answers(session_id, partner_number));
+
+CREATE POLICY "Partners update their own responses"
+  ON public.assessment_responses FOR UPDATE
+  USING (public.can_write_assessment_answers(session_id, partner_number))
+  WITH CHECK (public.can_write_assessment_answers(session_id, partner_number));
+
+DROP POLICY IF EXISTS "Anyone can view conversational responses" ON public.conversational_responses;
+DROP POLICY IF EXISTS "Anyone can insert conversational responses" ON public.conversational_responses;
+
+CREATE POLICY "Conversational responses are visible unless sealed"
+  ON public.conversational_responses FOR SELECT
+  USING (public.can_view_assessment_answers(session_id, partner_number));
+
+CREATE POLICY "Partners insert their own conversational responses"
+  ON public.conversational_responses FOR INSERT
+  WITH CHECK (public.can_write_assessment_answers(session_id, partner_number));
+
+-- 4. Keep the seal, seats and consent out of reach of plain updates
+-- (sessions are otherwise updatable by anyone with the code, see 005)
+CREATE OR REPLACE FUNCTION public.guard_sealed_assessment_session()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF auth.jwt()->>'role' = 'service_role'
+     OR current_setting('app.assessment_reveal', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.sealed IS DISTINCT FROM OLD.sealed THEN
+    RAISE EXCEPTION 'A session cannot be sealed or unsealed once it has started';
+  END IF;
+
+  IF OLD.sealed AND (
+    NEW.user_id IS DISTINCT FROM OLD.user_id
+    OR (OLD.partner2_user_id IS NOT NULL AND NEW.partner2_user_id IS DISTINCT FROM OLD.partner2_user_id)
+    OR NEW.partner1_reveal_consent_at IS DISTINCT FROM OLD.partner1_reveal_consent_at
+    OR NEW.partner2_reveal_consent_at IS DISTINCT FROM OLD.partner2_reveal_consent_at
+    OR NEW.revealed_at IS DISTINCT FROM OLD.revealed_at
+  ) THEN
+    RAISE EXCEPTION 'Partners and reveal consent of a sealed session can only change through consent_to_assessment_reveal()';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_sealed_assessment_session ON public.assessment_sessions;
+CREATE TRIGGER guard_sealed_assessment_session
+  BEFORE UPDATE ON public.assessment_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_sealed_assessment_session();
+
+-- 5. Opt in to reveal; answers open up once both partners have
+CREATE OR REPLACE FUNCTION public.consent_to_assessment_reveal(p_session_id UUID)
+RETURNS public.assessment_sessions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_seat INTEGER;
+  v_session public.assessment_sessions;
+BEGIN
+  v_seat := public.assessment_seat(p_session_id);
+  IF v_seat IS NULL THEN
+    RAISE EXCEPTION 'Only the two partners can reveal this assessment';
+  END IF;
+
+  PERFORM set_config('app.assessment_reveal', 'on', true);
+
+  UPDATE public.assessment_sessions
+  SET partner1_reveal_consent_at = CASE WHEN v_seat = 1 THEN COALESCE(partner1_reveal_consent_at, NOW()) ELSE partner1_reveal_consent_at END,
+      partner2_reveal_consent_at = CASE WHEN v_seat = 2 THEN COALESCE(partner2_reveal_consent_at, NOW()) ELSE partner2_reveal_consent_at END
+  WHERE id = p_session_id
+  RETURNING * INTO v_session;
+
+  IF v_session.partner1_reveal_consent_at IS NOT NULL
+     AND v_session.partner2_reveal_consent_at IS NOT NULL
+     AND v_session.revealed_at IS NULL THEN
+    UPDATE public.assessment_sessions
+    SET revealed_at = NOW()
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+  END IF;
+
+  PERFORM set_config('app.assessment_reveal', 'off', true);
+
+  RETURN v_session;
+END;
+$$;
+
+-- 6. Answer counts per partner, readable whatever the seal
+CREATE OR REPLACE FUNCTION public.get_assessment_progress(p_session_id UUID)
+RETURNS TABLE(partner1_answered INTEGER, partner2_answered INTEGER, total_questions INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    (SELECT COUNT(*)::INTEGER FROM public.assessment_responses WHERE session_id = p_session_id AND partner_number = 1),
+    (SELECT COUNT(*)::INTEGER FROM public.assessment_responses WHERE session_id = p_session_id AND partner_number = 2),
+    (SELECT COUNT(*)::INTEGER FROM public.session_questions WHERE session_id = p_session_id);
+$$;
+
+-- 7. How many answers matched per category, without the answers
+-- Mirrors summarizeSealedAlignment() in src/utils/assessmentPrivacy.js.
+-- With n questions and m matching answers in a category:
+--   n < 3          pooled with the other small categories, then banded
+--   m >= n - 1     'in_step'
+--   m <= 1         'apart'
+--   otherwise      'mixed'
+-- Each band spans at least two match counts including one strictly
+-- between 0 and n, so no band pins down any single answer. A pool that
+-- still has fewer than three questions is 'unrated'.
+DROP FUNCTION IF EXISTS public.get_sealed_assessment_alignment(UUID);
+CREATE OR REPLACE FUNCTION public.get_sealed_assessment_alignment(p_session_id UUID)
+RETURNS TABLE(category TEXT, question_count INTEGER, band TEXT, pooled BOOLEAN)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF public.assessment_seat(p_session_id) IS NULL THEN
+    RAISE EXCEPTION 'Only the two partners can score this assessment';
+  END IF;
+
+  IF NOT public.assessment_answers_locked(p_session_id) THEN
+    RAISE EXCEPTION 'Both partners need to finish before the assessment can be scored';
+  END IF;
+
+  RETURN QUERY
+  WITH pairs AS (
+    SELECT
+      CASE WHEN q.category = 'finances' THEN 'financial' ELSE COALESCE(q.category, 'general') END AS category,
+      r1.answer_value = r2.answer_value AS matched
+    FROM public.session_questions q
+    JOIN public.assessment_responses r1
+      ON r1.question_id = q.id AND r1.partner_number = 1
+    JOIN public.assessment_responses r2
+      ON r2.question_id = q.id AND r2.partner_number = 2
+    WHERE q.session_id = p_session_id
+  ),
+  per_category AS (
+    SELECT p.category, COUNT(*)::INTEGER AS n, COUNT(*) FILTER (WHERE p.matched)::INTEGER AS m
+    FROM pairs p
+    GROUP BY p.category
+  ),
+  pool AS (
+    SELECT COALESCE(SUM(c.n), 0)::INTEGER AS n, COALESCE(SUM(c.m), 0)::INTEGER AS m
+    FROM per_category c
+    WHERE c.n < 3
+  )
+  SELECT
+    c.category,
+    c.n,
+    CASE
+      WHEN (CASE WHEN c.n < 3 THEN pool.n ELSE c.n END) < 3 THEN 'unrated'
+      WHEN (CASE WHEN c.n < 3 THEN pool.m ELSE c.m END)
+           >= (CASE WHEN c.n < 3 THEN pool.n ELSE c.n END) - 1 THEN 'in_step'
+      WHEN (CASE WHEN c.n < 3 THEN pool.m ELSE c.m END) <= 1 THEN 'apart'
+      ELSE 'mixed'
+    END,
+    c.n < 3
+  FROM per_category c
+  CROSS JOIN pool
+  ORDER BY c.category;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.consent_to_assessment_reveal TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_assessment_progress TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_sealed_assessment_alignment TO authenticated;
@@ -0,0 +1,67 @@
+-- =====================================================
+-- Migration 031: Conversation Milestones
+-- =====================================================
+-- A difference from the alignment assessment (say, different timelines
+-- for children) can become a "conversation milestone": a relationship
+-- milestone whose tasks walk the couple through the discussion guide,
+-- with a check-in date. The milestone keeps the misalignment it came
+-- from in deep_dive_data.conversation (built by
+-- src/utils/conversationMilestones.js), so no milestone columns change.
+--
+-- At the check-in each partner re-rates how close they now feel on the
+-- topic, from 1 (still far apart) to 5 (on the same page). Re-ratings
+-- are kept per session in assessment_checkins, so they appear alongside
+-- the session's results in the assessment history.
+--
+-- Anyone who can see the dream can see its re-ratings; editors add
+-- their own. Re-ratings are never changed, a new one is added instead.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.assessment_checkins (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  session_id UUID REFERENCES public.assessment_sessions(id) ON DELETE CASCADE,
+  roadmap_id UUID REFERENCES public.roadmaps(id) ON DELETE CASCADE NOT NULL,
+  milestone_id UUID REFERENCES public.milestones(id) ON DELETE SET NULL,
+
+  -- The misalignment being re-rated
+  question TEXT NOT NULL,
+  question_id TEXT,
+  category TEXT,
+
+  user_id UUID REFERENCES auth.users(id) DEFAULT auth.uid() NOT NULL,
+  partner_name TEXT,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  note TEXT CHECK (length(note) <= 1000),
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_checkins_session
+  ON public.assessment_checkins (session_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_checkins_milestone
+  ON public.assessment_checkins (milestone_id, created_at);
+
+ALTER TABLE public.assessment_checkins ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Dream members can view re-ratings"
+  ON public.assessment_checkins FOR SELECT
+  USING (
+    user_can_access_roadmap(roadmap_id)
+    OR (session_id IS NOT NULL AND public.assessment_seat(session_id) IS NOT NULL)
+  );
+
+CREATE POLICY "Dream editors add their own re-ratings"
+  ON public.assessment_checkins FOR INSERT
+  WITH CHECK (
+    user_id = auth.uid()
+    AND user_has_roadmap_role(roadmap_id, 'editor')
+    AND (milestone_id IS NULL OR EXISTS (
+      SELECT 1 FROM public.milestones m
+      WHERE m.id = milestone_id AND m.roadmap_id = assessment_checkins.roadmap_id
+    ))
+    AND (session_id IS NULL OR public.assessment_seat(session_id) IS NOT NULL)
+  );
+
+COMMENT ON TABLE public.assessment_checkins IS
+'Re-ratings (1-5) of assessment misalignments, made at a conversation milestone''s check-in';
@@ -4,8 +4,17 @@
 const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
-const fetch = require('node-fetch');
 const { validateServerEnv, getServerConfig, logConfig } = require('./src/config/serverEnv');
+const { createAuthMiddleware, createAdminGuard, getBearerToken } = require('./server/auth');
+const { createRateLimiter } = require('./server/rateLimit');
+const { ERROR_CODES, sendError } = require('./server/errors');
+const { resolvePrompt, resolveMessages, listProfiles } = require('./server/prompts');
+const { createProviderRouter, generateText } = require('./server/providers');
+const { createUsageLedger, createUsageStore } = require('./server/usage');
+const { createCacheKey, createResponseCache } = require('./server/responseCache');
+const { withRetry, isAbortError, createDisconnectSignal } = require('./server/retry');
+const { STREAM_PROTOCOL_VERSION, STREAM_EVENTS, STREAM_HEADERS, createStreamWriter } = require('./server/streamProtocol');
+const { createCalendarSource } = require('./server/calendar');
 
 // Validate environment before starting
 try {
@@ -19,6 +28,126 @@ const config = getServerConfig();
 const app = express();
 const PORT = config.server.port;
 
+if (config.server.trustProxy) {
+  app.set('trust proxy', config.server.trustProxy);
+}
+
+// Every route that spends our Claude API key must verify the caller
+// and draw from their rate limit bucket first
+const authenticate = createAuthMiddleware({
+  supabaseUrl: config.supabase.url,
+  supabaseAnonKey: config.supabase.anonKey,
+  allowGuests: config.auth.allowGuests,
+});
+const rateLimit = createRateLimiter(config.rateLimits);
+const requireAiAccess = [authenticate, rateLimit];
+
+// Usage pages need a signed-in user even when guests may chat with Luna
+const requireUser = createAuthMiddleware({
+  supabaseUrl: config.supabase.url,
+  supabaseAnonKey: config.supabase.anonKey,
+  allowGuests: false,
+});
+const requireAdmin = [requireUser, createAdminGuard(config.auth.adminUserIds)];
+
+// Provider and model per route (Anthropic, or the offline fixture mock)
+const llm = createProviderRouter(config.llm);
+
+// Tokens and cost of every call, per user and prompt profile
+const usageLedger = createUsageLedger({
+  store: createUsageStore(config.supabase),
+  limits: config.usage.limits,
+});
+
+// Deterministic generations keyed by their inputs (cacheable prompt profiles only)
+const responseCache = config.responseCache.enabled ? createResponseCache(config.responseCache) : null;
+
+// ICS feed and export (server/calendar)
+const calendar = config.supabase.url && config.supabase.anonKey
+  ? createCalendarSource({ url: config.supabase.url, anonKey: config.supabase.anonKey })
+  : null;
+
+/**
+ * Render the prompt profile for a route. System prompts, tools, limits and
+ * the user turn of template profiles come from server/prompts - never from
+ * the request body. Chat messages are checked before they're sent on.
+ * Sends a 400 and returns null when the profile or messages can't be used here.
+ */
+const resolveRoutePrompt = (req, res, route, {
+  profileId = req.body.profile,
+  variables = req.body.variables,
+  messages = req.body.messages
+} = {}) => {
+  try {
+    const prompt = resolvePrompt({ profileId, route, variables });
+    prompt.messages = resolveMessages(prompt, messages);
+    res.setHeader('X-Prompt-Profile', `${prompt.profile.id}@${prompt.profile.version}`);
+    return prompt;
+  } catch (error) {
+    if (!error.code) throw error;
+    sendError(res, error.status || 400, error.code, error.message);
+    return null;
+  }
+};
+
+/**
+ * Enforce the caller's subscription tier limits for a prompt profile.
+ * Sends a 402/429 and returns false when the call isn't allowed.
+ */
+const checkUsageLimits = async (req, res, prompt) => {
+  try {
+    await usageLedger.assertWithinLimits(req.user, prompt.profile.id);
+    return true;
+  } catch (error) {
+    if (!error.code) throw error;
+    sendError(res, error.status, error.code, error.message, error.details);
+    return false;
+  }
+};
+
+/**
+ * Add a finished model call to the usage ledger
+ */
+const recordUsage = (req, route, prompt, provider, model, usage) => usageLedger.record({
+  user: req.user,
+  route,
+  profile: prompt.profile,
+  provider: provider.name,
+  model,
+  usage,
+});
+
+/**
+ * Run a provider call under the route's timeout and retry policy.
+ * `operation(signal)` must pass the signal to the provider so slow attempts
+ * and requests the browser abandoned (e.g. an unmounted component) are cut off.
+ */
+const callModel = (res, route, operation, options = {}) => withRetry(operation, {
+  ...config.llm.retry,
+  timeoutMs: config.llm.routes[route].timeoutMs,
+  signal: createDisconnectSignal(res),
+  label: `/api/${route}`,
+  ...options,
+});
+
+/**
+ * Answer a failed model call. Provider errors keep their upstream status
+ * (429, 529, ...) so the client can tell overload from a bug.
+ */
+const sendRouteError = (res, error, route) => {
+  if (isAbortError(error)) {
+    // The browser went away - nobody is listening for an answer
+    console.log(`⏹️ Client aborted /api/${route}`);
+    return null;
+  }
+  if (error.code === ERROR_CODES.PROVIDER_ERROR) {
+    console.error(`❌ LLM provider error (${route}):`, error.status, error.message);
+    return sendError(res, error.status, error.code, error.message);
+  }
+  console.error(`❌ Server error (${route}):`, error);
+  return res.status(500).json({ error: 'Internal server error', details: error.message });
+};
+
 // Enable Gzip compression for all responses
 app.use(compression());
 
@@ -40,7 +169,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Prompt-Profile', 'X-Cache', 'X-Stream-Protocol', 'Retry-After', 'X-RateLimit-Remaining']
 }));
 
 // Disable caching
@@ -61,19 +191,98 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Luna backend is running' });
 });
 
+// Prompt profiles the proxy accepts (ids, versions, routes and tool names - no prompt text)
+app.get('/api/prompt-profiles', (req, res) => {
+  res.json({ profiles: listProfiles() });
+});
+
+// This month's Luna usage for the signed-in user (Settings > Luna usage)
+app.get('/api/usage/me', requireUser, async (req, res) => {
+  try {
+    res.json(await usageLedger.getUserUsage(req.user));
+  } catch (error) {
+    console.error('❌ Failed to load AI usage:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Usage across all users, grouped by user, feature, route and model
+// ?since=<ISO date> (default: start of this month) &userId=<uuid>
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+  const { since, userId } = req.query;
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be an ISO date' });
+  }
+
+  try {
+    const rows = await usageLedger.summarize({
+      since: since ? new Date(since).toISOString() : undefined,
+      userId: userId || null,
+    });
+    res.json({ rows });
+  } catch (error) {
+    console.error('❌ Failed to load AI usage:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Calendar subscription feed. The secret token in the URL is the only
+// credential calendar apps can send, so there is no session here.
+app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+  if (!calendar) {
+    return sendError(res, 503, ERROR_CODES.CALENDAR_UNAVAILABLE, 'Calendar sync is not configured on this server.');
+  }
+
+  try {
+    const ics = await calendar.getFeedCalendar(req.params.token);
+    if (!ics) {
+      return sendError(res, 404, ERROR_CODES.CALENDAR_FEED_NOT_FOUND, 'This calendar link has been turned off or replaced.');
+    }
+    res.type('text/calendar; charset=utf-8').send(ics);
+  } catch (error) {
+    console.error('❌ Failed to build calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// One-off .ics download for the signed-in user (?milestoneId=<uuid> for one milestone)
+app.get('/api/calendar/export.ics', requireUser, async (req, res) => {
+  if (!calendar) {
+    return sendError(res, 503, ERROR_CODES.CALENDAR_UNAVAILABLE, 'Calendar sync is not configured on this server.');
+  }
+
+  try {
+    const ics = await calendar.getUserCalendar(getBearerToken(req), {
+      milestoneId: req.query.milestoneId || null,
+      name: req.query.name || undefined,
+    });
+    res
+      .type('text/calendar; charset=utf-8')
+      .attachment('together-forward.ics')
+      .send(ics);
+  } catch (error) {
+    console.error('❌ Failed to export calendar:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // Proxy Claude API calls with function calling support
-app.post('/api/claude', async (req, res) => {
-  const { messages, systemPrompt, tools, maxTokens = 2048, temperature = 1.0 } = req.body;
+app.post('/api/claude', requireAiAccess, async (req, res) => {
+  const prompt = resolveRoutePrompt(req, res, 'claude');
+  if (!prompt || !(await checkUsageLimits(req, res, prompt))) return;
+  const { system, messages, tools, maxTokens, temperature } = prompt;
+  const { provider, model } = llm.forRoute('claude');
 
   console.log('🤖 Proxying request to Claude API...', {
-    messageCount: messages?.length,
-    systemPrompt: systemPrompt?.substring(0, 50),
+    messageCount: messages.length,
+    profile: prompt.profile.id,
+    provider: provider.name,
     toolsCount: tools?.length || 0
   });
 
   // DEBUG: Log full message structure and tool usage
   console.log('📋 Full message array:');
-  messages?.forEach((msg, i) => {
+  messages.forEach((msg, i) => {
     if (Array.isArray(msg.content)) {
       const types = msg.content.map(c => c.type).join(', ');
       console.log(`  [${i}] role: ${msg.role}, content: [${types}]`);
@@ -89,314 +298,252 @@ app.post('/api/claude', async (req, res) => {
   });
 
   try {
-    const apiBody = {
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: maxTokens,
-      temperature: temperature,
-      system: systemPrompt,
-      messages: messages
-    };
-
-    // Add tools if provided (for function calling)
-    if (tools && tools.length > 0) {
-      apiBody.tools = tools;
-    }
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.claude.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(apiBody)
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ Claude API error:', error);
-      return res.status(response.status).json({ error: error.error?.message || 'API call failed' });
-    }
+    const data = await callModel(res, 'claude', signal => provider.createMessage({
+      model,
+      system,
+      messages,
+      tools,
+      maxTokens,
+      temperature,
+      profile: prompt.profile.id,
+      signal
+    }));
 
-    const data = await response.json();
     console.log('✅ Claude API success!', {
       model: data.model,
       usage: data.usage,
       stop_reason: data.stop_reason
     });
+    recordUsage(req, 'claude', prompt, provider, data.model || model, data.usage);
 
     // Return full response (not just text) to support function calling
     res.json(data);
   } catch (error) {
-    console.error('❌ Server error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    sendRouteError(res, error, 'claude');
   }
 });
 
 // New endpoint for intelligent content generation
-app.post('/api/claude-generate', async (req, res) => {
-  const { prompt, systemPrompt, maxTokens = 2048, temperature = 0.8 } = req.body;
+app.post('/api/claude-generate', requireAiAccess, async (req, res) => {
+  const { bypassCache } = req.body;
+  if (req.body.prompt !== undefined) {
+    return sendError(res, 400, ERROR_CODES.FREEFORM_PROMPT_NOT_ALLOWED,
+      'Free-form prompts are not accepted - send the prompt profile\'s variables instead');
+  }
+  const resolved = resolveRoutePrompt(req, res, 'claude-generate');
+  if (!resolved || !(await checkUsageLimits(req, res, resolved))) return;
+  const { system, messages, maxTokens, temperature } = resolved;
+  const { provider, model } = llm.forRoute('claude-generate');
+
+  const cacheKey = responseCache && resolved.profile.cacheable
+    ? createCacheKey({ profile: resolved.profile, provider: provider.name, model, system, messages })
+    : null;
+  if (cacheKey && !bypassCache) {
+    const cached = responseCache.get(cacheKey);
+    if (cached !== undefined) {
+      console.log('⚡ Serving cached generation', { profile: resolved.profile.id });
+      res.setHeader('X-Cache', 'HIT');
+      return res.json({ content: cached });
+    }
+  }
 
-  console.log('🧠 Generating intelligent content with Claude...');
-  console.log('📝 System prompt length:', systemPrompt?.length || 0);
-  console.log('📝 User prompt length:', prompt?.length || 0);
-  console.log('📝 User prompt preview:', prompt?.substring(0, 200));
+  console.log('🧠 Generating intelligent content with Claude...', { profile: resolved.profile.id, provider: provider.name });
+  console.log('📝 System prompt length:', system.length);
+  console.log('📝 User prompt length:', messages[0].content.length);
+  console.log('📝 User prompt preview:', messages[0].content.substring(0, 200));
 
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.claude.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: config.claude.model,
-        max_tokens: maxTokens,
-        temperature: temperature,
-        system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ Claude API error (claude-generate):', JSON.stringify(error, null, 2));
-      console.error('❌ Status:', response.status);
-      console.error('❌ Error type:', error.error?.type);
-      console.error('❌ Error message:', error.error?.message);
-      return res.status(response.status).json({ error: error.error?.message || 'API call failed' });
-    }
+    const { text, message } = await callModel(res, 'claude-generate', signal => generateText(provider, {
+      model,
+      system,
+      messages,
+      maxTokens,
+      temperature,
+      profile: resolved.profile.id,
+      signal
+    }));
 
-    const data = await response.json();
     console.log('✅ Claude content generation success!');
-    console.log('📊 Response content blocks:', data.content?.length || 0);
-
-    // Extract text content
-    const textContent = data.content.find(c => c.type === 'text');
-    if (!textContent) {
-      console.error('❌ No text content found in response');
-      console.error('Response structure:', JSON.stringify(data, null, 2));
-      return res.status(500).json({ error: 'No text content in response' });
-    }
+    recordUsage(req, 'claude-generate', resolved, provider, message.model || model, message.usage);
 
-    console.log('📤 Returning content, length:', textContent.text?.length || 0);
-    console.log('📤 Content preview:', textContent.text?.substring(0, 300));
+    if (cacheKey) {
+      // Truncated output (max_tokens) is usually broken JSON - don't serve it again
+      if (message.stop_reason !== 'max_tokens') responseCache.set(cacheKey, text);
+      res.setHeader('X-Cache', bypassCache ? 'BYPASS' : 'MISS');
+    }
+    console.log('📤 Returning content, length:', text?.length || 0);
+    console.log('📤 Content preview:', text?.substring(0, 300));
 
-    res.json({ content: textContent.text });
+    res.json({ content: text });
   } catch (error) {
-    console.error('❌ Server error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    sendRouteError(res, error, 'claude-generate');
   }
 });
 
 // Luna goal optimization endpoint - helps users plan their custom goals
-app.post('/api/luna/optimize-goals', async (req, res) => {
-  const { messages, context } = req.body;
+app.post('/api/luna/optimize-goals', requireAiAccess, async (req, res) => {
+  const { context } = req.body;
 
   console.log('🎯 Luna optimization request received...', {
-    messageCount: messages?.length,
+    messageCount: req.body.messages?.length,
     goalCount: context?.analysis?.totalGoals || 0
   });
 
-  try {
-    // Extract system prompt (first message) and conversation messages
-    const systemMessage = messages.find(m => m.role === 'system');
-    const conversationMessages = messages.filter(m => m.role !== 'system');
-
-    // Build the API request
-    const apiBody = {
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 1500,
-      temperature: 0.8,
-      system: systemMessage?.content || 'You are Luna, an expert AI planning advisor helping couples optimize their multi-goal roadmap.',
-      messages: conversationMessages
-    };
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.claude.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(apiBody)
-    });
+  // The optimizer prompt is rendered from the goal context, not a client system message
+  const prompt = resolveRoutePrompt(req, res, 'optimize-goals', {
+    profileId: 'luna-optimizer',
+    variables: context,
+    messages: Array.isArray(req.body.messages)
+      ? req.body.messages.filter(m => m && m.role !== 'system')
+      : req.body.messages
+  });
+  if (!prompt || !(await checkUsageLimits(req, res, prompt))) return;
+  const { provider, model } = llm.forRoute('optimize-goals');
 
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ Luna optimization error:', error);
-      return res.status(response.status).json({ error: error.error?.message || 'API call failed' });
-    }
+  try {
+    const { text, message } = await callModel(res, 'optimize-goals', signal => generateText(provider, {
+      model,
+      system: prompt.system,
+      messages: prompt.messages,
+      maxTokens: prompt.maxTokens,
+      temperature: prompt.temperature,
+      profile: prompt.profile.id,
+      signal
+    }));
 
-    const data = await response.json();
     console.log('✅ Luna optimization success!');
-
-    // Extract text content
-    const textContent = data.content.find(c => c.type === 'text');
-    if (!textContent) {
-      return res.status(500).json({ error: 'No text content in response' });
-    }
+    recordUsage(req, 'optimize-goals', prompt, provider, message.model || model, message.usage);
 
     // Return in format expected by frontend
-    res.json({ message: textContent.text });
+    res.json({ message: text });
   } catch (error) {
-    console.error('❌ Server error in Luna optimization:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    sendRouteError(res, error, 'optimize-goals');
   }
 });
 
 // Streaming endpoint for real-time text responses (like ChatGPT/Claude)
 // Now supports tool calling for Luna Overview Chat
-app.post('/api/claude-stream', async (req, res) => {
-  const { messages, systemPrompt, tools, maxTokens = 2048, temperature = 1.0 } = req.body;
-
-  console.log('🌊 Starting streaming response from Claude...');
+app.post('/api/claude-stream', requireAiAccess, async (req, res) => {
+  // Resolve before the SSE headers go out so a bad profile or message is a plain 400
+  const prompt = resolveRoutePrompt(req, res, 'claude-stream');
+  if (!prompt || !(await checkUsageLimits(req, res, prompt))) return;
+  const { system, messages, tools, maxTokens, temperature } = prompt;
+  const { provider, model } = llm.forRoute('claude-stream');
+
+  console.log('🌊 Starting streaming response from Claude...', { profile: prompt.profile.id, provider: provider.name });
   if (tools) {
     console.log(`   Tools enabled: ${tools.length} tools available`);
   }
 
   // Set up SSE headers
   res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
+    ...STREAM_HEADERS,
     'Access-Control-Allow-Origin': '*'
   });
-
-  try {
-    const apiBody = {
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: maxTokens,
-      temperature: temperature,
-      system: systemPrompt,
-      messages: messages,
-      stream: true  // Enable streaming
-    };
-
-    // Add tools if provided
-    if (tools && tools.length > 0) {
-      apiBody.tools = tools;
-    }
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.claude.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(apiBody)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Claude API streaming error:', response.status, errorText);
-      console.error('❌ Request body was:', JSON.stringify(apiBody, null, 2).substring(0, 500));
-      res.write(`event: error\ndata: ${JSON.stringify({ error: `API call failed: ${response.status} - ${errorText.substring(0, 200)}` })}\n\n`);
-      res.end();
-      return;
-    }
-
-    // Read and forward the stream
-    const reader = response.body;
-    let buffer = '';
-    let currentToolUse = null; // Track tool use being built
-    let currentToolInput = ''; // Accumulate JSON input
-
-    reader.on('data', (chunk) => {
-      buffer += chunk.toString();
-      const lines = buffer.split('\n');
-
-      // Keep last incomplete line in buffer
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6).trim();
-
-          if (data === '[DONE]') {
-            continue;
-          }
-
-          try {
-            const event = JSON.parse(data);
-
-            // Extract text chunk from content_block_delta
-            if (event.type === 'content_block_delta' &&
-                event.delta?.type === 'text_delta') {
-              res.write(`event: text\ndata: ${JSON.stringify({ text: event.delta.text })}\n\n`);
-            }
-
-            // Handle tool use start - Claude is calling a tool
-            if (event.type === 'content_block_start' &&
-                event.content_block?.type === 'tool_use') {
-              currentToolUse = {
-                id: event.content_block.id,
-                name: event.content_block.name
-              };
-              currentToolInput = '';
-              console.log(`🔧 Tool call started: ${currentToolUse.name}`);
+  const stream = createStreamWriter(res);
+
+  // Once output reached the browser a retry would repeat it - the client resumes instead
+  let started = false;
+  let message = null;
+
+  const streamAttempt = async (signal) => {
+    // Input tokens arrive with message_start, output tokens with message_delta
+    let usage = null;
+    let streamModel = model;
+    message = { id: null, stopReason: null, usage: null };
+
+    try {
+      const events = provider.streamMessage({
+        model,
+        system,
+        messages,
+        tools,
+        maxTokens,
+        temperature,
+        profile: prompt.profile.id,
+        signal
+      });
+
+      for await (const event of events) {
+        switch (event.type) {
+          case 'message_start':
+            usage = { ...event.message.usage };
+            streamModel = event.message.model || model;
+            message.id = event.message.id || null;
+            message.usage = usage;
+            stream.send(STREAM_EVENTS.MESSAGE_START, {
+              protocol: STREAM_PROTOCOL_VERSION,
+              id: message.id,
+              model: streamModel,
+              profile: `${prompt.profile.id}@${prompt.profile.version}`,
+              usage
+            });
+            break;
+
+          case 'text':
+            started = true;
+            stream.send(STREAM_EVENTS.TEXT, { text: event.text });
+            break;
+
+          case 'tool_use':
+            started = true;
+            console.log(`✅ Tool call complete: ${event.tool.name}`, event.tool.input);
+            stream.send(STREAM_EVENTS.TOOL_USE, { tool: event.tool });
+            break;
+
+          case 'tool_input_error':
+            started = true;
+            console.error(`❌ Failed to parse tool input for ${event.tool.name}:`, event.error);
+            stream.send(STREAM_EVENTS.TOOL_INPUT_ERROR, {
+              tool: { id: event.tool.id, name: event.tool.name },
+              error: event.error
+            });
+            break;
+
+          case 'message_delta':
+            usage = { ...usage, ...event.usage };
+            message.usage = usage;
+            stream.send(STREAM_EVENTS.USAGE, usage);
+            if (event.stopReason) {
+              message.stopReason = event.stopReason;
+              stream.send(STREAM_EVENTS.STOP_REASON, { stop_reason: event.stopReason });
             }
+            break;
 
-            // Accumulate tool input JSON
-            if (event.type === 'content_block_delta' &&
-                event.delta?.type === 'input_json_delta') {
-              currentToolInput += event.delta.partial_json;
-            }
-
-            // Handle content block stop - tool call complete
-            if (event.type === 'content_block_stop' && currentToolUse) {
-              try {
-                const toolInput = JSON.parse(currentToolInput);
-                console.log(`✅ Tool call complete: ${currentToolUse.name}`, toolInput);
-
-                // Send tool use event to client
-                res.write(`event: tool_use\ndata: ${JSON.stringify({
-                  tool: {
-                    id: currentToolUse.id,
-                    name: currentToolUse.name,
-                    input: toolInput
-                  }
-                })}\n\n`);
-              } catch (e) {
-                console.error('❌ Failed to parse tool input:', e);
-              }
-              currentToolUse = null;
-              currentToolInput = '';
-            }
-
-            // Send stop signal when stream ends
-            if (event.type === 'message_stop') {
-              res.write(`event: done\ndata: ${JSON.stringify({ done: true })}\n\n`);
-            }
-          } catch (e) {
-            // Skip non-JSON lines
-          }
+          default:
+            break;
         }
       }
-    });
+    } finally {
+      // Attempts that fail halfway still spent tokens
+      if (usage) recordUsage(req, 'claude-stream', prompt, provider, streamModel, usage);
+    }
+  };
 
-    reader.on('end', () => {
-      console.log('✅ Stream completed');
-      res.write(`event: done\ndata: ${JSON.stringify({ done: true })}\n\n`);
-      res.end();
-    });
+  try {
+    await callModel(res, 'claude-stream', streamAttempt, { canRetry: () => !started });
 
-    reader.on('error', (error) => {
-      console.error('❌ Stream error:', error);
-      res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
+    console.log('✅ Stream completed', { id: message.id, stopReason: message.stopReason });
+    stream.send(STREAM_EVENTS.DONE, {
+      id: message.id,
+      stop_reason: message.stopReason,
+      usage: message.usage
     });
-
+    res.end();
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log('⏹️ Client aborted /api/claude-stream');
+      return res.end();
+    }
     console.error('❌ Server error during streaming:', error);
-    res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+    const errorMessage = error.code === ERROR_CODES.PROVIDER_ERROR
+      ? `API call failed: ${error.status} - ${error.message}`
+      : error.message;
+    stream.send(STREAM_EVENTS.ERROR, {
+      error: errorMessage,
+      code: error.code || ERROR_CODES.PROVIDER_ERROR,
+      status: error.status || 500
+    });
     res.end();
   }
 });
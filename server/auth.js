@@ -0,0 +1,174 @@
+/**
+ * Supabase Access Token Verification
+ *
+ * The frontend already holds a Supabase session (AuthContext). It sends the
+ * access token as `Authorization: Bearer <token>` and we verify it against
+ * Supabase Auth before forwarding anything to Claude with our API key.
+ *
+ * Verified tokens are cached briefly so a streaming conversation doesn't
+ * cost a Supabase round trip per message.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { ERROR_CODES, sendError } = require('./errors');
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if not present
+ */
+const getBearerToken = (req) => {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Decode the `exp` claim of a JWT without verifying it.
+ * Only used to bound how long a verified token stays cached.
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in ms since epoch
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString('utf8'));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create the auth middleware
+ *
+ * Sets `req.user` to `{ id, email, tier, role }` for a valid token, or `null` for a guest
+ * (no token) when guests are allowed. Guests still go through the per-IP
+ * rate limit, so the onboarding flow keeps working before sign-up.
+ *
+ * @param {Object} options
+ * @param {string} options.supabaseUrl - Supabase project URL
+ * @param {string} options.supabaseAnonKey - Supabase anon key (sent as apikey)
+ * @param {boolean} options.allowGuests - Allow requests without a token
+ * @param {number} options.cacheTtlMs - Max time a verified token stays cached
+ * @param {Function} options.fetchImpl - fetch implementation (for tests)
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Function} Express middleware
+ */
+const createAuthMiddleware = ({
+  supabaseUrl,
+  supabaseAnonKey,
+  allowGuests = false,
+  cacheTtlMs = 60 * 1000,
+  fetchImpl = fetch,
+  now = Date.now,
+} = {}) => {
+  const verifiedTokens = new Map(); // tokenHash -> { user, expiresAt }
+
+  const pruneCache = () => {
+    const currentTime = now();
+    for (const [key, entry] of verifiedTokens) {
+      if (entry.expiresAt <= currentTime) verifiedTokens.delete(key);
+    }
+  };
+
+  /**
+   * Verify a token with Supabase Auth
+   * @returns {Promise<Object|null>} User or null if the token is invalid
+   * @throws {Error} If Supabase could not be reached
+   */
+  const verifyAccessToken = async (token) => {
+    const key = hashToken(token);
+    const cached = verifiedTokens.get(key);
+    if (cached && cached.expiresAt > now()) {
+      return cached.user;
+    }
+
+    const response = await fetchImpl(`${supabaseUrl}/auth/v1/user`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        apikey: supabaseAnonKey,
+      },
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      verifiedTokens.delete(key);
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Supabase auth returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    // app_metadata can only be written with the service role, so it's safe
+    // to trust for the subscription tier and admin role
+    const user = {
+      id: data.id,
+      email: data.email,
+      tier: data.app_metadata?.subscription_tier,
+      role: data.app_metadata?.role,
+    };
+
+    const tokenExpiry = getTokenExpiry(token) || Infinity;
+    if (verifiedTokens.size > 1000) pruneCache();
+    verifiedTokens.set(key, { user, expiresAt: Math.min(now() + cacheTtlMs, tokenExpiry) });
+
+    return user;
+  };
+
+  const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      if (allowGuests) {
+        req.user = null;
+        return next();
+      }
+      return sendError(res, 401, ERROR_CODES.AUTH_REQUIRED, 'Please sign in to chat with Luna.');
+    }
+
+    if (!supabaseUrl || !supabaseAnonKey) {
+      console.error('❌ Cannot verify access token: Supabase is not configured on the server');
+      return sendError(res, 503, ERROR_CODES.AUTH_UNAVAILABLE, 'Sign-in verification is temporarily unavailable.');
+    }
+
+    try {
+      const user = await verifyAccessToken(token);
+      if (!user) {
+        return sendError(res, 401, ERROR_CODES.AUTH_INVALID, 'Your session has expired. Please sign in again.');
+      }
+      req.user = user;
+      return next();
+    } catch (error) {
+      console.error('❌ Access token verification failed:', error.message);
+      return sendError(res, 503, ERROR_CODES.AUTH_UNAVAILABLE, 'Sign-in verification is temporarily unavailable.');
+    }
+  };
+
+  authenticate.verifyAccessToken = verifyAccessToken;
+  return authenticate;
+};
+
+/**
+ * Middleware that only lets admins through (run after an auth middleware
+ * that rejects guests). Admins are users with app_metadata.role = 'admin'
+ * or listed in ADMIN_USER_IDS.
+ * @param {string[]} adminUserIds - Extra admin user ids from the environment
+ * @returns {Function} Express middleware
+ */
+const createAdminGuard = (adminUserIds = []) => (req, res, next) => {
+  const isAdmin = req.user && (req.user.role === 'admin' || adminUserIds.includes(req.user.id));
+  if (!isAdmin) {
+    return sendError(res, 403, ERROR_CODES.ADMIN_REQUIRED, 'This endpoint is only available to admins.');
+  }
+  return next();
+};
+
+module.exports = {
+  createAuthMiddleware,
+  createAdminGuard,
+  getBearerToken,
+};
@@ -0,0 +1,113 @@
+/**
+ * iCalendar (RFC 5545) Formatting
+ *
+ * Turns calendar entries into an .ics document. Every entry is an all-day
+ * event: tasks, payments and target dates have a date, not a time.
+ *
+ *   { uid, date: 'YYYY-MM-DD', summary, description?, categories? }
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * Splits between characters so multi-byte UTF-8 (emoji, accents) stays intact.
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+      // Continuation lines start with a space, which counts toward the limit
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+const toIcsDate = (value) => String(value).split('T')[0].replace(/-/g, '');
+
+const nextDay = (value) => {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+};
+
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build an .ics calendar
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array} options.events - Entries (see top of file)
+ * @param {string} options.refreshInterval - ISO 8601 duration subscribers should poll at
+ * @param {Date} options.now - DTSTAMP (for tests)
+ * @returns {string} The .ics document
+ */
+const formatCalendar = ({
+  name = 'Together Forward',
+  events = [],
+  refreshInterval = 'PT6H',
+  now = new Date(),
+} = {}) => {
+  const stamp = toIcsTimestamp(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Together Forward//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+    `X-PUBLISHED-TTL:${refreshInterval}`,
+  ];
+
+  events
+    .filter(event => event.uid && event.date)
+    .forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+        `DTEND;VALUE=DATE:${toIcsDate(nextDay(event.date))}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+      );
+      if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+      lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatCalendar,
+};
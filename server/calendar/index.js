@@ -0,0 +1,119 @@
+/**
+ * Calendar Sync
+ *
+ * Task due dates, upcoming expense payments and milestone target dates as
+ * iCalendar, for two routes:
+ *
+ *   GET /api/calendar/feed/<token>.ics - subscription feed (calendar apps poll it)
+ *   GET /api/calendar/export.ics       - one-off download for the signed-in user
+ *
+ * What a user sees comes from Supabase RPCs (migrations/024_calendar_feeds.sql):
+ * get_calendar_feed resolves the secret feed token, get_my_calendar_events
+ * runs as the user behind the access token. Both only need the anon key.
+ */
+
+const fetch = require('node-fetch');
+const { formatCalendar } = require('./ics');
+
+const UID_DOMAIN = 'together-forward.app';
+
+const formatAmount = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'EUR' }).format(amount);
+  } catch (error) {
+    return `${amount} ${currency || ''}`.trim();
+  }
+};
+
+// 'Dream › Milestone' context line
+const describeWhere = (row) => [row.roadmap_title, row.milestone_title].filter(Boolean).join(' › ');
+
+/**
+ * Calendar entries from calendar_events_for_user() data
+ * @param {Object} data - { tasks, expenses, milestones }
+ * @returns {Array} Entries for formatCalendar
+ */
+const buildCalendarEvents = ({ tasks = [], expenses = [], milestones = [] } = {}) => [
+  ...tasks.map(task => ({
+    uid: `task-${task.id}@${UID_DOMAIN}`,
+    date: task.due_date,
+    summary: task.parent_title ? `${task.parent_title}: ${task.title}` : task.title,
+    description: [
+      describeWhere(task),
+      task.assigned_to ? `Assigned to ${task.assigned_to}` : 'For both of you',
+      task.description,
+    ].filter(Boolean).join('\n'),
+    categories: ['Task'],
+  })),
+  ...expenses.map(expense => ({
+    uid: `expense-${expense.id}@${UID_DOMAIN}`,
+    date: expense.due_date,
+    summary: `Payment due: ${expense.title} (${formatAmount(expense.amount, expense.currency)})`,
+    description: [describeWhere(expense), expense.description].filter(Boolean).join('\n'),
+    categories: ['Payment'],
+  })),
+  ...milestones.map(milestone => ({
+    uid: `milestone-${milestone.id}@${UID_DOMAIN}`,
+    date: milestone.target_date,
+    summary: `Target date: ${milestone.title}`,
+    description: milestone.roadmap_title || '',
+    categories: ['Milestone'],
+  })),
+];
+
+/**
+ * Create the Supabase-backed calendar source
+ * @param {Object} options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.anonKey - Supabase anon key
+ * @param {Function} options.fetchImpl - fetch implementation (for tests)
+ * @returns {{ getFeedCalendar: Function, getUserCalendar: Function }}
+ */
+const createCalendarSource = ({ url, anonKey, fetchImpl = fetch }) => {
+  const rpc = async (name, body, accessToken = anonKey) => {
+    const response = await fetchImpl(`${url.replace(/\/$/, '')}/rest/v1/rpc/${name}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'apikey': anonKey,
+        'Authorization': `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Calendar request failed: ${response.status} - ${errorText}`);
+    }
+    return response.json();
+  };
+
+  /**
+   * Subscription feed for a secret token
+   * @param {string} token
+   * @returns {Promise<string|null>} .ics document, or null for an unknown/revoked token
+   */
+  const getFeedCalendar = async (token) => {
+    const data = await rpc('get_calendar_feed', { p_token: token });
+    if (!data) return null;
+    return formatCalendar({ events: buildCalendarEvents(data) });
+  };
+
+  /**
+   * One-off export for a signed-in user
+   * @param {string} accessToken - The user's Supabase access token
+   * @param {Object} options - { milestoneId, name }
+   * @returns {Promise<string>} .ics document
+   */
+  const getUserCalendar = async (accessToken, { milestoneId = null, name } = {}) => {
+    const data = await rpc('get_my_calendar_events', { p_milestone_id: milestoneId }, accessToken);
+    return formatCalendar({ name, events: buildCalendarEvents(data) });
+  };
+
+  return { getFeedCalendar, getUserCalendar };
+};
+
+module.exports = {
+  buildCalendarEvents,
+  createCalendarSource,
+  formatCalendar,
+};
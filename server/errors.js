@@ -0,0 +1,60 @@
+/**
+ * Structured API Errors
+ *
+ * Every error the backend sends has the same JSON shape so the frontend
+ * can map `code` to a friendly message instead of showing raw API text:
+ *
+ *   { error: 'Human readable message', code: 'RATE_LIMITED', ...details }
+ */
+
+const ERROR_CODES = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_INVALID: 'AUTH_INVALID',
+  AUTH_UNAVAILABLE: 'AUTH_UNAVAILABLE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ADMIN_REQUIRED: 'ADMIN_REQUIRED',
+  UPGRADE_REQUIRED: 'UPGRADE_REQUIRED',
+  USAGE_LIMIT_REACHED: 'USAGE_LIMIT_REACHED',
+  UNKNOWN_PROMPT_PROFILE: 'UNKNOWN_PROMPT_PROFILE',
+  PROFILE_NOT_ALLOWED: 'PROFILE_NOT_ALLOWED',
+  INVALID_PROMPT_VARIABLES: 'INVALID_PROMPT_VARIABLES',
+  INVALID_MESSAGES: 'INVALID_MESSAGES',
+  FREEFORM_PROMPT_NOT_ALLOWED: 'FREEFORM_PROMPT_NOT_ALLOWED',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  CALENDAR_FEED_NOT_FOUND: 'CALENDAR_FEED_NOT_FOUND',
+  CALENDAR_UNAVAILABLE: 'CALENDAR_UNAVAILABLE',
+};
+
+/**
+ * Send a structured error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable message
+ * @param {Object} details - Extra fields merged into the body (e.g. retryAfter)
+ */
+const sendError = (res, status, code, message, details = {}) => {
+  return res.status(status).json({ error: message, code, ...details });
+};
+
+/**
+ * Create an error for a failed LLM provider call
+ * `status` is passed through to the client so upstream 429/529s stay visible
+ * @param {number} status - HTTP status from the provider (500 for local failures)
+ * @param {string} message - Human readable message
+ * @param {number|null} retryAfter - Seconds the provider asked us to wait (retry-after)
+ * @returns {Error}
+ */
+const createProviderError = (status, message, retryAfter = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = ERROR_CODES.PROVIDER_ERROR;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+module.exports = {
+  ERROR_CODES,
+  sendError,
+  createProviderError,
+};
@@ -0,0 +1,289 @@
+/**
+ * Prompt Profile Registry
+ *
+ * The proxy does not accept system prompts, tools or limits from the browser.
+ * Clients name a profile and send the variables it declares; the server
+ * renders the versioned system prompt and fixes the tool list, max tokens
+ * and temperature.
+ *
+ * Template profiles (everything that isn't a conversation) also render the
+ * user turn with buildMessages, so the client sends data, never instructions.
+ * Only chat profiles take messages from the client, and those are checked
+ * by resolveMessages: user/assistant turns only, capped in count and length,
+ * tool blocks only for profiles that have tools.
+ *
+ * Profile shape (one file per profile in ./profiles):
+ *   id              - Stable name the client sends, e.g. 'luna-overview'
+ *   version         - Bumped whenever the prompt text or tools change
+ *   routes          - Proxy routes allowed to use it: 'claude' | 'claude-stream' | 'claude-generate' | 'optimize-goals'
+ *   maxTokens       - Max output tokens
+ *   temperature     - Sampling temperature
+ *   tools           - Tool definitions for function calling (optional)
+ *   cacheable       - Cache responses by content (server/responseCache.js), for
+ *                     deterministic generations only - never chat (optional)
+ *   variables       - { name: { type, required?, default?, maxLength?, maxItems?, values? } }
+ *   buildSystemPrompt(vars) - Renders the system prompt from sanitized variables
+ *   buildMessages(vars)     - Renders the user turn(s) of a template profile (optional;
+ *                             without it the profile is a chat and the client sends messages)
+ */
+
+const { ERROR_CODES } = require('../errors');
+
+const PROFILES = [
+  require('./profiles/lunaPlanner'),
+  require('./profiles/lunaGreeting'),
+  require('./profiles/lunaOnboarding'),
+  require('./profiles/lunaDeepDive'),
+  require('./profiles/lunaOverview'),
+  require('./profiles/lunaOptimizer'),
+  require('./profiles/conversationExtraction'),
+  require('./profiles/roadmapJson'),
+  require('./profiles/roadmapArchitect'),
+  require('./profiles/deepDiveInsights'),
+  require('./profiles/milestoneChallenges'),
+  require('./profiles/milestoneActionSteps'),
+  require('./profiles/assessmentQuestions'),
+  require('./profiles/assessmentAnalysis'),
+  require('./profiles/assessmentFollowUp'),
+  require('./profiles/coupleAssessment'),
+  require('./profiles/pdfNarrative'),
+];
+
+const registry = new Map(PROFILES.map(profile => [profile.id, profile]));
+
+// Hard caps applied to every variable, whatever its declared type
+const MAX_STRING_LENGTH = 2000;
+const MAX_TEXT_LENGTH = 12000;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_DEPTH = 4;
+
+// Caps on client messages for chat profiles
+const MAX_CHAT_MESSAGES = 100;
+const MAX_BLOCK_LENGTH = 24000;
+const MAX_CHAT_LENGTH = 200000;
+const CHAT_ROLES = ['user', 'assistant'];
+const TOOL_BLOCK_TYPES = ['tool_use', 'tool_result'];
+
+const createPromptError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Clamp arbitrary JSON so a client can't smuggle a novel through a variable
+ */
+const clampJson = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return value.slice(0, MAX_STRING_LENGTH);
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value;
+  if (depth >= MAX_DEPTH) return null;
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ARRAY_ITEMS).map(item => clampJson(item, depth + 1));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).slice(0, MAX_ARRAY_ITEMS).map(([key, item]) => [key, clampJson(item, depth + 1)])
+    );
+  }
+  return null;
+};
+
+/**
+ * Coerce one variable to its declared type
+ */
+const sanitizeVariable = (value, spec) => {
+  switch (spec.type) {
+    case 'string':
+      if (spec.values && !spec.values.includes(value)) {
+        throw createPromptError(ERROR_CODES.INVALID_PROMPT_VARIABLES, `Expected one of ${spec.values.join(', ')}`);
+      }
+      return String(value).slice(0, spec.maxLength || MAX_STRING_LENGTH);
+    case 'text':
+      return String(value).slice(0, spec.maxLength || MAX_TEXT_LENGTH);
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : spec.default;
+    }
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'array':
+      return Array.isArray(value)
+        ? value.slice(0, spec.maxItems || MAX_ARRAY_ITEMS).map(item => clampJson(item, 1))
+        : spec.default;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? clampJson(value) : spec.default;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Keep only declared variables, coerce their types and apply defaults
+ * @param {Object} declared - Profile variable specs
+ * @param {Object} input - Variables from the request body
+ * @returns {Object} Sanitized variables
+ * @throws {Error} INVALID_PROMPT_VARIABLES if a required variable is missing
+ */
+const sanitizeVariables = (declared = {}, input = {}) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const result = {};
+
+  for (const [name, spec] of Object.entries(declared)) {
+    const raw = source[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.required) {
+        throw createPromptError(ERROR_CODES.INVALID_PROMPT_VARIABLES, `Missing required variable "${name}"`);
+      }
+      result[name] = spec.default;
+      continue;
+    }
+    result[name] = sanitizeVariable(raw, spec);
+  }
+
+  return result;
+};
+
+/**
+ * Characters one content block carries
+ */
+const blockLength = (block) => (typeof block === 'string'
+  ? block.length
+  : JSON.stringify(block.text ?? block.input ?? block.content ?? '').length);
+
+/**
+ * Check one client message against a chat profile
+ * @returns {number} Characters in the message
+ * @throws {Error} INVALID_MESSAGES
+ */
+const checkMessage = (profile, message, index) => {
+  const invalid = (reason) => createPromptError(ERROR_CODES.INVALID_MESSAGES, `Message ${index}: ${reason}`);
+  const content = message && message.content;
+
+  if (!message || !CHAT_ROLES.includes(message.role)) {
+    throw invalid('role must be user or assistant');
+  }
+  if (typeof content !== 'string' && !Array.isArray(content)) {
+    throw invalid('content must be text or content blocks');
+  }
+
+  const blocks = typeof content === 'string' ? [content] : content;
+  blocks.forEach(block => {
+    if (typeof block !== 'string') {
+      const type = block && block.type;
+      if (type === 'text' ? typeof block.text !== 'string' : !TOOL_BLOCK_TYPES.includes(type)) {
+        throw invalid(`unsupported content block "${type}"`);
+      }
+      if (type !== 'text' && !(profile.tools && profile.tools.length > 0)) {
+        throw invalid(`"${profile.id}" has no tools`);
+      }
+    }
+    if (blockLength(block) > MAX_BLOCK_LENGTH) throw invalid('too long');
+  });
+
+  return blocks.reduce((sum, block) => sum + blockLength(block), 0);
+};
+
+/**
+ * The messages to send for a resolved prompt
+ *
+ * Template profiles render their own user turn; the client may only add an
+ * assistant prefill so an interrupted response continues where it stopped.
+ * Chat profiles take the client's conversation after checking every message.
+ *
+ * @param {Object} prompt - resolvePrompt() result
+ * @param {Array} messages - Messages from the request body
+ * @returns {Array} Messages for the provider
+ * @throws {Error} With `code` INVALID_MESSAGES
+ */
+const resolveMessages = (prompt, messages) => {
+  const { profile } = prompt;
+  const input = messages === undefined || messages === null ? [] : messages;
+
+  if (!Array.isArray(input)) {
+    throw createPromptError(ERROR_CODES.INVALID_MESSAGES, 'messages must be an array');
+  }
+
+  if (prompt.messages) {
+    const [prefill, ...rest] = input;
+    if (rest.length > 0 || (prefill && (prefill.role !== 'assistant' || typeof prefill.content !== 'string'))) {
+      throw createPromptError(
+        ERROR_CODES.INVALID_MESSAGES,
+        `Prompt profile "${profile.id}" renders its own messages - send its variables instead`
+      );
+    }
+    return prefill
+      ? [...prompt.messages, { role: 'assistant', content: prefill.content.slice(0, MAX_BLOCK_LENGTH) }]
+      : prompt.messages;
+  }
+
+  if (input.length === 0 || input.length > MAX_CHAT_MESSAGES) {
+    throw createPromptError(ERROR_CODES.INVALID_MESSAGES, `Send between 1 and ${MAX_CHAT_MESSAGES} messages`);
+  }
+  const length = input.reduce((sum, message, index) => sum + checkMessage(profile, message, index), 0);
+  if (length > MAX_CHAT_LENGTH) {
+    throw createPromptError(ERROR_CODES.INVALID_MESSAGES, 'Conversation is too long');
+  }
+
+  return input;
+};
+
+/**
+ * Look up a profile by id
+ * @param {string} id - Profile id
+ * @returns {Object|undefined}
+ */
+const getProfile = (id) => registry.get(id);
+
+/**
+ * Resolve a profile into the pieces of a Claude request
+ * @param {Object} params
+ * @param {string} params.profileId - Profile id sent by the client
+ * @param {string} params.route - Proxy route name
+ * @param {Object} params.variables - Raw variables from the request body
+ * @returns {{ profile: Object, system: string, messages: Array|null, tools: Array|undefined, maxTokens: number, temperature: number }}
+ *   `messages` is the rendered user turn of a template profile, null for chat profiles
+ * @throws {Error} With `code` UNKNOWN_PROMPT_PROFILE, PROFILE_NOT_ALLOWED or INVALID_PROMPT_VARIABLES
+ */
+const resolvePrompt = ({ profileId, route, variables }) => {
+  const profile = getProfile(profileId);
+  if (!profile) {
+    throw createPromptError(ERROR_CODES.UNKNOWN_PROMPT_PROFILE, `Unknown prompt profile "${profileId}"`);
+  }
+  if (!profile.routes.includes(route)) {
+    throw createPromptError(ERROR_CODES.PROFILE_NOT_ALLOWED, `Prompt profile "${profileId}" cannot be used on ${route}`);
+  }
+
+  const vars = sanitizeVariables(profile.variables, variables);
+
+  return {
+    profile,
+    system: profile.buildSystemPrompt(vars),
+    messages: profile.buildMessages ? profile.buildMessages(vars) : null,
+    tools: profile.tools && profile.tools.length > 0 ? profile.tools : undefined,
+    maxTokens: profile.maxTokens,
+    temperature: profile.temperature,
+  };
+};
+
+/**
+ * Public summary of the registry (no prompt text)
+ */
+const listProfiles = () => PROFILES.map(({ id, version, routes, tools, cacheable, buildMessages }) => ({
+  id,
+  version,
+  routes,
+  tools: (tools || []).map(tool => tool.name),
+  cacheable: Boolean(cacheable),
+  template: Boolean(buildMessages),
+}));
+
+module.exports = {
+  getProfile,
+  resolvePrompt,
+  resolveMessages,
+  sanitizeVariables,
+  listProfiles,
+};
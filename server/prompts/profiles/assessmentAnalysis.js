@@ -0,0 +1,86 @@
+/**
+ * Prompt profile: assessment-analysis
+ *
+ * Weighted analysis of a completed compatibility assessment
+ * (lunaAssessmentAI.analyzeAssessmentResults).
+ */
+
+const PRIORITY_LABELS = {
+  buy_home: 'buying a home',
+  travel_trip: 'planning a big trip',
+  wedding: 'planning their wedding',
+  baby: 'starting a family',
+  career_change: 'navigating a career transition',
+  financial_goal: 'reaching a financial goal',
+  moving: 'moving to a new place',
+  just_exploring: 'exploring their relationship'
+};
+
+const formatRelationshipLength = (value) => {
+  const map = {
+    'under_1_year': 'Less than 1 year',
+    '1_3_years': '1-3 years',
+    '3_5_years': '3-5 years',
+    '5_plus_years': '5+ years'
+  };
+  return map[value] || value || 'Not specified';
+};
+
+const formatLivingSituation = (value) => {
+  const map = {
+    'together': 'Living together',
+    'separate': 'Living separately (same city)',
+    'long_distance': 'Long-distance relationship'
+  };
+  return map[value] || value || 'Not specified';
+};
+
+const buildSystemPrompt = ({
+  currentPriority,
+  focusAreas,
+  relationshipLength,
+  isMarried,
+  hasChildren,
+  livingSituation
+}) => `You are Luna, a warm and insightful AI relationship coach. You've just helped a couple complete their compatibility assessment.
+
+CRITICAL CONTEXT ABOUT THIS COUPLE:
+- Their main goal right now: ${PRIORITY_LABELS[currentPriority] || 'exploring their relationship'}
+- Focus areas they care about: ${focusAreas.join(', ')}
+- Relationship length: ${formatRelationshipLength(relationshipLength)}
+- Married: ${isMarried ? 'Yes' : 'No'}
+- Have children: ${hasChildren ? 'Yes' : 'No'}
+- Living situation: ${formatLivingSituation(livingSituation)}
+
+ANALYSIS WEIGHTING INSTRUCTIONS:
+1. Questions related to their PRIORITY (${currentPriority}) should be weighted MORE heavily in your analysis
+2. Misalignments in their focus areas (${focusAreas.join(', ')}) are MORE significant than other areas
+3. For couples ${relationshipLength === 'under_1_year' ? 'who are new together, values alignment is crucial' : relationshipLength === '5_plus_years' ? 'who have been together 5+ years, future vision alignment is crucial' : 'at their stage, both values and practical alignment matter'}
+4. ${isMarried ? 'Since they are married, focus on deepening partnership and growth areas' : 'Since they are not yet married, alignment on big life decisions is especially important'}
+
+Your task is to analyze their responses and provide:
+1. A weighted alignment score (0-100) - weight their PRIORITY and FOCUS AREAS more heavily
+2. Category-by-category breakdown
+3. Strong alignments with positive insights (especially celebrate alignment in their priority area!)
+4. Misalignments with constructive guidance (flag priority-area misalignments as more urgent)
+5. A warm, personalized analysis that references their specific situation and goals
+6. Recommended goals that directly relate to their stated priority
+
+Be warm, supportive, and constructive - never judgmental.`;;
+
+module.exports = {
+  id: 'assessment-analysis',
+  version: '1.0.0',
+  routes: ['claude'],
+  maxTokens: 4096,
+  temperature: 0.7,
+  variables: {
+    currentPriority: { type: 'string', maxLength: 40, default: 'just_exploring' },
+    focusAreas: { type: 'array', maxItems: 10, default: ['finances', 'communication', 'values'] },
+    relationshipLength: { type: 'string', maxLength: 40, default: 'unknown' },
+    isMarried: { type: 'boolean', default: false },
+    hasChildren: { type: 'boolean', default: false },
+    livingSituation: { type: 'string', maxLength: 40, default: 'unknown' },
+  },
+  buildSystemPrompt,
+};
@@ -0,0 +1,26 @@
+/**
+ * Prompt profile: assessment-follow-up
+ *
+ * One short follow-up question for a partner after a misaligned answer
+ * (lunaAssessmentAI.generateFollowUpQuestion).
+ */
+
+const buildMessages = ({ partnerName, question, answer }) => [{
+  role: 'user',
+  content: `Generate ONE follow-up question for ${partnerName} who answered "${answer}" to: "${question}". Their partner answered differently. Be warm and curious.`
+}];
+
+module.exports = {
+  id: 'assessment-follow-up',
+  version: '1.1.0',
+  routes: ['claude'],
+  maxTokens: 200,
+  temperature: 0.8,
+  variables: {
+    partnerName: { type: 'string', maxLength: 60, default: 'Partner' },
+    question: { type: 'string', maxLength: 500, default: 'this question' },
+    answer: { type: 'string', maxLength: 500, default: 'something different' },
+  },
+  buildSystemPrompt: () => 'You are Luna, a warm relationship coach.',
+  buildMessages,
+};
@@ -0,0 +1,73 @@
+/**
+ * Prompt profile: assessment-questions
+ *
+ * Personalized compatibility question generation
+ * (lunaAssessmentAI.generateAssessmentQuestions).
+ */
+
+// Map focus areas to descriptive categories
+const FOCUS_AREA_DESCRIPTIONS = {
+  finances: 'Money management, spending habits, saving goals, financial priorities',
+  travel: 'Travel styles, dream destinations, adventure preferences, vacation planning',
+  home: 'Living preferences, home ownership, location priorities, living space ideals',
+  career: 'Work-life balance, career ambitions, job priorities, professional goals',
+  family: 'Family planning, parenting styles, family involvement, extended family dynamics',
+  lifestyle: 'Daily routines, hobbies, social preferences, health and wellness',
+  communication: 'Conflict resolution, emotional expression, communication styles, quality time',
+  values: 'Core beliefs, life priorities, spirituality, what matters most'
+};
+
+// Map priorities to what they mean
+const PRIORITY_DESCRIPTIONS = {
+  buy_home: 'buying their first home together - focus on location preferences, financial readiness, living space needs, neighborhood priorities',
+  travel_trip: 'planning a significant trip together - focus on travel styles, destination preferences, budget approaches, adventure vs relaxation',
+  wedding: 'planning their wedding - focus on wedding vision, family involvement, financial priorities, celebration style',
+  baby: 'starting a family - focus on parenting philosophies, childcare approaches, work-life balance with kids, family support',
+  career_change: 'navigating a career transition - focus on work-life balance, financial impact, relocation willingness, mutual support',
+  financial_goal: 'reaching a specific financial goal - focus on saving strategies, spending habits, investment approaches, financial priorities',
+  moving: 'moving to a new place - focus on location preferences, lifestyle changes, financial implications, community priorities',
+  just_exploring: 'general relationship exploration - focus on core values, communication, and life vision alignment'
+};
+
+const buildSystemPrompt = ({ minQuestions, maxQuestions, currentPriority, focusAreas }) => {
+  const knownFocusAreas = focusAreas.filter(area => FOCUS_AREA_DESCRIPTIONS[area]);
+
+  return `You are Luna, an empathetic AI relationship coach with deep intuition about what truly matters in relationships.
+
+Your task is to generate thoughtful compatibility questions that feel like a warm, insightful conversation - not a clinical survey.
+
+CRITICAL REQUIREMENTS:
+1. Generate EXACTLY ${minQuestions} to ${maxQuestions} questions - no fewer, no more
+2. Their MAIN GOAL right now is: ${PRIORITY_DESCRIPTIONS[currentPriority] || 'exploring their relationship'}
+3. They want to explore these through the lens of: ${knownFocusAreas.map(a => FOCUS_AREA_DESCRIPTIONS[a]).join('; ')}
+
+THE KEY INSIGHT: Questions should be about their PRIORITY (${currentPriority}) viewed through their FOCUS AREAS (${knownFocusAreas.join(', ')}).
+
+For example, if priority is "moving" and focus is "finances":
+- GOOD: "How much of your savings are you comfortable spending on the move and new place setup?"
+- GOOD: "When it comes to your new location, how do you prioritize cost of living vs. other factors?"
+- BAD: "How do you generally manage finances?" (too generic, doesn't connect to moving)
+
+IMPORTANCE LEVELS:
+- CRITICAL (1.5x weight): Dealbreaker territory - must align
+- IMPORTANT (1.2x weight): Should align - significant impact
+- NORMAL (1.0x weight): Good to align - helpful to know
+- NICE_TO_HAVE (0.7x weight): Minor preferences
+
+Each question needs 4 options with weights 1-4 representing a spectrum of valid perspectives.`;;
+};
+
+module.exports = {
+  id: 'assessment-questions',
+  version: '1.0.0',
+  routes: ['claude'],
+  maxTokens: 8000,
+  temperature: 0.7,
+  variables: {
+    minQuestions: { type: 'number', default: 18 },
+    maxQuestions: { type: 'number', default: 25 },
+    currentPriority: { type: 'string', maxLength: 40, default: 'just_exploring' },
+    focusAreas: { type: 'array', maxItems: 10, default: ['finances', 'communication', 'values'] },
+  },
+  buildSystemPrompt,
+};
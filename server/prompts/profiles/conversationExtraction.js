@@ -0,0 +1,56 @@
+/**
+ * Prompt profile: conversation-extraction
+ *
+ * Pulls names, goals and goal details out of an onboarding conversation
+ * as JSON (claudeAPI.extractUserDataFromConversation).
+ */
+
+const formatTurn = (turn) => `${turn && turn.role}: ${turn && typeof turn.content === 'string' ? turn.content : ''}`;
+
+const buildMessages = ({ conversation }) => [{
+  role: 'user',
+  content: `Extract data from this conversation:\n\n${conversation.map(formatTurn).join('\n')}\n\nReturn only the JSON object, no other text.`
+}];
+
+module.exports = {
+  id: 'conversation-extraction',
+  version: '1.1.0',
+  routes: ['claude'],
+  maxTokens: 1024,
+  temperature: 0.3,
+  variables: {
+    // The onboarding conversation so far: [{ role, content }]
+    conversation: { type: 'array', maxItems: 50, default: [] },
+  },
+  buildSystemPrompt: () => `You are a data extraction assistant. Analyze the conversation and extract structured information from natural, conversational text.
+
+Extract and return ONLY a JSON object with these fields (use null if not found):
+{
+  "partner1": "first name mentioned",
+  "partner2": "second name mentioned",
+  "goals": ["array of goals - use EXACTLY these strings: 'Get Married', 'Get Engaged', 'Buy a Home', 'Start a Family', 'Dream Vacation', 'Build Savings'"],
+  "goalDetails": {
+    "vacation": { "destination": "", "budget": "", "timeframe": "", "type": "", "notes": "" },
+    "wedding": { "date": "", "size": "", "budget": "", "priorities": [], "notes": "" },
+    "home": { "location": "", "budget": "", "mustHaves": [], "timeline": "", "notes": "" },
+    "family": { "timeline": "", "concerns": [], "preparations": [], "notes": "" },
+    "savings": { "amount": "", "purpose": "", "timeline": "", "notes": "" }
+  },
+  "budget": "overall budget mentioned",
+  "timeline": "overall timeline mentioned",
+  "priorities": ["what matters most to them"]
+}
+
+IMPORTANT:
+- Extract information from NATURAL conversation, not just structured answers
+- Look for organic details like locations (Italy), themes (vintage), guest lists (close friends)
+- The "notes" field in goalDetails should capture these organic details
+- Examples:
+  * "We're thinking Italy with close friends" → wedding.notes = "Italy with close friends"
+  * "We want vintage decor" → wedding.notes += "; vintage decor"
+  * "Somewhere near the beach" → vacation.notes = "near the beach"
+- The "goals" array should contain multiple goals if mentioned
+- Use the EXACT strings listed above for goal names
+- Extract ALL goals mentioned, even if briefly referenced`,
+  buildMessages,
+};
@@ -0,0 +1,315 @@
+/**
+ * Prompt profile: couple-assessment
+ *
+ * Journey health assessment across roadmaps, tasks and budgets
+ * (assessmentIntelligenceAgent.generateCoupleAssessment). The client
+ * summarizes the couple's data into counts and short lists
+ * (buildAssessmentVariables); this profile turns them into the report.
+ */
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US') : 'Not set');
+const formatMoney = (amount) => `$${(Number(amount) || 0).toLocaleString('en-US')}`;
+const percent = (part, total) => (total > 0 ? ((part / total) * 100).toFixed(0) : 0);
+
+const formatRoadmaps = (roadmaps) => roadmaps.map((rm, idx) => `
+${idx + 1}. **${rm.title}**
+   - Location: ${rm.location || 'Not specified'}
+   - XP Points: ${rm.xpPoints || 0}
+   - Active Milestones: ${rm.activeMilestones || 0}
+   - Completed Milestones: ${rm.completedMilestones || 0}
+`).join('\n');
+
+const formatMilestones = ({ total = 0, completed = 0, inProgress = 0, notStarted = 0 }, milestones) => {
+  if (total === 0) {
+    return '- No milestones created yet';
+  }
+
+  return `
+- Completed: ${completed} (${percent(completed, total)}%)
+- In Progress: ${inProgress}
+- Not Started: ${notStarted}
+
+### Milestone Details:
+${milestones.map((m, idx) => {
+  const status = m.completed ? '✅' : m.progress > 0 ? '🔄' : '⏸️';
+
+  return `${idx + 1}. ${status} **${m.title}** (${m.type || 'general'})
+   - Progress: ${m.progress || 0}%
+   - Health Score: ${m.healthScore ?? 'N/A'}
+   - Target Date: ${formatDate(m.targetDate)}
+   - Budget: ${m.estimatedCost ? formatMoney(m.estimatedCost) : 'N/A'}`;
+}).join('\n')}
+${total > milestones.length ? `\n... and ${total - milestones.length} more milestones` : ''}
+`;
+};
+
+const formatTaskActivity = (recentTasks) => {
+  if (recentTasks.length === 0) {
+    return '- No tasks created yet';
+  }
+
+  const labels = { completed: '✅ Completed', overdue: '⚠️ Overdue', open: '📋 Open' };
+  return recentTasks
+    .map((t, idx) => `${idx + 1}. ${labels[t.status] || labels.open} - ${t.title} (${t.assignee || 'Both'})`)
+    .join('\n');
+};
+
+const formatFinances = (finances, budgetSummary, recentExpenses) => {
+  if (!finances) {
+    return '- No financial data available yet';
+  }
+
+  return `
+**Budget Overview:**
+- Total Budget: ${formatMoney(finances.totalBudget)}
+- Total Spent: ${formatMoney(finances.totalSpent)} (${percent(finances.totalSpent, finances.totalBudget)}%)
+- Remaining: ${formatMoney(finances.totalBudget - finances.totalSpent)}
+- Monetary Milestones: ${finances.monetaryMilestones || 0}
+- Tracked Expenses: ${finances.expenseCount || 0}
+
+${budgetSummary ? `
+**Budget Summary:**
+${JSON.stringify(budgetSummary, null, 2)}
+` : ''}
+
+${recentExpenses.length > 0 ? `
+**Recent Expenses:**
+${recentExpenses.map((e, idx) => `
+${idx + 1}. ${e.category || 'Uncategorized'}: ${formatMoney(e.amount)}
+   - Vendor: ${e.vendor || 'Not specified'}
+   - Date: ${e.paidDate ? formatDate(e.paidDate) : 'Pending'}
+`).join('\n')}
+` : ''}
+`;
+};
+
+const formatTimeline = (timeline) => {
+  if (!timeline || !timeline.withDates) {
+    return '- No target dates set yet';
+  }
+
+  const upcoming = timeline.upcoming || [];
+  const overdue = timeline.overdue || [];
+
+  return `
+**Timeline Status:**
+- Milestones with Target Dates: ${timeline.withDates}
+- Upcoming Deadlines: ${upcoming.length}
+- Overdue Milestones: ${timeline.overdueCount || overdue.length}
+
+${upcoming.length > 0 ? `
+**Upcoming Milestones:**
+${upcoming.map((m, idx) => `${idx + 1}. ${m.title} - ${formatDate(m.targetDate)} (${m.days} days)`).join('\n')}
+` : ''}
+
+${overdue.length > 0 ? `
+**⚠️ Overdue Milestones:**
+${overdue.map((m, idx) => `${idx + 1}. ${m.title} - Was due ${formatDate(m.targetDate)} (${m.days} days overdue)`).join('\n')}
+` : ''}
+`;
+};
+
+const formatHealth = (health) => {
+  if (!health) {
+    return '- No health metrics available yet';
+  }
+
+  const alerts = health.alerts || [];
+  return `
+**Health Metrics:**
+- Average Health Score: ${(Number(health.averageScore) || 0).toFixed(1)}/100
+- Milestones with Alerts: ${health.milestonesWithAlerts || alerts.length}
+
+${alerts.length > 0 ? `
+**Active Alerts:**
+${alerts.map((m, idx) => `
+${idx + 1}. ${m.title}:
+${(m.alerts || []).map(alert => `   - ${alert}`).join('\n')}
+`).join('\n')}
+` : ''}
+`;
+};
+
+const buildMessages = ({
+  partner1, partner2, compatibilityScore, relationshipContext, roadmaps, milestoneCounts,
+  milestones, taskStats, recentTasks, finances, budgetSummary, recentExpenses, timeline, health
+}) => [{
+  role: 'user',
+  content: `Please provide a comprehensive assessment for this couple's journey progress.
+
+## COUPLE PROFILE
+- Partner 1: ${partner1}
+- Partner 2: ${partner2}
+- Compatibility Score: ${compatibilityScore}
+- Relationship Context: ${relationshipContext}
+
+## ACTIVE ROADMAPS (${roadmaps.length} total)
+${formatRoadmaps(roadmaps)}
+
+## MILESTONE STATUS (${milestoneCounts.total || 0} total)
+${formatMilestones(milestoneCounts, milestones)}
+
+## TASK ANALYSIS (${taskStats.total || 0} total)
+- Open Tasks: ${taskStats.openTasks || 0}
+- Completed Tasks: ${taskStats.completedTasks || 0}
+- Overdue Tasks: ${taskStats.overdueTasks || 0}
+- Tasks Assigned to ${partner1}: ${taskStats.partner1Tasks || 0}
+- Tasks Assigned to ${partner2}: ${taskStats.partner2Tasks || 0}
+- Shared Tasks: ${taskStats.sharedTasks || 0}
+
+### Recent Task Activity
+${formatTaskActivity(recentTasks)}
+
+## FINANCIAL OVERVIEW
+${formatFinances(finances, budgetSummary, recentExpenses)}
+
+## TARGET DATES & TIMELINE
+${formatTimeline(timeline)}
+
+## MILESTONE HEALTH METRICS
+${formatHealth(health)}
+
+---
+
+Based on this comprehensive data, provide your assessment following the JSON structure defined in your system prompt. Focus on:
+1. What's the couple's current momentum and trajectory?
+2. What are the most important things they should focus on right now?
+3. Are there any hidden risks or blockers they should address?
+4. What opportunities exist to optimize their journey?
+5. How well are they collaborating and balancing responsibilities?
+6. What should they celebrate, and what needs course correction?
+
+Be specific, actionable, and insightful. Avoid generic advice.`
+}];
+
+const buildSystemPrompt = () => {
+  return `You are an intelligent relationship and goal planning assessment expert. Your role is to analyze a couple's journey progress and provide insightful, actionable guidance.
+
+**Assessment Philosophy:**
+- Be thorough but concise - provide depth without overwhelming
+- Focus on actionable insights over generic observations
+- Identify patterns, risks, and opportunities the couple might miss
+- Balance encouragement with honest assessment
+- Prioritize what matters most right now
+
+**Analysis Framework:**
+1. **Overall Journey Health** (0-100 score)
+   - Progress momentum
+   - Partner collaboration balance
+   - Timeline adherence
+   - Financial alignment
+
+2. **Key Insights** (3-5 most important observations)
+   - What's working well
+   - What needs attention
+   - Hidden blockers or risks
+   - Untapped opportunities
+
+3. **Actionable Recommendations** (3-5 specific next steps)
+   - Prioritized by impact
+   - Concrete and achievable
+   - Partner-specific when relevant
+   - Timeline-aware
+
+4. **Financial Assessment** (for monetary milestones)
+   - Budget health
+   - Spending patterns
+   - Financial risks
+   - Optimization opportunities
+
+5. **Timeline & Momentum**
+   - On-track vs delayed milestones
+   - Critical path items
+   - Upcoming deadlines
+   - Momentum indicators
+
+**Output Format:**
+Return your assessment as a JSON structure:
+\`\`\`json
+{
+  "overallHealth": {
+    "score": 0-100,
+    "status": "thriving|on-track|needs-attention|at-risk",
+    "summary": "2-3 sentence overview"
+  },
+  "keyInsights": [
+    {
+      "type": "strength|concern|opportunity|risk",
+      "title": "Brief headline",
+      "description": "1-2 sentences explaining the insight",
+      "impact": "high|medium|low"
+    }
+  ],
+  "recommendations": [
+    {
+      "priority": "high|medium|low",
+      "action": "Specific actionable step",
+      "reason": "Why this matters",
+      "assignedTo": "partner1|partner2|both|null",
+      "timeframe": "this-week|this-month|next-month|future"
+    }
+  ],
+  "financialHealth": {
+    "score": 0-100,
+    "budgetStatus": "under-budget|on-budget|over-budget|no-budget",
+    "insights": ["Key financial observations"],
+    "alerts": ["Important warnings or opportunities"]
+  },
+  "timelineAnalysis": {
+    "onTrackCount": number,
+    "delayedCount": number,
+    "upcomingDeadlines": ["Deadline descriptions"],
+    "criticalPathItems": ["Critical items needing focus"]
+  },
+  "partnerBalance": {
+    "score": 0-100,
+    "description": "Assessment of task/responsibility distribution",
+    "suggestions": ["Ways to improve balance if needed"]
+  },
+  "celebrationMoments": [
+    "Recent wins worth celebrating"
+  ]
+}
+\`\`\`
+
+**Tone:**
+- Supportive and encouraging
+- Professional but warm
+- Honest without being discouraging
+- Focus on empowerment and partnership`;
+};
+
+module.exports = {
+  id: 'couple-assessment',
+  version: '1.1.0',
+  routes: ['claude-generate'],
+  maxTokens: 4096,
+  temperature: 0.7,
+  variables: {
+    partner1: { type: 'string', maxLength: 60, default: 'Partner A' },
+    partner2: { type: 'string', maxLength: 60, default: 'Partner B' },
+    compatibilityScore: { type: 'string', maxLength: 20, default: 'Not assessed' },
+    relationshipContext: { type: 'string', maxLength: 500, default: 'Building their future together' },
+    // [{ title, location, xpPoints, activeMilestones, completedMilestones }]
+    roadmaps: { type: 'array', maxItems: 20, default: [] },
+    // { total, completed, inProgress, notStarted }
+    milestoneCounts: { type: 'object', default: {} },
+    // First 10: [{ title, type, completed, progress, healthScore, targetDate, estimatedCost }]
+    milestones: { type: 'array', maxItems: 10, default: [] },
+    // { total, openTasks, completedTasks, overdueTasks, partner1Tasks, partner2Tasks, sharedTasks }
+    taskStats: { type: 'object', default: {} },
+    // Latest 5: [{ title, status: completed|overdue|open, assignee }]
+    recentTasks: { type: 'array', maxItems: 5, default: [] },
+    // { totalBudget, totalSpent, monetaryMilestones, expenseCount }, null without financial data
+    finances: { type: 'object', default: null },
+    budgetSummary: { type: 'object', default: null },
+    // Latest 5: [{ category, amount, vendor, paidDate }]
+    recentExpenses: { type: 'array', maxItems: 5, default: [] },
+    // { withDates, overdueCount, upcoming: [{ title, targetDate, days }], overdue: [...] }, null without dates
+    timeline: { type: 'object', default: null },
+    // { averageScore, milestonesWithAlerts, alerts: [{ title, alerts: [] }] }, null without metrics
+    health: { type: 'object', default: null },
+  },
+  buildSystemPrompt,
+  buildMessages,
+};
@@ -0,0 +1,130 @@
+/**
+ * Prompt profile: deep-dive-insights
+ *
+ * Personalized insights, tips, risks and savings for a milestone deep dive
+ * (lunaService generatePersonalizedContent, OverviewSection auto-enhance).
+ * The planner sends what the user said in the conversation so insights stay
+ * grounded in it; the overview only enhances an existing deep dive and skips
+ * the roadmap phases.
+ */
+
+const PHASES_SCHEMA = `
+  "roadmapPhases": [
+    {
+      "title": "Phase name (e.g., 'Financial Preparation', 'Venue Search')",
+      "description": "What this phase is about, tailored to THEIR situation",
+      "isCriticalPath": true/false,
+      "isUnlocked": true/false,
+      "duration": "Realistic duration based on THEIR timeline (e.g., '2-4 weeks')",
+      "estimatedCost": 5000,
+      "smartTips": [
+        "Specific tip #1 that references THEIR budget/timeline/location",
+        "Specific tip #2 personalized to THEIR constraints",
+        "Specific tip #3 based on THEIR conversation"
+      ],
+      "dependencies": ["Previous phase name if any"]
+    }
+    // Generate as many phases as makes sense for THEIR specific goal (typically 3-8)
+    // Simple goals need fewer phases, complex goals need more
+    // Example for apartment: Financial Prep → Property Search → Legal/Docs → Move-In
+    // Example for wedding: Vision/Budget → Major Vendors → Details → Final Prep
+    // CUSTOMIZE to what THEY actually said in conversation!
+  ],`;
+
+const buildMessages = ({
+  partner1, partner2, goal, description, budget, timeline, location, preferences, conversation, includePhases
+}) => [{
+  role: 'user',
+  content: `Generate personalized insights based on the ACTUAL conversation with this couple.
+
+COUPLE DETAILS:
+- Partners: ${partner1} and ${partner2}
+- Goal: ${goal}
+${description ? `- Description: ${description}\n` : ''}- Budget: ${budget ? `€${budget.toLocaleString('en-US')}` : 'Not specified'}
+- Timeline: ${timeline}
+- Location: ${location}
+- Preferences: ${JSON.stringify(preferences)}
+
+ACTUAL CONVERSATION WITH USER:
+${conversation || 'No detailed conversation yet - use basic info above'}
+
+CRITICAL INSTRUCTIONS:
+- Base ALL insights on what the user ACTUALLY said in the conversation above
+- Do NOT assume or invent details they didn't mention
+- If they said they already have housing, don't suggest finding housing
+- Confidence score should reflect how well-prepared THEY are based on THEIR statements
+- Assessment should summarize THEIR specific situation, not generic advice
+${includePhases ? `- Create a PERSONALIZED roadmap tree with 3-5 phases specific to THEIR unique situation
+- Each phase should have contextual tips that reference THEIR specific budget, timeline, and location
+` : ''}
+Generate personalized content in JSON format:
+
+{
+  "insights": {
+    "confidence": "High/Medium/Low - assess their readiness",
+    "assessment": "2-3 sentences about their specific situation",
+    "strength": "What's their biggest advantage?",
+    "challenge": "What's their biggest obstacle?"
+  },${includePhases ? PHASES_SCHEMA : ''}
+  "tips": [
+    {
+      "title": "Specific tip title",
+      "content": "Personalized advice that references THEIR budget/timeline/location",
+      "impact": "How this helps them specifically",
+      "priority": "critical/high/medium"
+    }
+    // Generate 3-5 tips
+  ],
+  "risks": [
+    {
+      "risk": "Specific risk for THEIR situation",
+      "probability": "high/medium/low",
+      "impact": "What happens if this occurs",
+      "mitigation": "How to prevent or handle it"
+    }
+    // Generate 3-4 risks
+  ],
+  "savings": [
+    {
+      "opportunity": "Way to save money or time",
+      "amount": "Estimated savings in euros or time",
+      "effort": "easy/medium/hard",
+      "description": "How to implement this"
+    }
+    // Generate 3-4 savings opportunities
+  ],
+  "coupleAdvice": {
+    "commonConflict": "What couples typically disagree on for this goal",
+    "yourSituation": "How this might apply to them",
+    "framework": "Decision-making approach for them",
+    "checkIn": "Recommended discussion schedule"
+  }
+}
+
+Make it conversational, use their names, reference their specific numbers and location, and feel like a friend who's helped hundreds of couples.`
+}];
+
+module.exports = {
+  id: 'deep-dive-insights',
+  version: '1.1.0',
+  routes: ['claude-generate'],
+  maxTokens: 4096,
+  temperature: 0.8,
+  // Same template and context -> same roadmap; served from the response cache
+  cacheable: true,
+  variables: {
+    partner1: { type: 'string', maxLength: 60, default: 'Partner 1' },
+    partner2: { type: 'string', maxLength: 60, default: 'Partner 2' },
+    goal: { type: 'string', maxLength: 200, default: 'Our shared goal' },
+    description: { type: 'string', maxLength: 1000, default: '' },
+    budget: { type: 'number', default: 0 },
+    timeline: { type: 'string', maxLength: 60, default: 'Not specified' },
+    location: { type: 'string', maxLength: 120, default: 'Not specified' },
+    preferences: { type: 'object', default: {} },
+    // What the user said to Luna, one message per line
+    conversation: { type: 'text', maxLength: 8000, default: '' },
+    includePhases: { type: 'boolean', default: true },
+  },
+  buildSystemPrompt: () => 'You are Luna, a warm and intelligent planning assistant. Generate personalized JSON content - ONLY valid JSON with no markdown, no explanations, no extra text. IMPORTANT: Keep your response concise and complete - do not let it get truncated.',
+  buildMessages,
+};
@@ -0,0 +1,63 @@
+/**
+ * Prompt profile: milestone-action-steps
+ *
+ * Step-by-step action plan for a milestone (AIActionSteps).
+ */
+
+const buildMessages = ({ title, description, budget, duration, partner1, partner2, location }) => [{
+  role: 'user',
+  content: `Generate 6-8 detailed action steps for this milestone:
+
+Milestone: "${title}"
+${description ? `Description: ${description}\n` : ''}${budget ? `Budget: $${budget}\n` : ''}${duration ? `Timeline: ${duration}\n` : ''}Partners: ${partner1} and ${partner2}
+Location: ${location}
+
+Make the steps:
+1. SPECIFIC to this exact milestone (not generic advice)
+2. ACTIONABLE with clear sub-tasks
+3. REALISTIC with accurate time estimates
+4. SEQUENCED logically (use dependencies)
+5. Include thoughtful considerations (decision frameworks, questions to ask yourselves)
+6. Suggest helpful resources (real tools, websites, apps)
+
+Respond with ONLY the JSON array, nothing else.`
+}];
+
+module.exports = {
+  id: 'milestone-action-steps',
+  version: '1.1.0',
+  routes: ['claude'],
+  maxTokens: 4000,
+  temperature: 0.7,
+  variables: {
+    title: { type: 'string', maxLength: 200, default: 'Our milestone' },
+    description: { type: 'string', maxLength: 1000, default: '' },
+    budget: { type: 'number', default: 0 },
+    duration: { type: 'string', maxLength: 60, default: '' },
+    partner1: { type: 'string', maxLength: 60, default: 'Partner 1' },
+    partner2: { type: 'string', maxLength: 60, default: 'Partner 2' },
+    location: { type: 'string', maxLength: 120, default: 'Not specified' },
+  },
+  buildSystemPrompt: () => `You are an expert life planning advisor helping couples achieve their goals. Generate a detailed, step-by-step action plan.
+
+CRITICAL: You must respond with ONLY valid JSON. No other text, explanations, or markdown. Just the JSON array.
+
+Format your response as a JSON array of objects with this EXACT structure:
+[
+  {
+    "step": 1,
+    "title": "Step title",
+    "description": "What this step involves",
+    "duration": "1-2 weeks",
+    "difficulty": "easy",
+    "actionItems": ["Sub-task 1", "Sub-task 2"],
+    "considerations": ["Key question to think about"],
+    "resources": ["Tool or website name"],
+    "dependencies": []
+  }
+]
+
+difficulty must be exactly one of: "easy", "medium", "hard"
+dependencies is an array of step numbers that must be completed first (can be empty array)`,
+  buildMessages,
+};
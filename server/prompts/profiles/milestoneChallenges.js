@@ -0,0 +1,67 @@
+/**
+ * Prompt profile: milestone-challenges
+ *
+ * Realistic challenges and solutions for a milestone (AIChallenges).
+ */
+
+const buildMessages = ({ title, description, budget, duration, partner1, partner2, location }) => [{
+  role: 'user',
+  content: `Generate 5-7 realistic challenges specific to this milestone:
+
+Milestone: "${title}"
+${description ? `Description: ${description}\n` : ''}${budget ? `Budget: $${budget}\n` : ''}${duration ? `Timeline: ${duration}\n` : ''}Partners: ${partner1} and ${partner2}
+Location: ${location}
+
+Generate challenges that are:
+1. SPECIFIC to this exact milestone (not "staying motivated" - that's too generic)
+2. REALISTIC and likely to actually occur
+3. Include both practical and emotional/relationship challenges
+4. Provide concrete, actionable solutions
+5. Include prevention tips to avoid the challenge entirely
+
+Examples of GOOD challenges:
+- For a wedding: "Guest list disagreements between families", "Vendor suddenly cancels 2 months before wedding"
+- For home buying: "Losing bidding wars in competitive market", "Inspection reveals foundation issues"
+- For travel: "Flight cancellations during peak season", "Currency exchange rates shift dramatically"
+
+Examples of BAD (too generic) challenges:
+- "Staying motivated"
+- "Communication issues"
+- "Time management"
+
+Respond with ONLY the JSON array, nothing else.`
+}];
+
+module.exports = {
+  id: 'milestone-challenges',
+  version: '1.1.0',
+  routes: ['claude'],
+  maxTokens: 3000,
+  temperature: 0.7,
+  variables: {
+    title: { type: 'string', maxLength: 200, default: 'Our milestone' },
+    description: { type: 'string', maxLength: 1000, default: '' },
+    budget: { type: 'number', default: 0 },
+    duration: { type: 'string', maxLength: 60, default: '' },
+    partner1: { type: 'string', maxLength: 60, default: 'Partner 1' },
+    partner2: { type: 'string', maxLength: 60, default: 'Partner 2' },
+    location: { type: 'string', maxLength: 120, default: 'Not specified' },
+  },
+  buildSystemPrompt: () => `You are an expert life planning advisor helping couples anticipate and overcome challenges. Generate realistic, specific challenges they might face.
+
+CRITICAL: You must respond with ONLY valid JSON. No other text, explanations, or markdown. Just the JSON array.
+
+Format your response as a JSON array of objects with this EXACT structure:
+[
+  {
+    "challenge": "Specific challenge name",
+    "likelihood": "high",
+    "description": "Detailed explanation of why this challenge occurs",
+    "solution": "Practical, actionable solution strategy",
+    "preventionTips": ["Tip 1", "Tip 2"]
+  }
+]
+
+likelihood must be exactly one of: "very high", "high", "medium", "low"`,
+  buildMessages,
+};
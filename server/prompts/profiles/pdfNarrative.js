@@ -0,0 +1,99 @@
+/**
+ * Prompt profile: pdf-narrative
+ *
+ * Progress analysis and recommendations for the PDF report
+ * (pdfExportService). The client sends the journey numbers and a summary
+ * of each dream; the report format lives here so parseClaudeAnalysis can
+ * rely on it.
+ */
+
+const buildSystemPrompt = () => `You are Luna, an empathetic and intelligent AI relationship advisor, writing a couple's progress report on TwogetherForward, a platform where couples plan their future together.
+
+Create a warm, encouraging, and insightful summary report for this couple's journey. Write in a professional yet personal tone, as if you're a life planning coach celebrating their progress and guiding them forward.
+
+**Your response should include 4 sections:**
+
+1. **EXECUTIVE_SUMMARY** (2-3 paragraphs): A warm overview of their journey so far, highlighting their commitment to planning together and any notable achievements.
+
+2. **KEY_INSIGHTS** (3-5 bullet points): Specific observations about their progress, patterns, strengths, or areas of focus. Be specific and reference their actual dreams/milestones.
+
+3. **PROGRESS_ANALYSIS** (1-2 paragraphs): Analyze their overall progress percentage. Is it strong? What does it say about their momentum? Be encouraging but honest.
+
+4. **RECOMMENDATIONS** (3-5 bullet points): Actionable next steps to maintain or accelerate their progress. Be specific and practical.
+
+**Format your response EXACTLY like this:**
+
+EXECUTIVE_SUMMARY:
+[Your 2-3 paragraph summary here]
+
+KEY_INSIGHTS:
+- [Insight 1]
+- [Insight 2]
+- [Insight 3]
+
+PROGRESS_ANALYSIS:
+[Your 1-2 paragraph analysis here]
+
+RECOMMENDATIONS:
+- [Recommendation 1]
+- [Recommendation 2]
+- [Recommendation 3]
+
+Remember: Be warm, encouraging, and specific. Reference their actual dreams by name. Make them feel proud of their progress while inspiring them to continue.`;
+
+const buildMessages = ({
+  fullName, email, memberSince, totalDreams, activeDreams, completedDreams,
+  overallProgress, totalMilestones, completedMilestones, dreams
+}) => {
+  const breakdown = dreams.length > 0
+    ? dreams.map((d, i) => `
+${i + 1}. "${d.title}" (${d.status || 'In Progress'})
+   Progress: ${d.progress || 0}% (${d.milestones || '0/0'} milestones)
+   Description: ${d.description || 'No description'}
+`).join('\n')
+    : 'No dreams created yet.';
+
+  return [{
+    role: 'user',
+    content: `Write the progress report for this couple.
+
+**User Information:**
+- Email: ${email}
+- Full Name: ${fullName}
+- Account Created: ${memberSince}
+
+**Journey Overview:**
+- Total Dreams: ${totalDreams}
+- Active Dreams: ${activeDreams}
+- Completed Dreams: ${completedDreams}
+- Overall Progress: ${overallProgress}%
+- Total Milestones: ${totalMilestones}
+- Completed Milestones: ${completedMilestones}
+
+**Dreams Breakdown:**
+${breakdown}`
+  }];
+};
+
+module.exports = {
+  id: 'pdf-narrative',
+  version: '1.1.0',
+  routes: ['claude'],
+  maxTokens: 1500,
+  temperature: 0.7,
+  variables: {
+    fullName: { type: 'string', maxLength: 100, default: 'User' },
+    email: { type: 'string', maxLength: 200, default: 'N/A' },
+    memberSince: { type: 'string', maxLength: 40, default: 'N/A' },
+    totalDreams: { type: 'number', default: 0 },
+    activeDreams: { type: 'number', default: 0 },
+    completedDreams: { type: 'number', default: 0 },
+    overallProgress: { type: 'number', default: 0 },
+    totalMilestones: { type: 'number', default: 0 },
+    completedMilestones: { type: 'number', default: 0 },
+    // [{ title, description, status, progress, milestones: 'done/total' }]
+    dreams: { type: 'array', maxItems: 30, default: [] },
+  },
+  buildSystemPrompt,
+  buildMessages,
+};
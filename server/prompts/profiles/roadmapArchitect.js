@@ -0,0 +1,233 @@
+/**
+ * Prompt profile: roadmap-architect
+ *
+ * Milestone sequencing and roadmap structure for the roadmap agents
+ * (roadmapArchitectAgent, intelligentRoadmapAgent). `task` picks the
+ * template; the client sends the goal, the template sequence (if any) and
+ * the user context those agents already collect.
+ */
+
+const TASKS = ['journey', 'validate', 'refine', 'generate'];
+
+/**
+ * The user context lines every template shares
+ * @param {Object} context - { budget: { amount }, timeline: { text }, location: { text }, preferences: [{ value }], constraints: [{ type }] }
+ */
+const formatContext = (context = {}) => {
+  const list = (items, key) => (Array.isArray(items) && items.length > 0
+    ? items.map(item => (item && typeof item === 'object' ? item[key] : item)).join(', ')
+    : 'None');
+
+  return `- Budget: ${context.budget?.amount ? `$${context.budget.amount}` : 'Not specified'}
+- Timeline: ${context.timeline?.text || 'Not specified'}
+- Location: ${context.location?.text || 'Not specified'}
+- Preferences: ${list(context.preferences, 'value')}
+- Constraints: ${list(context.constraints, 'type')}`;
+};
+
+const formatSequence = (sequence) => sequence.map((m, i) => `${i + 1}. ${m}`).join('\n');
+
+const TEMPLATES = {
+  // intelligentRoadmapAgent.generateIntelligentRoadmap
+  journey: ({ goal, context }) => `You are an expert journey planner. Create a comprehensive roadmap for someone's goal.
+
+**User's Goal:**
+"${goal}"
+
+**User Context:**
+${formatContext(context)}
+
+**Your Task:**
+Create a journey roadmap that takes them from START to COMPLETION of their goal.
+Think about the logical stages they need to go through.
+
+**Examples of Good Roadmaps:**
+
+For "Buy an apartment in Berlin":
+1. financial_health_check
+2. savings_and_down_payment_plan
+3. mortgage_preapproval
+4. location_and_neighborhood_research
+5. property_search_and_tours
+6. offer_and_negotiation
+7. home_inspection_and_due_diligence
+8. closing_and_legal_process
+9. moving_and_setup
+
+For "Learn to play guitar":
+1. instrument_selection_and_purchase
+2. find_teacher_or_online_course
+3. master_basic_chords_and_strumming
+4. learn_music_theory_basics
+5. practice_simple_songs
+6. develop_fingerpicking_technique
+7. learn_intermediate_songs
+8. perform_for_friends_or_open_mic
+
+For "Start a bakery business":
+1. market_research_and_niche_identification
+2. develop_signature_recipes
+3. business_plan_and_financial_projections
+4. legal_registration_and_permits
+5. secure_funding_or_investment
+6. find_and_lease_commercial_space
+7. purchase_equipment_and_supplies
+8. hire_and_train_staff
+9. soft_launch_with_friends_and_family
+10. grand_opening_and_marketing_campaign
+11. build_customer_base_and_optimize
+
+**Guidelines:**
+- Create 6-12 milestones (adjust based on goal complexity and timeline)
+- Each milestone = ONE concrete stage in their journey
+- Use snake_case naming (e.g., "find_apartment" not "Finding Apartment")
+- Think about dependencies (can't do X before Y)
+- Consider their budget and timeline
+- Be specific to THEIR goal, not generic
+- NO generic phases like "planning", "execution", "completion"
+- YES to concrete actions like "property_search", "recipe_testing", "equipment_purchase"
+
+**Return Format (JSON only):**
+{
+  "goal_category": "short category label (e.g., real_estate_purchase, skill_learning, business_launch)",
+  "milestones": [
+    {
+      "id": "milestone_1",
+      "title": "Human readable title",
+      "description": "Brief description of what happens in this stage",
+      "estimated_duration": "2-4 weeks",
+      "estimated_cost": 5000,
+      "key_actions": ["Action 1", "Action 2", "Action 3"]
+    },
+    ...
+  ],
+  "total_estimated_duration": "6-9 months",
+  "total_estimated_cost": 50000,
+  "success_factors": ["Factor 1", "Factor 2", "Factor 3"],
+  "common_pitfalls": ["Pitfall 1", "Pitfall 2"]
+}
+
+Return ONLY valid JSON, nothing else.`,
+
+  // roadmapArchitectAgent.validateAndCustomizeTemplate
+  validate: ({ goal, goalType, template, context }) => `You are a roadmap planning expert helping couples achieve their dreams. Your job is to VALIDATE and CUSTOMIZE a template roadmap to ensure it truly serves their specific goal.
+
+**Template Roadmap (baseline for ${goalType}):**
+${formatSequence(template)}
+
+**User's Dream Goal:**
+"${goal}"
+
+**User Context:**
+${formatContext(context)}
+
+**Your Task:**
+1. **VALIDATE**: Does this template make sense for their SPECIFIC dream?
+   - If template has GENERIC steps like "goal_definition_and_research", "comprehensive_planning", "execution_and_implementation" → REJECT and create custom sequence
+   - For real goals (buying apartment, wedding, etc.) → use SPECIFIC templates
+   - Look for mismatches and missing critical steps
+
+2. **CUSTOMIZE**: Create a journey roadmap with SPECIFIC, ACTIONABLE stages:
+   - For "buying apartment": financial assessment → mortgage pre-approval → property search → offer → inspection → closing → moving
+   - For "wedding": engagement → venue → vendors → invitations → ceremony → reception → post-wedding
+   - Each milestone should be a STAGE in their journey, not generic planning phases
+   - Use snake_case naming (e.g., "mortgage_preapproval" NOT "financial_planning")
+
+3. **INSIGHTS**: Explain key customizations (1-2 sentences)
+
+**CRITICAL RULES:**
+- Between 6-14 milestones (comprehensive journey stages)
+- Each milestone = ONE stage in their journey from start to completion
+- NO generic phases like "planning", "execution", "review"
+- YES to journey stages like "credit_score_improvement", "property_tours", "offer_negotiation"
+- Maintain logical dependencies and sequence
+- Use snake_case naming always
+
+**Return Format (JSON only):**
+{
+  "approved": true/false,  // false if template is generic/doesn't fit, true if good template with tweaks
+  "customizedSequence": ["milestone_1", "milestone_2", ...],
+  "insights": "Brief explanation of key customizations"
+}
+
+Return ONLY valid JSON, nothing else.`,
+
+  // roadmapArchitectAgent.refineSequenceWithClaude (legacy)
+  refine: ({ goal, template, context }) => `You are a roadmap planning expert. Your task is to refine a template milestone sequence to better match the user's specific goal.
+
+**Template Sequence (baseline):**
+${formatSequence(template)}
+
+**User's Goal:**
+${goal}
+
+**Additional Context:**
+${formatContext(context)}
+
+**Your Task:**
+1. Review the template sequence
+2. Adapt it to the user's specific goal description and context
+3. Add, remove, or reorder milestones as needed
+4. Keep milestone names in snake_case format (e.g., "visa_immigration", "job_search")
+5. Return ONLY the refined milestone sequence as a JSON array
+
+**Requirements:**
+- Between 4-12 milestones
+- Each milestone should be specific and actionable
+- Maintain logical dependencies (early steps before later steps)
+- Consider the user's budget and timeline constraints
+
+Return ONLY a valid JSON array of milestone strings, nothing else.`,
+
+  // roadmapArchitectAgent.generateMilestonesWithClaude
+  generate: ({ goal, context }) => `You are a roadmap planning expert. Create a comprehensive JOURNEY roadmap with specific stages from start to completion.
+
+**User's Goal:**
+${goal}
+
+**Context:**
+${formatContext(context)}
+
+**Your Task:**
+Create a sequence of JOURNEY STAGES that take the user from START to COMPLETION of their goal.
+
+**Think like this:**
+- "Buying an apartment" → [credit_check, savings_plan, mortgage_preapproval, location_research, property_tours, offer_submission, home_inspection, closing_process, moving_preparation]
+- "Planning a wedding" → [engagement_announcement, budget_setting, venue_booking, vendor_selection, invitations, ceremony_planning, wedding_day, honeymoon]
+- "Starting a business" → [idea_validation, market_research, business_plan, legal_registration, funding, branding, product_development, soft_launch, full_launch]
+
+**CRITICAL RULES:**
+- Between 6-12 milestones (complete journey stages)
+- Each milestone = ONE specific stage in their journey
+- NO generic phases like "planning", "execution", "review", "goal_definition"
+- YES to concrete stages like "property_search", "vendor_meetings", "product_testing"
+- Use snake_case naming always (e.g., "mortgage_preapproval" NOT "Get Mortgage")
+- Maintain logical sequence (can't close on house before finding one)
+- Consider budget and timeline in scope
+
+Return ONLY a valid JSON array of milestone strings, nothing else.
+
+Example format:
+["milestone_one", "milestone_two", "milestone_three"]`,
+};
+
+module.exports = {
+  id: 'roadmap-architect',
+  version: '1.1.0',
+  routes: ['claude-generate'],
+  maxTokens: 4096,
+  temperature: 0.7,
+  // Same template and context -> same roadmap; served from the response cache
+  cacheable: true,
+  variables: {
+    task: { type: 'string', values: TASKS, default: 'generate' },
+    goal: { type: 'string', maxLength: 1000, default: 'Our shared goal' },
+    goalType: { type: 'string', maxLength: 60, default: 'custom' },
+    // Template milestone sequence for 'validate' and 'refine'
+    template: { type: 'array', maxItems: 20, default: [] },
+    // userContext from goalDiscoveryAgent: budget, timeline, location, preferences, constraints
+    context: { type: 'object', default: {} },
+  },
+  buildSystemPrompt: () => 'You are an expert assistant that provides helpful, accurate responses.',
+  buildMessages: (vars) => [{ role: 'user', content: TEMPLATES[vars.task](vars) }],
+};
@@ -0,0 +1,56 @@
+/**
+ * Prompt profile: roadmap-json
+ *
+ * Phase-by-phase roadmap JSON for a single goal
+ * (lunaGoalService custom goals, lunaOverviewService roadmap regeneration).
+ */
+
+const buildMessages = ({ title, category, budget, timeline, details, focusAreas, regenerate }) => [{
+  role: 'user',
+  content: `Create a ${regenerate ? 'NEW ' : ''}roadmap for: "${title}"
+${category ? `Category: ${category}\n` : ''}Budget: €${budget}
+Timeline: ${timeline}
+${details ? `Details: ${details}\n` : ''}${focusAreas.length > 0 ? `Focus areas: ${focusAreas.join(', ')}\n` : ''}
+Return JSON (NO markdown, NO explanation):
+{
+  "description": "One sentence about this goal",
+  "roadmapPhases": [
+    {"title": "Phase 1: [Name]", "description": "Brief desc", "isCriticalPath": true, "isUnlocked": true, "duration": "X weeks", "estimatedCost": [amount], "smartTips": ["Tip 1", "Tip 2"]},
+    // Add more phases as needed for this specific goal
+  ],
+  "expertTips": ["Tip 1", "Tip 2", "Tip 3"]
+}
+
+RULES:
+- Generate as many phases as makes sense for "${title}" (typically 3-8 phases)
+- Simple goals need fewer phases, complex goals need more
+- Replace [Name] with goal-specific phase names (NOT generic like "Planning & Research")
+- Phase titles must be specific to "${title}"
+- Distribute the budget (€${budget}) logically across phases
+- Each smartTips array has exactly 2 short tips (max 10 words each)
+- Keep descriptions under 15 words
+- Return ONLY the JSON object, no explanation before or after`
+}];
+
+module.exports = {
+  id: 'roadmap-json',
+  version: '1.1.0',
+  routes: ['claude-generate'],
+  maxTokens: 2500,
+  temperature: 0.7,
+  // Same template and context -> same roadmap; served from the response cache
+  cacheable: true,
+  variables: {
+    title: { type: 'string', maxLength: 200, default: 'Our goal' },
+    category: { type: 'string', maxLength: 60, default: '' },
+    budget: { type: 'number', default: 0 },
+    timeline: { type: 'string', maxLength: 60, default: 'Flexible' },
+    // Free-text details from the goal form, kept short
+    details: { type: 'string', maxLength: 200, default: '' },
+    focusAreas: { type: 'array', maxItems: 10, default: [] },
+    // Replacing an existing roadmap rather than creating the first one
+    regenerate: { type: 'boolean', default: false },
+  },
+  buildSystemPrompt: () => 'You are Luna, an AI planning advisor. Return ONLY valid JSON, no markdown.',
+  buildMessages,
+};
@@ -0,0 +1,295 @@
+/**
+ * Tool definitions for Luna Overview Chat
+ * These tools allow Luna to propose changes (not apply directly).
+ * The frontend turns each call into a pending change
+ * (see toolHandlers in src/services/lunaOverviewService.js)
+ */
+
+const LUNA_OVERVIEW_TOOLS = [
+  {
+    name: "propose_title_update",
+    description: "Propose changing the milestone/goal title. Use when the user wants to change their goal focus.",
+    input_schema: {
+      type: "object",
+      properties: {
+        new_title: {
+          type: "string",
+          description: "The new title for the milestone/goal"
+        },
+        reason: {
+          type: "string",
+          description: "Brief explanation for the title change"
+        }
+      },
+      required: ["new_title", "reason"]
+    }
+  },
+  {
+    name: "propose_description_update",
+    description: "Propose changing the milestone/goal description. Use when the description is outdated, incorrect, or needs to be updated to match the current goal focus.",
+    input_schema: {
+      type: "object",
+      properties: {
+        new_description: {
+          type: "string",
+          description: "The new description for the milestone/goal"
+        },
+        reason: {
+          type: "string",
+          description: "Brief explanation for the description change"
+        }
+      },
+      required: ["new_description", "reason"]
+    }
+  },
+  {
+    name: "propose_budget_update",
+    description: "Propose changing the milestone budget. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        new_budget: {
+          type: "number",
+          description: "The new budget amount"
+        },
+        reason: {
+          type: "string",
+          description: "Brief explanation for the budget change"
+        }
+      },
+      required: ["new_budget", "reason"]
+    }
+  },
+  {
+    name: "propose_target_date_update",
+    description: "Propose changing the target completion date. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        new_date: {
+          type: "string",
+          description: "The new target date in YYYY-MM-DD format"
+        },
+        reason: {
+          type: "string",
+          description: "Brief explanation for the date change"
+        }
+      },
+      required: ["new_date", "reason"]
+    }
+  },
+  {
+    name: "propose_add_phase",
+    description: "Propose adding a new phase to the roadmap. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "Title of the new phase"
+        },
+        description: {
+          type: "string",
+          description: "Description of what this phase involves"
+        },
+        duration: {
+          type: "string",
+          description: "Estimated duration (e.g., '2-3 weeks')"
+        },
+        estimated_cost: {
+          type: "number",
+          description: "Estimated cost for this phase"
+        },
+        position: {
+          type: "number",
+          description: "Position in the roadmap (0-indexed). If not specified, adds at end."
+        },
+        reason: {
+          type: "string",
+          description: "Why this phase should be added"
+        }
+      },
+      required: ["title", "description", "reason"]
+    }
+  },
+  {
+    name: "propose_modify_phase",
+    description: "Propose modifying an existing roadmap phase. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        phase_index: {
+          type: "number",
+          description: "Index of the phase to modify (0-indexed)"
+        },
+        updates: {
+          type: "object",
+          description: "Object containing fields to update (title, description, duration, estimated_cost)",
+          properties: {
+            title: { type: "string" },
+            description: { type: "string" },
+            duration: { type: "string" },
+            estimated_cost: { type: "number" }
+          }
+        },
+        reason: {
+          type: "string",
+          description: "Why this phase should be modified"
+        }
+      },
+      required: ["phase_index", "updates", "reason"]
+    }
+  },
+  {
+    name: "propose_remove_phase",
+    description: "Propose removing a roadmap phase. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        phase_index: {
+          type: "number",
+          description: "Index of the phase to remove (0-indexed)"
+        },
+        reason: {
+          type: "string",
+          description: "Why this phase should be removed"
+        }
+      },
+      required: ["phase_index", "reason"]
+    }
+  },
+  {
+    name: "propose_add_task",
+    description: "Propose adding a new task, optionally broken into subtasks (checklist steps), or adding a subtask to an existing task. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description: "Title of the task"
+        },
+        parent_task_id: {
+          type: "string",
+          description: "ID of an existing top-level task to add this as a subtask of (optional)"
+        },
+        subtasks: {
+          type: "array",
+          description: "Steps that break the new task down, in order (optional; not used with parent_task_id)",
+          items: {
+            type: "object",
+            properties: {
+              title: { type: "string" },
+              assigned_to: {
+                type: "string",
+                description: "Partner name to assign the step to (optional)"
+              }
+            },
+            required: ["title"]
+          }
+        },
+        description: {
+          type: "string",
+          description: "Description of the task"
+        },
+        phase_index: {
+          type: "number",
+          description: "Index of the roadmap phase this task belongs to (optional)"
+        },
+        priority: {
+          type: "string",
+          enum: ["low", "medium", "high", "critical"],
+          description: "Task priority"
+        },
+        assigned_to: {
+          type: "string",
+          description: "Partner name to assign to (optional)"
+        },
+        reason: {
+          type: "string",
+          description: "Why this task should be added"
+        }
+      },
+      required: ["title", "reason"]
+    }
+  },
+  {
+    name: "propose_update_task",
+    description: "Propose updating an existing task. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        task_id: {
+          type: "string",
+          description: "ID of the task to update"
+        },
+        updates: {
+          type: "object",
+          description: "Fields to update",
+          properties: {
+            title: { type: "string" },
+            description: { type: "string" },
+            priority: { type: "string" },
+            assigned_to: { type: "string" },
+            completed: { type: "boolean" }
+          }
+        },
+        reason: {
+          type: "string",
+          description: "Why this task should be updated"
+        }
+      },
+      required: ["task_id", "updates", "reason"]
+    }
+  },
+  {
+    name: "propose_delete_task",
+    description: "Propose deleting a task. Returns a pending change for user confirmation.",
+    input_schema: {
+      type: "object",
+      properties: {
+        task_id: {
+          type: "string",
+          description: "ID of the task to delete"
+        },
+        reason: {
+          type: "string",
+          description: "Why this task should be deleted"
+        }
+      },
+      required: ["task_id", "reason"]
+    }
+  },
+  {
+    name: "propose_regenerate_roadmap",
+    description: "Propose completely regenerating the roadmap with new parameters. Use when the goal focus changes significantly (e.g., CFA 3 to CFA 1). This will update the title AND generate a completely new roadmap.",
+    input_schema: {
+      type: "object",
+      properties: {
+        new_title: {
+          type: "string",
+          description: "New title for the goal (e.g., 'Get CFA Level 1')"
+        },
+        new_budget: {
+          type: "number",
+          description: "New total budget (optional)"
+        },
+        new_timeline_months: {
+          type: "number",
+          description: "New timeline in months (optional)"
+        },
+        focus_areas: {
+          type: "array",
+          items: { type: "string" },
+          description: "Areas to focus on in the new roadmap"
+        },
+        reason: {
+          type: "string",
+          description: "Why the roadmap should be regenerated"
+        }
+      },
+      required: ["new_title", "reason"]
+    }
+  }
+];
+
+module.exports = { LUNA_OVERVIEW_TOOLS };
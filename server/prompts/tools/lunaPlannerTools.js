@@ -0,0 +1,207 @@
+/**
+ * Tool definitions for the Luna dream-creation conversation
+ * Claude decides when to call these; the frontend executes them
+ * (see executeToolCall in src/services/lunaService.js)
+ */
+
+const LUNA_PLANNER_TOOLS = [
+  {
+    name: "extract_user_data",
+    description: "Extract and store partner names and location. Call this as soon as you learn these details.",
+    input_schema: {
+      type: "object",
+      properties: {
+        partner1: {
+          type: "string",
+          description: "First partner's name"
+        },
+        partner2: {
+          type: "string",
+          description: "Second partner's name (optional if not mentioned yet)"
+        },
+        location: {
+          type: "string",
+          description: "City or country where they live (for cost calculations)"
+        }
+      },
+      required: ["partner1"]
+    }
+  },
+  {
+    name: "generate_milestone",
+    description: "Create a milestone card for a user's goal (e.g., 'Buy Apartment in Berlin'). This creates the clickable card that users see. After calling this, call generate_deep_dive() to add the roadmap steps/tasks inside it. IMPORTANT: After calling this, you MUST call generate_deep_dive() and then finalize_roadmap().",
+    input_schema: {
+      type: "object",
+      properties: {
+        goal_type: {
+          type: "string",
+          description: "A short category label for the goal type"
+        },
+        title: {
+          type: "string",
+          description: "User-facing, descriptive title that clearly describes WHAT the goal is (e.g., 'Plan Iceland Wedding', 'Buy Berlin Apartment', 'Start Coffee Shop in Portland'). NEVER use generic titles like 'Goal Definition And Research'. The title should immediately tell the user what they're planning."
+        },
+        description: {
+          type: "string",
+          description: "Brief description"
+        },
+        timeline_months: {
+          type: "number",
+          description: "Timeline in months"
+        },
+        budget: {
+          type: "number",
+          description: "Budget"
+        },
+        location: {
+          type: "string",
+          description: "Location"
+        },
+        preferences: {
+          type: "object",
+          description: "User preferences"
+        }
+      },
+      required: ["goal_type", "title", "timeline_months", "budget"]
+    }
+  },
+  {
+    name: "generate_deep_dive",
+    description: "Generate detailed deep dive data for a milestone. CRITICAL: Provide personalized roadmapPhases based on the ACTUAL conversation - use the user's specific goal, location, and details. Do NOT use generic phases like 'Planning', 'Booking', 'Preparation'.",
+    input_schema: {
+      type: "object",
+      properties: {
+        milestone_id: {
+          type: "string",
+          description: "ID of the milestone this deep dive is for"
+        },
+        goal_type: {
+          type: "string",
+          description: "Type of goal (wedding, home, etc.)"
+        },
+        budget: {
+          type: "number",
+          description: "Total budget"
+        },
+        timeline_months: {
+          type: "number",
+          description: "Timeline in months"
+        },
+        location: {
+          type: "string",
+          description: "Location for context"
+        },
+        preferences: {
+          type: "object",
+          description: "User preferences"
+        },
+        roadmapPhases: {
+          type: "array",
+          description: "Personalized phases reflecting the user's ACTUAL goal. Example for 'Trip to Japan': ['Research Tokyo areas', 'Book flights & hotels', 'Plan daily activities', 'Final preparations']. NOT generic ['Planning', 'Booking', 'Preparation'].",
+          items: {
+            type: "object",
+            properties: {
+              title: { type: "string", description: "Specific phase title using user's words" },
+              description: { type: "string", description: "What this phase involves" },
+              month: { type: "number", description: "Target month (1-based)" },
+              tasks: { type: "array", items: { type: "string" }, description: "3-5 specific tasks" }
+            }
+          }
+        }
+      },
+      required: ["milestone_id", "goal_type", "budget", "timeline_months"]
+    }
+  },
+  {
+    name: "finalize_roadmap",
+    description: "Signal that the complete roadmap is ready. Call when all milestones and deep dives are generated.",
+    input_schema: {
+      type: "object",
+      properties: {
+        roadmap_title: {
+          type: "string",
+          description: "Title for the entire roadmap using the user's EXACT words for their goal (e.g., 'Moving to Augsburg, Germany' NOT 'Destination Research')"
+        },
+        summary: {
+          type: "string",
+          description: "Brief summary of the complete roadmap"
+        },
+        total_cost: {
+          type: "number",
+          description: "Total estimated cost of all milestones"
+        },
+        total_timeline_months: {
+          type: "number",
+          description: "Total timeline in months"
+        }
+      },
+      required: ["roadmap_title", "summary"]
+    }
+  },
+  {
+    name: "track_expense",
+    description: "Track an expense and get budget status, anomaly detection, and financial insights. Use when user mentions spending money on something.",
+    input_schema: {
+      type: "object",
+      properties: {
+        amount: {
+          type: "number",
+          description: "Expense amount"
+        },
+        title: {
+          type: "string",
+          description: "What the expense is for (e.g., 'Venue deposit', 'Wedding dress')"
+        },
+        category: {
+          type: "string",
+          description: "Optional category (will be auto-detected if not provided)"
+        },
+        roadmap_id: {
+          type: "string",
+          description: "ID of the roadmap this expense belongs to"
+        },
+        milestone_id: {
+          type: "string",
+          description: "Optional milestone ID this expense is for"
+        }
+      },
+      required: ["amount", "title"]
+    }
+  },
+  {
+    name: "analyze_savings_progress",
+    description: "Analyze savings progress toward a goal and provide recommendations. Use when user asks about savings or financial progress.",
+    input_schema: {
+      type: "object",
+      properties: {
+        target_amount: {
+          type: "number",
+          description: "Target savings amount"
+        },
+        target_date: {
+          type: "string",
+          description: "Target date (ISO format)"
+        },
+        current_amount: {
+          type: "number",
+          description: "Current saved amount"
+        },
+        monthly_contribution: {
+          type: "number",
+          description: "Monthly savings contribution the user mentioned (scheduled savings on the roadmap take precedence)"
+        },
+        roadmap_id: {
+          type: "string",
+          description: "Optional roadmap ID, to use its scheduled savings contributions"
+        },
+        milestone_id: {
+          type: "string",
+          description: "Optional milestone ID, to use only that goal's scheduled savings contributions"
+        }
+      },
+      required: ["target_amount", "target_date"]
+    }
+  }
+];
+
+module.exports = { LUNA_PLANNER_TOOLS };
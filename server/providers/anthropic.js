@@ -0,0 +1,208 @@
+/**
+ * Anthropic Messages API provider
+ *
+ * Non-streaming calls return the Messages API response unchanged (the
+ * frontend reads `content`, `stop_reason` and tool_use blocks from it).
+ * Streaming calls are normalized into provider-neutral events:
+ *
+ *   { type: 'message_start', message: { id, model, usage } }
+ *   { type: 'text', text }
+ *   { type: 'tool_use', tool: { id, name, input } }
+ *   { type: 'tool_input_error', tool: { id, name }, error }
+ *   { type: 'message_delta', stopReason, usage }
+ *   { type: 'message_stop' }
+ */
+
+const fetch = require('node-fetch');
+const { createProviderError } = require('../errors');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Build the Messages API body from provider params
+ */
+const buildBody = ({ model, system, messages, tools, maxTokens, temperature }, stream) => {
+  const body = {
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    system,
+    messages,
+  };
+
+  // Add tools if the profile defines them (for function calling)
+  if (tools && tools.length > 0) {
+    body.tools = tools;
+  }
+  if (stream) {
+    body.stream = true;
+  }
+  return body;
+};
+
+/**
+ * Read a failed response into a provider error
+ */
+const toProviderError = async (response) => {
+  const text = await response.text();
+  let message = text.substring(0, 200) || 'API call failed';
+  try {
+    message = JSON.parse(text).error?.message || message;
+  } catch (e) {
+    // Not JSON - keep the raw text
+  }
+  const retryAfter = parseInt(response.headers?.get?.('retry-after'), 10) || null;
+  return createProviderError(response.status, message, retryAfter);
+};
+
+/**
+ * Split a readable stream of SSE bytes into parsed `data:` payloads
+ */
+async function* readServerSentEvents(body) {
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+
+    // Keep last incomplete line in buffer
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const data = line.slice(6).trim();
+      if (!data || data === '[DONE]') continue;
+      try {
+        yield JSON.parse(data);
+      } catch (e) {
+        // Skip non-JSON lines
+      }
+    }
+  }
+}
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} options
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.baseUrl - API origin (overridable for proxies)
+ * @param {Function} options.fetchImpl - fetch implementation (injectable for tests)
+ */
+const createAnthropicProvider = ({
+  apiKey,
+  baseUrl = 'https://api.anthropic.com',
+  fetchImpl = fetch,
+} = {}) => {
+  // `signal` lets the retry policy cut off slow attempts and abandoned requests
+  const post = (body, signal) => fetchImpl(`${baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': API_VERSION,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  /**
+   * Non-streaming message
+   * @returns {Promise<Object>} Messages API response
+   */
+  const createMessage = async (params) => {
+    const response = await post(buildBody(params, false), params.signal);
+    if (!response.ok) {
+      throw await toProviderError(response);
+    }
+    return response.json();
+  };
+
+  /**
+   * Streaming message as normalized events
+   * @returns {AsyncGenerator<Object>}
+   */
+  async function* streamMessage(params) {
+    const response = await post(buildBody(params, true), params.signal);
+    if (!response.ok) {
+      throw await toProviderError(response);
+    }
+
+    let currentToolUse = null; // Track tool use being built
+    let currentToolInput = ''; // Accumulate JSON input
+
+    for await (const event of readServerSentEvents(response.body)) {
+      switch (event.type) {
+        case 'message_start':
+          yield {
+            type: 'message_start',
+            message: {
+              id: event.message?.id,
+              model: event.message?.model,
+              usage: event.message?.usage || {},
+            },
+          };
+          break;
+
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            currentToolUse = { id: event.content_block.id, name: event.content_block.name };
+            currentToolInput = '';
+          }
+          break;
+
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            yield { type: 'text', text: event.delta.text };
+          } else if (event.delta?.type === 'input_json_delta') {
+            currentToolInput += event.delta.partial_json;
+          }
+          break;
+
+        case 'content_block_stop':
+          if (currentToolUse) {
+            try {
+              // Tools without arguments stream no input deltas at all
+              const input = currentToolInput ? JSON.parse(currentToolInput) : {};
+              yield { type: 'tool_use', tool: { ...currentToolUse, input } };
+            } catch (e) {
+              yield { type: 'tool_input_error', tool: currentToolUse, error: e.message };
+            }
+            currentToolUse = null;
+            currentToolInput = '';
+          }
+          break;
+
+        case 'message_delta':
+          yield {
+            type: 'message_delta',
+            stopReason: event.delta?.stop_reason || null,
+            usage: event.usage || {},
+          };
+          break;
+
+        case 'message_stop':
+          yield { type: 'message_stop' };
+          break;
+
+        case 'error':
+          throw createProviderError(
+            event.error?.type === 'overloaded_error' ? 529 : 500,
+            event.error?.message || 'Stream error'
+          );
+
+        default:
+          break;
+      }
+    }
+  }
+
+  return {
+    name: 'anthropic',
+    createMessage,
+    streamMessage,
+  };
+};
+
+module.exports = {
+  createAnthropicProvider,
+  readServerSentEvents,
+};
@@ -0,0 +1,86 @@
+/**
+ * LLM Provider Layer
+ *
+ * Routes never call a model API directly. Each proxy route asks the router
+ * for its provider and model (configured per route in src/config/serverEnv.js)
+ * and calls one of:
+ *
+ *   provider.createMessage(params)  - Non-streaming, Messages API shaped response
+ *   provider.streamMessage(params)  - Async iterable of normalized stream events
+ *   generateText(provider, params)  - Plain text generation (first text block)
+ *
+ * params: { model, system, messages, tools, maxTokens, temperature, profile, signal }
+ *
+ * Timeouts and retries are applied around these calls by server/retry.js.
+ *
+ * Providers:
+ *   anthropic - Anthropic Messages API (./anthropic.js)
+ *   mock      - Deterministic fixture replay for offline runs and tests (./mock.js)
+ */
+
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { createProviderError } = require('../errors');
+
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Create the per-route provider router
+ * @param {Object} llmConfig - `llm` section of getServerConfig()
+ * @param {Object} llmConfig.routes - { [route]: { provider, model } }
+ * @param {Object} llmConfig.anthropic - Options for createAnthropicProvider
+ * @param {Object} llmConfig.mock - Options for createMockProvider
+ * @returns {{ forRoute: Function, getProvider: Function }}
+ */
+const createProviderRouter = (llmConfig) => {
+  const instances = new Map();
+
+  // Providers are created lazily so a mock-only setup never needs an API key
+  const getProvider = (name) => {
+    if (!instances.has(name)) {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}"`);
+      }
+      instances.set(name, factory(llmConfig[name] || {}));
+    }
+    return instances.get(name);
+  };
+
+  /**
+   * @param {string} route - 'claude' | 'claude-stream' | 'claude-generate' | 'optimize-goals'
+   * @returns {{ provider: Object, model: string }}
+   */
+  const forRoute = (route) => {
+    const routeConfig = llmConfig.routes[route];
+    if (!routeConfig) {
+      throw new Error(`No LLM provider configured for route "${route}"`);
+    }
+    return { provider: getProvider(routeConfig.provider), model: routeConfig.model };
+  };
+
+  return { forRoute, getProvider };
+};
+
+/**
+ * Generate plain text with any provider
+ * @returns {Promise<{ text: string, message: Object }>}
+ * @throws {Error} Provider error, or a 500 if the response has no text block
+ */
+const generateText = async (provider, params) => {
+  const message = await provider.createMessage(params);
+  const textContent = message.content?.find(block => block.type === 'text');
+  if (!textContent) {
+    throw createProviderError(500, 'No text content in response');
+  }
+  return { text: textContent.text, message };
+};
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+  createProviderRouter,
+  generateText,
+};
@@ -0,0 +1,242 @@
+/**
+ * Fixture-driven mock provider
+ *
+ * Replays recorded Messages API responses so the whole Luna flow (including
+ * tool calls like generate_milestone and propose_add_task) runs offline and
+ * in tests. Output is deterministic: the same conversation always gets the
+ * same fixture, ids and token counts.
+ *
+ * Fixture files (./fixtures/*.json):
+ *   {
+ *     "name": "Human readable description",
+ *     "match": {
+ *       "profile": "luna-planner",          // prompt profile id
+ *       "afterTool": "generate_milestone",  // last message is this tool's result
+ *       "userIncludes": ["task", "todo"]    // last user text contains any (case-insensitive)
+ *     },
+ *     "response": { "content": [...], "stop_reason": "tool_use" }
+ *   }
+ *
+ * The fixture matching the most criteria wins; ties go to the first file by name.
+ * A fixture without `match` is a catch-all. Strings in a response may reference
+ * the latest tool result, e.g. "{{toolResult.milestone.id}}".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createProviderError } = require('../errors');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const WORDS_PER_CHUNK = 4;
+
+/**
+ * Load every *.json fixture in a directory, sorted by file name
+ */
+const loadFixtures = (dir) => fs.readdirSync(dir)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+
+const textOf = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+};
+
+/**
+ * Facts about the conversation that fixtures can match on
+ */
+const describeConversation = (messages = []) => {
+  const last = messages[messages.length - 1];
+  const toolResults = Array.isArray(last?.content)
+    ? last.content.filter(block => block.type === 'tool_result')
+    : [];
+
+  // Tool names live on the assistant tool_use blocks the results answer
+  const toolNames = {};
+  messages.forEach(message => {
+    if (message.role === 'assistant' && Array.isArray(message.content)) {
+      message.content
+        .filter(block => block.type === 'tool_use')
+        .forEach(block => { toolNames[block.id] = block.name; });
+    }
+  });
+
+  let toolResult = null;
+  const latestResult = toolResults[toolResults.length - 1];
+  if (latestResult) {
+    try {
+      toolResult = JSON.parse(typeof latestResult.content === 'string'
+        ? latestResult.content
+        : textOf(latestResult.content));
+    } catch (e) {
+      toolResult = { content: latestResult.content };
+    }
+  }
+
+  return {
+    lastTools: toolResults.map(block => toolNames[block.tool_use_id]).filter(Boolean),
+    lastUserText: last?.role === 'user' ? textOf(last.content).toLowerCase() : '',
+    toolResult,
+  };
+};
+
+/**
+ * Score a fixture against a request; -1 means it doesn't match
+ */
+const scoreFixture = (fixture, { profile }, conversation) => {
+  const match = fixture.match || {};
+  let score = 0;
+
+  if (match.profile !== undefined) {
+    if (match.profile !== profile) return -1;
+    score += 1;
+  }
+  if (match.afterTool !== undefined) {
+    if (!conversation.lastTools.includes(match.afterTool)) return -1;
+    score += 1;
+  }
+  if (match.userIncludes !== undefined) {
+    const needles = [].concat(match.userIncludes).map(needle => needle.toLowerCase());
+    if (!needles.some(needle => conversation.lastUserText.includes(needle))) return -1;
+    score += 1;
+  }
+  return score;
+};
+
+const readPath = (source, keyPath) => keyPath.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+
+/**
+ * Replace {{toolResult.path}} placeholders throughout a fixture response
+ */
+const fillPlaceholders = (value, scope) => {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{([\w.]+)\}\}$/);
+    if (whole) {
+      const resolved = readPath(scope, whole[1]);
+      return resolved === undefined ? null : resolved;
+    }
+    return value.replace(/\{\{([\w.]+)\}\}/g, (_, keyPath) => {
+      const resolved = readPath(scope, keyPath);
+      return resolved === undefined ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => fillPlaceholders(item, scope));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, scope)]));
+  }
+  return value;
+};
+
+// Small, stable hash for ids so replays are reproducible
+const hashOf = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Rough token count (~4 characters per token), good enough for usage tracking in tests
+const estimateTokens = (value) => Math.max(1, Math.ceil(JSON.stringify(value || '').length / 4));
+
+/**
+ * Create the mock provider
+ * @param {Object} options
+ * @param {string} options.fixturesDir - Directory of fixture JSON files
+ * @param {Array} options.fixtures - Inline fixtures (used instead of the directory)
+ */
+const createMockProvider = ({ fixturesDir = DEFAULT_FIXTURES_DIR, fixtures } = {}) => {
+  const library = fixtures || loadFixtures(fixturesDir);
+
+  /**
+   * Build the recorded response for a request
+   * @returns {Object} Messages API shaped response
+   */
+  const createMessage = async (params) => {
+    const { model, system, messages, profile } = params;
+    const conversation = describeConversation(messages);
+
+    let best = null;
+    let bestScore = -1;
+    library.forEach(fixture => {
+      const score = scoreFixture(fixture, { profile }, conversation);
+      if (score > bestScore) {
+        best = fixture;
+        bestScore = score;
+      }
+    });
+
+    if (!best) {
+      throw createProviderError(500, `No mock fixture matches profile "${profile}"`);
+    }
+
+    const seed = hashOf(`${best.file || best.name}:${JSON.stringify(messages)}`);
+    const response = fillPlaceholders(best.response, { toolResult: conversation.toolResult });
+    const content = (response.content || []).map((block, index) => (
+      block.type === 'tool_use' ? { id: `toolu_mock_${seed}_${index}`, ...block } : block
+    ));
+
+    return {
+      id: `msg_mock_${seed}`,
+      type: 'message',
+      role: 'assistant',
+      model,
+      content,
+      stop_reason: response.stop_reason || (content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn'),
+      stop_sequence: null,
+      usage: response.usage || {
+        input_tokens: estimateTokens({ system, messages }),
+        output_tokens: estimateTokens(content),
+      },
+    };
+  };
+
+  /**
+   * Replay the recorded response as normalized stream events
+   * (same event shapes as the Anthropic provider)
+   */
+  async function* streamMessage(params) {
+    const message = await createMessage(params);
+
+    yield {
+      type: 'message_start',
+      message: {
+        id: message.id,
+        model: message.model,
+        usage: { input_tokens: message.usage.input_tokens, output_tokens: 0 },
+      },
+    };
+
+    for (const block of message.content) {
+      if (block.type === 'text') {
+        const words = block.text.split(/(?<=\s)/);
+        for (let i = 0; i < words.length; i += WORDS_PER_CHUNK) {
+          yield { type: 'text', text: words.slice(i, i + WORDS_PER_CHUNK).join('') };
+        }
+      } else if (block.type === 'tool_use') {
+        yield { type: 'tool_use', tool: { id: block.id, name: block.name, input: block.input || {} } };
+      }
+    }
+
+    yield {
+      type: 'message_delta',
+      stopReason: message.stop_reason,
+      usage: { output_tokens: message.usage.output_tokens },
+    };
+    yield { type: 'message_stop' };
+  }
+
+  return {
+    name: 'mock',
+    createMessage,
+    streamMessage,
+  };
+};
+
+module.exports = {
+  createMockProvider,
+  loadFixtures,
+  DEFAULT_FIXTURES_DIR,
+};
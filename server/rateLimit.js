@@ -0,0 +1,120 @@
+/**
+ * Token-Bucket Rate Limiting for the Claude Proxy
+ *
+ * Each key (user id or client IP) gets a bucket that holds `capacity` tokens
+ * and refills at `refillPerMinute`. Every proxied call costs one token.
+ *
+ * - Signed-in users draw from their own bucket AND their IP's bucket
+ * - Guests (no token) draw from a smaller per-IP guest bucket
+ *
+ * Buckets live in memory. That is fine for our single PM2 instance; in
+ * cluster mode each worker enforces its own share of the quota.
+ */
+
+const { ERROR_CODES, sendError } = require('./errors');
+
+class TokenBucket {
+  constructor({ capacity, refillPerMinute }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `cost` tokens are available (0 if available now)
+   */
+  waitTime(cost, now) {
+    this.refill(now);
+    if (this.tokens >= cost) return 0;
+    if (this.refillPerMs <= 0) return Infinity;
+    return Math.ceil((cost - this.tokens) / this.refillPerMs);
+  }
+
+  consume(cost, now) {
+    this.refill(now);
+    this.tokens -= cost;
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Create the rate limiting middleware. Must run after the auth middleware
+ * so `req.user` is populated.
+ *
+ * @param {Object} limits
+ * @param {Object} limits.user - { capacity, refillPerMinute } per signed-in user
+ * @param {Object} limits.ip - { capacity, refillPerMinute } per IP for signed-in users
+ * @param {Object} limits.guest - { capacity, refillPerMinute } per IP for guests
+ * @param {Object} options
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Function} Express middleware with a `reset()` helper
+ */
+const createRateLimiter = (limits, { now = Date.now } = {}) => {
+  const buckets = new Map(); // "scope:key" -> TokenBucket
+  let lastSweep = now();
+
+  const getBucket = (scope, key) => {
+    const id = `${scope}:${key}`;
+    let bucket = buckets.get(id);
+    if (!bucket) {
+      bucket = new TokenBucket(limits[scope], now());
+      buckets.set(id, bucket);
+    }
+    return bucket;
+  };
+
+  // Full buckets carry no state worth keeping - drop them every few minutes
+  const sweep = () => {
+    const currentTime = now();
+    if (currentTime - lastSweep < 5 * 60 * 1000) return;
+    lastSweep = currentTime;
+    for (const [id, bucket] of buckets) {
+      if (bucket.isFull(currentTime)) buckets.delete(id);
+    }
+  };
+
+  const rateLimit = (req, res, next) => {
+    sweep();
+
+    const currentTime = now();
+    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+    const applicable = req.user
+      ? [getBucket('user', req.user.id), getBucket('ip', ip)]
+      : [getBucket('guest', ip)];
+
+    const waitMs = Math.max(...applicable.map(bucket => bucket.waitTime(1, currentTime)));
+
+    if (waitMs > 0) {
+      const retryAfter = Number.isFinite(waitMs) ? Math.ceil(waitMs / 1000) : 60;
+      console.warn(`⏳ Rate limit hit for ${req.user ? `user ${req.user.id}` : `guest ${ip}`} on ${req.path}`);
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendError(res, 429, ERROR_CODES.RATE_LIMITED, 'Too many requests to Luna. Please slow down.', {
+        retryAfter,
+        scope: req.user ? 'user' : 'guest',
+      });
+    }
+
+    applicable.forEach(bucket => bucket.consume(1, currentTime));
+    res.setHeader('X-RateLimit-Remaining', String(Math.floor(Math.min(...applicable.map(b => b.tokens)))));
+    return next();
+  };
+
+  rateLimit.reset = () => buckets.clear();
+  return rateLimit;
+};
+
+module.exports = {
+  TokenBucket,
+  createRateLimiter,
+};
@@ -0,0 +1,100 @@
+/**
+ * Content-Addressed Response Cache
+ *
+ * Deterministic generations (roadmap JSON, milestone sequences, deep-dive
+ * insights) are cached under a hash of everything that shapes the output:
+ * provider, model, prompt profile id and version, the rendered system prompt
+ * and the normalized messages. Identical inputs skip the model call entirely,
+ * so regenerating the same roadmap is instant and costs no tokens.
+ *
+ * - Only profiles marked `cacheable: true` (server/prompts) are cached
+ * - Entries expire after `ttlMs`; the least recently used go first past `maxEntries`
+ * - `bypassCache: true` in the request body forces a fresh generation,
+ *   which then replaces the cached entry
+ *
+ * Entries live in memory, like the rate limit buckets.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Normalize a value so cosmetic differences don't change the key:
+ * object keys are sorted, undefined fields dropped, line endings unified
+ * and trailing whitespace trimmed from every line of every string.
+ * @param {*} value - Any JSON value
+ * @returns {*} Normalized copy
+ */
+const normalizeValue = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      if (value[key] !== undefined) normalized[key] = normalizeValue(value[key]);
+      return normalized;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Build the cache key for a generation
+ * @param {Object} params
+ * @param {Object} params.profile - Prompt profile ({ id, version })
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model id
+ * @param {string} params.system - Rendered system prompt
+ * @param {Array} params.messages - Messages sent to the model
+ * @returns {string} sha256 hex digest
+ */
+const createCacheKey = ({ profile, provider, model, system, messages }) => {
+  const payload = normalizeValue({
+    profile: `${profile.id}@${profile.version}`,
+    provider,
+    model,
+    system,
+    messages,
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+};
+
+/**
+ * Create the response cache
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long an entry is served
+ * @param {number} options.maxEntries - Max entries kept (least recently used evicted)
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {{ get: Function, set: Function, size: Function }}
+ */
+const createResponseCache = ({ ttlMs, maxEntries = 500, now = Date.now }) => {
+  const entries = new Map(); // key -> { value, expiresAt }, oldest use first
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= now()) return undefined;
+    // Re-insert so Map order tracks recency
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return { get, set, size: () => entries.size };
+};
+
+module.exports = {
+  normalizeValue,
+  createCacheKey,
+  createResponseCache,
+};
@@ -0,0 +1,135 @@
+/**
+ * Retry and Timeout Policy for Model Calls
+ *
+ * Every provider call runs under its route's policy (src/config/serverEnv.js):
+ *
+ * - Each attempt is cut off after the route's `timeoutMs` (-> 504 provider error)
+ * - Overload and transient upstream failures (429, 529, 5xx) are retried with
+ *   exponential backoff and full jitter, honouring `retry-after` when sent
+ * - If the browser disconnects, the upstream call is aborted and not retried,
+ *   so an unmounted component stops spending tokens
+ */
+
+const { createProviderError } = require('./errors');
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+const isRetryableError = (error) => Boolean(error?.status) && RETRYABLE_STATUSES.includes(error.status);
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+const createAbortError = () => {
+  const error = new Error('Request aborted by the client');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Delay before retry number `attempt + 1`
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @param {number|null} retryAfter - Seconds the upstream asked us to wait
+ * @param {Function} random - Random source (for tests)
+ * @returns {number} Milliseconds
+ */
+const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs }, retryAfter = null, random = Math.random) => {
+  if (retryAfter) {
+    return Math.min(retryAfter * 1000, maxDelayMs);
+  }
+  // Full jitter: anywhere between 0 and the exponential cap
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }, { once: true });
+});
+
+/**
+ * An AbortSignal that fires when the client goes away before we answered
+ * @param {Object} res - Express response
+ * @returns {AbortSignal}
+ */
+const createDisconnectSignal = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
+/**
+ * Run a provider call with timeouts and retries
+ * @param {Function} operation - (signal, attempt) => Promise; pass `signal` to the provider
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - First backoff step
+ * @param {number} options.maxDelayMs - Backoff cap
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {AbortSignal} options.signal - Aborts everything (client disconnect)
+ * @param {Function} options.canRetry - Extra veto, e.g. a stream that already sent output
+ * @param {string} options.label - Used in logs
+ * @param {Function} options.sleep - (ms, signal) => Promise (for tests)
+ * @param {Function} options.random - Random source (for tests)
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} Last error once retries are exhausted, or an AbortError
+ */
+const withRetry = async (operation, {
+  retries = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 8000,
+  timeoutMs = 60000,
+  signal,
+  canRetry = () => true,
+  label = 'model call',
+  sleep = wait,
+  random = Math.random,
+} = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    if (signal?.aborted) throw createAbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const abortAttempt = () => controller.abort();
+    signal?.addEventListener('abort', abortAttempt);
+
+    let error;
+    try {
+      return await operation(controller.signal, attempt);
+    } catch (attemptError) {
+      error = attemptError;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortAttempt);
+    }
+
+    if (signal?.aborted) throw createAbortError();
+    if (timedOut) {
+      error = createProviderError(504, `Model call timed out after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    if (attempt >= retries || !isRetryableError(error) || !canRetry(error)) {
+      error.attempts = attempt + 1;
+      throw error;
+    }
+
+    const delay = getRetryDelay(attempt, { baseDelayMs, maxDelayMs }, error.retryAfter, random);
+    console.warn(`🔁 ${label} failed with ${error.status}, retry ${attempt + 1}/${retries} in ${delay}ms`);
+    await sleep(delay, signal);
+  }
+};
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  isRetryableError,
+  isAbortError,
+  getRetryDelay,
+  createDisconnectSignal,
+  withRetry,
+};
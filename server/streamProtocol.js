@@ -0,0 +1,66 @@
+/**
+ * Luna Stream Protocol (version 2)
+ *
+ * `/api/claude-stream` answers with Server-Sent Events. Every event carries an
+ * `id:` line (1, 2, 3, ... within the response) and a JSON `data:` line. The
+ * protocol version is sent in the `X-Stream-Protocol` header and in
+ * `message_start`. The browser reads it through src/services/lunaStream.js.
+ *
+ *   message_start     { protocol, id, model, profile, usage }
+ *                     Once per model attempt, before any content. A retried
+ *                     attempt sends a new one; only the last counts.
+ *   text              { text }                      Text delta
+ *   tool_use          { tool: { id, name, input } } Complete tool call
+ *   tool_input_error  { tool: { id, name }, error } Tool call whose input was not valid JSON
+ *   usage             { input_tokens, output_tokens } Running totals for the message
+ *   stop_reason       { stop_reason }               end_turn | tool_use | max_tokens | ...
+ *   done              { id, stop_reason, usage }    Exactly once, last event of a finished message
+ *   error             { error, code, status }       Last event of a failed message
+ *
+ * A response that ends without `done` or `error` was cut off; the client
+ * resumes it (see callClaudeStreaming). The message id and last event id tell
+ * it what it already has.
+ */
+
+const STREAM_PROTOCOL_VERSION = 2;
+
+const STREAM_EVENTS = {
+  MESSAGE_START: 'message_start',
+  TEXT: 'text',
+  TOOL_USE: 'tool_use',
+  TOOL_INPUT_ERROR: 'tool_input_error',
+  USAGE: 'usage',
+  STOP_REASON: 'stop_reason',
+  DONE: 'done',
+  ERROR: 'error',
+};
+
+const STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'X-Stream-Protocol': String(STREAM_PROTOCOL_VERSION),
+};
+
+/**
+ * Write protocol events to an SSE response
+ * @param {Object} res - Express response (headers already sent)
+ * @returns {{ send: Function, lastEventId: Function }}
+ */
+const createStreamWriter = (res) => {
+  let eventId = 0;
+
+  const send = (event, data) => {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return { send, lastEventId: () => eventId };
+};
+
+module.exports = {
+  STREAM_PROTOCOL_VERSION,
+  STREAM_EVENTS,
+  STREAM_HEADERS,
+  createStreamWriter,
+};
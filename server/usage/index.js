@@ -0,0 +1,217 @@
+/**
+ * Luna Usage Ledger
+ *
+ * Every model call through the proxy is recorded with its user, route,
+ * prompt profile (the "feature"), provider, model, tokens and cost. The
+ * ledger also enforces the SUBSCRIPTION tier limits before a call is made:
+ *
+ * - Pro-only features (e.g. pdf-narrative) need the Pro tier  -> 402 UPGRADE_REQUIRED
+ * - Monthly token allowance per tier (-1 = unlimited)          -> 429 USAGE_LIMIT_REACHED
+ *
+ * The tier comes from the verified user (Supabase app_metadata.subscription_tier).
+ * Guests have no monthly total; the guest rate limit bounds them instead.
+ */
+
+const { ERROR_CODES } = require('../errors');
+const { estimateCost } = require('./pricing');
+const { createMemoryUsageStore, createSupabaseUsageStore } = require('./stores');
+
+const TIERS = {
+  FREE: 'FREE',
+  PRO: 'PRO',
+};
+
+/**
+ * Subscription tier of a verified user (guests are FREE)
+ * @param {Object|null} user - req.user
+ * @returns {string} One of TIERS
+ */
+const getUserTier = (user) => (user?.tier === 'pro' ? TIERS.PRO : TIERS.FREE);
+
+const createUsageError = (status, code, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Create the usage ledger
+ * @param {Object} options
+ * @param {Object} options.store - Ledger store (see ./stores.js)
+ * @param {Object} options.limits - `usage.limits` from getServerConfig()
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object} Ledger
+ */
+const createUsageLedger = ({
+  store = createMemoryUsageStore(),
+  limits,
+  now = Date.now,
+}) => {
+  // userId -> { periodStart, tokens } for the current calendar month (UTC)
+  const monthlyTokens = new Map();
+
+  const getPeriod = () => {
+    const date = new Date(now());
+    return {
+      start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString(),
+      resetAt: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString(),
+    };
+  };
+
+  /**
+   * Tokens a user has used this month. Loaded from the store once per
+   * month and kept current by record().
+   */
+  const getMonthlyTokens = async (userId) => {
+    const { start } = getPeriod();
+    const cached = monthlyTokens.get(userId);
+    if (cached && cached.periodStart === start) return cached.tokens;
+
+    const rows = await store.summarize({ since: start, userId });
+    const tokens = rows.reduce((sum, row) => sum + row.input_tokens + row.output_tokens, 0);
+    monthlyTokens.set(userId, { periodStart: start, tokens });
+    return tokens;
+  };
+
+  /**
+   * Record one model call. Never throws - a ledger outage must not break Luna.
+   * @param {Object} entry
+   * @param {Object|null} entry.user - req.user
+   * @param {string} entry.route - Proxy route
+   * @param {Object} entry.profile - Prompt profile ({ id, version })
+   * @param {string} entry.provider - Provider name
+   * @param {string} entry.model - Model id
+   * @param {Object} entry.usage - { input_tokens, output_tokens }
+   * @returns {Promise<Object>} The recorded row
+   */
+  const record = async ({ user, route, profile, provider, model, usage = {} }) => {
+    const row = {
+      user_id: user?.id || null,
+      route,
+      feature: profile.id,
+      profile_version: profile.version,
+      provider,
+      model,
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      cost_usd: estimateCost(model, usage, provider),
+      created_at: new Date(now()).toISOString(),
+    };
+
+    const cached = row.user_id && monthlyTokens.get(row.user_id);
+    if (cached && cached.periodStart === getPeriod().start) {
+      cached.tokens += row.input_tokens + row.output_tokens;
+    }
+
+    try {
+      await store.insert(row);
+    } catch (error) {
+      console.error('❌ Failed to record AI usage:', error.message);
+    }
+    return row;
+  };
+
+  /**
+   * Check a user may call a feature before spending tokens on it
+   * @param {Object|null} user - req.user
+   * @param {string} featureId - Prompt profile id
+   * @throws {Error} UPGRADE_REQUIRED (402) or USAGE_LIMIT_REACHED (429)
+   */
+  const assertWithinLimits = async (user, featureId) => {
+    const tier = getUserTier(user);
+
+    if (tier !== TIERS.PRO && limits.proOnlyFeatures.includes(featureId)) {
+      throw createUsageError(402, ERROR_CODES.UPGRADE_REQUIRED,
+        'This Luna feature is part of Pro. Upgrade to use it.', { feature: featureId });
+    }
+
+    const { monthlyTokens: limit } = limits[tier];
+    if (!user || limit === -1) return;
+
+    let used;
+    try {
+      used = await getMonthlyTokens(user.id);
+    } catch (error) {
+      // Fail open: a ledger outage shouldn't lock everyone out of Luna
+      console.error('❌ Failed to load AI usage:', error.message);
+      return;
+    }
+
+    if (used >= limit) {
+      throw createUsageError(429, ERROR_CODES.USAGE_LIMIT_REACHED,
+        "You've used this month's Luna allowance.", { limit, used, resetAt: getPeriod().resetAt });
+    }
+  };
+
+  /**
+   * This month's usage for one user (Settings > Luna usage)
+   * @param {Object} user - req.user
+   */
+  const getUserUsage = async (user) => {
+    const tier = getUserTier(user);
+    const { start, resetAt } = getPeriod();
+    const rows = await store.summarize({ since: start, userId: user.id });
+
+    const byFeature = new Map();
+    rows.forEach(row => {
+      const feature = byFeature.get(row.feature) || { feature: row.feature, calls: 0, tokens: 0, costUsd: 0 };
+      feature.calls += row.calls;
+      feature.tokens += row.input_tokens + row.output_tokens;
+      feature.costUsd += row.cost_usd;
+      byFeature.set(row.feature, feature);
+    });
+    const features = [...byFeature.values()].sort((a, b) => b.tokens - a.tokens);
+    const tokens = features.reduce((sum, feature) => sum + feature.tokens, 0);
+
+    monthlyTokens.set(user.id, { periodStart: start, tokens });
+
+    return {
+      tier,
+      periodStart: start,
+      resetAt,
+      monthlyTokenLimit: limits[tier].monthlyTokens,
+      proOnlyFeatures: limits.proOnlyFeatures,
+      totals: {
+        calls: features.reduce((sum, feature) => sum + feature.calls, 0),
+        tokens,
+        costUsd: features.reduce((sum, feature) => sum + feature.costUsd, 0),
+      },
+      byFeature: features,
+    };
+  };
+
+  /**
+   * Usage across all users since a date (admin endpoint)
+   * @param {Object} options
+   * @param {string} options.since - ISO date, defaults to the start of this month
+   * @param {string} options.userId - Optional single user
+   */
+  const summarize = ({ since = getPeriod().start, userId = null } = {}) => store.summarize({ since, userId });
+
+  return {
+    record,
+    assertWithinLimits,
+    getMonthlyTokens,
+    getUserUsage,
+    summarize,
+  };
+};
+
+/**
+ * Pick the ledger store for this deployment
+ * @param {Object} supabaseConfig - `supabase` section of getServerConfig()
+ */
+const createUsageStore = ({ url, serviceRoleKey } = {}) => (
+  url && serviceRoleKey
+    ? createSupabaseUsageStore({ url, serviceRoleKey })
+    : createMemoryUsageStore()
+);
+
+module.exports = {
+  TIERS,
+  getUserTier,
+  createUsageLedger,
+  createUsageStore,
+};
@@ -0,0 +1,52 @@
+/**
+ * Model Pricing
+ *
+ * USD per million tokens, used to put a cost on every ledger entry.
+ * Models are matched by prefix so dated snapshots (claude-haiku-4-5-20251001)
+ * share their family's price. Unknown models are priced like Haiku and logged.
+ */
+
+const MODEL_PRICING = [
+  { prefix: 'claude-haiku-4-5', input: 1, output: 5 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-opus-4', input: 15, output: 75 },
+];
+
+const DEFAULT_PRICING = MODEL_PRICING[0];
+
+/**
+ * Look up the price for a model
+ * @param {string} model - Model id
+ * @returns {{ input: number, output: number }} USD per million tokens
+ */
+const getModelPricing = (model = '') => {
+  const pricing = MODEL_PRICING.find(entry => model.startsWith(entry.prefix));
+  if (!pricing) {
+    console.warn(`⚠️ No pricing for model "${model}", using ${DEFAULT_PRICING.prefix} prices`);
+    return DEFAULT_PRICING;
+  }
+  return pricing;
+};
+
+/**
+ * Cost of one call in USD
+ * @param {string} model - Model id
+ * @param {{ input_tokens: number, output_tokens: number }} usage - Token usage
+ * @param {string} provider - Provider name; mock calls are free
+ * @returns {number}
+ */
+const estimateCost = (model, usage = {}, provider = 'anthropic') => {
+  if (provider === 'mock') return 0;
+  const { input, output } = getModelPricing(model);
+  const cost = ((usage.input_tokens || 0) * input + (usage.output_tokens || 0) * output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+};
+
+module.exports = {
+  MODEL_PRICING,
+  getModelPricing,
+  estimateCost,
+};
@@ -0,0 +1,116 @@
+/**
+ * Usage Ledger Stores
+ *
+ * Where ledger rows live. Both stores implement:
+ *
+ *   insert(row)                  - Append one ai_usage_events row
+ *   summarize({ since, userId }) - Rows grouped by user, feature, route and model
+ *
+ * The Supabase store writes through PostgREST with the service role key
+ * (migrations/017_ai_usage_ledger.sql). The memory store is used when no
+ * service role key is configured (local dev, mock provider) and in tests.
+ */
+
+const fetch = require('node-fetch');
+
+const toNumber = (value) => Number(value) || 0;
+
+/**
+ * In-memory store. Usage resets when the server restarts.
+ * @returns {{ insert: Function, summarize: Function }}
+ */
+const createMemoryUsageStore = () => {
+  const rows = [];
+
+  const insert = async (row) => {
+    rows.push({ ...row, created_at: row.created_at || new Date().toISOString() });
+  };
+
+  const summarize = async ({ since, userId = null }) => {
+    const groups = new Map();
+    rows
+      .filter(row => new Date(row.created_at) >= new Date(since))
+      .filter(row => !userId || row.user_id === userId)
+      .forEach(row => {
+        const key = [row.user_id, row.feature, row.route, row.model].join('|');
+        if (!groups.has(key)) {
+          groups.set(key, {
+            user_id: row.user_id,
+            feature: row.feature,
+            route: row.route,
+            model: row.model,
+            calls: 0,
+            input_tokens: 0,
+            output_tokens: 0,
+            cost_usd: 0,
+          });
+        }
+        const group = groups.get(key);
+        group.calls += 1;
+        group.input_tokens += row.input_tokens;
+        group.output_tokens += row.output_tokens;
+        group.cost_usd += row.cost_usd;
+      });
+
+    return [...groups.values()].sort((a, b) => b.cost_usd - a.cost_usd);
+  };
+
+  return { insert, summarize };
+};
+
+/**
+ * Supabase store (ai_usage_events table + get_ai_usage_summary RPC)
+ * @param {Object} options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.serviceRoleKey - Service role key (bypasses RLS)
+ * @param {Function} options.fetchImpl - fetch implementation (for tests)
+ * @returns {{ insert: Function, summarize: Function }}
+ */
+const createSupabaseUsageStore = ({ url, serviceRoleKey, fetchImpl = fetch }) => {
+  const baseUrl = url.replace(/\/$/, '');
+  const headers = {
+    'Content-Type': 'application/json',
+    'apikey': serviceRoleKey,
+    'Authorization': `Bearer ${serviceRoleKey}`,
+  };
+
+  const request = async (path, body, extraHeaders = {}) => {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { ...headers, ...extraHeaders },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Usage ledger request failed: ${response.status} - ${errorText}`);
+    }
+    return response;
+  };
+
+  const insert = async (row) => {
+    await request('/rest/v1/ai_usage_events', row, { 'Prefer': 'return=minimal' });
+  };
+
+  const summarize = async ({ since, userId = null }) => {
+    const response = await request('/rest/v1/rpc/get_ai_usage_summary', {
+      p_since: since,
+      p_user_id: userId,
+    });
+    const rows = await response.json();
+    // Postgres BIGINT/NUMERIC come back as strings
+    return rows.map(row => ({
+      ...row,
+      calls: toNumber(row.calls),
+      input_tokens: toNumber(row.input_tokens),
+      output_tokens: toNumber(row.output_tokens),
+      cost_usd: toNumber(row.cost_usd),
+    }));
+  };
+
+  return { insert, summarize };
+};
+
+module.exports = {
+  createMemoryUsageStore,
+  createSupabaseUsageStore,
+};
@@ -25,6 +25,7 @@ import LunaOptimization from './Components/LunaOptimization';
 import LunaAssessment from './Components/LunaAssessment';
 import PortfolioOverview from './Components/PortfolioOverview';
 import AcceptInvitePage from './Components/Partner/AcceptInvitePage';
+import PublicDreamPage from './Components/Sharing/PublicDreamPage';
 import AcceptPartnerInvitePage from './Components/Partner/AcceptPartnerInvitePage';
 import ResetPasswordPage from './Components/ResetPasswordPage';
 import DevTools from './Components/DevTools';
@@ -111,6 +112,7 @@ const AppContent = () => {
       'assessment': 'Luna Assessment',
       'portfolioOverview': 'Portfolio Overview',
       'invite': 'Partner Invite',
+      'publicDream': 'Public Dream',
     };
 
     const pageName = pageNames[stage] || stage;
@@ -213,7 +215,7 @@ const AppContent = () => {
 
       // Check if we're on a special route that shouldn't be overridden
       // These routes are handled by useRouteSync and should not redirect to landing
-      const specialRoutes = ['/invite/', '/partner-invite/', '/assessment/join/'];
+      const specialRoutes = ['/invite/', '/partner-invite/', '/shared/', '/assessment/join/'];
       const isOnSpecialRoute = specialRoutes.some(route =>
         window.location.pathname.startsWith(route)
       );
@@ -1529,6 +1531,11 @@ const AppContent = () => {
           <AcceptPartnerInvitePage />
         )}
 
+        {/* STAGE 12: Public Read-Only Dream (no account needed) */}
+        {stage === 'publicDream' && (
+          <PublicDreamPage />
+        )}
+
         {/* Mobile Bottom Navigation */}
         {showMobileNav && (
           <MobileBottomNav
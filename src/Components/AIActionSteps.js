@@ -5,12 +5,14 @@ import {
   ChevronDown, Target, Loader2
 } from 'lucide-react';
 import { callClaude } from '../services/claudeAPI';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 const AIActionSteps = ({ milestone, userContext }) => {
   const [steps, setSteps] = useState([]);
   const [loading, setLoading] = useState(true);
   const [expandedStep, setExpandedStep] = useState(null);
   const [regenerating, setRegenerating] = useState(false);
+  const getSignal = useAbortOnUnmount();
 
   useEffect(() => {
     generateActionSteps();
@@ -21,55 +23,20 @@ const AIActionSteps = ({ milestone, userContext }) => {
 
     setLoading(true);
     try {
-      const systemPrompt = `You are an expert life planning advisor helping couples achieve their goals. Generate a detailed, step-by-step action plan.
-
-CRITICAL: You must respond with ONLY valid JSON. No other text, explanations, or markdown. Just the JSON array.
-
-Format your response as a JSON array of objects with this EXACT structure:
-[
-  {
-    "step": 1,
-    "title": "Step title",
-    "description": "What this step involves",
-    "duration": "1-2 weeks",
-    "difficulty": "easy",
-    "actionItems": ["Sub-task 1", "Sub-task 2"],
-    "considerations": ["Key question to think about"],
-    "resources": ["Tool or website name"],
-    "dependencies": []
-  }
-]
-
-difficulty must be exactly one of: "easy", "medium", "hard"
-dependencies is an array of step numbers that must be completed first (can be empty array)`;
-
-      const userMessage = `Generate 6-8 detailed action steps for this milestone:
-
-Milestone: "${milestone.title}"
-${milestone.description ? `Description: ${milestone.description}` : ''}
-${milestone.budget_amount ? `Budget: $${milestone.budget_amount}` : ''}
-${milestone.duration ? `Timeline: ${milestone.duration}` : ''}
-Partners: ${userContext?.partner1 || 'Partner 1'} and ${userContext?.partner2 || 'Partner 2'}
-Location: ${userContext?.location || 'Not specified'}
-
-Make the steps:
-1. SPECIFIC to this exact milestone (not generic advice)
-2. ACTIONABLE with clear sub-tasks
-3. REALISTIC with accurate time estimates
-4. SEQUENCED logically (use dependencies)
-5. Include thoughtful considerations (decision frameworks, questions to ask yourselves)
-6. Suggest helpful resources (real tools, websites, apps)
-
-Respond with ONLY the JSON array, nothing else.`;
-
-      const response = await callClaude(
-        [{ role: 'user', content: userMessage }],
-        {
-          systemPrompt,
-          maxTokens: 4000,
-          temperature: 0.7
-        }
-      );
+      // The prompt is the server-side 'milestone-action-steps' template
+      const response = await callClaude([], {
+        profile: 'milestone-action-steps',
+        variables: {
+          title: milestone.title,
+          description: milestone.description,
+          budget: milestone.budget_amount,
+          duration: milestone.duration,
+          partner1: userContext?.partner1,
+          partner2: userContext?.partner2,
+          location: userContext?.location
+        },
+        signal: getSignal()
+      });
 
       // Parse the AI response
       try {
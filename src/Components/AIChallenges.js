@@ -4,11 +4,13 @@ import {
   AlertTriangle, Lightbulb, RefreshCw, Sparkles, Loader2, Shield
 } from 'lucide-react';
 import { callClaude } from '../services/claudeAPI';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 const AIChallenges = ({ milestone, userContext }) => {
   const [challenges, setChallenges] = useState([]);
   const [loading, setLoading] = useState(true);
   const [regenerating, setRegenerating] = useState(false);
+  const getSignal = useAbortOnUnmount();
 
   useEffect(() => {
     generateChallenges();
@@ -19,59 +21,20 @@ const AIChallenges = ({ milestone, userContext }) => {
 
     setLoading(true);
     try {
-      const systemPrompt = `You are an expert life planning advisor helping couples anticipate and overcome challenges. Generate realistic, specific challenges they might face.
-
-CRITICAL: You must respond with ONLY valid JSON. No other text, explanations, or markdown. Just the JSON array.
-
-Format your response as a JSON array of objects with this EXACT structure:
-[
-  {
-    "challenge": "Specific challenge name",
-    "likelihood": "high",
-    "description": "Detailed explanation of why this challenge occurs",
-    "solution": "Practical, actionable solution strategy",
-    "preventionTips": ["Tip 1", "Tip 2"]
-  }
-]
-
-likelihood must be exactly one of: "very high", "high", "medium", "low"`;
-
-      const userMessage = `Generate 5-7 realistic challenges specific to this milestone:
-
-Milestone: "${milestone.title}"
-${milestone.description ? `Description: ${milestone.description}` : ''}
-${milestone.budget_amount ? `Budget: $${milestone.budget_amount}` : ''}
-${milestone.duration ? `Timeline: ${milestone.duration}` : ''}
-Partners: ${userContext?.partner1 || 'Partner 1'} and ${userContext?.partner2 || 'Partner 2'}
-Location: ${userContext?.location || 'Not specified'}
-
-Generate challenges that are:
-1. SPECIFIC to this exact milestone (not "staying motivated" - that's too generic)
-2. REALISTIC and likely to actually occur
-3. Include both practical and emotional/relationship challenges
-4. Provide concrete, actionable solutions
-5. Include prevention tips to avoid the challenge entirely
-
-Examples of GOOD challenges:
-- For a wedding: "Guest list disagreements between families", "Vendor suddenly cancels 2 months before wedding"
-- For home buying: "Losing bidding wars in competitive market", "Inspection reveals foundation issues"
-- For travel: "Flight cancellations during peak season", "Currency exchange rates shift dramatically"
-
-Examples of BAD (too generic) challenges:
-- "Staying motivated"
-- "Communication issues"
-- "Time management"
-
-Respond with ONLY the JSON array, nothing else.`;
-
-      const response = await callClaude(
-        [{ role: 'user', content: userMessage }],
-        {
-          systemPrompt,
-          maxTokens: 3000,
-          temperature: 0.7
-        }
-      );
+      // The prompt is the server-side 'milestone-challenges' template
+      const response = await callClaude([], {
+        profile: 'milestone-challenges',
+        variables: {
+          title: milestone.title,
+          description: milestone.description,
+          budget: milestone.budget_amount,
+          duration: milestone.duration,
+          partner1: userContext?.partner1,
+          partner2: userContext?.partner2,
+          location: userContext?.location
+        },
+        signal: getSignal()
+      });
 
       // Parse AI response
       try {
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { ArrowUpRight, ArrowDownRight, Minus, CheckCircle, AlertCircle, Clock } from 'lucide-react';
+import {
+  compareCompatibilityResults,
+  buildCompatibilityTrend
+} from '../../utils/compatibilityScoring';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 28;
+
+const formatDate = (date) => date
+  ? new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+  : 'Undated';
+
+const questionOf = (misalignment) =>
+  typeof misalignment === 'string' ? misalignment : misalignment?.question;
+
+// Overall score per assessment as a simple line chart
+const ScoreChart = ({ trend, highlighted }) => {
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const points = trend.map((point, index) => ({
+    ...point,
+    x: CHART_PADDING + (trend.length > 1 ? (index / (trend.length - 1)) * innerWidth : innerWidth / 2),
+    y: CHART_PADDING + innerHeight - (point.score / 100) * innerHeight
+  }));
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      style={{ width: '100%', height: 'auto' }}
+      role="img"
+      aria-label={`Alignment score over time: ${trend.map(t => `${t.score}%`).join(', ')}`}
+    >
+      {[0, 50, 100].map(level => {
+        const y = CHART_PADDING + innerHeight - (level / 100) * innerHeight;
+        return (
+          <g key={level}>
+            <line x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={y} y2={y} stroke="#e8e4de" strokeDasharray="4 4" />
+            <text x={CHART_PADDING - 6} y={y + 4} fontSize="10" textAnchor="end" fill="#6b635b">{level}</text>
+          </g>
+        );
+      })}
+      <polyline
+        points={points.map(p => `${p.x},${p.y}`).join(' ')}
+        fill="none"
+        stroke="#c9a68a"
+        strokeWidth="3"
+        strokeLinejoin="round"
+      />
+      {points.map(point => {
+        const isHighlighted = highlighted.includes(point.sessionId);
+        return (
+          <g key={point.sessionId || point.date}>
+            <circle
+              cx={point.x}
+              cy={point.y}
+              r={isHighlighted ? 7 : 5}
+              fill={isHighlighted ? '#a88968' : '#ffffff'}
+              stroke="#a88968"
+              strokeWidth="2"
+            />
+            <text x={point.x} y={point.y - 12} fontSize="12" fontWeight="600" textAnchor="middle" fill="#2d2926">
+              {point.score}%
+            </text>
+            <text x={point.x} y={CHART_HEIGHT - 6} fontSize="10" textAnchor="middle" fill="#6b635b">
+              {point.date ? new Date(point.date).toLocaleDateString(undefined, { month: 'short', year: '2-digit' }) : ''}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const ChangeBadge = ({ change }) => {
+  if (change === null) return <span style={{ color: '#6b635b', fontSize: '0.875rem' }}>new</span>;
+  const Icon = change > 0 ? ArrowUpRight : change < 0 ? ArrowDownRight : Minus;
+  const color = change > 0 ? '#7d8c75' : change < 0 ? '#c76b6b' : '#6b635b';
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem', color, fontWeight: 600, fontSize: '0.875rem' }}>
+      <Icon size={14} />
+      {change > 0 ? '+' : ''}{change}
+    </span>
+  );
+};
+
+const MisalignmentList = ({ title, icon: Icon, color, items, empty }) => (
+  <div style={{ background: '#ffffff', borderRadius: 16, padding: '1.25rem', border: '1px solid #e8e4de' }}>
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color, fontWeight: 600, marginBottom: '0.75rem' }}>
+      <Icon size={16} />
+      {title} ({items.length})
+    </div>
+    {items.length === 0 ? (
+      <p style={{ fontSize: '0.875rem', color: '#6b635b' }}>{empty}</p>
+    ) : (
+      <ul style={{ display: 'grid', gap: '0.5rem', fontSize: '0.9375rem', color: '#2d2926' }}>
+        {items.map((item, index) => <li key={index}>{questionOf(item)}</li>)}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Compares two assessments from the couple's history: score over time,
+ * change per area, and which differences were resolved or newly appeared
+ */
+const AssessmentComparison = ({ history = [], sessionId, getCategoryLabel = (key) => key }) => {
+  // Default to the assessment on screen against the one before it
+  const shownIndex = history.findIndex(entry => entry.session_id === sessionId);
+  const defaultTo = shownIndex >= 0 ? shownIndex : history.length - 1;
+
+  const [fromIndex, setFromIndex] = useState(Math.max(0, defaultTo - 1));
+  const [toIndex, setToIndex] = useState(Math.max(1, defaultTo));
+
+  if (history.length < 2) return null;
+
+  const from = history[fromIndex];
+  const to = history[toIndex];
+  const trend = buildCompatibilityTrend(history);
+  const diff = compareCompatibilityResults(from, to);
+
+  const selectStyle = {
+    padding: '0.5rem 0.75rem',
+    borderRadius: 10,
+    border: '1px solid #e8e4de',
+    background: '#ffffff',
+    color: '#2d2926',
+    fontSize: '0.875rem'
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: '1.5rem' }}>
+      <div style={{ background: '#ffffff', borderRadius: 16, padding: '1.25rem', border: '1px solid #e8e4de' }}>
+        <ScoreChart trend={trend} highlighted={[from.session_id, to.session_id]} />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', fontSize: '0.875rem', color: '#6b635b' }}>
+        <span>Compare</span>
+        <select aria-label="Earlier assessment" value={fromIndex} onChange={(e) => setFromIndex(Number(e.target.value))} style={selectStyle}>
+          {history.map((entry, index) => (
+            <option key={entry.session_id} value={index} disabled={index === toIndex}>
+              {formatDate(entry.assessed_at)}
+            </option>
+          ))}
+        </select>
+        <span>with</span>
+        <select aria-label="Later assessment" value={toIndex} onChange={(e) => setToIndex(Number(e.target.value))} style={selectStyle}>
+          {history.map((entry, index) => (
+            <option key={entry.session_id} value={index} disabled={index === fromIndex}>
+              {formatDate(entry.assessed_at)}
+            </option>
+          ))}
+        </select>
+        {diff.scoreChange !== null && (
+          <span style={{ marginLeft: 'auto', color: '#2d2926' }}>
+            Overall {diff.previousScore}% → {diff.currentScore}% <ChangeBadge change={diff.scoreChange} />
+          </span>
+        )}
+      </div>
+
+      {diff.categories.length > 0 && (
+        <div style={{ background: '#ffffff', borderRadius: 16, padding: '1.25rem', border: '1px solid #e8e4de' }}>
+          {diff.categories.map(({ category, previous, current, change }) => (
+            <div
+              key={category}
+              style={{ display: 'grid', gridTemplateColumns: '1fr auto auto auto', gap: '1rem', alignItems: 'center', padding: '0.5rem 0', borderBottom: '1px solid #f5f2ed' }}
+            >
+              <span style={{ color: '#2d2926' }}>{getCategoryLabel(category)}</span>
+              <span style={{ color: '#6b635b', fontSize: '0.875rem' }}>{previous !== null ? `${previous}%` : '—'}</span>
+              <span style={{ color: '#2d2926', fontSize: '0.875rem' }}>{current !== null ? `${current}%` : '—'}</span>
+              {current === null ? <span style={{ color: '#6b635b', fontSize: '0.875rem' }}>not asked</span> : <ChangeBadge change={change} />}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: '1rem', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))' }}>
+        <MisalignmentList
+          title="Resolved"
+          icon={CheckCircle}
+          color="#7d8c75"
+          items={diff.resolved}
+          empty="No earlier differences have closed yet."
+        />
+        <MisalignmentList
+          title="Newly appeared"
+          icon={AlertCircle}
+          color="#c76b6b"
+          items={diff.emerged}
+          empty="No new differences came up."
+        />
+        <MisalignmentList
+          title="Still open"
+          icon={Clock}
+          color="#d4a574"
+          items={diff.ongoing}
+          empty="Nothing carried over."
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AssessmentComparison;
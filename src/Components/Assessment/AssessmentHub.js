@@ -2,7 +2,8 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Heart, Users, Link2, Copy, Check, ArrowLeft,
-  Loader2, Sparkles, MessageCircle, ChevronRight, ArrowRight, AlertCircle
+  Loader2, Sparkles, MessageCircle, ChevronRight, ArrowRight, AlertCircle,
+  CalendarClock, Clock, RotateCcw, Lock
 } from 'lucide-react';
 import PreScreeningForm from './PreScreeningForm';
 import LunaQuestions from './LunaQuestions';
@@ -12,23 +13,34 @@ import LunaLoadingExperience from './LunaLoadingExperience';
 import {
   createAssessmentSession,
   joinSessionByCode,
+  extendAssessmentSession,
   updateSessionStatus,
   savePrescreeningResponses,
   getPrescreeningResponses,
   saveSessionQuestions,
   getSessionQuestions,
+  getResumePoint,
   saveAssessmentResults,
   getAssessmentResults,
+  getAssessmentResultsHistory,
+  getSessionResponses,
+  consentToReveal,
+  createConversationMilestone,
   subscribeToAssessment,
   unsubscribe,
   checkAssessmentComplete,
   getFullAssessmentData
 } from '../../services/assessmentService';
-import { sendAssessmentInviteEmail } from '../../services/supabaseService';
+import { sendAssessmentInviteEmail, getUserRoadmaps } from '../../services/supabaseService';
 import {
   generateAssessmentQuestions,
   analyzeAssessmentResults
 } from '../../services/lunaAssessmentAI';
+import { describeCompatibilityTrend } from '../../utils/compatibilityScoring';
+import { isRemoteMode, getNextReminderAt } from '../../utils/assessmentSchedule';
+import { getRevealState, buildAnswerComparison } from '../../utils/assessmentPrivacy';
+import { isAbortError } from '../../services/requestPolicy';
+import { useAbortOnUnmount } from '../../hooks/useAbortOnUnmount';
 
 // Assessment stages
 const STAGES = {
@@ -41,6 +53,7 @@ const STAGES = {
   QUESTIONS_P1: 'questions_p1',
   QUESTIONS_P2: 'questions_p2',
   WAITING_FOR_PARTNER: 'waiting_for_partner',
+  EXPIRED: 'expired',
   ANALYZING: 'analyzing',
   RESULTS: 'results'
 };
@@ -150,9 +163,9 @@ const styles = `
   /* Mode Cards */
   .mode-selection {
     display: grid;
-    grid-template-columns: repeat(2, 1fr);
+    grid-template-columns: repeat(3, 1fr);
     gap: 1.5rem;
-    max-width: 600px;
+    max-width: 780px;
     width: 100%;
     margin-bottom: 2rem;
   }
@@ -553,8 +566,10 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
   // Core state
   const [stage, setStage] = useState(joinCode ? 'joining' : STAGES.MODE_SELECT);
   const [mode, setMode] = useState('together');
+  const [sealed, setSealed] = useState(false);
   const [session, setSession] = useState(null);
   const [currentPartner, setCurrentPartner] = useState(1);
+  const getSignal = useAbortOnUnmount();
 
   // Form state
   const [partner1Name, setPartner1Name] = useState('');
@@ -566,6 +581,10 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
   const [prescreening, setPrescreening] = useState({ partner1: null, partner2: null });
   const [questions, setQuestions] = useState([]);
   const [results, setResults] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [roadmaps, setRoadmaps] = useState(null); // null when signed out, so no milestones can be made
+  const [answerComparison, setAnswerComparison] = useState([]);
+  const [resumePoint, setResumePoint] = useState(null); // { partner, index, answers } when picking up mid-questionnaire
 
   // UI state
   const [loading, setLoading] = useState(false);
@@ -573,6 +592,7 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
   const [copied, setCopied] = useState(false);
   const [realtimeChannel, setRealtimeChannel] = useState(null);
   const [emailStatus, setEmailStatus] = useState(null); // 'sent', 'failed', or null
+  const [extending, setExtending] = useState(false);
 
   // Refs to track current values for realtime callbacks (avoids stale closures)
   const stageRef = useRef(stage);
@@ -582,6 +602,50 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
   useEffect(() => { stageRef.current = stage; }, [stage]);
   useEffect(() => { currentPartnerRef.current = currentPartner; }, [currentPartner]);
 
+  // Past results for comparing retakes
+  useEffect(() => {
+    if (stage !== STAGES.RESULTS) return;
+    getAssessmentResultsHistory().then(({ data }) => setHistory(data || []));
+    getUserRoadmaps().then(({ data, error }) => setRoadmaps(error ? null : data || []));
+  }, [stage]);
+
+  // Side-by-side answers, once a sealed session has been revealed
+  const answersRevealed = getRevealState(session, currentPartner).revealed;
+  useEffect(() => {
+    if (stage !== STAGES.RESULTS || !session?.sealed || !answersRevealed) return;
+
+    Promise.all([getSessionQuestions(session.id), getSessionResponses(session.id)])
+      .then(([{ data: sessionQuestions }, { data: responses }]) => {
+        if (sessionQuestions && responses) {
+          setAnswerComparison(buildAnswerComparison(sessionQuestions, responses));
+        }
+      });
+  }, [stage, session?.id, session?.sealed, answersRevealed]);
+
+  // Send a partner back to wherever they left off, on whichever device they're on
+  const resumeSession = useCallback(async (sessionData, partner) => {
+    const { data: resume, error: resumeError } = await getResumePoint(sessionData.id, partner);
+    if (resumeError) throw resumeError;
+
+    if (resume.total === 0) {
+      // No questions yet - they're generated once partner 1 finishes pre-screening
+      const { data: screening } = await getPrescreeningResponses(sessionData.id);
+      setPrescreening({ partner1: screening?.partner1 || null, partner2: screening?.partner2 || null });
+
+      if (partner === 2 && screening?.partner2) {
+        setStage(STAGES.WAITING_FOR_PARTNER);
+      } else {
+        setStage(partner === 1 ? STAGES.PRESCREENING_P1 : STAGES.PRESCREENING_P2);
+      }
+    } else if (resume.isComplete) {
+      setStage(STAGES.WAITING_FOR_PARTNER);
+    } else {
+      setQuestions(resume.questions);
+      setResumePoint({ partner, index: resume.index, answers: resume.answers });
+      setStage(partner === 1 ? STAGES.QUESTIONS_P1 : STAGES.QUESTIONS_P2);
+    }
+  }, []);
+
   // Join existing session if code provided
   useEffect(() => {
     if (joinCode) {
@@ -597,8 +661,8 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
           setSession(data);
           setPartner1Name(data.partner1_name);
           setPartner2Name(data.partner2_name);
-          setMode('separate');
-          setCurrentPartner(2);
+          setMode(data.mode === 'async' ? 'async' : 'separate');
+          setCurrentPartner(data.partnerNumber);
 
           if (data.isCompleted) {
             // Load results for completed sessions
@@ -607,18 +671,10 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
               setResults(existingResults);
             }
             setStage(STAGES.RESULTS);
-          } else if (data.status === 'prescreening' || data.status === 'prescreening_p1_complete') {
-            setStage(STAGES.PRESCREENING_P2);
-          } else if (data.status === 'questions_ready' || data.status === 'partner1_answering' || data.status === 'partner2_answering') {
-            const { data: questionsData } = await getSessionQuestions(data.id);
-            setQuestions(questionsData || []);
-            setStage(STAGES.QUESTIONS_P2);
-          } else if (data.status === 'partner1_complete') {
-            const { data: questionsData } = await getSessionQuestions(data.id);
-            setQuestions(questionsData || []);
-            setStage(STAGES.QUESTIONS_P2);
-          } else if (data.status === 'partner2_complete') {
-            setStage(STAGES.WAITING_FOR_PARTNER);
+          } else if (data.isExpired) {
+            setStage(STAGES.EXPIRED);
+          } else {
+            await resumeSession(data, data.partnerNumber);
           }
         } catch (err) {
           setError(err.message || 'Failed to join session');
@@ -630,11 +686,11 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
 
       joinSession();
     }
-  }, [joinCode]);
+  }, [joinCode, resumeSession]);
 
   // Subscribe to realtime updates when session exists
   useEffect(() => {
-    if (session?.id && mode === 'separate') {
+    if (session?.id && isRemoteMode(mode)) {
       const channel = subscribeToAssessment(session.id, {
         onSessionUpdate: handleSessionUpdate,
         onNewAnswer: handleNewAnswer,
@@ -648,6 +704,18 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
     }
   }, [session?.id, mode]);
 
+  // Catch up on a partner who finished while nobody was watching (async mode,
+  // or resuming on another device) - realtime only reports changes from now on
+  useEffect(() => {
+    if (stage !== STAGES.WAITING_FOR_PARTNER || !session?.id) return;
+
+    checkAssessmentComplete(session.id).then(completion => {
+      if (completion.bothComplete && stageRef.current === STAGES.WAITING_FOR_PARTNER) {
+        analyzeResults();
+      }
+    });
+  }, [stage, session?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Realtime handlers - use refs to avoid stale closures
   const handleSessionUpdate = useCallback(async (updatedSession) => {
     setSession(updatedSession);
@@ -705,14 +773,15 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
         partner2Name: partner2Name.trim(),
         partner1Email: partner1Email.trim() || null,
         partner2Email: partner2Email.trim() || null,
-        mode
+        mode,
+        sealed: isRemoteMode(mode) && sealed
       });
 
       if (error) throw error;
       setSession(data);
 
-      // Send email invite if partner email provided in separate mode
-      if (mode === 'separate' && partner2Email.trim()) {
+      // Send email invite if partner email provided in a remote mode
+      if (isRemoteMode(mode) && partner2Email.trim()) {
         try {
           const { error: emailError } = await sendAssessmentInviteEmail(partner2Email.trim(), {
             inviterName: partner1Name.trim(),
@@ -732,7 +801,7 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
         }
       }
 
-      if (mode === 'separate') {
+      if (isRemoteMode(mode)) {
         setStage(STAGES.SESSION_SETUP);
       } else {
         setStage(STAGES.PRESCREENING_P1);
@@ -744,6 +813,50 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
     }
   };
 
+  // Extend the session, or reopen it once expired (creator only)
+  const handleExtendSession = async () => {
+    setExtending(true);
+    setError(null);
+
+    try {
+      const { data, error } = await extendAssessmentSession(session.id);
+      if (error) throw error;
+
+      setSession(data);
+      if (stage === STAGES.EXPIRED) {
+        await resumeSession(data, 1);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to extend session');
+    } finally {
+      setExtending(false);
+    }
+  };
+
+  // Opt in to seeing each other's answers (sealed sessions)
+  const handleConsentToReveal = async () => {
+    const { data, error } = await consentToReveal(session.id);
+    if (!error) {
+      setSession(prev => ({ ...prev, ...data }));
+    }
+    return { error };
+  };
+
+  // Turn a misalignment into a conversation milestone in a new or existing dream
+  const handleCreateConversationMilestone = async (misalignment, { roadmapId, checkInDate }) => {
+    const { data, error } = await createConversationMilestone(misalignment, {
+      roadmapId,
+      checkInDate,
+      sessionId: session?.id,
+      partner1Name,
+      partner2Name
+    });
+    if (!error && !roadmapId) {
+      setRoadmaps(prev => [data.roadmap, ...(prev || [])]);
+    }
+    return { data, error };
+  };
+
   // Handle pre-screening completion
   const handlePrescreeningComplete = async (partnerNumber, answers) => {
     setLoading(true);
@@ -799,11 +912,17 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
         setPrescreening(data);
       }
 
+      // Let Luna follow up on how earlier assessments went
+      const { data: pastResults } = await getAssessmentResultsHistory();
+
       const { data: generatedQuestions, error } = await generateAssessmentQuestions(
         prescreeningData,
-        { partner1: partner1Name, partner2: partner2Name }
+        { partner1: partner1Name, partner2: partner2Name },
+        { trend: describeCompatibilityTrend(pastResults || []), signal: getSignal() }
       );
 
+      // Left the assessment: don't save fallback questions in Luna's place
+      if (isAbortError(error)) return;
       if (error) {
         console.warn('Using fallback questions due to error:', error);
       }
@@ -869,8 +988,9 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
 
     try {
       const { data: fullData } = await getFullAssessmentData(session.id);
-      const { data: analysis, error } = await analyzeAssessmentResults(fullData);
+      const { data: analysis, error } = await analyzeAssessmentResults(fullData, { signal: getSignal() });
 
+      if (isAbortError(error)) return;
       if (error) {
         console.warn('Analysis had errors, using fallback:', error);
       }
@@ -992,6 +1112,19 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
                     Each on your own device. Share a link to your partner.
                   </p>
                 </div>
+
+                <div
+                  className={`mode-card ${mode === 'async' ? 'selected' : ''}`}
+                  onClick={() => setMode('async')}
+                >
+                  <div className="mode-icon">
+                    <CalendarClock size={24} />
+                  </div>
+                  <h3 className="mode-title">On Your Own Time</h3>
+                  <p className="mode-description">
+                    Each finishes whenever suits them. We'll send reminders.
+                  </p>
+                </div>
               </motion.div>
 
               <motion.button
@@ -1098,7 +1231,7 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
               />
             </div>
 
-            {mode === 'separate' && (
+            {isRemoteMode(mode) && (
               <div className="input-group">
                 <label className="input-label">Partner's Email (optional)</label>
                 <input
@@ -1111,6 +1244,37 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
               </div>
             )}
 
+            {isRemoteMode(mode) && (
+              <label
+                style={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: '0.75rem',
+                  padding: '1rem',
+                  borderRadius: '12px',
+                  border: '1px solid var(--color-border)',
+                  background: sealed ? 'rgba(201, 166, 138, 0.08)' : 'var(--color-card)',
+                  cursor: 'pointer',
+                  marginBottom: '1.5rem'
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={sealed}
+                  onChange={(e) => setSealed(e.target.checked)}
+                  style={{ marginTop: '0.25rem' }}
+                />
+                <span style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)', lineHeight: 1.5 }}>
+                  <strong style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', color: 'var(--color-text)' }}>
+                    <Lock size={14} />
+                    Reveal together
+                  </strong>
+                  Keep each other's answers private. You'll see Luna's discussion guide first, and your
+                  individual answers only once you've both chosen to reveal them. You'll both need to be signed in.
+                </span>
+              </label>
+            )}
+
             {error && <div className="error-message">{error}</div>}
 
             <div className="btn-group">
@@ -1162,7 +1326,9 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
               </motion.div>
               <h2 className="form-title">Share with {partner2Name}</h2>
               <p className="form-subtitle">
-                Send this link so they can join your assessment session
+                {mode === 'async'
+                  ? 'Send this link so they can answer whenever suits them. We\'ll remind them if they stall.'
+                  : 'Send this link so they can join your assessment session'}
               </p>
             </div>
 
@@ -1246,7 +1412,7 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
 
         const handlePrescreeningBack = () => {
           if (stage === STAGES.PRESCREENING_P1) {
-            setStage(mode === 'separate' ? STAGES.SESSION_SETUP : STAGES.NAMES);
+            setStage(isRemoteMode(mode) ? STAGES.SESSION_SETUP : STAGES.NAMES);
           } else {
             setStage(STAGES.PRESCREENING_P1);
             setCurrentPartner(1);
@@ -1296,6 +1462,10 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
               partnerNumber={questionPartner}
               questions={questions}
               onComplete={() => handleQuestionsComplete(questionPartner)}
+              {...(resumePoint?.partner === questionPartner && {
+                startIndex: resumePoint.index,
+                initialAnswers: resumePoint.answers
+              })}
             />
           </motion.div>
         );
@@ -1314,9 +1484,71 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
               setStage(STAGES.ANALYZING);
               analyzeResults();
             }}
+            expiresAt={isRemoteMode(mode) ? session?.expires_at : null}
+            nextReminderAt={getNextReminderAt(session, currentPartner === 1 ? 2 : 1)}
+            onExtend={currentPartner === 1 && session?.user_id ? handleExtendSession : null}
+            isExtending={extending}
           />
         );
 
+      case STAGES.EXPIRED:
+        return (
+          <motion.div
+            className="form-container"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            style={{ paddingTop: '4rem' }}
+          >
+            <div className="form-header">
+              <motion.div
+                className="form-icon"
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                transition={{ type: 'spring', delay: 0.2 }}
+              >
+                <Clock size={28} />
+              </motion.div>
+              <h2 className="form-title">This Session Has Expired</h2>
+              <p className="form-subtitle">
+                Reopen it for another week and you'll both pick up where you left off. Your answers so far are saved.
+              </p>
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <div className="btn-group">
+              <button
+                className="btn-secondary"
+                onClick={() => {
+                  setSession(null);
+                  setError(null);
+                  setStage(STAGES.MODE_SELECT);
+                }}
+              >
+                <ArrowLeft size={18} />
+                Start Over
+              </button>
+              <motion.button
+                className="btn-primary"
+                onClick={handleExtendSession}
+                disabled={extending}
+                whileHover={{ scale: extending ? 1 : 1.02 }}
+                whileTap={{ scale: extending ? 1 : 0.98 }}
+              >
+                {extending ? (
+                  <Loader2 size={20} className="spin-animation" />
+                ) : (
+                  <>
+                    <RotateCcw size={18} />
+                    Reopen Session
+                  </>
+                )}
+              </motion.button>
+            </div>
+          </motion.div>
+        );
+
       case STAGES.ANALYZING:
         const analysisFocusAreas = prescreening.partner1?.focus_areas || prescreening.partner2?.focus_areas || [];
         return <LunaLoadingExperience type="analysis" focusAreas={analysisFocusAreas} />;
@@ -1328,11 +1560,21 @@ const AssessmentHub = ({ onBack, onComplete, joinCode = null }) => {
             partner1Name={partner1Name}
             partner2Name={partner2Name}
             onStartConversation={onComplete}
+            history={history}
+            sessionId={session?.id}
+            partnerNumber={currentPartner}
+            reveal={getRevealState(session, currentPartner)}
+            answerComparison={answerComparison}
+            onConsentToReveal={handleConsentToReveal}
+            roadmaps={roadmaps || []}
+            onCreateConversationMilestone={roadmaps ? handleCreateConversationMilestone : undefined}
             onNewAssessment={() => {
               setStage(STAGES.MODE_SELECT);
               setSession(null);
               setQuestions([]);
               setResults(null);
+              setResumePoint(null);
+              setAnswerComparison([]);
               setPrescreening({ partner1: null, partner2: null });
             }}
           />
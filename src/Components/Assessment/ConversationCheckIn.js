@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { MessageCircle, Calendar, CheckCircle, Loader2 } from 'lucide-react';
+import { getConversationCheckins, saveConversationCheckin } from '../../services/assessmentService';
+import { CHECKIN_RATINGS, getConversation, getCheckInStatus } from '../../utils/conversationMilestones';
+
+const formatDate = (date) =>
+  new Date(date.length === 10 ? `${date}T00:00:00` : date)
+    .toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Check-in card for a conversation milestone: the difference it came from,
+ * when to check in, and a 1-5 re-rating from each partner. Re-ratings go to
+ * the assessment history of the session the difference came from.
+ */
+const ConversationCheckIn = ({ milestone, roadmap, currentUserId }) => {
+  const conversation = getConversation(milestone);
+  const [checkins, setCheckins] = useState([]);
+  const [rating, setRating] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!conversation || !milestone?.id) return;
+    getConversationCheckins({ milestoneId: milestone.id }).then(({ data }) => setCheckins(data || []));
+  }, [milestone?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  if (!conversation) return null;
+
+  const partner1Name = roadmap?.partner1_name || 'Partner 1';
+  const partner2Name = roadmap?.partner2_name || 'Partner 2';
+  const myName = roadmap?.partner_id === currentUserId ? partner2Name : partner1Name;
+  const status = getCheckInStatus(conversation, checkins, currentUserId);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const { data, error: saveError } = await saveConversationCheckin(milestone, {
+      rating,
+      note,
+      partnerName: myName
+    });
+    if (saveError) {
+      setError(saveError.message || 'Couldn\'t save your check-in. Please try again.');
+    } else {
+      setCheckins(prev => [...prev, data]);
+      setRating(null);
+      setNote('');
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-6 border border-stone-200 shadow-sm mb-6">
+      <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wider text-amber-700 mb-2">
+        <MessageCircle className="w-4 h-4" />
+        Conversation milestone
+      </div>
+      <h2 className="text-xl font-semibold text-stone-900 mb-3" style={{ fontFamily: 'Georgia, serif' }}>
+        {conversation.question}
+      </h2>
+
+      {conversation.partner1Answer && conversation.partner2Answer && (
+        <div className="grid sm:grid-cols-2 gap-3 mb-4 text-sm">
+          <div className="bg-stone-50 rounded-xl p-3 border border-stone-100">
+            <span className="font-medium text-stone-900">{partner1Name}:</span> {conversation.partner1Answer}
+          </div>
+          <div className="bg-stone-50 rounded-xl p-3 border border-stone-100">
+            <span className="font-medium text-stone-900">{partner2Name}:</span> {conversation.partner2Answer}
+          </div>
+        </div>
+      )}
+
+      {conversation.checkInDate && (
+        <p className={`flex items-center gap-2 text-sm mb-4 ${status.due ? 'text-amber-800' : 'text-stone-500'}`}>
+          <Calendar className="w-4 h-4" />
+          {status.due
+            ? `Time to check in (planned for ${formatDate(conversation.checkInDate)})`
+            : `Check in on ${formatDate(conversation.checkInDate)}${status.daysLeft > 0 ? `, in ${status.daysLeft} day${status.daysLeft === 1 ? '' : 's'}` : ''}`}
+        </p>
+      )}
+
+      <div className="border-t border-stone-100 pt-4">
+        <p className="text-sm font-medium text-stone-800 mb-3">
+          {status.hasRated ? 'Re-rate again after another talk' : 'After talking it through, how close do you feel on this now?'}
+        </p>
+        <div className="flex flex-wrap gap-2 mb-3">
+          {CHECKIN_RATINGS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setRating(option.value)}
+              className={`px-3 py-2 rounded-xl text-sm border transition-colors ${
+                rating === option.value
+                  ? 'bg-stone-900 text-white border-stone-900'
+                  : 'bg-white text-stone-700 border-stone-200 hover:bg-stone-50'
+              }`}
+            >
+              {option.value} · {option.label}
+            </button>
+          ))}
+        </div>
+        {rating && (
+          <div className="grid gap-3">
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={1000}
+              rows={2}
+              placeholder="What changed, or what's still open? (optional)"
+              className="w-full rounded-xl border border-stone-200 p-3 text-sm text-stone-800"
+            />
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="justify-self-start inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-stone-900 text-white text-sm font-medium disabled:opacity-70"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+              Save check-in
+            </button>
+          </div>
+        )}
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      </div>
+
+      {checkins.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {[...checkins].reverse().map(checkin => (
+            <li key={checkin.id} className="text-sm text-stone-600">
+              <span className="font-medium text-stone-900">{checkin.partner_name || 'Partner'}</span>
+              {' '}rated {checkin.rating}/5 on {formatDate(checkin.created_at)}
+              {checkin.note && <span className="block text-stone-500">"{checkin.note}"</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConversationCheckIn;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Flag, CheckCircle, Loader2 } from 'lucide-react';
+import { getCheckInDate } from '../../utils/conversationMilestones';
+
+const NEW_DREAM = 'new';
+
+const fieldStyle = {
+  padding: '0.5rem 0.75rem',
+  borderRadius: 10,
+  border: '1px solid #e8e4de',
+  background: '#ffffff',
+  color: '#2d2926',
+  fontSize: '0.875rem'
+};
+
+const buttonStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  padding: '0.625rem 1rem',
+  borderRadius: 12,
+  border: 'none',
+  background: '#2d2926',
+  color: '#ffffff',
+  fontWeight: 500,
+  fontSize: '0.875rem',
+  cursor: 'pointer'
+};
+
+/**
+ * Turns one misalignment into a conversation milestone: pick a dream (or a
+ * new one) and a check-in date, and the discussion guide becomes its tasks.
+ * Sits inside a clickable card, so it keeps its clicks to itself.
+ */
+const ConversationMilestoneAction = ({ misalignment, roadmaps = [], onCreate }) => {
+  const [open, setOpen] = useState(false);
+  const [roadmapId, setRoadmapId] = useState(NEW_DREAM);
+  const [checkInDate, setCheckInDate] = useState(() => getCheckInDate());
+  const [saving, setSaving] = useState(false);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    const { data, error: createError } = await onCreate(misalignment, {
+      roadmapId: roadmapId === NEW_DREAM ? null : roadmapId,
+      checkInDate
+    });
+    if (createError) {
+      setError(createError.message || 'Couldn\'t create the milestone. Please try again.');
+    } else {
+      setCreated(data);
+    }
+    setSaving(false);
+  };
+
+  if (created) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '1rem', fontSize: '0.875rem', color: '#7d8c75' }}>
+        <CheckCircle size={16} />
+        Added to {created.roadmap?.title || 'your dreams'}, check in on{' '}
+        {new Date(`${checkInDate}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+      </div>
+    );
+  }
+
+  return (
+    <div onClick={(e) => e.stopPropagation()} style={{ marginTop: '1rem', display: 'grid', gap: '0.75rem' }}>
+      {!open ? (
+        <button onClick={() => setOpen(true)} style={{ ...buttonStyle, justifySelf: 'start' }}>
+          <Flag size={16} />
+          Make this a conversation milestone
+        </button>
+      ) : (
+        <>
+          <p style={{ fontSize: '0.875rem', color: '#6b635b', lineHeight: 1.6 }}>
+            The discussion guide for this topic becomes a milestone you work through together,
+            ending with a check-in where you each re-rate how close you feel.
+          </p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'end' }}>
+            <label style={{ display: 'grid', gap: '0.25rem', fontSize: '0.75rem', color: '#6b635b' }}>
+              Add to
+              <select value={roadmapId} onChange={(e) => setRoadmapId(e.target.value)} style={fieldStyle}>
+                <option value={NEW_DREAM}>A new dream</option>
+                {roadmaps.map(roadmap => (
+                  <option key={roadmap.id} value={roadmap.id}>{roadmap.title}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ display: 'grid', gap: '0.25rem', fontSize: '0.75rem', color: '#6b635b' }}>
+              Check in on
+              <input
+                type="date"
+                value={checkInDate}
+                min={getCheckInDate(new Date(), 1)}
+                onChange={(e) => setCheckInDate(e.target.value)}
+                style={fieldStyle}
+              />
+            </label>
+            <button
+              onClick={handleCreate}
+              disabled={saving || !checkInDate}
+              style={{ ...buttonStyle, cursor: saving ? 'default' : 'pointer', opacity: saving ? 0.7 : 1 }}
+            >
+              {saving ? <Loader2 size={16} className="spin-animation" /> : <Flag size={16} />}
+              Create milestone
+            </button>
+          </div>
+          {error && <p style={{ fontSize: '0.875rem', color: '#c76b6b' }}>{error}</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ConversationMilestoneAction;
@@ -28,8 +28,14 @@ import {
   Dumbbell,
   Music,
   Utensils,
-  Shield
+  Shield,
+  Lock
 } from 'lucide-react';
+import AssessmentComparison from './AssessmentComparison';
+import RevealTogether from './RevealTogether';
+import ConversationMilestoneAction from './ConversationMilestoneAction';
+import MarkdownMessage from '../MarkdownMessage';
+import { generateDiscussionGuide, summarizeCheckins } from '../../utils/compatibilityScoring';
 
 // Premium Unsplash images for authentic feel
 const HERO_IMAGES = [
@@ -195,7 +201,15 @@ const LunaAnalysisResults = ({
   partner1Name,
   partner2Name,
   onStartConversation,
-  onNewAssessment
+  onNewAssessment,
+  history = [],
+  sessionId = null,
+  partnerNumber = 1,
+  reveal = null,
+  answerComparison = [],
+  onConsentToReveal,
+  roadmaps = [],
+  onCreateConversationMilestone
 }) => {
   const [expandedCategory, setExpandedCategory] = useState(null);
   const [expandedMisalignment, setExpandedMisalignment] = useState(null);
@@ -213,6 +227,11 @@ const LunaAnalysisResults = ({
   const recommendedGoals = results.recommendedGoals || results.nextSteps || [];
   const questionsAsked = results.questionsAsked || 0;
 
+  // Re-ratings from conversation milestones made from this assessment
+  const talkedThrough = summarizeCheckins(
+    history.find(entry => entry.session_id === sessionId)?.checkins || []
+  );
+
   // Score interpretation
   const getScoreData = () => {
     if (alignmentScore >= 80) return {
@@ -1064,6 +1083,40 @@ const LunaAnalysisResults = ({
       {/* Main Content */}
       <div className="content-container">
 
+        {/* Sealed sessions: Luna's guide first, answers only once both partners opt in */}
+        {reveal?.sealed && (
+          <RevealSection>
+            <section className="category-section">
+              <div className="section-header">
+                <div className="section-label">
+                  <Lock size={14} />
+                  Reveal Together
+                </div>
+                <h2 className="section-title">Start With the Conversation</h2>
+                <p className="section-subtitle">
+                  Luna's guide is built from how closely your answers matched, not the answers themselves.
+                  Work through it together before you decide to reveal.
+                </p>
+              </div>
+
+              <div style={{ background: '#ffffff', borderRadius: 16, padding: '1.5rem', border: '1px solid #e8e4de', marginBottom: '1.5rem' }}>
+                <MarkdownMessage
+                  content={generateDiscussionGuide({ partner1Name, partner2Name, misalignments, alignmentScore })}
+                />
+              </div>
+
+              <RevealTogether
+                reveal={reveal}
+                partnerName={partnerNumber === 1 ? partner2Name : partner1Name}
+                partner1Name={partner1Name}
+                partner2Name={partner2Name}
+                comparison={answerComparison}
+                onConsent={onConsentToReveal}
+              />
+            </section>
+          </RevealSection>
+        )}
+
         {/* Category Breakdown */}
         {Object.keys(categoryScores).length > 0 && (
           <RevealSection>
@@ -1169,6 +1222,31 @@ const LunaAnalysisResults = ({
           </RevealSection>
         )}
 
+        {/* Change Over Time */}
+        {history.length > 1 && (
+          <RevealSection delay={0.2}>
+            <section className="alignment-section">
+              <div className="section-header">
+                <div className="section-label">
+                  <TrendingUp size={14} />
+                  Over Time
+                </div>
+                <h2 className="section-title">How You've Grown</h2>
+                <p className="section-subtitle">
+                  You've taken this assessment {history.length} times.
+                  Compare any two to see which differences you've worked through and what's new.
+                </p>
+              </div>
+
+              <AssessmentComparison
+                history={history}
+                sessionId={sessionId}
+                getCategoryLabel={(key) => getCategoryInfo(key).label}
+              />
+            </section>
+          </RevealSection>
+        )}
+
         {/* Strengths Section */}
         {strongAlignments.length > 0 && (
           <RevealSection delay={0.2}>
@@ -1246,6 +1324,7 @@ const LunaAnalysisResults = ({
                   const p2Answer = typeof misalignment === 'object' ? misalignment.partner2Answer : null;
                   const discussionPrompt = typeof misalignment === 'object' ? misalignment.discussionPrompt : null;
                   const isHighPriority = typeof misalignment === 'object' ? misalignment.isHighPriority : false;
+                  const reRated = talkedThrough.find(topic => topic.question === question);
 
                   return (
                     <motion.div
@@ -1277,7 +1356,7 @@ const LunaAnalysisResults = ({
                       </div>
 
                       <AnimatePresence>
-                        {isExpanded && (p1Answer || p2Answer) && (
+                        {isExpanded && (p1Answer || p2Answer || discussionPrompt || reRated || onCreateConversationMilestone) && (
                           <motion.div
                             className="alignment-expanded"
                             initial={{ height: 0, opacity: 0 }}
@@ -1303,6 +1382,21 @@ const LunaAnalysisResults = ({
                                 <span>{discussionPrompt}</span>
                               </div>
                             )}
+                            {reRated && (
+                              <div className="discussion-prompt">
+                                <CheckCircle size={16} style={{ flexShrink: 0, marginTop: 2 }} />
+                                <span>
+                                  After talking it through: {reRated.ratings.map(r => `${r.partnerName || 'Partner'} ${r.rating}/5`).join(', ')}
+                                </span>
+                              </div>
+                            )}
+                            {onCreateConversationMilestone && (
+                              <ConversationMilestoneAction
+                                misalignment={misalignment}
+                                roadmaps={roadmaps}
+                                onCreate={onCreateConversationMilestone}
+                              />
+                            )}
                           </motion.div>
                         )}
                       </AnimatePresence>
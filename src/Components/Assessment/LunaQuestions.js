@@ -346,10 +346,13 @@ const LunaQuestions = ({
   partnerName,
   partnerNumber,
   questions,
-  onComplete
+  onComplete,
+  initialAnswers = {},
+  startIndex = 0
 }) => {
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [answers, setAnswers] = useState({});
+  // Resuming picks up at the first unanswered question with earlier answers filled in
+  const [currentIndex, setCurrentIndex] = useState(Math.min(startIndex, Math.max(0, questions.length - 1)));
+  const [answers, setAnswers] = useState(initialAnswers);
   const [isAnimating, setIsAnimating] = useState(false);
   const [showHandoff, setShowHandoff] = useState(false);
 
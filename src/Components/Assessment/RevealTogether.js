@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Lock, Unlock, CheckCircle, Clock, Loader2 } from 'lucide-react';
+
+const cardStyle = { background: '#ffffff', borderRadius: 16, padding: '1.25rem', border: '1px solid #e8e4de' };
+
+const ConsentRow = ({ name, consented }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9375rem', color: consented ? '#7d8c75' : '#6b635b' }}>
+    {consented ? <CheckCircle size={16} /> : <Clock size={16} />}
+    {name} {consented ? 'is ready to reveal' : 'hasn\'t decided yet'}
+  </div>
+);
+
+/**
+ * Sealed assessments: each partner opts in to revealing their answers, and
+ * once both have, shows them side by side. The server only returns the other
+ * partner's answers after both have consented (migrations/030_sealed_assessments.sql).
+ */
+const RevealTogether = ({
+  reveal,
+  partnerName,
+  partner1Name,
+  partner2Name,
+  comparison = [],
+  onConsent
+}) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleConsent = async () => {
+    setSaving(true);
+    setError(null);
+    const { error: consentError } = await onConsent();
+    if (consentError) {
+      setError(consentError.message || 'Couldn\'t save your choice. Please try again.');
+    }
+    setSaving(false);
+  };
+
+  if (!reveal.revealed) {
+    return (
+      <div style={{ ...cardStyle, display: 'grid', gap: '1rem' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 600, color: '#2d2926' }}>
+          <Lock size={16} />
+          Your answers are sealed
+        </div>
+        <p style={{ fontSize: '0.9375rem', color: '#6b635b', lineHeight: 1.6 }}>
+          Talk through the guide above first. When you're both ready, each of you opts in and your
+          individual answers appear side by side. Nothing is shown until you've both said yes.
+        </p>
+        <div style={{ display: 'grid', gap: '0.5rem' }}>
+          <ConsentRow name="You" consented={reveal.myConsent} />
+          <ConsentRow name={partnerName} consented={reveal.partnerConsent} />
+        </div>
+        {!reveal.myConsent && (
+          <button
+            onClick={handleConsent}
+            disabled={saving}
+            style={{
+              justifySelf: 'start',
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              padding: '0.75rem 1.25rem',
+              borderRadius: 12,
+              border: 'none',
+              background: '#2d2926',
+              color: '#ffffff',
+              fontWeight: 500,
+              cursor: saving ? 'default' : 'pointer',
+              opacity: saving ? 0.7 : 1
+            }}
+          >
+            {saving ? <Loader2 size={16} className="spin-animation" /> : <Unlock size={16} />}
+            I'm ready to reveal my answers
+          </button>
+        )}
+        {reveal.myConsent && !reveal.partnerConsent && (
+          <p style={{ fontSize: '0.875rem', color: '#6b635b' }}>
+            We'll show your answers as soon as {partnerName} is ready too.
+          </p>
+        )}
+        {error && <p style={{ fontSize: '0.875rem', color: '#c76b6b' }}>{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ ...cardStyle, display: 'grid', gap: '0.25rem' }}>
+      <div
+        style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem', padding: '0.5rem 0', fontSize: '0.75rem', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.1em', color: '#a88968' }}
+      >
+        <span>Question</span>
+        <span>{partner1Name}</span>
+        <span>{partner2Name}</span>
+      </div>
+      {comparison.map(row => (
+        <div
+          key={row.questionId}
+          style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem', alignItems: 'start', padding: '0.75rem 0', borderTop: '1px solid #f5f2ed', fontSize: '0.9375rem' }}
+        >
+          <span style={{ color: '#2d2926' }}>{row.question}</span>
+          <span style={{ color: row.same ? '#7d8c75' : '#6b635b' }}>{row.partner1Answer || '—'}</span>
+          <span style={{ color: row.same ? '#7d8c75' : '#6b635b' }}>{row.partner2Answer || '—'}</span>
+        </div>
+      ))}
+      {comparison.length === 0 && (
+        <p style={{ fontSize: '0.875rem', color: '#6b635b' }}>Loading your answers...</p>
+      )}
+    </div>
+  );
+};
+
+export default RevealTogether;
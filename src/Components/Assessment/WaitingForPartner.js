@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Clock, Heart, CheckCircle, Sparkles, Copy, Check, MessageCircle } from 'lucide-react';
+import { Clock, Heart, CheckCircle, Sparkles, Copy, Check, MessageCircle, Bell, CalendarPlus } from 'lucide-react';
 import { subscribeToAssessment } from '../../services/assessmentService';
 
 // Premium styles
@@ -383,6 +383,54 @@ const styles = `
     50% { opacity: 0.3; }
   }
 
+  /* Session schedule (async mode) */
+  .schedule-card {
+    background: var(--color-card);
+    border: 1px solid var(--color-border);
+    border-radius: 16px;
+    padding: 1rem 1.25rem;
+    width: 100%;
+    max-width: 420px;
+    margin-top: 1rem;
+    display: flex;
+    flex-direction: column;
+    gap: 0.625rem;
+  }
+
+  .schedule-row {
+    display: flex;
+    align-items: center;
+    gap: 0.625rem;
+    font-size: 0.875rem;
+    color: var(--color-text-muted);
+  }
+
+  .schedule-row svg {
+    color: var(--color-accent-dark);
+    flex-shrink: 0;
+  }
+
+  .extend-btn {
+    align-self: flex-start;
+    display: inline-flex;
+    align-items: center;
+    gap: 0.375rem;
+    padding: 0.5rem 0.875rem;
+    border-radius: 10px;
+    border: 1px solid var(--color-border);
+    background: var(--color-bg-alt);
+    color: var(--color-text);
+    font-family: inherit;
+    font-size: 0.8125rem;
+    font-weight: 500;
+    cursor: pointer;
+  }
+
+  .extend-btn:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+
   /* Tip */
   .tip-text {
     max-width: 380px;
@@ -394,12 +442,19 @@ const styles = `
   }
 `;
 
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
 const WaitingForPartner = ({
   sessionId,
   sessionCode,
   partnerName,
   waitingFor,
-  onPartnerReady
+  onPartnerReady,
+  expiresAt = null,
+  nextReminderAt = null,
+  onExtend = null,
+  isExtending = false
 }) => {
   const [copied, setCopied] = useState(false);
   const [dots, setDots] = useState('');
@@ -614,14 +669,45 @@ const WaitingForPartner = ({
             </div>
           </motion.div>
 
+          {(expiresAt || nextReminderAt) && (
+            <motion.div
+              className="schedule-card"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.6 }}
+            >
+              {nextReminderAt && (
+                <div className="schedule-row">
+                  <Bell size={16} />
+                  <span>
+                    No rush. If {partnerName} hasn't finished by {formatDate(nextReminderAt)}, we'll send a gentle reminder.
+                  </span>
+                </div>
+              )}
+              {expiresAt && (
+                <div className="schedule-row">
+                  <Clock size={16} />
+                  <span>Session open until {formatDate(expiresAt)}</span>
+                </div>
+              )}
+              {onExtend && (
+                <button className="extend-btn" onClick={onExtend} disabled={isExtending}>
+                  <CalendarPlus size={14} />
+                  {isExtending ? 'Extending...' : 'Give them another week'}
+                </button>
+              )}
+            </motion.div>
+          )}
+
           <motion.p
             className="tip-text"
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
             transition={{ delay: 0.8 }}
           >
-            While you wait, think about the topics that matter most to you.
-            Luna will help you explore them together.
+            {nextReminderAt
+              ? 'You can close this page. Open your invite link again any time to check in.'
+              : 'While you wait, think about the topics that matter most to you. Luna will help you explore them together.'}
           </motion.p>
         </>
       )}
@@ -7,6 +7,8 @@ import {
 } from 'lucide-react';
 import {
   createExpense,
+  createRecurringExpense,
+  validatePocketContribution,
   getExpensesByMilestone,
   deleteExpense,
   updateMilestoneBudgetPockets,
@@ -14,6 +16,8 @@ import {
   getPocketStatus
 } from '../services/supabaseService';
 import { getCategoriesForMilestone, suggestCategoryBudgets } from '../data/budgetCategories';
+import { convertAmount, formatCurrency as formatMoney, getDefaultCurrency, normalizeCurrency } from '../utils/currency';
+import { useRoadmapRole } from '../hooks/useRoadmapRole';
 
 // Lucide icon mapping for pockets
 const POCKET_ICONS = {
@@ -75,12 +79,14 @@ const ICON_OPTIONS = [
 
 const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateToSection }) => {
   const [pockets, setPockets] = useState([]);
+  const { canEdit } = useRoadmapRole(roadmapId);
   const [contributions, setContributions] = useState({});
   const [pocketStatus, setPocketStatus] = useState({}); // Server-side pocket status for overfunding prevention
   const [showAddMoneyModal, setShowAddMoneyModal] = useState(false);
   const [selectedPocket, setSelectedPocket] = useState(null);
   const [amountInput, setAmountInput] = useState('');
   const [noteInput, setNoteInput] = useState('');
+  const [repeatMonthly, setRepeatMonthly] = useState(false);
   const [loading, setLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
 
@@ -93,6 +99,12 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
 
   const targetBudget = milestone?.budget_amount || 0;
 
+  // Pocket targets are in the milestone's currency; contributions in others are converted
+  const milestoneCurrency = normalizeCurrency(milestone?.currency, getDefaultCurrency());
+  const toMilestoneCurrency = (expense) => (
+    convertAmount(parseFloat(expense.amount || 0), expense.currency || milestoneCurrency, milestoneCurrency) || 0
+  );
+
   useEffect(() => {
     if (milestone?.id) {
       initializeBudget();
@@ -138,7 +150,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
           if (!pocketContributions[pocket]) {
             pocketContributions[pocket] = { saved: 0, items: [] };
           }
-          pocketContributions[pocket].saved += parseFloat(expense.amount || 0);
+          pocketContributions[pocket].saved += toMilestoneCurrency(expense);
           pocketContributions[pocket].items.push(expense);
         });
 
@@ -189,6 +201,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
     setSelectedPocket(pocket);
     setAmountInput('');
     setNoteInput('');
+    setRepeatMonthly(false);
     setShowAddMoneyModal(true);
   };
 
@@ -203,6 +216,36 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
 
   const [saveError, setSaveError] = useState(null);
 
+  // Monthly transfer into the pocket: a savings rule whose first occurrence is today
+  const saveScheduledContribution = async () => {
+    const amount = parseFloat(amountInput);
+    const validation = await validatePocketContribution(milestone.id, selectedPocket.name, amount, milestoneCurrency);
+    if (!validation.allowed) {
+      setSaveError(validation.message);
+      return;
+    }
+
+    const { error } = await createRecurringExpense({
+      kind: 'savings',
+      roadmap_id: roadmapId,
+      milestone_id: milestone.id,
+      description: noteInput || `Monthly saving towards ${selectedPocket.name}`,
+      amount,
+      currency: milestoneCurrency,
+      category: selectedPocket.name,
+      frequency: 'monthly',
+      interval: 1,
+      start_date: new Date().toISOString().split('T')[0]
+    });
+    if (error) throw new Error(error.message || 'Failed to schedule contribution');
+
+    await initializeBudget();
+    setAmountInput('');
+    setNoteInput('');
+    setRepeatMonthly(false);
+    setShowAddMoneyModal(false);
+  };
+
   const handleSaveContribution = async () => {
     if (!amountInput || parseFloat(amountInput) <= 0) return;
 
@@ -216,11 +259,17 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
     setSaveError(null);
 
     try {
+      if (repeatMonthly) {
+        await saveScheduledContribution();
+        return;
+      }
+
       const contributionData = {
         milestone_id: milestone.id,
         roadmap_id: roadmapId,
         description: noteInput || `Saved towards ${selectedPocket.name}`,
         amount: parseFloat(amountInput),
+        currency: milestoneCurrency,
         category: selectedPocket.name,
         expense_date: new Date().toISOString().split('T')[0],
         status: 'pending',
@@ -290,7 +339,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
       if (error) throw error;
 
       const updatedContributions = { ...contributions };
-      updatedContributions[pocketName].saved -= parseFloat(expense.amount);
+      updatedContributions[pocketName].saved -= toMilestoneCurrency(expense);
       updatedContributions[pocketName].items = updatedContributions[pocketName].items.filter(
         e => e.id !== expense.id
       );
@@ -425,14 +474,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount || 0);
-  };
+  const formatCurrency = (amount, currency = milestoneCurrency) => formatMoney(amount || 0, currency);
 
   if (loading) {
     return (
@@ -572,14 +614,16 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
               Organize your savings into categories
             </p>
           </div>
-          <button
-            onClick={handleAddPocket}
-            className="px-4 py-2.5 rounded-xl font-medium text-white flex items-center gap-2 transition-all hover:-translate-y-0.5"
-            style={{ background: '#2d2926' }}
-          >
-            <Plus className="w-4 h-4" />
-            Add Pocket
-          </button>
+          {canEdit && (
+            <button
+              onClick={handleAddPocket}
+              className="px-4 py-2.5 rounded-xl font-medium text-white flex items-center gap-2 transition-all hover:-translate-y-0.5"
+              style={{ background: '#2d2926' }}
+            >
+              <Plus className="w-4 h-4" />
+              Add Pocket
+            </button>
+          )}
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -617,22 +661,24 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
                       <p className="text-xs" style={{ color: '#6b635b' }}>{pocket.description}</p>
                     </div>
                   </div>
-                  <div className="flex items-center gap-1">
-                    <button
-                      onClick={() => handleEditPocket(pocket)}
-                      className="p-2 rounded-lg transition-colors hover:bg-gray-100"
-                      title="Edit pocket"
-                    >
-                      <Edit3 className="w-4 h-4" style={{ color: '#6b635b' }} />
-                    </button>
-                    <button
-                      onClick={() => handleDeletePocket(pocket)}
-                      className="p-2 rounded-lg transition-colors hover:bg-red-50"
-                      title="Delete pocket"
-                    >
-                      <Trash2 className="w-4 h-4" style={{ color: '#c76b6b' }} />
-                    </button>
-                  </div>
+                  {canEdit && (
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => handleEditPocket(pocket)}
+                        className="p-2 rounded-lg transition-colors hover:bg-gray-100"
+                        title="Edit pocket"
+                      >
+                        <Edit3 className="w-4 h-4" style={{ color: '#6b635b' }} />
+                      </button>
+                      <button
+                        onClick={() => handleDeletePocket(pocket)}
+                        className="p-2 rounded-lg transition-colors hover:bg-red-50"
+                        title="Delete pocket"
+                      >
+                        <Trash2 className="w-4 h-4" style={{ color: '#c76b6b' }} />
+                      </button>
+                    </div>
+                  )}
                 </div>
 
                 <div className="grid grid-cols-3 gap-2 mb-4">
@@ -683,15 +729,17 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
                       >
                         <span className="flex items-center gap-1" style={{ color: '#2d2926' }}>
                           <PiggyBank className="w-3 h-3" style={{ color: '#7d8c75' }} />
-                          {formatCurrency(item.amount)}
+                          {formatCurrency(item.amount, item.currency || milestoneCurrency)}
                           {item.notes && <span style={{ color: '#6b635b' }}>· {item.notes}</span>}
                         </span>
-                        <button
-                          onClick={() => handleDeleteContribution(pocket.name, item)}
-                          className="opacity-50 hover:opacity-100 transition-opacity"
-                        >
-                          <Trash2 className="w-3 h-3" style={{ color: '#c76b6b' }} />
-                        </button>
+                        {canEdit && (
+                          <button
+                            onClick={() => handleDeleteContribution(pocket.name, item)}
+                            className="opacity-50 hover:opacity-100 transition-opacity"
+                          >
+                            <Trash2 className="w-3 h-3" style={{ color: '#c76b6b' }} />
+                          </button>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -707,7 +755,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
                     <Check className="w-4 h-4" />
                     Goal Reached
                   </div>
-                ) : (
+                ) : canEdit && (
                   <button
                     onClick={() => handleAddMoney(pocket)}
                     className="w-full py-2.5 rounded-xl font-medium text-white flex items-center justify-center gap-2 transition-all hover:-translate-y-0.5"
@@ -725,7 +773,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
 
       {/* Add Money Modal */}
       <AnimatePresence>
-        {showAddMoneyModal && selectedPocket && (
+        {showAddMoneyModal && selectedPocket && canEdit && (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -833,6 +881,15 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
                     placeholder="e.g., Saved from bonus"
                   />
                 </div>
+
+                <label className="flex items-center gap-3 text-sm cursor-pointer" style={{ color: '#2d2926' }}>
+                  <input
+                    type="checkbox"
+                    checked={repeatMonthly}
+                    onChange={(e) => setRepeatMonthly(e.target.checked)}
+                  />
+                  Repeat every month from today
+                </label>
               </div>
 
               {/* Error message */}
@@ -860,7 +917,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
                   style={{ background: '#7d8c75' }}
                   disabled={isSaving || !amountInput}
                 >
-                  {isSaving ? 'Saving...' : 'Add Money'}
+                  {isSaving ? 'Saving...' : (repeatMonthly ? 'Schedule Monthly' : 'Add Money')}
                 </button>
               </div>
             </motion.div>
@@ -870,7 +927,7 @@ const BudgetAllocation = ({ milestone, roadmapId, onProgressUpdate, onNavigateTo
 
       {/* Add/Edit Pocket Modal */}
       <AnimatePresence>
-        {showPocketModal && (
+        {showPocketModal && canEdit && (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import {
   DollarSign, TrendingUp, TrendingDown, AlertTriangle,
-  Calendar, PieChart, CreditCard, Check, ChevronRight
+  Calendar, PieChart, CreditCard, Check, ChevronRight, Download
 } from 'lucide-react';
 import {
   getRoadmapBudgetSummary,
@@ -10,6 +10,8 @@ import {
   getOverdueExpenses,
   getUpcomingExpenses
 } from '../services/supabaseService';
+import { exportRoadmapBudget } from '../services/budgetExportService';
+import { formatCurrency as formatMoney } from '../utils/currency';
 
 /**
  * BudgetOverview - Elegant financial tracking interface
@@ -20,6 +22,8 @@ const BudgetOverview = ({ roadmapId, milestones = [] }) => {
   const [overdueExpenses, setOverdueExpenses] = useState([]);
   const [upcomingExpenses, setUpcomingExpenses] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState('');
 
   useEffect(() => {
     if (roadmapId) {
@@ -50,15 +54,22 @@ const BudgetOverview = ({ roadmapId, milestones = [] }) => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount || 0);
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError('');
+    try {
+      await exportRoadmapBudget({ roadmapId, format });
+    } catch (error) {
+      console.error('Budget export error:', error);
+      setExportError(error.message || 'Export failed');
+    } finally {
+      setExporting(null);
+    }
   };
 
+  // Summary figures are in the roadmap's currency; single expenses and milestones in their own
+  const formatCurrency = (amount, currency = budgetSummary?.currency) => formatMoney(amount || 0, currency);
+
   const formatPercent = (value) => `${parseFloat(value || 0).toFixed(1)}%`;
 
   const categoryColors = [
@@ -128,7 +139,24 @@ const BudgetOverview = ({ roadmapId, milestones = [] }) => {
               </h2>
               <p style={{ color: '#6b635b' }}>Track your expenses and payments</p>
             </div>
+            <div className="ml-auto flex items-center gap-2">
+              {['csv', 'xlsx'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => handleExport(format)}
+                  disabled={!roadmapId || exporting !== null}
+                  className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-colors disabled:opacity-50"
+                  style={{ background: 'rgba(196, 154, 108, 0.12)', color: '#c49a6c' }}
+                >
+                  <Download className="w-4 h-4" />
+                  {exporting === format ? 'Exporting...' : format.toUpperCase()}
+                </button>
+              ))}
+            </div>
           </div>
+          {exportError && (
+            <p className="text-sm mt-2" style={{ color: '#c76b6b' }}>{exportError}</p>
+          )}
         </header>
 
         {/* Key Metrics */}
@@ -351,7 +379,7 @@ const BudgetOverview = ({ roadmapId, milestones = [] }) => {
                             {milestone.title}
                           </p>
                           <p className="text-xs" style={{ color: '#6b635b' }}>
-                            {formatCurrency(milestone.budget_amount)}
+                            {formatCurrency(milestone.budget_amount, milestone.currency)}
                           </p>
                         </div>
                         <span
@@ -468,7 +496,7 @@ const ExpenseItem = ({ expense, formatCurrency, isOverdue }) => {
         className="text-sm font-semibold"
         style={{ color: isOverdue ? '#c76b6b' : '#c49a6c' }}
       >
-        {formatCurrency(expense.amount)}
+        {formatCurrency(expense.amount, expense.currency)}
       </span>
     </div>
   );
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CalendarPlus, Download, Link2, Copy, Check, RefreshCw, X } from 'lucide-react';
+import {
+  getCalendarFeed,
+  createCalendarFeedToken,
+  revokeCalendarFeed
+} from '../../services/supabaseService';
+import {
+  getCalendarFeedUrl,
+  getCalendarSubscribeUrl,
+  downloadCalendarFile
+} from '../../services/calendarService';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * CalendarSyncMenu - Get the plan into a calendar app
+ *
+ * A one-off .ics download of the milestone, and the user's private
+ * subscription link (all their dreams), which stays in sync.
+ *
+ * @param {Object} milestone - Milestone the download is limited to
+ */
+const CalendarSyncMenu = ({ milestone, align = 'right' }) => {
+  const [open, setOpen] = useState(false);
+  const [feed, setFeed] = useState(null);
+  const [token, setToken] = useState(null);
+  const [busy, setBusy] = useState(null); // 'download' | 'link' | 'revoke'
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    getCalendarFeed().then(({ data }) => setFeed(data));
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const handleDownload = async () => {
+    setBusy('download');
+    setError(null);
+    try {
+      await downloadCalendarFile({ milestoneId: milestone?.id, name: milestone?.title });
+    } catch (err) {
+      console.error('Error downloading calendar:', err);
+      setError('Could not build the calendar file. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCreateLink = async () => {
+    if (feed && !window.confirm('Get a new link? Calendars subscribed to the old one will stop updating.')) return;
+
+    setBusy('link');
+    setError(null);
+    const { data, error: createError } = await createCalendarFeedToken();
+    setBusy(null);
+
+    if (createError) {
+      setError('Could not create a calendar link. Please try again.');
+      return;
+    }
+    setToken(data);
+    setFeed({ created_at: new Date().toISOString(), last_accessed_at: null });
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off your calendar link? Subscribed calendars will stop updating.')) return;
+
+    setBusy('revoke');
+    const { error: revokeError } = await revokeCalendarFeed();
+    setBusy(null);
+
+    if (revokeError) {
+      setError('Could not turn off the calendar link. Please try again.');
+      return;
+    }
+    setFeed(null);
+    setToken(null);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getCalendarFeedUrl(token));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying calendar link:', err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-4 py-2.5 rounded-xl font-medium flex items-center gap-2 transition-colors hover:bg-stone-100"
+        style={{ color: '#2d2926', border: '1px solid #e8e4de' }}
+        title="Add to calendar"
+      >
+        <CalendarPlus className="w-4 h-4" />
+        Calendar
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            className={`absolute ${align === 'left' ? 'left-0' : 'right-0'} mt-2 w-80 rounded-xl p-4 z-30 text-left`}
+            style={{ background: '#ffffff', border: '1px solid #e8e4de', boxShadow: '0 12px 32px rgba(45, 41, 38, 0.12)' }}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="font-medium" style={{ color: '#2d2926' }}>Add to your calendar</h4>
+              <button onClick={() => setOpen(false)} className="p-1 rounded-lg hover:bg-gray-100">
+                <X className="w-4 h-4" style={{ color: '#6b635b' }} />
+              </button>
+            </div>
+
+            <button
+              onClick={handleDownload}
+              disabled={busy !== null}
+              className="w-full p-3 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors disabled:opacity-50"
+              style={{ background: '#faf8f5', color: '#2d2926' }}
+            >
+              <Download className="w-4 h-4" style={{ color: '#c49a6c' }} />
+              {busy === 'download' ? 'Preparing…' : 'Download .ics for this milestone'}
+            </button>
+
+            <div className="mt-4 pt-4" style={{ borderTop: '1px solid #e8e4de' }}>
+              <p className="text-sm font-medium mb-1" style={{ color: '#2d2926' }}>Keep it in sync</p>
+              <p className="text-xs mb-3" style={{ color: '#6b635b' }}>
+                A private link for your calendar app with your tasks, upcoming payments and
+                target dates across all your dreams. Anyone with the link can see them.
+              </p>
+
+              {token ? (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <input
+                      readOnly
+                      value={getCalendarFeedUrl(token)}
+                      onFocus={(e) => e.target.select()}
+                      className="flex-1 min-w-0 px-2.5 py-1.5 rounded-lg text-xs"
+                      style={{ border: '1px solid #e8e4de', color: '#6b635b' }}
+                    />
+                    <button
+                      onClick={handleCopy}
+                      className="p-1.5 rounded-lg hover:bg-stone-100"
+                      title="Copy link"
+                    >
+                      {copied
+                        ? <Check className="w-4 h-4" style={{ color: '#7d8c75' }} />
+                        : <Copy className="w-4 h-4" style={{ color: '#6b635b' }} />}
+                    </button>
+                  </div>
+                  <a
+                    href={getCalendarSubscribeUrl(token)}
+                    className="block text-center w-full py-2 rounded-lg text-sm font-medium text-white"
+                    style={{ background: '#7d8c75' }}
+                  >
+                    Open in calendar app
+                  </a>
+                  <p className="text-xs" style={{ color: '#a39b91' }}>
+                    Copy it now - for your privacy we can't show it again.
+                  </p>
+                </div>
+              ) : feed ? (
+                <p className="text-xs mb-2" style={{ color: '#6b635b' }}>
+                  Your link is on (created {formatDate(feed.created_at)}
+                  {feed.last_accessed_at ? `, last synced ${formatDate(feed.last_accessed_at)}` : ', not synced yet'}).
+                </p>
+              ) : null}
+
+              <div className="flex items-center gap-2 mt-2">
+                <button
+                  onClick={handleCreateLink}
+                  disabled={busy !== null}
+                  className="flex-1 py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-1.5 disabled:opacity-50"
+                  style={{ background: '#f5f2ed', color: '#2d2926' }}
+                >
+                  {feed ? <RefreshCw className="w-3.5 h-3.5" /> : <Link2 className="w-3.5 h-3.5" />}
+                  {busy === 'link' ? 'Creating…' : feed ? 'Get a new link' : 'Create calendar link'}
+                </button>
+                {feed && (
+                  <button
+                    onClick={handleRevoke}
+                    disabled={busy !== null}
+                    className="px-3 py-2 rounded-lg text-sm font-medium disabled:opacity-50 hover:bg-red-50"
+                    style={{ color: '#c76b6b' }}
+                  >
+                    Turn off
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {error && (
+              <p className="text-xs mt-3" style={{ color: '#c76b6b' }}>{error}</p>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default CalendarSyncMenu;
@@ -0,0 +1 @@
+export { default as CalendarSyncMenu } from './CalendarSyncMenu';
@@ -0,0 +1,355 @@
+import React, { useState, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MessageCircle, CornerDownRight, Edit3, Trash2, Send, Loader2 } from 'lucide-react';
+import { useComments } from '../../hooks/useComments';
+import { formatNotificationTime } from '../../hooks/useNotifications';
+import {
+  splitMentions,
+  getMentionQuery,
+  insertMention,
+  MAX_COMMENT_LENGTH
+} from '../../utils/comments';
+
+/**
+ * CommentThread - Threaded discussion on a task, expense or milestone
+ *
+ * @param {string} targetType - 'task', 'expense' or 'milestone'
+ * @param {string} targetId - ID of the commented item
+ * @param {string} targetTitle - Shown in the activity feed
+ * @param {Array} people - Mention candidates: [{ userId, name }]
+ * @param {string} currentUserId - Current authenticated user's ID
+ * @param {boolean} canComment - False for viewers: the thread is read only
+ */
+const CommentThread = ({
+  roadmapId,
+  milestoneId,
+  targetType,
+  targetId,
+  targetTitle,
+  people = [],
+  currentUserId,
+  canComment = true,
+  emptyText = 'No comments yet. Start the conversation!'
+}) => {
+  const {
+    threads,
+    loading,
+    error,
+    addComment,
+    editComment,
+    removeComment
+  } = useComments({ roadmapId, milestoneId, targetType, targetId, targetTitle });
+
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const mentionable = people.filter(p => p.userId && p.name);
+
+  const handleAdd = async (body, parentId = null) => {
+    const { error: createError } = await addComment(body, { parentId, people: mentionable });
+    if (!createError) setReplyingTo(null);
+    return !createError;
+  };
+
+  const handleEdit = async (commentId, body) => {
+    const { error: updateError } = await editComment(commentId, body, { people: mentionable });
+    if (!updateError) setEditingId(null);
+    return !updateError;
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+    await removeComment(commentId);
+  };
+
+  const renderComment = (comment, isReply = false) => (
+    <CommentItem
+      key={comment.id}
+      comment={comment}
+      people={mentionable}
+      isOwn={comment.author_id === currentUserId}
+      isReply={isReply}
+      isEditing={editingId === comment.id}
+      canReply={canComment}
+      onReply={() => setReplyingTo(isReply ? comment.parent_id : comment.id)}
+      onEdit={() => setEditingId(comment.id)}
+      onCancelEdit={() => setEditingId(null)}
+      onSaveEdit={(body) => handleEdit(comment.id, body)}
+      onDelete={() => handleDelete(comment.id)}
+    />
+  );
+
+  return (
+    <div className="space-y-3">
+      {loading ? (
+        <div className="flex items-center justify-center py-4">
+          <Loader2 className="w-4 h-4 animate-spin" style={{ color: '#c49a6c' }} />
+        </div>
+      ) : error ? (
+        <p className="text-xs" style={{ color: '#c76b6b' }}>Couldn't load comments</p>
+      ) : threads.length === 0 ? (
+        <p className="text-xs flex items-center gap-1.5" style={{ color: '#6b635b' }}>
+          <MessageCircle className="w-3.5 h-3.5" />
+          {emptyText}
+        </p>
+      ) : (
+        <AnimatePresence initial={false}>
+          {threads.map(thread => (
+            <motion.div
+              key={thread.id}
+              initial={{ opacity: 0, y: 6 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="space-y-2"
+            >
+              {renderComment(thread)}
+
+              {(thread.replies.length > 0 || replyingTo === thread.id) && (
+                <div className="ml-6 pl-3 space-y-2" style={{ borderLeft: '2px solid #e8e4de' }}>
+                  {thread.replies.map(reply => renderComment(reply, true))}
+                  {replyingTo === thread.id && (
+                    <CommentComposer
+                      people={mentionable}
+                      placeholder="Write a reply..."
+                      submitLabel="Reply"
+                      autoFocus
+                      onSubmit={(body) => handleAdd(body, thread.id)}
+                      onCancel={() => setReplyingTo(null)}
+                    />
+                  )}
+                </div>
+              )}
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      )}
+
+      {canComment && (
+        <CommentComposer
+          people={mentionable}
+          placeholder={mentionable.length ? 'Add a comment... (@ to mention)' : 'Add a comment...'}
+          submitLabel="Comment"
+          onSubmit={(body) => handleAdd(body)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Single comment
+ */
+const CommentItem = ({
+  comment,
+  people,
+  isOwn,
+  isReply,
+  isEditing,
+  canReply = true,
+  onReply,
+  onEdit,
+  onCancelEdit,
+  onSaveEdit,
+  onDelete
+}) => {
+  if (comment.deleted_at) {
+    return (
+      <p className="text-xs italic" style={{ color: '#a39b91' }}>
+        Comment deleted
+      </p>
+    );
+  }
+
+  if (isEditing) {
+    return (
+      <CommentComposer
+        people={people}
+        initialValue={comment.body}
+        submitLabel="Save"
+        autoFocus
+        onSubmit={onSaveEdit}
+        onCancel={onCancelEdit}
+      />
+    );
+  }
+
+  return (
+    <div className="group/comment">
+      <div className="flex items-baseline gap-2">
+        <span className="text-xs font-medium" style={{ color: '#2d2926' }}>
+          {isOwn ? 'You' : (comment.author_name || 'Partner')}
+        </span>
+        <span className="text-xs" style={{ color: '#a39b91' }}>
+          {formatNotificationTime(comment.created_at)}
+          {comment.edited_at && ' · edited'}
+        </span>
+      </div>
+
+      <p className="text-sm whitespace-pre-wrap break-words" style={{ color: '#4a443e' }}>
+        {splitMentions(comment.body, people).map((part, i) => (
+          part.type === 'mention' ? (
+            <span key={i} className="font-medium rounded px-0.5" style={{ color: '#a88352', background: 'rgba(196, 154, 108, 0.12)' }}>
+              {part.text}
+            </span>
+          ) : (
+            <React.Fragment key={i}>{part.text}</React.Fragment>
+          )
+        ))}
+      </p>
+
+      <div className="flex items-center gap-3 mt-0.5">
+        {canReply && (
+          <button
+            onClick={onReply}
+            className="text-xs flex items-center gap-1 hover:underline"
+            style={{ color: '#6b635b' }}
+          >
+            <CornerDownRight className="w-3 h-3" />
+            Reply
+          </button>
+        )}
+        {isOwn && (
+          <div className="flex items-center gap-3 opacity-0 group-hover/comment:opacity-100 transition-opacity">
+            <button onClick={onEdit} className="text-xs flex items-center gap-1 hover:underline" style={{ color: '#6b635b' }}>
+              <Edit3 className="w-3 h-3" />
+              Edit
+            </button>
+            <button onClick={onDelete} className="text-xs flex items-center gap-1 hover:underline" style={{ color: '#c76b6b' }}>
+              <Trash2 className="w-3 h-3" />
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Comment input with @mention autocomplete
+ * Enter sends, Shift+Enter adds a line.
+ */
+const CommentComposer = ({
+  people,
+  initialValue = '',
+  placeholder = 'Add a comment...',
+  submitLabel = 'Comment',
+  autoFocus = false,
+  onSubmit,
+  onCancel
+}) => {
+  const [value, setValue] = useState(initialValue);
+  const [mention, setMention] = useState(null);
+  const [sending, setSending] = useState(false);
+  const inputRef = useRef(null);
+
+  const suggestions = mention
+    ? people.filter(p => p.name.toLowerCase().startsWith(mention.query.toLowerCase()))
+    : [];
+
+  const updateMention = (text, caret) => {
+    setMention(people.length ? getMentionQuery(text, caret) : null);
+  };
+
+  const handleChange = (e) => {
+    setValue(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  const pickMention = (person) => {
+    const caret = inputRef.current?.selectionStart ?? value.length;
+    const next = insertMention(value, mention, person.name, caret);
+    setValue(next.text);
+    setMention(null);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(next.caret, next.caret);
+    });
+  };
+
+  const handleSubmit = async () => {
+    if (!value.trim() || sending) return;
+    setSending(true);
+    const ok = await onSubmit(value);
+    setSending(false);
+    if (ok) {
+      setValue('');
+      setMention(null);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      if (suggestions.length > 0) {
+        pickMention(suggestions[0]);
+      } else {
+        handleSubmit();
+      }
+    } else if (e.key === 'Escape') {
+      if (mention) {
+        setMention(null);
+      } else {
+        onCancel?.();
+      }
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-end gap-2">
+        <textarea
+          ref={inputRef}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onClick={(e) => updateMention(value, e.target.selectionStart)}
+          placeholder={placeholder}
+          rows={1}
+          maxLength={MAX_COMMENT_LENGTH}
+          autoFocus={autoFocus}
+          className="flex-1 px-3 py-2 rounded-lg text-sm resize-none focus:outline-none focus:ring-2"
+          style={{ border: '1px solid #e8e4de', background: '#ffffff' }}
+        />
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="px-3 py-2 rounded-lg text-xs font-medium"
+            style={{ background: '#f5f2ed', color: '#6b635b' }}
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSubmit}
+          disabled={!value.trim() || sending}
+          className="px-3 py-2 rounded-lg text-xs font-medium text-white flex items-center gap-1.5 disabled:opacity-50"
+          style={{ background: '#2d2926' }}
+          title={submitLabel}
+        >
+          {sending ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Send className="w-3.5 h-3.5" />}
+          <span className="hidden sm:inline">{submitLabel}</span>
+        </button>
+      </div>
+
+      {suggestions.length > 0 && (
+        <div
+          className="absolute left-0 bottom-full mb-1 z-10 min-w-[10rem] rounded-lg shadow-lg overflow-hidden"
+          style={{ background: '#ffffff', border: '1px solid #e8e4de' }}
+        >
+          {suggestions.map(person => (
+            <button
+              key={person.userId}
+              onMouseDown={(e) => { e.preventDefault(); pickMention(person); }}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-stone-50"
+              style={{ color: '#2d2926' }}
+            >
+              @{person.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1 @@
+export { default as CommentThread } from './CommentThread';
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { ArrowLeft, Sparkles, Briefcase, Plane, Palette, Dumbbell, Home, DollarSign, BookOpen, Heart, Loader, Check } from 'lucide-react';
 import { generateIntelligentMilestones } from '../services/lunaGoalService';
+import { isAbortError } from '../services/requestPolicy';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 // Inline styles for custom fonts
 const fontStyles = `
@@ -16,6 +18,7 @@ const CustomGoalCreator = ({ onBack, onComplete }) => {
   const [details, setDetails] = useState('');
   const [getLunaHelp, setGetLunaHelp] = useState(true);
   const [isGenerating, setIsGenerating] = useState(false);
+  const getSignal = useAbortOnUnmount();
 
   // Inject fonts
   useEffect(() => {
@@ -66,13 +69,14 @@ const CustomGoalCreator = ({ onBack, onComplete }) => {
     if (getLunaHelp) {
       setIsGenerating(true);
       try {
-        const enhancedGoal = await generateIntelligentMilestones(baseGoal);
+        const enhancedGoal = await generateIntelligentMilestones(baseGoal, { signal: getSignal() });
         onComplete({
           ...baseGoal,
           ...enhancedGoal,
           lunaEnhanced: true
         });
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error('Error generating milestones:', error);
         onComplete({
           ...baseGoal,
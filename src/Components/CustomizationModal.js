@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { MapPin, DollarSign, Calendar, X, Sparkles } from 'lucide-react';
+import { formatCurrency, getCurrencySymbol } from '../utils/currency';
 
 const CustomizationModal = ({ currentData, onSave, onCancel, userContext }) => {
   const [customLocation, setCustomLocation] = useState(userContext?.location || '');
@@ -139,7 +140,7 @@ const CustomizationModal = ({ currentData, onSave, onCancel, userContext }) => {
               </label>
               <div className="relative">
                 <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500 font-medium">
-                  {currentData?.totalCostBreakdown?.currency || '€'}
+                  {getCurrencySymbol(currentData?.totalCostBreakdown?.currency)}
                 </span>
                 <input
                   type="number"
@@ -151,7 +152,7 @@ const CustomizationModal = ({ currentData, onSave, onCancel, userContext }) => {
               </div>
               <div className="flex justify-between items-center text-xs mt-1.5">
                 <span className="text-gray-500">
-                  Original: {currentData?.totalCostBreakdown?.currency}{currentData?.totalCostBreakdown?.typical?.toLocaleString()}
+                  Original: {formatCurrency(currentData?.totalCostBreakdown?.typical, currentData?.totalCostBreakdown?.currency)}
                 </span>
                 <span className={`font-semibold px-2 py-0.5 rounded-full ${
                   budgetChange > 0 ? 'bg-red-100 text-red-700' :
@@ -205,7 +206,7 @@ const CustomizationModal = ({ currentData, onSave, onCancel, userContext }) => {
             <p className="text-sm font-semibold text-purple-800 mb-2">✨ What will change:</p>
             <ul className="space-y-1 text-sm text-purple-700">
               <li>• Location updated to <strong>{customLocation || userContext?.location}</strong></li>
-              <li>• Budget adjusted to <strong>{currentData?.totalCostBreakdown?.currency}{customBudget?.toLocaleString()}</strong></li>
+              <li>• Budget adjusted to <strong>{formatCurrency(customBudget, currentData?.totalCostBreakdown?.currency)}</strong></li>
               <li>• Timeline set to <strong>{customTimeline || currentData?.duration}</strong></li>
               {customStyle && <li>• Style preference: <strong>{customStyle}</strong></li>}
               <li className="pt-2 border-t border-purple-200 mt-2">
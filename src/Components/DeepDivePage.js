@@ -16,6 +16,7 @@ import IntelligentCostBreakdown from './IntelligentCostBreakdown';
 import ChatPanel from '../ChatPanel';
 import TimelineView from './TimelineView';
 import { callClaudeStreaming } from '../services/claudeAPI';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 const DeepDivePage = ({
   milestone,
@@ -31,6 +32,7 @@ const DeepDivePage = ({
   const [chatMessages, setChatMessages] = useState([]);
   const [isChatLoading, setIsChatLoading] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false);
+  const getSignal = useAbortOnUnmount();
 
   // Send chat message to Claude with streaming
   const sendChatMessage = async (userMessage) => {
@@ -40,88 +42,25 @@ const DeepDivePage = ({
     setIsChatLoading(true);
     setIsStreaming(true);
 
-    // Build comprehensive context with full milestone data
-    const tasksContext = milestone?.tasks?.length > 0
-      ? milestone.tasks.map((t, i) => `  ${i + 1}. [${t.completed ? '✓' : ' '}] ${t.title}${t.phase ? ` (${t.phase})` : ''}`).join('\n')
-      : '  No tasks yet';
-
-    const completedTasks = milestone?.tasks?.filter(t => t.completed)?.length || 0;
-    const totalTasks = milestone?.tasks?.length || 0;
-    const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-
-    const budgetBreakdown = milestone?.budgetBreakdown?.length > 0
-      ? milestone.budgetBreakdown.map(b => `  - ${b.category}: ${b.percentage}% ${b.notes ? `(${b.notes})` : ''}`).join('\n')
-      : '  Not specified';
-
-    const expertTips = milestone?.expertTips?.length > 0
-      ? milestone.expertTips.map((tip, i) => `  ${i + 1}. ${tip}`).join('\n')
-      : '  None available';
-
-    const challenges = milestone?.challenges?.length > 0
-      ? milestone.challenges.map((c, i) => `  ${i + 1}. ${c.challenge} → Solution: ${c.solution}`).join('\n')
-      : '  None identified';
-
-    const successMetrics = milestone?.successMetrics?.length > 0
-      ? milestone.successMetrics.map((m, i) => `  ${i + 1}. ${m}`).join('\n')
-      : '  Not defined';
-
-    const systemPrompt = `You are Luna, an empathetic and intelligent AI relationship advisor helping couples achieve their milestones.
-
-═══════════════════════════════════════════════════════════════
-MILESTONE OVERVIEW
-═══════════════════════════════════════════════════════════════
-• Goal: ${milestone?.title || 'Unknown'}
-• Description: ${milestone?.description || 'Not provided'}
-• Category: ${milestone?.category || 'General'}
-• Budget: ${milestone?.budget_amount ? `€${milestone?.budget_amount?.toLocaleString()}` : milestone?.estimatedCost ? `€${milestone?.estimatedCost?.toLocaleString()}` : 'Not set'}
-• Timeline: ${milestone?.duration || 'Not specified'}
-• Progress: ${progress}% (${completedTasks}/${totalTasks} tasks completed)
-
-═══════════════════════════════════════════════════════════════
-COUPLE CONTEXT
-═══════════════════════════════════════════════════════════════
-• Partners: ${userContext?.partner1 || 'Partner 1'} and ${userContext?.partner2 || 'Partner 2'}
-• Location: ${userContext?.location || 'Not specified'}
-
-═══════════════════════════════════════════════════════════════
-TASKS & PROGRESS
-═══════════════════════════════════════════════════════════════
-${tasksContext}
-
-═══════════════════════════════════════════════════════════════
-BUDGET BREAKDOWN
-═══════════════════════════════════════════════════════════════
-${budgetBreakdown}
-
-═══════════════════════════════════════════════════════════════
-EXPERT TIPS
-═══════════════════════════════════════════════════════════════
-${expertTips}
-
-═══════════════════════════════════════════════════════════════
-POTENTIAL CHALLENGES & SOLUTIONS
-═══════════════════════════════════════════════════════════════
-${challenges}
-
-═══════════════════════════════════════════════════════════════
-SUCCESS METRICS
-═══════════════════════════════════════════════════════════════
-${successMetrics}
-
-═══════════════════════════════════════════════════════════════
-YOUR CAPABILITIES AS LUNA
-═══════════════════════════════════════════════════════════════
-You can help the couple by:
-1. Answering questions about their milestone, budget, or tasks
-2. Suggesting modifications to tasks or timeline based on their situation
-3. Providing specific, actionable advice tailored to their progress
-4. Helping them overcome challenges and make decisions
-5. Recommending new tasks or adjustments based on their feedback
-6. Giving encouragement and celebrating their progress
-
-IMPORTANT: You have full context of their milestone. Reference specific tasks, budget items, or challenges when relevant. Be specific and practical.
-
-Keep responses concise but helpful (2-4 paragraphs max). Use the context above to give personalized advice.`;
+    // Luna's deep dive prompt is rendered server-side from the milestone data
+    const variables = {
+      partner1: userContext?.partner1,
+      partner2: userContext?.partner2,
+      location: userContext?.location,
+      milestone: {
+        title: milestone?.title,
+        description: milestone?.description,
+        category: milestone?.category,
+        budget_amount: milestone?.budget_amount,
+        estimatedCost: milestone?.estimatedCost,
+        duration: milestone?.duration
+      },
+      tasks: milestone?.tasks?.map(t => ({ title: t.title, completed: t.completed, phase: t.phase })),
+      budgetBreakdown: milestone?.budgetBreakdown,
+      expertTips: milestone?.expertTips,
+      challenges: milestone?.challenges?.map(c => ({ challenge: c.challenge, solution: c.solution })),
+      successMetrics: milestone?.successMetrics
+    };
 
     // Add empty assistant message that will be populated via streaming
     setChatMessages(prev => [...prev, { role: 'assistant', content: '', isStreaming: true }]);
@@ -131,11 +70,7 @@ Keep responses concise but helpful (2-4 paragraphs max). Use the context above t
 
     await callClaudeStreaming(
       [...chatMessages, newUserMessage],
-      {
-        systemPrompt,
-        maxTokens: 1500,
-        temperature: 0.8
-      },
+      { profile: 'luna-deep-dive', variables, signal: getSignal() },
       {
         onChunk: (text) => {
           // Append new text chunk
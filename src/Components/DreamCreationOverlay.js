@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { formatCurrency } from '../utils/currency';
 
 /**
  * DreamCreationOverlay
@@ -73,11 +74,7 @@ const DreamCreationOverlay = ({
 
   const formatBudget = (amount) => {
     if (!amount) return null;
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      maximumFractionDigits: 0
-    }).format(amount);
+    return formatCurrency(amount, dreamDetails?.currency);
   };
 
   const formatTimeline = (months) => {
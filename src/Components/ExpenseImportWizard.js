@@ -0,0 +1,372 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Upload, FileText, AlertCircle, Check, Copy, X } from 'lucide-react';
+import {
+  STATEMENT_FORMATS,
+  parseStatement,
+  parseCsvTransactions,
+  prepareImportRows,
+  validateImportRows,
+  importExpenses
+} from '../services/bankImportService';
+import { formatCurrency } from '../utils/currency';
+
+const CSV_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description', required: true },
+  { key: 'amount', label: 'Amount (negative = money out)' },
+  { key: 'debit', label: 'Money out' },
+  { key: 'credit', label: 'Money in' },
+  { key: 'currency', label: 'Currency' }
+];
+
+const inputStyle = {
+  color: '#2B2B2B',
+  background: 'rgba(0, 0, 0, 0.03)',
+  border: '1px solid rgba(0, 0, 0, 0.1)',
+  fontSize: '14px'
+};
+
+/**
+ * ExpenseImportWizard - Import expenses from a bank statement
+ *
+ * Steps: upload → map columns (CSV only) → review → done
+ * Parsing, categorizing, duplicate and pocket checks live in bankImportService.
+ */
+const ExpenseImportWizard = ({
+  milestone,
+  roadmapId,
+  existingExpenses = [],
+  categories = [],
+  onClose,
+  onImported
+}) => {
+  const [step, setStep] = useState('upload');
+  const [error, setError] = useState('');
+  const [csv, setCsv] = useState(null);
+  const [dateFormat, setDateFormat] = useState('DMY');
+  const [decimalSeparator, setDecimalSeparator] = useState('');
+  const [rows, setRows] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+
+  const review = async (transactions) => {
+    setBusy(true);
+    try {
+      const prepared = prepareImportRows({ transactions, milestone, existingExpenses, categories });
+      setRows(await validateImportRows(prepared, milestone));
+      setStep('review');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError('');
+    try {
+      const parsed = parseStatement(await file.text(), file.name);
+      if (parsed.format === STATEMENT_FORMATS.CSV) {
+        setCsv(parsed);
+        setStep('map');
+      } else {
+        await review(parsed.transactions);
+      }
+    } catch (err) {
+      console.error('Statement import error:', err);
+      setError(err.message || 'Could not read this file.');
+    }
+  };
+
+  const handleMappingDone = async () => {
+    const { mapping } = csv;
+    if (mapping.date === null || mapping.description === null ||
+      (mapping.amount === null && mapping.debit === null && mapping.credit === null)) {
+      setError('Choose the date, description and amount columns.');
+      return;
+    }
+    const { transactions } = parseCsvTransactions(csv.rows, mapping, {
+      dateFormat,
+      currency: milestone?.currency,
+      decimalSeparator: decimalSeparator || undefined
+    });
+    if (transactions.length === 0) {
+      setError('No rows could be read with these columns. Check the date format and amount column.');
+      return;
+    }
+    setError('');
+    await review(transactions);
+  };
+
+  // Changing a row re-runs the pocket checks, since earlier rows count toward later ones
+  const updateRow = async (id, changes) => {
+    const updated = rows.map(row => (row.id === id ? { ...row, ...changes } : row));
+    setRows(updated);
+    setRows(await validateImportRows(updated, milestone));
+  };
+
+  const handleImport = async () => {
+    setStep('importing');
+    const { data } = await importExpenses(rows, {
+      milestoneId: milestone.id,
+      roadmapId,
+      onProgress: (done, total) => setProgress({ done, total })
+    });
+    setResult(data);
+    setStep('done');
+    if (data.created.length > 0 && onImported) onImported(data.created);
+  };
+
+  const importable = rows.filter(row => row.selected && row.pocket?.allowed !== false);
+
+  return ReactDOM.createPortal(
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-center justify-center p-4"
+        onClick={step === 'importing' ? undefined : onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0, y: 20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.9, opacity: 0, y: 20 }}
+          className="glass-card-strong rounded-2xl p-6 max-w-3xl w-full max-h-[85vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-bold" style={{color: '#2B2B2B'}}>
+              Import Bank Statement
+            </h3>
+            {step !== 'importing' && (
+              <button onClick={onClose} className="p-2 rounded-lg hover:bg-black/5" aria-label="Close">
+                <X className="w-5 h-5" style={{color: '#2B2B2B'}} />
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 p-3 mb-4 rounded-xl bg-red-500/10 text-red-700 text-sm">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {/* Step 1: Upload */}
+          {step === 'upload' && (
+            <label
+              className="flex flex-col items-center justify-center gap-3 p-10 rounded-2xl cursor-pointer text-center"
+              style={{ border: '2px dashed rgba(192, 132, 252, 0.4)', color: '#2B2B2B' }}
+            >
+              <Upload className="w-10 h-10" style={{color: '#C084FC'}} />
+              <span className="font-semibold">{busy ? 'Reading statement...' : 'Choose a statement file'}</span>
+              <span className="text-sm" style={{opacity: 0.6}}>CSV, OFX, QFX or CAMT.053 (XML)</span>
+              <input
+                type="file"
+                accept=".csv,.txt,.ofx,.qfx,.xml"
+                className="hidden"
+                disabled={busy}
+                onChange={(e) => handleFile(e.target.files[0])}
+              />
+            </label>
+          )}
+
+          {/* Step 2: Map CSV columns */}
+          {step === 'map' && csv && (
+            <div className="space-y-4">
+              <p className="text-sm" style={{color: '#2B2B2B', opacity: 0.7}}>
+                Tell us which column is which. We found {csv.rows.length} rows.
+              </p>
+              <div className="grid grid-cols-2 gap-4">
+                {CSV_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-semibold mb-2" style={{color: '#2B2B2B'}}>
+                      {field.label}{field.required ? ' *' : ''}
+                    </label>
+                    <select
+                      value={csv.mapping[field.key] ?? ''}
+                      onChange={(e) => setCsv({
+                        ...csv,
+                        mapping: { ...csv.mapping, [field.key]: e.target.value === '' ? null : Number(e.target.value) }
+                      })}
+                      className="w-full px-3 py-2 rounded-xl"
+                      style={inputStyle}
+                    >
+                      <option value="">—</option>
+                      {csv.headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-semibold mb-2" style={{color: '#2B2B2B'}}>
+                    Date format
+                  </label>
+                  <select
+                    value={dateFormat}
+                    onChange={(e) => setDateFormat(e.target.value)}
+                    className="w-full px-3 py-2 rounded-xl"
+                    style={inputStyle}
+                  >
+                    <option value="DMY">Day/Month/Year</option>
+                    <option value="MDY">Month/Day/Year</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold mb-2" style={{color: '#2B2B2B'}}>
+                    Amount format
+                  </label>
+                  <select
+                    value={decimalSeparator}
+                    onChange={(e) => setDecimalSeparator(e.target.value)}
+                    className="w-full px-3 py-2 rounded-xl"
+                    style={inputStyle}
+                  >
+                    <option value="">Detect from file</option>
+                    <option value=".">1,234.56</option>
+                    <option value=",">1.234,56</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={() => { setStep('upload'); setError(''); }}
+                  className="flex-1 px-4 py-3 rounded-xl font-semibold"
+                  style={{ background: 'rgba(0, 0, 0, 0.05)', color: '#2B2B2B', border: '1px solid rgba(0, 0, 0, 0.1)' }}
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleMappingDone}
+                  disabled={busy}
+                  className="flex-1 px-4 py-3 rounded-xl text-white font-semibold disabled:opacity-50"
+                  style={{background: 'linear-gradient(135deg, #C084FC, #F8C6D0)'}}
+                >
+                  {busy ? 'Checking...' : 'Review transactions'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: Review */}
+          {step === 'review' && (
+            <div className="space-y-4">
+              <p className="text-sm" style={{color: '#2B2B2B', opacity: 0.7}}>
+                Money going out is selected. Possible duplicates and incoming payments are left out unless you tick them.
+              </p>
+              <div className="space-y-2">
+                {rows.map(row => (
+                  <div
+                    key={row.id}
+                    className="glass-card-light rounded-xl p-3 flex items-center gap-3"
+                    style={{ opacity: row.selected ? 1 : 0.6 }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={row.selected}
+                      onChange={(e) => updateRow(row.id, { selected: e.target.checked })}
+                      aria-label={`Import ${row.description}`}
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-semibold truncate" style={{color: '#2B2B2B'}}>
+                        {row.description || 'Bank transaction'}
+                      </p>
+                      <div className="flex flex-wrap items-center gap-2 text-xs" style={{color: '#2B2B2B', opacity: 0.7}}>
+                        <span>{new Date(row.date).toLocaleDateString()}</span>
+                        {row.direction === 'credit' && <span className="text-green-700">Money in</span>}
+                        {row.duplicateOf && (
+                          <span className="flex items-center gap-1 text-yellow-700">
+                            <Copy className="w-3 h-3" />
+                            Looks like “{row.duplicateOf.description}”
+                          </span>
+                        )}
+                        {row.selected && row.pocket && !row.pocket.allowed && (
+                          <span className="flex items-center gap-1 text-red-700">
+                            <AlertCircle className="w-3 h-3" />
+                            {row.pocket.message}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <select
+                      value={row.category}
+                      onChange={(e) => updateRow(row.id, { category: e.target.value })}
+                      className="px-2 py-1 rounded-lg"
+                      style={inputStyle}
+                    >
+                      {categories.map(cat => (
+                        <option key={cat.name} value={cat.name}>{cat.icon} {cat.name}</option>
+                      ))}
+                    </select>
+                    <span className="text-sm font-bold w-24 text-right" style={{color: '#2B2B2B'}}>
+                      {formatCurrency(row.amount, row.currency, { maximumFractionDigits: 2 })}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={onClose}
+                  className="flex-1 px-4 py-3 rounded-xl font-semibold"
+                  style={{ background: 'rgba(0, 0, 0, 0.05)', color: '#2B2B2B', border: '1px solid rgba(0, 0, 0, 0.1)' }}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={importable.length === 0}
+                  className="flex-1 px-4 py-3 rounded-xl text-white font-semibold disabled:opacity-50"
+                  style={{background: 'linear-gradient(135deg, #C084FC, #F8C6D0)'}}
+                >
+                  Import {importable.length} {importable.length === 1 ? 'expense' : 'expenses'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 4: Importing */}
+          {step === 'importing' && (
+            <div className="text-center py-8" style={{color: '#2B2B2B'}}>
+              <FileText className="w-10 h-10 mx-auto mb-3 animate-pulse" style={{color: '#C084FC'}} />
+              <p className="font-semibold">Importing {progress.done} of {progress.total}...</p>
+            </div>
+          )}
+
+          {/* Step 5: Done */}
+          {step === 'done' && result && (
+            <div className="space-y-4" style={{color: '#2B2B2B'}}>
+              <div className="flex items-center gap-2 p-3 rounded-xl bg-green-500/10 text-green-700">
+                <Check className="w-5 h-5" />
+                Imported {result.created.length} {result.created.length === 1 ? 'expense' : 'expenses'}
+              </div>
+              {result.failed.length > 0 && (
+                <div className="p-3 rounded-xl bg-red-500/10 text-red-700 text-sm space-y-1">
+                  <p className="font-semibold">{result.failed.length} could not be imported:</p>
+                  {result.failed.map(({ row, message }) => (
+                    <p key={row.id}>{row.description}: {message}</p>
+                  ))}
+                </div>
+              )}
+              <button
+                onClick={onClose}
+                className="w-full px-4 py-3 rounded-xl text-white font-semibold"
+                style={{background: 'linear-gradient(135deg, #C084FC, #F8C6D0)'}}
+              >
+                Done
+              </button>
+            </div>
+          )}
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>,
+    document.body
+  );
+};
+
+export default ExpenseImportWizard;
@@ -3,16 +3,35 @@ import ReactDOM from 'react-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   DollarSign, Plus, Edit2, Trash2, Check, X,
-  Calendar, CreditCard, FileText, AlertCircle, Clock, User
+  Calendar, CreditCard, FileText, AlertCircle, Clock, User, Upload, Download, Repeat, MessageCircle
 } from 'lucide-react';
 import {
   createExpense,
   updateExpense,
   deleteExpense,
   getExpensesByMilestone,
-  markExpenseAsPaid
+  markExpenseAsPaid,
+  createRecurringExpense,
+  getRecurringExpenses,
+  deleteRecurringExpense,
+  generateRecurringExpenseInstances
 } from '../services/supabaseService';
 import { getCategoriesForMilestone } from '../data/budgetCategories';
+import ExpenseImportWizard from './ExpenseImportWizard';
+import { exportMilestoneBudget } from '../services/budgetExportService';
+import { CommentThread } from './Comments';
+import { useUnreadComments } from '../hooks/useComments';
+import { useRoadmapRole } from '../hooks/useRoadmapRole';
+import {
+  SUPPORTED_CURRENCIES,
+  convertAmount,
+  formatCurrency as formatMoney,
+  getDefaultCurrency,
+  normalizeCurrency
+} from '../utils/currency';
+import { describeRecurrence, getNextOccurrence } from '../utils/recurrence';
+
+const NO_RECURRENCE = { frequency: '', interval: 1, installments: '' };
 
 const PAYMENT_METHODS = [
   'Credit Card', 'Debit Card', 'Bank Transfer',
@@ -28,16 +47,27 @@ const ExpenseTracker = ({
   onExpensesUpdated = null
 }) => {
   const [expenses, setExpenses] = useState([]);
+  const [recurringRules, setRecurringRules] = useState([]);
+  const [recurrence, setRecurrence] = useState(NO_RECURRENCE);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [editingExpense, setEditingExpense] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState(null);
   const [categories, setCategories] = useState([]);
+  const [openCommentsExpenseId, setOpenCommentsExpenseId] = useState(null);
+  const { countFor: unreadCommentsFor } = useUnreadComments(milestone?.id);
+  const { canEdit, canComment } = useRoadmapRole(roadmapId);
+
+  // Budget and pocket targets are in the milestone's currency; expenses may be in any
+  const milestoneCurrency = normalizeCurrency(milestone?.currency, getDefaultCurrency());
 
   // Expense form state
   const [formData, setFormData] = useState({
     description: '',
     amount: '',
+    currency: milestoneCurrency,
     category: '',
     expense_date: new Date().toISOString().split('T')[0],
     due_date: '',
@@ -91,12 +121,21 @@ const ExpenseTracker = ({
   const loadExpenses = async () => {
     setLoading(true);
     try {
-      const { data, error } = await getExpensesByMilestone(milestone.id);
+      // Create any recurring occurrences that are due before listing
+      if (roadmapId) await generateRecurringExpenseInstances(roadmapId);
+
+      const [{ data, error }, { data: rules }] = await Promise.all([
+        getExpensesByMilestone(milestone.id),
+        getRecurringExpenses({ milestoneId: milestone.id })
+      ]);
+      setRecurringRules(rules || []);
       if (!error && data) {
-        setExpenses(data);
+        // Scheduled savings show up in the budget pockets, not as expenses
+        const milestoneExpenses = data.filter(exp => exp.kind !== 'savings');
+        setExpenses(milestoneExpenses);
         // Notify parent of expense update
         if (onExpensesUpdated) {
-          onExpensesUpdated(data);
+          onExpensesUpdated(milestoneExpenses);
         }
       }
     } catch (error) {
@@ -106,18 +145,35 @@ const ExpenseTracker = ({
     }
   };
 
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      await exportMilestoneBudget({ milestone, expenses, format });
+    } catch (error) {
+      console.error('Error exporting expenses:', error);
+      alert(error.message || 'Failed to export expenses');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Expense amount in the milestone's currency (0 if there's no exchange rate for it)
+  const toMilestoneCurrency = (exp) => (
+    convertAmount(parseFloat(exp.amount || 0), exp.currency || milestoneCurrency, milestoneCurrency) || 0
+  );
+
   // Calculate totals
   const calculateTotals = () => {
-    const total = expenses.reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+    const total = expenses.reduce((sum, exp) => sum + toMilestoneCurrency(exp), 0);
     const paid = expenses
       .filter(exp => exp.status === 'paid')
-      .reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+      .reduce((sum, exp) => sum + toMilestoneCurrency(exp), 0);
     const pending = expenses
       .filter(exp => exp.status === 'pending')
-      .reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+      .reduce((sum, exp) => sum + toMilestoneCurrency(exp), 0);
     const overdue = expenses
       .filter(exp => exp.status === 'overdue')
-      .reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+      .reduce((sum, exp) => sum + toMilestoneCurrency(exp), 0);
 
     return { total, paid, pending, overdue };
   };
@@ -129,6 +185,7 @@ const ExpenseTracker = ({
     setFormData({
       description: '',
       amount: '',
+      currency: milestoneCurrency,
       category: '',
       expense_date: new Date().toISOString().split('T')[0],
       due_date: '',
@@ -138,6 +195,7 @@ const ExpenseTracker = ({
       paid_by_user_id: null,
       notes: ''
     });
+    setRecurrence(NO_RECURRENCE);
     setEditingExpense(null);
     setShowAddModal(true);
   };
@@ -147,6 +205,7 @@ const ExpenseTracker = ({
     setFormData({
       description: expense.description || '',
       amount: expense.amount || '',
+      currency: normalizeCurrency(expense.currency, milestoneCurrency),
       category: expense.category || '',
       expense_date: expense.expense_date || '',
       due_date: expense.due_date || '',
@@ -174,6 +233,7 @@ const ExpenseTracker = ({
         roadmap_id: roadmapId,
         description: formData.description,
         amount: parseFloat(formData.amount),
+        currency: formData.currency,
         category: formData.category || 'Other',
         expense_date: formData.expense_date,
         due_date: formData.due_date || null,
@@ -184,7 +244,28 @@ const ExpenseTracker = ({
         notes: formData.notes || null
       };
 
-      if (editingExpense) {
+      if (!editingExpense && recurrence.frequency) {
+        // Repeating payment: save the rule, occurrences are generated from it
+        const { milestone_id, roadmap_id, description, amount, currency, category,
+          payment_method, paid_by_name, paid_by_user_id } = expenseData;
+        const { error } = await createRecurringExpense({
+          kind: 'expense',
+          milestone_id,
+          roadmap_id,
+          description,
+          amount,
+          currency,
+          category,
+          payment_method,
+          paid_by_name,
+          paid_by_user_id,
+          frequency: recurrence.frequency,
+          interval: parseInt(recurrence.interval, 10) || 1,
+          installments: parseInt(recurrence.installments, 10) || null,
+          start_date: formData.due_date || formData.expense_date
+        });
+        if (error) throw error;
+      } else if (editingExpense) {
         // Update existing expense (pass roadmapId for activity logging)
         const { error } = await updateExpense(editingExpense.id, expenseData, roadmapId);
         if (error) throw error;
@@ -225,6 +306,22 @@ const ExpenseTracker = ({
     }
   };
 
+  // Stop a recurring expense (what it already created stays)
+  const handleStopRecurring = async (rule) => {
+    if (!window.confirm(`Stop "${rule.description}"? Unpaid upcoming payments will be removed.`)) {
+      return;
+    }
+
+    try {
+      const { error } = await deleteRecurringExpense(rule.id);
+      if (error) throw error;
+      await loadExpenses();
+    } catch (error) {
+      console.error('Error stopping recurring expense:', error);
+      alert('Failed to stop recurring expense. Please try again.');
+    }
+  };
+
   // Mark as paid
   const handleMarkAsPaid = async (expenseId) => {
     try {
@@ -237,13 +334,10 @@ const ExpenseTracker = ({
     }
   };
 
-  // Format currency
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount || 0);
-  };
+  // Format currency (milestone currency unless given)
+  const formatCurrency = (amount, currency = milestoneCurrency) => (
+    formatMoney(amount || 0, currency, { maximumFractionDigits: 2 })
+  );
 
   // Get status badge
   const getStatusBadge = (status) => {
@@ -315,29 +409,109 @@ const ExpenseTracker = ({
         </div>
       )}
 
+      {/* Recurring Expenses */}
+      {recurringRules.length > 0 && (
+        <div className="glass-card rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4" style={{color: '#2B2B2B'}}>
+            Recurring ({recurringRules.length})
+          </h3>
+          <div className="space-y-3">
+            {recurringRules.map(rule => {
+              const next = getNextOccurrence(rule);
+              return (
+                <div key={rule.id} className="glass-card-light rounded-xl p-4 flex items-center justify-between">
+                  <div>
+                    <h4 className="font-semibold flex items-center gap-2" style={{color: '#2B2B2B'}}>
+                      <Repeat className="w-4 h-4" style={{color: '#C084FC'}} />
+                      {rule.description}
+                    </h4>
+                    <div className="text-sm" style={{color: '#2B2B2B', opacity: 0.7}}>
+                      {describeRecurrence(rule)}
+                      {rule.kind === 'savings' && ' · savings'}
+                      {rule.skipped_dates?.length > 0 && ` · ${rule.skipped_dates.length} skipped (pocket full)`}
+                      {' · '}
+                      {next ? `next ${new Date(next).toLocaleDateString()}` : 'finished'}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className="font-bold" style={{color: '#2B2B2B'}}>
+                      {formatCurrency(rule.amount, rule.currency || milestoneCurrency)}
+                    </span>
+                    {canEdit && (
+                      <motion.button
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleStopRecurring(rule)}
+                        className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30"
+                        title="Stop"
+                      >
+                        <X className="w-4 h-4 text-red-600" />
+                      </motion.button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Expenses List */}
       <div className="glass-card rounded-2xl p-6">
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-semibold" style={{color: '#2B2B2B'}}>
             Expenses ({expenses.length})
           </h3>
-          <motion.button
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={handleAddExpense}
-            className="flex items-center gap-2 px-4 py-2 rounded-xl text-white"
-            style={{background: 'linear-gradient(135deg, #C084FC, #F8C6D0)'}}
-          >
-            <Plus className="w-4 h-4" />
-            Add Expense
-          </motion.button>
+          <div className="flex items-center gap-2">
+            {expenses.length > 0 && ['csv', 'xlsx'].map(format => (
+              <motion.button
+                key={format}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => handleExport(format)}
+                disabled={exporting !== null}
+                className="flex items-center gap-2 px-4 py-2 rounded-xl glass-card-light disabled:opacity-50"
+                style={{color: '#C084FC'}}
+                title={`Export as ${format.toUpperCase()}`}
+              >
+                <Download className="w-4 h-4" />
+                {format.toUpperCase()}
+              </motion.button>
+            ))}
+            {canEdit && (
+              <>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => setShowImportWizard(true)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-xl glass-card-light"
+                  style={{color: '#C084FC'}}
+                >
+                  <Upload className="w-4 h-4" />
+                  Import
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleAddExpense}
+                  className="flex items-center gap-2 px-4 py-2 rounded-xl text-white"
+                  style={{background: 'linear-gradient(135deg, #C084FC, #F8C6D0)'}}
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Expense
+                </motion.button>
+              </>
+            )}
+          </div>
         </div>
 
         {expenses.length === 0 ? (
           <div className="text-center py-8" style={{color: '#2B2B2B', opacity: 0.5}}>
             <DollarSign className="w-12 h-12 mx-auto mb-2 opacity-30" />
             <p>No expenses tracked yet</p>
-            <p className="text-sm mt-1">Add your first expense to start tracking your budget</p>
+            {canEdit && (
+              <p className="text-sm mt-1">Add your first expense to start tracking your budget</p>
+            )}
           </div>
         ) : (
           <div className="space-y-3">
@@ -389,13 +563,32 @@ const ExpenseTracker = ({
                         {expense.notes}
                       </p>
                     )}
+
+                    <button
+                      onClick={() => setOpenCommentsExpenseId(openCommentsExpenseId === expense.id ? null : expense.id)}
+                      className="mt-2 inline-flex items-center gap-1 text-xs hover:underline"
+                      style={{color: '#2B2B2B', opacity: 0.7}}
+                    >
+                      <MessageCircle className="w-3 h-3" />
+                      {openCommentsExpenseId === expense.id ? 'Hide comments' : 'Comments'}
+                      {unreadCommentsFor(expense.id) > 0 && (
+                        <span className="min-w-[1rem] h-4 px-1 rounded-full text-[10px] font-semibold text-white flex items-center justify-center" style={{ background: '#C084FC' }}>
+                          {unreadCommentsFor(expense.id)}
+                        </span>
+                      )}
+                    </button>
                   </div>
 
                   <div className="flex items-center gap-3 ml-4">
                     <div className="text-right">
                       <div className="text-xl font-bold" style={{color: '#2B2B2B'}}>
-                        {formatCurrency(expense.amount)}
+                        {formatCurrency(expense.amount, expense.currency || milestoneCurrency)}
                       </div>
+                      {expense.currency && normalizeCurrency(expense.currency) !== milestoneCurrency && (
+                        <div className="text-xs" style={{color: '#2B2B2B', opacity: 0.6}}>
+                          ≈ {formatCurrency(toMilestoneCurrency(expense))}
+                        </div>
+                      )}
                       {expense.payment_method && (
                         <div className="text-xs flex items-center gap-1 justify-end" style={{color: '#2B2B2B', opacity: 0.6}}>
                           <CreditCard className="w-3 h-3" />
@@ -404,47 +597,76 @@ const ExpenseTracker = ({
                       )}
                     </div>
 
-                    <div className="flex flex-col gap-2">
-                      {expense.status === 'pending' && (
+                    {canEdit && (
+                      <div className="flex flex-col gap-2">
+                        {expense.status === 'pending' && (
+                          <motion.button
+                            whileHover={{ scale: 1.1 }}
+                            whileTap={{ scale: 0.9 }}
+                            onClick={() => handleMarkAsPaid(expense.id)}
+                            className="p-2 rounded-lg bg-green-500/20 hover:bg-green-500/30"
+                            title="Mark as Paid"
+                          >
+                            <Check className="w-4 h-4 text-green-600" />
+                          </motion.button>
+                        )}
                         <motion.button
                           whileHover={{ scale: 1.1 }}
                           whileTap={{ scale: 0.9 }}
-                          onClick={() => handleMarkAsPaid(expense.id)}
-                          className="p-2 rounded-lg bg-green-500/20 hover:bg-green-500/30"
-                          title="Mark as Paid"
+                          onClick={() => handleEditExpense(expense)}
+                          className="p-2 rounded-lg glass-card-light hover:glass-card"
+                          title="Edit"
                         >
-                          <Check className="w-4 h-4 text-green-600" />
+                          <Edit2 className="w-4 h-4" style={{color: '#C084FC'}} />
                         </motion.button>
-                      )}
-                      <motion.button
-                        whileHover={{ scale: 1.1 }}
-                        whileTap={{ scale: 0.9 }}
-                        onClick={() => handleEditExpense(expense)}
-                        className="p-2 rounded-lg glass-card-light hover:glass-card"
-                        title="Edit"
-                      >
-                        <Edit2 className="w-4 h-4" style={{color: '#C084FC'}} />
-                      </motion.button>
-                      <motion.button
-                        whileHover={{ scale: 1.1 }}
-                        whileTap={{ scale: 0.9 }}
-                        onClick={() => handleDeleteExpense(expense.id)}
-                        className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30"
-                        title="Delete"
-                      >
-                        <Trash2 className="w-4 h-4 text-red-600" />
-                      </motion.button>
-                    </div>
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => handleDeleteExpense(expense.id)}
+                          className="p-2 rounded-lg bg-red-500/20 hover:bg-red-500/30"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4 text-red-600" />
+                        </motion.button>
+                      </div>
+                    )}
                   </div>
                 </div>
+
+                {openCommentsExpenseId === expense.id && (
+                  <div className="mt-3 pt-3 border-t border-stone-200/60">
+                    <CommentThread
+                      roadmapId={roadmapId}
+                      milestoneId={milestone?.id}
+                      targetType="expense"
+                      targetId={expense.id}
+                      targetTitle={expense.description}
+                      people={getPartnerOptions().filter(p => p.userId)}
+                      currentUserId={currentUserId}
+                      canComment={canComment}
+                    />
+                  </div>
+                )}
               </motion.div>
             ))}
           </div>
         )}
       </div>
 
+      {/* Bank Statement Import */}
+      {showImportWizard && canEdit && (
+        <ExpenseImportWizard
+          milestone={{ ...milestone, currency: milestoneCurrency }}
+          roadmapId={roadmapId}
+          existingExpenses={expenses}
+          categories={categories}
+          onClose={() => setShowImportWizard(false)}
+          onImported={loadExpenses}
+        />
+      )}
+
       {/* Add/Edit Expense Modal - Rendered via Portal */}
-      {showAddModal && ReactDOM.createPortal(
+      {showAddModal && canEdit && ReactDOM.createPortal(
         <AnimatePresence>
           <motion.div
             initial={{ opacity: 0 }}
@@ -489,23 +711,41 @@ const ExpenseTracker = ({
                 <div className="grid grid-cols-2 gap-4">
                   <div>
                     <label className="block text-sm font-semibold mb-2" style={{color: '#2B2B2B'}}>
-                      Amount * ($)
+                      Amount *
                     </label>
-                    <input
-                      type="number"
-                      value={formData.amount}
-                      onChange={(e) => setFormData({...formData, amount: e.target.value})}
-                      className="w-full px-4 py-3 rounded-xl"
-                      placeholder="0.00"
-                      step="0.01"
-                      min="0"
-                      style={{
-                        color: '#2B2B2B',
-                        background: 'rgba(0, 0, 0, 0.03)',
-                        border: '1px solid rgba(0, 0, 0, 0.1)',
-                        fontSize: '16px'
-                      }}
-                    />
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        value={formData.amount}
+                        onChange={(e) => setFormData({...formData, amount: e.target.value})}
+                        className="w-full min-w-0 px-4 py-3 rounded-xl"
+                        placeholder="0.00"
+                        step="0.01"
+                        min="0"
+                        style={{
+                          color: '#2B2B2B',
+                          background: 'rgba(0, 0, 0, 0.03)',
+                          border: '1px solid rgba(0, 0, 0, 0.1)',
+                          fontSize: '16px'
+                        }}
+                      />
+                      <select
+                        value={formData.currency}
+                        onChange={(e) => setFormData({...formData, currency: e.target.value})}
+                        className="px-2 py-3 rounded-xl"
+                        aria-label="Currency"
+                        style={{
+                          color: '#2B2B2B',
+                          background: 'rgba(0, 0, 0, 0.03)',
+                          border: '1px solid rgba(0, 0, 0, 0.1)',
+                          fontSize: '16px'
+                        }}
+                      >
+                        {SUPPORTED_CURRENCIES.map(({ code }) => (
+                          <option key={code} value={code}>{code}</option>
+                        ))}
+                      </select>
+                    </div>
                   </div>
 
                   <div>
@@ -641,6 +881,77 @@ const ExpenseTracker = ({
                   </select>
                 </div>
 
+                {/* Repeats (new expenses only) */}
+                {!editingExpense && (
+                  <div>
+                    <label className="block text-sm font-semibold mb-2" style={{color: '#2B2B2B'}}>
+                      Repeats
+                    </label>
+                    <div className="grid grid-cols-3 gap-2">
+                      <select
+                        value={recurrence.frequency}
+                        onChange={(e) => setRecurrence({...recurrence, frequency: e.target.value})}
+                        className="px-3 py-3 rounded-xl"
+                        style={{
+                          color: '#2B2B2B',
+                          background: 'rgba(0, 0, 0, 0.03)',
+                          border: '1px solid rgba(0, 0, 0, 0.1)',
+                          fontSize: '16px'
+                        }}
+                      >
+                        <option value="">Never</option>
+                        <option value="monthly">Monthly</option>
+                        <option value="weekly">Weekly</option>
+                      </select>
+                      {recurrence.frequency && (
+                        <>
+                          <input
+                            type="number"
+                            min="1"
+                            max="52"
+                            value={recurrence.interval}
+                            onChange={(e) => setRecurrence({...recurrence, interval: e.target.value})}
+                            className="px-3 py-3 rounded-xl"
+                            aria-label={recurrence.frequency === 'weekly' ? 'Every how many weeks' : 'Every how many months'}
+                            title={recurrence.frequency === 'weekly' ? 'Every N weeks' : 'Every N months'}
+                            style={{
+                              color: '#2B2B2B',
+                              background: 'rgba(0, 0, 0, 0.03)',
+                              border: '1px solid rgba(0, 0, 0, 0.1)',
+                              fontSize: '16px'
+                            }}
+                          />
+                          <input
+                            type="number"
+                            min="1"
+                            value={recurrence.installments}
+                            onChange={(e) => setRecurrence({...recurrence, installments: e.target.value})}
+                            className="px-3 py-3 rounded-xl"
+                            placeholder="No end"
+                            aria-label="Number of instalments"
+                            title="Number of instalments (leave empty for no end)"
+                            style={{
+                              color: '#2B2B2B',
+                              background: 'rgba(0, 0, 0, 0.03)',
+                              border: '1px solid rgba(0, 0, 0, 0.1)',
+                              fontSize: '16px'
+                            }}
+                          />
+                        </>
+                      )}
+                    </div>
+                    {recurrence.frequency && (
+                      <p className="text-xs mt-2" style={{color: '#2B2B2B', opacity: 0.6}}>
+                        {describeRecurrence({
+                          frequency: recurrence.frequency,
+                          interval: parseInt(recurrence.interval, 10) || 1,
+                          installments: parseInt(recurrence.installments, 10) || null
+                        })}, starting {formData.due_date || formData.expense_date}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Notes */}
                 <div>
                   <label className="block text-sm font-semibold mb-2" style={{color: '#2B2B2B'}}>
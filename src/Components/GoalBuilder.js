@@ -8,6 +8,8 @@ import GoalOrchestrator from '../services/goalOrchestrator';
 import TemplateGallery from './TemplateGallery';
 import CustomGoalCreator from './CustomGoalCreator';
 import { generateIntelligentMilestones } from '../services/lunaGoalService';
+import { isAbortError } from '../services/requestPolicy';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 // Inline styles for custom fonts
 const fontStyles = `
@@ -31,6 +33,7 @@ const GoalBuilder = ({ onBack, onComplete, onEnhanceWithLuna, user, locationData
   const [isGenerating, setIsGenerating] = useState(false);
   const [generatingGoalIndex, setGeneratingGoalIndex] = useState(-1);
   const [hoveredGoal, setHoveredGoal] = useState(null);
+  const getSignal = useAbortOnUnmount();
 
   // Inject fonts
   useEffect(() => {
@@ -94,9 +97,11 @@ const GoalBuilder = ({ onBack, onComplete, onEnhanceWithLuna, user, locationData
         setGeneratingGoalIndex(i);
         if (goal.lunaEnhanced && goal.roadmapPhases?.length > 0) continue;
         try {
-          const enhancedGoal = await generateIntelligentMilestones(goal);
+          const enhancedGoal = await generateIntelligentMilestones(goal, { signal: getSignal() });
           orchestrator.updateGoal(goal.id, { ...enhancedGoal, lunaEnhanced: true });
         } catch (error) {
+          // Left the builder - don't create the roadmap
+          if (isAbortError(error)) return;
           console.error(`Failed to enhance "${goal.title}":`, error);
         }
       }
@@ -13,6 +13,7 @@ import {
   shouldShowBudgetTab
 } from '../utils/navigationHelpers';
 import { updateMilestone } from '../services/supabaseService';
+import { convertAmount, getDefaultCurrency, normalizeCurrency } from '../utils/currency';
 import { useLuna } from '../context/LunaContext';
 
 /**
@@ -164,7 +165,10 @@ const GoalOverviewDashboard = ({
     );
   }
 
-  const totalExpenses = expenses.reduce((sum, e) => sum + (e.amount || 0), 0);
+  const milestoneCurrency = normalizeCurrency(milestone.currency, getDefaultCurrency());
+  const totalExpenses = expenses.reduce((sum, e) => (
+    sum + (convertAmount(e.amount || 0, e.currency || milestoneCurrency, milestoneCurrency) || 0)
+  ), 0);
   const nextActions = tasks
     .filter(t => !t.completed)
     .sort((a, b) => {
@@ -248,8 +252,8 @@ const GoalOverviewDashboard = ({
           <MetricCard
             icon={DollarSign}
             label="Budget"
-            value={budgetAmount > 0 ? formatCurrency(budgetAmount) : 'Not set'}
-            subtitle={budgetAmount > 0 ? `${formatCurrency(budgetAmount - totalExpenses)} remaining` : 'Click to set'}
+            value={budgetAmount > 0 ? formatCurrency(budgetAmount, milestoneCurrency) : 'Not set'}
+            subtitle={budgetAmount > 0 ? `${formatCurrency(budgetAmount - totalExpenses, milestoneCurrency)} remaining` : 'Click to set'}
             isEditing={editingBudget}
             onEdit={() => setEditingBudget(true)}
             onSave={handleSaveBudget}
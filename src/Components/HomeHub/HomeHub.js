@@ -8,6 +8,7 @@ import ActivityPreview from './ActivityPreview';
 import MomentumCard from './MomentumCard';
 import { useWelcomeBrief } from '../../hooks/useWelcomeBrief';
 import { useAggregatedActivity } from '../../hooks/useAggregatedActivity';
+import { useRoutineStreaks } from '../../hooks/useRoutineStreaks';
 
 /**
  * HomeHub - Stunning welcome home experience
@@ -43,6 +44,12 @@ const HomeHub = ({
     error: activitiesError,
   } = useAggregatedActivity(dreams, { limit: 5, enabled: preferences.showActivityFeed !== false });
 
+  // Routine streaks for the momentum tracker
+  const {
+    routines,
+    consistency: routineConsistency,
+  } = useRoutineStreaks(dreams, { enabled: preferences.showMomentumTracker !== false });
+
   // Handle close - mark as seen and transition to dashboard
   const handleClose = () => {
     markAsSeen();
@@ -162,6 +169,8 @@ const HomeHub = ({
                 <MomentumCard
                   streak={streak}
                   overallProgress={overallProgress}
+                  routines={routines}
+                  routineConsistency={routineConsistency}
                 />
               )}
             </div>
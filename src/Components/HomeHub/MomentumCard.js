@@ -1,15 +1,23 @@
 import React, { useState, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Sparkles } from 'lucide-react';
+import { Sparkles, Flame, Check } from 'lucide-react';
 
 /**
  * MomentumCard - Clean streak and progress celebration card
  *
+ * Shows the activity streak and, for routines (recurring tasks), each
+ * routine's own streak - the headline falls back to the best routine streak.
+ *
  * Design: Nature-inspired with sage green accents
+ *
+ * @param {Array} routines - From useRoutineStreaks: [{ task, streak, label }]
+ * @param {number|null} routineConsistency - Recent routine occurrences done (0-100)
  */
 const MomentumCard = ({
   streak,
   overallProgress,
+  routines = [],
+  routineConsistency = null,
   onCelebrate,
 }) => {
   const [isCelebrating, setIsCelebrating] = useState(false);
@@ -30,6 +38,21 @@ const MomentumCard = ({
 
   const progressPercentage = overallProgress?.percentage || 0;
 
+  const bestRoutine = routines[0]?.streak.current > 0 ? routines[0] : null;
+  const routineAtRisk = routines.find(r => r.streak.atRisk);
+
+  const headline = () => {
+    if (streak && streak.current > 0) return `${streak.current} Day Streak!`;
+    if (bestRoutine) return `${bestRoutine.label.charAt(0).toUpperCase()}${bestRoutine.label.slice(1)}!`;
+    return 'Start Your Streak';
+  };
+
+  const message = () => {
+    if (routineAtRisk) return `Check in on "${routineAtRisk.task.title}" today to keep its streak going.`;
+    if ((!streak || streak.current === 0) && bestRoutine) return `"${bestRoutine.task.title}" is on a roll - keep showing up!`;
+    return streak?.message || 'Start planning to build momentum!';
+  };
+
   return (
     <motion.div
       className="rounded-2xl overflow-hidden relative"
@@ -54,9 +77,7 @@ const MomentumCard = ({
               color: '#c49a6c',
             }}
           >
-            {streak && streak.current > 0
-              ? `${streak.current} Day Streak!`
-              : 'Start Your Streak'}
+            {headline()}
           </h3>
           {overallProgress && progressPercentage > 0 && (
             <span
@@ -89,12 +110,43 @@ const MomentumCard = ({
         )}
 
         {/* Message */}
-        {streak && (
+        {(streak || routines.length > 0) && (
           <p className="text-sm mb-5" style={{ color: '#6b635b' }}>
-            {streak.message || 'Start planning to build momentum!'}
+            {message()}
           </p>
         )}
 
+        {/* Routines */}
+        {routines.length > 0 && (
+          <div className="mb-5 space-y-2">
+            {routines.slice(0, 3).map(({ task, streak: routineStreak, label }) => (
+              <div key={task.id} className="flex items-center justify-between gap-3 text-sm">
+                <span className="truncate" style={{ color: '#2d2926' }}>{task.title}</span>
+                <span className="flex items-center gap-1.5 flex-shrink-0 text-xs font-medium">
+                  {routineStreak.doneThisTime && (
+                    <Check className="w-3.5 h-3.5" style={{ color: '#7d8c75' }} />
+                  )}
+                  {routineStreak.atRisk ? (
+                    <span style={{ color: '#c76b6b' }}>Due today</span>
+                  ) : routineStreak.current > 0 ? (
+                    <span className="flex items-center gap-1" style={{ color: '#c49a6c' }}>
+                      <Flame className="w-3.5 h-3.5" />
+                      {label}
+                    </span>
+                  ) : (
+                    <span style={{ color: '#a39b91' }}>No streak yet</span>
+                  )}
+                </span>
+              </div>
+            ))}
+            {routineConsistency !== null && (
+              <p className="text-xs pt-1" style={{ color: '#a39b91' }}>
+                {routineConsistency}% of routines done in the last 4 weeks
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Celebrate Button */}
         <motion.button
           onClick={handleCelebrate}
@@ -7,6 +7,8 @@ import { useAuth } from '../context/AuthContext';
 import faviconDark from '../assets/favicon-dark.png';
 import { converseWithLunaStreaming, isRoadmapComplete, getRoadmapData } from '../services/lunaService';
 import { callClaudeStreaming } from '../services/claudeAPI';
+import { isAbortError } from '../services/requestPolicy';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 import Auth from './Auth';
 import GoalSelectionHub from './GoalSelectionHub';
 import MarkdownMessage from './MarkdownMessage';
@@ -16,6 +18,7 @@ import { useCreationProgress, CreationEvent, setGlobalProgressUpdater } from '..
 
 const LandingPageNew = ({ onComplete, onBack = null, onGoToDashboard = null, onGoToProfile = null, onGoToSettings = null, onGoToPricing = null, onOpenHomeHub = null, onOpenAssessment = null, onOpenPortfolioOverview = null, hasMultipleDreams = false, notificationCount = 0, isReturningUser = false }) => {
   const { user, loading: authLoading, signOut } = useAuth();
+  const getSignal = useAbortOnUnmount();
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [hasExistingRoadmaps, setHasExistingRoadmaps] = useState(false);
@@ -173,26 +176,14 @@ const LandingPageNew = ({ onComplete, onBack = null, onGoToDashboard = null, onG
       setIsLunaTyping(true);
       setStreamingContent('');
 
-      // Luna's greeting system prompt (simplified for initial greeting)
-      const greetingPrompt = `You are Luna, a warm and intelligent AI planning assistant for couples.
-
-This is the user's FIRST message - they just said "Hi" to start the conversation.
-
-Your response should be:
-1. A friendly, warm greeting (use an emoji or two)
-2. Brief introduction of yourself
-3. An open-ended question about what they're hoping to achieve together
-
-Keep it conversational and under 100 words. Use **bold** for emphasis on key phrases.`;
-
       try {
         // Use a ref-like approach to capture the accumulated content
         let accumulatedContent = '';
 
         // Use streaming for the initial greeting
         await callClaudeStreaming(
-          [{ role: 'user', content: 'Hi' }],
-          { systemPrompt: greetingPrompt, maxTokens: 512, temperature: 0.9 },
+          [],
+          { profile: 'luna-greeting', signal: getSignal() },
           {
             onChunk: (text) => {
               accumulatedContent += text;
@@ -280,7 +271,7 @@ Keep it conversational and under 100 words. Use **bold** for emphasis on key phr
         onError: (error) => {
           console.error('❌ Luna streaming error:', error);
         }
-      });
+      }, { signal: getSignal() });
 
       // Streaming complete - finalize the message
       setStreamingContent('');
@@ -295,6 +286,8 @@ Keep it conversational and under 100 words. Use **bold** for emphasis on key phr
         // DreamCreationLive handles progress UI - don't show redundant overlay
       }
     } catch (error) {
+      // Left the page mid-reply
+      if (isAbortError(error)) return;
       console.error('❌ Error in Luna conversation:', error);
       setStreamingContent('');
       setConversation([...newConversation, {
@@ -3,9 +3,9 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { Brain, Send, ArrowLeft, Sparkles, CheckCircle2, Loader } from 'lucide-react';
 import {
   buildOptimizationContext,
-  generateSystemPrompt,
   generateOptimizedMilestones
 } from '../services/agents/goalOptimizationAgent';
+import { getBackendHeaders } from '../services/claudeAPI';
 
 /**
  * LunaOptimization: Conversation with Luna for multi-goal optimization
@@ -51,11 +51,8 @@ const LunaOptimization = ({ orchestrator, userData, onComplete, onBack }) => {
     setIsLunaTyping(true);
 
     try {
-      const systemPrompt = generateSystemPrompt(ctx);
-
-      // Call Luna API
+      // Call Luna API (the server renders the optimizer prompt from ctx)
       const response = await callLunaAPI([
-        { role: 'system', content: systemPrompt },
         { role: 'user', content: 'Hi Luna! Please help us optimize our roadmap.' }
       ], ctx);
 
@@ -95,14 +92,10 @@ const LunaOptimization = ({ orchestrator, userData, onComplete, onBack }) => {
 
     try {
       // Build messages for API
-      const systemPrompt = generateSystemPrompt(context);
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...newConversation.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        }))
-      ];
+      const messages = newConversation.map(msg => ({
+        role: msg.role,
+        content: msg.content
+      }));
 
       // Call Luna
       const response = await callLunaAPI(messages, context);
@@ -142,7 +135,7 @@ const LunaOptimization = ({ orchestrator, userData, onComplete, onBack }) => {
     try {
       const response = await fetch('/api/luna/optimize-goals', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await getBackendHeaders(),
         body: JSON.stringify({
           messages,
           context: ctx
@@ -180,7 +173,7 @@ const LunaOptimization = ({ orchestrator, userData, onComplete, onBack }) => {
     const lastUserMessage = messages[messages.length - 1]?.content.toLowerCase() || '';
 
     // If this is the initial message
-    if (messages.length <= 2) {
+    if (messages.length <= 1) {
       return {
         message: `Hi! 👋 I can see you want to achieve ${ctx.analysis.totalGoals} amazing goals together:\n\n${ctx.goals.map(g => `• ${g.title} (€${g.estimatedCost.toLocaleString()})`).join('\n')}\n\nI've analyzed your roadmap and found ${ctx.analysis.conflictCount} potential conflicts and ${ctx.analysis.synergyCount} exciting synergies!\n\n**Quick questions to optimize your plan:**\n\n1. Which goal is most urgent for you both?\n2. Are you open to overlapping some goals to save time?\n3. Do you have savings started, or should we build that in?\n\nTell me your thoughts! 💭`
       };
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ArrowLeft, Calendar, Check, X, Target, TrendingUp, Share2, Users } from 'lucide-react';
+import { ArrowLeft, Calendar, Check, X, Target, TrendingUp, Share2, Users, MessageCircle } from 'lucide-react';
 import { getVisibleNavigationTabs, calculateClientMetrics } from '../utils/navigationHelpers';
 import { getTasksByMilestone, updateMilestone, getMilestoneById, getRoadmapById } from '../services/supabaseService';
 import RoadmapTreeView from './RoadmapTreeView';
@@ -9,7 +9,11 @@ import TaskManager from './TaskManager';
 import LunaAssessment from './LunaAssessment';
 import GoalOverviewDashboard from './GoalOverviewDashboard';
 import ShareDreamModal from './Sharing/ShareDreamModal';
+import ConversationCheckIn from './Assessment/ConversationCheckIn';
 import { ActivityFeed } from './Activity';
+import { CommentThread } from './Comments';
+import { useUnreadComments } from '../hooks/useComments';
+import { sumUnreadComments } from '../utils/comments';
 import { useAuth } from '../context/AuthContext';
 import Auth from './Auth';
 
@@ -50,10 +54,18 @@ const MilestoneDetailPage = ({
   const [targetDate, setTargetDate] = useState(milestone.target_date || '');
   const [showShareModal, setShowShareModal] = useState(false);
   const [roadmap, setRoadmap] = useState(null);
+  const [showDiscussion, setShowDiscussion] = useState(false);
 
   // Auth context
   const { user } = useAuth();
 
+  // Unread comments across the milestone, its tasks and its expenses
+  const { counts: unreadComments, total: unreadCommentTotal } = useUnreadComments(
+    milestone?.id?.startsWith('placeholder-') ? null : milestone?.id
+  );
+  const unreadTaskComments = sumUnreadComments(unreadComments, (targetType) => targetType === 'task');
+  const unreadMilestoneComments = sumUnreadComments(unreadComments, (targetType) => targetType === 'milestone');
+
   // ═══════════════════════════════════════════════════════════════════════════
   // GUEST ONBOARDING STATE (Ownership-First Flow)
   //
@@ -320,6 +332,23 @@ const MilestoneDetailPage = ({
 
             {/* Right: Actions, Progress & Date */}
             <div className="flex items-center gap-4">
+              {/* Discussion Button */}
+              {user && (
+                <button
+                  onClick={() => setShowDiscussion(true)}
+                  className="relative flex items-center gap-2 px-3 py-2 rounded-xl bg-stone-50 hover:bg-stone-100 border border-stone-200 text-stone-700 transition-all"
+                  title={unreadCommentTotal > 0 ? `${unreadCommentTotal} unread comments` : 'Discuss this dream with your partner'}
+                >
+                  <MessageCircle className="w-4 h-4" />
+                  <span className="text-sm font-medium hidden sm:inline">Discuss</span>
+                  {unreadCommentTotal > 0 && (
+                    <span className="absolute -top-1.5 -right-1.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-amber-500 text-white text-[11px] font-semibold flex items-center justify-center">
+                      {unreadCommentTotal > 9 ? '9+' : unreadCommentTotal}
+                    </span>
+                  )}
+                </button>
+              )}
+
               {/* Share Button */}
               <button
                 onClick={() => setShowShareModal(true)}
@@ -396,6 +425,16 @@ const MilestoneDetailPage = ({
                   >
                     <Icon className="w-4 h-4" />
                     <span className="whitespace-nowrap">{tab.label}</span>
+                    {tab.id === 'tasks' && unreadTaskComments > 0 && (
+                      <span
+                        className={`min-w-[1.25rem] h-5 px-1 rounded-full text-[11px] font-semibold flex items-center justify-center ${
+                          isActive ? 'bg-white text-stone-900' : 'bg-amber-500 text-white'
+                        }`}
+                        title={`${unreadTaskComments} unread task comments`}
+                      >
+                        {unreadTaskComments > 9 ? '9+' : unreadTaskComments}
+                      </span>
+                    )}
                   </button>
                 );
               })}
@@ -416,6 +455,11 @@ const MilestoneDetailPage = ({
           >
             {activeSection === 'overview' && (
               <div className="p-6">
+                <ConversationCheckIn
+                  milestone={milestone}
+                  roadmap={roadmap}
+                  currentUserId={user?.id}
+                />
                 <GoalOverviewDashboard
                   milestone={milestone}
                   userContext={userContext}
@@ -504,6 +548,63 @@ const MilestoneDetailPage = ({
         </AnimatePresence>
       </main>
 
+      {/* Discussion Panel - milestone-level comments */}
+      <AnimatePresence>
+        {showDiscussion && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[60] flex justify-end bg-stone-900/30"
+            onClick={() => setShowDiscussion(false)}
+          >
+            <motion.aside
+              initial={{ x: '100%' }}
+              animate={{ x: 0 }}
+              exit={{ x: '100%' }}
+              transition={{ duration: 0.25, ease: 'easeOut' }}
+              className="w-full max-w-md h-full bg-[#FDFCF8] shadow-2xl flex flex-col"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="px-6 py-4 border-b border-stone-200 flex items-center justify-between">
+                <div>
+                  <h2 className="font-semibold text-stone-900">Discussion</h2>
+                  <p className="text-sm text-stone-500">{milestone.title}</p>
+                </div>
+                <button
+                  onClick={() => setShowDiscussion(false)}
+                  className="p-2 rounded-lg hover:bg-stone-100 transition-colors"
+                >
+                  <X className="w-5 h-5 text-stone-500" />
+                </button>
+              </div>
+
+              {unreadCommentTotal - unreadMilestoneComments > 0 && (
+                <p className="px-6 py-2 text-xs bg-amber-50 text-amber-800 border-b border-amber-100">
+                  {unreadCommentTotal - unreadMilestoneComments} unread on tasks and expenses
+                </p>
+              )}
+
+              <div className="flex-1 overflow-y-auto px-6 py-4">
+                <CommentThread
+                  roadmapId={roadmapId || milestone.roadmap_id}
+                  milestoneId={milestone.id}
+                  targetType="milestone"
+                  targetId={milestone.id}
+                  targetTitle={milestone.title}
+                  people={roadmap ? [
+                    { userId: roadmap.user_id, name: roadmap.partner1_name },
+                    { userId: roadmap.partner_id, name: roadmap.partner2_name }
+                  ] : []}
+                  currentUserId={user?.id}
+                  emptyText="No comments yet. Share a thought about this dream with your partner."
+                />
+              </div>
+            </motion.aside>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Share Dream Modal */}
       <ShareDreamModal
         isOpen={showShareModal}
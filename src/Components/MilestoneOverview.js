@@ -6,6 +6,7 @@ import {
   ArrowRight, TrendingDown, Sparkles
 } from 'lucide-react';
 import { getExpensesByMilestone } from '../services/supabaseService';
+import { convertAmount, formatCurrency as formatMoney, getDefaultCurrency } from '../utils/currency';
 
 /**
  * MilestoneOverview - Portfolio Financial Intelligence
@@ -23,6 +24,12 @@ const MilestoneOverview = ({ milestones = [], userContext, onBack, onMilestoneCl
   const [monthlyCapacity, setMonthlyCapacity] = useState(5000); // Default capacity
   const [showCapacityEdit, setShowCapacityEdit] = useState(false);
 
+  // Dreams can be budgeted in different currencies; the portfolio is shown in the user's
+  const portfolioCurrency = getDefaultCurrency();
+  const toPortfolioCurrency = (amount, currency) => (
+    convertAmount(parseFloat(amount || 0), currency || portfolioCurrency, portfolioCurrency) || 0
+  );
+
   useEffect(() => {
     console.log('🔍 MilestoneOverview received milestones:', milestones);
     if (milestones && milestones.length > 0) {
@@ -70,12 +77,12 @@ const MilestoneOverview = ({ milestones = [], userContext, onBack, onMilestoneCl
         financialMilestones.map(async (milestone) => {
           const { data: expenses } = await getExpensesByMilestone(milestone.id);
 
-          // Calculate total saved (all contributions)
+          // Calculate total saved (all contributions), in the portfolio currency
           const totalSaved = expenses && expenses.length > 0
-            ? expenses.reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0)
+            ? expenses.reduce((sum, exp) => sum + toPortfolioCurrency(exp.amount, exp.currency || milestone.currency), 0)
             : 0;
 
-          const targetBudget = parseFloat(milestone.budget_amount || 0);
+          const targetBudget = toPortfolioCurrency(milestone.budget_amount, milestone.currency);
           const remaining = targetBudget - totalSaved;
           const percentageSaved = targetBudget > 0 ? (totalSaved / targetBudget) * 100 : 0;
 
@@ -95,13 +102,17 @@ const MilestoneOverview = ({ milestones = [], userContext, onBack, onMilestoneCl
 
           return {
             ...milestone,
+            budget_amount: targetBudget,
             totalSaved,
             remaining,
             percentageSaved,
             monthsUntilDeadline,
             monthlyRequired,
             daysUntilDeadline,
-            contributions: expenses || [],
+            contributions: (expenses || []).map(exp => ({
+              ...exp,
+              amount: toPortfolioCurrency(exp.amount, exp.currency || milestone.currency)
+            })),
             status: getStatusLabel(percentageSaved, monthlyRequired, monthlyCapacity),
             priority: getPriority(milestone, daysUntilDeadline)
           };
@@ -445,14 +456,7 @@ const MilestoneOverview = ({ milestones = [], userContext, onBack, onMilestoneCl
     return conflictsWithRecommendations;
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount || 0);
-  };
+  const formatCurrency = (amount) => formatMoney(amount || 0, portfolioCurrency);
 
   const formatDate = (dateString) => {
     if (!dateString) return 'No deadline';
@@ -5,12 +5,15 @@ import {
   Lightbulb, Shield, Sparkles, ChevronDown, ChevronUp, Target,
   Users, Heart, CheckCircle2, Loader2
 } from 'lucide-react';
+import { getBackendHeaders } from '../services/claudeAPI';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 const OverviewSection = ({ deepDiveData, userContext, onCustomize }) => {
   const [expandedSection, setExpandedSection] = useState(null);
   const [enhancedData, setEnhancedData] = useState(null);
   const [isEnhancing, setIsEnhancing] = useState(false);
   const [enhancementError, setEnhancementError] = useState(null);
+  const getSignal = useAbortOnUnmount();
 
   // AUTO-ENHANCE: If Claude data is missing, fetch it automatically
   useEffect(() => {
@@ -27,36 +30,25 @@ const OverviewSection = ({ deepDiveData, userContext, onCustomize }) => {
     setEnhancementError(null);
 
     try {
-      // Build the enhancement request
-      const prompt = `Generate personalized insights for this couple's goal:
-
-**Partners:** ${userContext.partner1} and ${userContext.partner2}
-**Location:** ${userContext.location}
-**Goal:** ${deepDiveData.title}
-**Budget:** €${deepDiveData.totalBudget || 'Not specified'}
-**Timeline:** ${deepDiveData.timeline_months || deepDiveData.duration}
-**Description:** ${deepDiveData.description}
-
-Generate a JSON object with these fields:
-- insights: { confidence: "High/Medium/Low", assessment: "overall assessment", strength: "their key strength", challenge: "main challenge they face" }
-- tips: Array of 3-5 tips, each with { title, content, impact, priority: "critical/high/medium" }
-- risks: Array of 2-4 risks, each with { risk, probability: "high/medium/low", impact: "description", mitigation: "how to prevent" }
-- savings: Array of 2-4 opportunities, each with { opportunity, amount: "€X-Y", effort: "easy/medium/hard", description }
-- coupleAdvice: { commonConflict, yourSituation, framework, checkIn }
-
-Be specific to ${userContext.location}, use their names, and give actionable advice.`;
-
-      const systemPrompt = `You are Luna, a warm and intelligent planning assistant. Generate ONLY valid JSON with no markdown, no explanations, no extra text. Just the JSON object.`;
-
+      // The insights template is the server-side 'deep-dive-insights' profile
       const response = await fetch('http://localhost:3001/api/claude-generate', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await getBackendHeaders(),
         body: JSON.stringify({
-          prompt,
-          systemPrompt,
-          maxTokens: 4096,
-          temperature: 0.8
-        })
+          profile: 'deep-dive-insights',
+          variables: {
+            partner1: userContext.partner1,
+            partner2: userContext.partner2,
+            goal: deepDiveData.title,
+            description: deepDiveData.description,
+            budget: deepDiveData.totalBudget,
+            timeline: deepDiveData.timeline_months ? `${deepDiveData.timeline_months} months` : deepDiveData.duration,
+            location: userContext.location,
+            includePhases: false
+          }
+        }),
+        // Leaving the page cancels the generation
+        signal: getSignal()
       });
 
       if (!response.ok) {
@@ -98,6 +90,7 @@ Be specific to ${userContext.location}, use their names, and give actionable adv
       });
 
     } catch (error) {
+      if (error.name === 'AbortError') return; // Unmounted - nothing to show
       console.error('❌ Failed to enhance deep dive:', error);
       setEnhancementError(error.message);
       // Fall back to using base deep dive data
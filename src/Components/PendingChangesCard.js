@@ -207,6 +207,16 @@ const ChangeItem = ({ change, index, onConfirm, onReject, isApplying, showAction
             </p>
           )}
 
+          {change.type === 'add_task' && change.details?.subtasks?.length > 0 && !change.details.parentTask && (
+            <ul className="text-xs text-gray-500 mt-1 space-y-0.5">
+              {change.details.subtasks.map((subtask, idx) => (
+                <li key={idx}>
+                  ☐ {subtask.title}{subtask.assigned_to ? ` (${subtask.assigned_to})` : ''}
+                </li>
+              ))}
+            </ul>
+          )}
+
           {change.requiresRegeneration && (
             <p className="text-xs text-amber-600 mt-1 font-medium">
               ⚠️ This will regenerate your entire roadmap
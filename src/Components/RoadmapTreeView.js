@@ -13,9 +13,13 @@ import {
   ArrowRight,
   Plus,
   X,
-  Sparkles
+  Sparkles,
+  AlertTriangle
 } from 'lucide-react';
 import { createPhaseTask, updateMilestone } from '../services/supabaseService';
+import { getTopLevelTasks } from '../utils/metricsAndTerminology';
+import { useTaskDependencies } from '../hooks/useTaskDependencies';
+import TargetDateWarning from './Tasks/TargetDateWarning';
 
 /**
  * RoadmapTreeView - Elegant journey phases accordion
@@ -30,6 +34,7 @@ const RoadmapTreeView = ({ milestone, tasks = [], userContext, onTaskClick, onTa
     assigned_to: '',
     priority: 'medium'
   });
+  const { schedule } = useTaskDependencies(milestone, tasks);
 
   const phases = useMemo(() => {
     const deepDive = milestone.deepDiveData || milestone.deep_dive_data;
@@ -38,7 +43,7 @@ const RoadmapTreeView = ({ milestone, tasks = [], userContext, onTaskClick, onTa
     if (roadmapPhases && roadmapPhases.length > 0) {
       return roadmapPhases.map((phase, idx) => ({
         ...phase,
-        tasks: tasks.filter(task => {
+        tasks: getTopLevelTasks(tasks).filter(task => {
           if (task.roadmap_phase_index === idx) return true;
           if (task.roadmap_phase_index === null || task.roadmap_phase_index === undefined) {
             const phaseKeywords = phase.title.toLowerCase().split(' ');
@@ -279,6 +284,13 @@ const RoadmapTreeView = ({ milestone, tasks = [], userContext, onTaskClick, onTa
               style={{ background: '#c49a6c' }}
             />
           </div>
+
+          <TargetDateWarning
+            schedule={schedule}
+            tasks={tasks}
+            phases={milestone.deepDiveData?.roadmapPhases || milestone.deep_dive_data?.roadmapPhases}
+            className="mt-6"
+          />
         </header>
 
         {/* Phases */}
@@ -461,6 +473,7 @@ const RoadmapTreeView = ({ milestone, tasks = [], userContext, onTaskClick, onTa
                                     <TaskItem
                                       key={task.id || taskIndex}
                                       task={task}
+                                      delayDays={schedule.tasks[task.id]?.delayDays || 0}
                                       onTaskClick={onTaskClick}
                                     />
                                   ))}
@@ -585,7 +598,7 @@ const StatusIndicator = ({ status }) => {
 /**
  * Task Item
  */
-const TaskItem = ({ task, onTaskClick }) => {
+const TaskItem = ({ task, delayDays = 0, onTaskClick }) => {
   const isCompleted = task.completed;
 
   return (
@@ -634,6 +647,15 @@ const TaskItem = ({ task, onTaskClick }) => {
                 {task.priority}
               </span>
             )}
+            {!isCompleted && delayDays > 0 && (
+              <span
+                className="flex items-center gap-1 text-xs font-medium"
+                style={{ color: '#c76b6b' }}
+              >
+                <AlertTriangle className="w-3 h-3" />
+                {delayDays} day{delayDays === 1 ? '' : 's'} late
+              </span>
+            )}
           </div>
         </div>
 
@@ -1,14 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Lock, Mail, Bell, Shield, Download, Trash2, LogOut,
-  ChevronRight, Check, AlertTriangle, Eye, EyeOff, ArrowLeft, Loader2
+  ChevronRight, Check, AlertTriangle, Eye, EyeOff, ArrowLeft, Loader2, Sparkles, Coins, FileJson, Upload
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useProfile } from '../context/ProfileContext';
-import { getUserRoadmaps, getMilestonesByRoadmap } from '../services/supabaseService';
+import { getUserRoadmaps, getMilestonesByRoadmap, updateDefaultCurrency } from '../services/supabaseService';
 import { supabase } from '../config/supabaseClient';
-import { generateAIPoweredPDF } from '../services/pdfExportService';
+import { generateJourneyReport } from '../services/pdfExportService';
+import { downloadDataArchive, importDataArchive } from '../services/dataArchiveService';
+import { getLunaUsage, getFriendlyErrorMessage } from '../services/claudeAPI';
+import {
+  SUPPORTED_CURRENCIES, getDefaultCurrency, getExchangeRates, setExchangeRate, resetExchangeRates
+} from '../utils/currency';
+import { parseDataArchive, listArchiveDreams } from '../utils/dataArchive';
+import { JOURNEY_REPORT_SECTIONS, JOURNEY_REPORT_SECTION_IDS } from '../utils/journeyReport';
+import { useAbortOnUnmount } from '../hooks/useAbortOnUnmount';
 
 /**
  * Settings - Account and preference management
@@ -18,6 +26,7 @@ import { generateAIPoweredPDF } from '../services/pdfExportService';
 const Settings = ({ onBack }) => {
   const { user, signOut } = useAuth();
   const { profile } = useProfile();
+  const getSignal = useAbortOnUnmount();
   const [activeSection, setActiveSection] = useState(null);
   const [loading, setLoading] = useState(false);
 
@@ -46,6 +55,12 @@ const Settings = ({ onBack }) => {
   // Delete account state
   const [deleteConfirmText, setDeleteConfirmText] = useState('');
 
+  // Data archive import state
+  const archiveInputRef = useRef(null);
+  const [importArchive, setImportArchive] = useState(null);
+  const [importError, setImportError] = useState('');
+  const [reportError, setReportError] = useState('');
+
   // Load notification preferences from localStorage
   useEffect(() => {
     if (user?.id) {
@@ -104,41 +119,79 @@ const Settings = ({ onBack }) => {
     }
   };
 
-  const handleExportData = async () => {
+  const handleGenerateReport = async ({ roadmapIds, sections, includeNarrative }) => {
     setLoading(true);
-    setPasswordError('');
-    setPasswordSuccess('');
+    setReportError('');
 
     try {
-      console.log('📊 Generating AI-powered PDF report...');
-
-      // Get all user data
-      const { data: dreams } = await getUserRoadmaps();
-
-      // Prepare data for PDF generation
-      const userData = {
-        user: user,
-        dreams: dreams || [],
+      const result = await generateJourneyReport({
+        user,
         user_profile: profile,
-      };
+        roadmapIds,
+        sections,
+        includeNarrative,
+        signal: getSignal(),
+      });
 
-      // Generate AI-powered PDF
-      const result = await generateAIPoweredPDF(userData);
+      setActiveSection(null);
+      setPasswordSuccess(result.narrative === 'unavailable'
+        ? `Report "${result.fileName}" downloaded. Luna's narrative was unavailable, so it was left out.`
+        : `Report "${result.fileName}" downloaded successfully!`);
+      setTimeout(() => setPasswordSuccess(''), 5000);
+    } catch (error) {
+      console.error('Report error:', error);
+      setReportError(error.message || 'Failed to generate report. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Show success message
-      setPasswordSuccess(`AI-powered report "${result.fileName}" downloaded successfully!`);
+  const handleDownloadArchive = async () => {
+    setLoading(true);
+    setPasswordError('');
+    setPasswordSuccess('');
+
+    try {
+      const { fileName } = await downloadDataArchive();
+      setPasswordSuccess(`Your data archive "${fileName}" downloaded successfully!`);
       setTimeout(() => setPasswordSuccess(''), 4000);
     } catch (error) {
-      console.error('Export error:', error);
+      console.error('Data archive export error:', error);
+      setPasswordError('Failed to export your data. Please try again.');
+      setTimeout(() => setPasswordError(''), 4000);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Check if it's a Claude API error
-      if (error.message?.includes('Claude') || error.message?.includes('API')) {
-        setPasswordError('AI analysis temporarily unavailable. Please try again in a moment.');
-      } else {
-        setPasswordError('Failed to generate report. Please try again.');
-      }
+  const handleArchiveFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
 
+    try {
+      setImportArchive(parseDataArchive(await file.text()));
+      setImportError('');
+      setActiveSection('import');
+    } catch (error) {
+      setPasswordError(error.message);
       setTimeout(() => setPasswordError(''), 4000);
+    }
+  };
+
+  const handleImportArchive = async (roadmapId) => {
+    setLoading(true);
+    setImportError('');
+
+    try {
+      const { roadmapIds } = await importDataArchive(importArchive, { roadmapId });
+      setImportArchive(null);
+      setActiveSection(null);
+      setPasswordSuccess(`Imported ${roadmapIds.length} ${roadmapIds.length === 1 ? 'dream' : 'dreams'} into your account.`);
+      setTimeout(() => setPasswordSuccess(''), 4000);
+    } catch (error) {
+      console.error('Data archive import error:', error);
+      setImportError(error.message || 'Failed to import your data. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -290,6 +343,26 @@ const Settings = ({ onBack }) => {
               />
             </SettingsCard>
 
+            {/* Luna */}
+            <SettingsCard title="Luna">
+              <SettingItem
+                icon={Sparkles}
+                title="Luna Usage"
+                description="See how much you've used Luna this month"
+                onClick={() => setActiveSection('lunaUsage')}
+              />
+            </SettingsCard>
+
+            {/* Currency */}
+            <SettingsCard title="Currency">
+              <SettingItem
+                icon={Coins}
+                title="Currency & Exchange Rates"
+                description={`New dreams and expenses use ${getDefaultCurrency()}`}
+                onClick={() => setActiveSection('currency')}
+              />
+            </SettingsCard>
+
             {/* Privacy & Security */}
             <SettingsCard title="Privacy & Security">
               <SettingItem
@@ -308,8 +381,21 @@ const Settings = ({ onBack }) => {
               <SettingItem
                 icon={Download}
                 title="Generate Journey Report"
-                description="AI-powered PDF report with insights and recommendations"
-                onClick={handleExportData}
+                description="PDF report of the dreams and sections you choose"
+                onClick={() => setActiveSection('report')}
+              />
+              <SettingItem
+                icon={FileJson}
+                title="Download My Data"
+                description="Everything in a JSON archive you can keep or import elsewhere"
+                onClick={handleDownloadArchive}
+                loading={loading}
+              />
+              <SettingItem
+                icon={Upload}
+                title="Import Data"
+                description="Restore a data archive, or one dream from it, into this account"
+                onClick={() => archiveInputRef.current?.click()}
                 loading={loading}
               />
               <SettingItem
@@ -321,6 +407,14 @@ const Settings = ({ onBack }) => {
               />
             </SettingsCard>
 
+            <input
+              ref={archiveInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleArchiveFile}
+              className="hidden"
+            />
+
             {/* Global Messages */}
             <AnimatePresence>
               {passwordSuccess && (
@@ -412,6 +506,52 @@ const Settings = ({ onBack }) => {
           )}
         </AnimatePresence>
 
+        {/* Luna Usage Section */}
+        <AnimatePresence>
+          {activeSection === 'lunaUsage' && (
+            <LunaUsageSection onBack={() => setActiveSection(null)} />
+          )}
+        </AnimatePresence>
+
+        {/* Currency Section */}
+        <AnimatePresence>
+          {activeSection === 'currency' && (
+            <CurrencySection userId={user?.id} onBack={() => setActiveSection(null)} />
+          )}
+        </AnimatePresence>
+
+        {/* Journey Report Section */}
+        <AnimatePresence>
+          {activeSection === 'report' && (
+            <JourneyReportSection
+              loading={loading}
+              error={reportError}
+              onGenerate={handleGenerateReport}
+              onBack={() => {
+                setActiveSection(null);
+                setReportError('');
+              }}
+            />
+          )}
+        </AnimatePresence>
+
+        {/* Data Import Section */}
+        <AnimatePresence>
+          {activeSection === 'import' && importArchive && (
+            <ImportDataSection
+              archive={importArchive}
+              loading={loading}
+              error={importError}
+              onImport={handleImportArchive}
+              onBack={() => {
+                setActiveSection(null);
+                setImportArchive(null);
+                setImportError('');
+              }}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Delete Account Section */}
         <AnimatePresence>
           {activeSection === 'delete' && (
@@ -420,6 +560,7 @@ const Settings = ({ onBack }) => {
               setDeleteConfirmText={setDeleteConfirmText}
               loading={loading}
               onDelete={handleDeleteAccount}
+              onExport={handleDownloadArchive}
               onBack={() => {
                 setActiveSection(null);
                 setDeleteConfirmText('');
@@ -761,6 +902,376 @@ const NotificationsSection = ({ notifications, onToggle, onBack }) => (
   </motion.div>
 );
 
+// Friendly names for prompt profiles (server/prompts); unknown ids are shown as-is
+const LUNA_FEATURE_LABELS = {
+  'luna-planner': 'Dream planning',
+  'luna-greeting': 'Greetings',
+  'luna-onboarding': 'Onboarding',
+  'luna-deep-dive': 'Deep dives',
+  'luna-overview': 'Milestone chat',
+  'luna-optimizer': 'Goal optimization',
+  'conversation-extraction': 'Conversation summaries',
+  'roadmap-json': 'Roadmap generation',
+  'roadmap-architect': 'Roadmap generation',
+  'deep-dive-insights': 'Milestone insights',
+  'milestone-challenges': 'Milestone insights',
+  'milestone-action-steps': 'Milestone insights',
+  'assessment-questions': 'Compatibility assessment',
+  'assessment-analysis': 'Compatibility assessment',
+  'assessment-follow-up': 'Compatibility assessment',
+  'couple-assessment': 'Compatibility assessment',
+  'pdf-narrative': 'PDF reports',
+};
+
+const formatTokens = (tokens) => new Intl.NumberFormat(undefined, {
+  notation: tokens >= 10000 ? 'compact' : 'standard',
+  maximumFractionDigits: 1
+}).format(tokens);
+
+const LunaUsageSection = ({ onBack }) => {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getLunaUsage()
+      .then(data => { if (!cancelled) setUsage(data); })
+      .catch(err => {
+        console.error('Failed to load Luna usage:', err);
+        if (!cancelled) setError(getFriendlyErrorMessage(err, 'Could not load your Luna usage. Please try again later.'));
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Group prompt profiles under their friendly feature name
+  const features = Object.values((usage?.byFeature || []).reduce((groups, item) => {
+    const label = LUNA_FEATURE_LABELS[item.feature] || item.feature;
+    const group = groups[label] || { label, calls: 0, tokens: 0 };
+    group.calls += item.calls;
+    group.tokens += item.tokens;
+    groups[label] = group;
+    return groups;
+  }, {})).sort((a, b) => b.tokens - a.tokens);
+
+  const limit = usage?.monthlyTokenLimit;
+  const hasLimit = typeof limit === 'number' && limit > 0;
+  const percentUsed = hasLimit ? Math.min(100, Math.round((usage.totals.tokens / limit) * 100)) : 0;
+  const resetDate = usage && new Date(usage.resetAt).toLocaleDateString(undefined, { month: 'long', day: 'numeric' });
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className="rounded-2xl p-8"
+      style={{
+        background: '#FFFFFF',
+        border: '1px solid #e8e4de',
+        boxShadow: '0 4px 12px rgba(45, 41, 38, 0.06)',
+      }}
+    >
+      <button
+        onClick={onBack}
+        className="mb-6 flex items-center gap-2 font-medium transition-colors"
+        style={{ color: '#c49a6c' }}
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Back to Settings
+      </button>
+
+      <h2
+        className="text-2xl font-normal italic mb-6"
+        style={{
+          fontFamily: "'Playfair Display', serif",
+          color: '#2d2926',
+        }}
+      >
+        Luna Usage
+      </h2>
+
+      {error && (
+        <div
+          className="flex items-center gap-3 p-4 rounded-xl"
+          style={{
+            backgroundColor: 'rgba(196, 107, 107, 0.1)',
+            border: '1px solid rgba(196, 107, 107, 0.3)',
+          }}
+        >
+          <AlertTriangle className="w-5 h-5" style={{ color: '#c76b6b' }} />
+          <p className="text-sm font-medium" style={{ color: '#c76b6b' }}>
+            {error}
+          </p>
+        </div>
+      )}
+
+      {!usage && !error && (
+        <div className="flex items-center gap-3 py-6" style={{ color: '#6b635b' }}>
+          <Loader2 className="w-5 h-5 animate-spin" style={{ color: '#c49a6c' }} />
+          <span className="text-sm">Loading your usage...</span>
+        </div>
+      )}
+
+      {usage && (
+        <div className="space-y-6">
+          <div
+            className="p-5 rounded-xl"
+            style={{
+              backgroundColor: '#faf8f5',
+              border: '1px solid #e8e4de',
+            }}
+          >
+            <div className="flex items-baseline justify-between mb-1">
+              <p className="font-semibold text-sm" style={{ color: '#2d2926' }}>
+                This month
+              </p>
+              <span
+                className="text-xs font-semibold px-2 py-0.5 rounded-full"
+                style={{ backgroundColor: 'rgba(196, 154, 108, 0.15)', color: '#c49a6c' }}
+              >
+                {usage.tier === 'PRO' ? 'Pro' : 'Free'}
+              </span>
+            </div>
+            <p className="text-3xl font-semibold mb-1" style={{ color: '#2d2926' }}>
+              {formatTokens(usage.totals.tokens)}
+              <span className="text-sm font-normal ml-2" style={{ color: '#6b635b' }}>
+                {hasLimit ? `of ${formatTokens(limit)} tokens` : 'tokens'}
+              </span>
+            </p>
+            <p className="text-xs" style={{ color: '#6b635b' }}>
+              {usage.totals.calls} Luna {usage.totals.calls === 1 ? 'request' : 'requests'}
+              {hasLimit ? ` · resets ${resetDate}` : ' · unlimited on your plan'}
+            </p>
+            {hasLimit && (
+              <div className="mt-4 h-2 rounded-full overflow-hidden" style={{ backgroundColor: '#e8e4de' }}>
+                <div
+                  className="h-full rounded-full"
+                  style={{
+                    width: `${percentUsed}%`,
+                    backgroundColor: percentUsed >= 90 ? '#c76b6b' : '#c49a6c',
+                  }}
+                />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <p className="font-semibold text-sm mb-3" style={{ color: '#2d2926' }}>
+              By feature
+            </p>
+            {features.length === 0 ? (
+              <p className="text-sm" style={{ color: '#6b635b' }}>
+                You haven't used Luna yet this month.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {features.map(feature => (
+                  <div
+                    key={feature.label}
+                    className="flex items-center justify-between p-4 rounded-xl"
+                    style={{
+                      backgroundColor: '#faf8f5',
+                      border: '1px solid #e8e4de',
+                    }}
+                  >
+                    <div>
+                      <p className="font-semibold text-sm mb-0.5" style={{ color: '#2d2926' }}>
+                        {feature.label}
+                      </p>
+                      <p className="text-xs" style={{ color: '#6b635b' }}>
+                        {feature.calls} {feature.calls === 1 ? 'request' : 'requests'}
+                      </p>
+                    </div>
+                    <p className="text-sm font-semibold" style={{ color: '#2d2926' }}>
+                      {formatTokens(feature.tokens)} tokens
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {usage.tier !== 'PRO' && usage.proOnlyFeatures?.length > 0 && (
+            <div
+              className="p-4 rounded-xl text-sm"
+              style={{
+                backgroundColor: 'rgba(196, 154, 108, 0.08)',
+                color: '#6b635b',
+              }}
+            >
+              <strong style={{ color: '#c49a6c' }}>Pro:</strong> AI-powered{' '}
+              {usage.proOnlyFeatures.map(id => (LUNA_FEATURE_LABELS[id] || id).toLowerCase()).join(', ')}{' '}
+              {usage.proOnlyFeatures.length === 1 ? 'is' : 'are'} included with Pro.
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+const CurrencySection = ({ userId, onBack }) => {
+  const [currency, setCurrency] = useState(getDefaultCurrency());
+  const [rates, setRates] = useState(getExchangeRates());
+  const [drafts, setDrafts] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCurrencyChange = async (code) => {
+    const previous = currency;
+    setCurrency(code);
+    setSaving(true);
+    setError('');
+    const { error: saveError } = await updateDefaultCurrency(userId, code);
+    setSaving(false);
+    if (saveError) {
+      console.error('Failed to save default currency:', saveError);
+      setCurrency(previous);
+      setError('Could not save your currency. Please try again.');
+    }
+  };
+
+  const handleRateBlur = (code) => {
+    if (drafts[code] === undefined) return;
+    try {
+      setRates(setExchangeRate(code, drafts[code]));
+      setError('');
+    } catch (err) {
+      setError(`Enter a positive rate for ${code}.`);
+    }
+    setDrafts(prev => {
+      const { [code]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleReset = () => {
+    setRates(resetExchangeRates());
+    setDrafts({});
+    setError('');
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className="rounded-2xl p-8"
+      style={{
+        background: '#FFFFFF',
+        border: '1px solid #e8e4de',
+        boxShadow: '0 4px 12px rgba(45, 41, 38, 0.06)',
+      }}
+    >
+      <button
+        onClick={onBack}
+        className="mb-6 flex items-center gap-2 font-medium transition-colors"
+        style={{ color: '#c49a6c' }}
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Back to Settings
+      </button>
+
+      <h2
+        className="text-2xl font-normal italic mb-6"
+        style={{
+          fontFamily: "'Playfair Display', serif",
+          color: '#2d2926',
+        }}
+      >
+        Currency
+      </h2>
+
+      {error && (
+        <div
+          className="flex items-center gap-3 p-4 rounded-xl mb-6"
+          style={{
+            backgroundColor: 'rgba(196, 107, 107, 0.1)',
+            border: '1px solid rgba(196, 107, 107, 0.3)',
+          }}
+        >
+          <AlertTriangle className="w-5 h-5" style={{ color: '#c76b6b' }} />
+          <p className="text-sm font-medium" style={{ color: '#c76b6b' }}>
+            {error}
+          </p>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        <div>
+          <label className="block font-semibold text-sm mb-2" style={{ color: '#2d2926' }}>
+            Default currency
+          </label>
+          <div className="flex items-center gap-3">
+            <select
+              value={currency}
+              onChange={(e) => handleCurrencyChange(e.target.value)}
+              disabled={saving}
+              className="flex-1 px-4 py-3 rounded-xl text-sm focus:outline-none disabled:opacity-50"
+              style={{
+                backgroundColor: '#faf8f5',
+                border: '1px solid #e8e4de',
+                color: '#2d2926',
+              }}
+            >
+              {SUPPORTED_CURRENCIES.map(c => (
+                <option key={c.code} value={c.code}>
+                  {c.code} - {c.name}
+                </option>
+              ))}
+            </select>
+            {saving && <Loader2 className="w-5 h-5 animate-spin" style={{ color: '#c49a6c' }} />}
+          </div>
+          <p className="text-xs mt-2" style={{ color: '#6b635b' }}>
+            Used for new dreams and expenses. Existing ones keep their currency.
+          </p>
+        </div>
+
+        <div>
+          <div className="flex items-baseline justify-between mb-3">
+            <p className="font-semibold text-sm" style={{ color: '#2d2926' }}>
+              Exchange rates (per 1 EUR)
+            </p>
+            <button
+              onClick={handleReset}
+              className="text-xs font-medium"
+              style={{ color: '#c49a6c' }}
+            >
+              Reset to defaults
+            </button>
+          </div>
+          <p className="text-xs mb-3" style={{ color: '#6b635b' }}>
+            Budget totals convert expenses in other currencies with these rates. They stay on this device.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            {SUPPORTED_CURRENCIES.filter(c => c.code !== 'EUR').map(c => (
+              <label
+                key={c.code}
+                className="flex items-center justify-between gap-3 px-4 py-3 rounded-xl"
+                style={{
+                  backgroundColor: '#faf8f5',
+                  border: '1px solid #e8e4de',
+                }}
+              >
+                <span className="text-sm font-semibold" style={{ color: '#2d2926' }}>{c.code}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={drafts[c.code] ?? rates[c.code] ?? ''}
+                  onChange={(e) => setDrafts(prev => ({ ...prev, [c.code]: e.target.value }))}
+                  onBlur={() => handleRateBlur(c.code)}
+                  className="w-24 bg-transparent text-right text-sm focus:outline-none"
+                  style={{ color: '#2d2926' }}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
 const ToggleSetting = ({ label, description, checked, onChange }) => (
   <div
     className="flex items-center justify-between p-4 rounded-xl"
@@ -796,7 +1307,296 @@ const ToggleSetting = ({ label, description, checked, onChange }) => (
   </div>
 );
 
-const DeleteAccountSection = ({ deleteConfirmText, setDeleteConfirmText, loading, onDelete, onBack }) => (
+const ImportDataSection = ({ archive, loading, error, onImport, onBack }) => {
+  const [selection, setSelection] = useState('all');
+  const dreams = listArchiveDreams(archive);
+  const assessments = archive.counts.assessment_sessions;
+
+  const options = [
+    {
+      value: 'all',
+      label: 'Everything',
+      description: `${dreams.length} ${dreams.length === 1 ? 'dream' : 'dreams'}, ${assessments} ${assessments === 1 ? 'assessment' : 'assessments'} and your notification preferences`
+    },
+    ...dreams.map(dream => ({
+      value: dream.id,
+      label: dream.title || 'Untitled dream',
+      description: `${dream.milestones} ${dream.milestones === 1 ? 'milestone' : 'milestones'}, ${dream.tasks} ${dream.tasks === 1 ? 'task' : 'tasks'}`
+    }))
+  ];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className="rounded-2xl p-8"
+      style={{
+        background: '#FFFFFF',
+        border: '1px solid #e8e4de',
+        boxShadow: '0 4px 12px rgba(45, 41, 38, 0.06)',
+      }}
+    >
+      <button
+        onClick={onBack}
+        className="mb-6 flex items-center gap-2 font-medium transition-colors"
+        style={{ color: '#c49a6c' }}
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Back to Settings
+      </button>
+
+      <h2
+        className="text-2xl font-normal italic mb-2"
+        style={{
+          fontFamily: "'Playfair Display', serif",
+          color: '#2d2926',
+        }}
+      >
+        Import Data
+      </h2>
+      <p className="text-sm mb-6" style={{ color: '#6b635b' }}>
+        Exported {new Date(archive.exported_at).toLocaleDateString()}
+        {archive.account?.email ? ` from ${archive.account.email}` : ''}.
+        Imported dreams are added next to your current ones as new copies.
+      </p>
+
+      {error && (
+        <div
+          className="flex items-center gap-3 p-4 rounded-xl mb-6"
+          style={{
+            backgroundColor: 'rgba(196, 107, 107, 0.1)',
+            border: '1px solid rgba(196, 107, 107, 0.3)',
+          }}
+        >
+          <AlertTriangle className="w-5 h-5" style={{ color: '#c76b6b' }} />
+          <p className="text-sm font-medium" style={{ color: '#c76b6b' }}>
+            {error}
+          </p>
+        </div>
+      )}
+
+      <div className="space-y-2 mb-6">
+        {options.map(option => (
+          <label
+            key={option.value}
+            className="flex items-start gap-3 p-4 rounded-xl cursor-pointer"
+            style={{
+              backgroundColor: selection === option.value ? 'rgba(196, 154, 108, 0.08)' : '#faf8f5',
+              border: `1px solid ${selection === option.value ? '#c49a6c' : '#e8e4de'}`,
+            }}
+          >
+            <input
+              type="radio"
+              name="import-selection"
+              value={option.value}
+              checked={selection === option.value}
+              onChange={() => setSelection(option.value)}
+              className="mt-1"
+            />
+            <div>
+              <p className="font-semibold text-sm" style={{ color: '#2d2926' }}>{option.label}</p>
+              <p className="text-xs" style={{ color: '#6b635b' }}>{option.description}</p>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <motion.button
+        whileHover={{ scale: 1.01, y: -2 }}
+        whileTap={{ scale: 0.98 }}
+        onClick={() => onImport(selection === 'all' ? null : selection)}
+        disabled={loading}
+        className="w-full py-3.5 rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+        style={{
+          backgroundColor: '#c49a6c',
+          color: 'white',
+          boxShadow: '0 4px 12px rgba(196, 154, 108, 0.3)',
+        }}
+      >
+        {loading ? (
+          <span className="flex items-center justify-center gap-2">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            Importing...
+          </span>
+        ) : (
+          'Import'
+        )}
+      </motion.button>
+    </motion.div>
+  );
+};
+
+const JourneyReportSection = ({ loading, error, onGenerate, onBack }) => {
+  const [dreams, setDreams] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [selectedDreams, setSelectedDreams] = useState([]);
+  const [sections, setSections] = useState(JOURNEY_REPORT_SECTION_IDS);
+  const [includeNarrative, setIncludeNarrative] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getUserRoadmaps().then(({ data, error: dreamsError }) => {
+      if (cancelled) return;
+      if (dreamsError) {
+        setLoadError('Could not load your dreams. Please try again.');
+        return;
+      }
+      setDreams(data || []);
+      setSelectedDreams((data || []).map(dream => dream.id));
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const toggle = (list, setList, value) => {
+    setList(list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+  };
+
+  const options = (items, selected, onToggle) => (
+    <div className="space-y-2 mb-6">
+      {items.map(item => (
+        <label
+          key={item.value}
+          className="flex items-start gap-3 p-4 rounded-xl cursor-pointer"
+          style={{
+            backgroundColor: selected.includes(item.value) ? 'rgba(196, 154, 108, 0.08)' : '#faf8f5',
+            border: `1px solid ${selected.includes(item.value) ? '#c49a6c' : '#e8e4de'}`,
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={selected.includes(item.value)}
+            onChange={() => onToggle(item.value)}
+            className="mt-1"
+          />
+          <div>
+            <p className="font-semibold text-sm" style={{ color: '#2d2926' }}>{item.label}</p>
+            {item.description && (
+              <p className="text-xs" style={{ color: '#6b635b' }}>{item.description}</p>
+            )}
+          </div>
+        </label>
+      ))}
+    </div>
+  );
+
+  // Report dreams in the order they're listed
+  const roadmapIds = (dreams || []).map(dream => dream.id).filter(id => selectedDreams.includes(id));
+  const shownError = error || loadError;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className="rounded-2xl p-8"
+      style={{
+        background: '#FFFFFF',
+        border: '1px solid #e8e4de',
+        boxShadow: '0 4px 12px rgba(45, 41, 38, 0.06)',
+      }}
+    >
+      <button
+        onClick={onBack}
+        className="mb-6 flex items-center gap-2 font-medium transition-colors"
+        style={{ color: '#c49a6c' }}
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Back to Settings
+      </button>
+
+      <h2
+        className="text-2xl font-normal italic mb-2"
+        style={{
+          fontFamily: "'Playfair Display', serif",
+          color: '#2d2926',
+        }}
+      >
+        Journey Report
+      </h2>
+      <p className="text-sm mb-6" style={{ color: '#6b635b' }}>
+        A PDF made from your plans as they are today. It works offline from Luna;
+        her narrative can be added on top.
+      </p>
+
+      {shownError && (
+        <div
+          className="flex items-center gap-3 p-4 rounded-xl mb-6"
+          style={{
+            backgroundColor: 'rgba(196, 107, 107, 0.1)',
+            border: '1px solid rgba(196, 107, 107, 0.3)',
+          }}
+        >
+          <AlertTriangle className="w-5 h-5" style={{ color: '#c76b6b' }} />
+          <p className="text-sm font-medium" style={{ color: '#c76b6b' }}>
+            {shownError}
+          </p>
+        </div>
+      )}
+
+      <h3 className="text-sm font-semibold mb-3" style={{ color: '#2d2926' }}>Dreams</h3>
+      {dreams === null && !loadError ? (
+        <div className="flex items-center gap-2 mb-6 text-sm" style={{ color: '#6b635b' }}>
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading your dreams...
+        </div>
+      ) : dreams?.length === 0 ? (
+        <p className="text-sm mb-6" style={{ color: '#6b635b' }}>No dreams yet.</p>
+      ) : (
+        options(
+          (dreams || []).map(dream => ({ value: dream.id, label: dream.title || 'Untitled dream' })),
+          selectedDreams,
+          value => toggle(selectedDreams, setSelectedDreams, value)
+        )
+      )}
+
+      <h3 className="text-sm font-semibold mb-3" style={{ color: '#2d2926' }}>Sections</h3>
+      {options(
+        JOURNEY_REPORT_SECTIONS.map(section => ({ value: section.id, label: section.label, description: section.description })),
+        sections,
+        value => toggle(sections, setSections, value)
+      )}
+
+      {options(
+        [{
+          value: 'narrative',
+          label: "Add Luna's narrative",
+          description: 'A written summary and recommendations. Uses Luna; left out if she is unavailable.'
+        }],
+        includeNarrative ? ['narrative'] : [],
+        () => setIncludeNarrative(!includeNarrative)
+      )}
+
+      <motion.button
+        whileHover={{ scale: 1.01, y: -2 }}
+        whileTap={{ scale: 0.98 }}
+        onClick={() => onGenerate({
+          roadmapIds,
+          sections: JOURNEY_REPORT_SECTION_IDS.filter(id => sections.includes(id)),
+          includeNarrative,
+        })}
+        disabled={loading || roadmapIds.length === 0 || sections.length === 0}
+        className="w-full py-3.5 rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+        style={{
+          backgroundColor: '#c49a6c',
+          color: 'white',
+          boxShadow: '0 4px 12px rgba(196, 154, 108, 0.3)',
+        }}
+      >
+        {loading ? (
+          <span className="flex items-center justify-center gap-2">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            Generating...
+          </span>
+        ) : (
+          'Generate PDF'
+        )}
+      </motion.button>
+    </motion.div>
+  );
+};
+
+const DeleteAccountSection = ({ deleteConfirmText, setDeleteConfirmText, loading, onDelete, onExport, onBack }) => (
   <motion.div
     initial={{ opacity: 0, x: 20 }}
     animate={{ opacity: 1, x: 0 }}
@@ -854,6 +1654,15 @@ const DeleteAccountSection = ({ deleteConfirmText, setDeleteConfirmText, loading
           <span>Your account data will be permanently removed</span>
         </li>
       </ul>
+      <button
+        onClick={onExport}
+        disabled={loading}
+        className="mt-4 flex items-center gap-2 text-sm font-semibold disabled:opacity-50"
+        style={{ color: '#c49a6c' }}
+      >
+        <FileJson className="w-4 h-4" />
+        Download your data first
+      </button>
     </div>
 
     <div className="mb-6">
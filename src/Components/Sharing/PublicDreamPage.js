@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Heart, Check, Circle, AlertCircle, Loader2, Eye, Calendar, Wallet } from 'lucide-react';
+import { getPublicDream } from '../../services/supabaseService';
+import { summarizePublicDream, PUBLIC_DREAM_PATH } from '../../utils/publicDream';
+import { formatCurrency } from '../../utils/currency';
+
+const formatDate = (value) => (
+  value ? new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) : null
+);
+
+const ProgressBar = ({ percent, color = 'bg-amber-500' }) => (
+  <div className="h-2 bg-stone-100 rounded-full overflow-hidden">
+    <div className={`h-full ${color} rounded-full`} style={{ width: `${Math.min(100, Math.max(0, percent || 0))}%` }} />
+  </div>
+);
+
+/**
+ * PublicDreamPage - Read-only view of a dream through a public link
+ * Route: /shared/:token (no account needed)
+ */
+const PublicDreamPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Extract token from URL path since we use custom routing (not React Router's Route params)
+  const token = location.pathname.split(PUBLIC_DREAM_PATH)[1] || '';
+
+  const [status, setStatus] = useState('loading'); // 'loading', 'ready', 'unavailable'
+  const [dream, setDream] = useState(null);
+
+  useEffect(() => {
+    if (!token) {
+      navigate('/');
+      return undefined;
+    }
+
+    let cancelled = false;
+    setStatus('loading');
+    getPublicDream(token).then(({ data }) => {
+      if (cancelled) return;
+      setDream(data);
+      setStatus(data ? 'ready' : 'unavailable');
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, navigate]);
+
+  const summary = useMemo(() => (dream ? summarizePublicDream(dream) : null), [dream]);
+  const roadmap = dream?.roadmap || {};
+  const link = dream?.link || {};
+  const names = [roadmap.partner1_name, roadmap.partner2_name].filter(Boolean).join(' & ');
+
+  return (
+    <div className="min-h-screen bg-[#FDFCF8] py-10 px-4">
+      <div className="max-w-2xl mx-auto space-y-6">
+        {status === 'loading' && (
+          <div className="bg-white rounded-3xl shadow-xl p-12 text-center">
+            <Loader2 className="w-12 h-12 text-amber-500 animate-spin mx-auto mb-4" />
+            <p className="text-stone-600">Loading the dream...</p>
+          </div>
+        )}
+
+        {status === 'unavailable' && (
+          <div className="bg-white rounded-3xl shadow-xl p-10 text-center">
+            <div className="w-16 h-16 bg-red-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
+              <AlertCircle className="w-8 h-8 text-red-600" />
+            </div>
+            <h2 className="text-xl font-semibold text-stone-800 mb-2">This link isn't available</h2>
+            <p className="text-stone-600 text-sm mb-6">
+              It may have expired or been turned off by the dream's owners.
+              Ask them for a new link.
+            </p>
+            <button
+              onClick={() => navigate('/')}
+              className="px-6 py-3 bg-stone-900 text-white rounded-xl font-medium hover:bg-stone-800 transition-colors"
+            >
+              Go to TwogetherForward
+            </button>
+          </div>
+        )}
+
+        {status === 'ready' && summary && (
+          <>
+            {/* Header */}
+            <div className="bg-white rounded-3xl shadow-xl overflow-hidden">
+              <div className="bg-gradient-to-br from-amber-500 to-orange-500 p-8 text-white">
+                <div className="flex items-center gap-2 text-white/80 text-xs font-medium uppercase tracking-wide mb-3">
+                  <Eye className="w-4 h-4" />
+                  Read-only view
+                </div>
+                <h1 className="text-2xl font-bold mb-1">{roadmap.title || 'Our Dream'}</h1>
+                {names && (
+                  <p className="text-white/80 text-sm flex items-center gap-1.5">
+                    <Heart className="w-4 h-4" />
+                    {names}
+                  </p>
+                )}
+              </div>
+              <div className="p-6">
+                <div className="flex items-center justify-between text-sm mb-2">
+                  <span className="text-stone-600">
+                    {summary.progress.completed} of {summary.progress.total} milestones done
+                  </span>
+                  <span className="font-semibold text-stone-800">{summary.progress.percentage}%</span>
+                </div>
+                <ProgressBar percent={summary.progress.percentage} />
+              </div>
+            </div>
+
+            {/* Budget */}
+            {summary.budget && (
+              <div className="bg-white rounded-2xl shadow-sm border border-stone-100 p-6">
+                <h2 className="font-semibold text-stone-800 flex items-center gap-2 mb-4">
+                  <Wallet className="w-5 h-5 text-amber-600" />
+                  Budget
+                </h2>
+                <div className="grid grid-cols-3 gap-3 text-center">
+                  <div className="bg-stone-50 rounded-xl p-3">
+                    <p className="text-xs text-stone-500 mb-1">Budget</p>
+                    <p className="font-semibold text-stone-800">{formatCurrency(summary.budget.total_budget, summary.budget.currency)}</p>
+                  </div>
+                  <div className="bg-stone-50 rounded-xl p-3">
+                    <p className="text-xs text-stone-500 mb-1">Spent</p>
+                    <p className="font-semibold text-stone-800">{formatCurrency(summary.budget.total_expenses, summary.budget.currency)}</p>
+                  </div>
+                  <div className="bg-stone-50 rounded-xl p-3">
+                    <p className="text-xs text-stone-500 mb-1">Remaining</p>
+                    <p className="font-semibold text-stone-800">{formatCurrency(summary.budget.remaining_budget, summary.budget.currency)}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Milestones */}
+            <div className="space-y-4">
+              {summary.milestones.map(milestone => (
+                <div key={milestone.id} className="bg-white rounded-2xl shadow-sm border border-stone-100 p-6">
+                  <div className="flex items-start justify-between gap-4 mb-3">
+                    <div>
+                      <h3 className="font-semibold text-stone-800 flex items-center gap-2">
+                        {milestone.completed && <Check className="w-4 h-4 text-green-600" />}
+                        {milestone.title}
+                      </h3>
+                      {milestone.target_date && (
+                        <p className="text-xs text-stone-500 flex items-center gap-1 mt-1">
+                          <Calendar className="w-3.5 h-3.5" />
+                          {formatDate(milestone.target_date)}
+                        </p>
+                      )}
+                    </div>
+                    <span className="text-sm font-semibold text-stone-700">{milestone.progress.percentage}%</span>
+                  </div>
+
+                  {milestone.description && (
+                    <p className="text-sm text-stone-600 mb-3">{milestone.description}</p>
+                  )}
+
+                  <ProgressBar
+                    percent={milestone.progress.percentage}
+                    color={milestone.completed ? 'bg-green-500' : 'bg-amber-500'}
+                  />
+
+                  {milestone.tasks.length > 0 && (
+                    <ul className="mt-4 space-y-1.5">
+                      {milestone.tasks.map((task, index) => (
+                        <li key={index} className="flex items-center gap-2 text-sm">
+                          {task.completed
+                            ? <Check className="w-4 h-4 text-green-500 flex-shrink-0" />
+                            : <Circle className="w-4 h-4 text-stone-300 flex-shrink-0" />}
+                          <span className={task.completed ? 'text-stone-400 line-through' : 'text-stone-700'}>
+                            {task.title}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {milestone.budget?.percent != null && (
+                    <div className="mt-4 pt-4 border-t border-stone-100">
+                      <div className="flex items-center justify-between text-xs text-stone-500 mb-1.5">
+                        <span>
+                          {link.show_amounts
+                            ? `${formatCurrency(milestone.budget.spent, milestone.budget.currency)} of ${formatCurrency(milestone.budget.budget, milestone.budget.currency)}`
+                            : 'Budget used'}
+                        </span>
+                        <span className={milestone.budget.percent > 100 ? 'text-red-600 font-medium' : ''}>
+                          {milestone.budget.percent}%
+                        </span>
+                      </div>
+                      <ProgressBar
+                        percent={milestone.budget.percent}
+                        color={milestone.budget.percent > 100 ? 'bg-red-500' : 'bg-emerald-500'}
+                      />
+                      {milestone.budget.otherCurrencies?.length > 0 && (
+                        <p className="mt-1.5 text-xs text-stone-400">
+                          Spending in {milestone.budget.otherCurrencies.join(', ')} isn't included
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <p className="text-xs text-stone-400 text-center">
+              Shared with a link that expires {formatDate(link.expires_at)} · TwogetherForward - Plan your future, together
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PublicDreamPage;
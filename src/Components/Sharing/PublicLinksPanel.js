@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Globe, Copy, Check, AlertCircle } from 'lucide-react';
+import {
+  createPublicDreamLink,
+  getPublicDreamLinks,
+  updatePublicDreamLink,
+  revokePublicDreamLink
+} from '../../services/supabaseService';
+import { PUBLIC_LINK_EXPIRY_OPTIONS, buildPublicDreamUrl, getPublicLinkStatus } from '../../utils/publicDream';
+
+const Toggle = ({ checked, onChange, disabled, label }) => (
+  <label className={`flex items-center gap-2 text-xs ${disabled ? 'text-stone-400' : 'text-stone-600'}`}>
+    <input
+      type="checkbox"
+      checked={checked}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.checked)}
+      className="rounded border-stone-300 text-amber-600 focus:ring-amber-500"
+    />
+    {label}
+  </label>
+);
+
+/**
+ * PublicLinksPanel - Read-only links to a dream that work without an account
+ * Each link expires; revoked and expired links stay listed so owners can see
+ * what was shared. The URL is only shown once, right after creating it.
+ */
+const PublicLinksPanel = ({ roadmapId }) => {
+  const [links, setLinks] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [label, setLabel] = useState('');
+  const [showBudget, setShowBudget] = useState(false);
+  const [showAmounts, setShowAmounts] = useState(false);
+  const [newLinkUrl, setNewLinkUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadLinks = useCallback(async () => {
+    if (!roadmapId) return;
+    const { data } = await getPublicDreamLinks(roadmapId);
+    if (data) setLinks(data);
+  }, [roadmapId]);
+
+  useEffect(() => {
+    loadLinks();
+  }, [loadLinks]);
+
+  const handleCreate = async () => {
+    setLoading(true);
+    setError('');
+    setNewLinkUrl('');
+
+    const { data, error: createError } = await createPublicDreamLink(roadmapId, {
+      expiresInDays,
+      showBudget,
+      showAmounts: showBudget && showAmounts,
+      label: label.trim() || null
+    });
+
+    if (createError || !data) {
+      setError(createError?.message || 'Failed to create link');
+    } else {
+      setNewLinkUrl(buildPublicDreamUrl(data.token));
+      setLabel('');
+      loadLinks();
+    }
+    setLoading(false);
+  };
+
+  const handleToggle = async (link, updates) => {
+    setError('');
+    const { error: updateError } = await updatePublicDreamLink(link.id, updates);
+    if (updateError) {
+      setError(updateError.message || 'Failed to update link');
+    } else {
+      loadLinks();
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    setError('');
+    const { error: revokeError } = await revokePublicDreamLink(linkId);
+    if (revokeError) {
+      setError(revokeError.message || 'Failed to revoke link');
+    } else {
+      loadLinks();
+    }
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const activeLinks = links.filter(link => getPublicLinkStatus(link) === 'active');
+  const inactiveLinks = links.filter(link => getPublicLinkStatus(link) !== 'active');
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-stone-600">
+        Anyone with a public link can view this dream without an account. They can't change anything.
+      </p>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-xl flex items-center gap-2 text-red-700 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {/* New link */}
+      <div className="space-y-3">
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="For (optional)"
+            maxLength={80}
+            className="px-4 py-3 border border-stone-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent text-sm"
+          />
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className="px-4 py-3 border border-stone-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent text-sm"
+          >
+            {PUBLIC_LINK_EXPIRY_OPTIONS.map(option => (
+              <option key={option.days} value={option.days}>Expires in {option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-4">
+          <Toggle checked={showBudget} onChange={setShowBudget} label="Show budget" />
+          <Toggle
+            checked={showBudget && showAmounts}
+            onChange={setShowAmounts}
+            disabled={!showBudget}
+            label="Show amounts"
+          />
+        </div>
+        <button
+          onClick={handleCreate}
+          disabled={loading || !roadmapId}
+          className="w-full py-3 bg-stone-900 text-white rounded-xl font-medium hover:bg-stone-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          {loading ? (
+            <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+          ) : (
+            <>
+              <Globe className="w-5 h-5" />
+              Create Public Link
+            </>
+          )}
+        </button>
+      </div>
+
+      {newLinkUrl && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <div className="flex-1 p-3 bg-stone-50 border border-stone-200 rounded-xl font-mono text-sm text-stone-700 truncate">
+              {newLinkUrl}
+            </div>
+            <button
+              onClick={() => copyToClipboard(newLinkUrl)}
+              className={`p-3 rounded-xl transition-all ${
+                copied
+                  ? 'bg-green-500 text-white'
+                  : 'bg-stone-900 text-white hover:bg-stone-800'
+              }`}
+            >
+              {copied ? <Check className="w-5 h-5" /> : <Copy className="w-5 h-5" />}
+            </button>
+          </div>
+          <p className="text-xs text-stone-500 text-center">
+            Copy it now - for safety the link can't be shown again.
+          </p>
+        </div>
+      )}
+
+      {/* Active links */}
+      {activeLinks.length > 0 && (
+        <div className="pt-4 border-t border-stone-200">
+          <h3 className="text-sm font-medium text-stone-700 mb-3">Public Links</h3>
+          <div className="space-y-2">
+            {activeLinks.map(link => (
+              <div key={link.id} className="p-3 bg-stone-50 rounded-xl space-y-2">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm text-stone-700 truncate">{link.label || 'Public link'}</p>
+                    <p className="text-xs text-stone-500">
+                      Expires {new Date(link.expires_at).toLocaleDateString()} · {link.view_count} {link.view_count === 1 ? 'view' : 'views'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(link.id)}
+                    className="text-xs text-red-600 hover:text-red-700 font-medium flex-shrink-0"
+                  >
+                    Revoke
+                  </button>
+                </div>
+                <div className="flex items-center gap-4">
+                  <Toggle
+                    checked={link.show_budget}
+                    onChange={(value) => handleToggle(link, { show_budget: value })}
+                    label="Show budget"
+                  />
+                  <Toggle
+                    checked={link.show_amounts}
+                    onChange={(value) => handleToggle(link, { show_amounts: value })}
+                    disabled={!link.show_budget}
+                    label="Show amounts"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Revocation list */}
+      {inactiveLinks.length > 0 && (
+        <div className="pt-4 border-t border-stone-200">
+          <h3 className="text-sm font-medium text-stone-700 mb-3">Revoked & Expired</h3>
+          <div className="space-y-1">
+            {inactiveLinks.map(link => (
+              <div key={link.id} className="flex items-center justify-between text-xs text-stone-500 px-3 py-1.5">
+                <span className="truncate">{link.label || 'Public link'}</span>
+                <span className="flex-shrink-0">
+                  {getPublicLinkStatus(link) === 'revoked'
+                    ? `Revoked ${new Date(link.revoked_at).toLocaleDateString()}`
+                    : `Expired ${new Date(link.expires_at).toLocaleDateString()}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublicLinksPanel;
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { X, Link2, Mail, Copy, Check, Send, Users, AlertCircle } from 'lucide-react';
-import { createDreamShareInvite, getDreamShareInfo, revokeDreamShare, sendPartnerInviteEmail } from '../../services/supabaseService';
+import { X, Link2, Mail, Copy, Check, Send, Users, AlertCircle, Globe } from 'lucide-react';
+import { createDreamShareInvite, getDreamShareInfo, revokeDreamShare, sendPartnerInviteEmail, updateShareRole } from '../../services/supabaseService';
 import { useAuth } from '../../context/AuthContext';
+import { SHARE_ROLES, SHARE_ROLE_OPTIONS, describeShareRole } from '../../utils/shareRoles';
+import PublicLinksPanel from './PublicLinksPanel';
 
 /**
  * ShareDreamModal - Modal for sharing a dream with a partner
- * Supports both email invites and shareable link/code
+ * Supports both email invites and shareable link/code. Each invite carries a
+ * role (co-owner, editor, commenter, viewer); each role gets its own link.
+ * Public links give a read-only view without an account.
  */
 const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
   const { user, profile } = useAuth();
-  const [activeTab, setActiveTab] = useState('link'); // 'link' or 'email'
+  const [activeTab, setActiveTab] = useState('link'); // 'link', 'email' or 'public'
   const [shareCode, setShareCode] = useState('');
   const [shareLink, setShareLink] = useState('');
   const [email, setEmail] = useState('');
@@ -20,6 +24,7 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
   const [success, setSuccess] = useState('');
   const [existingShares, setExistingShares] = useState([]);
   const [sendingEmail, setSendingEmail] = useState(false);
+  const [role, setRole] = useState(SHARE_ROLES.EDITOR);
 
   useEffect(() => {
     if (isOpen && roadmap?.id) {
@@ -27,16 +32,19 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
     }
   }, [isOpen, roadmap?.id]);
 
+  // Show the open link for the chosen role, if there is one
+  useEffect(() => {
+    const activeShare = existingShares.find(s =>
+      s.status === 'pending' && s.share_code && !s.invited_email && s.role === role
+    );
+    setShareCode(activeShare?.share_code || '');
+    setShareLink(activeShare ? `${window.location.origin}/invite/${activeShare.share_code}` : '');
+  }, [existingShares, role]);
+
   const loadExistingShares = async () => {
     const { data } = await getDreamShareInfo(roadmap.id);
     if (data) {
       setExistingShares(data);
-      // If there's an active share link, use that code
-      const activeShare = data.find(s => s.status === 'pending' && s.share_code);
-      if (activeShare) {
-        setShareCode(activeShare.share_code);
-        setShareLink(`${window.location.origin}/invite/${activeShare.share_code}`);
-      }
     }
   };
 
@@ -45,13 +53,13 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
     setError('');
 
     try {
-      const { data, error: shareError } = await createDreamShareInvite(roadmap.id);
+      const { data, error: shareError } = await createDreamShareInvite(roadmap.id, null, null, role);
 
       if (shareError) throw shareError;
 
       setShareCode(data.share_code);
       setShareLink(`${window.location.origin}/invite/${data.share_code}`);
-      setSuccess('Share link generated!');
+      setSuccess(`${describeShareRole(role)} link generated!`);
 
       // Refresh existing shares
       loadExistingShares();
@@ -84,7 +92,8 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
       const { data, error: shareError } = await createDreamShareInvite(
         roadmap.id,
         email,
-        personalMessage
+        personalMessage,
+        role
       );
 
       if (shareError) throw shareError;
@@ -137,15 +146,23 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
     const { error } = await revokeDreamShare(shareId);
     if (!error) {
       loadExistingShares();
-      // If we revoked the current share code, clear it
-      const revokedShare = existingShares.find(s => s.id === shareId);
-      if (revokedShare?.share_code === shareCode) {
-        setShareCode('');
-        setShareLink('');
-      }
     }
   };
 
+  const handleRoleChange = async (share, newRole) => {
+    setError('');
+    const { error: roleError } = await updateShareRole(share, newRole);
+    if (roleError) {
+      setError(roleError.message || 'Failed to change role');
+    } else {
+      setSuccess(`${share.invited_email || 'Their'} access changed to ${describeShareRole(newRole)}`);
+      loadExistingShares();
+    }
+  };
+
+  const pendingShares = existingShares.filter(s => s.status === 'pending');
+  const acceptedShares = existingShares.filter(s => s.status === 'accepted');
+
   if (!isOpen) return null;
 
   return (
@@ -202,11 +219,42 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
               <Mail className="w-4 h-4" />
               Email Invite
             </button>
+            <button
+              onClick={() => setActiveTab('public')}
+              className={`flex-1 py-2 px-4 rounded-lg text-sm font-medium transition-all flex items-center justify-center gap-2 ${
+                activeTab === 'public'
+                  ? 'bg-white text-stone-900 shadow-sm'
+                  : 'text-stone-600 hover:text-stone-900'
+              }`}
+            >
+              <Globe className="w-4 h-4" />
+              Public Link
+            </button>
           </div>
         </div>
 
         {/* Content */}
         <div className="p-6">
+          {/* Role */}
+          {activeTab !== 'public' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-stone-700 mb-1">
+                They can
+              </label>
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                className="w-full px-4 py-3 border border-stone-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent text-sm"
+              >
+                {SHARE_ROLE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label} - {option.description}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Error/Success Messages */}
           {error && (
             <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-xl flex items-center gap-2 text-red-700 text-sm">
@@ -221,10 +269,12 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
             </div>
           )}
 
-          {activeTab === 'link' ? (
+          {activeTab === 'public' ? (
+            <PublicLinksPanel roadmapId={roadmap?.id} />
+          ) : activeTab === 'link' ? (
             <div className="space-y-4">
               <p className="text-sm text-stone-600">
-                Generate a shareable link that your partner can use to join this dream.
+                Generate a shareable link that your partner, family or planner can use to join this dream.
               </p>
 
               {shareLink ? (
@@ -261,7 +311,7 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
                   </div>
 
                   <p className="text-xs text-stone-500 text-center">
-                    This link expires in 7 days. Your partner needs an account to join.
+                    This link expires in 7 days and gives {describeShareRole(role).toLowerCase()} access. They need an account to join.
                   </p>
                 </div>
               ) : (
@@ -335,12 +385,53 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
             </div>
           )}
 
+          {/* People with access */}
+          {acceptedShares.length > 0 && (
+            <div className="mt-6 pt-6 border-t border-stone-200">
+              <h3 className="text-sm font-medium text-stone-700 mb-3">People with Access</h3>
+              <div className="space-y-2">
+                {acceptedShares.map((share) => (
+                  <div
+                    key={share.id}
+                    className="flex items-center justify-between gap-3 p-3 bg-stone-50 rounded-xl"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm text-stone-700 truncate">
+                        {share.invited_email || 'Joined with a link'}
+                      </p>
+                      <p className="text-xs text-stone-500">
+                        Joined {new Date(share.accepted_at || share.updated_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 flex-shrink-0">
+                      <select
+                        value={share.role}
+                        onChange={(e) => handleRoleChange(share, e.target.value)}
+                        className="px-2 py-1.5 border border-stone-200 rounded-lg text-xs bg-white focus:outline-none focus:ring-2 focus:ring-amber-500"
+                      >
+                        {SHARE_ROLE_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleRevoke(share.id)}
+                        className="text-xs text-red-600 hover:text-red-700 font-medium"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Existing Shares */}
-          {existingShares.length > 0 && (
+          {pendingShares.length > 0 && (
             <div className="mt-6 pt-6 border-t border-stone-200">
               <h3 className="text-sm font-medium text-stone-700 mb-3">Pending Invites</h3>
               <div className="space-y-2">
-                {existingShares.filter(s => s.status === 'pending').map((share) => (
+                {pendingShares.map((share) => (
                   <div
                     key={share.id}
                     className="flex items-center justify-between p-3 bg-stone-50 rounded-xl"
@@ -350,7 +441,7 @@ const ShareDreamModal = ({ isOpen, onClose, roadmap }) => {
                         {share.invited_email || `Code: ${share.share_code}`}
                       </p>
                       <p className="text-xs text-stone-500">
-                        Expires {new Date(share.expires_at).toLocaleDateString()}
+                        {describeShareRole(share.role)} · Expires {new Date(share.expires_at).toLocaleDateString()}
                       </p>
                     </div>
                     <button
@@ -1 +1,3 @@
 export { default as ShareDreamModal } from './ShareDreamModal';
+export { default as PublicLinksPanel } from './PublicLinksPanel';
+export { default as PublicDreamPage } from './PublicDreamPage';
@@ -11,10 +11,43 @@ import {
   Calendar,
   Flag,
   Sparkles,
-  ChevronRight
+  ChevronRight,
+  MessageCircle
 } from 'lucide-react';
-import { createTask, updateTask, getTasksByMilestone } from '../services/supabaseService';
+import {
+  createTask,
+  updateTask,
+  getTasksByMilestone,
+  createSubtasks,
+  syncParentTaskCompletion
+} from '../services/supabaseService';
 import NudgeButton from './Tasks/NudgeButton';
+import SubtaskList from './Tasks/SubtaskList';
+import TaskDependencies from './Tasks/TaskDependencies';
+import RoutineTracker from './Tasks/RoutineTracker';
+import RecurrenceFields from './Tasks/RecurrenceFields';
+import {
+  getTopLevelTasks,
+  getSubtasks,
+  isTaskComplete,
+  calculateTaskProgress,
+  calculateStepProgress
+} from '../utils/metricsAndTerminology';
+import { isRecurringTask, isRecurrenceValid, getRecurrenceColumns } from '../utils/taskRecurrence';
+import { isRoutineGoal } from '../utils/navigationHelpers';
+import { CommentThread } from './Comments';
+import { CalendarSyncMenu } from './Calendar';
+import { useUnreadComments } from '../hooks/useComments';
+import { useTaskDependencies } from '../hooks/useTaskDependencies';
+import { useRoadmapRole } from '../hooks/useRoadmapRole';
+import { useTaskCompletions } from '../hooks/useTaskCompletions';
+
+const EMPTY_RECURRENCE = {
+  recurrence_frequency: '',
+  recurrence_interval: 1,
+  recurrence_weekdays: [],
+  recurrence_target: ''
+};
 
 /**
  * TaskManager - Elegant task management interface
@@ -33,9 +66,20 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
     assigned_to_user_id: null,
     priority: 'medium',
     due_date: '',
-    roadmap_phase_index: null
+    roadmap_phase_index: null,
+    ...EMPTY_RECURRENCE
   });
   const [editTask, setEditTask] = useState({});
+  const [openCommentsTaskId, setOpenCommentsTaskId] = useState(null);
+  const { countFor: unreadCommentsFor } = useUnreadComments(milestone?.id);
+  const {
+    schedule,
+    predecessorsFor,
+    addDependency,
+    removeDependency
+  } = useTaskDependencies(milestone, tasks);
+  const { completionsFor, streakFor, toggleCheckIn } = useTaskCompletions(milestone, tasks);
+  const { canEdit, canComment } = useRoadmapRole(milestone?.roadmap_id);
 
   // Map partner names to user IDs for assignment
   const getPartnerOptions = () => {
@@ -103,11 +147,11 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
         assigned_to: newTask.assigned_to || null,
         assigned_to_user_id: assignedUserId,
         priority: newTask.priority,
-        due_date: newTask.due_date || null,
         roadmap_phase_index: newTask.roadmap_phase_index,
+        ...getRecurrenceColumns(newTask),
         completed: false,
         ai_generated: false,
-        order_index: tasks.length
+        order_index: getTopLevelTasks(tasks).length
       };
 
       // Pass activity context for logging
@@ -123,7 +167,7 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
       }
 
       setTasks([...tasks, data]);
-      setNewTask({ title: '', description: '', assigned_to: '', assigned_to_user_id: null, priority: 'medium', due_date: '', roadmap_phase_index: null });
+      setNewTask({ title: '', description: '', assigned_to: '', assigned_to_user_id: null, priority: 'medium', due_date: '', roadmap_phase_index: null, ...EMPTY_RECURRENCE });
       setShowAddForm(false);
       onProgressUpdate?.();
     } catch (error) {
@@ -132,6 +176,19 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
     }
   };
 
+  // Routines are checked off one occurrence at a time and finish once they
+  // reach their goal; finished routines reopen like any other task
+  const handleCheckIn = async (task) => {
+    const { checkedIn, total, error } = await toggleCheckIn(task);
+    if (error) {
+      alert(error.message);
+      return;
+    }
+    if (checkedIn && task.recurrence_target && total >= task.recurrence_target) {
+      await handleToggleComplete(task);
+    }
+  };
+
   const handleToggleComplete = async (task) => {
     try {
       // Build activity context for logging
@@ -160,7 +217,11 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
       description: task.description || '',
       assigned_to: task.assigned_to || '',
       priority: task.priority || 'medium',
-      due_date: task.due_date || ''
+      due_date: (isRecurringTask(task) ? task.recurrence_start_date : task.due_date) || '',
+      recurrence_frequency: task.recurrence_frequency || '',
+      recurrence_interval: task.recurrence_interval || 1,
+      recurrence_weekdays: task.recurrence_weekdays || [],
+      recurrence_target: task.recurrence_target || ''
     });
   };
 
@@ -169,8 +230,13 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
       // Get the user ID for the assigned partner
       const assignedUserId = getPartnerUserId(editTask.assigned_to);
 
+      const { title, description, assigned_to: assignedTo, priority } = editTask;
       const updateData = {
-        ...editTask,
+        title,
+        description,
+        assigned_to: assignedTo,
+        priority,
+        ...getRecurrenceColumns(editTask),
         assigned_to_user_id: assignedUserId
       };
 
@@ -198,16 +264,99 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
   const handleDeleteTask = async (taskId) => {
     try {
       await updateTask(taskId, { deleted: true });
-      setTasks(tasks.filter(t => t.id !== taskId));
+      // Subtasks go with their parent
+      setTasks(tasks.filter(t => t.id !== taskId && t.parent_task_id !== taskId));
       onProgressUpdate?.();
     } catch (error) {
       console.error('Error deleting task:', error);
     }
   };
 
-  const completedCount = tasks.filter(t => t.completed).length;
-  const totalCount = tasks.length;
-  const progressPercentage = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
+  // Re-read the parent after its subtasks change: it completes with its last
+  // step and reopens when a step is unchecked
+  const syncParent = async (parentId) => {
+    const { data } = await syncParentTaskCompletion(parentId, { roadmapId: milestone?.roadmap_id });
+    if (data) setTasks(prev => prev.map(t => t.id === parentId ? { ...t, ...data } : t));
+  };
+
+  const handleAddSubtask = async (parentTask, subtask) => {
+    const { data, error } = await createSubtasks(
+      parentTask,
+      [{ ...subtask, assigned_to_user_id: getPartnerUserId(subtask.assigned_to) }],
+      { roadmapId: milestone?.roadmap_id, startIndex: getSubtasks(parentTask, tasks).length }
+    );
+    if (error) {
+      alert(`Failed to add step: ${error.message || 'Unknown error'}`);
+      return false;
+    }
+
+    setTasks(prev => [
+      ...prev.map(t => (t.id === parentTask.id && t.completed ? { ...t, completed: false } : t)),
+      ...data
+    ]);
+    onProgressUpdate?.();
+    return true;
+  };
+
+  const handleToggleSubtask = async (subtask) => {
+    const { data, error } = await updateTask(
+      subtask.id,
+      { completed: !subtask.completed },
+      { roadmapId: milestone?.roadmap_id, wasCompleted: subtask.completed }
+    );
+    if (error) return;
+
+    setTasks(prev => prev.map(t => t.id === subtask.id ? data : t));
+    await syncParent(subtask.parent_task_id);
+    onProgressUpdate?.();
+  };
+
+  const handleAssignSubtask = async (subtask, partnerName) => {
+    const { data, error } = await updateTask(
+      subtask.id,
+      { assigned_to: partnerName || null, assigned_to_user_id: getPartnerUserId(partnerName) },
+      { roadmapId: milestone?.roadmap_id }
+    );
+    if (!error) setTasks(prev => prev.map(t => t.id === subtask.id ? data : t));
+  };
+
+  const handleDeleteSubtask = async (subtask) => {
+    const { error } = await updateTask(subtask.id, { deleted: true });
+    if (error) return;
+
+    setTasks(prev => prev.filter(t => t.id !== subtask.id));
+    await syncParent(subtask.parent_task_id);
+    onProgressUpdate?.();
+  };
+
+  // Tasks and phases a task could wait on
+  const getDependencyOptions = (task) => {
+    const phases = milestone?.deep_dive_data?.roadmapPhases || [];
+    return [
+      ...getTopLevelTasks(tasks)
+        .filter(t => t.id !== task.id)
+        .map(t => ({ key: `task:${t.id}`, label: t.title, group: 'Tasks' })),
+      ...phases.map((phase, index) => ({ key: `phase:${index}`, label: phase.title, group: 'Phases' }))
+    ];
+  };
+
+  const handleAddDependency = async (task, key) => {
+    const [type, ref] = key.split(':');
+    const predecessor = type === 'phase' ? { phaseIndex: Number(ref) } : { taskId: ref };
+    const { error } = await addDependency(predecessor, { taskId: task.id });
+    if (error) {
+      alert(`Failed to add dependency: ${error.message || 'Unknown error'}`);
+      return false;
+    }
+    return true;
+  };
+
+  // Subtasks roll up into their parent: the count is of tasks, the
+  // percentage is of steps so partly done tasks show progress
+  const topLevelTasks = getTopLevelTasks(tasks);
+  const completedCount = topLevelTasks.filter(t => isTaskComplete(t, tasks)).length;
+  const totalCount = topLevelTasks.length;
+  const progressPercentage = calculateStepProgress(tasks).percentage;
 
   // Safety check for missing milestone
   if (!milestone) {
@@ -244,14 +393,19 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
               </p>
             </div>
 
-            <button
-              onClick={() => setShowAddForm(!showAddForm)}
-              className="px-4 py-2.5 rounded-xl font-medium text-white flex items-center gap-2 transition-all hover:-translate-y-0.5"
-              style={{ background: '#2d2926' }}
-            >
-              <Plus className="w-4 h-4" />
-              Add Task
-            </button>
+            <div className="flex items-center gap-2">
+              <CalendarSyncMenu milestone={milestone} />
+              {canEdit && (
+                <button
+                  onClick={() => setShowAddForm(!showAddForm)}
+                  className="px-4 py-2.5 rounded-xl font-medium text-white flex items-center gap-2 transition-all hover:-translate-y-0.5"
+                  style={{ background: '#2d2926' }}
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Task
+                </button>
+              )}
+            </div>
           </div>
         </header>
 
@@ -291,7 +445,7 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
 
         {/* Add Task Form */}
         <AnimatePresence>
-          {showAddForm && (
+          {showAddForm && canEdit && (
             <motion.div
               initial={{ opacity: 0, height: 0 }}
               animate={{ opacity: 1, height: 'auto' }}
@@ -369,10 +523,16 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
                     style={{ border: '1px solid #e8e4de' }}
                   />
 
+                  <RecurrenceFields
+                    value={newTask}
+                    onChange={(changes) => setNewTask({ ...newTask, ...changes })}
+                    suggested={isRoutineGoal(milestone)}
+                  />
+
                   <div className="flex gap-3 pt-2">
                     <button
                       onClick={handleAddTask}
-                      disabled={!newTask.title.trim()}
+                      disabled={!newTask.title.trim() || !isRecurrenceValid(newTask)}
                       className="flex-1 py-3 rounded-xl font-medium text-white transition-colors disabled:opacity-50"
                       style={{ background: '#7d8c75' }}
                     >
@@ -394,21 +554,21 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
 
         {/* Task List */}
         <div className="space-y-3">
-          {tasks.length === 0 ? (
+          {topLevelTasks.length === 0 ? (
             <EmptyState
               milestone={milestone}
-              onAddTask={() => setShowAddForm(true)}
+              onAddTask={canEdit ? () => setShowAddForm(true) : null}
               onNavigateToRoadmap={onNavigateToRoadmap}
             />
           ) : (
-            tasks.map((task, index) => (
+            topLevelTasks.map((task, index) => (
               <motion.div
                 key={task.id}
                 initial={{ opacity: 0, y: 10 }}
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: index * 0.03 }}
               >
-                {editingTaskId === task.id ? (
+                {editingTaskId === task.id && canEdit ? (
                   <EditTaskForm
                     editTask={editTask}
                     setEditTask={setEditTask}
@@ -423,9 +583,28 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
                     milestone={milestone}
                     currentUserId={currentUserId}
                     partnerInfo={partnerInfo}
-                    onToggle={() => handleToggleComplete(task)}
+                    onToggle={() => (isRecurringTask(task) && !task.completed ? handleCheckIn(task) : handleToggleComplete(task))}
                     onEdit={() => handleStartEdit(task)}
                     onDelete={() => handleDeleteTask(task.id)}
+                    unreadComments={unreadCommentsFor(task.id)}
+                    commentsOpen={openCommentsTaskId === task.id}
+                    onToggleComments={() => setOpenCommentsTaskId(openCommentsTaskId === task.id ? null : task.id)}
+                    commentPeople={getPartnerOptions().filter(p => p.userId)}
+                    subtasks={getSubtasks(task, tasks)}
+                    subtaskProgress={calculateTaskProgress(task, tasks)}
+                    partnerOptions={getPartnerOptions()}
+                    onAddSubtask={(subtask) => handleAddSubtask(task, subtask)}
+                    onToggleSubtask={handleToggleSubtask}
+                    onAssignSubtask={handleAssignSubtask}
+                    onDeleteSubtask={handleDeleteSubtask}
+                    predecessors={predecessorsFor(task)}
+                    dependencyOptions={getDependencyOptions(task)}
+                    delayDays={schedule.tasks[task.id]?.delayDays || 0}
+                    onAddDependency={(key) => handleAddDependency(task, key)}
+                    onRemoveDependency={removeDependency}
+                    routine={isRecurringTask(task) ? { streak: streakFor(task), completions: completionsFor(task) } : null}
+                    readOnly={!canEdit}
+                    canComment={canComment}
                   />
                 )}
               </motion.div>
@@ -440,7 +619,34 @@ const TaskManager = ({ milestone, userContext, partnerInfo, currentUserId, onPro
 /**
  * Task Item
  */
-const TaskItem = ({ task, milestone, currentUserId, partnerInfo, onToggle, onEdit, onDelete }) => {
+const TaskItem = ({
+  task,
+  milestone,
+  currentUserId,
+  partnerInfo,
+  onToggle,
+  onEdit,
+  onDelete,
+  unreadComments = 0,
+  commentsOpen = false,
+  onToggleComments,
+  commentPeople = [],
+  subtasks = [],
+  subtaskProgress = null,
+  partnerOptions = [],
+  onAddSubtask,
+  onToggleSubtask,
+  onAssignSubtask,
+  onDeleteSubtask,
+  predecessors = [],
+  dependencyOptions = [],
+  delayDays = 0,
+  onAddDependency,
+  onRemoveDependency,
+  routine = null,
+  readOnly = false,
+  canComment = true
+}) => {
   const priorityColors = {
     high: { bg: 'rgba(199, 107, 107, 0.1)', text: '#c76b6b' },
     medium: { bg: 'rgba(196, 154, 108, 0.1)', text: '#a88352' },
@@ -453,6 +659,9 @@ const TaskItem = ({ task, milestone, currentUserId, partnerInfo, onToggle, onEdi
   const isAssignedToPartner = task.assigned_to_user_id && task.assigned_to_user_id !== currentUserId;
   const assignedPartnerName = task.assigned_to || 'Partner';
 
+  // A routine's checkbox shows whether this occurrence is done
+  const checkedIn = task.completed || Boolean(routine?.streak.doneThisTime);
+
   return (
     <div
       className={`rounded-xl p-4 transition-all group ${task.completed ? 'opacity-60' : ''}`}
@@ -465,9 +674,11 @@ const TaskItem = ({ task, milestone, currentUserId, partnerInfo, onToggle, onEdi
         {/* Checkbox */}
         <button
           onClick={onToggle}
-          className="flex-shrink-0 mt-0.5 transition-transform hover:scale-110"
+          disabled={readOnly}
+          className="flex-shrink-0 mt-0.5 transition-transform hover:scale-110 disabled:hover:scale-100 disabled:cursor-default"
+          title={routine && !task.completed && !readOnly ? (checkedIn ? 'Undo check-in' : 'Check in') : undefined}
         >
-          {task.completed ? (
+          {checkedIn ? (
             <div
               className="w-6 h-6 rounded-full flex items-center justify-center"
               style={{ background: '#7d8c75' }}
@@ -490,7 +701,7 @@ const TaskItem = ({ task, milestone, currentUserId, partnerInfo, onToggle, onEdi
             </h3>
 
             {/* Actions */}
-            {!task.completed && (
+            {!task.completed && !readOnly && (
               <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0">
                 {/* Nudge Button - only show if assigned to partner */}
                 {isAssignedToPartner && (
@@ -571,7 +782,84 @@ const TaskItem = ({ task, milestone, currentUserId, partnerInfo, onToggle, onEdi
                 {milestone.deep_dive_data.roadmapPhases[task.roadmap_phase_index].title}
               </span>
             )}
+
+            {/* Subtask Progress */}
+            {subtasks.length > 0 && subtaskProgress && (
+              <span
+                className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded"
+                style={{ background: 'rgba(125, 140, 117, 0.1)', color: '#7d8c75' }}
+                title={`${subtaskProgress.completed} of ${subtaskProgress.total} steps done`}
+              >
+                <Check className="w-3 h-3" />
+                {subtaskProgress.completed}/{subtaskProgress.total}
+              </span>
+            )}
+
+            {/* Comments */}
+            <button
+              onClick={onToggleComments}
+              className="inline-flex items-center gap-1 text-xs rounded px-1.5 py-0.5 transition-colors hover:bg-stone-100"
+              style={{ color: commentsOpen ? '#2d2926' : '#6b635b' }}
+              title={unreadComments > 0 ? `${unreadComments} unread comment${unreadComments === 1 ? '' : 's'}` : 'Comments'}
+            >
+              <MessageCircle className="w-3 h-3" />
+              {commentsOpen ? 'Hide comments' : 'Comments'}
+              {unreadComments > 0 && (
+                <span
+                  className="min-w-[1rem] h-4 px-1 rounded-full text-[10px] font-semibold text-white flex items-center justify-center"
+                  style={{ background: '#c49a6c' }}
+                >
+                  {unreadComments > 9 ? '9+' : unreadComments}
+                </span>
+              )}
+            </button>
           </div>
+
+          {routine && (
+            <RoutineTracker
+              task={task}
+              streak={routine.streak}
+              completions={routine.completions}
+            />
+          )}
+
+          {(predecessors.length > 0 || (!task.completed && !readOnly)) && (
+            <TaskDependencies
+              predecessors={predecessors}
+              options={dependencyOptions}
+              delayDays={task.completed ? 0 : delayDays}
+              disabled={task.completed || readOnly}
+              onAdd={onAddDependency}
+              onRemove={onRemoveDependency}
+            />
+          )}
+
+          {(subtasks.length > 0 || (!task.completed && !readOnly)) && (
+            <SubtaskList
+              subtasks={subtasks}
+              disabled={readOnly}
+              partnerOptions={partnerOptions}
+              onToggle={onToggleSubtask}
+              onAdd={onAddSubtask}
+              onAssign={onAssignSubtask}
+              onDelete={onDeleteSubtask}
+            />
+          )}
+
+          {commentsOpen && (
+            <div className="mt-3 pt-3" style={{ borderTop: '1px solid #e8e4de' }}>
+              <CommentThread
+                roadmapId={milestone.roadmap_id}
+                milestoneId={milestone.id}
+                targetType="task"
+                targetId={task.id}
+                targetTitle={task.title}
+                people={commentPeople}
+                currentUserId={currentUserId}
+                canComment={canComment}
+              />
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -642,10 +930,16 @@ const EditTaskForm = ({ editTask, setEditTask, userContext, partnerOptions, onSa
           style={{ border: '1px solid #e8e4de' }}
         />
 
+        <RecurrenceFields
+          value={editTask}
+          onChange={(changes) => setEditTask({ ...editTask, ...changes })}
+          compact
+        />
+
         <div className="flex gap-2 pt-2">
           <button
             onClick={onSave}
-            disabled={!editTask.title?.trim()}
+            disabled={!editTask.title?.trim() || !isRecurrenceValid(editTask)}
             className="flex-1 py-2.5 rounded-lg text-sm font-medium text-white transition-colors disabled:opacity-50"
             style={{ background: '#7d8c75' }}
           >
@@ -694,13 +988,15 @@ const EmptyState = ({ milestone, onAddTask, onNavigateToRoadmap }) => {
       </p>
 
       <div className="flex items-center justify-center gap-3">
-        <button
-          onClick={onAddTask}
-          className="px-5 py-2.5 rounded-xl font-medium text-white transition-all hover:-translate-y-0.5"
-          style={{ background: '#2d2926' }}
-        >
-          Add Task
-        </button>
+        {onAddTask && (
+          <button
+            onClick={onAddTask}
+            className="px-5 py-2.5 rounded-xl font-medium text-white transition-all hover:-translate-y-0.5"
+            style={{ background: '#2d2926' }}
+          >
+            Add Task
+          </button>
+        )}
 
         {milestone.deep_dive_data?.roadmapPhases && onNavigateToRoadmap && (
           <button
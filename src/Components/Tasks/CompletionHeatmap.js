@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { buildCompletionHeatmap } from '../../utils/taskRecurrence';
+
+const DAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * CompletionHeatmap - Check-ins per day over the last few weeks
+ *
+ * One column per week, Sunday at the top, darker for more check-ins.
+ *
+ * @param {Array} completions - task_completions rows
+ * @param {number} weeks - How many weeks to show
+ */
+const CompletionHeatmap = ({ completions = [], weeks = 12 }) => {
+  const heatmap = useMemo(() => buildCompletionHeatmap(completions, { weeks }), [completions, weeks]);
+
+  const cellStyle = (day) => {
+    if (day.future) return { background: 'transparent' };
+    if (day.count === 0) return { background: '#f0ece6' };
+    const strength = 0.35 + 0.65 * (day.count / Math.max(1, heatmap.max));
+    return { background: `rgba(125, 140, 117, ${strength.toFixed(2)})` };
+  };
+
+  return (
+    <div className="flex gap-1.5">
+      <div className="flex flex-col gap-[3px] pt-px">
+        {DAY_LABELS.map((label, i) => (
+          <span key={i} className="h-2.5 text-[9px] leading-[10px]" style={{ color: '#a39b91' }}>
+            {label}
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-[3px]">
+        {heatmap.weeks.map(week => (
+          <div key={week[0].date} className="flex flex-col gap-[3px]">
+            {week.map(day => (
+              <span
+                key={day.date}
+                className="w-2.5 h-2.5 rounded-sm"
+                style={cellStyle(day)}
+                title={day.future ? undefined : `${day.count || 'No'} check-in${day.count === 1 ? '' : 's'} on ${formatDay(day.date)}`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CompletionHeatmap;
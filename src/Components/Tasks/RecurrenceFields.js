@@ -0,0 +1,105 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { TASK_RECURRENCE_FREQUENCIES, WEEKDAY_LABELS } from '../../utils/taskRecurrence';
+
+/**
+ * RecurrenceFields - Repeat settings for the task forms
+ *
+ * Edits the recurrence_* fields of a task form; getRecurrenceColumns turns
+ * them into tasks columns. For routines the form's date is the start date.
+ *
+ * @param {Object} value - The task form
+ * @param {Function} onChange - Called with the changed fields
+ * @param {boolean} suggested - Hint that this goal suits routines
+ * @param {boolean} compact - Smaller controls for the inline edit form
+ */
+const RecurrenceFields = ({ value, onChange, suggested = false, compact = false }) => {
+  const frequency = value.recurrence_frequency || '';
+  const weekdays = (value.recurrence_weekdays || []).map(Number);
+  const control = compact ? 'px-3 py-2 rounded-lg' : 'px-4 py-3 rounded-xl';
+
+  const toggleWeekday = (day) => {
+    onChange({
+      recurrence_weekdays: weekdays.includes(day)
+        ? weekdays.filter(d => d !== day)
+        : [...weekdays, day]
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <select
+          value={frequency}
+          onChange={(e) => onChange({ recurrence_frequency: e.target.value })}
+          className={`${control} text-sm focus:outline-none focus:ring-2`}
+          style={{ border: '1px solid #e8e4de' }}
+        >
+          <option value="">Doesn't repeat</option>
+          <option value={TASK_RECURRENCE_FREQUENCIES.DAILY}>Daily</option>
+          <option value={TASK_RECURRENCE_FREQUENCIES.WEEKLY}>Weekly</option>
+          <option value={TASK_RECURRENCE_FREQUENCIES.CUSTOM}>On certain days</option>
+        </select>
+
+        {frequency && (
+          <input
+            type="number"
+            min="1"
+            value={value.recurrence_target || ''}
+            onChange={(e) => onChange({ recurrence_target: e.target.value })}
+            placeholder="Goal: times (optional)"
+            className={`${control} text-sm focus:outline-none focus:ring-2`}
+            style={{ border: '1px solid #e8e4de' }}
+          />
+        )}
+      </div>
+
+      {(frequency === TASK_RECURRENCE_FREQUENCIES.DAILY || frequency === TASK_RECURRENCE_FREQUENCIES.WEEKLY) && (
+        <label className="flex items-center gap-2 text-sm" style={{ color: '#6b635b' }}>
+          Every
+          <input
+            type="number"
+            min="1"
+            max="52"
+            value={value.recurrence_interval || 1}
+            onChange={(e) => onChange({ recurrence_interval: e.target.value })}
+            className="w-16 px-2 py-1.5 rounded-lg text-sm focus:outline-none focus:ring-2"
+            style={{ border: '1px solid #e8e4de' }}
+          />
+          {frequency === TASK_RECURRENCE_FREQUENCIES.WEEKLY ? 'week(s)' : 'day(s)'}
+        </label>
+      )}
+
+      {frequency === TASK_RECURRENCE_FREQUENCIES.CUSTOM && (
+        <div className="flex flex-wrap gap-1.5">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className="w-11 py-1.5 rounded-lg text-xs font-medium transition-colors"
+              style={weekdays.includes(day)
+                ? { background: '#7d8c75', color: '#ffffff' }
+                : { background: '#f5f2ed', color: '#6b635b' }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {frequency ? (
+        <p className="text-xs" style={{ color: '#a39b91' }}>
+          Starts on the date above (or today). Check it off each time to build a streak.
+        </p>
+      ) : suggested && (
+        <p className="text-xs flex items-center gap-1" style={{ color: '#a39b91' }}>
+          <Repeat className="w-3 h-3" />
+          Tip: make it repeat to track streaks for this goal.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Repeat, Flame, AlertTriangle, ChevronDown } from 'lucide-react';
+import CompletionHeatmap from './CompletionHeatmap';
+import {
+  describeTaskRecurrence,
+  describeStreak,
+  getRoutineProgress,
+  getLocalDateString
+} from '../../utils/taskRecurrence';
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * RoutineTracker - Schedule, streak and history of a recurring task
+ *
+ * @param {Object} task - Recurring task
+ * @param {Object} streak - From calculateStreak
+ * @param {Array} completions - The task's check-ins
+ */
+const RoutineTracker = ({ task, streak, completions = [] }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const progress = getRoutineProgress(task, completions);
+  const today = getLocalDateString();
+
+  const dueLabel = () => {
+    if (!streak.currentOccurrence) return `Starts ${formatDay(task.recurrence_start_date)}`;
+    if (streak.doneThisTime) return streak.dueBy === today ? 'Done for today' : `Done until ${formatDay(streak.dueBy)}`;
+    if (streak.dueBy === today) return 'Due today';
+    return `Due by ${formatDay(streak.dueBy)}`;
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-1.5">
+        <span
+          className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded"
+          style={{ background: 'rgba(107, 143, 173, 0.1)', color: '#5a7a94' }}
+        >
+          <Repeat className="w-3 h-3" />
+          {describeTaskRecurrence(task)}
+        </span>
+
+        {streak.current > 0 && (
+          <span
+            className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded"
+            style={{ background: 'rgba(196, 154, 108, 0.12)', color: '#a88352' }}
+            title={`Longest: ${streak.longest}`}
+          >
+            <Flame className="w-3 h-3" />
+            {describeStreak(task, streak.current)}
+          </span>
+        )}
+
+        {!task.completed && (streak.atRisk ? (
+          <span
+            className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded"
+            style={{ background: 'rgba(199, 107, 107, 0.1)', color: '#c76b6b' }}
+            title="Check in today to keep your streak"
+          >
+            <AlertTriangle className="w-3 h-3" />
+            Due today
+          </span>
+        ) : (
+          <span className="text-xs" style={{ color: streak.doneThisTime ? '#7d8c75' : '#6b635b' }}>
+            {dueLabel()}
+          </span>
+        ))}
+
+        <button
+          onClick={() => setShowHistory(!showHistory)}
+          className="inline-flex items-center gap-1 text-xs rounded px-1.5 py-0.5 transition-colors hover:bg-stone-100"
+          style={{ color: '#6b635b' }}
+        >
+          History
+          <ChevronDown className={`w-3 h-3 transition-transform ${showHistory ? 'rotate-180' : ''}`} />
+        </button>
+      </div>
+
+      {progress.target && (
+        <div className="mt-2 flex items-center gap-2 max-w-xs">
+          <div className="flex-1 h-1.5 rounded-full" style={{ background: '#e8e4de' }}>
+            <div
+              className="h-full rounded-full transition-all"
+              style={{ width: `${progress.percentage}%`, background: '#7d8c75' }}
+            />
+          </div>
+          <span className="text-xs" style={{ color: '#6b635b' }}>
+            {progress.completed} of {progress.target}
+          </span>
+        </div>
+      )}
+
+      {showHistory && (
+        <div className="mt-3 p-3 rounded-lg inline-block" style={{ background: '#faf8f5' }}>
+          <CompletionHeatmap completions={completions} />
+          <p className="text-xs mt-2" style={{ color: '#6b635b' }}>
+            {streak.total} check-in{streak.total === 1 ? '' : 's'} · Longest streak {streak.longest}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutineTracker;
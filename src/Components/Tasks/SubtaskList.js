@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Check, Plus, X, User } from 'lucide-react';
+
+/**
+ * SubtaskList - Checklist of steps inside a task
+ *
+ * Each subtask has its own assignee and completion state; the parent task's
+ * progress rolls up from them (see calculateTaskProgress).
+ *
+ * @param {Array} subtasks - Subtask rows, in order
+ * @param {Array} partnerOptions - [{ name, userId }] for assignment
+ */
+const SubtaskList = ({
+  subtasks = [],
+  partnerOptions = [],
+  disabled = false,
+  onToggle,
+  onAdd,
+  onAssign,
+  onDelete
+}) => {
+  const [adding, setAdding] = useState(false);
+  const [title, setTitle] = useState('');
+  const [assignedTo, setAssignedTo] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleAdd = async () => {
+    if (!title.trim() || saving) return;
+    setSaving(true);
+    const ok = await onAdd?.({ title: title.trim(), assigned_to: assignedTo || null });
+    setSaving(false);
+    if (ok !== false) {
+      setTitle('');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAdd();
+    } else if (e.key === 'Escape') {
+      setAdding(false);
+      setTitle('');
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-1.5">
+      <AnimatePresence initial={false}>
+        {subtasks.map(subtask => (
+          <motion.div
+            key={subtask.id}
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="flex items-center gap-2.5 group/subtask"
+          >
+            <button
+              onClick={() => onToggle?.(subtask)}
+              disabled={disabled}
+              className="flex-shrink-0 w-4 h-4 rounded flex items-center justify-center transition-colors"
+              style={{
+                background: subtask.completed ? '#7d8c75' : '#ffffff',
+                border: subtask.completed ? '1px solid #7d8c75' : '1px solid #d4c4a8'
+              }}
+              title={subtask.completed ? 'Mark as not done' : 'Mark as done'}
+            >
+              {subtask.completed && <Check className="w-3 h-3 text-white" />}
+            </button>
+
+            <span
+              className={`flex-1 min-w-0 text-sm truncate ${subtask.completed ? 'line-through' : ''}`}
+              style={{ color: subtask.completed ? '#a39b91' : '#2d2926' }}
+            >
+              {subtask.title}
+            </span>
+
+            {partnerOptions.length > 0 ? (
+              <select
+                value={subtask.assigned_to || ''}
+                onChange={(e) => onAssign?.(subtask, e.target.value)}
+                disabled={disabled}
+                className="text-xs bg-transparent rounded px-1 py-0.5 focus:outline-none hover:bg-stone-100"
+                style={{ color: '#6b635b' }}
+                title="Assigned to"
+              >
+                <option value="">Both</option>
+                {partnerOptions.map((partner, idx) => (
+                  <option key={idx} value={partner.name}>{partner.name}</option>
+                ))}
+              </select>
+            ) : subtask.assigned_to && (
+              <span className="inline-flex items-center gap-1 text-xs" style={{ color: '#6b635b' }}>
+                <User className="w-3 h-3" />
+                {subtask.assigned_to}
+              </span>
+            )}
+
+            {!disabled && (
+              <button
+                onClick={() => onDelete?.(subtask)}
+                className="p-0.5 rounded opacity-0 group-hover/subtask:opacity-100 hover:bg-red-50 transition-opacity"
+                title="Remove step"
+              >
+                <X className="w-3.5 h-3.5" style={{ color: '#c76b6b' }} />
+              </button>
+            )}
+          </motion.div>
+        ))}
+      </AnimatePresence>
+
+      {!disabled && (adding ? (
+        <div className="flex items-center gap-2 pt-1">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="New step"
+            className="flex-1 min-w-0 px-2.5 py-1.5 rounded-lg text-sm focus:outline-none focus:ring-2"
+            style={{ border: '1px solid #e8e4de' }}
+            autoFocus
+          />
+          {partnerOptions.length > 0 && (
+            <select
+              value={assignedTo}
+              onChange={(e) => setAssignedTo(e.target.value)}
+              className="px-2 py-1.5 rounded-lg text-xs focus:outline-none"
+              style={{ border: '1px solid #e8e4de', color: '#6b635b' }}
+            >
+              <option value="">Both</option>
+              {partnerOptions.map((partner, idx) => (
+                <option key={idx} value={partner.name}>{partner.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={handleAdd}
+            disabled={!title.trim() || saving}
+            className="px-2.5 py-1.5 rounded-lg text-xs font-medium text-white disabled:opacity-50"
+            style={{ background: '#7d8c75' }}
+          >
+            Add
+          </button>
+          <button
+            onClick={() => { setAdding(false); setTitle(''); }}
+            className="p-1 rounded-lg hover:bg-gray-100"
+          >
+            <X className="w-4 h-4" style={{ color: '#6b635b' }} />
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setAdding(true)}
+          className="inline-flex items-center gap-1 text-xs rounded px-1.5 py-0.5 transition-colors hover:bg-stone-100"
+          style={{ color: '#6b635b' }}
+        >
+          <Plus className="w-3 h-3" />
+          {subtasks.length > 0 ? 'Add step' : 'Break into steps'}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { AlertTriangle, ArrowRight } from 'lucide-react';
+
+const formatDate = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * TargetDateWarning - Banner for when the schedule runs past the target date
+ *
+ * Names the delayed tasks on the critical path (see calculateSchedule) and
+ * how far they push out the milestone's target_date. Renders nothing while
+ * the milestone is on time.
+ *
+ * @param {Object} schedule - From calculateSchedule / useTaskDependencies
+ * @param {Array} tasks - The milestone's tasks, for titles
+ * @param {Array} phases - deep_dive_data.roadmapPhases, for titles
+ */
+const TargetDateWarning = ({ schedule, tasks = [], phases = [], className = '' }) => {
+  if (!schedule || schedule.targetSlipDays <= 0) return null;
+
+  const titleOf = (key) => {
+    const [type, ref] = key.split(':');
+    if (type === 'phase') return phases[ref]?.title || `Phase ${Number(ref) + 1}`;
+    return tasks.find(t => String(t.id) === ref)?.title || 'Task';
+  };
+
+  const delayed = schedule.delayedTaskIds.map(id => tasks.find(t => t.id === id)).filter(Boolean);
+  const days = schedule.targetSlipDays;
+  const daysLabel = `${days} day${days === 1 ? '' : 's'}`;
+
+  let headline;
+  if (delayed.length === 1) {
+    headline = `"${delayed[0].title}" is running late and pushes your target date out by ${daysLabel}`;
+  } else if (delayed.length > 1) {
+    headline = `"${delayed[0].title}" and ${delayed.length - 1} more task${delayed.length === 2 ? '' : 's'} are running late and push your target date out by ${daysLabel}`;
+  } else {
+    headline = `The remaining work runs ${daysLabel} past your target date`;
+  }
+
+  return (
+    <div
+      className={`rounded-xl p-4 ${className}`}
+      style={{ background: 'rgba(199, 107, 107, 0.08)', borderLeft: '3px solid #c76b6b' }}
+    >
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0" style={{ color: '#c76b6b' }} />
+        <div className="min-w-0">
+          <p className="font-medium mb-1" style={{ color: '#a85a5a' }}>
+            {headline}
+          </p>
+          <p className="text-sm" style={{ color: '#6b635b' }}>
+            Projected to finish {formatDate(schedule.projectedFinish)} instead of {formatDate(schedule.targetDate)}.
+          </p>
+          {schedule.criticalPath.length > 1 && (
+            <p className="text-xs mt-2 flex flex-wrap items-center gap-1" style={{ color: '#6b635b' }}>
+              <span className="font-medium">Critical path:</span>
+              {schedule.criticalPath.map((key, idx) => (
+                <React.Fragment key={key}>
+                  {idx > 0 && <ArrowRight className="w-3 h-3" />}
+                  <span>{titleOf(key)}</span>
+                </React.Fragment>
+              ))}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TargetDateWarning;
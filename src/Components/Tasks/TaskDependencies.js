@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Lock, Check, Link2, X, AlertTriangle } from 'lucide-react';
+
+/**
+ * TaskDependencies - What a task is waiting on
+ *
+ * Lists the tasks and phases that have to finish before this one can start
+ * (finish-to-start, see utils/taskDependencies) and lets the couple add or
+ * remove them.
+ *
+ * @param {Array} predecessors - From getPredecessors
+ * @param {Array} options - [{ key, label, group }] candidates to wait on ('task:<id>' / 'phase:<index>')
+ * @param {number} delayDays - How late the schedule expects this task to finish
+ */
+const TaskDependencies = ({
+  predecessors = [],
+  options = [],
+  delayDays = 0,
+  disabled = false,
+  onAdd,
+  onRemove
+}) => {
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const linked = new Set(predecessors.map(p => p.key));
+  const available = options.filter(o => !linked.has(o.key));
+
+  const handleSelect = async (key) => {
+    if (!key || saving) return;
+    setSaving(true);
+    const ok = await onAdd?.(key);
+    setSaving(false);
+    if (ok !== false) setAdding(false);
+  };
+
+  const groups = [...new Set(available.map(o => o.group))];
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1.5">
+      {predecessors.map(predecessor => (
+        <span
+          key={predecessor.dependencyId}
+          className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded group/dependency"
+          style={predecessor.done
+            ? { background: 'rgba(125, 140, 117, 0.1)', color: '#7d8c75' }
+            : { background: 'rgba(107, 143, 173, 0.1)', color: '#5a7a94' }}
+          title={predecessor.done ? 'Done' : 'Has to finish before this task can start'}
+        >
+          {predecessor.done ? <Check className="w-3 h-3" /> : <Lock className="w-3 h-3" />}
+          {predecessor.done ? 'After' : 'Waiting on'} {predecessor.type === 'phase' ? `phase "${predecessor.title}"` : predecessor.title}
+          {!disabled && (
+            <button
+              onClick={() => onRemove?.(predecessor.dependencyId)}
+              className="opacity-0 group-hover/dependency:opacity-100 transition-opacity"
+              title="Remove dependency"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          )}
+        </span>
+      ))}
+
+      {delayDays > 0 && (
+        <span
+          className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded"
+          style={{ background: 'rgba(199, 107, 107, 0.1)', color: '#c76b6b' }}
+          title="Projected from what it's waiting on and its time estimate"
+        >
+          <AlertTriangle className="w-3 h-3" />
+          Likely {delayDays} day{delayDays === 1 ? '' : 's'} late
+        </span>
+      )}
+
+      {!disabled && available.length > 0 && (adding ? (
+        <select
+          autoFocus
+          value=""
+          disabled={saving}
+          onChange={(e) => handleSelect(e.target.value)}
+          onBlur={() => !saving && setAdding(false)}
+          className="text-xs rounded px-1.5 py-0.5 focus:outline-none"
+          style={{ border: '1px solid #e8e4de', color: '#6b635b' }}
+        >
+          <option value="">Waits on…</option>
+          {groups.map(group => (
+            <optgroup key={group} label={group}>
+              {available.filter(o => o.group === group).map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      ) : (
+        <button
+          onClick={() => setAdding(true)}
+          className="inline-flex items-center gap-1 text-xs rounded px-1.5 py-0.5 transition-colors hover:bg-stone-100"
+          style={{ color: '#6b635b' }}
+        >
+          <Link2 className="w-3 h-3" />
+          Waits on…
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default TaskDependencies;
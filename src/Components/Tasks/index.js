@@ -1 +1,7 @@
 export { default as NudgeButton } from './NudgeButton';
+export { default as SubtaskList } from './SubtaskList';
+export { default as TaskDependencies } from './TaskDependencies';
+export { default as TargetDateWarning } from './TargetDateWarning';
+export { default as RoutineTracker } from './RoutineTracker';
+export { default as RecurrenceFields } from './RecurrenceFields';
+export { default as CompletionHeatmap } from './CompletionHeatmap';
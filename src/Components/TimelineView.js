@@ -1,13 +1,27 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Calendar, CheckCircle2, Circle, Clock, AlertCircle,
   ArrowRight, ChevronDown, ChevronRight, Target, Zap, Flag
 } from 'lucide-react';
+import { getTasksByMilestone } from '../services/supabaseService';
+import { useTaskDependencies } from '../hooks/useTaskDependencies';
+import TargetDateWarning from './Tasks/TargetDateWarning';
+import { CalendarSyncMenu } from './Calendar';
 
 const TimelineView = ({ milestone, onUpdateProgress }) => {
   const [expandedStep, setExpandedStep] = useState(null);
   const [selectedPhase, setSelectedPhase] = useState('all');
+  const [tasks, setTasks] = useState([]);
+  const { schedule } = useTaskDependencies(milestone, tasks);
+
+  // Saved tasks drive the target date warning
+  useEffect(() => {
+    if (!milestone?.id) return;
+    getTasksByMilestone(milestone.id).then(({ data }) => {
+      if (data) setTasks(data);
+    });
+  }, [milestone?.id]);
 
   // Transform steps into timeline phases
   const createTimelinePhases = () => {
@@ -98,6 +112,11 @@ const TimelineView = ({ milestone, onUpdateProgress }) => {
             <p className="text-sm" style={{color: '#2B2B2B', opacity: 0.7}}>
               Track your progress through each phase of this milestone
             </p>
+            {milestone?.id && (
+              <div className="mt-3">
+                <CalendarSyncMenu milestone={milestone} align="left" />
+              </div>
+            )}
           </div>
           <div className="text-right">
             <div className="text-sm font-medium mb-1" style={{color: '#2B2B2B', opacity: 0.7}}>
@@ -145,6 +164,12 @@ const TimelineView = ({ milestone, onUpdateProgress }) => {
         </div>
       </div>
 
+      <TargetDateWarning
+        schedule={schedule}
+        tasks={tasks}
+        phases={(milestone?.deepDiveData || milestone?.deep_dive_data)?.roadmapPhases}
+      />
+
       {/* Current Phase Highlight */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -2,257 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Heart, ArrowRight, ArrowLeft, Check, Users, UserPlus, Copy, CheckCircle } from 'lucide-react';
 import BackButton from './BackButton';
-
-// Compatibility Questions Database
-const QUESTIONS = [
-  // Timeline & Milestones (4 questions)
-  {
-    id: 1,
-    category: 'timeline',
-    question: "When do you see yourself getting married?",
-    options: [
-      { value: 'within_1_year', label: 'Within the next year', weight: 1 },
-      { value: '1_2_years', label: '1-2 years from now', weight: 2 },
-      { value: '3_5_years', label: '3-5 years from now', weight: 3 },
-      { value: 'no_timeline', label: 'No specific timeline', weight: 4 },
-      { value: 'not_sure', label: 'Not sure marriage is for me', weight: 5 }
-    ]
-  },
-  {
-    id: 2,
-    category: 'timeline',
-    question: "How important is owning a home to you?",
-    options: [
-      { value: 'essential', label: 'Essential - I want to own ASAP', weight: 1 },
-      { value: 'important', label: 'Important - but timing is flexible', weight: 2 },
-      { value: 'nice_to_have', label: 'Nice to have - but not a priority', weight: 3 },
-      { value: 'not_important', label: 'Not important - happy renting', weight: 4 }
-    ]
-  },
-  {
-    id: 3,
-    category: 'timeline',
-    question: "When do you see starting a family?",
-    options: [
-      { value: 'ready_now', label: 'We\'re ready now', weight: 1 },
-      { value: '2_3_years', label: 'Within 2-3 years', weight: 2 },
-      { value: '5_plus_years', label: 'In 5+ years', weight: 3 },
-      { value: 'maybe', label: 'Maybe someday', weight: 4 },
-      { value: 'not_interested', label: 'Not interested in kids', weight: 5 }
-    ]
-  },
-  {
-    id: 4,
-    category: 'timeline',
-    question: "What's your priority for the next 2 years?",
-    options: [
-      { value: 'career', label: 'Career growth and advancement', weight: 1 },
-      { value: 'relationship', label: 'Relationship and family milestones', weight: 2 },
-      { value: 'travel', label: 'Travel and life experiences', weight: 3 },
-      { value: 'financial', label: 'Building financial stability', weight: 4 },
-      { value: 'balanced', label: 'Balanced mix of everything', weight: 5 }
-    ]
-  },
-
-  // Financial Philosophy (3 questions)
-  {
-    id: 5,
-    category: 'financial',
-    question: "How would you describe your approach to saving?",
-    options: [
-      { value: 'aggressive', label: 'Aggressive saver - save first, spend later', weight: 1 },
-      { value: 'balanced', label: 'Balanced - save some, enjoy some', weight: 2 },
-      { value: 'yolo', label: 'YOLO - live in the moment', weight: 3 },
-      { value: 'figuring_out', label: 'Still figuring it out', weight: 4 }
-    ]
-  },
-  {
-    id: 6,
-    category: 'financial',
-    question: "For expensive purchases like a wedding or home, you'd prefer to:",
-    options: [
-      { value: 'save_up', label: 'Save up and pay in full', weight: 1 },
-      { value: 'finance', label: 'Finance if needed to get it sooner', weight: 2 },
-      { value: 'go_all_out', label: 'Go all out - it\'s once in a lifetime', weight: 3 },
-      { value: 'minimal', label: 'Keep it minimal and practical', weight: 4 }
-    ]
-  },
-  {
-    id: 7,
-    category: 'financial',
-    question: "How do you prefer to manage finances in a relationship?",
-    options: [
-      { value: 'everything_joint', label: 'Everything joint - we\'re a team', weight: 1 },
-      { value: 'mostly_joint', label: 'Mostly joint with some personal accounts', weight: 2 },
-      { value: 'mostly_separate', label: 'Mostly separate - we split expenses', weight: 3 },
-      { value: 'independent', label: 'Completely independent', weight: 4 }
-    ]
-  },
-
-  // Lifestyle & Values (3 questions)
-  {
-    id: 8,
-    category: 'lifestyle',
-    question: "Which sounds more like you?",
-    options: [
-      { value: 'adventure', label: 'Adventure seeker - spontaneity is key', weight: 1 },
-      { value: 'balanced', label: 'Balanced - mix of both', weight: 2 },
-      { value: 'stability', label: 'Stability lover - I like routine and plans', weight: 3 }
-    ]
-  },
-  {
-    id: 9,
-    category: 'lifestyle',
-    question: "Where do you see yourself living long-term?",
-    options: [
-      { value: 'big_city', label: 'Big city energy', weight: 1 },
-      { value: 'suburbs', label: 'Quiet suburbs', weight: 2 },
-      { value: 'small_town', label: 'Small town or rural', weight: 3 },
-      { value: 'flexible', label: 'Flexible - wherever life takes us', weight: 4 }
-    ]
-  },
-  {
-    id: 10,
-    category: 'communication',
-    question: "When you disagree on something important:",
-    options: [
-      { value: 'talk_right_away', label: 'We talk it out right away', weight: 1 },
-      { value: 'take_time', label: 'We take time to think, then discuss', weight: 2 },
-      { value: 'avoid', label: 'We tend to avoid the topic', weight: 3 },
-      { value: 'need_help', label: 'We need help with this', weight: 4 }
-    ]
-  },
-
-  // Religion & Spirituality
-  {
-    id: 11,
-    category: 'values',
-    question: "What role does religion/spirituality play in your life?",
-    options: [
-      { value: 'very_important', label: 'Very important - central to my identity', weight: 1 },
-      { value: 'somewhat_important', label: 'Somewhat important - I practice occasionally', weight: 2 },
-      { value: 'not_important', label: 'Not important - but I respect others\' beliefs', weight: 3 },
-      { value: 'not_religious', label: 'Not religious/spiritual at all', weight: 4 }
-    ]
-  },
-
-  // Extended Family Dynamics
-  {
-    id: 12,
-    category: 'family',
-    question: "How involved should extended family be in major life decisions?",
-    options: [
-      { value: 'very_involved', label: 'Very involved - family input is crucial', weight: 1 },
-      { value: 'consult_but_decide', label: 'We consult them but make our own decisions', weight: 2 },
-      { value: 'inform_after', label: 'We inform them after we\'ve decided', weight: 3 },
-      { value: 'private', label: 'Our decisions are private', weight: 4 }
-    ]
-  },
-
-  // Career Ambitions
-  {
-    id: 13,
-    category: 'career',
-    question: "If a dream career opportunity required relocating or long hours:",
-    options: [
-      { value: 'career_first', label: 'I\'d take it - career is a top priority', weight: 1 },
-      { value: 'discuss_together', label: 'We\'d discuss and find compromise', weight: 2 },
-      { value: 'relationship_first', label: 'Relationship comes before career', weight: 3 },
-      { value: 'depends', label: 'Depends on timing and circumstances', weight: 4 }
-    ]
-  },
-
-  // Social Life Preferences
-  {
-    id: 14,
-    category: 'lifestyle',
-    question: "How do you prefer spending free time?",
-    options: [
-      { value: 'very_social', label: 'Out with friends - I need social energy', weight: 1 },
-      { value: 'balanced_social', label: 'Mix of social and couple time', weight: 2 },
-      { value: 'mostly_couple', label: 'Mostly just us two', weight: 3 },
-      { value: 'alone_time', label: 'I need significant alone time to recharge', weight: 4 }
-    ]
-  },
-
-  // Parenting Philosophy
-  {
-    id: 15,
-    category: 'parenting',
-    question: "If you have/had kids, what's your parenting philosophy?",
-    options: [
-      { value: 'structured', label: 'Structured - clear rules and routines', weight: 1 },
-      { value: 'balanced', label: 'Balanced - structure with flexibility', weight: 2 },
-      { value: 'free_range', label: 'Free-range - lots of independence', weight: 3 },
-      { value: 'still_figuring', label: 'Still figuring it out / N/A', weight: 4 }
-    ]
-  },
-
-  // Household Responsibilities
-  {
-    id: 16,
-    category: 'lifestyle',
-    question: "How should household chores and responsibilities be divided?",
-    options: [
-      { value: 'equal_split', label: '50/50 split - everything equal', weight: 1 },
-      { value: 'by_strength', label: 'By strengths - each does what they\'re good at', weight: 2 },
-      { value: 'by_schedule', label: 'By schedule - whoever has more time', weight: 3 },
-      { value: 'hire_help', label: 'Hire help - outsource what we can', weight: 4 }
-    ]
-  },
-
-  // Financial Red Flags
-  {
-    id: 17,
-    category: 'financial',
-    question: "How do you feel about debt?",
-    options: [
-      { value: 'no_debt', label: 'Avoid all debt except mortgage', weight: 1 },
-      { value: 'strategic_debt', label: 'Strategic debt is okay (education, business)', weight: 2 },
-      { value: 'comfortable_debt', label: 'Comfortable with manageable debt', weight: 3 },
-      { value: 'not_worried', label: 'Not worried - you have to spend to live', weight: 4 }
-    ]
-  },
-
-  // Personal Growth vs Relationship Time
-  {
-    id: 18,
-    category: 'values',
-    question: "How important is maintaining individual identity vs being a couple?",
-    options: [
-      { value: 'very_independent', label: 'Very independent - I need my own pursuits', weight: 1 },
-      { value: 'balanced', label: 'Balanced - some separate, some together', weight: 2 },
-      { value: 'mostly_together', label: 'Mostly together - we\'re a team', weight: 3 },
-      { value: 'merged', label: 'Fully merged - "we" over "me"', weight: 4 }
-    ]
-  },
-
-  // Long-term Vision
-  {
-    id: 19,
-    category: 'future',
-    question: "What's your vision for retirement/later life?",
-    options: [
-      { value: 'active_travel', label: 'Travel & adventure while we\'re still able', weight: 1 },
-      { value: 'family_focus', label: 'Near family/grandkids', weight: 2 },
-      { value: 'community', label: 'Settled in a community we love', weight: 3 },
-      { value: 'no_plan', label: 'Too far away to plan', weight: 4 }
-    ]
-  },
-
-  // Trust & Boundaries
-  {
-    id: 20,
-    category: 'communication',
-    question: "How do you define healthy boundaries in a relationship?",
-    options: [
-      { value: 'full_transparency', label: 'Full transparency - complete openness', weight: 1 },
-      { value: 'mostly_open', label: 'Mostly open with some privacy', weight: 2 },
-      { value: 'separate_spaces', label: 'Clear separate spaces (phones, friends)', weight: 3 },
-      { value: 'figuring_out', label: 'Still figuring out what works for us', weight: 4 }
-    ]
-  }
-];
+import { VISION_QUESTIONS } from '../data/questionBank';
 
 const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
   const [currentQuestion, setCurrentQuestion] = useState(0);
@@ -267,8 +17,8 @@ const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
   const [partner2Email, setPartner2Email] = useState('');
   const [linkCopied, setLinkCopied] = useState(false);
 
-  const progress = ((currentQuestion + 1) / QUESTIONS.length) * 100;
-  const question = QUESTIONS[currentQuestion];
+  const progress = ((currentQuestion + 1) / VISION_QUESTIONS.length) * 100;
+  const question = VISION_QUESTIONS[currentQuestion];
 
   // Generate unique session ID
   const generateSessionId = () => {
@@ -346,7 +96,7 @@ const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
     setTimeout(() => {
       if (assessmentMode === 'separate') {
         // In separate mode, only advance current partner through questions
-        if (currentQuestion < QUESTIONS.length - 1) {
+        if (currentQuestion < VISION_QUESTIONS.length - 1) {
           setCurrentQuestion(currentQuestion + 1);
         } else {
           // This partner is done
@@ -360,7 +110,7 @@ const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
           setCurrentPartner(2);
         } else {
           // Both partners answered, move to next question
-          if (currentQuestion < QUESTIONS.length - 1) {
+          if (currentQuestion < VISION_QUESTIONS.length - 1) {
             setCurrentQuestion(currentQuestion + 1);
             setCurrentPartner(1);
           } else {
@@ -424,7 +174,7 @@ const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
             partner2Name: sessionData.partner2Name,
             partner1Answers: sessionData.partner1Answers,
             partner2Answers,
-            questions: QUESTIONS,
+            questions: VISION_QUESTIONS,
             location
           });
         } else {
@@ -439,7 +189,7 @@ const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
         partner2Name,
         partner1Answers,
         partner2Answers,
-        questions: QUESTIONS,
+        questions: VISION_QUESTIONS,
         location
       });
     }
@@ -716,7 +466,7 @@ const VisionCompatibility = ({ onComplete, location, onBack = null }) => {
             <div className="bg-white rounded-2xl shadow-lg p-4 mb-4">
               <div className="flex items-center justify-between mb-2">
                 <span className="text-sm font-semibold text-gray-600">
-                  Question {currentQuestion + 1} of {QUESTIONS.length}
+                  Question {currentQuestion + 1} of {VISION_QUESTIONS.length}
                 </span>
                 <span className="text-sm font-semibold text-purple-600">
                   {Math.round(progress)}% Complete
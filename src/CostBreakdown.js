@@ -1,4 +1,5 @@
 import React from 'react';
+import { formatCurrency } from './utils/currency';
 
 const CostBreakdown = ({ totalCostBreakdown, hiddenCosts, locationSpecific }) => {
   if (!totalCostBreakdown) return null;
@@ -9,19 +10,19 @@ const CostBreakdown = ({ totalCostBreakdown, hiddenCosts, locationSpecific }) =>
         <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-2xl p-6 border-2 border-blue-300">
           <p className="text-blue-700 text-sm mb-2">Minimum</p>
           <p className="text-3xl font-bold text-blue-900">
-            {totalCostBreakdown.currency}€{totalCostBreakdown.minimum?.toLocaleString()}
+            {formatCurrency(totalCostBreakdown.minimum, totalCostBreakdown.currency)}
           </p>
         </div>
         <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-2xl p-6 border-2 border-green-300">
           <p className="text-green-700 text-sm mb-2">Typical</p>
           <p className="text-3xl font-bold text-green-900">
-            {totalCostBreakdown.currency}€{totalCostBreakdown.typical?.toLocaleString()}
+            {formatCurrency(totalCostBreakdown.typical, totalCostBreakdown.currency)}
           </p>
         </div>
         <div className="bg-gradient-to-br from-red-50 to-red-100 rounded-2xl p-6 border-2 border-red-200">
           <p className="text-red-700 text-sm mb-2">Maximum</p>
           <p className="text-3xl font-bold text-red-900">
-            {totalCostBreakdown.currency}€{totalCostBreakdown.maximum?.toLocaleString()}
+            {formatCurrency(totalCostBreakdown.maximum, totalCostBreakdown.currency)}
           </p>
         </div>
       </div>
@@ -43,7 +44,7 @@ const CostBreakdown = ({ totalCostBreakdown, hiddenCosts, locationSpecific }) =>
                   </div>
                   <p className="text-sm text-gray-600">{item.notes}</p>
                 </div>
-                <p className="font-bold text-gray-900 text-lg ml-4">€{item.cost?.toLocaleString()}</p>
+                <p className="font-bold text-gray-900 text-lg ml-4">{formatCurrency(item.cost, totalCostBreakdown.currency)}</p>
               </div>
             ))}
           </div>
@@ -58,7 +59,7 @@ const CostBreakdown = ({ totalCostBreakdown, hiddenCosts, locationSpecific }) =>
               <div key={i} className="bg-white rounded-xl p-4 shadow-sm">
                 <div className="flex items-start justify-between mb-2">
                   <p className="font-bold text-gray-800">{hidden.cost}</p>
-                  <p className="font-bold text-orange-600">+€{hidden.amount?.toLocaleString()}</p>
+                  <p className="font-bold text-orange-600">+{formatCurrency(hidden.amount, totalCostBreakdown.currency)}</p>
                 </div>
                 <p className="text-sm text-gray-600">{hidden.why}</p>
               </div>
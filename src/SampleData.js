@@ -36,7 +36,7 @@ export const deepDiveData = {
   },
   duration: '3 months',
   totalCostBreakdown: {
-    currency: '€',
+    currency: 'EUR',
     minimum: 1500,
     typical: 2000,
     maximum: 2500,
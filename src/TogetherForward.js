@@ -22,6 +22,7 @@ import {
   createAchievement,
   getAchievementsByRoadmap
 } from './services/supabaseService';
+import { getDefaultCurrency, normalizeCurrency } from './utils/currency';
 
 const TogetherForward = ({
   coupleData: propCoupleData,
@@ -577,7 +578,7 @@ const TogetherForward = ({
 
   const generatePersonalizedDeepDive = (milestone) => {
     const { partner1, partner2, location, locationData } = userContext;
-    const currency = locationData?.currency || '€';
+    const currency = normalizeCurrency(locationData?.currency, getDefaultCurrency());
 
     // AI Analysis Summary header (Bug #7 fix - softer tone)
     const aiAnalysis = {
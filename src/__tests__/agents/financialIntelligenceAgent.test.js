@@ -123,6 +123,28 @@ describe('Financial Intelligence Agent', () => {
       expect(successRec).toBeDefined();
       expect(successRec.celebration).toBe(true);
     });
+
+    test('should use scheduled savings instead of the estimated contribution', () => {
+      const goal = {
+        targetAmount: 12000,
+        targetDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+        currency: 'EUR'
+      };
+      const startDate = new Date().toISOString().split('T')[0];
+
+      const result = analyzeSavingsProgress(goal, {
+        currentAmount: 0,
+        monthlyContribution: 100,
+        scheduledContributions: [
+          { kind: 'savings', amount: 500, currency: 'EUR', frequency: 'monthly', interval: 1, start_date: startDate },
+          { kind: 'savings', amount: 250, currency: 'EUR', frequency: 'monthly', interval: 2, start_date: startDate },
+          { kind: 'expense', amount: 900, currency: 'EUR', frequency: 'monthly', interval: 1, start_date: startDate }
+        ]
+      });
+
+      expect(result.savings.currentMonthly).toBe(625);
+      expect(result.savings.contributionSource).toBe('scheduled');
+    });
   });
 
   describe('detectCategory()', () => {
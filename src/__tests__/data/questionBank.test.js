@@ -0,0 +1,86 @@
+import {
+  VISION_QUESTIONS,
+  PRIORITY_QUESTIONS,
+  FOCUS_AREA_QUESTIONS,
+  CONDITIONAL_QUESTION_IDS,
+  QUESTION_BANK_VERSION,
+  getBankQuestion,
+  getApplicableQuestions,
+  isQuestionApplicable,
+  localizeQuestion,
+  scoreAnswerPair
+} from '../../data/questionBank';
+import { calculateCompatibilityScore } from '../../utils/compatibilityScoring';
+
+const allQuestions = [
+  ...VISION_QUESTIONS,
+  ...Object.values(PRIORITY_QUESTIONS).flat(),
+  ...Object.values(FOCUS_AREA_QUESTIONS).flat()
+];
+
+describe('questionBank', () => {
+  it('gives every question a unique id and a localization key', () => {
+    const ids = allQuestions.map(q => q.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(allQuestions.every(q => q.i18nKey === `questionBank.${q.id}`)).toBe(true);
+    expect(VISION_QUESTIONS.map(q => q.legacyId)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+    expect(CONDITIONAL_QUESTION_IDS.every(id => getBankQuestion(id))).toBe(true);
+  });
+
+  it('finds questions by id or by their pre-bank numeric id', () => {
+    expect(getBankQuestion('marriage_timeline')).toBe(VISION_QUESTIONS[0]);
+    expect(getBankQuestion(1)).toBe(VISION_QUESTIONS[0]);
+    expect(getBankQuestion('q1')).toBeNull();
+  });
+
+  it('skips questions the prescreening answers rule out', () => {
+    const marriage = getBankQuestion('marriage_timeline');
+    expect(isQuestionApplicable(marriage, { partner1: { is_married: true } })).toBe(false);
+    expect(isQuestionApplicable(marriage, { partner1: { is_married: false } })).toBe(true);
+    expect(isQuestionApplicable(marriage, null)).toBe(true);
+
+    const ids = getApplicableQuestions(VISION_QUESTIONS, { owns_home: true, wants_children: 'no' }).map(q => q.id);
+    expect(ids).not.toContain('home_priority');
+    expect(ids).not.toContain('family_timeline');
+    expect(ids).not.toContain('parenting_philosophy');
+    expect(ids).toHaveLength(17);
+  });
+
+  it('scores bank questions against the bank, whatever options were stored', () => {
+    // A session question saved from an older wording, loaded with its bank id
+    const stored = { id: 'uuid-1', bankId: 'fin_saving', category: 'finances', options: [] };
+    const [low, , , high] = getBankQuestion('fin_saving').options;
+
+    expect(scoreAnswerPair(stored, low.value, low.value)).toMatchObject({ score: 1, category: 'financial' });
+    expect(scoreAnswerPair(stored, low.value, high.value).score).toBe(0);
+    expect(scoreAnswerPair(stored, low.value, 'unknown')).toBeNull();
+
+    const generated = {
+      id: 'q1',
+      category: 'travel',
+      options: [{ value: 'a', weight: 1 }, { value: 'b', weight: 2 }, { value: 'c', weight: 3 }]
+    };
+    expect(scoreAnswerPair(generated, 'a', 'b').score).toBe(0.5);
+  });
+
+  it('localizes text and labels, keeping English for missing keys', () => {
+    const translations = { 'questionBank.debt_feelings': 'Was hältst du von Schulden?' };
+    const localized = localizeQuestion(getBankQuestion('debt_feelings'), key => translations[key]);
+    expect(localized.question).toBe('Was hältst du von Schulden?');
+    expect(localized.options[0].label).toBe(getBankQuestion('debt_feelings').options[0].label);
+  });
+
+  it('is what calculateCompatibilityScore scores against', () => {
+    const [question] = VISION_QUESTIONS;
+    const legacy = { ...question, id: 1, discussionPrompt: undefined };
+    const result = calculateCompatibilityScore(
+      { 1: 'within_1_year' },
+      { 1: 'not_sure' },
+      [legacy]
+    );
+
+    expect(result.questionBankVersion).toBe(QUESTION_BANK_VERSION);
+    expect(result.categoryScores).toEqual({ timeline: 0 });
+    expect(result.misalignments[0].discussionPrompt).toBe(question.discussionPrompt);
+  });
+});
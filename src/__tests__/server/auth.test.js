@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+import { createAuthMiddleware, createAdminGuard, getBearerToken } from '../../../server/auth';
+
+const createRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const okResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+describe('getBearerToken', () => {
+  it('reads the token from the Authorization header', () => {
+    expect(getBearerToken({ headers: { authorization: 'Bearer abc.def' } })).toBe('abc.def');
+    expect(getBearerToken({ headers: {} })).toBeNull();
+  });
+});
+
+describe('createAuthMiddleware', () => {
+  const baseOptions = { supabaseUrl: 'https://project.supabase.co', supabaseAnonKey: 'anon' };
+
+  it('treats requests without a token as guests when allowed', async () => {
+    const authenticate = createAuthMiddleware({ ...baseOptions, allowGuests: true });
+    const req = { headers: {} };
+    const next = jest.fn();
+
+    await authenticate(req, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeNull();
+  });
+
+  it('rejects requests without a token when guests are disabled', async () => {
+    const authenticate = createAuthMiddleware({ ...baseOptions, allowGuests: false });
+    const res = createRes();
+
+    await authenticate({ headers: {} }, res, jest.fn());
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('AUTH_REQUIRED');
+  });
+
+  it('rejects guests unless they are explicitly allowed', async () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    await createAuthMiddleware(baseOptions)({ headers: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('verifies the token with Supabase and caches the result', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(okResponse({ id: 'user-1', email: 'a@b.c' }));
+    const authenticate = createAuthMiddleware({ ...baseOptions, fetchImpl });
+    const next = jest.fn();
+
+    const req = { headers: { authorization: 'Bearer token-1' } };
+    await authenticate(req, createRes(), next);
+    await authenticate({ headers: { authorization: 'Bearer token-1' } }, createRes(), next);
+
+    expect(req.user).toEqual({ id: 'user-1', email: 'a@b.c' });
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl.mock.calls[0][0]).toBe('https://project.supabase.co/auth/v1/user');
+  });
+
+  it('returns AUTH_INVALID for a rejected token', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 401 });
+    const authenticate = createAuthMiddleware({ ...baseOptions, fetchImpl });
+    const res = createRes();
+    const next = jest.fn();
+
+    await authenticate({ headers: { authorization: 'Bearer expired' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('AUTH_INVALID');
+  });
+
+  it('returns 503 when Supabase cannot be reached', async () => {
+    const fetchImpl = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+    const authenticate = createAuthMiddleware({ ...baseOptions, fetchImpl });
+    const res = createRes();
+
+    await authenticate({ headers: { authorization: 'Bearer token' } }, res, jest.fn());
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('AUTH_UNAVAILABLE');
+  });
+});
+
+describe('createAdminGuard', () => {
+  it('lets admins through by role or by id', () => {
+    const guard = createAdminGuard(['user-2']);
+    const next = jest.fn();
+
+    guard({ user: { id: 'user-1', role: 'admin' } }, createRes(), next);
+    guard({ user: { id: 'user-2' } }, createRes(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects everyone else with 403', () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    createAdminGuard([])({ user: { id: 'user-1', role: 'authenticated' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('ADMIN_REQUIRED');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { foldLine, formatCalendar } from '../../../server/calendar/ics';
+import { buildCalendarEvents, createCalendarSource } from '../../../server/calendar';
+
+const now = new Date('2026-06-01T09:30:00.000Z');
+
+const data = {
+  tasks: [{
+    id: 't1',
+    title: 'Caterer',
+    parent_title: 'Book vendors',
+    due_date: '2026-06-10',
+    assigned_to: null,
+    roadmap_title: 'Our wedding',
+    milestone_title: 'Vendors'
+  }],
+  expenses: [{ id: 'e1', title: 'Venue deposit', amount: 500, currency: 'EUR', due_date: '2026-06-15' }],
+  milestones: [{ id: 'm1', title: 'Vendors', target_date: '2026-07-01', roadmap_title: 'Our wedding' }]
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('formatCalendar', () => {
+  it('writes all-day events with escaped text and CRLF line endings', () => {
+    const ics = formatCalendar({
+      name: 'Sam & Alex',
+      events: [{ uid: 'task-1@x', date: '2026-06-10', summary: 'Flowers, cake; band', description: 'Line 1\nLine 2' }],
+      now
+    });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('DTSTAMP:20260601T093000Z\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20260610\r\nDTEND;VALUE=DATE:20260611\r\n');
+    expect(ics).toContain('SUMMARY:Flowers\\, cake\\; band\r\n');
+    expect(ics).toContain('DESCRIPTION:Line 1\\nLine 2\r\n');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line).split('\r\n');
+
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+    expect(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+});
+
+describe('buildCalendarEvents', () => {
+  it('turns tasks, payments and target dates into entries', () => {
+    const events = buildCalendarEvents(data);
+
+    expect(events.map(e => e.uid)).toEqual([
+      'task-t1@together-forward.app',
+      'expense-e1@together-forward.app',
+      'milestone-m1@together-forward.app'
+    ]);
+    expect(events[0]).toMatchObject({
+      summary: 'Book vendors: Caterer',
+      description: 'Our wedding › Vendors\nFor both of you'
+    });
+    expect(events[1].summary).toBe('Payment due: Venue deposit (€500.00)');
+    expect(events[2]).toMatchObject({ date: '2026-07-01', summary: 'Target date: Vendors' });
+  });
+});
+
+describe('createCalendarSource', () => {
+  it('returns null for unknown or revoked feed tokens', async () => {
+    const fetchImpl = jest.fn(async () => jsonResponse(null));
+    const source = createCalendarSource({ url: 'https://db.test/', anonKey: 'anon', fetchImpl });
+
+    await expect(source.getFeedCalendar('nope')).resolves.toBeNull();
+    expect(fetchImpl).toHaveBeenCalledWith('https://db.test/rest/v1/rpc/get_calendar_feed', expect.objectContaining({
+      body: JSON.stringify({ p_token: 'nope' })
+    }));
+  });
+
+  it('exports as the signed-in user', async () => {
+    const fetchImpl = jest.fn(async () => jsonResponse(data));
+    const source = createCalendarSource({ url: 'https://db.test', anonKey: 'anon', fetchImpl });
+
+    const ics = await source.getUserCalendar('user-jwt', { milestoneId: 'm1', name: 'Vendors' });
+
+    const [url, request] = fetchImpl.mock.calls[0];
+    expect(url).toBe('https://db.test/rest/v1/rpc/get_my_calendar_events');
+    expect(request.headers).toMatchObject({ apikey: 'anon', Authorization: 'Bearer user-jwt' });
+    expect(JSON.parse(request.body)).toEqual({ p_milestone_id: 'm1' });
+    expect(ics).toContain('X-WR-CALNAME:Vendors');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+  });
+});
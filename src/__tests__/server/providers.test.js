@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+import { Readable } from 'stream';
+import { createAnthropicProvider } from '../../../server/providers/anthropic';
+import { createMockProvider } from '../../../server/providers/mock';
+import { createProviderRouter, generateText } from '../../../server/providers';
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of stream) events.push(event);
+  return events;
+};
+
+const sse = (events) => Readable.from(events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+
+describe('anthropic provider', () => {
+  it('normalizes streamed text and tool calls', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      body: sse([
+        { type: 'message_start', message: { id: 'msg_1', model: 'claude-test', usage: { input_tokens: 12 } } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } },
+        { type: 'content_block_start', content_block: { type: 'tool_use', id: 'toolu_1', name: 'propose_add_task' } },
+        { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{"title":"Bo' } },
+        { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: 'ok venue"}' } },
+        { type: 'content_block_stop' },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 30 } },
+        { type: 'message_stop' },
+      ]),
+    });
+    const provider = createAnthropicProvider({ apiKey: 'sk-ant-test', fetchImpl });
+
+    const events = await collect(provider.streamMessage({ model: 'claude-test', messages: [], maxTokens: 10 }));
+
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toMatchObject({ model: 'claude-test', max_tokens: 10, stream: true });
+    expect(events.map(e => e.type)).toEqual(['message_start', 'text', 'tool_use', 'message_delta', 'message_stop']);
+    expect(events[2].tool).toEqual({ id: 'toolu_1', name: 'propose_add_task', input: { title: 'Book venue' } });
+    expect(events[3]).toMatchObject({ stopReason: 'tool_use', usage: { output_tokens: 30 } });
+  });
+
+  it('reports tool input that is not valid JSON', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      body: sse([
+        { type: 'content_block_start', content_block: { type: 'tool_use', id: 'toolu_1', name: 'generate_milestone' } },
+        { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{"title":' } },
+        { type: 'content_block_stop' },
+      ]),
+    });
+    const provider = createAnthropicProvider({ apiKey: 'sk-ant-test', fetchImpl });
+
+    const [event] = await collect(provider.streamMessage({ model: 'claude-test', messages: [] }));
+
+    expect(event).toMatchObject({ type: 'tool_input_error', tool: { id: 'toolu_1', name: 'generate_milestone' } });
+  });
+
+  it('surfaces upstream failures with their status', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 529,
+      text: () => Promise.resolve(JSON.stringify({ error: { type: 'overloaded_error', message: 'Overloaded' } })),
+    });
+    const provider = createAnthropicProvider({ apiKey: 'sk-ant-test', fetchImpl });
+
+    await expect(provider.createMessage({ model: 'claude-test', messages: [] }))
+      .rejects.toMatchObject({ status: 529, code: 'PROVIDER_ERROR', message: 'Overloaded' });
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider();
+
+  it('replays the recorded dream creation flow, tool by tool', async () => {
+    const messages = [{ role: 'user', content: "We're Alex and Sam and want to buy a flat in Berlin" }];
+    const toolResults = {
+      extract_user_data: { success: true },
+      generate_milestone: { success: true, milestone: { id: 'milestone-42' } },
+      generate_deep_dive: { success: true, milestone_id: 'milestone-42' },
+      finalize_roadmap: { success: true },
+    };
+    const calls = [];
+
+    for (let turn = 0; turn < 6; turn += 1) {
+      const message = await provider.createMessage({ model: 'mock', messages, profile: 'luna-planner' });
+      messages.push({ role: 'assistant', content: message.content });
+      if (message.stop_reason !== 'tool_use') break;
+
+      const toolUse = message.content.find(block => block.type === 'tool_use');
+      calls.push(toolUse);
+      messages.push({
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: toolUse.id, content: JSON.stringify(toolResults[toolUse.name]) }],
+      });
+    }
+
+    expect(calls.map(call => call.name)).toEqual([
+      'extract_user_data',
+      'generate_milestone',
+      'generate_deep_dive',
+      'finalize_roadmap',
+    ]);
+    expect(calls[2].input.milestone_id).toBe('milestone-42');
+    expect(messages[messages.length - 1].content[0].text).toContain('Your roadmap is ready');
+  });
+
+  it('streams the overview task proposal as normalized events', async () => {
+    const params = {
+      model: 'mock',
+      profile: 'luna-overview',
+      messages: [{ role: 'user', content: 'Can you add a task for comparing savings accounts?' }],
+    };
+
+    const events = await collect(provider.streamMessage(params));
+    const again = await collect(provider.streamMessage(params));
+
+    expect(events).toEqual(again);
+    expect(events[0].type).toBe('message_start');
+    expect(events.filter(e => e.type === 'text').map(e => e.text).join('')).toContain("here's a task I'd add");
+    expect(events.find(e => e.type === 'tool_use').tool.name).toBe('propose_add_task');
+    expect(events.slice(-2).map(e => e.type)).toEqual(['message_delta', 'message_stop']);
+  });
+
+  it('falls back to the catch-all fixture for unrecorded profiles', async () => {
+    const { text } = await generateText(provider, {
+      model: 'mock',
+      profile: 'pdf-narrative',
+      messages: [{ role: 'user', content: 'Summarize our progress' }],
+    });
+
+    expect(text).toContain('offline mock mode');
+  });
+});
+
+describe('createProviderRouter', () => {
+  it('picks the provider and model configured for each route', () => {
+    const router = createProviderRouter({
+      routes: {
+        'claude': { provider: 'mock', model: 'mock-model' },
+        'claude-generate': { provider: 'anthropic', model: 'claude-sonnet' },
+      },
+      anthropic: { apiKey: 'sk-ant-test' },
+    });
+
+    expect(router.forRoute('claude')).toMatchObject({ model: 'mock-model', provider: { name: 'mock' } });
+    expect(router.forRoute('claude-generate')).toMatchObject({ model: 'claude-sonnet', provider: { name: 'anthropic' } });
+    expect(() => router.forRoute('claude-stream')).toThrow('No LLM provider configured');
+  });
+});
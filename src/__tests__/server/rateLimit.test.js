@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import { TokenBucket, createRateLimiter } from '../../../server/rateLimit';
+
+const createRes = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('TokenBucket', () => {
+  it('starts full and refills over time', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerMinute: 60 }, 0);
+
+    bucket.consume(2, 0);
+    expect(bucket.waitTime(1, 0)).toBe(1000);
+    expect(bucket.waitTime(1, 1000)).toBe(0);
+  });
+
+  it('never refills beyond capacity', () => {
+    const bucket = new TokenBucket({ capacity: 3, refillPerMinute: 60 }, 0);
+    bucket.refill(10 * 60 * 1000);
+    expect(bucket.tokens).toBe(3);
+  });
+});
+
+describe('createRateLimiter', () => {
+  const limits = {
+    user: { capacity: 2, refillPerMinute: 1 },
+    ip: { capacity: 3, refillPerMinute: 1 },
+    guest: { capacity: 1, refillPerMinute: 1 }
+  };
+
+  let clock;
+  let rateLimit;
+
+  beforeEach(() => {
+    clock = 0;
+    rateLimit = createRateLimiter(limits, { now: () => clock });
+  });
+
+  it('lets requests through until the user bucket is empty', () => {
+    const next = jest.fn();
+    const req = { ip: '1.1.1.1', user: { id: 'user-a' }, path: '/api/claude' };
+
+    rateLimit(req, createRes(), next);
+    rateLimit(req, createRes(), next);
+    const res = createRes();
+    rateLimit(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(res.body.retryAfter).toBe(60);
+    expect(res.headers['Retry-After']).toBe('60');
+  });
+
+  it('applies the shared IP bucket across users', () => {
+    const next = jest.fn();
+
+    rateLimit({ ip: '2.2.2.2', user: { id: 'a' } }, createRes(), next);
+    rateLimit({ ip: '2.2.2.2', user: { id: 'a' } }, createRes(), next);
+    rateLimit({ ip: '2.2.2.2', user: { id: 'b' } }, createRes(), next);
+    const res = createRes();
+    rateLimit({ ip: '2.2.2.2', user: { id: 'b' } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(res.statusCode).toBe(429);
+  });
+
+  it('uses the guest bucket when there is no user', () => {
+    const next = jest.fn();
+
+    rateLimit({ ip: '3.3.3.3', user: null }, createRes(), next);
+    const res = createRes();
+    rateLimit({ ip: '3.3.3.3', user: null }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.body.scope).toBe('guest');
+
+    clock += 60 * 1000;
+    rateLimit({ ip: '3.3.3.3', user: null }, createRes(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not consume from other buckets when one is empty', () => {
+    const next = jest.fn();
+    const userReq = { ip: '4.4.4.4', user: { id: 'c' } };
+
+    rateLimit(userReq, createRes(), next);
+    rateLimit(userReq, createRes(), next);
+    rateLimit(userReq, createRes(), next); // rejected by user bucket
+
+    // IP bucket should still have one token left for another user
+    rateLimit({ ip: '4.4.4.4', user: { id: 'd' } }, createRes(), next);
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+import { createCacheKey, createResponseCache, normalizeValue } from '../../../server/responseCache';
+import { listProfiles } from '../../../server/prompts';
+
+const baseParams = {
+  profile: { id: 'roadmap-json', version: '1.0.0' },
+  provider: 'anthropic',
+  model: 'claude-haiku-4-5',
+  system: 'Return ONLY valid JSON.',
+  messages: [{ role: 'user', content: 'Create a roadmap for: "first-home"\nBudget: €40000' }],
+};
+
+describe('createCacheKey', () => {
+  it('ignores key order, line endings and trailing whitespace', () => {
+    const reformatted = {
+      ...baseParams,
+      messages: [{ content: 'Create a roadmap for: "first-home"  \r\nBudget: €40000\n', role: 'user' }],
+    };
+
+    expect(createCacheKey(reformatted)).toBe(createCacheKey(baseParams));
+    expect(normalizeValue({ b: ' x ', a: undefined })).toEqual({ b: 'x' });
+  });
+
+  it('changes with the inputs, model and profile version', () => {
+    const key = createCacheKey(baseParams);
+
+    expect(createCacheKey({ ...baseParams, messages: [{ role: 'user', content: 'Budget: €50000' }] })).not.toBe(key);
+    expect(createCacheKey({ ...baseParams, model: 'claude-sonnet-4-5' })).not.toBe(key);
+    expect(createCacheKey({ ...baseParams, profile: { id: 'roadmap-json', version: '1.0.1' } })).not.toBe(key);
+  });
+});
+
+describe('createResponseCache', () => {
+  it('expires entries after the TTL', () => {
+    let time = 0;
+    const cache = createResponseCache({ ttlMs: 1000, now: () => time });
+
+    cache.set('a', 'roadmap');
+    time = 999;
+    expect(cache.get('a')).toBe('roadmap');
+    time = 1000;
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size()).toBe(0);
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    const cache = createResponseCache({ ttlMs: 1000, maxEntries: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+  });
+});
+
+describe('cacheable profiles', () => {
+  it('are limited to deterministic generations', () => {
+    const cacheable = listProfiles().filter(profile => profile.cacheable);
+
+    expect(cacheable.map(profile => profile.id).sort()).toEqual(['deep-dive-insights', 'roadmap-architect', 'roadmap-json']);
+    cacheable.forEach(profile => expect(profile.routes).toEqual(['claude-generate']));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import { withRetry, getRetryDelay, isRetryableError } from '../../../server/retry';
+import { createProviderError } from '../../../server/errors';
+
+const noSleep = jest.fn(() => Promise.resolve());
+
+beforeEach(() => {
+  noSleep.mockClear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('getRetryDelay', () => {
+  it('backs off exponentially with full jitter up to the cap', () => {
+    const policy = { baseDelayMs: 1000, maxDelayMs: 8000 };
+
+    expect(getRetryDelay(0, policy, null, () => 1)).toBe(1000);
+    expect(getRetryDelay(2, policy, null, () => 1)).toBe(4000);
+    expect(getRetryDelay(5, policy, null, () => 1)).toBe(8000);
+    expect(getRetryDelay(2, policy, null, () => 0.5)).toBe(2000);
+  });
+
+  it('honours retry-after from the provider', () => {
+    expect(getRetryDelay(0, { baseDelayMs: 1000, maxDelayMs: 8000 }, 3)).toBe(3000);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries overloaded and rate limited calls', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(createProviderError(529, 'Overloaded'))
+      .mockRejectedValueOnce(createProviderError(429, 'Rate limited'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(withRetry(operation, { retries: 2, sleep: noSleep })).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(noSleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const operation = jest.fn().mockRejectedValue(createProviderError(529, 'Overloaded'));
+
+    await expect(withRetry(operation, { retries: 1, sleep: noSleep })).rejects.toMatchObject({ status: 529, attempts: 2 });
+  });
+
+  it('does not retry client errors or vetoed attempts', async () => {
+    const badRequest = jest.fn().mockRejectedValue(createProviderError(400, 'Bad request'));
+    await expect(withRetry(badRequest, { sleep: noSleep })).rejects.toMatchObject({ status: 400 });
+    expect(badRequest).toHaveBeenCalledTimes(1);
+
+    const streamed = jest.fn().mockRejectedValue(createProviderError(529, 'Overloaded'));
+    await expect(withRetry(streamed, { sleep: noSleep, canRetry: () => false })).rejects.toMatchObject({ status: 529 });
+    expect(streamed).toHaveBeenCalledTimes(1);
+  });
+
+  it('turns a slow attempt into a retryable 504', async () => {
+    const operation = jest.fn()
+      .mockImplementationOnce(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }))
+      .mockResolvedValueOnce('ok');
+
+    await expect(withRetry(operation, { timeoutMs: 10, sleep: noSleep })).resolves.toBe('ok');
+    expect(isRetryableError(createProviderError(504, 'timeout'))).toBe(true);
+  });
+
+  it('stops when the client disconnects', async () => {
+    const controller = new AbortController();
+    const operation = jest.fn(() => {
+      controller.abort();
+      return Promise.reject(createProviderError(529, 'Overloaded'));
+    });
+
+    await expect(withRetry(operation, { signal: controller.signal, sleep: noSleep })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
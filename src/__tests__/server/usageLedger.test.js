@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+import { createUsageLedger, getUserTier } from '../../../server/usage';
+import { createMemoryUsageStore, createSupabaseUsageStore } from '../../../server/usage/stores';
+import { estimateCost } from '../../../server/usage/pricing';
+import { USAGE_LIMITS } from '../../config/serverEnv';
+import { SUBSCRIPTION } from '../../utils/metricsAndTerminology';
+
+const NOW = Date.parse('2026-03-15T12:00:00Z');
+const profile = { id: 'luna-overview', version: '1.0.0' };
+
+const createLedger = (limits = {}, store = createMemoryUsageStore()) => createUsageLedger({
+  store,
+  now: () => NOW,
+  limits: {
+    FREE: { monthlyTokens: -1 },
+    PRO: { monthlyTokens: -1 },
+    proOnlyFeatures: ['pdf-narrative'],
+    ...limits,
+  },
+});
+
+describe('estimateCost', () => {
+  it('prices tokens per million by model family', () => {
+    expect(estimateCost('claude-haiku-4-5-20251001', { input_tokens: 1000000, output_tokens: 100000 })).toBe(1.5);
+    expect(estimateCost('claude-sonnet-4-5', { input_tokens: 1000, output_tokens: 1000 })).toBe(0.018);
+  });
+
+  it('treats mock calls as free', () => {
+    expect(estimateCost('mock', { input_tokens: 1000, output_tokens: 1000 }, 'mock')).toBe(0);
+  });
+});
+
+describe('usage ledger', () => {
+  it('records calls with cost and summarizes them per user and feature', async () => {
+    const ledger = createLedger();
+    const user = { id: 'user-1' };
+
+    await ledger.record({ user, route: 'claude-stream', profile, provider: 'anthropic', model: 'claude-haiku-4-5', usage: { input_tokens: 1000, output_tokens: 200 } });
+    await ledger.record({ user, route: 'claude-stream', profile, provider: 'anthropic', model: 'claude-haiku-4-5', usage: { input_tokens: 500, output_tokens: 100 } });
+    await ledger.record({ user: null, route: 'claude', profile: { id: 'luna-planner', version: '1.0.0' }, provider: 'anthropic', model: 'claude-haiku-4-5', usage: { input_tokens: 10, output_tokens: 10 } });
+
+    const usage = await ledger.getUserUsage(user);
+    expect(usage).toMatchObject({
+      tier: 'FREE',
+      periodStart: '2026-03-01T00:00:00.000Z',
+      resetAt: '2026-04-01T00:00:00.000Z',
+      totals: { calls: 2, tokens: 1800 },
+      byFeature: [{ feature: 'luna-overview', calls: 2, tokens: 1800 }],
+    });
+    expect(usage.totals.costUsd).toBeCloseTo(0.003);
+
+    const rows = await ledger.summarize();
+    expect(rows).toHaveLength(2);
+    expect(rows.find(row => row.user_id === null)).toMatchObject({ feature: 'luna-planner', calls: 1 });
+  });
+
+  it('never throws when the store is down', async () => {
+    const store = { insert: jest.fn().mockRejectedValue(new Error('down')), summarize: jest.fn() };
+    const ledger = createLedger({}, store);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(ledger.record({ user: null, route: 'claude', profile, provider: 'mock', model: 'mock' }))
+      .resolves.toMatchObject({ input_tokens: 0, cost_usd: 0 });
+    console.error.mockRestore();
+  });
+
+  it('requires Pro for Pro-only features', async () => {
+    const ledger = createLedger();
+
+    await expect(ledger.assertWithinLimits({ id: 'user-1' }, 'pdf-narrative'))
+      .rejects.toMatchObject({ status: 402, code: 'UPGRADE_REQUIRED' });
+    await expect(ledger.assertWithinLimits(null, 'pdf-narrative'))
+      .rejects.toMatchObject({ code: 'UPGRADE_REQUIRED' });
+    await expect(ledger.assertWithinLimits({ id: 'user-1', tier: 'pro' }, 'pdf-narrative')).resolves.toBeUndefined();
+  });
+
+  it('stops a user at their monthly token allowance', async () => {
+    const ledger = createLedger({ FREE: { monthlyTokens: 1000 } });
+    const user = { id: 'user-1' };
+
+    await expect(ledger.assertWithinLimits(user, 'luna-overview')).resolves.toBeUndefined();
+    await ledger.record({ user, route: 'claude', profile, provider: 'anthropic', model: 'claude-haiku-4-5', usage: { input_tokens: 900, output_tokens: 100 } });
+
+    await expect(ledger.assertWithinLimits(user, 'luna-overview')).rejects.toMatchObject({
+      status: 429,
+      code: 'USAGE_LIMIT_REACHED',
+      details: { limit: 1000, used: 1000, resetAt: '2026-04-01T00:00:00.000Z' },
+    });
+    await expect(ledger.assertWithinLimits({ id: 'user-2' }, 'luna-overview')).resolves.toBeUndefined();
+  });
+});
+
+describe('supabase usage store', () => {
+  it('writes rows and reads the summary RPC with the service role key', async () => {
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce({ ok: true })
+      .mockResolvedValueOnce({ ok: true, json: async () => [{ feature: 'luna-overview', calls: '2', input_tokens: '10', output_tokens: '5', cost_usd: '0.000035' }] });
+    const store = createSupabaseUsageStore({ url: 'https://project.supabase.co/', serviceRoleKey: 'service', fetchImpl });
+
+    await store.insert({ feature: 'luna-overview' });
+    const rows = await store.summarize({ since: '2026-03-01T00:00:00.000Z', userId: 'user-1' });
+
+    expect(fetchImpl.mock.calls[0][0]).toBe('https://project.supabase.co/rest/v1/ai_usage_events');
+    expect(fetchImpl.mock.calls[0][1].headers).toMatchObject({ apikey: 'service', Prefer: 'return=minimal' });
+    expect(fetchImpl.mock.calls[1][0]).toBe('https://project.supabase.co/rest/v1/rpc/get_ai_usage_summary');
+    expect(JSON.parse(fetchImpl.mock.calls[1][1].body)).toEqual({ p_since: '2026-03-01T00:00:00.000Z', p_user_id: 'user-1' });
+    expect(rows[0]).toMatchObject({ calls: 2, input_tokens: 10, output_tokens: 5, cost_usd: 0.000035 });
+  });
+});
+
+describe('tier limits', () => {
+  it('reads the tier from the verified user', () => {
+    expect(getUserTier({ id: 'user-1', tier: 'pro' })).toBe('PRO');
+    expect(getUserTier({ id: 'user-1' })).toBe('FREE');
+    expect(getUserTier(null)).toBe('FREE');
+  });
+
+  it('match SUBSCRIPTION in metricsAndTerminology', () => {
+    expect(USAGE_LIMITS).toEqual({
+      FREE: { monthlyTokens: SUBSCRIPTION.FREE_LUNA_MONTHLY_TOKENS },
+      PRO: { monthlyTokens: SUBSCRIPTION.PRO_LUNA_MONTHLY_TOKENS },
+      proOnlyFeatures: SUBSCRIPTION.PRO_ONLY_AI_FEATURES,
+    });
+  });
+});
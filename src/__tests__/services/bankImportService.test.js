@@ -0,0 +1,262 @@
+import {
+  detectDecimalSeparator,
+  parseAmount,
+  parseDate,
+  parseCsv,
+  guessCsvMapping,
+  parseCsvTransactions,
+  parseOfx,
+  parseCamt053,
+  parseStatement,
+  categorizeTransaction,
+  findDuplicateExpense,
+  prepareImportRows,
+  validateImportRows,
+  importExpenses
+} from '../../services/bankImportService';
+import { createExpense, validatePocketContribution } from '../../services/supabaseService';
+import { BUDGET_CATEGORIES_BY_TYPE } from '../../data/budgetCategories';
+
+jest.mock('../../services/supabaseService', () => ({
+  createExpense: jest.fn(),
+  validatePocketContribution: jest.fn()
+}));
+
+const weddingCategories = BUDGET_CATEGORIES_BY_TYPE.wedding;
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250314120000[0:GMT]
+<TRNAMT>-1250.00
+<FITID>2025031401
+<NAME>Rosewood Hall
+<MEMO>Venue deposit
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250315
+<TRNAMT>200.00
+<FITID>2025031502
+<NAME>Refund
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Ntry>
+        <Amt Ccy="EUR">480.50</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2025-04-02</Dt></BookgDt>
+        <AcctSvcrRef>REF-001</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <RltdPties><Cdtr><Nm>Bloom Florist</Nm></Cdtr></RltdPties>
+          <RmtInf><Ustrd>Bouquets and centerpieces</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('parsing values', () => {
+  it('reads amounts in common bank formats', () => {
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('-12,5')).toBe(-12.5);
+    expect(parseAmount('(45.00)')).toBe(-45);
+    expect(parseAmount('€ 1,200')).toBe(1200);
+    expect(parseAmount('n/a')).toBeNull();
+  });
+
+  it('reads amounts with the decimal separator of the whole file', () => {
+    expect(detectDecimalSeparator(['1.234', '1.234,56'])).toBe(',');
+    expect(detectDecimalSeparator(['1,234.56', '1.234'])).toBe('.');
+    expect(detectDecimalSeparator(['1.234'])).toBeNull();
+
+    expect(parseAmount('1.234', ',')).toBe(1234);
+    expect(parseAmount('1.234', '.')).toBe(1.234);
+    expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+    expect(parseAmount('1,234.56', '.')).toBe(1234.56);
+  });
+
+  it('reads dates in common bank formats', () => {
+    expect(parseDate('2025-03-14')).toBe('2025-03-14');
+    expect(parseDate('14.03.2025')).toBe('2025-03-14');
+    expect(parseDate('03/14/2025', 'MDY')).toBe('2025-03-14');
+    expect(parseDate('20250314120000[0:GMT]')).toBe('2025-03-14');
+    expect(parseDate('31/02/2025')).toBeNull();
+  });
+});
+
+describe('CSV', () => {
+  const text = 'Booking Date;Payee;Amount;Currency\n' +
+    '14.03.2025;"Rosewood Hall; deposit";-1.250,00;EUR\n' +
+    '15.03.2025;Salary;2.000,00;EUR\n';
+
+  it('guesses the delimiter and column mapping', () => {
+    const { headers, rows, delimiter } = parseCsv(text);
+    expect(delimiter).toBe(';');
+    expect(rows[0][1]).toBe('Rosewood Hall; deposit');
+    expect(guessCsvMapping(headers)).toEqual({
+      date: 0, description: 1, amount: 2, debit: null, credit: null, currency: 3
+    });
+  });
+
+  it('turns mapped rows into transactions', () => {
+    const { headers, rows } = parseCsv(text);
+    const { transactions, skipped } = parseCsvTransactions(rows, guessCsvMapping(headers));
+    expect(skipped).toBe(0);
+    expect(transactions).toEqual([
+      { reference: null, date: '2025-03-14', description: 'Rosewood Hall; deposit', amount: 1250, currency: 'EUR', direction: 'debit' },
+      { reference: null, date: '2025-03-15', description: 'Salary', amount: 2000, currency: 'EUR', direction: 'credit' }
+    ]);
+  });
+
+  it('reads ambiguous amounts like the rest of the file', () => {
+    const { headers, rows } = parseCsv('Date;Payee;Amount\n14.03.2025;Venue;-1.234\n15.03.2025;Cake;-12,50\n');
+    const { transactions } = parseCsvTransactions(rows, guessCsvMapping(headers));
+    expect(transactions.map(t => t.amount)).toEqual([1234, 12.5]);
+
+    const { headers: onlyThousands, rows: thousandsRows } = parseCsv('Date;Payee;Amount\n14.03.2025;Venue;-1.234\n');
+    expect(parseCsvTransactions(thousandsRows, guessCsvMapping(onlyThousands))
+      .transactions[0].amount).toBe(1.23);
+    expect(parseCsvTransactions(thousandsRows, guessCsvMapping(onlyThousands), { decimalSeparator: ',' })
+      .transactions[0].amount).toBe(1234);
+  });
+
+  it('supports separate money out and money in columns', () => {
+    const { headers, rows } = parseCsv('Date,Description,Debit,Credit\n2025-03-14,Cake,80.00,\n');
+    const { transactions } = parseCsvTransactions(rows, guessCsvMapping(headers), { currency: 'GBP' });
+    expect(transactions[0]).toMatchObject({ amount: 80, direction: 'debit', currency: 'GBP' });
+  });
+});
+
+describe('statements', () => {
+  it('parses OFX transactions with their bank ids', () => {
+    expect(parseOfx(OFX)).toEqual([
+      { reference: '2025031401', date: '2025-03-14', description: 'Rosewood Hall - Venue deposit', amount: 1250, currency: 'USD', direction: 'debit' },
+      { reference: '2025031502', date: '2025-03-15', description: 'Refund', amount: 200, currency: 'USD', direction: 'credit' }
+    ]);
+  });
+
+  it('parses CAMT.053 entries', () => {
+    expect(parseCamt053(CAMT)).toEqual([
+      { reference: 'REF-001', date: '2025-04-02', description: 'Bloom Florist - Bouquets and centerpieces', amount: 480.5, currency: 'EUR', direction: 'debit' }
+    ]);
+  });
+
+  it('detects the format from the contents', () => {
+    expect(parseStatement(OFX, 'statement.txt').format).toBe('ofx');
+    expect(parseStatement(CAMT, 'statement.xml').format).toBe('camt053');
+    expect(parseStatement('Date,Amount\n2025-01-01,5', 'export.csv').format).toBe('csv');
+    expect(() => parseStatement('nothing here', 'empty.csv')).toThrow('No transactions found');
+  });
+});
+
+describe('categorizeTransaction', () => {
+  it('maps detected categories onto the milestone categories', () => {
+    expect(categorizeTransaction('Bloom Florist - bouquets', weddingCategories)).toBe('Flowers & Decor');
+    expect(categorizeTransaction('Rosewood Hall deposit', weddingCategories)).toBe('Venue');
+    expect(categorizeTransaction('Gold ring engraving', weddingCategories)).toBe('Rings');
+    expect(categorizeTransaction('ATM withdrawal', weddingCategories)).toBe('Other');
+  });
+});
+
+describe('duplicates', () => {
+  const transaction = { reference: null, date: '2025-03-14', description: 'Rosewood Hall deposit', amount: 1250, currency: 'EUR' };
+
+  it('matches the same payment entered by hand a few days apart', () => {
+    const existing = { id: 'e1', description: 'Rosewood venue', amount: '1250.00', currency: 'EUR', expense_date: '2025-03-12', status: 'paid' };
+    expect(findDuplicateExpense(transaction, [existing], 'EUR')).toBe(existing);
+  });
+
+  it('ignores different amounts, currencies and distant dates', () => {
+    const base = { description: 'Rosewood', amount: 1250, currency: 'EUR', expense_date: '2025-03-14', status: 'paid' };
+    expect(findDuplicateExpense(transaction, [{ ...base, amount: 1200 }], 'EUR')).toBeNull();
+    expect(findDuplicateExpense(transaction, [{ ...base, currency: 'USD' }], 'EUR')).toBeNull();
+    expect(findDuplicateExpense(transaction, [{ ...base, expense_date: '2025-04-14' }], 'EUR')).toBeNull();
+  });
+
+  it('matches bank references exactly', () => {
+    const existing = { import_reference: 'REF-001', description: 'x', amount: 1, expense_date: '2020-01-01' };
+    expect(findDuplicateExpense({ ...transaction, reference: 'REF-001' }, [existing], 'EUR')).toBe(existing);
+  });
+});
+
+describe('preparing and importing', () => {
+  const milestone = { id: 'm1', currency: 'EUR' };
+  const transactions = [
+    { reference: 'a', date: '2025-03-14', description: 'Rosewood Hall', amount: 600, currency: 'EUR', direction: 'debit' },
+    { reference: 'b', date: '2025-03-15', description: 'Venue extra hour', amount: 300, currency: 'EUR', direction: 'debit' },
+    { reference: 'c', date: '2025-03-16', description: 'Refund', amount: 50, currency: 'EUR', direction: 'credit' }
+  ];
+
+  it('selects money going out that is not already recorded', () => {
+    const rows = prepareImportRows({
+      transactions,
+      milestone,
+      existingExpenses: [{ import_reference: 'b', amount: 300, expense_date: '2025-03-15' }],
+      categories: weddingCategories
+    });
+    expect(rows.map(r => [r.category, r.selected, Boolean(r.duplicateOf)])).toEqual([
+      ['Venue', true, false],
+      ['Venue', false, true],
+      ['Other', false, false]
+    ]);
+  });
+
+  it('counts earlier rows of the batch against the pocket', async () => {
+    validatePocketContribution.mockImplementation(async (id, category, amount) => (
+      amount <= 800 ? { allowed: true, message: 'OK' } : { allowed: false, message: 'Only €800 remaining.' }
+    ));
+    const rows = prepareImportRows({ transactions, milestone, categories: weddingCategories });
+    rows[1].selected = true;
+
+    const validated = await validateImportRows(rows, milestone);
+
+    expect(validatePocketContribution.mock.calls.map(call => call[2])).toEqual([600, 900]);
+    expect(validated.map(r => r.pocket && r.pocket.allowed)).toEqual([true, false, null]);
+  });
+
+  it('creates the allowed rows and reports failures', async () => {
+    createExpense
+      .mockResolvedValueOnce({ data: { id: 'x1' }, error: null })
+      .mockResolvedValueOnce({ data: null, error: { message: 'Pocket overfunding prevented' } });
+    const rows = [
+      { id: '1', selected: true, pocket: { allowed: true }, reference: 'a', date: '2025-03-14', description: 'A', amount: 10, currency: 'EUR', category: 'Venue' },
+      { id: '2', selected: true, pocket: { allowed: true }, reference: 'b', date: '2025-03-15', description: 'B', amount: 20, currency: 'EUR', category: 'Venue' },
+      { id: '3', selected: true, pocket: { allowed: false }, description: 'C', amount: 30 },
+      { id: '4', selected: false, description: 'D', amount: 40 }
+    ];
+    const onProgress = jest.fn();
+
+    const { data } = await importExpenses(rows, { milestoneId: 'm1', roadmapId: 'r1', onProgress });
+
+    expect(createExpense).toHaveBeenCalledTimes(2);
+    expect(createExpense.mock.calls[0][0]).toMatchObject({
+      milestone_id: 'm1', roadmap_id: 'r1', amount: 10, currency: 'EUR', category: 'Venue',
+      expense_date: '2025-03-14', status: 'paid', import_reference: 'a'
+    });
+    expect(data.created).toEqual([{ id: 'x1' }]);
+    expect(data.failed).toEqual([{ row: rows[1], message: 'Pocket overfunding prevented' }]);
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import { callClaude, callClaudeStreaming } from '../../services/claudeAPI';
+import { getRetryDelay, isRetryableError } from '../../services/requestPolicy';
+
+jest.mock('../../config/supabaseClient', () => ({
+  supabase: { auth: { getSession: async () => ({ data: { session: null } }) } }
+}));
+
+const encoder = new TextEncoder();
+
+// A streaming Response whose body yields the given SSE events, then ends
+// (without a `done` event the stream counts as dropped)
+const sseResponse = (events) => {
+  const chunks = events.map(([type, data]) => encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+};
+
+const jsonResponse = (status, body) => ({
+  ok: status < 400,
+  status,
+  statusText: '',
+  headers: { get: () => null },
+  json: async () => body
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('request policy', () => {
+  it('retries unreachable backends and gateway errors, not refusals', () => {
+    expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isRetryableError({ status: 503 })).toBe(true);
+    expect(isRetryableError({ status: 429, code: 'RATE_LIMITED' })).toBe(false);
+    expect(isRetryableError({ name: 'AbortError' })).toBe(false);
+    expect(getRetryDelay(1, { baseDelayMs: 1000, maxDelayMs: 8000 }, () => 1)).toBe(2000);
+  });
+});
+
+describe('callClaude', () => {
+  it('throws backend errors so callers can use their template fallbacks', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(529, { error: 'Overloaded', code: 'PROVIDER_ERROR' }));
+
+    await expect(callClaude([{ role: 'user', content: 'Hi' }], { profile: 'assessment-questions' }))
+      .rejects.toMatchObject({ status: 529, code: 'PROVIDER_ERROR' });
+  });
+
+  it('does not start a request that was already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(callClaude([{ role: 'user', content: 'Hi' }], { profile: 'milestone-challenges', signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('callClaudeStreaming', () => {
+  const messages = [{ role: 'user', content: 'How should we save?' }];
+
+  it('resumes a dropped stream from the text received so far', async () => {
+    global.fetch
+      .mockResolvedValueOnce(sseResponse([['text', { text: 'Start with ' }], ['text', { text: 'a budget ' }]]))
+      .mockResolvedValueOnce(sseResponse([['text', { text: 'and automate it.' }], ['done', { done: true }]]));
+    const onChunk = jest.fn();
+    const onDone = jest.fn();
+    const onError = jest.fn();
+
+    await callClaudeStreaming(messages, { profile: 'luna-deep-dive' }, { onChunk, onDone, onError });
+
+    const resumed = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(resumed.messages[1]).toEqual({ role: 'assistant', content: 'Start with a budget' });
+    expect(onChunk.mock.calls.map(([text]) => text).join('')).toBe('Start with a budget and automate it.');
+    expect(onDone).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the non-streaming endpoint when resuming fails', async () => {
+    global.fetch
+      .mockResolvedValueOnce(sseResponse([['text', { text: 'Start' }], ['error', { error: 'API call failed: 529' }]]))
+      .mockRejectedValueOnce(new TypeError('network down'))
+      .mockResolvedValueOnce(jsonResponse(200, { content: [{ type: 'text', text: ' small.' }] }));
+    const onChunk = jest.fn();
+    const onDone = jest.fn();
+
+    await callClaudeStreaming(messages, { profile: 'luna-deep-dive' }, { onChunk, onDone, onError: jest.fn() });
+
+    expect(global.fetch.mock.calls[2][0]).toMatch(/\/api\/claude$/);
+    expect(onChunk.mock.calls.map(([text]) => text).join('')).toBe('Start small.');
+    expect(onDone).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports refusals without retrying', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(401, { error: 'Session expired', code: 'AUTH_INVALID' }));
+    const onError = jest.fn();
+
+    await callClaudeStreaming(messages, { profile: 'luna-deep-dive' }, { onChunk: jest.fn(), onDone: jest.fn(), onError });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'AUTH_INVALID' }));
+  });
+});
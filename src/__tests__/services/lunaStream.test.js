@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { readLunaStream, STREAM_PROTOCOL_VERSION } from '../../services/lunaStream';
+import { callLunaOverviewStreaming } from '../../services/lunaOverviewService';
+import { createStreamWriter, STREAM_PROTOCOL_VERSION as SERVER_PROTOCOL_VERSION } from '../../../server/streamProtocol';
+
+jest.mock('../../config/supabaseClient', () => ({
+  supabase: { auth: { getSession: async () => ({ data: { session: null } }) } }
+}));
+
+const encoder = new TextEncoder();
+
+// Events written by the server's stream writer, delivered in chunks of `chunkSize` characters
+const streamResponse = (events, chunkSize = 7) => {
+  let output = '';
+  const writer = createStreamWriter({ write: (text) => { output += text; } });
+  events.forEach(([event, data]) => writer.send(event, data));
+
+  const chunks = [];
+  for (let i = 0; i < output.length; i += chunkSize) {
+    chunks.push(encoder.encode(output.slice(i, i + chunkSize)));
+  }
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+};
+
+const messageStart = ['message_start', { protocol: 2, id: 'msg_1', model: 'mock', profile: 'luna-overview@1.0.0', usage: { input_tokens: 12 } }];
+const finished = [
+  ['usage', { input_tokens: 12, output_tokens: 8 }],
+  ['stop_reason', { stop_reason: 'tool_use' }],
+  ['done', { id: 'msg_1', stop_reason: 'tool_use', usage: { input_tokens: 12, output_tokens: 8 } }]
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('readLunaStream', () => {
+  it('speaks the same protocol version as the server', () => {
+    expect(STREAM_PROTOCOL_VERSION).toBe(SERVER_PROTOCOL_VERSION);
+  });
+
+  it('assembles the message from events split across chunks', async () => {
+    const onText = jest.fn();
+    const result = await readLunaStream(streamResponse([
+      messageStart,
+      ['text', { text: 'Let me ' }],
+      ['text', { text: 'adjust that.' }],
+      ['tool_use', { tool: { id: 'tool_1', name: 'propose_budget_change', input: { newBudget: 5000 } } }],
+      ['tool_input_error', { tool: { id: 'tool_2', name: 'propose_add_task' }, error: 'Unexpected end of JSON input' }],
+      ...finished
+    ]), { onText });
+
+    expect(onText.mock.calls.map(([text]) => text)).toEqual(['Let me ', 'adjust that.']);
+    expect(result).toMatchObject({
+      completed: true,
+      messageId: 'msg_1',
+      lastEventId: '8',
+      stopReason: 'tool_use',
+      usage: { input_tokens: 12, output_tokens: 8 },
+      text: 'Let me adjust that.',
+      content: [
+        { type: 'text', text: 'Let me adjust that.' },
+        { type: 'tool_use', id: 'tool_1', name: 'propose_budget_change', input: { newBudget: 5000 } }
+      ],
+      toolInputErrors: [{ tool: { id: 'tool_2', name: 'propose_add_task' } }]
+    });
+  });
+
+  it('reports a dropped stream as not completed', async () => {
+    const result = await readLunaStream(streamResponse([messageStart, ['text', { text: 'Half' }]]));
+
+    expect(result).toMatchObject({ completed: false, text: 'Half', lastEventId: '2' });
+  });
+
+  it('throws server error events with their code', async () => {
+    await expect(readLunaStream(streamResponse([
+      messageStart,
+      ['error', { error: 'API call failed: 529 - Overloaded', code: 'PROVIDER_ERROR', status: 529 }]
+    ]))).rejects.toMatchObject({ message: 'API call failed: 529 - Overloaded', code: 'PROVIDER_ERROR', status: 529 });
+  });
+});
+
+describe('callLunaOverviewStreaming', () => {
+  it('turns tool calls into pending changes and finishes once', async () => {
+    global.fetch = jest.fn().mockResolvedValue(streamResponse([
+      messageStart,
+      ['tool_use', { tool: { id: 'tool_1', name: 'propose_title_update', input: { new_title: 'Our Wedding', reason: 'Clearer' } } }],
+      ...finished
+    ]));
+    const callbacks = { onChunk: jest.fn(), onToolCall: jest.fn(), onDone: jest.fn(), onError: jest.fn() };
+
+    await callLunaOverviewStreaming([{ role: 'user', content: 'Rename it' }], {
+      milestone: { id: 'milestone-1', title: 'Wedding', budget_amount: 4000 },
+      tasks: []
+    }, callbacks);
+
+    expect(callbacks.onToolCall).toHaveBeenCalledTimes(1);
+    expect(callbacks.onDone).toHaveBeenCalledTimes(1);
+    expect(callbacks.onError).not.toHaveBeenCalled();
+  });
+
+  it('passes the signal to the request and stays quiet when aborted', async () => {
+    const controller = new AbortController();
+    global.fetch = jest.fn().mockImplementation(async () => {
+      controller.abort();
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      throw error;
+    });
+    const callbacks = { onChunk: jest.fn(), onDone: jest.fn(), onError: jest.fn() };
+
+    await callLunaOverviewStreaming([{ role: 'user', content: 'Hi' }], {
+      milestone: { id: 'milestone-1', title: 'Wedding' },
+      tasks: []
+    }, callbacks, { signal: controller.signal });
+
+    expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    expect(callbacks.onDone).not.toHaveBeenCalled();
+    expect(callbacks.onError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  getRevealState,
+  buildAnswerComparison,
+  getSealedBand,
+  summarizeSealedAlignment
+} from '../../utils/assessmentPrivacy';
+
+// Every combination of answers to questions with the given option counts
+const allAnswers = (optionCounts) => optionCounts.reduce(
+  (combos, count) => combos.flatMap(combo => [...Array(count).keys()].map(option => [...combo, option])),
+  [[]]
+);
+
+describe('assessmentPrivacy', () => {
+  it('treats unsealed sessions as revealed', () => {
+    expect(getRevealState({ sealed: false }, 1)).toEqual({
+      sealed: false, revealed: true, myConsent: false, partnerConsent: false
+    });
+  });
+
+  it('tracks each partner\'s consent until both have opted in', () => {
+    const session = { sealed: true, partner2_reveal_consent_at: '2026-10-01T10:00:00Z' };
+
+    expect(getRevealState(session, 1)).toEqual({
+      sealed: true, revealed: false, myConsent: false, partnerConsent: true
+    });
+    expect(getRevealState(session, 2)).toEqual({
+      sealed: true, revealed: false, myConsent: true, partnerConsent: false
+    });
+    expect(getRevealState({
+      ...session,
+      partner1_reveal_consent_at: '2026-10-02T10:00:00Z',
+      revealed_at: '2026-10-02T10:00:00Z'
+    }, 1).revealed).toBe(true);
+  });
+
+  it('lays answers side by side as option labels', () => {
+    const questions = [
+      { id: 'q1', question: 'Rent or buy?', category: 'home', options: [{ value: 'rent', label: 'Rent' }, { value: 'buy', label: 'Buy' }] },
+      { id: 'q2', question: 'Kids?', category: 'family', options: [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }] }
+    ];
+    const responses = {
+      partner1Answers: { q1: { value: 'buy' }, q2: { value: 'yes' } },
+      partner2Answers: { q1: { value: 'buy' } }
+    };
+
+    expect(buildAnswerComparison(questions, responses)).toEqual([
+      { questionId: 'q1', question: 'Rent or buy?', category: 'home', partner1Answer: 'Buy', partner2Answer: 'Buy', same: true },
+      { questionId: 'q2', question: 'Kids?', category: 'family', partner1Answer: 'Yes', partner2Answer: null, same: false }
+    ]);
+  });
+
+  it('bands sealed categories so no band means all or none matched', () => {
+    expect(getSealedBand(3, 3)).toBe('in_step');
+    expect(getSealedBand(2, 3)).toBe('in_step');
+    expect(getSealedBand(1, 3)).toBe('apart');
+    expect(getSealedBand(2, 5)).toBe('mixed');
+    expect(getSealedBand(2, 2)).toBe('unrated');
+  });
+
+  it('never lets a partner work out the other\'s answers from the sealed scores', () => {
+    const questions = [
+      { category: 'family', options: 3 },
+      { category: 'family', options: 3 },
+      { category: 'family', options: 2 },
+      { category: 'finances', options: 2 },
+      { category: 'financial', options: 2 },
+      { category: 'financial', options: 4 },
+      { category: 'financial', options: 2 },
+      { category: 'financial', options: 2 },
+      { category: 'values', options: 2 },
+      { category: 'travel', options: 2 },
+      { category: 'travel', options: 3 }
+    ];
+    const optionCounts = questions.map(q => q.options);
+
+    // Whatever a partner answered themselves...
+    [questions.map(() => 0), questions.map(q => q.options - 1)].forEach(mine => {
+      const partnerAnswersBySummary = {};
+
+      allAnswers(optionCounts).forEach(theirs => {
+        const summary = summarizeSealedAlignment(questions.map((q, i) => ({
+          category: q.category,
+          matched: mine[i] === theirs[i]
+        })));
+
+        const key = JSON.stringify(summary);
+        partnerAnswersBySummary[key] = partnerAnswersBySummary[key] || questions.map(() => new Set());
+        theirs.forEach((answer, i) => partnerAnswersBySummary[key][i].add(answer));
+      });
+
+      // ...every summary they could see fits more than one answer to every question
+      Object.keys(partnerAnswersBySummary).forEach(key => JSON.parse(key).forEach(row => {
+        expect(Object.keys(row).sort()).toEqual(['band', 'category', 'pooled', 'question_count']);
+      }));
+      Object.values(partnerAnswersBySummary).forEach(possibleAnswers => {
+        possibleAnswers.forEach(answers => expect(answers.size).toBeGreaterThan(1));
+      });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import {
+  isRemoteMode,
+  getInitialExpiry,
+  getSessionExpiry,
+  getExtendedExpiry,
+  getNextReminderAt,
+  getResumeIndex
+} from '../../utils/assessmentSchedule';
+
+const now = new Date('2026-10-10T12:00:00Z');
+
+const asyncSession = {
+  mode: 'async',
+  status: 'questions_ready',
+  created_at: '2026-10-01T12:00:00Z',
+  expires_at: '2026-10-15T12:00:00Z'
+};
+
+describe('assessmentSchedule', () => {
+  it('treats separate and async sessions as remote', () => {
+    expect(isRemoteMode('separate')).toBe(true);
+    expect(isRemoteMode('async')).toBe(true);
+    expect(isRemoteMode('together')).toBe(false);
+  });
+
+  it('gives async sessions a longer lifetime', () => {
+    expect(getInitialExpiry('together', now)).toBe('2026-10-17T12:00:00.000Z');
+    expect(getInitialExpiry('async', now)).toBe('2026-10-24T12:00:00.000Z');
+  });
+
+  it('reports expiry with days left rounded up', () => {
+    expect(getSessionExpiry(asyncSession, now)).toEqual({ expired: false, daysLeft: 5 });
+    expect(getSessionExpiry({ expires_at: '2026-10-10T18:00:00Z' }, now)).toEqual({ expired: false, daysLeft: 1 });
+    expect(getSessionExpiry({ expires_at: '2026-10-09T12:00:00Z' }, now)).toEqual({ expired: true, daysLeft: 0 });
+  });
+
+  it('extends open sessions on top of the time left and reopens expired ones from now', () => {
+    expect(getExtendedExpiry(asyncSession, 7, now)).toBe('2026-10-22T12:00:00.000Z');
+    expect(getExtendedExpiry({ expires_at: '2026-10-01T00:00:00Z' }, 7, now)).toBe('2026-10-17T12:00:00.000Z');
+  });
+
+  it('schedules the next reminder from the latest activity or reminder', () => {
+    expect(getNextReminderAt(asyncSession, 2)).toEqual(new Date('2026-10-03T12:00:00Z'));
+    expect(getNextReminderAt({
+      ...asyncSession,
+      partner2_last_active_at: '2026-10-05T08:00:00Z',
+      partner2_last_reminded_at: '2026-10-06T09:00:00Z',
+      partner2_reminders_sent: 1
+    }, 2)).toEqual(new Date('2026-10-08T09:00:00Z'));
+  });
+
+  it('sends no reminder outside async mode, after the last one, when finished or past expiry', () => {
+    expect(getNextReminderAt({ ...asyncSession, mode: 'separate' }, 2)).toBeNull();
+    expect(getNextReminderAt({ ...asyncSession, partner2_reminders_sent: 3 }, 2)).toBeNull();
+    expect(getNextReminderAt(asyncSession, 2, { finished: true })).toBeNull();
+    expect(getNextReminderAt({ ...asyncSession, partner2_last_active_at: '2026-10-14T00:00:00Z' }, 2)).toBeNull();
+  });
+
+  it('resumes at the first unanswered question', () => {
+    const questions = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    expect(getResumeIndex(questions, {})).toBe(0);
+    expect(getResumeIndex(questions, { a: { value: 'x' }, c: { value: 'y' } })).toBe(1);
+    expect(getResumeIndex(questions, { a: {}, b: {}, c: {} })).toBe(3);
+  });
+});
@@ -0,0 +1,95 @@
+import {
+  summarizeBudgetPockets,
+  buildMilestoneBudgetSheet,
+  buildBudgetWorkbook,
+  buildBudgetCsv,
+  getBudgetExportFileName
+} from '../../utils/budgetExport';
+import { summarizeRoadmapBudget, summarizeExpensesByCategory } from '../../utils/currency';
+
+const rates = { EUR: 1, USD: 2 };
+
+const roadmap = { id: 'r1', title: 'Our Wedding', currency: 'EUR' };
+const milestones = [
+  { id: 'm1', title: 'Venue', budget_amount: 1000, currency: 'EUR', budget_pockets: { Venue: { target: 800 } } },
+  { id: 'm2', title: 'Honeymoon', budget_amount: 400, currency: 'USD' }
+];
+const expenses = [
+  { id: 'e1', milestone_id: 'm1', description: 'Deposit', amount: 300, currency: 'EUR', category: 'Venue', status: 'paid', paid_by_name: 'Sam', expense_date: '2026-02-01' },
+  { id: 'e2', milestone_id: 'm1', description: 'Balance', amount: 200, currency: 'USD', category: 'Venue', status: 'pending', expense_date: '2026-03-01' },
+  { id: 'e3', milestone_id: 'm1', description: 'Cake', amount: 50, currency: 'EUR', category: 'Catering', status: 'overdue', expense_date: '2026-01-15' },
+  { id: 'e4', milestone_id: 'm1', description: 'Old quote', amount: 999, currency: 'EUR', category: 'Venue', status: 'cancelled', expense_date: '2026-01-01' },
+  { id: 'e5', milestone_id: 'm2', description: 'Flights', amount: 100, currency: 'USD', category: 'Travel', status: 'paid', paid_by_name: 'Alex', expense_date: '2026-04-01' }
+];
+
+const rowStartingWith = (sheet, label) => sheet.rows.find(row => row[0] === label);
+
+describe('budgetExport', () => {
+  it('puts pocket targets next to actuals, leaving out cancelled expenses', () => {
+    const pockets = summarizeBudgetPockets({
+      milestone: milestones[0],
+      pockets: milestones[0].budget_pockets,
+      expenses: expenses.filter(e => e.milestone_id === 'm1'),
+      rates
+    });
+
+    expect(pockets).toEqual([
+      { pocket: 'Venue', target: 800, spent: 400, paid: 300, pending: 100, overdue: 0, remaining: 400 },
+      { pocket: 'Catering', target: null, spent: 50, paid: 0, pending: 0, overdue: 50, remaining: null }
+    ]);
+  });
+
+  it('lays out a milestone sheet with totals and every expense', () => {
+    const sheet = buildMilestoneBudgetSheet({
+      milestone: milestones[0],
+      pockets: milestones[0].budget_pockets,
+      expenses: expenses.filter(e => e.milestone_id === 'm1'),
+      rates
+    });
+
+    expect(sheet.name).toBe('Venue');
+    expect(rowStartingWith(sheet, 'Spent')).toEqual(['Spent', 450]);
+    expect(rowStartingWith(sheet, 'Remaining')).toEqual(['Remaining', 550]);
+    expect(rowStartingWith(sheet, 'Total')).toEqual(['Total', 800, 450, 300, 100, 50, 400]);
+
+    const header = sheet.rows.findIndex(row => row[0] === 'Date');
+    expect(sheet.headerRows).toContain(header);
+    expect(sheet.rows[header]).toContain('Amount (EUR)');
+    // Oldest first; converted amount after the original
+    expect(sheet.rows[header + 1].slice(0, 6)).toEqual(['2026-01-01', 'Old quote', 'Venue', 999, 'EUR', 999]);
+    expect(sheet.rows[header + 4].slice(0, 8)).toEqual(['2026-03-01', 'Balance', 'Venue', 200, 'USD', 100, 'Pending', '']);
+    expect(sheet.rows[header + 3][6]).toBe('Paid');
+    expect(sheet.rows[header + 3][7]).toBe('Sam');
+  });
+
+  it('starts the workbook with a summary matching the budget summary', () => {
+    const summary = summarizeRoadmapBudget({ roadmap, milestones, expenses, rates });
+    const categories = summarizeExpensesByCategory({ expenses, currency: 'EUR', rates });
+    const sheets = buildBudgetWorkbook({ roadmap, summary, categories, milestones, expenses, rates });
+
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Summary', 'Venue', 'Honeymoon']);
+    const [overview] = sheets;
+    expect(rowStartingWith(overview, 'Dream')).toEqual(['Dream', 'Our Wedding']);
+    expect(rowStartingWith(overview, 'Total budget')).toEqual(['Total budget', summary.total_budget]);
+    expect(rowStartingWith(overview, 'Total expenses')).toEqual(['Total expenses', summary.total_expenses]);
+    expect(rowStartingWith(overview, 'Remaining')).toEqual(['Remaining', summary.remaining_budget]);
+    expect(rowStartingWith(overview, 'Honeymoon')).toEqual(['Honeymoon', 'USD', 400, 100, 300]);
+
+    // Pockets come from the milestone row when not loaded separately
+    expect(rowStartingWith(sheets[1], 'Venue')[1]).toBe(800);
+  });
+
+  it('exports a flat CSV with the milestone of each expense', () => {
+    const lines = buildBudgetCsv({ milestones, expenses }).split('\r\n');
+    expect(lines[0]).toBe('Milestone,Date,Description,Pocket,Amount,Currency,Status,Paid by,Due date,Paid date,Payment method,Notes');
+    expect(lines).toHaveLength(expenses.length + 1);
+    expect(lines[lines.length - 1]).toBe('Honeymoon,2026-04-01,Flights,Travel,100,USD,Paid,Alex,,,,');
+  });
+
+  it('names files after the dream', () => {
+    expect(getBudgetExportFileName('Our Wedding!', 'xlsx', new Date('2026-05-01T12:00:00Z')))
+      .toBe('our-wedding-budget-2026-05-01.xlsx');
+    expect(getBudgetExportFileName('', 'csv', new Date('2026-05-01T12:00:00Z')))
+      .toBe('dream-budget-2026-05-01.csv');
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  buildCommentThreads,
+  splitMentions,
+  extractMentions,
+  getMentionQuery,
+  insertMention,
+  sumUnreadComments
+} from '../../utils/comments';
+
+const people = [
+  { userId: 'u1', name: 'Mary' },
+  { userId: 'u2', name: 'Mary Ann' },
+  { userId: 'u3', name: 'Sam' }
+];
+
+describe('buildCommentThreads', () => {
+  const at = (minute) => `2025-05-01T10:${String(minute).padStart(2, '0')}:00Z`;
+
+  it('nests replies under their top-level comment, oldest first', () => {
+    const threads = buildCommentThreads([
+      { id: 'r2', parent_id: 'c1', created_at: at(5) },
+      { id: 'c2', parent_id: null, created_at: at(3) },
+      { id: 'c1', parent_id: null, created_at: at(1) },
+      { id: 'r1', parent_id: 'c1', created_at: at(2) },
+      { id: 'r3', parent_id: 'r1', created_at: at(6) }
+    ]);
+
+    expect(threads.map(t => [t.id, t.replies.map(r => r.id)])).toEqual([
+      ['c1', ['r1', 'r2', 'r3']],
+      ['c2', []]
+    ]);
+  });
+
+  it('keeps a deleted comment only while it has live replies', () => {
+    const threads = buildCommentThreads([
+      { id: 'c1', deleted_at: at(9), created_at: at(1) },
+      { id: 'r1', parent_id: 'c1', created_at: at(2) },
+      { id: 'c2', deleted_at: at(9), created_at: at(3) },
+      { id: 'r2', parent_id: 'c2', deleted_at: at(9), created_at: at(4) }
+    ]);
+
+    expect(threads.map(t => [t.id, t.replies.map(r => r.id)])).toEqual([['c1', ['r1']]]);
+  });
+});
+
+describe('mentions', () => {
+  it('prefers the longest matching name and ignores partial words', () => {
+    expect(splitMentions('Thanks @Mary Ann and @mary! cc @Samantha', people)).toEqual([
+      { type: 'text', text: 'Thanks ' },
+      { type: 'mention', text: '@Mary Ann', userId: 'u2' },
+      { type: 'text', text: ' and ' },
+      { type: 'mention', text: '@mary', userId: 'u1' },
+      { type: 'text', text: '! cc @Samantha' }
+    ]);
+  });
+
+  it('ignores @ inside words such as email addresses', () => {
+    expect(extractMentions('Mail sam@Sam.com', people)).toEqual([]);
+  });
+
+  it('lists each mentioned user once', () => {
+    expect(extractMentions('@Sam can you check with @Mary? @Sam', people)).toEqual(['u3', 'u1']);
+  });
+
+  it('skips people without an account', () => {
+    expect(extractMentions('@Alex', [{ userId: null, name: 'Alex' }])).toEqual([]);
+  });
+});
+
+describe('mention autocomplete', () => {
+  it('finds the partial name before the caret', () => {
+    expect(getMentionQuery('Hi @Ma')).toEqual({ query: 'Ma', start: 3 });
+    expect(getMentionQuery('@')).toEqual({ query: '', start: 0 });
+    expect(getMentionQuery('mail me@home')).toBeNull();
+    expect(getMentionQuery('Hi @Ma there', 6)).toEqual({ query: 'Ma', start: 3 });
+  });
+
+  it('replaces the partial name with the chosen one', () => {
+    const text = 'Hi @ma, see you';
+    const mention = getMentionQuery(text, 6);
+    expect(insertMention(text, mention, 'Mary Ann', 6)).toEqual({
+      text: 'Hi @Mary Ann , see you',
+      caret: 13
+    });
+  });
+});
+
+describe('sumUnreadComments', () => {
+  it('adds up unread counts, optionally by target type', () => {
+    const counts = {
+      t1: { targetType: 'task', targetId: 't1', unread: 2 },
+      e1: { targetType: 'expense', targetId: 'e1', unread: 1 }
+    };
+    expect(sumUnreadComments(counts)).toBe(3);
+    expect(sumUnreadComments(counts, type => type === 'task')).toBe(2);
+    expect(sumUnreadComments()).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  compareCompatibilityResults,
+  buildCompatibilityTrend,
+  describeCompatibilityTrend
+} from '../../utils/compatibilityScoring';
+
+// Stored row, as read back from assessment_results
+const spring = {
+  session_id: 's1',
+  assessed_at: '2026-03-01T10:00:00Z',
+  alignment_score: 64,
+  category_scores: { financial: 50, timeline: 80, travel: 70 },
+  misalignments: [
+    { question: 'How much should we save each month?', severity: 'high' },
+    { question: 'Where should we live?', severity: 'medium' }
+  ]
+};
+
+// Fresh analysis output
+const autumn = {
+  session_id: 's2',
+  assessed_at: '2026-09-01T10:00:00Z',
+  alignmentScore: 78,
+  categoryScores: { financial: { score: 75 }, timeline: 80, communication: 90 },
+  misalignments: [
+    { question: 'Where should we live? ', severity: 'medium' },
+    { question: 'When should we have kids?', severity: 'high' }
+  ]
+};
+
+describe('compatibility trends', () => {
+  it('diffs two results per category in scoring order', () => {
+    const diff = compareCompatibilityResults(spring, autumn);
+
+    expect(diff.scoreChange).toBe(14);
+    expect(diff.categories).toEqual([
+      { category: 'timeline', previous: 80, current: 80, change: 0 },
+      { category: 'financial', previous: 50, current: 75, change: 25 },
+      { category: 'communication', previous: null, current: 90, change: null },
+      { category: 'travel', previous: 70, current: null, change: null }
+    ]);
+  });
+
+  it('sorts misalignments into resolved, new and still open', () => {
+    const diff = compareCompatibilityResults(spring, autumn);
+
+    expect(diff.resolved.map(m => m.question)).toEqual(['How much should we save each month?']);
+    expect(diff.emerged.map(m => m.question)).toEqual(['When should we have kids?']);
+    expect(diff.ongoing.map(m => m.question)).toEqual(['Where should we live? ']);
+  });
+
+  it('charts the overall score oldest first', () => {
+    expect(buildCompatibilityTrend([autumn, spring, { session_id: 's0' }])).toEqual([
+      { sessionId: 's1', date: '2026-03-01T10:00:00Z', score: 64 },
+      { sessionId: 's2', date: '2026-09-01T10:00:00Z', score: 78 }
+    ]);
+  });
+
+  it('describes the trend for Luna', () => {
+    expect(describeCompatibilityTrend([])).toBe('');
+
+    const text = describeCompatibilityTrend([autumn, spring]);
+    expect(text).toContain('2026-03-01: 64%, 2026-09-01: 78%');
+    expect(text).toContain('financial +25');
+    expect(text).toContain('Resolved since then: How much should we save each month?');
+    expect(text).toContain('New differences: When should we have kids?');
+    expect(text).toContain('Still open from the latest assessment: Where should we live? ; When should we have kids?');
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  buildConversationMilestone,
+  getCheckInDate,
+  getCheckInStatus,
+  getConversation
+} from '../../utils/conversationMilestones';
+import { DISCUSSION_TIPS, summarizeCheckins, describeCompatibilityTrend } from '../../utils/compatibilityScoring';
+
+const kids = {
+  question: 'When do you want to start a family?',
+  questionId: 'q-kids',
+  category: 'family',
+  partner1Answer: 'Within 2 years',
+  partner2Answer: 'In 5+ years',
+  severity: 'high',
+  discussionPrompt: 'What would need to be true for each of you to feel ready?'
+};
+
+describe('conversationMilestones', () => {
+  it('turns a misalignment into a relationship milestone with guide tasks and a check-in', () => {
+    const { milestone, tasks } = buildConversationMilestone(kids, {
+      sessionId: 's1', partner1Name: 'Maya', partner2Name: 'Sam', checkInDate: '2026-11-02'
+    });
+
+    expect(milestone).toMatchObject({
+      title: 'Talk it through: When do you want to start a family',
+      category: 'relationship',
+      target_date: '2026-11-02'
+    });
+    expect(getConversation(milestone)).toMatchObject({
+      sessionId: 's1', question: kids.question, questionId: 'q-kids', checkInDate: '2026-11-02'
+    });
+
+    expect(tasks.map(t => t.title)).toEqual([
+      'Open with the discussion starter', ...DISCUSSION_TIPS, 'Check in and re-rate'
+    ]);
+    expect(tasks[0].description).toBe(kids.discussionPrompt);
+    expect(tasks[1].description).toBe('Maya answered "Within 2 years", Sam answered "In 5+ years".');
+    expect(tasks[tasks.length - 1].due_date).toBe('2026-11-02');
+    expect(tasks.map(t => t.order_index)).toEqual(tasks.map((_, i) => i));
+  });
+
+  it('leaves answers out of sealed misalignments', () => {
+    const { tasks } = buildConversationMilestone({ question: 'Rent or buy?' });
+    expect(tasks[0].description).toMatch(/Rent or buy\?/);
+    expect(tasks[1].description).toBeNull();
+  });
+
+  it('marks the check-in due once the date passes until this partner re-rates', () => {
+    const conversation = { checkInDate: getCheckInDate(new Date('2026-10-19T12:00:00'), 14) };
+    expect(conversation.checkInDate).toBe('2026-11-02');
+
+    expect(getCheckInStatus(conversation, [], 'u1', new Date('2026-10-30T12:00:00')))
+      .toEqual({ due: false, daysLeft: 3, hasRated: false });
+    expect(getCheckInStatus(conversation, [], 'u1', new Date('2026-11-03T12:00:00')).due).toBe(true);
+    expect(getCheckInStatus(conversation, [{ user_id: 'u1', rating: 4 }], 'u1', new Date('2026-11-03T12:00:00')).due)
+      .toBe(false);
+  });
+
+  it('feeds each partner\'s latest re-rating into the assessment history', () => {
+    const checkins = [
+      { question: kids.question, user_id: 'u1', partner_name: 'Maya', rating: 2, created_at: '2026-11-02T10:00:00Z' },
+      { question: kids.question, user_id: 'u2', partner_name: 'Sam', rating: 3, created_at: '2026-11-02T11:00:00Z' },
+      { question: kids.question, user_id: 'u1', partner_name: 'Maya', rating: 4, created_at: '2026-11-20T10:00:00Z' }
+    ];
+
+    expect(summarizeCheckins(checkins)).toEqual([{
+      question: kids.question,
+      ratings: [
+        { partnerName: 'Maya', rating: 4, note: null, checkedInAt: '2026-11-20T10:00:00Z' },
+        { partnerName: 'Sam', rating: 3, note: null, checkedInAt: '2026-11-02T11:00:00Z' }
+      ],
+      average: 3.5,
+      lastCheckedInAt: '2026-11-20T10:00:00Z'
+    }]);
+
+    const summary = describeCompatibilityTrend([
+      { session_id: 's1', alignment_score: 64, assessed_at: '2026-10-19', misalignments: [kids], checkins }
+    ]);
+    expect(summary).toContain(`${kids.question} (Maya 4/5, Sam 3/5)`);
+  });
+});
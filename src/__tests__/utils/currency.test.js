@@ -0,0 +1,150 @@
+import {
+  normalizeCurrency,
+  formatCurrency,
+  convertAmount,
+  getExchangeRates,
+  setExchangeRate,
+  resetExchangeRates,
+  setDefaultCurrency,
+  getDefaultCurrency,
+  summarizeRoadmapBudget,
+  summarizeExpensesByCategory
+} from '../../utils/currency';
+
+const rates = { EUR: 1, USD: 2, GBP: 0.5 };
+
+describe('currency', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('normalizeCurrency', () => {
+    it('maps legacy symbols and lowercase codes to ISO codes', () => {
+      expect(normalizeCurrency('€')).toBe('EUR');
+      expect(normalizeCurrency('$')).toBe('USD');
+      expect(normalizeCurrency('gbp')).toBe('GBP');
+    });
+
+    it('falls back for missing or unknown values', () => {
+      expect(normalizeCurrency(undefined)).toBe('EUR');
+      expect(normalizeCurrency('XYZ', 'USD')).toBe('USD');
+    });
+  });
+
+  describe('formatCurrency', () => {
+    it('formats in the given currency and locale', () => {
+      expect(formatCurrency(1234, 'USD', { locale: 'en-US' })).toBe('$1,234');
+      expect(formatCurrency(1234.5, 'EUR', { locale: 'en-US', maximumFractionDigits: 2 })).toBe('€1,234.5');
+    });
+
+    it('uses the default currency when none is given', () => {
+      setDefaultCurrency('GBP');
+      expect(getDefaultCurrency()).toBe('GBP');
+      expect(formatCurrency(50, undefined, { locale: 'en-GB' })).toBe('£50');
+    });
+
+    it('renders missing amounts as a dash', () => {
+      expect(formatCurrency(null, 'EUR')).toBe('—');
+    });
+  });
+
+  describe('exchange rates', () => {
+    it('converts through EUR', () => {
+      expect(convertAmount(100, 'USD', 'GBP', rates)).toBe(25);
+      expect(convertAmount(100, 'EUR', 'EUR', rates)).toBe(100);
+    });
+
+    it('returns null when a rate is missing', () => {
+      expect(convertAmount(100, 'JPY', 'EUR', rates)).toBeNull();
+    });
+
+    it('keeps user edits until reset', () => {
+      setExchangeRate('USD', 1.25);
+      expect(getExchangeRates().USD).toBe(1.25);
+      expect(resetExchangeRates().USD).toBe(1.08);
+    });
+
+    it('rejects non-positive rates and changes to EUR', () => {
+      expect(() => setExchangeRate('USD', 0)).toThrow();
+      expect(() => setExchangeRate('EUR', 2)).toThrow();
+    });
+  });
+
+  describe('summarizeRoadmapBudget', () => {
+    it('converts milestones and expenses into the roadmap currency', () => {
+      const summary = summarizeRoadmapBudget({
+        roadmap: { id: 'r1', currency: 'EUR' },
+        milestones: [
+          { id: 'm1', budget_amount: 1000, currency: 'EUR', completed: true },
+          { id: 'm2', budget_amount: 400, currency: 'USD' }
+        ],
+        expenses: [
+          { milestone_id: 'm1', amount: 100, currency: 'EUR', status: 'paid' },
+          { milestone_id: 'm2', amount: 200, status: 'pending' },
+          { milestone_id: 'm1', amount: 50, currency: 'GBP', status: 'paid' },
+          { milestone_id: 'm1', amount: 999, currency: 'EUR', status: 'cancelled' }
+        ],
+        rates
+      });
+
+      expect(summary).toMatchObject({
+        currency: 'EUR',
+        total_milestones: 2,
+        completed_milestones: 1,
+        total_budget: 1200,
+        total_expenses: 300,
+        total_paid: 200,
+        total_pending: 100,
+        remaining_budget: 900,
+        unconvertedCurrencies: []
+      });
+    });
+
+    it('reports currencies it has no rate for', () => {
+      const summary = summarizeRoadmapBudget({
+        roadmap: { id: 'r1', currency: 'EUR' },
+        milestones: [{ id: 'm1', budget_amount: 100, currency: 'EUR' }],
+        expenses: [{ milestone_id: 'm1', amount: 500, currency: 'JPY', status: 'paid' }],
+        rates
+      });
+
+      expect(summary.total_expenses).toBe(0);
+      expect(summary.unconvertedCurrencies).toEqual(['JPY']);
+    });
+
+    it('reports unsupported currencies instead of taking them 1:1', () => {
+      expect(convertAmount(100, 'THB', 'EUR', rates)).toBeNull();
+
+      const summary = summarizeRoadmapBudget({
+        roadmap: { id: 'r1', currency: 'EUR' },
+        milestones: [{ id: 'm1', budget_amount: 100, currency: 'THB' }],
+        expenses: [
+          { milestone_id: 'm1', amount: 500, status: 'paid' },
+          { milestone_id: 'm1', amount: 20, currency: 'EUR', status: 'paid' }
+        ],
+        rates
+      });
+
+      expect(summary.total_budget).toBe(0);
+      expect(summary.total_expenses).toBe(20);
+      expect(summary.unconvertedCurrencies).toEqual(['THB']);
+    });
+  });
+
+  describe('summarizeExpensesByCategory', () => {
+    it('groups converted totals by category, largest first', () => {
+      const breakdown = summarizeExpensesByCategory({
+        expenses: [
+          { category: 'Venue', amount: 100, currency: 'EUR', status: 'paid' },
+          { category: 'Travel', amount: 400, currency: 'USD', status: 'pending' },
+          { category: 'Travel', amount: 10, currency: 'EUR', status: 'paid' }
+        ],
+        currency: 'EUR',
+        rates
+      });
+
+      expect(breakdown.map(g => [g.category, g.total_amount])).toEqual([['Travel', 210], ['Venue', 100]]);
+      expect(breakdown[0]).toMatchObject({ expense_count: 2, paid_amount: 10, pending_amount: 200, currency: 'EUR' });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import {
+  DATA_ARCHIVE_VERSION,
+  createDataArchive,
+  parseDataArchive,
+  listArchiveDreams,
+  planDataArchiveImport
+} from '../../utils/dataArchive';
+
+const data = {
+  roadmaps: [
+    { id: 'r1', user_id: 'old-user', partner_id: 'partner', title: 'House' },
+    { id: 'r2', user_id: 'old-user', title: 'Wedding' }
+  ],
+  milestones: [
+    { id: 'm1', roadmap_id: 'r1', title: 'Deposit', deep_dive_data: { steps: 3 }, budget_pockets: { fees: { target: 500 } } },
+    { id: 'm2', roadmap_id: 'r2', title: 'Venue' }
+  ],
+  tasks: [
+    { id: 't2', milestone_id: 'm1', parent_task_id: 't1', completed_by: 'partner' },
+    { id: 't1', milestone_id: 'm1', parent_task_id: null, completed_by: 'old-user' },
+    { id: 't3', milestone_id: 'm2' }
+  ],
+  expenses: [{ id: 'e1', roadmap_id: 'r1', milestone_id: 'm1', user_id: 'partner', amount: 100 }],
+  activity_feed: [{ id: 'a1', roadmap_id: 'r1', actor_id: 'old-user', target_type: 'task', target_id: 't1' }],
+  assessment_sessions: [{ id: 's1', user_id: 'old-user', session_code: 'ABCD2345' }],
+  notification_preferences: [{ id: 'p1', user_id: 'old-user', push_enabled: false }]
+};
+
+const counter = () => {
+  let next = 0;
+  return () => `new-${++next}`;
+};
+
+const archive = () => parseDataArchive(JSON.stringify(createDataArchive({
+  account: { id: 'old-user', email: 'a@example.com' },
+  data,
+  exportedAt: new Date('2026-01-01T00:00:00Z')
+})));
+
+const rowsOf = (plan, table) => plan.find(step => step.table === table)?.rows || [];
+
+describe('dataArchive', () => {
+  it('round-trips an export with every table present', () => {
+    const parsed = archive();
+    expect(parsed.version).toBe(DATA_ARCHIVE_VERSION);
+    expect(parsed.counts.tasks).toBe(3);
+    expect(parsed.data.comments).toBeUndefined();
+    expect(parsed.data.task_dependencies).toEqual([]);
+    expect(listArchiveDreams(parsed)).toEqual([
+      { id: 'r1', title: 'House', milestones: 1, tasks: 2 },
+      { id: 'r2', title: 'Wedding', milestones: 1, tasks: 1 }
+    ]);
+  });
+
+  it('rejects other files and newer versions', () => {
+    expect(() => parseDataArchive('not json')).toThrow('not a TwogetherForward data archive');
+    expect(() => parseDataArchive({ format: 'other', data: {} })).toThrow('not a TwogetherForward data archive');
+    expect(() => parseDataArchive({ ...archive(), version: DATA_ARCHIVE_VERSION + 1 })).toThrow('newer version');
+  });
+
+  it('gives every row a new id and remaps references', () => {
+    const plan = planDataArchiveImport(archive(), { userId: 'me', newId: counter(), newSessionCode: () => 'NEWCODE1' });
+
+    const [roadmap] = rowsOf(plan, 'roadmaps');
+    expect(roadmap).toEqual({ id: 'new-1', user_id: 'me', title: 'House' });
+
+    const milestone = rowsOf(plan, 'milestones')[0];
+    expect(milestone.roadmap_id).toBe('new-1');
+    expect(milestone.budget_pockets).toEqual({ fees: { target: 500 } });
+
+    // Parent task first, subtask points at its new id
+    const [parent] = rowsOf(plan, 'tasks');
+    const subtask = rowsOf(plan, 'tasks').find(task => task.parent_task_id);
+    expect(parent.completed_by).toBe('me');
+    expect(subtask.parent_task_id).toBe(parent.id);
+    expect(subtask.completed_by).toBeNull();
+
+    expect(rowsOf(plan, 'expenses')[0].user_id).toBe('me');
+    expect(rowsOf(plan, 'activity_feed')[0].target_id).toBe(parent.id);
+    expect(rowsOf(plan, 'assessment_sessions')[0].session_code).toBe('NEWCODE1');
+
+    const prefs = plan.find(step => step.table === 'notification_preferences');
+    expect(prefs.onConflict).toBe('user_id');
+    expect(prefs.rows).toEqual([{ user_id: 'me', push_enabled: false }]);
+  });
+
+  it('restores assessment sessions without the original partner or their consent', () => {
+    const sealedArchive = parseDataArchive(createDataArchive({
+      account: { id: 'old-user' },
+      data: {
+        assessment_sessions: [{
+          id: 's1',
+          user_id: 'old-user',
+          partner2_user_id: 'partner',
+          sealed: true,
+          partner1_reveal_consent_at: '2026-01-01T00:00:00Z',
+          partner2_reveal_consent_at: '2026-01-02T00:00:00Z',
+          revealed_at: '2026-01-02T00:00:00Z'
+        }]
+      }
+    }));
+
+    const [session] = rowsOf(planDataArchiveImport(sealedArchive, { userId: 'me', newId: counter() }), 'assessment_sessions');
+    expect(session).toEqual({
+      id: 'new-1',
+      user_id: 'me',
+      partner2_user_id: null,
+      sealed: false,
+      partner1_reveal_consent_at: null,
+      partner2_reveal_consent_at: null,
+      revealed_at: null
+    });
+  });
+
+  it('imports one dream without the rest of the account', () => {
+    const plan = planDataArchiveImport(archive(), { userId: 'me', roadmapId: 'r2', newId: counter() });
+
+    expect(plan.map(step => step.table)).toEqual(['roadmaps', 'milestones', 'tasks']);
+    expect(rowsOf(plan, 'roadmaps')[0].title).toBe('Wedding');
+    expect(rowsOf(plan, 'tasks')).toHaveLength(1);
+  });
+});
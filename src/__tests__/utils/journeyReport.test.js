@@ -0,0 +1,95 @@
+import { JOURNEY_REPORT_SECTION_IDS, buildJourneyReport } from '../../utils/journeyReport';
+
+const rates = { EUR: 1, USD: 2 };
+
+const dream = {
+  roadmap: { id: 'r1', title: 'First Home', currency: 'EUR', partner1_name: 'Sam', partner2_name: 'Alex', target_date: '2027-06-01' },
+  milestones: [{
+    id: 'm1',
+    title: 'Deposit',
+    currency: 'EUR',
+    budget_amount: 5000,
+    target_date: '2027-01-15',
+    budget_pockets: { Fees: { target: 800 } },
+    deep_dive_data: {
+      roadmapPhases: [
+        { title: 'Phase 1: Save up', duration: '6 months', estimatedCost: 4000 },
+        { title: 'Phase 2: Apply', duration: '1 month' }
+      ]
+    }
+  }],
+  tasks: [
+    { id: 't1', milestone_id: 'm1', title: 'Open savings account', assigned_to: 'Sam', completed: true, roadmap_phase_index: 0, priority: 'high' },
+    { id: 't2', milestone_id: 'm1', title: 'Compare lenders', assigned_to: 'Alex', due_date: '2026-11-02', roadmap_phase_index: 1 },
+    { id: 't3', milestone_id: 'm1', title: 'Book viewing', due_date: '2026-10-30', parent_task_id: 't2' },
+    { id: 't4', milestone_id: 'm1', title: 'Old idea', deleted: true }
+  ],
+  expenses: [
+    { id: 'e1', milestone_id: 'm1', description: 'Valuation', amount: 300, currency: 'EUR', category: 'Fees', status: 'paid', paid_by_name: 'Alex', expense_date: '2026-09-01' },
+    { id: 'e2', milestone_id: 'm1', description: 'Broker', amount: 200, currency: 'USD', category: 'Fees', status: 'pending', expense_date: '2026-09-10', due_date: '2026-11-01' }
+  ]
+};
+
+const sectionOf = (report, id) => report.dreams[0].sections.find(section => section.id === id);
+
+describe('journeyReport', () => {
+  it('builds only the chosen sections, in a fixed order', () => {
+    const report = buildJourneyReport({ dreams: [dream], sections: ['timeline', 'phases'], rates });
+    expect(report.dreams[0].sections.map(section => section.id)).toEqual(['phases', 'timeline']);
+    expect(report.compatibility).toBeNull();
+    expect(report.dreams[0].progress).toMatchObject({ title: 'First Home', total_milestones: 1, total_tasks: 3, completed_tasks: 1 });
+  });
+
+  it('gives the same content for the same data', () => {
+    const first = buildJourneyReport({ dreams: [dream], rates });
+    const second = buildJourneyReport({ dreams: [JSON.parse(JSON.stringify(dream))], rates });
+    expect(second).toEqual(first);
+    expect(first.dreams[0].sections.map(section => section.id))
+      .toEqual(JOURNEY_REPORT_SECTION_IDS.filter(id => id !== 'compatibility'));
+  });
+
+  it('lays out phases, tasks per partner, pockets, ledger and timeline', () => {
+    const report = buildJourneyReport({ dreams: [dream], rates });
+
+    expect(sectionOf(report, 'phases').tables[0].body).toEqual([
+      ['1. Save up', '6 months', '4,000.00 EUR', '1/1'],
+      ['2. Apply', '1 month', '', '0/1']
+    ]);
+
+    const tasks = sectionOf(report, 'tasks');
+    expect(tasks.tables.map(table => table.title)).toEqual(['Sam', 'Alex', 'Both of you']);
+    expect(tasks.summary[0]).toBe('Sam: 1 of 1 done');
+    expect(tasks.tables[2].body[0][0]).toBe('Compare lenders: Book viewing');
+
+    const budget = sectionOf(report, 'budget');
+    expect(budget.tables[0].body[1]).toEqual(['Spent', '400.00 EUR']);
+    expect(budget.tables[1].body).toEqual([['Fees', '800.00 EUR', '400.00 EUR', '400.00 EUR']]);
+
+    expect(sectionOf(report, 'expenses').tables[0].body[0])
+      .toEqual(['2026-09-01', 'Valuation', 'Deposit', 'Fees', '300.00 EUR', 'Paid', 'Alex']);
+
+    expect(sectionOf(report, 'timeline').tables[0].body.map(row => row[0]))
+      .toEqual(['2026-10-30', '2026-11-01', '2026-11-02', '2027-01-15', '2027-06-01']);
+  });
+
+  it('adds the latest compatibility results when chosen', () => {
+    const report = buildJourneyReport({
+      dreams: [],
+      sections: ['compatibility'],
+      assessment: {
+        session: { partner1_name: 'Sam', partner2_name: 'Alex', created_at: '2026-08-01T10:00:00Z' },
+        results: {
+          alignment_score: 82.4,
+          category_scores: { timeline: 90, financial: 70 },
+          misalignments: [{ question: 'Kids?', partner1Answer: 'Soon', partner2Answer: 'Later', severity: 'high' }],
+          discussion_prompts: ['When do you picture kids?']
+        }
+      }
+    });
+
+    expect(report.compatibility.summary).toEqual(['Sam & Alex - assessed 2026-08-01', 'Overall alignment: 82%']);
+    expect(report.compatibility.tables[0].body).toEqual([['Financial', '70%'], ['Timeline', '90%']]);
+    expect(report.compatibility.tables[1].head).toEqual(['Question', 'Sam', 'Alex', 'Severity']);
+    expect(report.compatibility.tables[2].body).toEqual([['When do you picture kids?']]);
+  });
+});
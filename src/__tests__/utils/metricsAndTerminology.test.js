@@ -0,0 +1,78 @@
+import {
+  getSubtasks,
+  isTaskComplete,
+  calculateTaskProgress,
+  calculateStepProgress,
+  calculateRoadmapProgress,
+  calculateVelocity,
+  TERMINOLOGY
+} from '../../utils/metricsAndTerminology';
+
+// "Book vendors" broken into three steps, plus a plain task
+const tasks = [
+  { id: 'vendors', title: 'Book vendors', completed: false, roadmap_phase_index: 0 },
+  { id: 's3', parent_task_id: 'vendors', title: 'Florist', completed: false, order_index: 2 },
+  { id: 's1', parent_task_id: 'vendors', title: 'Caterer', completed: true, order_index: 0 },
+  { id: 's2', parent_task_id: 'vendors', title: 'Band', completed: true, order_index: 1 },
+  { id: 'invites', title: 'Send invitations', completed: true, roadmap_phase_index: 1 }
+];
+
+const milestone = {
+  deep_dive_data: { roadmapPhases: [{ title: 'Vendors' }, { title: 'Guests' }] }
+};
+
+const withStep = (id, completed) => tasks.map(t => (t.id === id ? { ...t, completed } : t));
+
+describe('subtask progress', () => {
+  it('lists subtasks in order', () => {
+    expect(getSubtasks(tasks[0], tasks).map(t => t.id)).toEqual(['s1', 's2', 's3']);
+  });
+
+  it('counts a task with subtasks as one step per subtask', () => {
+    expect(calculateTaskProgress(tasks[0], tasks)).toEqual({ completed: 2, total: 3, percentage: 67 });
+    expect(calculateTaskProgress(tasks[4], tasks)).toEqual({ completed: 1, total: 1, percentage: 100 });
+    expect(calculateStepProgress(tasks)).toEqual({ completed: 3, total: 4, percentage: 75 });
+  });
+
+  it('treats a task as done when it or all of its subtasks are', () => {
+    expect(isTaskComplete(tasks[0], tasks)).toBe(false);
+    expect(isTaskComplete(tasks[0], withStep('s3', true))).toBe(true);
+    expect(isTaskComplete({ ...tasks[0], completed: true }, tasks)).toBe(true);
+    expect(calculateTaskProgress({ ...tasks[0], completed: true }, tasks).completed).toBe(3);
+  });
+});
+
+describe('calculateRoadmapProgress', () => {
+  it('completes a phase once the subtasks of its tasks are done', () => {
+    expect(calculateRoadmapProgress(milestone, tasks)).toEqual({
+      completedRoadmaps: 1, totalRoadmaps: 2, percentage: 50
+    });
+    expect(calculateRoadmapProgress(milestone, withStep('s3', true))).toEqual({
+      completedRoadmaps: 2, totalRoadmaps: 2, percentage: 100
+    });
+  });
+
+  it('ignores subtasks that carry a phase index of their own', () => {
+    const stray = [...tasks, { id: 's4', parent_task_id: 'invites', completed: false, roadmap_phase_index: 1 }];
+    expect(calculateRoadmapProgress(milestone, stray).completedRoadmaps).toBe(1);
+  });
+});
+
+describe('calculateVelocity', () => {
+  it('keeps the budget-based score when there are no routines', () => {
+    expect(calculateVelocity(50, 40, 50, true)).toMatchObject({ score: 22, routineConsistency: null });
+  });
+
+  it('uses routine consistency instead of budget alignment for routines', () => {
+    // On schedule, budget untouched, but routines kept 90% of the time
+    const velocity = calculateVelocity(40, 40, 0, true, 90);
+    expect(velocity.score).toBe(12);
+    expect(velocity.label).toBe(TERMINOLOGY.STATUS_EXCELLENT);
+  });
+
+  it('weighs routines half without a target date', () => {
+    expect(calculateVelocity(20, 0, 0, false, 20).score).toBe(-30);
+    expect(calculateVelocity(20, 0, 0, false).score).toBe(-30);
+    expect(calculateVelocity(20, 0, 0, false, 100).score).toBe(10);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  buildPublicDreamUrl,
+  getPublicLinkStatus,
+  summarizePublicDream
+} from '../../utils/publicDream';
+
+const rates = { EUR: 1, USD: 2 };
+
+const milestones = [
+  {
+    id: 'm1',
+    currency: 'EUR',
+    completed: false,
+    budget_amount: 1000,
+    has_budget: true,
+    tasks: [{ completed: true }, { completed: false }],
+    spend: [
+      { currency: 'EUR', status: 'paid', amount: 200 },
+      { currency: 'USD', status: 'pending', amount: 400 }
+    ]
+  },
+  { id: 'm2', currency: 'EUR', completed: true, has_budget: false, tasks: [], spend: [] }
+];
+
+describe('publicDream', () => {
+  it('builds the page URL from the token', () => {
+    expect(buildPublicDreamUrl('abc', 'https://example.com')).toBe('https://example.com/shared/abc');
+  });
+
+  it('tells revoked and expired links apart', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    expect(getPublicLinkStatus({ expires_at: '2026-07-01T00:00:00Z' }, now)).toBe('active');
+    expect(getPublicLinkStatus({ expires_at: '2026-05-01T00:00:00Z' }, now)).toBe('expired');
+    expect(getPublicLinkStatus({ expires_at: '2026-07-01T00:00:00Z', revoked_at: '2026-05-20' }, now)).toBe('revoked');
+  });
+
+  it('counts task progress and completed milestones', () => {
+    const summary = summarizePublicDream({ link: {}, roadmap: {}, milestones }, { rates });
+
+    expect(summary.milestones[0].progress.percentage).toBe(50);
+    expect(summary.milestones[1].progress.percentage).toBe(100);
+    expect(summary.progress).toEqual({ completed: 1, total: 2, percentage: 75 });
+    expect(summary.milestones[0].budget).toBeNull();
+    expect(summary.budget).toBeNull();
+  });
+
+  it('converts spend amounts into the milestone and roadmap currency', () => {
+    const link = { show_budget: true, show_amounts: true };
+    const summary = summarizePublicDream({ link, roadmap: { currency: 'EUR' }, milestones }, { rates });
+
+    expect(summary.milestones[0].budget).toEqual({
+      percent: 40, budget: 1000, spent: 400, paid: 200, currency: 'EUR'
+    });
+    expect(summary.budget.total_budget).toBe(1000);
+    expect(summary.budget.total_expenses).toBe(400);
+  });
+
+  it('gives only percentages when amounts are hidden, leaving out other currencies', () => {
+    const hidden = [{
+      ...milestones[0],
+      budget_amount: undefined,
+      spend: [{ currency: 'EUR', ratio: 0.2 }, { currency: 'USD', ratio: null }]
+    }, milestones[1]];
+    const link = { show_budget: true, show_amounts: false };
+    const summary = summarizePublicDream({ link, roadmap: {}, milestones: hidden }, { rates });
+
+    expect(summary.milestones[0].budget).toEqual({ percent: 20, currency: 'EUR', otherCurrencies: ['USD'] });
+    expect(summary.milestones[1].budget).toEqual({ percent: null, currency: 'EUR' });
+    expect(summary.budget).toBeNull();
+  });
+});
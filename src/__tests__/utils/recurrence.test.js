@@ -0,0 +1,82 @@
+import {
+  getOccurrenceDates,
+  getNextOccurrence,
+  getMonthlyAmount,
+  getMonthlySavings,
+  describeRecurrence
+} from '../../utils/recurrence';
+
+describe('recurrence', () => {
+  describe('getOccurrenceDates', () => {
+    it('keeps the day of month, clamped to shorter months', () => {
+      const rule = { frequency: 'monthly', interval: 1, start_date: '2025-01-31' };
+      expect(getOccurrenceDates(rule, { to: '2025-04-30' })).toEqual([
+        '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30'
+      ]);
+    });
+
+    it('repeats every N weeks within the window', () => {
+      const rule = { frequency: 'weekly', interval: 2, start_date: '2025-03-03' };
+      expect(getOccurrenceDates(rule, { from: '2025-03-10', to: '2025-04-01' })).toEqual([
+        '2025-03-17', '2025-03-31'
+      ]);
+    });
+
+    it('stops after the instalments or the end date', () => {
+      expect(getOccurrenceDates(
+        { frequency: 'monthly', interval: 3, start_date: '2025-01-15', installments: 3 },
+        { to: '2030-01-01' }
+      )).toEqual(['2025-01-15', '2025-04-15', '2025-07-15']);
+      expect(getOccurrenceDates(
+        { frequency: 'monthly', interval: 1, start_date: '2025-01-15', end_date: '2025-02-20' },
+        { to: '2030-01-01' }
+      )).toEqual(['2025-01-15', '2025-02-15']);
+    });
+
+    it('needs a window end for rules that never finish', () => {
+      expect(getOccurrenceDates({ frequency: 'monthly', start_date: '2025-01-01' })).toEqual([]);
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    const rule = { frequency: 'monthly', interval: 1, start_date: '2025-01-10', installments: 3 };
+
+    it('finds the next date on or after a day', () => {
+      expect(getNextOccurrence(rule, '2025-02-11')).toBe('2025-03-10');
+      expect(getNextOccurrence({ ...rule, start_date: '2026-06-01' }, '2025-01-01')).toBe('2026-06-01');
+    });
+
+    it('returns null once the rule has finished', () => {
+      expect(getNextOccurrence(rule, '2025-03-11')).toBeNull();
+    });
+  });
+
+  describe('monthly amounts', () => {
+    const asOf = '2025-01-01';
+
+    it('spreads weekly and multi-month rules over a month', () => {
+      expect(getMonthlyAmount({ amount: 300, frequency: 'monthly', interval: 3, start_date: asOf }, { asOf })).toBe(100);
+      expect(getMonthlyAmount({ amount: 120, frequency: 'weekly', interval: 1, start_date: asOf }, { asOf })).toBeCloseTo(520);
+    });
+
+    it('counts paused and finished rules as nothing', () => {
+      expect(getMonthlyAmount({ amount: 100, frequency: 'monthly', start_date: asOf, active: false }, { asOf })).toBe(0);
+      expect(getMonthlyAmount({ amount: 100, frequency: 'monthly', start_date: '2024-01-01', installments: 2 }, { asOf })).toBe(0);
+    });
+
+    it('sums only savings rules', () => {
+      expect(getMonthlySavings([
+        { kind: 'savings', amount: 200, frequency: 'monthly', start_date: asOf },
+        { kind: 'expense', amount: 900, frequency: 'monthly', start_date: asOf }
+      ], { asOf })).toBe(200);
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('describes the schedule', () => {
+      expect(describeRecurrence({ frequency: 'monthly', interval: 1 })).toBe('Monthly');
+      expect(describeRecurrence({ frequency: 'weekly', interval: 2 })).toBe('Every 2 weeks');
+      expect(describeRecurrence({ frequency: 'monthly', interval: 1, installments: 6 })).toBe('6 monthly instalments');
+    });
+  });
+});
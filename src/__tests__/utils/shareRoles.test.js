@@ -0,0 +1,35 @@
+import {
+  SHARE_ROLES,
+  hasShareRole,
+  roleCanEdit,
+  roleCanComment,
+  roleCanManageSharing,
+  describeShareRole
+} from '../../utils/shareRoles';
+
+describe('shareRoles', () => {
+  it('ranks roles from viewer up to owner', () => {
+    expect(hasShareRole(SHARE_ROLES.OWNER, SHARE_ROLES.EDITOR)).toBe(true);
+    expect(hasShareRole(SHARE_ROLES.EDITOR, SHARE_ROLES.EDITOR)).toBe(true);
+    expect(hasShareRole(SHARE_ROLES.COMMENTER, SHARE_ROLES.EDITOR)).toBe(false);
+    expect(hasShareRole(SHARE_ROLES.VIEWER, SHARE_ROLES.COMMENTER)).toBe(false);
+  });
+
+  it('gives no access without a known role', () => {
+    expect(hasShareRole(null, SHARE_ROLES.VIEWER)).toBe(false);
+    expect(hasShareRole('full', SHARE_ROLES.VIEWER)).toBe(false);
+    expect(describeShareRole(null)).toBe('No access');
+  });
+
+  it('lets commenters comment but not edit', () => {
+    expect(roleCanComment(SHARE_ROLES.COMMENTER)).toBe(true);
+    expect(roleCanEdit(SHARE_ROLES.COMMENTER)).toBe(false);
+    expect(roleCanComment(SHARE_ROLES.VIEWER)).toBe(false);
+  });
+
+  it('keeps sharing to owners', () => {
+    expect(roleCanManageSharing(SHARE_ROLES.OWNER)).toBe(true);
+    expect(roleCanManageSharing(SHARE_ROLES.EDITOR)).toBe(false);
+    expect(describeShareRole(SHARE_ROLES.OWNER)).toBe('Co-owner');
+  });
+});
@@ -0,0 +1,60 @@
+import { toCsv, toSheetNames, buildXlsx } from '../../utils/spreadsheet';
+
+// Stored zips keep the XML readable in the bytes
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = Buffer.from(bytes.slice(offset + 30, offset + 30 + nameLength)).toString('utf8');
+    const start = offset + 30 + nameLength;
+    files[name] = Buffer.from(bytes.slice(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+};
+
+describe('spreadsheet', () => {
+  it('quotes CSV cells and neutralises formulas', () => {
+    expect(toCsv([
+      ['Name', 'Amount'],
+      ['Venue, deposit', 1200.5],
+      ['Say "hi"', null],
+      ['=SUM(A1:A2)', -5]
+    ])).toBe('Name,Amount\r\n"Venue, deposit",1200.5\r\n"Say ""hi""",\r\n\'=SUM(A1:A2),-5');
+  });
+
+  it('makes sheet names Excel accepts', () => {
+    expect(toSheetNames(['Summary', 'Venue / Catering: [deposit]', 'summary', '', 'A'.repeat(40), 'A'.repeat(40)]))
+      .toEqual(['Summary', 'Venue   Catering   deposit', 'summary (2)', 'Sheet 4', 'A'.repeat(31), `${'A'.repeat(27)} (2)`]);
+  });
+
+  it('writes a workbook with one worksheet per sheet', () => {
+    const files = readZip(buildXlsx([
+      { name: 'Summary', rows: [['Pocket', 'Total'], ['Rings & bands', 1500], ['Café <Paris>', '']] },
+      { name: 'Venue', rows: [['Only row']], headerRows: [] }
+    ]));
+
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Summary" sheetId="1" r:id="rId1"/>');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Venue" sheetId="2" r:id="rId2"/>');
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Pocket</t></is></c>');
+    expect(sheet).toContain('<c r="B2" s="2"><v>1500</v></c>');
+    expect(sheet).toContain('Rings &amp; bands');
+    expect(sheet).toContain('Café &lt;Paris&gt;');
+    expect(sheet).not.toContain('r="B3"');
+    expect(files['xl/worksheets/sheet2.xml']).not.toContain('s="1"');
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  getTaskDurationDays,
+  findDependencyCycle,
+  wouldCreateCycle,
+  getBlockers,
+  calculateSchedule
+} from '../../utils/taskDependencies';
+
+const today = '2026-06-01';
+
+const link = (from, to) => ({
+  id: `${from}-${to}`,
+  predecessor_task_id: from,
+  successor_task_id: to
+});
+
+describe('getTaskDurationDays', () => {
+  it('turns estimates into whole days of work', () => {
+    expect(getTaskDurationDays({ title: 'Book the venue' })).toBe(1);
+    expect(getTaskDurationDays({ title: 'Research lenders' })).toBe(2);
+    expect(getTaskDurationDays({ title: 'Design invitations' })).toBe(3);
+    expect(getTaskDurationDays({ title: 'Move', estimated_time: '1-2 weeks' })).toBe(14);
+  });
+});
+
+describe('dependency cycles', () => {
+  const milestone = { deep_dive_data: { roadmapPhases: [{ title: 'Plan' }, { title: 'Book' }] } };
+  const tasks = [
+    { id: 'a', title: 'Set budget', roadmap_phase_index: 0 },
+    { id: 'b', title: 'Book venue', roadmap_phase_index: 1 },
+    { id: 'c', title: 'Pick a date' }
+  ];
+
+  it('finds a loop between tasks', () => {
+    const cycle = findDependencyCycle({ milestone, tasks, dependencies: [link('c', 'b'), link('b', 'c')] });
+    expect(cycle).toHaveLength(2);
+    expect(cycle).toEqual(expect.arrayContaining(['task:b', 'task:c']));
+  });
+
+  it('counts the phase order as a dependency', () => {
+    const input = { milestone, tasks, dependencies: [] };
+    expect(wouldCreateCycle(input, link('c', 'b'))).toBe(false);
+    // Set budget (phase 1) can't wait on Book venue (phase 2)
+    expect(wouldCreateCycle(input, link('b', 'a'))).toBe(true);
+    expect(wouldCreateCycle(input, { predecessor_phase_index: 1, successor_task_id: 'a' })).toBe(true);
+  });
+});
+
+describe('getBlockers', () => {
+  it('lists only unfinished predecessors', () => {
+    const tasks = [
+      { id: 'a', title: 'Get quotes', completed: true },
+      { id: 'b', title: 'Pick a caterer' },
+      { id: 'c', title: 'Send menu to guests' }
+    ];
+    const blockers = getBlockers(tasks[2], { tasks, dependencies: [link('a', 'c'), link('b', 'c')] });
+    expect(blockers.map(b => b.title)).toEqual(['Pick a caterer']);
+  });
+});
+
+describe('calculateSchedule', () => {
+  const milestone = { target_date: '2026-06-05' };
+  const tasks = [
+    { id: 'a', title: 'Book venue', due_date: '2026-06-03' },
+    { id: 'b', title: 'Design invitations', due_date: '2026-06-04' }
+  ];
+  const dependencies = [link('a', 'b')];
+
+  it('pushes out the target date when a waiting task runs late', () => {
+    const schedule = calculateSchedule({ milestone, tasks, dependencies, today });
+
+    expect(schedule.tasks.a).toMatchObject({ finish: '2026-06-03', delayDays: 0, critical: true });
+    expect(schedule.tasks.b).toMatchObject({ start: '2026-06-03', finish: '2026-06-06', delayDays: 2 });
+    expect(schedule.criticalPath).toEqual(['task:a', 'task:b']);
+    expect(schedule.projectedFinish).toBe('2026-06-06');
+    expect(schedule.targetSlipDays).toBe(1);
+    expect(schedule.delayedTaskIds).toEqual(['b']);
+  });
+
+  it('is on time once the predecessor is done', () => {
+    const done = [{ ...tasks[0], completed: true }, tasks[1]];
+    const schedule = calculateSchedule({ milestone, tasks: done, dependencies, today });
+
+    expect(schedule.tasks.b).toMatchObject({ start: today, finish: '2026-06-04', delayDays: 0 });
+    expect(schedule.targetSlipDays).toBe(0);
+    expect(schedule.delayedTaskIds).toEqual([]);
+  });
+
+  it('counts overdue tasks as delayed', () => {
+    const overdue = [{ id: 'x', title: 'Book venue', due_date: '2026-05-28' }];
+    expect(calculateSchedule({ milestone, tasks: overdue, today }).tasks.x.delayDays).toBe(5);
+  });
+
+  it('starts a phase after the one before it', () => {
+    const phased = {
+      deep_dive_data: { roadmapPhases: [{ title: 'Plan' }, { title: 'Book' }] }
+    };
+    const schedule = calculateSchedule({
+      milestone: phased,
+      tasks: [
+        { id: 'p', title: 'Research venues', roadmap_phase_index: 0 },
+        { id: 'q', title: 'Book venue', roadmap_phase_index: 1 }
+      ],
+      today
+    });
+
+    expect(schedule.phases[0].finish).toBe('2026-06-03');
+    expect(schedule.tasks.q.start).toBe('2026-06-03');
+    expect(schedule.criticalPath).toEqual(['task:p', 'phase:0', 'task:q']);
+  });
+
+  it('rolls open subtasks into their parent and reports loops instead of a schedule', () => {
+    const withSteps = [
+      { id: 'v', title: 'Book vendors' },
+      { id: 's1', parent_task_id: 'v', title: 'Design cake', completed: false },
+      { id: 's2', parent_task_id: 'v', title: 'Book band', completed: false }
+    ];
+    expect(calculateSchedule({ tasks: withSteps, today }).tasks.v.finish).toBe('2026-06-05');
+
+    const looped = calculateSchedule({ tasks, dependencies: [...dependencies, link('b', 'a')], today });
+    expect(looped.cycle).toHaveLength(2);
+    expect(looped.tasks).toEqual({});
+  });
+});
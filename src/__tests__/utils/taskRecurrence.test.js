@@ -0,0 +1,113 @@
+import {
+  getOccurrenceFor,
+  getTaskOccurrences,
+  calculateStreak,
+  getRoutineConsistency,
+  buildCompletionHeatmap,
+  getRecurrenceColumns,
+  describeTaskRecurrence,
+  describeStreak
+} from '../../utils/taskRecurrence';
+
+// 2026-06-01 is a Monday
+const daily = { id: 'run', recurrence_frequency: 'daily', recurrence_interval: 1, recurrence_start_date: '2026-06-01' };
+const weekly = { id: 'date', recurrence_frequency: 'weekly', recurrence_interval: 1, recurrence_start_date: '2026-06-03' };
+const gym = { id: 'gym', recurrence_frequency: 'custom', recurrence_weekdays: [1, 3, 5], recurrence_start_date: '2026-06-01' };
+
+const checkIns = (task, dates) => dates.map(date => ({ task_id: task.id, occurrence_date: date }));
+
+describe('taskRecurrence', () => {
+  describe('getOccurrenceFor', () => {
+    it('keeps a weekly occurrence open until the next one', () => {
+      expect(getOccurrenceFor(weekly, '2026-06-09')).toBe('2026-06-03');
+      expect(getOccurrenceFor(weekly, '2026-06-10')).toBe('2026-06-10');
+      expect(getOccurrenceFor(weekly, '2026-06-02')).toBeNull();
+    });
+
+    it('counts a custom routine from its latest weekday', () => {
+      expect(getOccurrenceFor(gym, '2026-06-02')).toBe('2026-06-01');
+      expect(getOccurrenceFor(gym, '2026-06-07')).toBe('2026-06-05');
+    });
+  });
+
+  it('lists occurrences every N days within a window', () => {
+    const everyOther = { ...daily, recurrence_interval: 2 };
+    expect(getTaskOccurrences(everyOther, { from: '2026-06-02', to: '2026-06-08' })).toEqual([
+      '2026-06-03', '2026-06-05', '2026-06-07'
+    ]);
+    expect(getTaskOccurrences(gym, { to: '2026-06-08' })).toEqual([
+      '2026-06-01', '2026-06-03', '2026-06-05', '2026-06-08'
+    ]);
+  });
+
+  describe('calculateStreak', () => {
+    it("doesn't break the streak while today is still open", () => {
+      const streak = calculateStreak(daily, checkIns(daily, ['2026-06-01', '2026-06-03', '2026-06-04']), { today: '2026-06-05' });
+      expect(streak).toMatchObject({
+        current: 2,
+        longest: 2,
+        total: 3,
+        doneThisTime: false,
+        dueBy: '2026-06-05',
+        atRisk: true
+      });
+    });
+
+    it('counts weekly streaks in weeks, including this week once done', () => {
+      const streak = calculateStreak(weekly, checkIns(weekly, ['2026-06-03', '2026-06-10', '2026-06-17']), { today: '2026-06-19' });
+      expect(streak).toMatchObject({ current: 3, doneThisTime: true, dueBy: '2026-06-23', atRisk: false });
+      expect(describeStreak(weekly, streak.current)).toBe('3-week streak');
+    });
+
+    it('ends a streak after a missed occurrence', () => {
+      const streak = calculateStreak(gym, checkIns(gym, ['2026-06-01', '2026-06-03']), { today: '2026-06-08' });
+      expect(streak.current).toBe(0);
+      expect(streak.longest).toBe(2);
+    });
+  });
+
+  it('measures consistency on past occurrences only', () => {
+    const tasks = [daily, { ...weekly, completed: true }];
+    const completions = checkIns(daily, ['2026-06-01', '2026-06-02', '2026-06-04']);
+    // 4 past days, 3 done; today (06-05) is still open
+    expect(getRoutineConsistency(tasks, completions, { today: '2026-06-05' })).toBe(75);
+    expect(getRoutineConsistency([{ id: 'x', title: 'One-off' }], [], { today: '2026-06-05' })).toBeNull();
+  });
+
+  it('lays out the heatmap as Sunday-first weeks ending this week', () => {
+    const heatmap = buildCompletionHeatmap(
+      checkIns(daily, ['2026-06-01', '2026-06-01', '2026-06-03']),
+      { weeks: 2, today: '2026-06-03' }
+    );
+    expect(heatmap.weeks).toHaveLength(2);
+    expect(heatmap.weeks[0][0].date).toBe('2026-05-24');
+    expect(heatmap.weeks[1][1]).toEqual({ date: '2026-06-01', count: 2, future: false });
+    expect(heatmap.weeks[1][4].future).toBe(true);
+    expect(heatmap).toMatchObject({ max: 2, total: 3 });
+  });
+
+  it('turns form fields into task columns', () => {
+    expect(getRecurrenceColumns(
+      { recurrence_frequency: 'custom', recurrence_interval: '3', recurrence_weekdays: ['5', 1, 5], recurrence_target: '12', due_date: '' },
+      { today: '2026-06-01' }
+    )).toEqual({
+      recurrence_frequency: 'custom',
+      recurrence_interval: 1,
+      recurrence_weekdays: [1, 5],
+      recurrence_start_date: '2026-06-01',
+      recurrence_target: 12,
+      due_date: null
+    });
+    expect(getRecurrenceColumns({ recurrence_frequency: '', due_date: '2026-07-01' })).toMatchObject({
+      recurrence_frequency: null,
+      due_date: '2026-07-01'
+    });
+  });
+
+  it('describes schedules', () => {
+    expect(describeTaskRecurrence(daily)).toBe('Daily');
+    expect(describeTaskRecurrence({ ...weekly, recurrence_interval: 2 })).toBe('Every 2 weeks');
+    expect(describeTaskRecurrence(gym)).toBe('Mon, Wed, Fri');
+    expect(describeTaskRecurrence({ ...gym, recurrence_weekdays: [1, 2, 3, 4, 5] })).toBe('Weekdays');
+  });
+});
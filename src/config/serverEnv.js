@@ -7,14 +7,79 @@
 
 require('dotenv').config();
 
+const path = require('path');
+
+// LLM providers server/providers knows how to build
+const LLM_PROVIDERS = ['anthropic', 'mock'];
+
+// Proxy routes that call a model, with the env suffix used to configure each
+const LLM_ROUTES = {
+  'claude': 'CLAUDE',
+  'claude-stream': 'CLAUDE_STREAM',
+  'claude-generate': 'CLAUDE_GENERATE',
+  'optimize-goals': 'OPTIMIZE_GOALS',
+};
+
+const DEFAULT_CHAT_MODEL = 'claude-haiku-4-5-20251001';
+
+// Per-attempt timeout for each route; retries get a fresh timeout
+// Override with LLM_TIMEOUT_MS_<ROUTE>
+const DEFAULT_ROUTE_TIMEOUTS_MS = {
+  'claude': 45000,
+  'claude-stream': 90000,
+  'claude-generate': 60000,
+  'optimize-goals': 45000,
+};
+
+// Luna usage limits per subscription tier (-1 = unlimited)
+// Mirrors SUBSCRIPTION in src/utils/metricsAndTerminology.js, which the
+// server can't import (ES module) - a test keeps the two in sync
+const USAGE_LIMITS = {
+  FREE: { monthlyTokens: -1 },
+  PRO: { monthlyTokens: -1 },
+  proOnlyFeatures: ['pdf-narrative'],
+};
+
+/**
+ * Resolve the provider and model for every LLM route
+ * LLM_PROVIDER sets the default; LLM_PROVIDER_<ROUTE> / LLM_MODEL_<ROUTE> /
+ * LLM_TIMEOUT_MS_<ROUTE> override one route
+ * @returns {Object} { [route]: { provider, model, timeoutMs } }
+ */
+const getLlmRoutes = () => {
+  const defaultProvider = process.env.LLM_PROVIDER || 'anthropic';
+
+  return Object.fromEntries(Object.entries(LLM_ROUTES).map(([route, suffix]) => {
+    // Content generation historically followed CLAUDE_MODEL; chat routes used Haiku
+    const defaultModel = route === 'claude-generate'
+      ? (process.env.CLAUDE_MODEL || DEFAULT_CHAT_MODEL)
+      : DEFAULT_CHAT_MODEL;
+
+    return [route, {
+      provider: process.env[`LLM_PROVIDER_${suffix}`] || defaultProvider,
+      model: process.env[`LLM_MODEL_${suffix}`] || defaultModel,
+      timeoutMs: readIntEnv(`LLM_TIMEOUT_MS_${suffix}`, DEFAULT_ROUTE_TIMEOUTS_MS[route]),
+    }];
+  }));
+};
+
 /**
  * Validates that required server environment variables are set
  * @throws {Error} If any required variables are missing
  */
 const validateServerEnv = () => {
-  const requiredVars = [
-    'CLAUDE_API_KEY'
-  ];
+  const llmRoutes = getLlmRoutes();
+
+  const unknownProviders = Object.entries(llmRoutes)
+    .filter(([, { provider }]) => !LLM_PROVIDERS.includes(provider))
+    .map(([route, { provider }]) => `${route}: ${provider}`);
+  if (unknownProviders.length > 0) {
+    throw new Error(`Unknown LLM provider (expected ${LLM_PROVIDERS.join(' or ')}): ${unknownProviders.join(', ')}`);
+  }
+
+  // The API key is only needed when some route actually talks to Anthropic
+  const usesAnthropic = Object.values(llmRoutes).some(({ provider }) => provider === 'anthropic');
+  const requiredVars = usesAnthropic ? ['CLAUDE_API_KEY'] : [];
 
   const missing = requiredVars.filter(varName => !process.env[varName]);
 
@@ -26,7 +91,7 @@ const validateServerEnv = () => {
   }
 
   // Validate Claude API key format
-  if (!process.env.CLAUDE_API_KEY.startsWith('sk-ant-')) {
+  if (process.env.CLAUDE_API_KEY && !process.env.CLAUDE_API_KEY.startsWith('sk-ant-')) {
     console.warn('⚠️  CLAUDE_API_KEY does not match expected format (should start with sk-ant-)');
   }
 
@@ -43,9 +108,31 @@ const validateServerEnv = () => {
     throw new Error('Please replace placeholder values in .env with actual credentials');
   }
 
+  // Supabase is needed to verify access tokens sent to the Claude proxy
+  const hasSupabase = (process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL) &&
+    (process.env.SUPABASE_ANON_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY);
+  if (!hasSupabase) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SUPABASE_URL and SUPABASE_ANON_KEY are required in production to authenticate AI requests');
+    }
+    console.warn('⚠️  SUPABASE_URL / SUPABASE_ANON_KEY not set. Signed-in AI requests cannot be verified.');
+  }
+
   console.log('✅ Server environment configuration validated successfully');
 };
 
+/**
+ * Read an integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @param {number} min - Smallest accepted value
+ * @returns {number}
+ */
+const readIntEnv = (name, fallback, min = 1) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+};
+
 /**
  * Get server configuration
  * @returns {Object} Server configuration object
@@ -69,11 +156,71 @@ const getServerConfig = () => {
   return {
     claude: {
       apiKey: process.env.CLAUDE_API_KEY,
-      model: process.env.CLAUDE_MODEL || 'claude-haiku-4-5-20251001',
+      model: process.env.CLAUDE_MODEL || DEFAULT_CHAT_MODEL,
+    },
+    llm: {
+      routes: getLlmRoutes(),
+      anthropic: {
+        apiKey: process.env.CLAUDE_API_KEY,
+      },
+      // Backoff on 429/529/5xx from the provider (server/retry.js)
+      retry: {
+        retries: readIntEnv('LLM_MAX_RETRIES', 2, 0),
+        baseDelayMs: readIntEnv('LLM_RETRY_BASE_DELAY_MS', 1000),
+        maxDelayMs: readIntEnv('LLM_RETRY_MAX_DELAY_MS', 8000),
+      },
+      mock: {
+        // Recorded responses replayed by the mock provider
+        fixturesDir: process.env.LLM_MOCK_FIXTURES_DIR
+          ? path.resolve(process.env.LLM_MOCK_FIXTURES_DIR)
+          : path.join(__dirname, '..', '..', 'server', 'providers', 'fixtures'),
+      },
     },
     server: {
       port: process.env.PORT || 3001,
       nodeEnv: process.env.NODE_ENV || 'development',
+      // Number of reverse proxies in front of us (Vercel, nginx) so req.ip is the client IP
+      trustProxy: readIntEnv('TRUST_PROXY', 0),
+    },
+    supabase: {
+      url: process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL,
+      anonKey: process.env.SUPABASE_ANON_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY,
+      // Backend only - writes the AI usage ledger (never expose to the frontend)
+      serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    },
+    auth: {
+      // Guests may create their first dream with Luna before signing up.
+      // Off unless explicitly enabled - guest calls spend our API key
+      allowGuests: process.env.ALLOW_GUEST_AI === 'true',
+      // Extra admins besides users with app_metadata.role = 'admin'
+      adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    },
+    usage: {
+      limits: {
+        FREE: { monthlyTokens: readIntEnv('LUNA_MONTHLY_TOKENS_FREE', USAGE_LIMITS.FREE.monthlyTokens, -1) },
+        PRO: { monthlyTokens: readIntEnv('LUNA_MONTHLY_TOKENS_PRO', USAGE_LIMITS.PRO.monthlyTokens, -1) },
+        proOnlyFeatures: USAGE_LIMITS.proOnlyFeatures,
+      },
+    },
+    responseCache: {
+      // Set RESPONSE_CACHE=false to always call the model
+      enabled: process.env.RESPONSE_CACHE !== 'false',
+      ttlMs: readIntEnv('RESPONSE_CACHE_TTL_HOURS', 24) * 60 * 60 * 1000,
+      maxEntries: readIntEnv('RESPONSE_CACHE_MAX_ENTRIES', 500),
+    },
+    rateLimits: {
+      user: {
+        capacity: readIntEnv('RATE_LIMIT_USER_BURST', 30),
+        refillPerMinute: readIntEnv('RATE_LIMIT_USER_PER_MINUTE', 10),
+      },
+      ip: {
+        capacity: readIntEnv('RATE_LIMIT_IP_BURST', 60),
+        refillPerMinute: readIntEnv('RATE_LIMIT_IP_PER_MINUTE', 20),
+      },
+      guest: {
+        capacity: readIntEnv('RATE_LIMIT_GUEST_BURST', 15),
+        refillPerMinute: readIntEnv('RATE_LIMIT_GUEST_PER_MINUTE', 3),
+      },
     },
     cors: {
       allowedOrigins: allowedOrigins,
@@ -102,11 +249,22 @@ const logConfig = () => {
   console.log(`  - Environment: ${config.server.nodeEnv}`);
   console.log(`  - Port: ${config.server.port}`);
   console.log(`  - Claude Model: ${config.claude.model}`);
+  Object.entries(config.llm.routes).forEach(([route, { provider, model, timeoutMs }]) => {
+    console.log(`  - LLM /${route}: ${provider} (${model}, ${timeoutMs / 1000}s timeout)`);
+  });
+  console.log(`  - LLM Retries: ${config.llm.retry.retries}`);
   console.log(`  - Claude API Key: ${maskSecret(config.claude.apiKey)}`);
   console.log(`  - CORS Origins: ${config.cors.allowedOrigins.join(', ')}`);
+  console.log(`  - Supabase Auth: ${config.supabase.url || 'not configured'}`);
+  console.log(`  - Guest AI Access: ${config.auth.allowGuests ? 'enabled' : 'disabled'}`);
+  console.log(`  - Usage Ledger: ${config.supabase.serviceRoleKey ? 'Supabase' : 'in memory (SUPABASE_SERVICE_ROLE_KEY not set)'}`);
+  console.log(`  - Luna Monthly Tokens: free ${config.usage.limits.FREE.monthlyTokens}, pro ${config.usage.limits.PRO.monthlyTokens}`);
+  console.log(`  - Response Cache: ${config.responseCache.enabled ? `${config.responseCache.ttlMs / 3600000}h TTL, ${config.responseCache.maxEntries} entries` : 'disabled'}`);
+  console.log(`  - Rate Limits (burst/min): user ${config.rateLimits.user.capacity}/${config.rateLimits.user.refillPerMinute}, ip ${config.rateLimits.ip.capacity}/${config.rateLimits.ip.refillPerMinute}, guest ${config.rateLimits.guest.capacity}/${config.rateLimits.guest.refillPerMinute}`);
 };
 
 module.exports = {
+  USAGE_LIMITS,
   validateServerEnv,
   getServerConfig,
   maskSecret,
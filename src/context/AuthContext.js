@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useRef } from 'react'
 import { supabase, isSupabaseConfigured } from '../config/supabaseClient'
 import { getOrCreateUserProfile } from '../services/supabaseService'
+import { setDefaultCurrency } from '../utils/currency'
 import { unsubscribeAll } from '../utils/subscriptionManager'
 
 const AuthContext = createContext({})
@@ -137,6 +138,9 @@ export const AuthProvider = ({ children }) => {
           getOrCreateUserProfile(newUser.id, {
             email: newUser.email,
             full_name: newUser.user_metadata?.full_name || newUser.user_metadata?.name || null
+          }).then(({ data }) => {
+            // Money is formatted synchronously everywhere - keep the profile currency at hand
+            if (data?.default_currency) setDefaultCurrency(data.default_currency)
           }).finally(() => {
             profileCreationInProgress.current = false
           })
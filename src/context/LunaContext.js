@@ -6,9 +6,11 @@ import {
   updateMilestone,
   createTask,
   updateTask,
-  deleteTask
+  deleteTask,
+  createSubtasks
 } from '../services/supabaseService';
-import { callLunaOverviewStreaming, processToolCall, buildSystemPrompt } from '../services/lunaOverviewService';
+import { callLunaOverviewStreaming, processToolCall } from '../services/lunaOverviewService';
+import { getFriendlyErrorMessage } from '../services/claudeAPI';
 
 /**
  * Luna Context
@@ -79,6 +81,7 @@ export const LunaProvider = ({ children }) => {
   const pendingChangesRef = useRef(pendingChanges);
   const lastSavedRef = useRef(null); // Track when we last saved
   const isHiddenRef = useRef(false); // Track if tab is hidden
+  const streamControllerRef = useRef(null); // Aborts the reply being streamed
 
   // Keep refs in sync with state
   useEffect(() => {
@@ -93,6 +96,17 @@ export const LunaProvider = ({ children }) => {
     pendingChangesRef.current = pendingChanges;
   }, [pendingChanges]);
 
+  // Stop the reply being streamed, so the backend stops spending tokens on it
+  const abortStream = useCallback(() => {
+    if (!streamControllerRef.current) return;
+    streamControllerRef.current.abort();
+    streamControllerRef.current = null;
+    setIsLoading(false);
+    setStreamingContent('');
+  }, []);
+
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
+
   // Visibility change handler
   useEffect(() => {
     const handleVisibilityChange = async () => {
@@ -249,13 +263,14 @@ export const LunaProvider = ({ children }) => {
     if (pendingChanges.length > 0) {
       return false;
     }
+    abortStream();
     setCurrentMilestone(null);
     setCurrentTasks([]);
     setMessages([]);
     setPendingChanges([]);
     lastSavedRef.current = null; // Reset last saved tracking
     return true;
-  }, [pendingChanges]);
+  }, [pendingChanges, abortStream]);
 
   // Load conversation from database
   const loadConversation = async (milestoneId) => {
@@ -295,6 +310,7 @@ export const LunaProvider = ({ children }) => {
   // Clear conversation
   const clearConversation = async () => {
     if (!currentMilestone?.id) return;
+    abortStream();
     try {
       await clearMilestoneConversation(currentMilestone.id);
       setMessages([]);
@@ -330,10 +346,13 @@ export const LunaProvider = ({ children }) => {
     const STREAMING_TIMEOUT = 45000;
     let timeoutId = null;
     let streamingCompleted = false;
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
 
     const handleTimeout = () => {
       if (!streamingCompleted) {
         console.error('Luna streaming timeout - forcing recovery');
+        controller.abort();
         setIsLoading(false);
         setStreamingContent('');
         const errorMessage = {
@@ -397,11 +416,17 @@ export const LunaProvider = ({ children }) => {
 
           const errorMessage = {
             role: 'assistant',
-            content: "I'm sorry, I had trouble connecting. Could you try again?"
+            content: getFriendlyErrorMessage(error, "I'm sorry, I had trouble connecting. Could you try again?")
           };
           setMessages(prev => [...prev, errorMessage]);
         }
-      });
+      }, { signal: controller.signal });
+
+      // Aborted: whoever aborted has already reset the chat state
+      if (controller.signal.aborted) {
+        streamingCompleted = true;
+        if (timeoutId) clearTimeout(timeoutId);
+      }
     } catch (error) {
       streamingCompleted = true;
       if (timeoutId) clearTimeout(timeoutId);
@@ -409,6 +434,8 @@ export const LunaProvider = ({ children }) => {
       console.error('Luna chat error:', error);
       setIsLoading(false);
       setStreamingContent('');
+    } finally {
+      if (streamControllerRef.current === controller) streamControllerRef.current = null;
     }
   }, [messages, isLoading, currentMilestone, currentTasks, userContext]);
 
@@ -430,7 +457,7 @@ export const LunaProvider = ({ children }) => {
         if (change.requiresRegeneration) {
           results.push({ change, success: true, requiresRegeneration: true });
         } else if (change.applyFn) {
-          const supabaseService = { updateMilestone, createTask, updateTask, deleteTask };
+          const supabaseService = { updateMilestone, createTask, updateTask, deleteTask, createSubtasks };
           const result = await change.applyFn(supabaseService);
           // Fix: Check both result existence and error property properly
           const hasError = !result || result.error;
@@ -512,7 +539,7 @@ export const LunaProvider = ({ children }) => {
 
     try {
       if (change.applyFn) {
-        const supabaseService = { updateMilestone, createTask, updateTask, deleteTask };
+        const supabaseService = { updateMilestone, createTask, updateTask, deleteTask, createSubtasks };
         const result = await change.applyFn(supabaseService);
 
         // Check if the operation failed
@@ -0,0 +1,1363 @@
+// Compatibility question bank shared by VisionCompatibility and Luna's assessment.
+// Question ids are stable across versions: reword a question or its option
+// labels in place, and only add a new id when the meaning changes, so answers
+// given on older versions still score the same way.
+
+export const QUESTION_BANK_VERSION = 1;
+
+// Scoring categories, in the order calculateCompatibilityScore reports them
+export const QUESTION_CATEGORIES = [
+  'timeline', 'financial', 'lifestyle', 'communication', 'values',
+  'family', 'career', 'parenting', 'future', 'moving', 'home', 'travel', 'wedding'
+];
+
+// Luna's pools use the prescreening focus-area name for money questions
+const CATEGORY_ALIASES = {
+  finances: 'financial'
+};
+
+export const normalizeQuestionCategory = (category) => CATEGORY_ALIASES[category] || category;
+
+// =====================================================
+// VISION COMPATIBILITY (20 core questions)
+// =====================================================
+// legacyId is the numeric id these questions had before the bank existed.
+// skipIf lists prescreening answers that make a question irrelevant.
+
+export const VISION_QUESTIONS = [
+  // Timeline & Milestones (4 questions)
+  {
+    id: 'marriage_timeline',
+    legacyId: 1,
+    category: 'timeline',
+    importance: 'CRITICAL',
+    importanceWeight: 1.5,
+    question: "When do you see yourself getting married?",
+    discussionPrompt: `"When do we each see marriage happening, and why? What would help us both feel ready?"`,
+    skipIf: { is_married: true },
+    options: [
+      { value: 'within_1_year', label: 'Within the next year', weight: 1 },
+      { value: '1_2_years', label: '1-2 years from now', weight: 2 },
+      { value: '3_5_years', label: '3-5 years from now', weight: 3 },
+      { value: 'no_timeline', label: 'No specific timeline', weight: 4 },
+      { value: 'not_sure', label: 'Not sure marriage is for me', weight: 5 }
+    ]
+  },
+  {
+    id: 'home_priority',
+    legacyId: 2,
+    category: 'timeline',
+    question: "How important is owning a home to you?",
+    discussionPrompt: `"How important is owning vs. renting to each of us? What are the trade-offs we're each considering?"`,
+    skipIf: { owns_home: true },
+    options: [
+      { value: 'essential', label: 'Essential - I want to own ASAP', weight: 1 },
+      { value: 'important', label: 'Important - but timing is flexible', weight: 2 },
+      { value: 'nice_to_have', label: 'Nice to have - but not a priority', weight: 3 },
+      { value: 'not_important', label: 'Not important - happy renting', weight: 4 }
+    ]
+  },
+  {
+    id: 'family_timeline',
+    legacyId: 3,
+    category: 'timeline',
+    question: "When do you see starting a family?",
+    discussionPrompt: `"What's driving our different timelines for kids? Are there concerns or goals we need to share?"`,
+    skipIf: { has_children: true, wants_children: 'no' },
+    options: [
+      { value: 'ready_now', label: 'We\'re ready now', weight: 1 },
+      { value: '2_3_years', label: 'Within 2-3 years', weight: 2 },
+      { value: '5_plus_years', label: 'In 5+ years', weight: 3 },
+      { value: 'maybe', label: 'Maybe someday', weight: 4 },
+      { value: 'not_interested', label: 'Not interested in kids', weight: 5 }
+    ]
+  },
+  {
+    id: 'two_year_priority',
+    legacyId: 4,
+    category: 'timeline',
+    question: "What's your priority for the next 2 years?",
+    discussionPrompt: `"What are our top priorities right now, and how can we support each other's different focuses?"`,
+    options: [
+      { value: 'career', label: 'Career growth and advancement', weight: 1 },
+      { value: 'relationship', label: 'Relationship and family milestones', weight: 2 },
+      { value: 'travel', label: 'Travel and life experiences', weight: 3 },
+      { value: 'financial', label: 'Building financial stability', weight: 4 },
+      { value: 'balanced', label: 'Balanced mix of everything', weight: 5 }
+    ]
+  },
+
+  // Financial Philosophy (3 questions)
+  {
+    id: 'saving_approach',
+    legacyId: 5,
+    category: 'financial',
+    question: "How would you describe your approach to saving?",
+    discussionPrompt: `"How do our saving styles affect our relationship? Can we find a compromise that honors both approaches?"`,
+    options: [
+      { value: 'aggressive', label: 'Aggressive saver - save first, spend later', weight: 1 },
+      { value: 'balanced', label: 'Balanced - save some, enjoy some', weight: 2 },
+      { value: 'yolo', label: 'YOLO - live in the moment', weight: 3 },
+      { value: 'figuring_out', label: 'Still figuring it out', weight: 4 }
+    ]
+  },
+  {
+    id: 'big_purchases',
+    legacyId: 6,
+    category: 'financial',
+    question: "For expensive purchases like a wedding or home, you'd prefer to:",
+    discussionPrompt: `"What does 'value' mean to each of us when it comes to big purchases? How can we find common ground?"`,
+    options: [
+      { value: 'save_up', label: 'Save up and pay in full', weight: 1 },
+      { value: 'finance', label: 'Finance if needed to get it sooner', weight: 2 },
+      { value: 'go_all_out', label: 'Go all out - it\'s once in a lifetime', weight: 3 },
+      { value: 'minimal', label: 'Keep it minimal and practical', weight: 4 }
+    ]
+  },
+  {
+    id: 'money_management',
+    legacyId: 7,
+    category: 'financial',
+    question: "How do you prefer to manage finances in a relationship?",
+    discussionPrompt: `"How do we want to manage money together? What makes each of us feel secure and respected?"`,
+    options: [
+      { value: 'everything_joint', label: 'Everything joint - we\'re a team', weight: 1 },
+      { value: 'mostly_joint', label: 'Mostly joint with some personal accounts', weight: 2 },
+      { value: 'mostly_separate', label: 'Mostly separate - we split expenses', weight: 3 },
+      { value: 'independent', label: 'Completely independent', weight: 4 }
+    ]
+  },
+
+  // Lifestyle & Values (3 questions)
+  {
+    id: 'adventure_stability',
+    legacyId: 8,
+    category: 'lifestyle',
+    question: "Which sounds more like you?",
+    discussionPrompt: `"How can we balance one person's need for adventure with the other's need for stability?"`,
+    options: [
+      { value: 'adventure', label: 'Adventure seeker - spontaneity is key', weight: 1 },
+      { value: 'balanced', label: 'Balanced - mix of both', weight: 2 },
+      { value: 'stability', label: 'Stability lover - I like routine and plans', weight: 3 }
+    ]
+  },
+  {
+    id: 'long_term_location',
+    legacyId: 9,
+    category: 'lifestyle',
+    question: "Where do you see yourself living long-term?",
+    discussionPrompt: `"Where do we each see ourselves living long-term? Is there flexibility, or is this a dealbreaker?"`,
+    options: [
+      { value: 'big_city', label: 'Big city energy', weight: 1 },
+      { value: 'suburbs', label: 'Quiet suburbs', weight: 2 },
+      { value: 'small_town', label: 'Small town or rural', weight: 3 },
+      { value: 'flexible', label: 'Flexible - wherever life takes us', weight: 4 }
+    ]
+  },
+  {
+    id: 'disagreements',
+    legacyId: 10,
+    category: 'communication',
+    question: "When you disagree on something important:",
+    discussionPrompt: `"How do we currently handle conflict? What would make difficult conversations easier for both of us?"`,
+    options: [
+      { value: 'talk_right_away', label: 'We talk it out right away', weight: 1 },
+      { value: 'take_time', label: 'We take time to think, then discuss', weight: 2 },
+      { value: 'avoid', label: 'We tend to avoid the topic', weight: 3 },
+      { value: 'need_help', label: 'We need help with this', weight: 4 }
+    ]
+  },
+
+  // Religion & Spirituality
+  {
+    id: 'spirituality',
+    legacyId: 11,
+    category: 'values',
+    question: "What role does religion/spirituality play in your life?",
+    discussionPrompt: `"How will our different views on religion/spirituality impact major life decisions? Can we respect each other's beliefs?"`,
+    options: [
+      { value: 'very_important', label: 'Very important - central to my identity', weight: 1 },
+      { value: 'somewhat_important', label: 'Somewhat important - I practice occasionally', weight: 2 },
+      { value: 'not_important', label: 'Not important - but I respect others\' beliefs', weight: 3 },
+      { value: 'not_religious', label: 'Not religious/spiritual at all', weight: 4 }
+    ]
+  },
+
+  // Extended Family Dynamics
+  {
+    id: 'extended_family_decisions',
+    legacyId: 12,
+    category: 'family',
+    question: "How involved should extended family be in major life decisions?",
+    discussionPrompt: `"What role should family play in our decisions? How do we balance family input with our autonomy as a couple?"`,
+    options: [
+      { value: 'very_involved', label: 'Very involved - family input is crucial', weight: 1 },
+      { value: 'consult_but_decide', label: 'We consult them but make our own decisions', weight: 2 },
+      { value: 'inform_after', label: 'We inform them after we\'ve decided', weight: 3 },
+      { value: 'private', label: 'Our decisions are private', weight: 4 }
+    ]
+  },
+
+  // Career Ambitions
+  {
+    id: 'career_opportunity',
+    legacyId: 13,
+    category: 'career',
+    question: "If a dream career opportunity required relocating or long hours:",
+    discussionPrompt: `"If one of us gets a dream job opportunity, how do we decide? What sacrifices are we each willing to make for career vs. relationship?"`,
+    options: [
+      { value: 'career_first', label: 'I\'d take it - career is a top priority', weight: 1 },
+      { value: 'discuss_together', label: 'We\'d discuss and find compromise', weight: 2 },
+      { value: 'relationship_first', label: 'Relationship comes before career', weight: 3 },
+      { value: 'depends', label: 'Depends on timing and circumstances', weight: 4 }
+    ]
+  },
+
+  // Social Life Preferences
+  {
+    id: 'free_time',
+    legacyId: 14,
+    category: 'lifestyle',
+    question: "How do you prefer spending free time?",
+    discussionPrompt: `"How much time do we each need with friends vs. alone vs. together? How can we honor each other's social needs?"`,
+    options: [
+      { value: 'very_social', label: 'Out with friends - I need social energy', weight: 1 },
+      { value: 'balanced_social', label: 'Mix of social and couple time', weight: 2 },
+      { value: 'mostly_couple', label: 'Mostly just us two', weight: 3 },
+      { value: 'alone_time', label: 'I need significant alone time to recharge', weight: 4 }
+    ]
+  },
+
+  // Parenting Philosophy
+  {
+    id: 'parenting_philosophy',
+    legacyId: 15,
+    category: 'parenting',
+    question: "If you have/had kids, what's your parenting philosophy?",
+    discussionPrompt: `"What are our core parenting values? Can we find a middle ground between structure and freedom?"`,
+    skipIf: { wants_children: 'no' },
+    options: [
+      { value: 'structured', label: 'Structured - clear rules and routines', weight: 1 },
+      { value: 'balanced', label: 'Balanced - structure with flexibility', weight: 2 },
+      { value: 'free_range', label: 'Free-range - lots of independence', weight: 3 },
+      { value: 'still_figuring', label: 'Still figuring it out / N/A', weight: 4 }
+    ]
+  },
+
+  // Household Responsibilities
+  {
+    id: 'household_chores',
+    legacyId: 16,
+    category: 'lifestyle',
+    question: "How should household chores and responsibilities be divided?",
+    discussionPrompt: `"How should we split household responsibilities? What feels fair to both of us?"`,
+    options: [
+      { value: 'equal_split', label: '50/50 split - everything equal', weight: 1 },
+      { value: 'by_strength', label: 'By strengths - each does what they\'re good at', weight: 2 },
+      { value: 'by_schedule', label: 'By schedule - whoever has more time', weight: 3 },
+      { value: 'hire_help', label: 'Hire help - outsource what we can', weight: 4 }
+    ]
+  },
+
+  // Financial Red Flags
+  {
+    id: 'debt_feelings',
+    legacyId: 17,
+    category: 'financial',
+    question: "How do you feel about debt?",
+    discussionPrompt: `"What's our comfort level with debt? How will we handle financial decisions that involve borrowing?"`,
+    options: [
+      { value: 'no_debt', label: 'Avoid all debt except mortgage', weight: 1 },
+      { value: 'strategic_debt', label: 'Strategic debt is okay (education, business)', weight: 2 },
+      { value: 'comfortable_debt', label: 'Comfortable with manageable debt', weight: 3 },
+      { value: 'not_worried', label: 'Not worried - you have to spend to live', weight: 4 }
+    ]
+  },
+
+  // Personal Growth vs Relationship Time
+  {
+    id: 'individual_identity',
+    legacyId: 18,
+    category: 'values',
+    question: "How important is maintaining individual identity vs being a couple?",
+    discussionPrompt: `"How do we balance being individuals with being a couple? What does 'healthy independence' mean to each of us?"`,
+    options: [
+      { value: 'very_independent', label: 'Very independent - I need my own pursuits', weight: 1 },
+      { value: 'balanced', label: 'Balanced - some separate, some together', weight: 2 },
+      { value: 'mostly_together', label: 'Mostly together - we\'re a team', weight: 3 },
+      { value: 'merged', label: 'Fully merged - "we" over "me"', weight: 4 }
+    ]
+  },
+
+  // Long-term Vision
+  {
+    id: 'retirement_vision',
+    legacyId: 19,
+    category: 'future',
+    question: "What's your vision for retirement/later life?",
+    discussionPrompt: `"What does retirement look like for each of us? Are these visions compatible, or do we need to compromise?"`,
+    options: [
+      { value: 'active_travel', label: 'Travel & adventure while we\'re still able', weight: 1 },
+      { value: 'family_focus', label: 'Near family/grandkids', weight: 2 },
+      { value: 'community', label: 'Settled in a community we love', weight: 3 },
+      { value: 'no_plan', label: 'Too far away to plan', weight: 4 }
+    ]
+  },
+
+  // Trust & Boundaries
+  {
+    id: 'relationship_boundaries',
+    legacyId: 20,
+    category: 'communication',
+    question: "How do you define healthy boundaries in a relationship?",
+    discussionPrompt: `"What boundaries do we need in our relationship? How much transparency vs. privacy feels right to both of us?"`,
+    options: [
+      { value: 'full_transparency', label: 'Full transparency - complete openness', weight: 1 },
+      { value: 'mostly_open', label: 'Mostly open with some privacy', weight: 2 },
+      { value: 'separate_spaces', label: 'Clear separate spaces (phones, friends)', weight: 3 },
+      { value: 'figuring_out', label: 'Still figuring out what works for us', weight: 4 }
+    ]
+  }
+];
+
+// =====================================================
+// LUNA: PRIORITY-SPECIFIC QUESTION POOLS
+// =====================================================
+
+export const PRIORITY_QUESTIONS = {
+  moving: [
+    {
+      id: 'moving_location_priority',
+      category: 'moving',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'When choosing where to move, what matters most to you?',
+      options: [
+        { value: 'career', label: 'Career and job opportunities', weight: 1 },
+        { value: 'cost', label: 'Affordable cost of living', weight: 2 },
+        { value: 'lifestyle', label: 'Lifestyle amenities and culture', weight: 3 },
+        { value: 'community', label: 'Community and proximity to loved ones', weight: 4 }
+      ]
+    },
+    {
+      id: 'moving_urban_preference',
+      category: 'moving',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What type of area do you want to move to?',
+      options: [
+        { value: 'city_center', label: 'City center - urban, walkable, vibrant', weight: 1 },
+        { value: 'suburbs', label: 'Suburbs - quiet, space, community', weight: 2 },
+        { value: 'small_town', label: 'Small town - peaceful, tight-knit', weight: 3 },
+        { value: 'rural', label: 'Rural/countryside - nature, privacy', weight: 4 }
+      ]
+    },
+    {
+      id: 'moving_timeline',
+      category: 'moving',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How quickly do you want to make the move?',
+      options: [
+        { value: 'asap', label: 'As soon as possible (within 3 months)', weight: 1 },
+        { value: 'soon', label: 'Soon (3-6 months)', weight: 2 },
+        { value: 'year', label: 'Within a year', weight: 3 },
+        { value: 'flexible', label: 'No rush, when the right opportunity comes', weight: 4 }
+      ]
+    },
+    {
+      id: 'moving_budget_comfort',
+      category: 'moving',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How much of your savings are you comfortable using for the move?',
+      options: [
+        { value: 'minimal', label: 'As little as possible, stay frugal', weight: 1 },
+        { value: 'moderate', label: 'Moderate amount for a smooth transition', weight: 2 },
+        { value: 'significant', label: 'Willing to spend significantly for the right place', weight: 3 },
+        { value: 'whatever_takes', label: 'Whatever it takes for our dream location', weight: 4 }
+      ]
+    },
+    {
+      id: 'moving_rent_vs_buy',
+      category: 'moving',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'In your new location, would you prefer to rent or buy?',
+      options: [
+        { value: 'buy_immediately', label: 'Buy right away if possible', weight: 1 },
+        { value: 'rent_then_buy', label: 'Rent first, then buy once settled', weight: 2 },
+        { value: 'rent_long_term', label: 'Prefer renting for flexibility', weight: 3 },
+        { value: 'depends', label: 'Depends entirely on the market/opportunity', weight: 4 }
+      ]
+    },
+    {
+      id: 'moving_distance_family',
+      category: 'moving',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How important is staying close to family when choosing your new location?',
+      options: [
+        { value: 'very_important', label: 'Very important - want to be nearby', weight: 1 },
+        { value: 'somewhat', label: 'Somewhat - prefer reasonable distance', weight: 2 },
+        { value: 'not_priority', label: 'Not a priority - open to anywhere', weight: 3 },
+        { value: 'prefer_distance', label: 'Actually prefer some distance', weight: 4 }
+      ]
+    },
+    {
+      id: 'moving_lifestyle_change',
+      category: 'moving',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How much lifestyle change are you willing to make for the move?',
+      options: [
+        { value: 'minimal', label: 'Minimal - want similar lifestyle', weight: 1 },
+        { value: 'some_adjustments', label: 'Some adjustments are fine', weight: 2 },
+        { value: 'significant', label: 'Open to significant changes', weight: 3 },
+        { value: 'fresh_start', label: 'Looking for a complete fresh start', weight: 4 }
+      ]
+    }
+  ],
+
+  financial_goal: [
+    {
+      id: 'financial_goal_approach',
+      category: 'finances',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How aggressive should your approach be to reach your financial goal?',
+      options: [
+        { value: 'very_aggressive', label: 'Very aggressive - maximize savings, minimize spending', weight: 1 },
+        { value: 'focused', label: 'Focused but balanced - steady progress', weight: 2 },
+        { value: 'flexible', label: 'Flexible - save when possible, enjoy life too', weight: 3 },
+        { value: 'relaxed', label: 'Relaxed - it will happen when it happens', weight: 4 }
+      ]
+    },
+    {
+      id: 'financial_sacrifice',
+      category: 'finances',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What are you willing to sacrifice to reach your financial goal faster?',
+      options: [
+        { value: 'major_lifestyle', label: 'Major lifestyle changes (move, downsize, etc.)', weight: 1 },
+        { value: 'entertainment', label: 'Entertainment and non-essentials', weight: 2 },
+        { value: 'minor_cuts', label: 'Minor cuts here and there', weight: 3 },
+        { value: 'nothing', label: 'Prefer not to sacrifice quality of life', weight: 4 }
+      ]
+    },
+    {
+      id: 'financial_tracking',
+      category: 'finances',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you prefer to track progress toward your financial goal?',
+      options: [
+        { value: 'detailed', label: 'Detailed tracking - spreadsheets, apps, weekly reviews', weight: 1 },
+        { value: 'regular_checkins', label: 'Regular check-ins - monthly reviews', weight: 2 },
+        { value: 'occasional', label: 'Occasional glances at the balance', weight: 3 },
+        { value: 'not_tracking', label: 'Prefer not to obsess over numbers', weight: 4 }
+      ]
+    },
+    {
+      id: 'financial_joint_separate',
+      category: 'finances',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How should you work together toward this financial goal?',
+      options: [
+        { value: 'fully_joint', label: 'Fully joint - pool everything together', weight: 1 },
+        { value: 'proportional', label: 'Proportional contributions based on income', weight: 2 },
+        { value: 'equal_split', label: 'Equal fixed contributions from each', weight: 3 },
+        { value: 'independent', label: 'Separate goals that add up to the total', weight: 4 }
+      ]
+    },
+    {
+      id: 'financial_windfall',
+      category: 'finances',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'If you received unexpected money (bonus, gift, etc.), how would you use it?',
+      options: [
+        { value: 'all_to_goal', label: 'Put it all toward our goal', weight: 1 },
+        { value: 'mostly_goal', label: 'Mostly to the goal, small treat', weight: 2 },
+        { value: 'split', label: 'Split between goal and enjoying it', weight: 3 },
+        { value: 'enjoy', label: 'Enjoy it - we deserve a reward', weight: 4 }
+      ]
+    },
+    {
+      id: 'financial_setback',
+      category: 'finances',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How would you handle a financial setback that delays your goal?',
+      options: [
+        { value: 'double_down', label: 'Double down - work harder to catch up', weight: 1 },
+        { value: 'adjust_timeline', label: 'Calmly adjust the timeline', weight: 2 },
+        { value: 'reassess', label: 'Reassess if the goal is still right', weight: 3 },
+        { value: 'take_break', label: 'Take a break from intense saving', weight: 4 }
+      ]
+    }
+  ],
+
+  buy_home: [
+    {
+      id: 'home_location_priority',
+      category: 'home',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What\'s most important when choosing your home\'s location?',
+      options: [
+        { value: 'commute', label: 'Short commute to work', weight: 1 },
+        { value: 'schools', label: 'Good schools and family-friendly area', weight: 2 },
+        { value: 'lifestyle', label: 'Walkable with restaurants and culture', weight: 3 },
+        { value: 'space_nature', label: 'Space, nature, and privacy', weight: 4 }
+      ]
+    },
+    {
+      id: 'home_budget_stretch',
+      category: 'home',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How much would you stretch your budget for the perfect home?',
+      options: [
+        { value: 'stay_under', label: 'Stay well under budget for safety', weight: 1 },
+        { value: 'comfortable', label: 'Up to a comfortable maximum', weight: 2 },
+        { value: 'stretch_bit', label: 'Willing to stretch a bit for the right one', weight: 3 },
+        { value: 'whatever_takes', label: 'Do whatever it takes for our dream home', weight: 4 }
+      ]
+    },
+    {
+      id: 'home_size_space',
+      category: 'home',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'What size home do you envision?',
+      options: [
+        { value: 'cozy', label: 'Cozy and efficient - quality over quantity', weight: 1 },
+        { value: 'comfortable', label: 'Comfortable with room to grow', weight: 2 },
+        { value: 'spacious', label: 'Spacious - room for everything', weight: 3 },
+        { value: 'large', label: 'Large with extra space for guests/hobbies', weight: 4 }
+      ]
+    },
+    {
+      id: 'home_renovation',
+      category: 'home',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you feel about a home that needs work?',
+      options: [
+        { value: 'move_in_ready', label: 'Must be move-in ready', weight: 1 },
+        { value: 'minor_updates', label: 'Minor cosmetic updates are fine', weight: 2 },
+        { value: 'some_projects', label: 'Open to some renovation projects', weight: 3 },
+        { value: 'fixer_upper', label: 'Love a fixer-upper with potential', weight: 4 }
+      ]
+    },
+    {
+      id: 'home_outdoor_space',
+      category: 'home',
+      importance: 'NORMAL',
+      importanceWeight: 1.0,
+      question: 'How important is outdoor space?',
+      options: [
+        { value: 'essential', label: 'Essential - need a good-sized yard', weight: 1 },
+        { value: 'nice', label: 'Nice to have - small yard or patio is fine', weight: 2 },
+        { value: 'not_priority', label: 'Not a priority - nearby parks work', weight: 3 },
+        { value: 'prefer_none', label: 'Prefer no yard maintenance', weight: 4 }
+      ]
+    }
+  ],
+
+  travel_trip: [
+    {
+      id: 'travel_style',
+      category: 'travel',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What\'s your ideal vacation style?',
+      options: [
+        { value: 'adventure', label: 'Adventure - hiking, exploring, active', weight: 1 },
+        { value: 'cultural', label: 'Cultural - museums, history, local experiences', weight: 2 },
+        { value: 'relaxation', label: 'Relaxation - beach, spa, unwinding', weight: 3 },
+        { value: 'mix', label: 'Mix of everything - variety is key', weight: 4 }
+      ]
+    },
+    {
+      id: 'travel_planning',
+      category: 'travel',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you prefer to plan trips?',
+      options: [
+        { value: 'detailed', label: 'Detailed itinerary - every day planned', weight: 1 },
+        { value: 'outline', label: 'General outline with flexibility', weight: 2 },
+        { value: 'spontaneous', label: 'Minimal planning, go with the flow', weight: 3 },
+        { value: 'no_plan', label: 'No plan at all - pure spontaneity', weight: 4 }
+      ]
+    },
+    {
+      id: 'travel_budget',
+      category: 'travel',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What\'s your approach to travel spending?',
+      options: [
+        { value: 'splurge', label: 'Splurge - travel is worth every penny', weight: 1 },
+        { value: 'comfortable', label: 'Comfortable - nice experiences, reasonable cost', weight: 2 },
+        { value: 'budget', label: 'Budget-conscious - stretch the money', weight: 3 },
+        { value: 'minimal', label: 'Minimal spending - backpacker style', weight: 4 }
+      ]
+    },
+    {
+      id: 'travel_accommodation',
+      category: 'travel',
+      importance: 'NORMAL',
+      importanceWeight: 1.0,
+      question: 'What type of accommodation do you prefer?',
+      options: [
+        { value: 'luxury', label: 'Luxury hotels and resorts', weight: 1 },
+        { value: 'nice_hotel', label: 'Nice mid-range hotels', weight: 2 },
+        { value: 'airbnb', label: 'Airbnbs and local rentals', weight: 3 },
+        { value: 'budget', label: 'Budget options - hostels, basic stays', weight: 4 }
+      ]
+    },
+    {
+      id: 'travel_frequency',
+      category: 'travel',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How often would you ideally travel?',
+      options: [
+        { value: 'frequent', label: 'Frequently - every few months', weight: 1 },
+        { value: 'regular', label: 'Regularly - 2-3 times a year', weight: 2 },
+        { value: 'annual', label: 'Once a year big trip', weight: 3 },
+        { value: 'occasional', label: 'Occasionally - when opportunity arises', weight: 4 }
+      ]
+    }
+  ],
+
+  wedding: [
+    {
+      id: 'wedding_size',
+      category: 'wedding',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What size wedding do you envision?',
+      options: [
+        { value: 'intimate', label: 'Intimate - close family and friends only', weight: 1 },
+        { value: 'medium', label: 'Medium - 50-100 guests', weight: 2 },
+        { value: 'large', label: 'Large celebration - 100-200 guests', weight: 3 },
+        { value: 'huge', label: 'Grand affair - the more the merrier', weight: 4 }
+      ]
+    },
+    {
+      id: 'wedding_budget_priority',
+      category: 'wedding',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How do you prioritize wedding spending?',
+      options: [
+        { value: 'minimal', label: 'Keep it minimal - save for the future', weight: 1 },
+        { value: 'balanced', label: 'Balanced - nice wedding, within reason', weight: 2 },
+        { value: 'splurge', label: 'Willing to splurge - it\'s a once in a lifetime day', weight: 3 },
+        { value: 'no_limit', label: 'No real limit - want it to be perfect', weight: 4 }
+      ]
+    },
+    {
+      id: 'wedding_style',
+      category: 'wedding',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'What wedding style appeals to you?',
+      options: [
+        { value: 'traditional', label: 'Traditional and classic', weight: 1 },
+        { value: 'modern', label: 'Modern and elegant', weight: 2 },
+        { value: 'rustic', label: 'Rustic and natural', weight: 3 },
+        { value: 'unique', label: 'Unique and non-traditional', weight: 4 }
+      ]
+    },
+    {
+      id: 'wedding_family_input',
+      category: 'wedding',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How much should family be involved in wedding decisions?',
+      options: [
+        { value: 'very_involved', label: 'Very involved - it\'s a family event', weight: 1 },
+        { value: 'input_welcome', label: 'Input welcome but we decide', weight: 2 },
+        { value: 'minimal', label: 'Minimal involvement - our day, our way', weight: 3 },
+        { value: 'just_us', label: 'Just us making all decisions', weight: 4 }
+      ]
+    }
+  ],
+
+  baby: [
+    {
+      id: 'baby_timeline',
+      category: 'family',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'When do you envision starting your family?',
+      options: [
+        { value: 'asap', label: 'As soon as possible', weight: 1 },
+        { value: '1_2_years', label: 'In 1-2 years', weight: 2 },
+        { value: '3_5_years', label: 'In 3-5 years', weight: 3 },
+        { value: 'not_sure', label: 'Not sure yet - when it feels right', weight: 4 }
+      ]
+    },
+    {
+      id: 'baby_parenting_style',
+      category: 'family',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What parenting approach resonates with you?',
+      skipIf: { wants_children: 'no' },
+      options: [
+        { value: 'structured', label: 'Structured - clear rules and routines', weight: 1 },
+        { value: 'balanced', label: 'Balanced - structure with flexibility', weight: 2 },
+        { value: 'relaxed', label: 'Relaxed - go with the flow', weight: 3 },
+        { value: 'child_led', label: 'Child-led - follow their interests', weight: 4 }
+      ]
+    },
+    {
+      id: 'baby_work_balance',
+      category: 'family',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How do you envision balancing work and childcare?',
+      options: [
+        { value: 'one_stays_home', label: 'One parent stays home full-time', weight: 1 },
+        { value: 'part_time', label: 'One parent works part-time', weight: 2 },
+        { value: 'both_work', label: 'Both work with childcare support', weight: 3 },
+        { value: 'flexible', label: 'Flexible arrangement based on circumstances', weight: 4 }
+      ]
+    },
+    {
+      id: 'baby_family_help',
+      category: 'family',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How much would you rely on family for childcare help?',
+      options: [
+        { value: 'primary', label: 'Primary support - grandparents are key', weight: 1 },
+        { value: 'regular', label: 'Regular help when needed', weight: 2 },
+        { value: 'occasional', label: 'Occasional babysitting', weight: 3 },
+        { value: 'independent', label: 'Prefer to handle it ourselves', weight: 4 }
+      ]
+    }
+  ],
+
+  career_change: [
+    {
+      id: 'career_risk_tolerance',
+      category: 'career',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How much career risk are you comfortable with?',
+      options: [
+        { value: 'high_risk', label: 'High risk for high reward potential', weight: 1 },
+        { value: 'moderate', label: 'Moderate risk with safety net', weight: 2 },
+        { value: 'low_risk', label: 'Low risk - stability is important', weight: 3 },
+        { value: 'no_risk', label: 'Avoid risk - security first', weight: 4 }
+      ]
+    },
+    {
+      id: 'career_support_expectations',
+      category: 'career',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What support do you expect from your partner during a career transition?',
+      options: [
+        { value: 'full_financial', label: 'Full financial support while transitioning', weight: 1 },
+        { value: 'emotional_practical', label: 'Emotional support and practical help', weight: 2 },
+        { value: 'encouragement', label: 'Encouragement and understanding', weight: 3 },
+        { value: 'independence', label: 'Handle it mostly independently', weight: 4 }
+      ]
+    },
+    {
+      id: 'career_relocation',
+      category: 'career',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'Would you relocate for a career opportunity?',
+      options: [
+        { value: 'absolutely', label: 'Absolutely - career comes first', weight: 1 },
+        { value: 'right_opportunity', label: 'For the right opportunity, yes', weight: 2 },
+        { value: 'reluctant', label: 'Reluctantly, if really necessary', weight: 3 },
+        { value: 'no', label: 'No - our roots matter more', weight: 4 }
+      ]
+    }
+  ],
+
+  just_exploring: [
+    {
+      id: 'future_vision',
+      category: 'values',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'Where do you see yourselves in 5 years?',
+      options: [
+        { value: 'settled', label: 'Settled with home, possibly family', weight: 1 },
+        { value: 'growing', label: 'Growing careers and building foundation', weight: 2 },
+        { value: 'exploring', label: 'Still exploring and having adventures', weight: 3 },
+        { value: 'flexible', label: 'Open to wherever life takes us', weight: 4 }
+      ]
+    },
+    {
+      id: 'life_priorities',
+      category: 'values',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What matters most to you in life?',
+      options: [
+        { value: 'family', label: 'Family and relationships', weight: 1 },
+        { value: 'career', label: 'Career achievement and success', weight: 2 },
+        { value: 'experiences', label: 'Experiences and adventure', weight: 3 },
+        { value: 'balance', label: 'Balance of everything', weight: 4 }
+      ]
+    }
+  ]
+};
+
+// =====================================================
+// LUNA: FOCUS AREA QUESTION POOLS
+// =====================================================
+
+export const FOCUS_AREA_QUESTIONS = {
+  finances: [
+    {
+      id: 'fin_management',
+      category: 'finances',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How do you prefer to manage money as a couple?',
+      options: [
+        { value: 'everything_joint', label: 'Everything joint - complete partnership', weight: 1 },
+        { value: 'mostly_joint', label: 'Mostly joint with personal spending money', weight: 2 },
+        { value: 'split', label: 'Split shared expenses, keep rest separate', weight: 3 },
+        { value: 'independent', label: 'Mostly independent finances', weight: 4 }
+      ]
+    },
+    {
+      id: 'fin_saving',
+      category: 'finances',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What\'s your approach to saving?',
+      options: [
+        { value: 'aggressive', label: 'Aggressive - save as much as possible', weight: 1 },
+        { value: 'balanced', label: 'Balanced - save and enjoy', weight: 2 },
+        { value: 'flexible', label: 'Flexible - save when convenient', weight: 3 },
+        { value: 'enjoy_now', label: 'Enjoy now, save what\'s left', weight: 4 }
+      ]
+    },
+    {
+      id: 'fin_spending',
+      category: 'finances',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you feel about spontaneous purchases?',
+      options: [
+        { value: 'never', label: 'Never - always plan purchases', weight: 1 },
+        { value: 'small_only', label: 'Only small items spontaneously', weight: 2 },
+        { value: 'sometimes', label: 'Sometimes, if we can afford it', weight: 3 },
+        { value: 'often', label: 'Often - life is short', weight: 4 }
+      ]
+    },
+    {
+      id: 'fin_debt',
+      category: 'finances',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you view debt?',
+      options: [
+        { value: 'avoid', label: 'Avoid all debt except mortgage', weight: 1 },
+        { value: 'strategic', label: 'Strategic debt is okay', weight: 2 },
+        { value: 'comfortable', label: 'Comfortable with manageable debt', weight: 3 },
+        { value: 'not_worried', label: 'Not too worried about debt', weight: 4 }
+      ]
+    }
+  ],
+
+  communication: [
+    {
+      id: 'comm_conflict',
+      category: 'communication',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How do you prefer to handle disagreements?',
+      options: [
+        { value: 'immediately', label: 'Discuss immediately until resolved', weight: 1 },
+        { value: 'cool_off', label: 'Cool off first, then discuss', weight: 2 },
+        { value: 'compromise', label: 'Find quick compromise', weight: 3 },
+        { value: 'let_go', label: 'Let small things go', weight: 4 }
+      ]
+    },
+    {
+      id: 'comm_expression',
+      category: 'communication',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you prefer to express love?',
+      options: [
+        { value: 'words', label: 'Words of affirmation', weight: 1 },
+        { value: 'acts', label: 'Acts of service', weight: 2 },
+        { value: 'touch', label: 'Physical affection', weight: 3 },
+        { value: 'gifts', label: 'Thoughtful gifts', weight: 4 }
+      ]
+    },
+    {
+      id: 'comm_space',
+      category: 'communication',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How much personal space do you need?',
+      options: [
+        { value: 'together', label: 'Love being together constantly', weight: 1 },
+        { value: 'mostly_together', label: 'Mostly together, some alone time', weight: 2 },
+        { value: 'balanced', label: 'Balanced together and apart', weight: 3 },
+        { value: 'lots_space', label: 'Need significant personal time', weight: 4 }
+      ]
+    }
+  ],
+
+  values: [
+    {
+      id: 'val_religion',
+      category: 'values',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'What role does spirituality/religion play in your life?',
+      options: [
+        { value: 'central', label: 'Central - guides everything', weight: 1 },
+        { value: 'important', label: 'Important but personal', weight: 2 },
+        { value: 'somewhat', label: 'Somewhat important', weight: 3 },
+        { value: 'not', label: 'Not significant', weight: 4 }
+      ]
+    },
+    {
+      id: 'val_success',
+      category: 'values',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you define success?',
+      options: [
+        { value: 'family', label: 'Happy family and relationships', weight: 1 },
+        { value: 'career', label: 'Career and financial achievement', weight: 2 },
+        { value: 'growth', label: 'Personal growth and fulfillment', weight: 3 },
+        { value: 'impact', label: 'Making a difference for others', weight: 4 }
+      ]
+    }
+  ],
+
+  lifestyle: [
+    {
+      id: 'life_weekends',
+      category: 'lifestyle',
+      importance: 'NORMAL',
+      importanceWeight: 1.0,
+      question: 'How do you prefer to spend weekends?',
+      options: [
+        { value: 'social', label: 'Socially active - events and friends', weight: 1 },
+        { value: 'mix', label: 'Mix of social and quiet time', weight: 2 },
+        { value: 'relaxed', label: 'Relaxed at home together', weight: 3 },
+        { value: 'solo', label: 'Recharge with solo time', weight: 4 }
+      ]
+    },
+    {
+      id: 'life_fitness',
+      category: 'lifestyle',
+      importance: 'NORMAL',
+      importanceWeight: 1.0,
+      question: 'How important is health and fitness?',
+      options: [
+        { value: 'very', label: 'Very - regular exercise is essential', weight: 1 },
+        { value: 'moderate', label: 'Moderately - try to stay active', weight: 2 },
+        { value: 'casual', label: 'Casual approach', weight: 3 },
+        { value: 'not', label: 'Not a priority', weight: 4 }
+      ]
+    },
+    {
+      id: 'life_social',
+      category: 'lifestyle',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How social do you like to be?',
+      options: [
+        { value: 'very', label: 'Very social - love having people around', weight: 1 },
+        { value: 'moderate', label: 'Moderate - enjoy socializing in doses', weight: 2 },
+        { value: 'selective', label: 'Selective - quality over quantity', weight: 3 },
+        { value: 'homebody', label: 'Homebody - prefer quiet evenings', weight: 4 }
+      ]
+    }
+  ],
+
+  family: [
+    {
+      id: 'fam_children',
+      category: 'family',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How do you feel about having children?',
+      skipIf: { has_children: true },
+      options: [
+        { value: 'definitely', label: 'Definitely want children', weight: 1 },
+        { value: 'probably', label: 'Probably, not urgent', weight: 2 },
+        { value: 'unsure', label: 'Unsure, still figuring out', weight: 3 },
+        { value: 'no', label: 'Don\'t want children', weight: 4 }
+      ]
+    },
+    {
+      id: 'fam_extended',
+      category: 'family',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How involved should extended family be?',
+      options: [
+        { value: 'very', label: 'Very involved - family is everything', weight: 1 },
+        { value: 'close', label: 'Close with healthy boundaries', weight: 2 },
+        { value: 'occasional', label: 'Occasional contact', weight: 3 },
+        { value: 'minimal', label: 'Minimal involvement', weight: 4 }
+      ]
+    }
+  ],
+
+  travel: [
+    {
+      id: 'travel_importance',
+      category: 'travel',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How important is travel in your life?',
+      options: [
+        { value: 'essential', label: 'Essential - top priority', weight: 1 },
+        { value: 'important', label: 'Important - want regular trips', weight: 2 },
+        { value: 'occasional', label: 'Occasional trips are fine', weight: 3 },
+        { value: 'homebody', label: 'Prefer staying close to home', weight: 4 }
+      ]
+    },
+    {
+      id: 'travel_style_gen',
+      category: 'travel',
+      importance: 'NORMAL',
+      importanceWeight: 1.0,
+      question: 'What\'s your travel planning style?',
+      options: [
+        { value: 'planned', label: 'Everything planned in advance', weight: 1 },
+        { value: 'outline', label: 'Rough outline, flexible', weight: 2 },
+        { value: 'spontaneous', label: 'Spontaneous, minimal planning', weight: 3 },
+        { value: 'no_plan', label: 'No plan, pure adventure', weight: 4 }
+      ]
+    }
+  ],
+
+  home: [
+    {
+      id: 'home_ownership',
+      category: 'home',
+      importance: 'CRITICAL',
+      importanceWeight: 1.5,
+      question: 'How important is owning a home?',
+      skipIf: { owns_home: true },
+      options: [
+        { value: 'essential', label: 'Essential - want to own ASAP', weight: 1 },
+        { value: 'important', label: 'Important, timing flexible', weight: 2 },
+        { value: 'nice', label: 'Nice to have, not priority', weight: 3 },
+        { value: 'rent_fine', label: 'Happy renting long-term', weight: 4 }
+      ]
+    },
+    {
+      id: 'home_location_gen',
+      category: 'home',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'What type of area do you want to live in?',
+      options: [
+        { value: 'city', label: 'City center - urban, walkable', weight: 1 },
+        { value: 'suburbs', label: 'Suburbs - quiet, spacious', weight: 2 },
+        { value: 'small_town', label: 'Small town - community feel', weight: 3 },
+        { value: 'rural', label: 'Rural - nature, privacy', weight: 4 }
+      ]
+    }
+  ],
+
+  career: [
+    {
+      id: 'career_importance',
+      category: 'career',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How important is career advancement?',
+      options: [
+        { value: 'top', label: 'Top priority - ambitious goals', weight: 1 },
+        { value: 'important', label: 'Important but balanced', weight: 2 },
+        { value: 'stable', label: 'Prefer stability over climbing', weight: 3 },
+        { value: 'not', label: 'Not a major focus', weight: 4 }
+      ]
+    },
+    {
+      id: 'career_balance',
+      category: 'career',
+      importance: 'IMPORTANT',
+      importanceWeight: 1.2,
+      question: 'How do you approach work-life balance?',
+      options: [
+        { value: 'work_first', label: 'Work hard now, enjoy later', weight: 1 },
+        { value: 'flexible', label: 'Flexible, work when productive', weight: 2 },
+        { value: 'boundaries', label: 'Clear boundaries, protect personal time', weight: 3 },
+        { value: 'life_first', label: 'Life first, work fits around it', weight: 4 }
+      ]
+    }
+  ]
+};
+
+// Added to Luna's fallback set when it runs short, unless a skip rule applies
+export const CONDITIONAL_QUESTION_IDS = ['marriage_timeline', 'fam_children'];
+
+// =====================================================
+// PRESCREENING
+// =====================================================
+// Collects context for adaptive question generation and drives skip rules.
+// Helpers live in prescreeningQuestions.js.
+
+export const PRESCREENING_QUESTIONS = [
+  // Section 1: Relationship Context
+  {
+    id: 'relationship_length',
+    question: "How long have you been together?",
+    type: 'select',
+    lucideIcon: 'HeartHandshake',
+    iconColor: 'from-rose-500 to-pink-600',
+    section: 'relationship',
+    options: [
+      { value: 'under_1_year', label: 'Less than 1 year', lucideIcon: 'Sprout' },
+      { value: '1_3_years', label: '1-3 years', lucideIcon: 'Flower' },
+      { value: '3_5_years', label: '3-5 years', lucideIcon: 'TreeDeciduous' },
+      { value: '5_plus_years', label: '5+ years', lucideIcon: 'TreePine' }
+    ]
+  },
+  {
+    id: 'is_married',
+    question: "Are you already married?",
+    type: 'boolean',
+    lucideIcon: 'Gem',
+    iconColor: 'from-violet-500 to-purple-600',
+    section: 'relationship',
+    options: [
+      { value: true, label: "Yes, we're married", lucideIcon: 'Heart' },
+      { value: false, label: 'Not yet', lucideIcon: 'Clock' }
+    ]
+  },
+  {
+    id: 'living_situation',
+    question: "What's your current living situation?",
+    type: 'select',
+    lucideIcon: 'Home',
+    iconColor: 'from-blue-500 to-indigo-600',
+    section: 'relationship',
+    options: [
+      { value: 'together', label: 'We live together', lucideIcon: 'Home' },
+      { value: 'separate', label: 'We live separately (same area)', lucideIcon: 'Building2' },
+      { value: 'long_distance', label: "We're long-distance", lucideIcon: 'Plane' }
+    ]
+  },
+
+  // Section 2: Life Stage (Skip irrelevant questions)
+  {
+    id: 'owns_home',
+    question: "Do you own a home together?",
+    type: 'boolean',
+    lucideIcon: 'Key',
+    iconColor: 'from-amber-500 to-orange-600',
+    section: 'life_stage',
+    options: [
+      { value: true, label: 'Yes, we own our home', lucideIcon: 'KeyRound' },
+      { value: false, label: 'No, we rent or live with family', lucideIcon: 'DoorOpen' }
+    ]
+  },
+  {
+    id: 'has_children',
+    question: "Do you have children together?",
+    type: 'boolean',
+    lucideIcon: 'Baby',
+    iconColor: 'from-pink-500 to-rose-600',
+    section: 'life_stage',
+    options: [
+      { value: true, label: 'Yes, we have kids', lucideIcon: 'Users' },
+      { value: false, label: "No, we don't have kids yet", lucideIcon: 'UserPlus' }
+    ]
+  },
+  {
+    id: 'wants_children',
+    question: "How do you feel about having children?",
+    type: 'select',
+    lucideIcon: 'Heart',
+    iconColor: 'from-pink-500 to-rose-600',
+    section: 'life_stage',
+    dependsOn: { questionId: 'has_children', value: false },
+    options: [
+      { value: 'yes_soon', label: 'We want kids soon', lucideIcon: 'Baby' },
+      { value: 'yes_later', label: 'We want kids eventually', lucideIcon: 'CalendarHeart' },
+      { value: 'maybe', label: "We're undecided", lucideIcon: 'HelpCircle' },
+      { value: 'no', label: "We don't want children", lucideIcon: 'X' }
+    ]
+  },
+
+  // Section 3: What do you want to explore? (KEY QUESTION)
+  {
+    id: 'focus_areas',
+    question: "What areas would you like to explore together?",
+    type: 'multiselect',
+    lucideIcon: 'Compass',
+    iconColor: 'from-teal-500 to-emerald-600',
+    section: 'focus',
+    description: "Select all that interest you",
+    options: [
+      { value: 'finances', label: 'Money & Finances', description: 'Spending, saving, budgeting, financial goals', lucideIcon: 'Wallet' },
+      { value: 'travel', label: 'Travel & Adventure', description: 'Trip planning, destinations, travel styles', lucideIcon: 'Plane' },
+      { value: 'home', label: 'Home & Living', description: 'Buying a home, decorating, location preferences', lucideIcon: 'Home' },
+      { value: 'career', label: 'Career & Work', description: 'Work-life balance, career ambitions, job changes', lucideIcon: 'Briefcase' },
+      { value: 'family', label: 'Family Planning', description: 'Children, parenting styles, family dynamics', lucideIcon: 'Users' },
+      { value: 'lifestyle', label: 'Daily Lifestyle', description: 'Routines, hobbies, social life, health', lucideIcon: 'Sparkles' },
+      { value: 'communication', label: 'Communication', description: 'How you talk, resolve conflicts, express love', lucideIcon: 'MessageCircle' },
+      { value: 'values', label: 'Values & Beliefs', description: 'Life priorities, spirituality, what matters most', lucideIcon: 'Star' }
+    ]
+  },
+
+  // Section 4: Current Priority
+  {
+    id: 'current_priority',
+    question: "What's your biggest shared goal right now?",
+    type: 'select',
+    lucideIcon: 'Target',
+    iconColor: 'from-indigo-500 to-violet-600',
+    section: 'priority',
+    options: [
+      { value: 'buy_home', label: 'Buying a home', lucideIcon: 'Home' },
+      { value: 'travel_trip', label: 'Planning a big trip', lucideIcon: 'MapPin' },
+      { value: 'wedding', label: 'Planning our wedding', lucideIcon: 'Heart' },
+      { value: 'baby', label: 'Starting a family', lucideIcon: 'Baby' },
+      { value: 'career_change', label: 'Career transition', lucideIcon: 'TrendingUp' },
+      { value: 'financial_goal', label: 'Reaching a financial goal', lucideIcon: 'PiggyBank' },
+      { value: 'moving', label: 'Moving to a new place', lucideIcon: 'Truck' },
+      { value: 'just_exploring', label: 'Just exploring our alignment', lucideIcon: 'Search' }
+    ]
+  },
+
+  // Section 5: Assessment Depth
+  {
+    id: 'assessment_depth',
+    question: "How deep do you want to go?",
+    type: 'select',
+    lucideIcon: 'Layers',
+    iconColor: 'from-cyan-500 to-blue-600',
+    section: 'depth',
+    options: [
+      { value: 'quick', label: 'Quick Check (10-15 questions)', description: 'Get a snapshot of your alignment', lucideIcon: 'Zap' },
+      { value: 'standard', label: 'Standard (20-25 questions)', description: 'Balanced depth and coverage', lucideIcon: 'BarChart3' },
+      { value: 'deep', label: 'Deep Dive (30-40 questions)', description: 'Comprehensive exploration', lucideIcon: 'Microscope' }
+    ]
+  }
+];
+
+// =====================================================
+// LOOKUP & LOCALIZATION
+// =====================================================
+
+const QUESTIONS_BY_ID = new Map();
+
+[
+  ...VISION_QUESTIONS,
+  ...Object.values(PRIORITY_QUESTIONS).flat(),
+  ...Object.values(FOCUS_AREA_QUESTIONS).flat()
+].forEach(question => {
+  // Translations are keyed by the stable id: questionBank.<id> for the text,
+  // questionBank.<id>.options.<value> for each option label
+  question.i18nKey = `questionBank.${question.id}`;
+  QUESTIONS_BY_ID.set(String(question.id), question);
+  if (question.legacyId !== undefined) {
+    QUESTIONS_BY_ID.set(String(question.legacyId), question);
+  }
+});
+
+export const getBankQuestion = (id) =>
+  id === undefined || id === null ? null : QUESTIONS_BY_ID.get(String(id)) || null;
+
+/**
+ * Question text and option labels through `translate`, falling back to the
+ * English text for keys it doesn't know
+ */
+export const localizeQuestion = (question, translate) => {
+  if (!translate || !question?.i18nKey) return question;
+
+  const text = (key, fallback) => {
+    const value = translate(key);
+    return value && value !== key ? value : fallback;
+  };
+
+  return {
+    ...question,
+    question: text(question.i18nKey, question.question),
+    options: question.options.map(option => ({
+      ...option,
+      label: text(`${question.i18nKey}.options.${option.value}`, option.label)
+    }))
+  };
+};
+
+// =====================================================
+// SKIP RULES
+// =====================================================
+
+// Prescreening facts are about the couple; partner 1's answers win
+const toPrescreeningAnswers = (prescreening = {}) =>
+  prescreening.partner1 || prescreening.partner2
+    ? { ...(prescreening.partner2 || {}), ...(prescreening.partner1 || {}) }
+    : prescreening;
+
+/**
+ * False when a prescreening answer matches one of the question's skipIf
+ * values. Accepts { partner1, partner2 } or one partner's answers.
+ */
+export const isQuestionApplicable = (question, prescreening) => {
+  if (!question?.skipIf || !prescreening) return true;
+  const answers = toPrescreeningAnswers(prescreening);
+  return !Object.entries(question.skipIf).some(([field, values]) =>
+    [].concat(values).includes(answers[field])
+  );
+};
+
+export const getApplicableQuestions = (questions, prescreening) =>
+  questions.filter(question => isQuestionApplicable(question, prescreening));
+
+// =====================================================
+// SCORING
+// =====================================================
+
+const findOption = (question, value) =>
+  question?.options?.find(option => option.value === value);
+
+/**
+ * How closely two answers align, from 0 (opposite ends of the scale) to 1
+ * (same answer). Bank questions score against the bank's options so every
+ * version scores alike; Luna's generated questions use their own options.
+ * Returns null when either answer is missing or unknown.
+ */
+export const scoreAnswerPair = (question, partner1Value, partner2Value) => {
+  const definition = getBankQuestion(question.bankId ?? question.id);
+  const source = [definition, question].find(q =>
+    findOption(q, partner1Value) && findOption(q, partner2Value)
+  );
+  if (!source) return null;
+
+  const partner1Option = findOption(source, partner1Value);
+  const partner2Option = findOption(source, partner2Value);
+  const maxDiff = source.options.length - 1;
+
+  return {
+    score: maxDiff > 0 ? 1 - Math.abs(partner1Option.weight - partner2Option.weight) / maxDiff : 1,
+    partner1Option,
+    partner2Option,
+    category: normalizeQuestionCategory((definition || question).category)
+  };
+};
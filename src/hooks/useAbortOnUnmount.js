@@ -0,0 +1,33 @@
+import { useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Abort in-flight Luna requests when the component unmounts
+ * Pass the signal to callClaude / callClaudeGenerate / callClaudeStreaming
+ * or the Luna services built on them (options.signal) so leaving a page
+ * stops the request and any retries,
+ * and the backend stops spending tokens on it.
+ *
+ * @returns {Function} getSignal - Returns the AbortSignal for this mount
+ *
+ * @example
+ * const getSignal = useAbortOnUnmount();
+ * await callClaudeStreaming(messages, { profile, variables, signal: getSignal() }, callbacks);
+ */
+export const useAbortOnUnmount = () => {
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    // Created in the effect so StrictMode's mount/unmount/mount gets a fresh controller
+    controllerRef.current = new AbortController();
+    return () => controllerRef.current.abort();
+  }, []);
+
+  return useCallback(() => {
+    if (!controllerRef.current) {
+      controllerRef.current = new AbortController();
+    }
+    return controllerRef.current.signal;
+  }, []);
+};
+
+export default useAbortOnUnmount;
@@ -0,0 +1,245 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  markCommentsRead,
+  getUnreadCommentCounts,
+  subscribeToComments
+} from '../services/supabaseService';
+import { subscribe, unsubscribe } from '../utils/subscriptionManager';
+import { buildCommentThreads, extractMentions, sumUnreadComments } from '../utils/comments';
+
+// One realtime channel per milestone is shared by every thread and badge on
+// screen; subscriptionManager keeps the first callback, so fan out from here
+const channelListeners = new Map();
+
+// Items with a thread on screen: new comments there are read, not unread
+const openTargets = new Set();
+
+// Unread badges to clear when a thread is read anywhere on the page
+const readListeners = new Set();
+
+/**
+ * Listen to comment changes across a milestone
+ * @returns {Function} Stop listening
+ */
+const listenToComments = (milestoneId, listener) => {
+  const channelName = `comments:${milestoneId}`;
+
+  if (!channelListeners.has(channelName)) channelListeners.set(channelName, new Set());
+  channelListeners.get(channelName).add(listener);
+
+  subscribe(channelName, () => subscribeToComments(milestoneId, (payload) => {
+    channelListeners.get(channelName)?.forEach(fn => fn(payload));
+  }));
+
+  return () => {
+    const listeners = channelListeners.get(channelName);
+    listeners?.delete(listener);
+    if (listeners && listeners.size === 0) channelListeners.delete(channelName);
+    unsubscribe(channelName);
+  };
+};
+
+const notifyRead = (targetId) => {
+  readListeners.forEach(fn => fn(targetId));
+};
+
+/**
+ * useComments - Hook for the comment thread on a task, expense or milestone
+ *
+ * Features:
+ * - Fetches comments and groups them into threads
+ * - Subscribes to Realtime updates through subscriptionManager
+ * - Marks the thread read while it's on screen
+ */
+export const useComments = ({ roadmapId, milestoneId, targetType, targetId, targetTitle } = {}) => {
+  const { user } = useAuth();
+
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const userIdRef = useRef(user?.id);
+  userIdRef.current = user?.id;
+
+  const upsertComment = useCallback((comment) => {
+    setComments(prev => (
+      prev.some(c => c.id === comment.id)
+        ? prev.map(c => (c.id === comment.id ? { ...c, ...comment } : c))
+        : [...prev, comment]
+    ));
+  }, []);
+
+  const markRead = useCallback(async () => {
+    if (!targetType || !targetId) return;
+    notifyRead(targetId);
+    await markCommentsRead(targetType, targetId);
+  }, [targetType, targetId]);
+
+  const fetchComments = useCallback(async () => {
+    if (!user || !targetType || !targetId) {
+      setComments([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { data, error: fetchError } = await getComments(targetType, targetId);
+      if (fetchError) throw fetchError;
+
+      setComments(data || []);
+      markRead();
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, targetType, targetId, markRead]);
+
+  // Initial fetch and Realtime subscription
+  useEffect(() => {
+    fetchComments();
+    if (!user || !milestoneId || !targetId) return undefined;
+
+    openTargets.add(targetId);
+    const stop = listenToComments(milestoneId, (payload) => {
+      const comment = payload.new;
+      if (!comment || comment.target_type !== targetType || comment.target_id !== targetId) return;
+
+      upsertComment(comment);
+      if (payload.eventType === 'INSERT' && comment.author_id !== userIdRef.current) {
+        markRead();
+      }
+    });
+
+    return () => {
+      openTargets.delete(targetId);
+      stop();
+    };
+  }, [user, milestoneId, targetType, targetId, fetchComments, upsertComment, markRead]);
+
+  /**
+   * Add a comment, or a reply when parentId is given
+   * @param {string} body
+   * @param {Object} options - { parentId, people } where people are the mention candidates
+   */
+  const addComment = useCallback(async (body, { parentId = null, people = [] } = {}) => {
+    const { data, error: createError } = await createComment({
+      roadmapId,
+      milestoneId,
+      targetType,
+      targetId,
+      parentId,
+      body,
+      mentions: extractMentions(body, people)
+    }, { targetTitle });
+
+    if (!createError && data) upsertComment(data);
+    return { data, error: createError };
+  }, [roadmapId, milestoneId, targetType, targetId, targetTitle, upsertComment]);
+
+  const editComment = useCallback(async (commentId, body, { people = [] } = {}) => {
+    const { data, error: updateError } = await updateComment(commentId, body, extractMentions(body, people));
+    if (!updateError && data) upsertComment(data);
+    return { data, error: updateError };
+  }, [upsertComment]);
+
+  const removeComment = useCallback(async (commentId) => {
+    const { data, error: deleteError } = await deleteComment(commentId);
+    if (!deleteError && data) upsertComment(data);
+    return { data, error: deleteError };
+  }, [upsertComment]);
+
+  const threads = useMemo(() => buildCommentThreads(comments), [comments]);
+
+  return {
+    comments,
+    threads,
+    count: comments.filter(c => !c.deleted_at).length,
+    loading,
+    error,
+    addComment,
+    editComment,
+    removeComment,
+    refresh: fetchComments
+  };
+};
+
+/**
+ * useUnreadComments - Hook for unread comment badges across a milestone
+ *
+ * @returns {Object} { counts, total, countFor(targetId), refresh }
+ */
+export const useUnreadComments = (milestoneId) => {
+  const { user } = useAuth();
+  const [counts, setCounts] = useState({});
+
+  const userIdRef = useRef(user?.id);
+  userIdRef.current = user?.id;
+
+  const fetchCounts = useCallback(async () => {
+    if (!user || !milestoneId) {
+      setCounts({});
+      return;
+    }
+
+    const { data } = await getUnreadCommentCounts(milestoneId);
+    if (!data) return;
+
+    openTargets.forEach(targetId => { delete data[targetId]; });
+    setCounts(data);
+  }, [user, milestoneId]);
+
+  useEffect(() => {
+    fetchCounts();
+    if (!user || !milestoneId) return undefined;
+
+    const stop = listenToComments(milestoneId, (payload) => {
+      const comment = payload.new;
+      if (!comment) return;
+
+      if (payload.eventType === 'INSERT') {
+        if (comment.author_id === userIdRef.current || openTargets.has(comment.target_id)) return;
+        setCounts(prev => {
+          const entry = prev[comment.target_id] || { targetType: comment.target_type, targetId: comment.target_id, unread: 0 };
+          return { ...prev, [comment.target_id]: { ...entry, unread: entry.unread + 1 } };
+        });
+      } else if (comment.deleted_at) {
+        fetchCounts();
+      }
+    });
+
+    const clear = (targetId) => {
+      setCounts(prev => {
+        if (!prev[targetId]) return prev;
+        const { [targetId]: _read, ...rest } = prev;
+        return rest;
+      });
+    };
+    readListeners.add(clear);
+
+    return () => {
+      readListeners.delete(clear);
+      stop();
+    };
+  }, [user, milestoneId, fetchCounts]);
+
+  const countFor = useCallback((targetId) => counts[targetId]?.unread || 0, [counts]);
+
+  return {
+    counts,
+    total: sumUnreadComments(counts),
+    countFor,
+    refresh: fetchCounts
+  };
+};
+
+export default useComments;
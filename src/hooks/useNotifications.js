@@ -255,6 +255,16 @@ export const getNotificationStyle = (type) => {
       color: 'text-indigo-600',
       bgColor: 'bg-indigo-50'
     },
+    comment_added: {
+      icon: 'MessageCircle',
+      color: 'text-indigo-600',
+      bgColor: 'bg-indigo-50'
+    },
+    mention: {
+      icon: 'MessageCircle',
+      color: 'text-amber-600',
+      bgColor: 'bg-amber-50'
+    },
     default: {
       icon: 'Bell',
       color: 'text-stone-600',
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { getMyRoadmapRole } from '../services/supabaseService';
+import { SHARE_ROLES, roleCanEdit, roleCanComment, roleCanManageSharing } from '../utils/shareRoles';
+
+/**
+ * useRoadmapRole - The current user's role on a shared dream
+ *
+ * Edit controls stay visible until the role loads (most people open their
+ * own dreams); RLS rejects any write a read-only role slips through.
+ * Without a roadmapId (demo mode, unsaved dream) everything is editable.
+ *
+ * @param {string} roadmapId - The roadmap ID
+ * @returns {object} { role, canEdit, canComment, canManageSharing, loading }
+ */
+export const useRoadmapRole = (roadmapId) => {
+  const [role, setRole] = useState(roadmapId ? null : SHARE_ROLES.OWNER);
+  const [loading, setLoading] = useState(Boolean(roadmapId));
+
+  useEffect(() => {
+    if (!roadmapId) {
+      setRole(SHARE_ROLES.OWNER);
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    getMyRoadmapRole(roadmapId).then(({ data, error }) => {
+      if (cancelled) return;
+      // If the lookup fails, leave enforcement to the database
+      setRole(error ? SHARE_ROLES.OWNER : data);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roadmapId]);
+
+  return {
+    role,
+    canEdit: loading || roleCanEdit(role),
+    canComment: loading || roleCanComment(role),
+    canManageSharing: loading || roleCanManageSharing(role),
+    loading
+  };
+};
+
+export default useRoadmapRole;
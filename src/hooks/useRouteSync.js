@@ -24,6 +24,7 @@ export const ROUTES = {
   authTest: '/auth-test',
   invite: '/invite/:code', // Dream share invite route
   partnerInvite: '/partner-invite/:code', // Global partnership invite route
+  publicDream: '/shared/:token', // Read-only public dream page (no account)
 };
 
 /**
@@ -165,6 +166,16 @@ export const useRouteSync = (stage, setStage, options = {}) => {
       return;
     }
 
+    // Public read-only dream: /shared/:token
+    const publicDreamMatch = path.match(/^\/shared\/([^/]+)$/);
+    if (publicDreamMatch) {
+      if (stage !== 'publicDream') {
+        stageSetByUrlRef.current = true;
+        setStage('publicDream');
+      }
+      return;
+    }
+
     // Default to landing if unknown path
     if (stage !== 'landing' && path !== '/') {
       // Unknown route - could show 404 or redirect
@@ -191,6 +202,7 @@ export const useRouteSync = (stage, setStage, options = {}) => {
       return (
         path.match(/^\/invite\/[^/]+$/) ||           // /invite/:code
         path.match(/^\/partner-invite\/[^/]+$/) ||   // /partner-invite/:code
+        path.match(/^\/shared\/[^/]+$/) ||          // /shared/:token
         path.match(/^\/roadmap\/[^/]+$/) ||          // /roadmap/:id
         path.match(/^\/dream\/[^/]+/) ||             // /dream/:id or /dream/:id/section
         path.match(/^\/assessment\/join\/[^/]+$/)   // /assessment/join/:code
@@ -0,0 +1,63 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getRoutines } from '../services/supabaseService';
+import { getRoutineStreaks, getRoutineConsistency, getLocalDateString } from '../utils/taskRecurrence';
+
+// Current streaks are counted back through this many days of check-ins
+const LOOKBACK_DAYS = 180;
+
+/**
+ * useRoutineStreaks - Streaks of the routines (recurring tasks) across dreams
+ *
+ * @param {Array} dreams - Array of dream objects
+ * @param {object} options - { enabled }
+ * @returns {object} { routines: [{ task, streak, label }], consistency, loading }
+ */
+export const useRoutineStreaks = (dreams = [], options = {}) => {
+  const { enabled = true } = options;
+  const [data, setData] = useState({ tasks: [], completions: [] });
+  const [loading, setLoading] = useState(false);
+
+  // Stable key so a new dreams array with the same IDs doesn't refetch
+  const dreamIdsString = useMemo(
+    () => dreams.map(d => d.id).filter(Boolean).sort().join(','),
+    [dreams]
+  );
+
+  useEffect(() => {
+    if (!enabled || !dreamIdsString) {
+      setData({ tasks: [], completions: [] });
+      return undefined;
+    }
+
+    let cancelled = false;
+    const since = new Date();
+    since.setDate(since.getDate() - LOOKBACK_DAYS);
+
+    setLoading(true);
+    getRoutines(dreamIdsString.split(','), { since: getLocalDateString(since) })
+      .then(({ data: routines }) => {
+        if (!cancelled && routines) setData(routines);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dreamIdsString, enabled]);
+
+  const routines = useMemo(
+    () => getRoutineStreaks(data.tasks, data.completions),
+    [data]
+  );
+
+  const consistency = useMemo(
+    () => getRoutineConsistency(data.tasks, data.completions),
+    [data]
+  );
+
+  return { routines, consistency, loading };
+};
+
+export default useRoutineStreaks;
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getTaskCompletions,
+  checkInTask,
+  undoTaskCheckIn
+} from '../services/supabaseService';
+import {
+  calculateStreak,
+  getLocalDateString,
+  getOccurrenceFor,
+  isRecurringTask
+} from '../utils/taskRecurrence';
+
+// Streaks and heatmaps look back this far
+const HISTORY_DAYS = 366;
+
+/**
+ * useTaskCompletions - Hook for the routine check-ins of a milestone
+ *
+ * Features:
+ * - Fetches the last year of check-ins for the milestone's recurring tasks
+ * - Works out each routine's streak
+ * - Checks off (or un-checks) the current occurrence of a routine
+ *
+ * @param {Object} milestone
+ * @param {Array} tasks - The milestone's tasks
+ * @returns {Object} { completions, completionsFor(task), streakFor(task),
+ *   toggleCheckIn(task), error, clearError, refresh }
+ */
+export const useTaskCompletions = (milestone, tasks = []) => {
+  const [completions, setCompletions] = useState([]);
+  const [error, setError] = useState(null);
+
+  const milestoneId = milestone?.id;
+  const hasRoutines = tasks.some(isRecurringTask);
+
+  const fetchCompletions = useCallback(async () => {
+    if (!milestoneId || !hasRoutines) {
+      setCompletions([]);
+      return;
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - HISTORY_DAYS);
+    const { data, error: fetchError } = await getTaskCompletions(milestoneId, { since: getLocalDateString(since) });
+    if (fetchError) {
+      setError(fetchError.message);
+      return;
+    }
+    setCompletions(data || []);
+  }, [milestoneId, hasRoutines]);
+
+  useEffect(() => {
+    fetchCompletions();
+  }, [fetchCompletions]);
+
+  const byTask = useMemo(() => {
+    const map = {};
+    completions.forEach(c => {
+      (map[c.task_id] = map[c.task_id] || []).push(c);
+    });
+    return map;
+  }, [completions]);
+
+  const completionsFor = useCallback((task) => byTask[task.id] || [], [byTask]);
+
+  const streakFor = useCallback(
+    (task) => calculateStreak(task, byTask[task.id] || []),
+    [byTask]
+  );
+
+  /**
+   * Check off the routine's current occurrence, or undo it if it's already done
+   * @param {Object} task - Recurring task
+   * @returns {Promise<{ checkedIn: boolean, total: number, error }>}
+   */
+  const toggleCheckIn = useCallback(async (task) => {
+    setError(null);
+    const taskCompletions = byTask[task.id] || [];
+    const occurrenceDate = getOccurrenceFor(task, getLocalDateString());
+    if (!occurrenceDate) {
+      const notStarted = new Error(`This routine starts on ${task.recurrence_start_date}`);
+      setError(notStarted.message);
+      return { checkedIn: false, total: taskCompletions.length, error: notStarted };
+    }
+
+    const existing = taskCompletions.find(c => c.occurrence_date === occurrenceDate);
+    if (existing) {
+      const { error: undoError } = await undoTaskCheckIn(existing.id);
+      if (undoError) {
+        setError(undoError.message);
+        return { checkedIn: true, total: taskCompletions.length, error: undoError };
+      }
+      setCompletions(prev => prev.filter(c => c.id !== existing.id));
+      return { checkedIn: false, total: taskCompletions.length - 1, error: null };
+    }
+
+    const streak = calculateStreak(task, [...taskCompletions, { occurrence_date: occurrenceDate }]).current;
+    const { data, error: checkInError } = await checkInTask(task, {
+      roadmapId: milestone?.roadmap_id,
+      occurrenceDate,
+      streak
+    });
+    if (checkInError) {
+      setError(checkInError.message);
+      return { checkedIn: false, total: taskCompletions.length, error: checkInError };
+    }
+    setCompletions(prev => [...prev, data]);
+    return { checkedIn: true, total: taskCompletions.length + 1, error: null };
+  }, [byTask, milestone?.roadmap_id]);
+
+  return {
+    completions,
+    completionsFor,
+    streakFor,
+    toggleCheckIn,
+    error,
+    clearError: () => setError(null),
+    refresh: fetchCompletions
+  };
+};
+
+export default useTaskCompletions;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getTaskDependencies,
+  createTaskDependency,
+  deleteTaskDependency
+} from '../services/supabaseService';
+import { calculateSchedule, getBlockers, getPredecessors } from '../utils/taskDependencies';
+
+/**
+ * useTaskDependencies - Hook for a milestone's task dependencies and schedule
+ *
+ * Features:
+ * - Fetches the milestone's dependencies
+ * - Works out the critical-path schedule against milestone.target_date
+ * - Adds (rejecting loops) and removes links
+ *
+ * @param {Object} milestone
+ * @param {Array} tasks - The milestone's tasks, including subtasks
+ * @returns {Object} { dependencies, schedule, predecessorsFor(task), blockersFor(task),
+ *   addDependency, removeDependency, error, clearError, refresh }
+ */
+export const useTaskDependencies = (milestone, tasks = []) => {
+  const [dependencies, setDependencies] = useState([]);
+  const [error, setError] = useState(null);
+
+  const milestoneId = milestone?.id;
+
+  const fetchDependencies = useCallback(async () => {
+    if (!milestoneId) {
+      setDependencies([]);
+      return;
+    }
+
+    const { data, error: fetchError } = await getTaskDependencies(milestoneId);
+    if (fetchError) {
+      setError(fetchError.message);
+      return;
+    }
+    setDependencies(data || []);
+  }, [milestoneId]);
+
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies]);
+
+  /**
+   * Make `successor` wait on `predecessor`
+   * @param {Object} predecessor - { taskId } or { phaseIndex }
+   * @param {Object} successor - { taskId } or { phaseIndex }
+   */
+  const addDependency = useCallback(async (predecessor, successor) => {
+    setError(null);
+    const { data, error: createError } = await createTaskDependency(
+      { predecessor, successor },
+      { milestone, tasks }
+    );
+
+    if (createError) {
+      setError(createError.message);
+    } else if (data) {
+      setDependencies(prev => [...prev, data]);
+    }
+    return { data, error: createError };
+  }, [milestone, tasks]);
+
+  const removeDependency = useCallback(async (dependencyId) => {
+    setError(null);
+    const { error: deleteError } = await deleteTaskDependency(dependencyId);
+
+    if (deleteError) {
+      setError(deleteError.message);
+    } else {
+      setDependencies(prev => prev.filter(d => d.id !== dependencyId));
+    }
+    return { error: deleteError };
+  }, []);
+
+  const schedule = useMemo(
+    () => calculateSchedule({ milestone, tasks, dependencies }),
+    [milestone, tasks, dependencies]
+  );
+
+  const predecessorsFor = useCallback(
+    (task) => getPredecessors(task, { milestone, tasks, dependencies }),
+    [milestone, tasks, dependencies]
+  );
+
+  const blockersFor = useCallback(
+    (task) => getBlockers(task, { milestone, tasks, dependencies }),
+    [milestone, tasks, dependencies]
+  );
+
+  return {
+    dependencies,
+    schedule,
+    predecessorsFor,
+    blockersFor,
+    addDependency,
+    removeDependency,
+    error,
+    clearError: () => setError(null),
+    refresh: fetchDependencies
+  };
+};
+
+export default useTaskDependencies;
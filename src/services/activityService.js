@@ -236,6 +236,26 @@ const logTaskCompleted = (roadmapId, task, actorId) => {
   });
 };
 
+/**
+ * Log a routine check-in (one occurrence of a recurring task)
+ * Shows up as a completion, with the occurrence and streak in metadata.
+ */
+const logRoutineCheckIn = (roadmapId, task, actorId, { occurrenceDate, streak } = {}) => {
+  logActivity({
+    roadmapId,
+    actorId,
+    actionType: ACTIVITY_TYPES.TASK_COMPLETED,
+    targetType: TARGET_TYPES.TASK,
+    targetId: task.id,
+    targetTitle: task.title || task.description,
+    metadata: {
+      milestoneId: task.milestone_id,
+      occurrenceDate,
+      streak,
+    },
+  });
+};
+
 /**
  * Log task reopened (uncompleted)
  */
@@ -464,6 +484,29 @@ const logNudgeSent = (roadmapId, actorId, recipientName, taskTitle) => {
   });
 };
 
+/**
+ * Log comment added
+ * The target is the commented task, expense or milestone, so the feed can
+ * link straight to the discussion.
+ */
+const logCommentAdded = (roadmapId, comment, actorId, targetTitle) => {
+  logActivity({
+    roadmapId,
+    actorId,
+    actionType: ACTIVITY_TYPES.COMMENT_ADDED,
+    targetType: comment.target_type,
+    targetId: comment.target_id,
+    targetTitle,
+    metadata: {
+      commentId: comment.id,
+      milestoneId: comment.milestone_id,
+      isReply: Boolean(comment.parent_id),
+      mentions: comment.mentions || [],
+      preview: comment.body?.slice(0, 140),
+    },
+  });
+};
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -499,6 +542,7 @@ export const activityService = {
   logTaskCreated,
   logTaskCompleted,
   logTaskUncompleted,
+  logRoutineCheckIn,
   logTaskAssigned,
   logTaskDeleted,
 
@@ -520,6 +564,7 @@ export const activityService = {
 
   // Interaction activities
   logNudgeSent,
+  logCommentAdded,
 
   // Utilities
   clearProfileCache,
@@ -14,17 +14,26 @@
  * - Budget optimization suggestions
  */
 
+import { getMonthlySavings } from '../../utils/recurrence';
+
 /**
  * Analyzes savings progress toward a goal
- * @param {Object} goal - Goal details (target amount, target date)
- * @param {Object} currentStatus - Current savings status
+ * @param {Object} goal - Goal details (target amount, target date, currency)
+ * @param {Object} currentStatus - Current savings status. When `scheduledContributions`
+ *   (recurring_expenses rows) has active savings rules, their monthly total is used
+ *   instead of `monthlyContribution`.
  * @returns {Object} Progress analysis and projections
  */
 export const analyzeSavingsProgress = (goal, currentStatus) => {
-  const { targetAmount, targetDate, currentAmount = 0, monthlyContribution = 0 } = {
+  const { targetAmount, targetDate, currency, currentAmount = 0, scheduledContributions = [] } = {
     ...goal,
     ...currentStatus
   };
+  const scheduledMonthly = getMonthlySavings(scheduledContributions, { currency });
+  const contributionSource = scheduledMonthly > 0 ? 'scheduled' : 'estimated';
+  const monthlyContribution = scheduledMonthly > 0
+    ? Math.round(scheduledMonthly * 100) / 100
+    : (currentStatus?.monthlyContribution ?? goal?.monthlyContribution ?? 0);
 
   const today = new Date();
   const target = new Date(targetDate);
@@ -71,6 +80,7 @@ export const analyzeSavingsProgress = (goal, currentStatus) => {
     },
     savings: {
       currentMonthly: monthlyContribution,
+      contributionSource,
       requiredMonthly: requiredMonthlySavings.toFixed(2),
       gap: monthlyGap.toFixed(2),
       needsAdjustment: monthlyGap > 0
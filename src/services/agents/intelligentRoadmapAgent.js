@@ -19,94 +19,10 @@ import { callClaudeGenerate } from '../claudeAPI';
  * @returns {Promise<Object>} Complete roadmap with milestones
  */
 export const generateIntelligentRoadmap = async (goalDescription, userContext) => {
-  const prompt = `You are an expert journey planner. Create a comprehensive roadmap for someone's goal.
-
-**User's Goal:**
-"${goalDescription}"
-
-**User Context:**
-- Budget: ${userContext.budget ? `$${userContext.budget.amount}` : 'Not specified'}
-- Timeline: ${userContext.timeline?.text || 'Not specified'}
-- Location: ${userContext.location?.text || 'Not specified'}
-- Preferences: ${userContext.preferences?.map(p => p.value).join(', ') || 'None'}
-- Constraints: ${userContext.constraints?.map(c => c.type).join(', ') || 'None'}
-
-**Your Task:**
-Create a journey roadmap that takes them from START to COMPLETION of their goal.
-Think about the logical stages they need to go through.
-
-**Examples of Good Roadmaps:**
-
-For "Buy an apartment in Berlin":
-1. financial_health_check
-2. savings_and_down_payment_plan
-3. mortgage_preapproval
-4. location_and_neighborhood_research
-5. property_search_and_tours
-6. offer_and_negotiation
-7. home_inspection_and_due_diligence
-8. closing_and_legal_process
-9. moving_and_setup
-
-For "Learn to play guitar":
-1. instrument_selection_and_purchase
-2. find_teacher_or_online_course
-3. master_basic_chords_and_strumming
-4. learn_music_theory_basics
-5. practice_simple_songs
-6. develop_fingerpicking_technique
-7. learn_intermediate_songs
-8. perform_for_friends_or_open_mic
-
-For "Start a bakery business":
-1. market_research_and_niche_identification
-2. develop_signature_recipes
-3. business_plan_and_financial_projections
-4. legal_registration_and_permits
-5. secure_funding_or_investment
-6. find_and_lease_commercial_space
-7. purchase_equipment_and_supplies
-8. hire_and_train_staff
-9. soft_launch_with_friends_and_family
-10. grand_opening_and_marketing_campaign
-11. build_customer_base_and_optimize
-
-**Guidelines:**
-- Create 6-12 milestones (adjust based on goal complexity and timeline)
-- Each milestone = ONE concrete stage in their journey
-- Use snake_case naming (e.g., "find_apartment" not "Finding Apartment")
-- Think about dependencies (can't do X before Y)
-- Consider their budget and timeline
-- Be specific to THEIR goal, not generic
-- NO generic phases like "planning", "execution", "completion"
-- YES to concrete actions like "property_search", "recipe_testing", "equipment_purchase"
-
-**Return Format (JSON only):**
-{
-  "goal_category": "short category label (e.g., real_estate_purchase, skill_learning, business_launch)",
-  "milestones": [
-    {
-      "id": "milestone_1",
-      "title": "Human readable title",
-      "description": "Brief description of what happens in this stage",
-      "estimated_duration": "2-4 weeks",
-      "estimated_cost": 5000,
-      "key_actions": ["Action 1", "Action 2", "Action 3"]
-    },
-    ...
-  ],
-  "total_estimated_duration": "6-9 months",
-  "total_estimated_cost": 50000,
-  "success_factors": ["Factor 1", "Factor 2", "Factor 3"],
-  "common_pitfalls": ["Pitfall 1", "Pitfall 2"]
-}
-
-Return ONLY valid JSON, nothing else.`;
-
   try {
-    const responseText = await callClaudeGenerate(prompt, {
-      maxTokens: 4096,
-      temperature: 0.7
+    const responseText = await callClaudeGenerate({
+      profile: 'roadmap-architect',
+      variables: { task: 'journey', goal: goalDescription, context: userContext }
     });
 
     // Extract JSON from response
@@ -16,6 +16,7 @@
 
 import { generateMilestone, MILESTONE_TEMPLATES } from '../milestoneGenerator';
 import { callClaudeGenerate } from '../claudeAPI';
+import { estimateTaskTime } from '../../utils/taskDependencies';
 
 /**
  * Generates a comprehensive roadmap from user context
@@ -590,25 +591,6 @@ const assignTasksToPartners = (tasks, preferences = []) => {
   });
 };
 
-/**
- * Estimates time for a task
- * @param {Object} task - Task object
- * @returns {string} Time estimate
- */
-const estimateTaskTime = (task) => {
-  const taskType = task.title.toLowerCase();
-
-  if (taskType.includes('research') || taskType.includes('compare')) {
-    return '2-4 hours';
-  } else if (taskType.includes('book') || taskType.includes('schedule')) {
-    return '1-2 hours';
-  } else if (taskType.includes('create') || taskType.includes('design')) {
-    return '3-5 hours';
-  }
-
-  return '1-2 hours'; // Default
-};
-
 /**
  * Gets reason for task assignment
  * @param {string} taskType - Type of task
@@ -697,56 +679,10 @@ export const adaptRoadmap = (roadmap, changes) => {
  * @returns {Promise<Object>} { approved: boolean, customizedSequence: Array, insights: string }
  */
 export const validateAndCustomizeTemplate = async (templateSequence, goalType, goalDescription, userContext) => {
-  const prompt = `You are a roadmap planning expert helping couples achieve their dreams. Your job is to VALIDATE and CUSTOMIZE a template roadmap to ensure it truly serves their specific goal.
-
-**Template Roadmap (baseline for ${goalType}):**
-${templateSequence.map((m, i) => `${i + 1}. ${m}`).join('\n')}
-
-**User's Dream Goal:**
-"${goalDescription}"
-
-**User Context:**
-- Budget: ${userContext.budget ? `$${userContext.budget.amount}` : 'Not specified'}
-- Timeline: ${userContext.timeline?.text || 'Not specified'}
-- Location: ${userContext.location?.text || 'Not specified'}
-- Preferences: ${userContext.preferences?.map(p => p.value).join(', ') || 'None'}
-- Constraints: ${userContext.constraints?.map(c => c.type).join(', ') || 'None'}
-
-**Your Task:**
-1. **VALIDATE**: Does this template make sense for their SPECIFIC dream?
-   - If template has GENERIC steps like "goal_definition_and_research", "comprehensive_planning", "execution_and_implementation" → REJECT and create custom sequence
-   - For real goals (buying apartment, wedding, etc.) → use SPECIFIC templates
-   - Look for mismatches and missing critical steps
-
-2. **CUSTOMIZE**: Create a journey roadmap with SPECIFIC, ACTIONABLE stages:
-   - For "buying apartment": financial assessment → mortgage pre-approval → property search → offer → inspection → closing → moving
-   - For "wedding": engagement → venue → vendors → invitations → ceremony → reception → post-wedding
-   - Each milestone should be a STAGE in their journey, not generic planning phases
-   - Use snake_case naming (e.g., "mortgage_preapproval" NOT "financial_planning")
-
-3. **INSIGHTS**: Explain key customizations (1-2 sentences)
-
-**CRITICAL RULES:**
-- Between 6-14 milestones (comprehensive journey stages)
-- Each milestone = ONE stage in their journey from start to completion
-- NO generic phases like "planning", "execution", "review"
-- YES to journey stages like "credit_score_improvement", "property_tours", "offer_negotiation"
-- Maintain logical dependencies and sequence
-- Use snake_case naming always
-
-**Return Format (JSON only):**
-{
-  "approved": true/false,  // false if template is generic/doesn't fit, true if good template with tweaks
-  "customizedSequence": ["milestone_1", "milestone_2", ...],
-  "insights": "Brief explanation of key customizations"
-}
-
-Return ONLY valid JSON, nothing else.`;
-
   try {
-    const responseText = await callClaudeGenerate(prompt, {
-      maxTokens: 2048,
-      temperature: 0.7
+    const responseText = await callClaudeGenerate({
+      profile: 'roadmap-architect',
+      variables: { task: 'validate', goal: goalDescription, goalType, template: templateSequence, context: userContext }
     });
 
     // Extract JSON from response (handle markdown code blocks)
@@ -811,40 +747,10 @@ Return ONLY valid JSON, nothing else.`;
  * @returns {Promise<Array>} Refined milestone sequence
  */
 export const refineSequenceWithClaude = async (templateSequence, goalType, goalDescription, userContext) => {
-  const prompt = `You are a roadmap planning expert. Your task is to refine a template milestone sequence to better match the user's specific goal.
-
-**Template Sequence (baseline):**
-${templateSequence.map((m, i) => `${i + 1}. ${m}`).join('\n')}
-
-**User's Goal:**
-${goalDescription}
-
-**Additional Context:**
-- Budget: ${userContext.budget ? `$${userContext.budget.amount}` : 'Not specified'}
-- Timeline: ${userContext.timeline?.text || 'Not specified'}
-- Location: ${userContext.location?.text || 'Not specified'}
-- Preferences: ${userContext.preferences?.map(p => p.value).join(', ') || 'None'}
-- Constraints: ${userContext.constraints?.map(c => c.type).join(', ') || 'None'}
-
-**Your Task:**
-1. Review the template sequence
-2. Adapt it to the user's specific goal description and context
-3. Add, remove, or reorder milestones as needed
-4. Keep milestone names in snake_case format (e.g., "visa_immigration", "job_search")
-5. Return ONLY the refined milestone sequence as a JSON array
-
-**Requirements:**
-- Between 4-12 milestones
-- Each milestone should be specific and actionable
-- Maintain logical dependencies (early steps before later steps)
-- Consider the user's budget and timeline constraints
-
-Return ONLY a valid JSON array of milestone strings, nothing else.`;
-
   try {
-    const responseText = await callClaudeGenerate(prompt, {
-      maxTokens: 1024,
-      temperature: 0.7
+    const responseText = await callClaudeGenerate({
+      profile: 'roadmap-architect',
+      variables: { task: 'refine', goal: goalDescription, goalType, template: templateSequence, context: userContext }
     });
 
     // Extract JSON array from response (handle markdown code blocks)
@@ -881,47 +787,15 @@ Return ONLY a valid JSON array of milestone strings, nothing else.`;
  * HYBRID APPROACH - Layer 3: Generates milestones from scratch using Claude
  * @param {string} goalDescription - User's goal description
  * @param {Object} userContext - User context (budget, timeline, preferences)
+ * @param {Object} options - { bypassCache: boolean } skip the backend response cache
  * @returns {Promise<Array>} Generated milestone sequence
  */
-export const generateMilestonesWithClaude = async (goalDescription, userContext) => {
-  const prompt = `You are a roadmap planning expert. Create a comprehensive JOURNEY roadmap with specific stages from start to completion.
-
-**User's Goal:**
-${goalDescription}
-
-**Context:**
-- Budget: ${userContext.budget ? `$${userContext.budget.amount}` : 'Not specified'}
-- Timeline: ${userContext.timeline?.text || 'Not specified'}
-- Location: ${userContext.location?.text || 'Not specified'}
-- Preferences: ${userContext.preferences?.map(p => p.value).join(', ') || 'None'}
-- Constraints: ${userContext.constraints?.map(c => c.type).join(', ') || 'None'}
-
-**Your Task:**
-Create a sequence of JOURNEY STAGES that take the user from START to COMPLETION of their goal.
-
-**Think like this:**
-- "Buying an apartment" → [credit_check, savings_plan, mortgage_preapproval, location_research, property_tours, offer_submission, home_inspection, closing_process, moving_preparation]
-- "Planning a wedding" → [engagement_announcement, budget_setting, venue_booking, vendor_selection, invitations, ceremony_planning, wedding_day, honeymoon]
-- "Starting a business" → [idea_validation, market_research, business_plan, legal_registration, funding, branding, product_development, soft_launch, full_launch]
-
-**CRITICAL RULES:**
-- Between 6-12 milestones (complete journey stages)
-- Each milestone = ONE specific stage in their journey
-- NO generic phases like "planning", "execution", "review", "goal_definition"
-- YES to concrete stages like "property_search", "vendor_meetings", "product_testing"
-- Use snake_case naming always (e.g., "mortgage_preapproval" NOT "Get Mortgage")
-- Maintain logical sequence (can't close on house before finding one)
-- Consider budget and timeline in scope
-
-Return ONLY a valid JSON array of milestone strings, nothing else.
-
-Example format:
-["milestone_one", "milestone_two", "milestone_three"]`;
-
+export const generateMilestonesWithClaude = async (goalDescription, userContext, { bypassCache = false } = {}) => {
   try {
-    const responseText = await callClaudeGenerate(prompt, {
-      maxTokens: 1024,
-      temperature: 0.8 // Higher temperature for more creative generation
+    const responseText = await callClaudeGenerate({
+      profile: 'roadmap-architect',
+      variables: { task: 'generate', goal: goalDescription, context: userContext },
+      bypassCache
     });
 
     // Extract JSON array from response (handle markdown code blocks)
@@ -1,4 +1,13 @@
 import { supabase } from '../config/supabaseClient';
+import { QUESTION_BANK_VERSION, getBankQuestion } from '../data/questionBank';
+import {
+  SESSION_EXTENSION_DAYS,
+  getInitialExpiry,
+  getExtendedExpiry,
+  getResumeIndex
+} from '../utils/assessmentSchedule';
+import { buildConversationMilestone } from '../utils/conversationMilestones';
+import { createRoadmap, createMilestone, createTask, getMilestonesByRoadmap } from './supabaseService';
 
 // =====================================================
 // SESSION MANAGEMENT
@@ -7,7 +16,7 @@ import { supabase } from '../config/supabaseClient';
 /**
  * Generate a unique 8-character session code
  */
-const generateSessionCode = () => {
+export const generateSessionCode = () => {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
   let code = '';
   for (let i = 0; i < 8; i++) {
@@ -25,6 +34,7 @@ export const createAssessmentSession = async ({
   partner1Email = null,
   partner2Email = null,
   mode = 'together',
+  sealed = false,
   userId = null
 }) => {
   try {
@@ -34,6 +44,11 @@ export const createAssessmentSession = async ({
       userId = user?.id || null;
     }
 
+    // Sealed answers are tied to each partner's account
+    if (sealed && !userId) {
+      throw new Error('Sign in to start a private assessment, so only you can see your answers.');
+    }
+
     const sessionCode = generateSessionCode();
 
     const { data, error } = await supabase
@@ -46,7 +61,9 @@ export const createAssessmentSession = async ({
         partner1_email: partner1Email,
         partner2_email: partner2Email,
         mode: mode,
-        status: 'prescreening'
+        sealed,
+        status: 'prescreening',
+        expires_at: getInitialExpiry(mode)
       }])
       .select()
       .single();
@@ -68,6 +85,9 @@ export const createAssessmentSession = async ({
 
 /**
  * Join an existing session by code
+ * The signed-in creator rejoins as partner 1 (e.g. from another device);
+ * everyone else joins as partner 2. Expired sessions come back flagged
+ * for the creator so they can reopen them.
  */
 export const joinSessionByCode = async (sessionCode) => {
   try {
@@ -84,26 +104,108 @@ export const joinSessionByCode = async (sessionCode) => {
       throw error;
     }
 
+    const { data: { user } } = await supabase.auth.getUser();
+    const partnerNumber = user && user.id === data.user_id ? 1 : 2;
+
     // Check if session is expired
-    if (new Date(data.expires_at) < new Date()) {
-      throw new Error('This session has expired. Please start a new assessment.');
+    if (new Date(data.expires_at) < new Date() && data.status !== 'completed') {
+      if (partnerNumber === 1) {
+        return {
+          data: { ...data, partnerNumber, isExpired: true },
+          error: null
+        };
+      }
+      throw new Error(`This session has expired. Ask ${data.partner1_name} to reopen it, or start a new assessment.`);
     }
 
     // Check if session is already completed
     if (data.status === 'completed') {
       return {
-        data: { ...data, isCompleted: true },
+        data: { ...data, partnerNumber, isCompleted: true },
         error: null
       };
     }
 
-    return { data, error: null };
+    if (data.sealed && partnerNumber === 2) {
+      if (!user) {
+        throw new Error('Sign in to join this private assessment, so only you can see your answers.');
+      }
+      if (data.partner2_user_id && data.partner2_user_id !== user.id) {
+        throw new Error('This private assessment already has two partners.');
+      }
+    }
+
+    // Remember partner 2's account so reminders can reach them as push notifications
+    if (partnerNumber === 2 && user && !data.partner2_user_id) {
+      const { error: claimError } = await supabase
+        .from('assessment_sessions')
+        .update({ partner2_user_id: user.id })
+        .eq('id', data.id);
+
+      if (claimError) {
+        console.warn('Could not link partner account to session:', claimError);
+      } else {
+        data.partner2_user_id = user.id;
+      }
+    }
+
+    return { data: { ...data, partnerNumber }, error: null };
   } catch (error) {
     console.error('Join session error:', error);
     return { data: null, error };
   }
 };
 
+/**
+ * Extend a session, or reopen it if it has expired (creator only)
+ * Reminder counts start over so a reopened async session gets reminders again.
+ */
+export const extendAssessmentSession = async (sessionId, days = SESSION_EXTENSION_DAYS) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data: session, error: fetchError } = await supabase
+      .from('assessment_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!user || session.user_id !== user.id) {
+      throw new Error('Only the person who started this assessment can extend it.');
+    }
+
+    if (session.status === 'completed') {
+      throw new Error('This assessment is already complete.');
+    }
+
+    const { data, error } = await supabase
+      .from('assessment_sessions')
+      .update({
+        expires_at: getExtendedExpiry(session, days),
+        extended_count: (session.extended_count || 0) + 1,
+        partner1_reminders_sent: 0,
+        partner2_reminders_sent: 0
+      })
+      .eq('id', sessionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return {
+      data: {
+        ...data,
+        shareLink: `${window.location.origin}/assessment/join/${data.session_code}`
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Extend assessment session error:', error);
+    return { data: null, error };
+  }
+};
+
 /**
  * Get session by ID
  */
@@ -180,6 +282,61 @@ export const getUserAssessmentHistory = async (userId = null) => {
   }
 };
 
+/**
+ * Get every saved result for the user's sessions, oldest first, so
+ * retakes can be compared. Each row carries its session's partner names
+ * and an assessed_at date.
+ */
+export const getAssessmentResultsHistory = async (userId = null) => {
+  try {
+    if (!userId) {
+      const { data: { user } } = await supabase.auth.getUser();
+      userId = user?.id;
+    }
+
+    if (!userId) {
+      return { data: [], error: null };
+    }
+
+    const { data: sessions, error: sessionsError } = await supabase
+      .from('assessment_sessions')
+      .select('id, partner1_name, partner2_name, created_at, completed_at')
+      .eq('user_id', userId);
+
+    if (sessionsError) throw sessionsError;
+    if (!sessions?.length) return { data: [], error: null };
+
+    const { data: results, error } = await supabase
+      .from('assessment_results')
+      .select('*')
+      .in('session_id', sessions.map(s => s.id));
+
+    if (error) throw error;
+
+    // Re-ratings from conversation milestones; history still loads without them
+    const { data: checkins } = await getConversationCheckins({ sessionIds: sessions.map(s => s.id) });
+
+    const sessionsById = Object.fromEntries(sessions.map(s => [s.id, s]));
+    const history = (results || [])
+      .map(result => {
+        const session = sessionsById[result.session_id];
+        return {
+          ...result,
+          partner1_name: session.partner1_name,
+          partner2_name: session.partner2_name,
+          assessed_at: session.completed_at || result.computed_at || session.created_at,
+          checkins: (checkins || []).filter(checkin => checkin.session_id === result.session_id)
+        };
+      })
+      .sort((a, b) => String(a.assessed_at).localeCompare(String(b.assessed_at)));
+
+    return { data: history, error: null };
+  } catch (error) {
+    console.error('Get assessment results history error:', error);
+    return { data: null, error };
+  }
+};
+
 // =====================================================
 // PRE-SCREENING
 // =====================================================
@@ -252,7 +409,10 @@ export const saveSessionQuestions = async (sessionId, questions) => {
       importance_weight: q.importanceWeight || 1.0,
       question_text: q.question,
       options: q.options,
-      is_conversational: q.isConversational || false
+      is_conversational: q.isConversational || false,
+      // Bank questions keep their stable id so later versions score them alike
+      bank_question_id: getBankQuestion(q.id) ? String(q.id) : null,
+      bank_version: getBankQuestion(q.id) ? QUESTION_BANK_VERSION : null
     }));
 
     const { data, error } = await supabase
@@ -290,7 +450,8 @@ export const getSessionQuestions = async (sessionId) => {
       importanceWeight: parseFloat(q.importance_weight),
       question: q.question_text,
       options: q.options,
-      isConversational: q.is_conversational
+      isConversational: q.is_conversational,
+      bankId: q.bank_question_id || null
     }));
 
     return { data: questions, error: null };
@@ -395,6 +556,53 @@ export const getPartnerProgress = async (sessionId, partnerNumber) => {
   }
 };
 
+/**
+ * Where a partner left off, so they can resume on any device
+ * Returns the session questions, their saved answers, and the index of the
+ * first unanswered question (questions.length once they're done).
+ */
+export const getResumePoint = async (sessionId, partnerNumber) => {
+  try {
+    const [
+      { data: answered, error: progressError },
+      { data: questions, error: questionsError }
+    ] = await Promise.all([
+      getPartnerProgress(sessionId, partnerNumber),
+      getSessionQuestions(sessionId)
+    ]);
+
+    if (progressError) throw progressError;
+    if (questionsError) throw questionsError;
+
+    const total = questions?.length || 0;
+    let answers = {};
+
+    // Only fetch the answers themselves when there's a half-finished questionnaire
+    if (answered > 0) {
+      const { data: responses, error: responsesError } = await getSessionResponses(sessionId);
+      if (responsesError) throw responsesError;
+      answers = (partnerNumber === 1 ? responses.partner1Answers : responses.partner2Answers) || {};
+    }
+
+    const index = getResumeIndex(questions || [], answers);
+
+    return {
+      data: {
+        questions: questions || [],
+        answers,
+        answered,
+        total,
+        index,
+        isComplete: total > 0 && index >= total
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Get resume point error:', error);
+    return { data: null, error };
+  }
+};
+
 // =====================================================
 // CONVERSATIONAL RESPONSES (Deep-dive follow-ups)
 // =====================================================
@@ -474,6 +682,7 @@ export const saveAssessmentResults = async (sessionId, results) => {
         recommended_goals: results.recommendedGoals,
         questions_asked: results.questionsAsked,
         analysis_model: results.analysisModel || 'claude-3-5-sonnet',
+        question_bank_version: results.questionBankVersion ?? null,
         computed_at: new Date().toISOString()
       }, {
         onConflict: 'session_id'
@@ -641,6 +850,168 @@ export const unsubscribe = (channel) => {
   }
 };
 
+// =====================================================
+// SEALED ASSESSMENTS (reveal together)
+// =====================================================
+
+/**
+ * Opt in to revealing individual answers; they open up once both partners have
+ * Returns the updated session
+ */
+export const consentToReveal = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('consent_to_assessment_reveal', { p_session_id: sessionId });
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Consent to reveal error:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * How many answers matched per category in a sealed session, as coarse bands
+ * that can't be traced back to single answers (see summarizeSealedAlignment)
+ * Only available to the two partners once both have finished
+ */
+export const getSealedAlignment = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('get_sealed_assessment_alignment', { p_session_id: sessionId });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Get sealed alignment error:', error);
+    return { data: null, error };
+  }
+};
+
+// =====================================================
+// CONVERSATION MILESTONES
+// =====================================================
+
+/**
+ * Turn a misalignment into a conversation milestone with discussion tasks
+ * and a check-in date. Adds it to an existing dream, or creates a new dream
+ * for it when no roadmapId is given.
+ * Returns { roadmap, milestone, tasks }
+ */
+export const createConversationMilestone = async (misalignment, {
+  roadmapId = null,
+  sessionId = null,
+  partner1Name,
+  partner2Name,
+  checkInDate
+} = {}) => {
+  try {
+    const { milestone, tasks } = buildConversationMilestone(misalignment, {
+      sessionId, partner1Name, partner2Name, checkInDate
+    });
+
+    let roadmap = { id: roadmapId };
+    let orderIndex = 0;
+    if (roadmapId) {
+      const { data: existing } = await getMilestonesByRoadmap(roadmapId);
+      orderIndex = existing?.length || 0;
+    } else {
+      const { data: newRoadmap, error: roadmapError } = await createRoadmap({
+        title: milestone.title,
+        partner1_name: partner1Name,
+        partner2_name: partner2Name,
+        xp_points: 0
+      });
+      if (roadmapError) throw roadmapError;
+      roadmap = newRoadmap;
+    }
+
+    const { data: newMilestone, error: milestoneError } = await createMilestone({
+      ...milestone,
+      roadmap_id: roadmap.id,
+      order_index: orderIndex
+    });
+    if (milestoneError) throw milestoneError;
+
+    const createdTasks = [];
+    for (const task of tasks) {
+      const { data, error } = await createTask(
+        { ...task, milestone_id: newMilestone.id },
+        { roadmapId: roadmap.id }
+      );
+      if (error) throw error;
+      createdTasks.push(data);
+    }
+
+    return { data: { roadmap, milestone: newMilestone, tasks: createdTasks }, error: null };
+  } catch (error) {
+    console.error('Create conversation milestone error:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Save one partner's re-rating (1-5) of a conversation milestone's topic;
+ * it joins the assessment history of the session the topic came from
+ */
+export const saveConversationCheckin = async (milestone, { rating, note = null, partnerName = null }) => {
+  try {
+    const conversation = milestone?.deep_dive_data?.conversation;
+    if (!conversation) throw new Error('This milestone is not a conversation milestone');
+
+    const { data, error } = await supabase
+      .from('assessment_checkins')
+      .insert([{
+        session_id: conversation.sessionId || null,
+        roadmap_id: milestone.roadmap_id,
+        milestone_id: milestone.id,
+        question: conversation.question,
+        question_id: conversation.questionId || null,
+        category: conversation.category || null,
+        partner_name: partnerName,
+        rating,
+        note: note?.trim() || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Save conversation check-in error:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Re-ratings for a milestone or for assessment sessions, oldest first
+ */
+export const getConversationCheckins = async ({ milestoneId = null, sessionIds = [] } = {}) => {
+  try {
+    if (!milestoneId && sessionIds.length === 0) {
+      return { data: [], error: null };
+    }
+
+    let query = supabase
+      .from('assessment_checkins')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    query = milestoneId
+      ? query.eq('milestone_id', milestoneId)
+      : query.in('session_id', sessionIds);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Get conversation check-ins error:', error);
+    return { data: null, error };
+  }
+};
+
 // =====================================================
 // UTILITY FUNCTIONS
 // =====================================================
@@ -664,24 +1035,31 @@ export const checkPrescreeningComplete = async (sessionId) => {
 
 /**
  * Check if both partners have completed the assessment
+ * Counts come from get_assessment_progress, which works even when the
+ * other partner's answers are sealed
  */
 export const checkAssessmentComplete = async (sessionId) => {
   try {
-    const { data: questions } = await getSessionQuestions(sessionId);
-    const { data: responses } = await getSessionResponses(sessionId);
+    const { data, error } = await supabase
+      .rpc('get_assessment_progress', { p_session_id: sessionId });
+
+    if (error) throw error;
 
-    if (!questions || !responses) {
+    const progress = Array.isArray(data) ? data[0] : data;
+    if (!progress) {
       return { partner1Complete: false, partner2Complete: false, bothComplete: false };
     }
 
-    const totalQuestions = questions.length;
-    const partner1Count = Object.keys(responses.partner1Answers).length;
-    const partner2Count = Object.keys(responses.partner2Answers).length;
+    const totalQuestions = progress.total_questions;
+    const partner1Count = progress.partner1_answered;
+    const partner2Count = progress.partner2_answered;
+    const partner1Complete = totalQuestions > 0 && partner1Count >= totalQuestions;
+    const partner2Complete = totalQuestions > 0 && partner2Count >= totalQuestions;
 
     return {
-      partner1Complete: partner1Count >= totalQuestions,
-      partner2Complete: partner2Count >= totalQuestions,
-      bothComplete: partner1Count >= totalQuestions && partner2Count >= totalQuestions,
+      partner1Complete,
+      partner2Complete,
+      bothComplete: partner1Complete && partner2Complete,
       partner1Progress: partner1Count,
       partner2Progress: partner2Count,
       totalQuestions
@@ -711,13 +1089,22 @@ export const getFullAssessmentData = async (sessionId) => {
       getConversationalResponses(sessionId)
     ]);
 
+    // Until a sealed session is revealed, each partner only sees their own answers
+    let alignment = null;
+    if (session?.sealed && !session.revealed_at) {
+      const { data: sealedAlignment, error: alignmentError } = await getSealedAlignment(sessionId);
+      if (alignmentError) throw alignmentError;
+      alignment = sealedAlignment;
+    }
+
     return {
       data: {
         session,
         prescreening,
         questions,
         responses,
-        conversational
+        conversational,
+        alignment
       },
       error: null
     };
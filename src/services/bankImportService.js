@@ -0,0 +1,608 @@
+/**
+ * Bank Import Service - Turn bank statements into expenses
+ *
+ * Supported statements:
+ * - CSV (any bank) - the user maps columns; we guess the mapping from the headers
+ * - OFX / QFX (Quicken, most US/UK banks)
+ * - CAMT.053 XML (ISO 20022, SEPA banks)
+ *
+ * Flow (see ExpenseImportWizard):
+ *   parseStatement() → prepareImportRows() → validateImportRows() → importExpenses()
+ *
+ * Every parser returns the same transaction shape:
+ *   { reference, date: 'YYYY-MM-DD', description, amount, currency, direction: 'debit' | 'credit' }
+ * `amount` is always positive; `direction` says whether money left the account.
+ *
+ * @module bankImportService
+ */
+
+import { createExpense, validatePocketContribution } from './supabaseService';
+import { detectCategory } from './agents/financialIntelligenceAgent';
+import { convertAmount, normalizeCurrency } from '../utils/currency';
+
+export const STATEMENT_FORMATS = {
+  CSV: 'csv',
+  OFX: 'ofx',
+  CAMT053: 'camt053'
+};
+
+// Days either side of a transaction's date an existing expense may fall on and still be a duplicate
+const DUPLICATE_DATE_WINDOW_DAYS = 3;
+
+// detectCategory() keys → words found in the milestone's budget category names
+const DETECTED_CATEGORY_ALIASES = {
+  venue: ['venue', 'office space', 'accommodation'],
+  catering: ['catering', 'food', 'feeding'],
+  photography: ['photography'],
+  attire: ['attire', 'clothing'],
+  flowers: ['flowers'],
+  music: ['music', 'entertainment'],
+  invitations: ['invitations'],
+  decorations: ['decor'],
+  transportation: ['transportation'],
+  jewelry: ['rings']
+};
+
+// =============================================================================
+// VALUE PARSING
+// =============================================================================
+
+/**
+ * Work out a statement's decimal separator from its amounts
+ * '1.234,56', '12,5' and '1.234.567' settle it; a lone '1.234' could be
+ * either and doesn't count. The separator most values agree on wins.
+ * @param {Array<string>} values - Amounts from the whole file (or column)
+ * @returns {string|null} '.' or ',', or null when no value settles it
+ */
+export const detectDecimalSeparator = (values = []) => {
+  const votes = { '.': 0, ',': 0 };
+
+  values.forEach(value => {
+    const text = String(value ?? '').replace(/[^\d.,]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      votes[lastComma > lastDot ? ',' : '.']++;
+      return;
+    }
+
+    const separator = lastComma !== -1 ? ',' : (lastDot !== -1 ? '.' : null);
+    if (!separator) return;
+    if (text.indexOf(separator) !== text.lastIndexOf(separator)) {
+      // Repeated, so it groups thousands
+      votes[separator === ',' ? '.' : ',']++;
+    } else if (text.length - text.lastIndexOf(separator) - 1 !== 3) {
+      votes[separator]++;
+    }
+  });
+
+  if (votes['.'] === votes[',']) return null;
+  return votes['.'] > votes[','] ? '.' : ',';
+};
+
+/**
+ * Parse a bank-formatted amount: '1,234.56', '1.234,56', '-12', '(12.00)', '€ 12'
+ * Pass the file's decimal separator (detectDecimalSeparator) so '1.234' reads
+ * the same as the rest of the file; without one each value is read on its own
+ * and ambiguous ones take a decimal point.
+ * @param {string|number} value
+ * @param {string} decimalSeparator - '.' or ',' (optional)
+ * @returns {number|null} Signed amount, or null if it isn't a number
+ */
+export const parseAmount = (value, decimalSeparator) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d\-().,]/g, ''));
+  text = text.replace(/[^\d.,]/g, '');
+  if (!text) return null;
+
+  const decimal = decimalSeparator || detectDecimalSeparator([text]) || '.';
+  text = text.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+
+  const amount = parseFloat(text);
+  if (Number.isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Parse a statement date to 'YYYY-MM-DD'
+ * @param {string} value - '2025-03-14', '14.03.2025', '14/03/2025', '20250314', '20250314120000[0:GMT]'
+ * @param {string} dateFormat - For slash dates: 'DMY' (default) or 'MDY'
+ * @returns {string|null}
+ */
+export const parseDate = (value, dateFormat = 'DMY') => {
+  if (!value) return null;
+  const text = String(value).trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/) || text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})$/))) {
+    const [, first, second, rawYear] = match;
+    const dotted = text.includes('.');
+    [day, month] = dateFormat === 'MDY' && !dotted ? [second, first] : [first, second];
+    year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1) return null;
+  return date.toISOString().split('T')[0];
+};
+
+const toTransaction = ({ reference, date, description, amount, currency, direction }) => ({
+  reference: reference || null,
+  date,
+  description: (description || '').replace(/\s+/g, ' ').trim(),
+  amount: Math.round(Math.abs(amount) * 100) / 100,
+  currency: normalizeCurrency(currency, null),
+  direction: direction || (amount < 0 ? 'debit' : 'credit')
+});
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ * @param {string} text
+ * @param {string} delimiter - Guessed from the header line when omitted (',', ';' or tab)
+ * @returns {{ headers: string[], rows: string[][], delimiter: string }}
+ */
+export const parseCsv = (text, delimiter) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const separator = delimiter || [';', '\t', ','].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  if (row.some(cell => cell !== '')) rows.push(row);
+
+  const [headers = [], ...dataRows] = rows;
+  return { headers, rows: dataRows, delimiter: separator };
+};
+
+const CSV_HEADER_HINTS = {
+  date: ['booking date', 'transaction date', 'date', 'datum', 'buchungstag', 'fecha', 'posted'],
+  description: ['description', 'payee', 'merchant', 'name', 'details', 'memo', 'verwendungszweck', 'beschreibung', 'reference', 'concepto'],
+  amount: ['amount', 'betrag', 'importe', 'montant', 'value'],
+  debit: ['debit', 'withdrawal', 'paid out', 'money out', 'soll'],
+  credit: ['credit', 'deposit', 'paid in', 'money in', 'haben'],
+  currency: ['currency', 'währung', 'waehrung', 'moneda', 'devise']
+};
+
+/**
+ * Guess which CSV column holds which field
+ * @param {string[]} headers
+ * @returns {Object} { date, description, amount, debit, credit, currency } - column indexes or null
+ */
+export const guessCsvMapping = (headers) => {
+  const lower = headers.map(h => h.toLowerCase());
+  const used = new Set();
+  const find = (hints) => {
+    for (const hint of hints) {
+      const index = lower.findIndex((h, i) => !used.has(i) && h.includes(hint));
+      if (index !== -1) {
+        used.add(index);
+        return index;
+      }
+    }
+    return null;
+  };
+
+  // Most specific first, so 'debit' isn't taken as the amount column
+  const date = find(CSV_HEADER_HINTS.date);
+  const debit = find(CSV_HEADER_HINTS.debit);
+  const credit = find(CSV_HEADER_HINTS.credit);
+  const currency = find(CSV_HEADER_HINTS.currency);
+  const amount = find(CSV_HEADER_HINTS.amount);
+  const description = find(CSV_HEADER_HINTS.description);
+
+  return { date, description, amount, debit, credit, currency };
+};
+
+/**
+ * Turn mapped CSV rows into transactions
+ * @param {string[][]} rows
+ * @param {Object} mapping - From guessCsvMapping (after the user adjusts it).
+ *   Needs `date`, `description` and either `amount` (negative = money out) or `debit`/`credit`.
+ * @param {Object} options
+ * @param {string} options.dateFormat - 'DMY' or 'MDY'
+ * @param {string} options.currency - Used when there's no currency column
+ * @param {string} options.decimalSeparator - '.' or ','; detected from the amount
+ *   columns when omitted, falling back to '.'
+ * @returns {{ transactions: Array, skipped: number }}
+ */
+export const parseCsvTransactions = (rows, mapping, { dateFormat = 'DMY', currency, decimalSeparator } = {}) => {
+  const cell = (row, column) => (column === null || column === undefined ? '' : row[column]);
+  const transactions = [];
+  let skipped = 0;
+
+  // One separator for the whole file, so '1.234' next to '12,50' is 1234
+  const separator = decimalSeparator || detectDecimalSeparator(rows.flatMap(row => (
+    [mapping.amount, mapping.debit, mapping.credit].map(column => cell(row, column))
+  ))) || '.';
+
+  rows.forEach(row => {
+    const date = parseDate(cell(row, mapping.date), dateFormat);
+    let amount = parseAmount(cell(row, mapping.amount), separator);
+    if (amount === null) {
+      const debit = parseAmount(cell(row, mapping.debit), separator);
+      const credit = parseAmount(cell(row, mapping.credit), separator);
+      if (debit) amount = -Math.abs(debit);
+      else if (credit) amount = Math.abs(credit);
+    }
+
+    if (!date || amount === null || amount === 0) {
+      skipped++;
+      return;
+    }
+
+    transactions.push(toTransaction({
+      date,
+      description: cell(row, mapping.description),
+      amount,
+      currency: cell(row, mapping.currency) || currency
+    }));
+  });
+
+  return { transactions, skipped };
+};
+
+// =============================================================================
+// OFX / QFX
+// =============================================================================
+
+// OFX 1.x is SGML (closing tags optional), 2.x is XML - read values the same way for both
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Parse an OFX or QFX statement
+ * @param {string} text
+ * @returns {Array} Transactions
+ */
+export const parseOfx = (text) => {
+  const currency = ofxValue(text, 'CURDEF');
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  // OFX allows a decimal comma too
+  const separator = detectDecimalSeparator(blocks.map(block => ofxValue(block, 'TRNAMT'))) || '.';
+
+  return blocks.map(block => {
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'), separator);
+    const date = parseDate(ofxValue(block, 'DTPOSTED'));
+    if (amount === null || !date) return null;
+
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+    return toTransaction({
+      reference: ofxValue(block, 'FITID') || null,
+      date,
+      description: name && memo && !name.includes(memo) ? `${name} - ${memo}` : (name || memo),
+      amount,
+      currency: ofxValue(block, 'CURSYM') || currency
+    });
+  }).filter(Boolean);
+};
+
+// =============================================================================
+// CAMT.053
+// =============================================================================
+
+const childText = (node, path) => {
+  let current = node;
+  for (const name of path.split('/')) {
+    current = current && Array.from(current.children).find(child => child.localName === name);
+  }
+  return current ? current.textContent.trim() : '';
+};
+
+/**
+ * Parse an ISO 20022 CAMT.053 bank-to-customer statement
+ * @param {string} text - XML
+ * @returns {Array} Transactions
+ */
+export const parseCamt053 = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('This file is not valid CAMT.053 XML');
+  }
+
+  return Array.from(doc.getElementsByTagNameNS('*', 'Ntry')).map(entry => {
+    const amountNode = Array.from(entry.children).find(child => child.localName === 'Amt');
+    // XML decimals always use a point
+    const amount = parseAmount(amountNode?.textContent, '.');
+    const date = parseDate(childText(entry, 'BookgDt/Dt') || childText(entry, 'BookgDt/DtTm') ||
+      childText(entry, 'ValDt/Dt'));
+    if (amount === null || !date) return null;
+
+    const direction = childText(entry, 'CdtDbtInd') === 'DBIT' ? 'debit' : 'credit';
+    const details = entry.getElementsByTagNameNS('*', 'TxDtls')[0];
+    const counterparty = details && (direction === 'debit'
+      ? childText(details, 'RltdPties/Cdtr/Nm') || childText(details, 'RltdPties/Cdtr/Pty/Nm')
+      : childText(details, 'RltdPties/Dbtr/Nm') || childText(details, 'RltdPties/Dbtr/Pty/Nm'));
+    const remittance = details && childText(details, 'RmtInf/Ustrd');
+
+    return toTransaction({
+      reference: childText(entry, 'AcctSvcrRef') || childText(entry, 'NtryRef') ||
+        (details && childText(details, 'Refs/EndToEndId')) || null,
+      date,
+      description: [counterparty, remittance || childText(entry, 'AddtlNtryInf')].filter(Boolean).join(' - '),
+      amount,
+      currency: amountNode?.getAttribute('Ccy'),
+      direction
+    });
+  }).filter(Boolean);
+};
+
+// =============================================================================
+// FORMAT DETECTION
+// =============================================================================
+
+/**
+ * Work out the statement format from its name and contents
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {string} One of STATEMENT_FORMATS
+ */
+export const detectStatementFormat = (text, fileName = '') => {
+  const head = text.slice(0, 2000);
+  if (/\.(ofx|qfx)$/i.test(fileName) || /OFXHEADER|<OFX>/i.test(head)) return STATEMENT_FORMATS.OFX;
+  if (/camt\.053/i.test(head) || /<BkToCstmrStmt/i.test(text)) return STATEMENT_FORMATS.CAMT053;
+  return STATEMENT_FORMATS.CSV;
+};
+
+/**
+ * Parse a statement file
+ * CSV returns headers and rows (the user maps columns next); OFX and CAMT.053 return transactions.
+ * @param {string} text - File contents
+ * @param {string} fileName
+ * @returns {Object} { format, transactions } or { format, headers, rows, mapping }
+ * @throws {Error} When the file has nothing we can read
+ */
+export const parseStatement = (text, fileName = '') => {
+  const format = detectStatementFormat(text, fileName);
+
+  if (format === STATEMENT_FORMATS.CSV) {
+    const { headers, rows } = parseCsv(text);
+    if (headers.length < 2 || rows.length === 0) {
+      throw new Error('No transactions found. Export your statement as CSV, OFX, QFX or CAMT.053.');
+    }
+    return { format, headers, rows, mapping: guessCsvMapping(headers) };
+  }
+
+  const transactions = format === STATEMENT_FORMATS.OFX ? parseOfx(text) : parseCamt053(text);
+  if (transactions.length === 0) {
+    throw new Error('No transactions found in this statement.');
+  }
+  return { format, transactions };
+};
+
+// =============================================================================
+// CATEGORIES AND DUPLICATES
+// =============================================================================
+
+/**
+ * Pick the milestone budget category for a transaction
+ * Category names in the description win; otherwise detectCategory()'s guess is
+ * matched against the milestone's categories, falling back to 'Other'.
+ * @param {string} description
+ * @param {Array} categories - From getCategoriesForMilestone ([{ name }])
+ * @returns {string} Category name
+ */
+export const categorizeTransaction = (description, categories = []) => {
+  const text = (description || '').toLowerCase();
+  const names = categories.map(c => c.name);
+  const fallback = names.includes('Other') ? 'Other' : (names[names.length - 1] || 'Other');
+
+  const named = names.find(name => name !== 'Other' && text.includes(name.toLowerCase()));
+  if (named) return named;
+
+  const detected = detectCategory(text);
+  const aliases = DETECTED_CATEGORY_ALIASES[detected] || [];
+  const matched = names.find(name => aliases.some(alias => name.toLowerCase().includes(alias)));
+  return matched || fallback;
+};
+
+const normalizeDescription = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const daysBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000);
+
+/**
+ * Find an existing expense a transaction was already recorded as
+ * Matches the bank reference exactly, or the same amount and currency within a
+ * few days where one description contains the other's first word.
+ * @param {Object} transaction
+ * @param {Array} expenses - Existing expenses for the milestone
+ * @param {string} defaultCurrency - Currency of expenses without one
+ * @returns {Object|null} The matching expense
+ */
+export const findDuplicateExpense = (transaction, expenses = [], defaultCurrency) => {
+  const description = normalizeDescription(transaction.description);
+
+  return expenses.find(expense => {
+    if (expense.status === 'cancelled') return false;
+    if (transaction.reference && expense.import_reference) {
+      return expense.import_reference === transaction.reference;
+    }
+    if (Math.abs(Number(expense.amount) - transaction.amount) >= 0.005) return false;
+    if (normalizeCurrency(expense.currency, defaultCurrency) !== normalizeCurrency(transaction.currency, defaultCurrency)) return false;
+    if (daysBetween(expense.expense_date, transaction.date) > DUPLICATE_DATE_WINDOW_DAYS) return false;
+
+    const existing = normalizeDescription(expense.description);
+    const [firstWord] = description.split(' ');
+    const [existingFirstWord] = existing.split(' ');
+    return !description || !existing ||
+      (firstWord && existing.includes(firstWord)) ||
+      (existingFirstWord && description.includes(existingFirstWord));
+  }) || null;
+};
+
+/**
+ * Build the review rows for the wizard
+ * Money out is selected by default; money in (refunds, transfers) and
+ * duplicates are listed but left unselected.
+ * @param {Object} params
+ * @param {Array} params.transactions
+ * @param {Object} params.milestone - { id, currency }
+ * @param {Array} params.existingExpenses
+ * @param {Array} params.categories - The milestone's budget categories
+ * @returns {Array} [{ ...transaction, id, category, duplicateOf, selected }]
+ */
+export const prepareImportRows = ({ transactions, milestone, existingExpenses = [], categories = [] }) => {
+  const milestoneCurrency = normalizeCurrency(milestone?.currency);
+
+  return transactions.map((transaction, index) => {
+    const currency = transaction.currency || milestoneCurrency;
+    const duplicateOf = findDuplicateExpense({ ...transaction, currency }, existingExpenses, milestoneCurrency);
+    return {
+      ...transaction,
+      id: `${transaction.reference || 'row'}-${index}`,
+      currency,
+      category: categorizeTransaction(transaction.description, categories),
+      duplicateOf,
+      selected: transaction.direction === 'debit' && !duplicateOf
+    };
+  });
+};
+
+/**
+ * Check the selected rows against the milestone's budget pockets
+ * Rows are checked in order with the earlier selected rows of the same
+ * category counted, so the batch as a whole can't overfill a pocket.
+ * @param {Array} rows - From prepareImportRows
+ * @param {Object} milestone - { id, currency }
+ * @returns {Promise<Array>} Rows with `pocket: { allowed, message }` on the selected ones
+ */
+export const validateImportRows = async (rows, milestone) => {
+  const milestoneCurrency = normalizeCurrency(milestone?.currency);
+  const pendingByCategory = {};
+  const validated = [];
+
+  for (const row of rows) {
+    if (!row.selected) {
+      validated.push({ ...row, pocket: null });
+      continue;
+    }
+
+    const amount = convertAmount(row.amount, row.currency, milestoneCurrency);
+    if (amount === null) {
+      validated.push({
+        ...row,
+        pocket: { allowed: false, message: `No exchange rate from ${row.currency} to ${milestoneCurrency}. Add one in Settings.` }
+      });
+      continue;
+    }
+
+    const pending = pendingByCategory[row.category] || 0;
+    const validation = await validatePocketContribution(milestone.id, row.category, pending + amount, milestoneCurrency);
+    if (validation.allowed) pendingByCategory[row.category] = pending + amount;
+    validated.push({ ...row, pocket: { allowed: validation.allowed, message: validation.message } });
+  }
+
+  return validated;
+};
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * Create expenses for the selected rows, one at a time
+ * Each goes through createExpense (pocket check and activity log included).
+ * @param {Array} rows - Validated rows
+ * @param {Object} params
+ * @param {string} params.milestoneId
+ * @param {string} params.roadmapId
+ * @param {Function} params.onProgress - (done, total)
+ * @returns {Promise<{ data: { created: Array, failed: Array }, error: null }>}
+ */
+export const importExpenses = async (rows, { milestoneId, roadmapId, onProgress } = {}) => {
+  const selected = rows.filter(row => row.selected && row.pocket?.allowed !== false);
+  const created = [];
+  const failed = [];
+
+  for (const row of selected) {
+    const { data, error } = await createExpense({
+      milestone_id: milestoneId,
+      roadmap_id: roadmapId,
+      description: row.description || 'Bank transaction',
+      amount: row.amount,
+      currency: row.currency,
+      category: row.category,
+      expense_date: row.date,
+      status: 'paid',
+      payment_method: 'Bank Transfer',
+      import_reference: row.reference
+    });
+
+    if (error) {
+      failed.push({ row, message: error.message || 'Could not save this expense' });
+    } else {
+      created.push(data);
+    }
+    if (onProgress) onProgress(created.length + failed.length, selected.length);
+  }
+
+  return { data: { created, failed }, error: null };
+};
+
+export default {
+  STATEMENT_FORMATS,
+  detectDecimalSeparator,
+  parseAmount,
+  parseDate,
+  parseCsv,
+  guessCsvMapping,
+  parseCsvTransactions,
+  parseOfx,
+  parseCamt053,
+  detectStatementFormat,
+  parseStatement,
+  categorizeTransaction,
+  findDuplicateExpense,
+  prepareImportRows,
+  validateImportRows,
+  importExpenses
+};
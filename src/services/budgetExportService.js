@@ -0,0 +1,122 @@
+/**
+ * Budget Export Service - CSV and XLSX downloads of a dream's budget
+ *
+ * The workbook has a summary sheet (the figures of getRoadmapBudgetSummary
+ * and getExpenseCategoryBreakdown) and one sheet per milestone with its
+ * pocket targets, actuals and every expense. The CSV is the flat expense
+ * list. Layout lives in utils/budgetExport.
+ *
+ * @module budgetExportService
+ */
+
+import {
+  getRoadmapById,
+  getMilestonesByRoadmap,
+  getExpensesByRoadmap,
+  getMilestoneBudgetPockets,
+  getRoadmapBudgetSummary,
+  getExpenseCategoryBreakdown
+} from './supabaseService';
+import { buildXlsx } from '../utils/spreadsheet';
+import {
+  buildBudgetWorkbook,
+  buildBudgetCsv,
+  buildMilestoneBudgetSheet,
+  getBudgetExportFileName
+} from '../utils/budgetExport';
+
+export const BUDGET_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const download = (content, type, fileName) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const downloadFile = (format, title, { csv, sheets }) => {
+  if (!BUDGET_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const fileName = getBudgetExportFileName(title, format);
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    download(`\uFEFF${csv()}`, 'text/csv;charset=utf-8', fileName);
+  } else {
+    download(buildXlsx(sheets()), XLSX_TYPE, fileName);
+  }
+  return fileName;
+};
+
+const unwrap = ({ data, error }, what) => {
+  if (error) throw new Error(`Could not load ${what}: ${error.message || error}`);
+  return data;
+};
+
+/**
+ * Download a dream's whole budget
+ * @param {Object} params
+ * @param {string} params.roadmapId - The dream
+ * @param {string} params.format - 'csv' or 'xlsx'
+ * @returns {Promise<string>} The downloaded file's name
+ */
+export const exportRoadmapBudget = async ({ roadmapId, format }) => {
+  const [roadmap, milestones, expenses, summary, categories] = await Promise.all([
+    getRoadmapById(roadmapId).then(result => unwrap(result, 'the dream')),
+    getMilestonesByRoadmap(roadmapId).then(result => unwrap(result, 'milestones')),
+    getExpensesByRoadmap(roadmapId).then(result => unwrap(result, 'expenses')),
+    getRoadmapBudgetSummary(roadmapId).then(result => unwrap(result, 'the budget summary')),
+    getExpenseCategoryBreakdown(roadmapId).then(result => unwrap(result, 'spending by pocket'))
+  ]);
+
+  const pocketsByMilestone = {};
+  if (format === 'xlsx') {
+    for (const milestone of milestones || []) {
+      pocketsByMilestone[milestone.id] = unwrap(await getMilestoneBudgetPockets(milestone.id), 'budget pockets');
+    }
+  }
+
+  return downloadFile(format, roadmap?.title, {
+    csv: () => buildBudgetCsv({ milestones: milestones || [], expenses: expenses || [] }),
+    sheets: () => buildBudgetWorkbook({
+      roadmap,
+      summary,
+      categories: categories || [],
+      milestones: milestones || [],
+      pocketsByMilestone,
+      expenses: expenses || []
+    })
+  });
+};
+
+/**
+ * Download one milestone's budget
+ * @param {Object} params
+ * @param {Object} params.milestone - The milestone (with budget_pockets if loaded)
+ * @param {Array} params.expenses - Its expenses, as already shown
+ * @param {string} params.format - 'csv' or 'xlsx'
+ * @returns {Promise<string>} The downloaded file's name
+ */
+export const exportMilestoneBudget = async ({ milestone, expenses, format }) => {
+  const pockets = format === 'xlsx'
+    ? unwrap(await getMilestoneBudgetPockets(milestone.id), 'budget pockets')
+    : null;
+
+  return downloadFile(format, milestone?.title, {
+    csv: () => buildBudgetCsv({ milestones: [milestone], expenses }),
+    sheets: () => [buildMilestoneBudgetSheet({ milestone, pockets, expenses })]
+  });
+};
+
+export default {
+  BUDGET_EXPORT_FORMATS,
+  exportRoadmapBudget,
+  exportMilestoneBudget
+};
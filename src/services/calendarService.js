@@ -0,0 +1,67 @@
+/**
+ * Calendar Service - Tasks, payments and target dates in any calendar app
+ *
+ * Two ways in, both built by the backend (server/calendar):
+ * - Subscription feed: a secret per-user link calendar apps poll. Tokens are
+ *   created and revoked in supabaseService (createCalendarFeedToken).
+ * - One-off .ics download of everything, or of one milestone.
+ *
+ * The calendar shows tasks assigned to the user or to both partners, pending
+ * expenses due in the next 30 days and open milestone target dates.
+ *
+ * @module calendarService
+ */
+
+import { getBackendHeaders, createBackendError } from './claudeAPI';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
+
+/**
+ * HTTPS URL of a subscription feed (Google Calendar "From URL", Outlook)
+ * @param {string} token - From createCalendarFeedToken
+ * @returns {string}
+ */
+export const getCalendarFeedUrl = (token) => `${BACKEND_URL}/api/calendar/feed/${encodeURIComponent(token)}.ics`;
+
+/**
+ * webcal:// URL of a subscription feed - opens Apple Calendar / Outlook directly
+ * @param {string} token
+ * @returns {string}
+ */
+export const getCalendarSubscribeUrl = (token) => getCalendarFeedUrl(token).replace(/^https?:/, 'webcal:');
+
+/**
+ * Download an .ics file for the signed-in user
+ * @param {Object} options
+ * @param {string} [options.milestoneId] - Only this milestone's dates
+ * @param {string} [options.name] - Calendar name, also used for the file name
+ * @returns {Promise<void>}
+ */
+export const downloadCalendarFile = async ({ milestoneId = null, name = 'Together Forward' } = {}) => {
+  const params = new URLSearchParams({ name });
+  if (milestoneId) params.set('milestoneId', milestoneId);
+
+  const response = await fetch(`${BACKEND_URL}/api/calendar/export.ics?${params}`, {
+    headers: await getBackendHeaders()
+  });
+
+  if (!response.ok) {
+    throw await createBackendError(response);
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${name.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'calendar'}.ics`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  getCalendarFeedUrl,
+  getCalendarSubscribeUrl,
+  downloadCalendarFile
+};
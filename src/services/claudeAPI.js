@@ -1,47 +1,166 @@
 // Claude API Service (via backend proxy to avoid CORS)
+import {
+  ROUTE_TIMEOUTS,
+  withRequestPolicy,
+  createTimeoutController,
+  createTimeoutError,
+  isAbortError
+} from './requestPolicy';
+import { readLunaStream } from './lunaStream';
+
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
 const USE_BACKEND = true; // Set to false to use direct API calls (will fail due to CORS)
 
 /**
- * Call Claude API with conversation history
- * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Additional options (systemPrompt, maxTokens, etc.)
+ * Build headers for a backend proxy request.
+ * Attaches the Supabase access token so the backend can verify the user and
+ * apply their rate limit. Guests (no session) are sent without a token.
+ * @returns {Promise<Object>} Headers object
  */
-export const callClaude = async (messages, options = {}) => {
-  const {
-    systemPrompt = "You are Luna, an empathetic and intelligent AI relationship advisor. You help couples plan their future together by understanding their dreams, asking thoughtful follow-up questions, and providing personalized guidance.",
-    maxTokens = 1024,
-    temperature = 1.0
-  } = options;
+export const getBackendHeaders = async () => {
+  const headers = { 'Content-Type': 'application/json' };
 
-  console.log('🤖 Luna: Calling Claude API via backend...', {
-    backend: BACKEND_URL,
-    messageCount: messages.length,
-    systemPrompt: systemPrompt.substring(0, 50) + '...'
-  });
+  try {
+    // Lazy import keeps this module usable where Supabase isn't configured (tests, agents)
+    const { supabase } = await import('../config/supabaseClient');
+    const { data } = await supabase.auth.getSession();
+    const token = data?.session?.access_token;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read Supabase session for backend request:', error.message);
+  }
+
+  return headers;
+};
 
+/**
+ * Map a structured backend error to something we can show the user
+ * @param {Object} error - Error with optional `code` and `retryAfter`
+ * @param {string} fallback - Message used for unknown errors
+ * @returns {string} Friendly message
+ */
+export const getFriendlyErrorMessage = (error, fallback = "I'm having a moment of trouble connecting. Could you try again?") => {
+  switch (error?.code) {
+    case 'AUTH_REQUIRED':
+      return 'Please sign in to keep chatting with Luna. 💕';
+    case 'AUTH_INVALID':
+      return 'Your session has expired. Please sign in again and we can pick up right where we left off.';
+    case 'AUTH_UNAVAILABLE':
+      return "I can't verify your session right now. Please try again in a moment.";
+    case 'RATE_LIMITED': {
+      const seconds = error.retryAfter || 60;
+      const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} minute${seconds >= 120 ? 's' : ''}` : `${seconds} seconds`;
+      return `Luna needs a quick breather - you've sent a lot of requests. Please try again in about ${wait}.`;
+    }
+    case 'USAGE_LIMIT_REACHED': {
+      const resetDate = error.resetAt
+        ? new Date(error.resetAt).toLocaleDateString(undefined, { month: 'long', day: 'numeric' })
+        : 'next month';
+      return `You've used this month's Luna allowance. It resets on ${resetDate} - or upgrade to Pro to keep going.`;
+    }
+    case 'TIMEOUT':
+      return "Luna is taking longer than usual to answer. Please try again in a moment.";
+    case 'PROVIDER_ERROR':
+      return error.status === 529 || error.status === 429
+        ? "Luna is very busy right now. Please try again in a minute."
+        : fallback;
+    case 'UPGRADE_REQUIRED':
+      return 'This Luna feature is part of TogetherForward Pro. Upgrade to unlock it. ✨';
+    default:
+      return fallback;
+  }
+};
+
+/**
+ * Turn a non-OK backend response into an Error carrying the structured
+ * fields (`status`, `code`, `retryAfter`, `resetAt`) plus a friendly `userMessage`
+ * @param {Response} response - fetch Response
+ * @returns {Promise<Error>}
+ */
+export const createBackendError = async (response) => {
+  let body = {};
   try {
-    // Call backend proxy (avoids CORS issues)
+    body = await response.json();
+  } catch (e) {
+    // Non-JSON error body (proxy, HTML error page)
+  }
+
+  const error = new Error(`Backend error: ${body.error || response.statusText || response.status}`);
+  error.status = response.status;
+  error.code = body.code || null;
+  error.retryAfter = body.retryAfter || parseInt(response.headers?.get?.('Retry-After'), 10) || null;
+  error.resetAt = body.resetAt || null;
+  error.userMessage = getFriendlyErrorMessage(error, null);
+  return error;
+};
+
+/**
+ * Auth and quota errors should be shown to the user, not papered over
+ * with a mock or template response
+ */
+export const isAccessError = (error) => [
+  'AUTH_REQUIRED',
+  'AUTH_INVALID',
+  'RATE_LIMITED',
+  'USAGE_LIMIT_REACHED',
+  'UPGRADE_REQUIRED'
+].includes(error?.code);
+
+/**
+ * POST /api/claude under the request policy
+ * @returns {Promise<Object>} Messages API response
+ */
+const requestClaudeMessage = async (messages, { profile, variables, signal }) => {
+  const headers = await getBackendHeaders();
+
+  return withRequestPolicy('claude', async (attemptSignal) => {
     const response = await fetch(`${BACKEND_URL}/api/claude`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers,
       body: JSON.stringify({
-        messages: messages,
-        systemPrompt: systemPrompt,
-        maxTokens: maxTokens,
-        temperature: temperature
-      })
+        messages,
+        profile,
+        variables
+      }),
+      signal: attemptSignal
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      console.error('❌ Backend error:', error);
-      throw new Error(`Backend error: ${error.error || response.statusText}`);
+      const error = await createBackendError(response);
+      console.error('❌ Backend error:', error.message);
+      throw error;
     }
 
-    const data = await response.json();
+    return response.json();
+  }, { signal });
+};
+
+/**
+ * Call Claude API with conversation history
+ * The system prompt, tools and limits come from a server-side prompt profile
+ * (see server/prompts) - the browser only names the profile and fills its variables.
+ * Template profiles render the whole request from their variables, so their
+ * callers pass no messages.
+ * Runs under the shared request policy (timeout, retries, abort via `signal`).
+ * Errors from the backend are thrown so callers can use their template fallbacks;
+ * only an unreachable backend (local dev) falls back to mock responses.
+ * @param {Array} messages - Array of message objects with role and content ([] for template profiles)
+ * @param {Object} options - { profile, variables, signal }
+ */
+export const callClaude = async (messages, options = {}) => {
+  const { profile, variables = {}, signal } = options;
+
+  console.log('🤖 Luna: Calling Claude API via backend...', {
+    backend: BACKEND_URL,
+    messageCount: messages.length,
+    profile
+  });
+
+  try {
+    // Call backend proxy (avoids CORS issues)
+    const data = await requestClaudeMessage(messages, { profile, variables, signal });
 
     // Claude API returns text in content[0].text format
     // The backend returns the raw Claude response
@@ -59,6 +178,11 @@ export const callClaude = async (messages, options = {}) => {
     });
     return responseText;
   } catch (error) {
+    if (isAbortError(error) || isAccessError(error) || error.status) {
+      // Aborted, or the backend answered with an error after retries - a mock
+      // answer would hide that from the user and skip the caller's fallback
+      throw error;
+    }
     console.error('❌ Error calling backend:', error.message);
     console.warn('⚠️  Is backend running? Start it with: npm run backend');
     console.warn('⚠️  Falling back to mock responses (limited intelligence)');
@@ -245,215 +369,54 @@ const mockClaudeResponse = async (messages) => {
 /**
  * Generate Luna's response during onboarding
  */
-export const getLunaOnboardingResponse = async (conversationHistory, userContext = {}) => {
-  // Build compatibility context if available
-  let compatibilityContext = '';
-  if (userContext.compatibilityData) {
-    const { alignmentScore, categoryScores, strongAlignments, misalignments, partner1Name, partner2Name } = userContext.compatibilityData;
-
-    compatibilityContext = `
-COMPATIBILITY ASSESSMENT COMPLETED:
-- Overall Alignment: ${alignmentScore}%
-- Partners: ${partner1Name} & ${partner2Name}
-- Category Scores: ${Object.entries(categoryScores).map(([cat, score]) => `${cat}: ${score}%`).join(', ')}
-
-Strong Alignments (Reference These Naturally):
-${strongAlignments.slice(0, 3).map(a => `- ${a.question}: ${a.insight}`).join('\n')}
-
-Areas for Discussion (Be Supportive):
-${misalignments.slice(0, 3).map(m => `- ${m.question}: ${partner1Name} (${m.partner1Answer}) vs ${partner2Name} (${m.partner2Answer})`).join('\n')}
-
-COMPATIBILITY-AWARE GUIDANCE:
-- ${alignmentScore >= 75 ? 'They have strong alignment! Encourage milestone planning confidently.' : ''}
-- ${alignmentScore >= 50 && alignmentScore < 75 ? 'Good foundation with areas to explore. Suggest relationship-strengthening goals alongside milestones.' : ''}
-- ${alignmentScore < 50 ? 'Significant differences exist. Focus on relationship-building goals first, gently address misalignments.' : ''}
-- SUBTLY reference their alignments to show understanding (e.g., "I see you both value [aligned area] - that\'s a strong foundation!")
-- GENTLY acknowledge areas of difference without being preachy (e.g., "I noticed you have different views on [topic] - that\'s actually common and totally workable!")
-- Suggest goals that BRIDGE their differences when relevant`;
-  }
-
-  const systemPrompt = `You are Luna, an empathetic AI relationship advisor helping couples plan their future together.
-
-CONTEXT:
-- Location: ${userContext.location || 'Unknown'}
-- Conversation stage: ${conversationHistory.length === 0 ? 'Initial greeting' : 'Building rapport'}
-${compatibilityContext}
-
-YOUR ROLE:
-1. Have natural, flowing conversations - NOT rigid Q&A
-2. Show genuine interest in their dreams - ALL of them
-3. Dig deeper with follow-ups when they mention goals
-4. Build a complete picture before offering solutions
-5. Be warm, encouraging, and never judgmental
-6. SUPPORT MULTIPLE GOALS - couples can plan several milestones at once!
-
-CRITICAL: BE CONVERSATIONAL, NOT A FORM
-❌ DON'T: Fire off 4 bullet-point questions at once
-✅ DO: Ask thoughtfully, one thing at a time, like a real conversation
-
-Example of BAD (too rigid):
-"Tell me:
-• When are you hoping to get married?
-• What size wedding are you imagining?
-• Do you have a budget in mind?
-• What's most important to you?"
-
-Example of GOOD (conversational):
-"That's so exciting! When are you thinking about getting married?"
-[User answers]
-"I love that timeline! And what kind of wedding are you picturing - something intimate or a big celebration?"
-[User answers]
-"Beautiful. What matters most to you both when you picture that day?"
-
-CONVERSATION FLOW:
-1. Learn their names naturally
-2. Discover their goals through conversation (not interrogation)
-3. For each goal, gather key details through natural back-and-forth:
-   * For wedding: DATE, SIZE, BUDGET, PRIORITIES
-   * For vacation: WHERE, WHEN, BUDGET, TYPE
-   * For home: LOCATION, BUDGET, MUST-HAVES, TIMELINE
-   * For family: TIMELINE, CONCERNS, PREPARATIONS
-4. When you sense you have enough info, summarize beautifully
-5. Use ADAPTIVE CLOSING based on their responses
-
-ADAPTIVE CLOSING (CRITICAL):
-After summarizing, DON'T ask "Ready for roadmap yes/no?"
-
-Instead, use a SOFT BRANCHING approach:
-
-Example 1 (User seems complete):
-"Perfect! I'm getting a clear picture of your dream wedding. 💕
-
-Based on what you've shared:
-• Timeline: 2 years
-• Style: Intimate celebration
-• Priorities: Venue & Photography
-
-That's wonderful. Is there anything else you'd love to add, or shall we start building your personalized roadmap?"
-
-Example 2 (User adds more details):
-User: "Actually, we're thinking Italy with close friends"
-You: "Italy sounds magical — I'll make sure your roadmap reflects that! 🇮🇹✨ Anything else you'd like me to note before I start creating your plan?"
-
-Example 3 (User keeps adding):
-User: "And we want vintage decor"
-You: "Got it, adding vintage vibes to the plan!
-
-Okay, I think I have everything I need to make this really yours. Ready to see your personalized roadmap?"
-
-SIGNALS THAT USER IS DONE:
-- "No, that's everything"
-- "Nope, we're good"
-- "That's it"
-- "Let's see the plan"
-- "Yes, create it"
-
-SIGNALS USER WANTS TO CONTINUE:
-- Adding new details
-- Asking questions
-- Mentioning new aspects
-- "Also..." / "And..." / "One more thing..."
-
-WHEN READY TO GENERATE:
-Use warm, exciting language:
-"Perfect! I'm so excited to start building your plan. 💕
-Let's create your personalized roadmap — ready?"
-
-Then the UI will show "See My Roadmap" button.
-
-IMPORTANT NOTES:
-- NEVER feel rushed - let users express themselves naturally
-- Acknowledge EVERY detail they add
-- Multiple goals? Handle each one conversationally
-- Location insights? Weave in naturally, don't force it
-- Keep responses warm but concise (2-4 sentences ideal)
-- Use emojis sparingly and naturally`;
-
+export const getLunaOnboardingResponse = async (conversationHistory, userContext = {}, { signal } = {}) => {
   return await callClaude(conversationHistory, {
-    systemPrompt,
-    maxTokens: 512,
-    temperature: 1.0
+    profile: 'luna-onboarding',
+    variables: {
+      location: userContext.location,
+      isFirstMessage: conversationHistory.length === 0,
+      compatibility: userContext.compatibilityData
+    },
+    signal
   });
 };
 
 /**
  * Generate Luna's response during Deep Dive chat
  */
-export const getLunaDeepDiveResponse = async (conversationHistory, context = {}) => {
+export const getLunaDeepDiveResponse = async (conversationHistory, context = {}, { signal } = {}) => {
   const { milestone, userGoals, location, partner1, partner2 } = context;
 
-  const systemPrompt = `You are Luna, helping ${partner1} and ${partner2} with their goal: "${milestone?.title}".
-
-CONTEXT:
-- Their goals: ${userGoals?.join(', ') || 'Not specified'}
-- Location: ${location || 'Unknown'}
-- Current focus: ${milestone?.title || 'General planning'}
-- Budget: ${milestone?.estimatedCost ? '€' + milestone.estimatedCost.toLocaleString() : 'Not set'}
-
-YOUR ROLE:
-- Provide specific, actionable advice for this milestone
-- Reference their personal situation
-- Be encouraging but realistic
-- Suggest concrete next steps
-- Answer questions with detail and context
-
-Keep responses concise (2-3 paragraphs max) and actionable.`;
-
   return await callClaude(conversationHistory, {
-    systemPrompt,
-    maxTokens: 800,
-    temperature: 0.8
+    profile: 'luna-deep-dive',
+    variables: {
+      partner1,
+      partner2,
+      location,
+      userGoals,
+      milestone: {
+        title: milestone?.title,
+        description: milestone?.description,
+        estimatedCost: milestone?.estimatedCost
+      }
+    },
+    signal
   });
 };
 
 /**
  * Extract structured data from conversation
  */
-export const extractUserDataFromConversation = async (conversationHistory) => {
-  const systemPrompt = `You are a data extraction assistant. Analyze the conversation and extract structured information from natural, conversational text.
-
-Extract and return ONLY a JSON object with these fields (use null if not found):
-{
-  "partner1": "first name mentioned",
-  "partner2": "second name mentioned",
-  "goals": ["array of goals - use EXACTLY these strings: 'Get Married', 'Get Engaged', 'Buy a Home', 'Start a Family', 'Dream Vacation', 'Build Savings'"],
-  "goalDetails": {
-    "vacation": { "destination": "", "budget": "", "timeframe": "", "type": "", "notes": "" },
-    "wedding": { "date": "", "size": "", "budget": "", "priorities": [], "notes": "" },
-    "home": { "location": "", "budget": "", "mustHaves": [], "timeline": "", "notes": "" },
-    "family": { "timeline": "", "concerns": [], "preparations": [], "notes": "" },
-    "savings": { "amount": "", "purpose": "", "timeline": "", "notes": "" }
-  },
-  "budget": "overall budget mentioned",
-  "timeline": "overall timeline mentioned",
-  "priorities": ["what matters most to them"]
-}
-
-IMPORTANT:
-- Extract information from NATURAL conversation, not just structured answers
-- Look for organic details like locations (Italy), themes (vintage), guest lists (close friends)
-- The "notes" field in goalDetails should capture these organic details
-- Examples:
-  * "We're thinking Italy with close friends" → wedding.notes = "Italy with close friends"
-  * "We want vintage decor" → wedding.notes += "; vintage decor"
-  * "Somewhere near the beach" → vacation.notes = "near the beach"
-- The "goals" array should contain multiple goals if mentioned
-- Use the EXACT strings listed above for goal names
-- Extract ALL goals mentioned, even if briefly referenced`;
-
-  const conversationText = conversationHistory
-    .map(msg => `${msg.role}: ${msg.content}`)
-    .join('\n');
-
-  const extractionMessages = [
-    { role: 'user', content: `Extract data from this conversation:\n\n${conversationText}\n\nReturn only the JSON object, no other text.` }
-  ];
-
+export const extractUserDataFromConversation = async (conversationHistory, { signal } = {}) => {
   try {
-    const response = await callClaude(extractionMessages, {
-      systemPrompt,
-      maxTokens: 1024,
-      temperature: 0.3
+    // The extraction prompt is the server-side 'conversation-extraction' template
+    const response = await callClaude([], {
+      profile: 'conversation-extraction',
+      variables: {
+        // The server keeps 50 turns - send the latest
+        conversation: conversationHistory.slice(-50).map(({ role, content }) => ({ role, content }))
+      },
+      signal
     });
 
     // Try to parse JSON from response
@@ -559,60 +522,108 @@ const fallbackExtraction = (conversationHistory) => {
 
 /**
  * Call Claude API for content generation (simple prompt/response)
- * Uses the /api/claude-generate endpoint optimized for single prompts
- * @param {string} prompt - The prompt to send
- * @param {Object} options - Additional options (systemPrompt, maxTokens, temperature)
+ * Uses the /api/claude-generate endpoint optimized for single prompts.
+ * The prompt itself is a server-side template profile (see server/prompts);
+ * the browser only sends the variables it declares.
+ * Cacheable profiles are served from the backend response cache for identical
+ * inputs; pass `bypassCache: true` to force a fresh generation.
+ * Runs under the shared request policy (timeout, retries, abort via `signal`).
+ * @param {Object} options - { profile, variables, bypassCache, signal }
  * @returns {Promise<string>} Generated content
  */
-export const callClaudeGenerate = async (prompt, options = {}) => {
-  const {
-    systemPrompt = "You are an expert assistant that provides helpful, accurate responses.",
-    maxTokens = 2048,
-    temperature = 0.7
-  } = options;
+export const callClaudeGenerate = async (options = {}) => {
+  const { profile, variables = {}, bypassCache = false, signal } = options;
 
   try {
-    const response = await fetch(`${BACKEND_URL}/api/claude-generate`, {
+    const headers = await getBackendHeaders();
+    const data = await withRequestPolicy('claude-generate', async (attemptSignal) => {
+      const response = await fetch(`${BACKEND_URL}/api/claude-generate`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          profile,
+          variables,
+          bypassCache
+        }),
+        signal: attemptSignal
+      });
+
+      if (!response.ok) {
+        throw await createBackendError(response);
+      }
+
+      return response.json();
+    }, { signal });
+
+    return data.content;
+  } catch (error) {
+    console.error('Error calling claude-generate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Read one SSE response from /api/claude-stream
+ * @returns {Promise<boolean>} true if the server finished the message, false if the stream dropped
+ * @throws {Error} Backend error response, server `error` event, network failure or timeout
+ */
+const readClaudeStream = async (messages, { profile, variables, signal }, onText) => {
+  const timeout = createTimeoutController(signal, ROUTE_TIMEOUTS['claude-stream']);
+
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/claude-stream`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({
-        prompt,
-        systemPrompt,
-        maxTokens,
-        temperature
-      })
+        messages,
+        profile,
+        variables
+      }),
+      signal: timeout.signal
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Backend error: ${error.error || response.statusText}`);
+      throw await createBackendError(response);
     }
 
-    const data = await response.json();
-    return data.content;
+    const result = await readLunaStream(response, { onText, onActivity: timeout.touch });
+    return result.completed;
   } catch (error) {
-    console.error('Error calling claude-generate:', error);
-    throw error;
+    throw timeout.timedOut() ? createTimeoutError('claude-stream', ROUTE_TIMEOUTS['claude-stream']) : error;
+  } finally {
+    timeout.clear();
   }
 };
 
 /**
  * Call Claude API with streaming responses (like ChatGPT/Claude)
- * Returns an object with a method to read the stream
+ *
+ * If the stream drops mid-response, the text received so far is sent back as
+ * an assistant prefill so Claude continues where it stopped - first as a new
+ * stream, then via the non-streaming endpoint. The caller only sees the
+ * continuation arrive through onChunk. Aborting `options.signal` (e.g. on
+ * unmount) stops everything without calling onError.
+ *
  * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Additional options (systemPrompt, maxTokens, etc.)
+ * @param {Object} options - { profile, variables, signal } naming a server-side prompt profile
  * @param {Function} onChunk - Callback called for each text chunk received
- * @param {Function} onDone - Callback called when stream completes
+ * @param {Function} onDone - Callback called once when the response is complete
  * @param {Function} onError - Callback called on error
  */
 export const callClaudeStreaming = async (messages, options = {}, { onChunk, onDone, onError }) => {
-  const {
-    systemPrompt = "You are Luna, an empathetic and intelligent AI relationship advisor.",
-    maxTokens = 1024,
-    temperature = 1.0
-  } = options;
+  const { profile, variables = {}, signal } = options;
+  const request = { profile, variables, signal };
+  let received = '';
+
+  const handleText = (text) => {
+    received += text;
+    if (onChunk) onChunk(text);
+  };
+
+  // Continue from what the user already sees (Claude rejects prefills ending in whitespace)
+  const resumeMessages = () => (received.trim()
+    ? [...messages, { role: 'assistant', content: received.trimEnd() }]
+    : messages);
 
   console.log('🌊 Luna: Starting streaming response...', {
     backend: BACKEND_URL,
@@ -620,73 +631,71 @@ export const callClaudeStreaming = async (messages, options = {}, { onChunk, onD
   });
 
   try {
-    const response = await fetch(`${BACKEND_URL}/api/claude-stream`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        messages: messages,
-        systemPrompt: systemPrompt,
-        maxTokens: maxTokens,
-        temperature: temperature
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Backend error: ${response.statusText}`);
-    }
-
-    // Read the SSE stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-
-      if (done) {
+    try {
+      if (await readClaudeStream(messages, request, handleText)) {
         if (onDone) onDone();
-        break;
+        return;
       }
+      console.warn('⚠️ Stream ended early, resuming...');
+    } catch (error) {
+      // Refusals (auth, quota, bad profile) won't get better by retrying
+      if (isAbortError(error) || (error.status && error.status < 500)) throw error;
+      console.warn('⚠️ Stream failed, resuming...', error.message);
+    }
 
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-
-      // Keep last incomplete line in buffer
-      buffer = lines.pop() || '';
-
-      let currentEvent = '';
-      for (const line of lines) {
-        if (line.startsWith('event: ')) {
-          currentEvent = line.slice(7).trim();
-        } else if (line.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(line.slice(6));
-
-            if (currentEvent === 'text' && data.text) {
-              if (onChunk) onChunk(data.text);
-            } else if (currentEvent === 'done') {
-              if (onDone) onDone();
-            } else if (currentEvent === 'error') {
-              if (onError) onError(new Error(data.error || 'Stream error'));
-            }
-          } catch (e) {
-            // Skip non-JSON data lines
-          }
-        }
+    try {
+      if (await readClaudeStream(resumeMessages(), request, handleText)) {
+        if (onDone) onDone();
+        return;
       }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
     }
+
+    // Last resort: the non-streaming endpoint, delivered as one chunk
+    console.warn('⚠️ Falling back to non-streaming response');
+    const data = await requestClaudeMessage(resumeMessages(), request);
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (text) handleText(text);
+    if (onDone) onDone();
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log('⏹️ Luna stream aborted');
+      return;
+    }
     console.error('❌ Streaming error:', error.message);
     if (onError) onError(error);
   }
 };
 
+/**
+ * This month's Luna usage for the signed-in user (tokens, cost per feature, tier limit)
+ * @returns {Promise<Object>} { tier, periodStart, resetAt, monthlyTokenLimit, totals, byFeature }
+ */
+export const getLunaUsage = async () => {
+  const response = await fetch(`${BACKEND_URL}/api/usage/me`, {
+    headers: await getBackendHeaders()
+  });
+
+  if (!response.ok) {
+    throw await createBackendError(response);
+  }
+
+  return response.json();
+};
+
 export default {
+  getBackendHeaders,
+  getFriendlyErrorMessage,
+  createBackendError,
+  isAccessError,
   callClaude,
   callClaudeGenerate,
   callClaudeStreaming,
+  getLunaUsage,
   getLunaOnboardingResponse,
   getLunaDeepDiveResponse,
   extractUserDataFromConversation
@@ -0,0 +1,167 @@
+/**
+ * Data Archive Service - Takeout and restore of a whole account
+ *
+ * The export is a versioned JSON file (see utils/dataArchive) with the raw
+ * rows of every dream the user owns or co-owns: milestones with their
+ * deep_dive_data and budget_pockets, tasks, expenses, Luna conversations and
+ * activity, plus their assessments and notification preferences.
+ *
+ * Importing gives every row a new id, so an archive can be restored into
+ * another account, or next to the original, as often as needed. Sharing,
+ * comments and nudges stay with the original dream.
+ *
+ * @module dataArchiveService
+ */
+
+import { supabase } from '../config/supabaseClient';
+import { generateSessionCode } from './assessmentService';
+import { createDataArchive, parseDataArchive, planDataArchiveImport } from '../utils/dataArchive';
+
+// Keeps `in.(...)` filters and insert bodies a reasonable size
+const CHUNK_SIZE = 200;
+
+const chunk = (items) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    chunks.push(items.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+const selectIn = async (table, column, values) => {
+  const rows = [];
+  for (const part of chunk(values)) {
+    const { data, error } = await supabase.from(table).select('*').in(column, part);
+    if (error) throw new Error(`Could not export ${table}: ${error.message}`);
+    rows.push(...(data || []));
+  }
+  return rows;
+};
+
+const selectOwn = async (table, userId) => {
+  const { data, error } = await supabase.from(table).select('*').eq('user_id', userId);
+  if (error) throw new Error(`Could not export ${table}: ${error.message}`);
+  return data || [];
+};
+
+const getCurrentUser = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User not authenticated');
+  return user;
+};
+
+/**
+ * Build the signed-in user's data archive
+ * @returns {Promise<Object>} The archive (see createDataArchive)
+ */
+export const exportDataArchive = async () => {
+  const user = await getCurrentUser();
+
+  const { data: roadmaps, error } = await supabase
+    .from('roadmaps')
+    .select('*')
+    .or(`user_id.eq.${user.id},partner_id.eq.${user.id}`);
+  if (error) throw new Error(`Could not export roadmaps: ${error.message}`);
+
+  const roadmapIds = roadmaps.map(roadmap => roadmap.id);
+  const milestones = await selectIn('milestones', 'roadmap_id', roadmapIds);
+  const milestoneIds = milestones.map(milestone => milestone.id);
+  const sessions = await selectOwn('assessment_sessions', user.id);
+  const sessionIds = sessions.map(session => session.id);
+
+  const data = {
+    roadmaps,
+    milestones,
+    tasks: await selectIn('tasks', 'milestone_id', milestoneIds),
+    task_dependencies: await selectIn('task_dependencies', 'roadmap_id', roadmapIds),
+    task_completions: await selectIn('task_completions', 'roadmap_id', roadmapIds),
+    recurring_expenses: await selectIn('recurring_expenses', 'roadmap_id', roadmapIds),
+    expenses: await selectIn('expenses', 'roadmap_id', roadmapIds),
+    conversation_history: await selectIn('conversation_history', 'roadmap_id', roadmapIds),
+    milestone_conversations: await selectIn('milestone_conversations', 'milestone_id', milestoneIds),
+    activity_feed: await selectIn('activity_feed', 'roadmap_id', roadmapIds),
+    assessment_sessions: sessions,
+    prescreening_responses: await selectIn('prescreening_responses', 'session_id', sessionIds),
+    session_questions: await selectIn('session_questions', 'session_id', sessionIds),
+    assessment_responses: await selectIn('assessment_responses', 'session_id', sessionIds),
+    conversational_responses: await selectIn('conversational_responses', 'session_id', sessionIds),
+    assessment_results: await selectIn('assessment_results', 'session_id', sessionIds),
+    notification_preferences: await selectOwn('notification_preferences', user.id)
+  };
+
+  return createDataArchive({ account: { id: user.id, email: user.email }, data });
+};
+
+/**
+ * Download the signed-in user's data archive as a .json file
+ * @returns {Promise<{fileName: string, counts: Object}>}
+ */
+export const downloadDataArchive = async () => {
+  const archive = await exportDataArchive();
+  const fileName = `twogetherforward-data-${archive.exported_at.slice(0, 10)}.json`;
+
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  return { fileName, counts: archive.counts };
+};
+
+/**
+ * Restore an archive into the signed-in account
+ *
+ * If a step fails, the dreams created so far are deleted again (their rows
+ * go with them). Assessments can't be deleted by users, so any already
+ * restored stay.
+ *
+ * @param {string|Object} input - Archive file text or parsed archive
+ * @param {Object} options
+ * @param {string} [options.roadmapId] - Only restore this dream (its id in the archive)
+ * @returns {Promise<{counts: Object, roadmapIds: string[]}>} Rows restored per table and the new dream ids
+ */
+export const importDataArchive = async (input, { roadmapId = null } = {}) => {
+  const archive = parseDataArchive(input);
+  const user = await getCurrentUser();
+
+  const plan = planDataArchiveImport(archive, {
+    userId: user.id,
+    roadmapId,
+    newSessionCode: generateSessionCode
+  });
+
+  const roadmapIds = (plan.find(step => step.table === 'roadmaps')?.rows || []).map(row => row.id);
+  const counts = {};
+
+  try {
+    for (const step of plan) {
+      for (const rows of chunk(step.rows)) {
+        const query = step.onConflict
+          ? supabase.from(step.table).upsert(rows, { onConflict: step.onConflict })
+          : supabase.from(step.table).insert(rows);
+        const { error } = await query;
+        if (error) throw new Error(`Import stopped at ${step.table}: ${error.message}`);
+      }
+      counts[step.table] = step.rows.length;
+    }
+  } catch (error) {
+    if (roadmapIds.length > 0) {
+      const { error: cleanupError } = await supabase.from('roadmaps').delete().in('id', roadmapIds);
+      if (cleanupError) console.error('Import cleanup error:', cleanupError);
+    }
+    throw error;
+  }
+
+  return { counts, roadmapIds };
+};
+
+export default {
+  exportDataArchive,
+  downloadDataArchive,
+  importDataArchive
+};
@@ -8,6 +8,8 @@
  * - AI-powered tips and advice
  */
 
+import { getDefaultCurrency, normalizeCurrency } from '../utils/currency';
+
 /**
  * Cost breakdown templates
  * Percentages should add up to 100%
@@ -479,6 +481,7 @@ export function generateDeepDive(params) {
     budget,
     timeline_months,
     location,
+    currency,
     preferences = {},
     context = {}
   } = params;
@@ -543,7 +546,7 @@ export function generateDeepDive(params) {
     hiddenCosts,
     locationSpecific: {
       location: location,
-      currency: '€',
+      currency: normalizeCurrency(currency, getDefaultCurrency()),
       notes: `Costs adjusted for ${location} market rates`
     },
 
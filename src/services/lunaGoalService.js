@@ -7,73 +7,50 @@
  * 3. Returns an enhanced goal with intelligent content
  */
 
+import { getBackendHeaders, createBackendError } from './claudeAPI';
+
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
 
 /**
  * Generate intelligent milestones for a custom goal using Luna/Claude
+ * Identical inputs are served from the backend response cache unless `bypassCache` is set.
  * @param {Object} goalData - The custom goal form data
+ * @param {Object} options - { bypassCache: boolean, signal: AbortSignal }
  * @returns {Promise<Object>} Enhanced goal with intelligent tasks and milestones
  */
-export const generateIntelligentMilestones = async (goalData) => {
+export const generateIntelligentMilestones = async (goalData, { bypassCache = false, signal } = {}) => {
   const { title, category, estimatedCost, duration, details, customDetails } = goalData;
   // Use customDetails if details is not present (from CustomGoalCreator)
   const goalDetails = details || customDetails;
 
   console.log('🧠 Luna: Generating intelligent milestones for:', title);
 
-  const systemPrompt = `You are Luna, an AI planning advisor. Return ONLY valid JSON, no markdown.`;
-
   // Calculate budget per phase if provided
   const budget = estimatedCost ? parseInt(estimatedCost) : 0;
 
-  // Truncate details to prevent overly long prompts
-  const truncatedDetails = goalDetails ? goalDetails.substring(0, 200) : 'None';
-
-  const userPrompt = `Create a roadmap for: "${title}"
-Category: ${category || 'General'}
-Budget: €${budget || 0}
-Timeline: ${duration || 'Flexible'}
-Details: ${truncatedDetails}
-
-Return JSON (NO markdown, NO explanation):
-{
-  "description": "One sentence about this goal",
-  "roadmapPhases": [
-    {"title": "Phase 1: [Name]", "description": "Brief desc", "isCriticalPath": true, "isUnlocked": true, "duration": "X weeks", "estimatedCost": [amount], "smartTips": ["Tip 1", "Tip 2"]},
-    // Add more phases as needed for this specific goal
-  ],
-  "expertTips": ["Tip 1", "Tip 2", "Tip 3"]
-}
-
-RULES:
-- Generate as many phases as makes sense for "${title}" (typically 3-8 phases)
-- Simple goals need fewer phases, complex goals need more
-- Replace [Name] with goal-specific phase names (NOT generic like "Planning & Research")
-- Phase titles must be specific to "${title}"
-- Distribute the budget (€${budget || 0}) logically across phases
-- Each smartTips array has exactly 2 short tips (max 10 words each)
-- Keep descriptions under 15 words
-- Return ONLY the JSON object`;
-
-  console.log('📝 Prompt length:', userPrompt.length, 'chars');
-  console.log('📝 User prompt preview:', userPrompt.substring(0, 300));
+  // The roadmap template is the server-side 'roadmap-json' profile
+  const variables = {
+    title,
+    category: category || 'General',
+    budget,
+    timeline: duration || 'Flexible',
+    details: goalDetails || 'None'
+  };
 
   try {
     const response = await fetch(`${BACKEND_URL}/api/claude-generate`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({
-        prompt: userPrompt,
-        systemPrompt: systemPrompt,
-        maxTokens: 2500,  // Increased to ensure full 5-phase response
-        temperature: 0.7
-      })
+        profile: 'roadmap-json',
+        variables,
+        bypassCache
+      }),
+      signal
     });
 
     if (!response.ok) {
-      throw new Error('Failed to generate milestones');
+      throw await createBackendError(response);
     }
 
     const data = await response.json();
@@ -12,279 +12,14 @@
  * All tools return PROPOSED changes (pending confirmation).
  */
 
+import { getBackendHeaders, createBackendError } from './claudeAPI';
+import { readLunaStream } from './lunaStream';
+import { isAbortError } from './requestPolicy';
+
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
 
-/**
- * Tool definitions for Luna Overview Chat
- * These tools allow Luna to propose changes (not apply directly)
- */
-export const LUNA_OVERVIEW_TOOLS = [
-  {
-    name: "propose_title_update",
-    description: "Propose changing the milestone/goal title. Use when the user wants to change their goal focus.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_title: {
-          type: "string",
-          description: "The new title for the milestone/goal"
-        },
-        reason: {
-          type: "string",
-          description: "Brief explanation for the title change"
-        }
-      },
-      required: ["new_title", "reason"]
-    }
-  },
-  {
-    name: "propose_description_update",
-    description: "Propose changing the milestone/goal description. Use when the description is outdated, incorrect, or needs to be updated to match the current goal focus.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_description: {
-          type: "string",
-          description: "The new description for the milestone/goal"
-        },
-        reason: {
-          type: "string",
-          description: "Brief explanation for the description change"
-        }
-      },
-      required: ["new_description", "reason"]
-    }
-  },
-  {
-    name: "propose_budget_update",
-    description: "Propose changing the milestone budget. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_budget: {
-          type: "number",
-          description: "The new budget amount"
-        },
-        reason: {
-          type: "string",
-          description: "Brief explanation for the budget change"
-        }
-      },
-      required: ["new_budget", "reason"]
-    }
-  },
-  {
-    name: "propose_target_date_update",
-    description: "Propose changing the target completion date. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_date: {
-          type: "string",
-          description: "The new target date in YYYY-MM-DD format"
-        },
-        reason: {
-          type: "string",
-          description: "Brief explanation for the date change"
-        }
-      },
-      required: ["new_date", "reason"]
-    }
-  },
-  {
-    name: "propose_add_phase",
-    description: "Propose adding a new phase to the roadmap. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Title of the new phase"
-        },
-        description: {
-          type: "string",
-          description: "Description of what this phase involves"
-        },
-        duration: {
-          type: "string",
-          description: "Estimated duration (e.g., '2-3 weeks')"
-        },
-        estimated_cost: {
-          type: "number",
-          description: "Estimated cost for this phase"
-        },
-        position: {
-          type: "number",
-          description: "Position in the roadmap (0-indexed). If not specified, adds at end."
-        },
-        reason: {
-          type: "string",
-          description: "Why this phase should be added"
-        }
-      },
-      required: ["title", "description", "reason"]
-    }
-  },
-  {
-    name: "propose_modify_phase",
-    description: "Propose modifying an existing roadmap phase. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        phase_index: {
-          type: "number",
-          description: "Index of the phase to modify (0-indexed)"
-        },
-        updates: {
-          type: "object",
-          description: "Object containing fields to update (title, description, duration, estimated_cost)",
-          properties: {
-            title: { type: "string" },
-            description: { type: "string" },
-            duration: { type: "string" },
-            estimated_cost: { type: "number" }
-          }
-        },
-        reason: {
-          type: "string",
-          description: "Why this phase should be modified"
-        }
-      },
-      required: ["phase_index", "updates", "reason"]
-    }
-  },
-  {
-    name: "propose_remove_phase",
-    description: "Propose removing a roadmap phase. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        phase_index: {
-          type: "number",
-          description: "Index of the phase to remove (0-indexed)"
-        },
-        reason: {
-          type: "string",
-          description: "Why this phase should be removed"
-        }
-      },
-      required: ["phase_index", "reason"]
-    }
-  },
-  {
-    name: "propose_add_task",
-    description: "Propose adding a new task. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        title: {
-          type: "string",
-          description: "Title of the task"
-        },
-        description: {
-          type: "string",
-          description: "Description of the task"
-        },
-        phase_index: {
-          type: "number",
-          description: "Index of the roadmap phase this task belongs to (optional)"
-        },
-        priority: {
-          type: "string",
-          enum: ["low", "medium", "high", "critical"],
-          description: "Task priority"
-        },
-        assigned_to: {
-          type: "string",
-          description: "Partner name to assign to (optional)"
-        },
-        reason: {
-          type: "string",
-          description: "Why this task should be added"
-        }
-      },
-      required: ["title", "reason"]
-    }
-  },
-  {
-    name: "propose_update_task",
-    description: "Propose updating an existing task. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        task_id: {
-          type: "string",
-          description: "ID of the task to update"
-        },
-        updates: {
-          type: "object",
-          description: "Fields to update",
-          properties: {
-            title: { type: "string" },
-            description: { type: "string" },
-            priority: { type: "string" },
-            assigned_to: { type: "string" },
-            completed: { type: "boolean" }
-          }
-        },
-        reason: {
-          type: "string",
-          description: "Why this task should be updated"
-        }
-      },
-      required: ["task_id", "updates", "reason"]
-    }
-  },
-  {
-    name: "propose_delete_task",
-    description: "Propose deleting a task. Returns a pending change for user confirmation.",
-    input_schema: {
-      type: "object",
-      properties: {
-        task_id: {
-          type: "string",
-          description: "ID of the task to delete"
-        },
-        reason: {
-          type: "string",
-          description: "Why this task should be deleted"
-        }
-      },
-      required: ["task_id", "reason"]
-    }
-  },
-  {
-    name: "propose_regenerate_roadmap",
-    description: "Propose completely regenerating the roadmap with new parameters. Use when the goal focus changes significantly (e.g., CFA 3 to CFA 1). This will update the title AND generate a completely new roadmap.",
-    input_schema: {
-      type: "object",
-      properties: {
-        new_title: {
-          type: "string",
-          description: "New title for the goal (e.g., 'Get CFA Level 1')"
-        },
-        new_budget: {
-          type: "number",
-          description: "New total budget (optional)"
-        },
-        new_timeline_months: {
-          type: "number",
-          description: "New timeline in months (optional)"
-        },
-        focus_areas: {
-          type: "array",
-          items: { type: "string" },
-          description: "Areas to focus on in the new roadmap"
-        },
-        reason: {
-          type: "string",
-          description: "Why the roadmap should be regenerated"
-        }
-      },
-      required: ["new_title", "reason"]
-    }
-  }
-];
+// Tool schemas live on the server (server/prompts/tools/lunaOverviewTools.js).
+// Every tool name there needs a handler below.
 
 /**
  * Generate ID for pending changes
@@ -556,7 +291,55 @@ export const toolHandlers = {
   },
 
   propose_add_task: (input, context) => {
-    const { milestone } = context;
+    const { milestone, tasks } = context;
+
+    // Adding a step to an existing task
+    if (input.parent_task_id) {
+      const parentTask = tasks?.find(t => t.id === input.parent_task_id);
+
+      if (!parentTask || parentTask.parent_task_id) {
+        const problem = parentTask ? 'is itself a subtask' : 'not found';
+        return {
+          id: generateChangeId(),
+          type: 'error',
+          status: 'error',
+          icon: '❌',
+          summary: `Task with ID ${input.parent_task_id} ${problem}`,
+          reason: input.reason,
+          applyFn: async () => {
+            throw new Error(`Cannot add subtask: Task with ID ${input.parent_task_id} ${problem}`);
+          }
+        };
+      }
+
+      const newSubtask = {
+        title: input.title,
+        description: input.description || '',
+        assigned_to: input.assigned_to || null,
+        ai_generated: true
+      };
+      const existingSubtasks = tasks.filter(t => t.parent_task_id === parentTask.id);
+
+      return {
+        id: generateChangeId(),
+        type: 'add_task',
+        status: 'pending',
+        icon: '☑️',
+        summary: `Add Step to "${parentTask.title}": "${input.title}"`,
+        details: {
+          newTask: newSubtask,
+          parentTask,
+          subtasks: [newSubtask]
+        },
+        reason: input.reason,
+        applyFn: async (supabaseService) => {
+          return await supabaseService.createSubtasks(parentTask, [newSubtask], {
+            roadmapId: milestone.roadmap_id,
+            startIndex: existingSubtasks.length
+          });
+        }
+      };
+    }
 
     const newTask = {
       title: input.title,
@@ -568,22 +351,40 @@ export const toolHandlers = {
       ai_generated: true
     };
 
+    const subtasks = (Array.isArray(input.subtasks) ? input.subtasks : [])
+      .filter(subtask => subtask?.title)
+      .map(subtask => ({
+        title: subtask.title,
+        assigned_to: subtask.assigned_to || null,
+        ai_generated: true
+      }));
+
     return {
       id: generateChangeId(),
       type: 'add_task',
       status: 'pending',
       icon: '✅',
-      summary: `Add Task: "${input.title}"`,
+      summary: subtasks.length > 0
+        ? `Add Task: "${input.title}" (${subtasks.length} ${subtasks.length === 1 ? 'step' : 'steps'})`
+        : `Add Task: "${input.title}"`,
       details: {
         newTask,
-        phaseIndex: input.phase_index
+        phaseIndex: input.phase_index,
+        subtasks
       },
       reason: input.reason,
       applyFn: async (supabaseService) => {
-        return await supabaseService.createTask({
+        const result = await supabaseService.createTask({
           ...newTask,
           milestone_id: milestone.id
         });
+        if (result.error || subtasks.length === 0) return result;
+
+        const subtaskResult = await supabaseService.createSubtasks(result.data, subtasks, {
+          roadmapId: milestone.roadmap_id
+        });
+        if (subtaskResult.error) return subtaskResult;
+        return { data: { ...result.data, subtasks: subtaskResult.data }, error: null };
       }
     };
   },
@@ -715,50 +516,25 @@ async function regenerateRoadmapPhases(title, budget, timelineMonths, focusAreas
   console.log('🔄 Regenerating roadmap for:', title);
   console.log('📊 Parameters:', { budget, timelineMonths, focusAreas });
 
-  const systemPrompt = `You are Luna, an AI planning advisor. Return ONLY valid JSON, no markdown.`;
-
-  const focusText = focusAreas && focusAreas.length > 0
-    ? `Focus areas: ${focusAreas.join(', ')}`
-    : '';
-
-  const userPrompt = `Create a NEW roadmap for: "${title}"
-Budget: €${budget || 0}
-Timeline: ${timelineMonths} months
-${focusText}
-
-Return JSON (NO markdown, NO explanation):
-{
-  "roadmapPhases": [
-    {"title": "Phase 1: [Name]", "description": "Brief desc", "isCriticalPath": true, "isUnlocked": true, "duration": "X weeks", "estimatedCost": [amount], "smartTips": ["Tip 1", "Tip 2"]},
-    // Add more phases as needed for this specific goal (typically 3-8 phases depending on complexity)
-  ],
-  "expertTips": ["Tip 1", "Tip 2", "Tip 3"]
-}
-
-RULES:
-- Generate as many phases as makes sense for "${title}" (typically 3-8 phases)
-- Simple goals need fewer phases, complex goals need more
-- Replace [Name] with goal-specific phase names (NOT generic like "Planning & Research")
-- Phase titles must be specific to "${title}"
-- Distribute the budget (€${budget || 0}) logically across phases
-- Each smartTips array has exactly 2 short tips (max 10 words each)
-- Keep descriptions under 15 words
-- Return ONLY the JSON object, no explanation before or after`;
-
   try {
+    // The roadmap template is the server-side 'roadmap-json' profile
     const response = await fetch(`${BACKEND_URL}/api/claude-generate`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({
-        prompt: userPrompt,
-        systemPrompt: systemPrompt,
-        maxTokens: 2500, // Increased to ensure full 5-phase response
-        temperature: 0.7
+        profile: 'roadmap-json',
+        variables: {
+          title,
+          budget: budget || 0,
+          timeline: `${timelineMonths} months`,
+          focusAreas: focusAreas || [],
+          regenerate: true
+        }
       })
     });
 
     if (!response.ok) {
-      throw new Error('Failed to regenerate roadmap');
+      throw await createBackendError(response);
     }
 
     const data = await response.json();
@@ -804,68 +580,38 @@ RULES:
 }
 
 /**
- * Build system prompt for Luna Overview Chat
- * Provides full milestone context
+ * Build the luna-overview prompt variables
+ * The server renders the system prompt; we only send the milestone facts it needs
  */
-export function buildSystemPrompt(milestone, tasks, userContext) {
-  const phases = milestone.deep_dive_data?.roadmapPhases || [];
-  const completedTasks = tasks?.filter(t => t.completed).length || 0;
-  const totalTasks = tasks?.length || 0;
-  const progressPercent = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-
-  const phasesText = phases.map((phase, idx) =>
-    `  ${idx + 1}. ${phase.title} (${phase.duration || 'TBD'}, €${phase.estimatedCost || 0})`
-  ).join('\n');
-
-  const tasksText = tasks?.slice(0, 10).map((task, idx) =>
-    `  ${idx + 1}. [${task.completed ? '✓' : ' '}] ${task.title}${task.assigned_to ? ` (${task.assigned_to})` : ''}`
-  ).join('\n') || '  No tasks yet';
-
-  return `You are Luna, a warm and intelligent AI assistant helping ${userContext?.partner1 || 'Partner 1'} and ${userContext?.partner2 || 'Partner 2'} achieve their dream: "${milestone.title}".
-
-CURRENT MILESTONE STATE:
-- Title: ${milestone.title}
-- Description: ${milestone.description || 'No description'}
-- Budget: €${(milestone.budget_amount || milestone.estimatedCost || 0).toLocaleString()}
-- Target Date: ${milestone.target_date ? new Date(milestone.target_date).toLocaleDateString() : 'Not set'}
-- Progress: ${progressPercent}% (${completedTasks}/${totalTasks} tasks)
-- Location: ${userContext?.location || 'Not specified'}
-
-ROADMAP PHASES (${phases.length} total):
-${phasesText || '  No phases defined'}
-
-TASKS (showing first 10):
-${tasksText}
-
-YOUR CAPABILITIES:
-You can PROPOSE changes using these tools (all changes require user confirmation):
-1. propose_title_update - Change the goal title
-2. propose_description_update - Change the goal description (use when description is outdated or doesn't match current goal)
-3. propose_budget_update - Change the milestone budget
-4. propose_target_date_update - Change the target completion date
-5. propose_add_phase - Add a new roadmap phase
-6. propose_modify_phase - Update an existing phase
-7. propose_remove_phase - Delete a phase
-8. propose_add_task - Create a new task
-9. propose_update_task - Modify an existing task
-10. propose_delete_task - Remove a task
-11. propose_regenerate_roadmap - IMPORTANT: Use when goal focus changes significantly (e.g., changing from CFA 3 to CFA 1). This updates BOTH the title AND generates a completely new roadmap.
-
-RULES:
-1. ALWAYS propose changes - NEVER apply them directly
-2. Explain WHY you're suggesting each change
-3. Be conversational and supportive
-4. Reference their specific situation (budget, timeline, location)
-5. If they ask about progress, give encouraging feedback
-6. For big changes, use propose_regenerate_roadmap
-7. Keep responses concise but warm
-
-CONVERSATION STYLE:
-- Warm and encouraging like a helpful friend
-- Use their names when natural
-- Celebrate their progress
-- Be specific about numbers and dates
-- Ask clarifying questions if needed`;
+export function buildOverviewVariables(milestone, tasks, userContext) {
+  return {
+    partner1: userContext?.partner1,
+    partner2: userContext?.partner2,
+    location: userContext?.location,
+    milestone: {
+      title: milestone.title,
+      description: milestone.description,
+      budget_amount: milestone.budget_amount,
+      estimatedCost: milestone.estimatedCost,
+      target_date: milestone.target_date
+    },
+    phases: (milestone.deep_dive_data?.roadmapPhases || []).map(phase => ({
+      title: phase.title,
+      duration: phase.duration,
+      estimatedCost: phase.estimatedCost
+    })),
+    // Each task followed by its subtasks, so the prompt's item limit drops tasks from the end
+    tasks: (tasks || [])
+      .filter(task => !task.parent_task_id)
+      .flatMap(task => [task, ...(tasks || []).filter(t => t.parent_task_id === task.id)])
+      .map(task => ({
+        id: task.id,
+        parent_task_id: task.parent_task_id || null,
+        title: task.title,
+        completed: !!task.completed,
+        assigned_to: task.assigned_to
+      }))
+  };
 }
 
 /**
@@ -884,83 +630,65 @@ export function processToolCall(toolName, toolInput, context) {
 
 /**
  * Call Claude with streaming for Luna Overview Chat
+ * Aborting `options.signal` stops the stream without calling onError.
+ * @param {Array} messages - Conversation so far
+ * @param {Object} context - { milestone, tasks, userContext }
+ * @param {Object} callbacks - { onChunk, onToolCall, onDone, onError }
+ * @param {Object} options - { signal }
  */
-export async function callLunaOverviewStreaming(messages, context, callbacks) {
+export async function callLunaOverviewStreaming(messages, context, callbacks, options = {}) {
   const { onChunk, onToolCall, onDone, onError } = callbacks;
   const { milestone, tasks, userContext } = context;
 
-  const systemPrompt = buildSystemPrompt(milestone, tasks, userContext);
-
   try {
     const response = await fetch(`${BACKEND_URL}/api/claude-stream`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({
         messages,
-        systemPrompt,
-        tools: LUNA_OVERVIEW_TOOLS,
-        maxTokens: 1024,
-        temperature: 0.8
-      })
+        profile: 'luna-overview',
+        variables: buildOverviewVariables(milestone, tasks, userContext)
+      }),
+      signal: options.signal
     });
 
     if (!response.ok) {
-      throw new Error(`Backend error: ${response.statusText}`);
+      throw await createBackendError(response);
     }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-
-      if (done) {
-        if (onDone) onDone();
-        break;
-      }
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      let currentEvent = '';
-      for (const line of lines) {
-        if (line.startsWith('event: ')) {
-          currentEvent = line.slice(7).trim();
-        } else if (line.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(line.slice(6));
-
-            if (currentEvent === 'text' && data.text) {
-              if (onChunk) onChunk(data.text);
-            } else if (currentEvent === 'tool_use' && data.tool) {
-              // Process tool call and return pending change
-              const pendingChange = processToolCall(data.tool.name, data.tool.input, context);
-              if (pendingChange && onToolCall) {
-                onToolCall(pendingChange);
-              }
-            } else if (currentEvent === 'done') {
-              if (onDone) onDone();
-            } else if (currentEvent === 'error') {
-              if (onError) onError(new Error(data.error || 'Stream error'));
-            }
-          } catch (e) {
-            // Skip non-JSON data lines
-          }
+    const streamed = await readLunaStream(response, {
+      onText: (text) => {
+        if (onChunk) onChunk(text);
+      },
+      onToolUse: (tool) => {
+        // Process tool call and return pending change
+        const pendingChange = processToolCall(tool.name, tool.input, context);
+        if (pendingChange && onToolCall) {
+          onToolCall(pendingChange);
         }
+      },
+      onToolInputError: ({ tool, error }) => {
+        console.warn(`Luna proposed ${tool.name} with unreadable input: ${error}`);
       }
+    });
+
+    if (!streamed.completed) {
+      console.warn('Luna Overview stream ended before the message finished');
     }
+    if (onDone) onDone();
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log('⏹️ Luna Overview stream aborted');
+      return;
+    }
     console.error('Luna Overview streaming error:', error);
     if (onError) onError(error);
   }
 }
 
 export default {
-  LUNA_OVERVIEW_TOOLS,
   toolHandlers,
-  buildSystemPrompt,
+  buildOverviewVariables,
   processToolCall,
   callLunaOverviewStreaming
 };
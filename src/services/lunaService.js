@@ -12,441 +12,14 @@
 
 import { emitProgressEvent, CreationEvent } from '../context/CreationProgressContext';
 import { saveGuestDream } from './guestDreamService';
+import { getBackendHeaders, createBackendError, getFriendlyErrorMessage } from './claudeAPI';
+import { readLunaStream } from './lunaStream';
+import { isAbortError, createAbortError } from './requestPolicy';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001'; // Use env var in production, localhost in dev
 
-/**
- * System prompt that defines Luna's role and behavior
- * Keep it concise - Claude is smart enough to understand
- */
-// Dynamic system prompt with current date
-const getLunaSystemPrompt = () => {
-  const now = new Date();
-  const currentDate = now.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-  const currentMonth = now.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-
-  return `You are Luna, an AI planning assistant for couples planning their future together.
-
-TODAY'S DATE: ${currentDate}
-CURRENT MONTH: ${currentMonth}
-
-CRITICAL - TIME AWARENESS:
-You MUST use today's date for ALL timeline calculations. When a user says:
-- "by May 2026" → Calculate months from ${currentMonth} to May 2026
-- "next summer" → That means summer ${now.getFullYear() + (now.getMonth() >= 6 ? 1 : 0)}
-- "in 2 years" → That means ${now.getFullYear() + 2}
-- "next month" → That means ${new Date(now.getFullYear(), now.getMonth() + 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
-
-ALWAYS state the calculated timeline clearly: "That's X months from now" (calculate accurately!)
-
-YOUR MISSION:
-Help couples create realistic, actionable roadmaps for ANY goal they have together.
-Goals can be ANYTHING: buying apartment, planning wedding, learning new skill, starting business,
-getting fit, writing book, learning language, renovating home, adopting pet, saving for vacation, etc.
-
-INTELLIGENCE-FIRST APPROACH:
-You are powered by advanced AI. Before asking ANY questions, ASSESS what you already know.
-Your goal is to get users to their roadmap as FAST as possible while maintaining quality.
-
-INFORMATION COMPLETENESS ASSESSMENT:
-For every message, evaluate what you know:
-- Goal clarity: Do I understand WHAT they want to achieve?
-- Timeline: Do I know WHEN they want to achieve it?
-- Budget: Do I know HOW MUCH they can spend?
-- Location: Do I know WHERE they are?
-- Partner names: Do I know WHO is involved?
-
-ADAPTIVE ROUTING - Choose the FASTEST path:
-
-🚀 EXPRESS PATH (90%+ complete information):
-WHEN: User provides comprehensive details upfront
-EXAMPLES:
-- "Alex and Sam want to buy apartment in Berlin for €400k in 12 months"
-- "We're planning our wedding in Seattle for $50k next June"
-- "Maria and I want to start a bakery in Portland with $100k budget, opening in 18 months"
-
-YOUR ACTION:
-1. Acknowledge their goal enthusiastically
-2. Extract all provided information (names, location, goal, budget, timeline)
-3. Call extract_user_data() if names/location provided
-4. IMMEDIATELY call generate_intelligent_roadmap() or create_multi_goal_plan()
-5. Do NOT ask redundant questions about information they already gave you
-
-TIME TO ROADMAP: ~30 seconds
-
-⚡ HYBRID PATH (50-90% complete information):
-WHEN: User provides goal + some details, but missing 1-2 critical pieces
-EXAMPLES:
-- "We want to buy a house in Austin in 2 years" (missing: budget)
-- "Planning our wedding for $40k" (missing: location, timeline)
-- "Start a coffee shop in Denver" (missing: budget, timeline)
-
-YOUR ACTION:
-1. Acknowledge their goal
-2. Extract what you know
-3. Ask ONLY for missing critical information (1-2 targeted questions MAX)
-4. Then IMMEDIATELY generate roadmap
-5. Don't ask for "nice-to-haves" - make smart assumptions
-
-TIME TO ROADMAP: ~2 minutes
-
-💬 CONVERSATIONAL PATH (<50% complete information):
-WHEN: User provides vague or exploratory input
-EXAMPLES:
-- "We're thinking about our future together"
-- "We want to plan something big"
-- "Help us figure out our next steps"
-
-YOUR ACTION:
-1. Warm, supportive response
-2. Ask open-ended discovery questions
-3. Guide them to clarity about their goals
-4. Build understanding through conversation
-5. Once goal is clear, assess completeness and switch to EXPRESS or HYBRID
-
-TIME TO ROADMAP: ~5 minutes
-
-MULTI-GOAL DETECTION (CRITICAL):
-Watch for these patterns that indicate MULTIPLE goals:
-
-Conjunction words:
-- "X AND Y" → "buy apartment AND plan wedding"
-- "X plus Y" → "save for car plus vacation"
-- "X as well as Y" → "start business as well as buy home"
-
-Sequential indicators:
-- "X THEN Y" → "get married THEN buy house"
-- "First X, later Y" → "First renovate, later buy car"
-- "X before Y" → "Save emergency fund before starting business"
-
-Parallel timelines:
-- "X in N months and Y in M months" → "wedding in 6 months and house in 18 months"
-- "X next year, Y in 3 years" → "car next year, baby in 3 years"
-
-Lists:
-- "X, Y, and Z" → "save for car, vacation, and home down payment"
-
-When MULTIPLE goals detected:
-1. Acknowledge ALL goals clearly: "I see you have 3 goals: X, Y, and Z. That's exciting!"
-2. For EXPRESS path: If all goals have budgets/timelines, call create_multi_goal_plan() immediately
-3. For HYBRID path: Ask "Which goal is most important?" and "What's your budget for each?"
-4. Call create_multi_goal_plan() with complete goal array
-5. Luna will handle timeline conflicts, dependencies, and resource allocation intelligently
-
-CONVERSATION STYLE:
-- Warm, supportive, conversational (like a helpful friend)
-- Extract information intelligently from conversation (budget hints, timeline clues)
-- Celebrate their goals ("That's exciting!", "I love that!")
-- Build on previous answers, don't repeat questions
-- NEVER assume their goal - if they say "moving to Augsburg, Germany", use THAT exact location
-- LISTEN carefully and use their EXACT words for titles and descriptions
-
-CRITICAL RULES:
-- NEVER ask for information the user already provided
-- NEVER force unnecessary questions when you have complete information
-- ALWAYS choose the FASTEST path that maintains quality
-- DEFAULT to EXPRESS path when you have 90%+ info - users appreciate speed
-- If you have enough to generate a quality roadmap, DO IT NOW
-- Only ask questions when truly necessary for quality
-
-TOOL USAGE:
-- Call extract_user_data() ONCE when you learn names/location
-- FOR EACH GOAL: Call generate_milestone() to create a milestone card
-  → This creates the goal as a clickable card (e.g., "Buy Apartment in Berlin")
-  → The milestone title should be the user's goal in their own words
-- THEN call generate_deep_dive() for that milestone
-  → This adds the roadmap steps/tasks INSIDE the milestone
-  → Tasks appear when user clicks the milestone card
-  → CRITICAL: Include personalized roadmapPhases based on the conversation!
-- Call finalize_roadmap() ONCE when all milestones are ready
-  → This saves everything to database and triggers UI transition
-- Call track_expense() when user mentions spending money
-- Call analyze_savings_progress() when user asks about financial progress
-
-IMPORTANT: Each user goal = ONE milestone card. The steps to achieve it = tasks inside that milestone.
-
-═══════════════════════════════════════════════════════════════════════════
-🎯 PERSONALIZED ROADMAP PHASES - CRITICAL INSTRUCTION
-═══════════════════════════════════════════════════════════════════════════
-
-When calling generate_deep_dive(), you MUST include personalized roadmapPhases.
-
-❌ NEVER use generic phases like:
-   - "Planning", "Booking", "Preparation"
-   - "Phase 1", "Phase 2", "Phase 3"
-   - "Research", "Execute", "Complete"
-
-✅ ALWAYS use phases that reflect the USER'S ACTUAL GOAL:
-
-Example 1 - Trip to Japan:
-roadmapPhases: [
-  { title: "Research Tokyo & Kyoto", description: "Explore neighborhoods, attractions, best times to visit", month: 1, tasks: ["Research Tokyo districts", "Find best ryokans in Kyoto", "Check cherry blossom dates"] },
-  { title: "Book Flights & Accommodation", description: "Secure travel and stays", month: 2, tasks: ["Compare flight options", "Book ryokan in Kyoto", "Reserve Tokyo hotel"] },
-  { title: "Plan Daily Itineraries", description: "Map out each day's activities", month: 3, tasks: ["Create Tokyo 3-day plan", "Plan Kyoto temple route", "Book restaurant reservations"] },
-  { title: "Final Preparations", description: "Get ready for departure", month: 4, tasks: ["Get JR Pass", "Exchange currency", "Pack essentials"] }
-]
-
-Example 2 - Buy Apartment in Berlin:
-roadmapPhases: [
-  { title: "Assess Berlin Neighborhoods", description: "Research areas that fit your lifestyle", month: 1, tasks: ["Visit Prenzlauer Berg", "Explore Kreuzberg", "Check Charlottenburg prices"] },
-  { title: "Secure Financing", description: "Get mortgage pre-approval", month: 2, tasks: ["Compare German banks", "Gather income documents", "Get pre-approval letter"] },
-  { title: "Active Apartment Search", description: "Find and view properties", month: 3, tasks: ["Set up ImmoScout alerts", "Schedule viewings", "Evaluate 5+ apartments"] },
-  { title: "Purchase & Close", description: "Complete the transaction", month: 4, tasks: ["Make offer", "Sign at Notar", "Register at Grundbuchamt"] }
-]
-
-The phases should feel like they were written specifically for THIS couple's dream.
-
-═══════════════════════════════════════════════════════════════════════════
-⚡ SPEED IS CRITICAL - USERS EXPECT INSTANT RESULTS ⚡
-═══════════════════════════════════════════════════════════════════════════
-
-Users have SHORT attention spans. Dream creation should feel INSTANT.
-
-SPEED RULES:
-1. Keep conversations SHORT - 2-3 exchanges max before creating the dream
-2. Don't ask too many questions - make smart assumptions
-3. When ready to create, call ALL tools in rapid succession
-4. Keep your text responses BRIEF between tool calls
-
-═══════════════════════════════════════════════════════════════════════════
-⚠️ MANDATORY TOOL SEQUENCE - DO NOT SKIP OR REORDER ⚠️
-═══════════════════════════════════════════════════════════════════════════
-
-You MUST follow this EXACT sequence when creating a dream:
-
-1. generate_milestone() - Creates the goal card
-2. generate_deep_dive() - Adds roadmap phases (this is FAST now, no extra processing)
-3. finalize_roadmap() - Saves to database
-
-Call these tools in QUICK succession. Don't write long explanations between them.
-Users are waiting. Be fast.
-
-❌ NEVER:
-- Call finalize_roadmap() before generate_milestone() (WILL FAIL)
-- Write paragraphs between tool calls (WASTES TIME)
-- Ask more than 2-3 clarifying questions (USERS GET BORED)
-
-✅ ALWAYS:
-- generate_milestone() → generate_deep_dive() → finalize_roadmap()
-- Keep it fast: gather info → create dream → done
-- Make smart assumptions for missing details
-
-═══════════════════════════════════════════════════════════════════════════
-
-INTELLIGENT FEATURES:
-- Extract budget/timeline hints from casual conversation ("We're saving $500/month", "by next summer")
-- Auto-categorize expenses (e.g., "bought wedding dress" → attire category)
-- Detect budget anomalies (large expenses, duplicates, over-budget alerts)
-- Provide savings recommendations based on progress and timeline
-- Generate context-aware roadmaps that adapt to user constraints
-- Make smart assumptions for missing "nice-to-have" information (e.g., assume 20% down payment if not specified)
-
-Be conversational between tool calls - explain what you're creating and discovering!`;
-};
-
-// Generate the prompt with current date
-const LUNA_SYSTEM_PROMPT = getLunaSystemPrompt();
-
-/**
- * Tool definitions for Claude function calling
- * Claude will decide when to call these based on the conversation
- */
-const LUNA_TOOLS = [
-  {
-    name: "extract_user_data",
-    description: "Extract and store partner names and location. Call this as soon as you learn these details.",
-    input_schema: {
-      type: "object",
-      properties: {
-        partner1: {
-          type: "string",
-          description: "First partner's name"
-        },
-        partner2: {
-          type: "string",
-          description: "Second partner's name (optional if not mentioned yet)"
-        },
-        location: {
-          type: "string",
-          description: "City or country where they live (for cost calculations)"
-        }
-      },
-      required: ["partner1"]
-    }
-  },
-  {
-    name: "generate_milestone",
-    description: "Create a milestone card for a user's goal (e.g., 'Buy Apartment in Berlin'). This creates the clickable card that users see. After calling this, call generate_deep_dive() to add the roadmap steps/tasks inside it. IMPORTANT: After calling this, you MUST call generate_deep_dive() and then finalize_roadmap().",
-    input_schema: {
-      type: "object",
-      properties: {
-        goal_type: {
-          type: "string",
-          description: "A short category label for the goal type"
-        },
-        title: {
-          type: "string",
-          description: "User-facing, descriptive title that clearly describes WHAT the goal is (e.g., 'Plan Iceland Wedding', 'Buy Berlin Apartment', 'Start Coffee Shop in Portland'). NEVER use generic titles like 'Goal Definition And Research'. The title should immediately tell the user what they're planning."
-        },
-        description: {
-          type: "string",
-          description: "Brief description"
-        },
-        timeline_months: {
-          type: "number",
-          description: "Timeline in months"
-        },
-        budget: {
-          type: "number",
-          description: "Budget"
-        },
-        location: {
-          type: "string",
-          description: "Location"
-        },
-        preferences: {
-          type: "object",
-          description: "User preferences"
-        }
-      },
-      required: ["goal_type", "title", "timeline_months", "budget"]
-    }
-  },
-  {
-    name: "generate_deep_dive",
-    description: "Generate detailed deep dive data for a milestone. CRITICAL: Provide personalized roadmapPhases based on the ACTUAL conversation - use the user's specific goal, location, and details. Do NOT use generic phases like 'Planning', 'Booking', 'Preparation'.",
-    input_schema: {
-      type: "object",
-      properties: {
-        milestone_id: {
-          type: "string",
-          description: "ID of the milestone this deep dive is for"
-        },
-        goal_type: {
-          type: "string",
-          description: "Type of goal (wedding, home, etc.)"
-        },
-        budget: {
-          type: "number",
-          description: "Total budget"
-        },
-        timeline_months: {
-          type: "number",
-          description: "Timeline in months"
-        },
-        location: {
-          type: "string",
-          description: "Location for context"
-        },
-        preferences: {
-          type: "object",
-          description: "User preferences"
-        },
-        roadmapPhases: {
-          type: "array",
-          description: "Personalized phases reflecting the user's ACTUAL goal. Example for 'Trip to Japan': ['Research Tokyo areas', 'Book flights & hotels', 'Plan daily activities', 'Final preparations']. NOT generic ['Planning', 'Booking', 'Preparation'].",
-          items: {
-            type: "object",
-            properties: {
-              title: { type: "string", description: "Specific phase title using user's words" },
-              description: { type: "string", description: "What this phase involves" },
-              month: { type: "number", description: "Target month (1-based)" },
-              tasks: { type: "array", items: { type: "string" }, description: "3-5 specific tasks" }
-            }
-          }
-        }
-      },
-      required: ["milestone_id", "goal_type", "budget", "timeline_months"]
-    }
-  },
-  {
-    name: "finalize_roadmap",
-    description: "Signal that the complete roadmap is ready. Call when all milestones and deep dives are generated.",
-    input_schema: {
-      type: "object",
-      properties: {
-        roadmap_title: {
-          type: "string",
-          description: "Title for the entire roadmap using the user's EXACT words for their goal (e.g., 'Moving to Augsburg, Germany' NOT 'Destination Research')"
-        },
-        summary: {
-          type: "string",
-          description: "Brief summary of the complete roadmap"
-        },
-        total_cost: {
-          type: "number",
-          description: "Total estimated cost of all milestones"
-        },
-        total_timeline_months: {
-          type: "number",
-          description: "Total timeline in months"
-        }
-      },
-      required: ["roadmap_title", "summary"]
-    }
-  },
-  {
-    name: "track_expense",
-    description: "Track an expense and get budget status, anomaly detection, and financial insights. Use when user mentions spending money on something.",
-    input_schema: {
-      type: "object",
-      properties: {
-        amount: {
-          type: "number",
-          description: "Expense amount"
-        },
-        title: {
-          type: "string",
-          description: "What the expense is for (e.g., 'Venue deposit', 'Wedding dress')"
-        },
-        category: {
-          type: "string",
-          description: "Optional category (will be auto-detected if not provided)"
-        },
-        roadmap_id: {
-          type: "string",
-          description: "ID of the roadmap this expense belongs to"
-        },
-        milestone_id: {
-          type: "string",
-          description: "Optional milestone ID this expense is for"
-        }
-      },
-      required: ["amount", "title"]
-    }
-  },
-  {
-    name: "analyze_savings_progress",
-    description: "Analyze savings progress toward a goal and provide recommendations. Use when user asks about savings or financial progress.",
-    input_schema: {
-      type: "object",
-      properties: {
-        target_amount: {
-          type: "number",
-          description: "Target savings amount"
-        },
-        target_date: {
-          type: "string",
-          description: "Target date (ISO format)"
-        },
-        current_amount: {
-          type: "number",
-          description: "Current saved amount"
-        },
-        monthly_contribution: {
-          type: "number",
-          description: "Monthly savings contribution"
-        }
-      },
-      required: ["target_amount", "target_date"]
-    }
-  }
-];
+// Luna's system prompt and tools are the server-side 'luna-planner' prompt profile
+const LUNA_PROFILE = 'luna-planner';
 
 /**
  * Main conversation function
@@ -454,9 +27,11 @@ const LUNA_TOOLS = [
  *
  * @param {Array} messages - Conversation history in Claude format
  * @param {Object} context - User context (accumulated data)
+ * @param {Object} options - { signal } to abort the conversation (e.g. on unmount);
+ *   an aborted conversation rejects with an AbortError
  * @returns {Promise<Object>} Response with message and updated context
  */
-export async function converseWithLuna(messages, context = {}) {
+export async function converseWithLuna(messages, context = {}, options = {}) {
   try {
     console.log('💬 Luna conversation', {
       messageCount: messages.length,
@@ -466,26 +41,23 @@ export async function converseWithLuna(messages, context = {}) {
     // Call our backend which proxies to Claude
     const response = await fetch(`${BACKEND_URL}/api/claude`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: await getBackendHeaders(),
       body: JSON.stringify({
         messages,
-        systemPrompt: LUNA_SYSTEM_PROMPT,
-        tools: LUNA_TOOLS,
-        maxTokens: 2048,
-        temperature: 1.0
-      })
+        profile: LUNA_PROFILE
+      }),
+      signal: options.signal
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'API call failed');
+      throw await createBackendError(response);
     }
 
     const data = await response.json();
 
     // Handle function calling
     if (data.stop_reason === 'tool_use') {
-      return await handleToolUse(data, messages, context);
+      return await handleToolUse(data, messages, context, options);
     }
 
     // Normal text response
@@ -499,7 +71,7 @@ export async function converseWithLuna(messages, context = {}) {
       const hasToolUse = data.content.some(c => c.type === 'tool_use');
       if (hasToolUse) {
         console.log('🔧 Found tool_use blocks despite end_turn, processing them');
-        return await handleToolUse(data, messages, context);
+        return await handleToolUse(data, messages, context, options);
       }
 
       // Truly no content - ask Claude to continue
@@ -514,11 +86,12 @@ export async function converseWithLuna(messages, context = {}) {
     };
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('❌ Luna conversation error:', error);
 
-    // Graceful fallback
+    // Graceful fallback - auth and rate limit errors get a specific message
     return {
-      message: "I'm having a moment of trouble connecting. Could you tell me again what you're hoping to accomplish?",
+      message: getFriendlyErrorMessage(error, "I'm having a moment of trouble connecting. Could you tell me again what you're hoping to accomplish?"),
       context,
       error: error.message,
       isComplete: false
@@ -533,10 +106,14 @@ export async function converseWithLuna(messages, context = {}) {
  * @param {Array} messages - Conversation history in Claude format
  * @param {Object} context - User context (accumulated data)
  * @param {Object} callbacks - Streaming callbacks { onChunk, onComplete, onError }
+ * @param {Object} options - { signal }. Aborting stops the stream and any tool
+ *   round trips left; the promise then rejects with an AbortError and onError
+ *   isn't called.
  * @returns {Promise<Object>} Response with message and updated context
  */
-export async function converseWithLunaStreaming(messages, context = {}, callbacks = {}) {
+export async function converseWithLunaStreaming(messages, context = {}, callbacks = {}, options = {}) {
   const { onChunk, onComplete, onError } = callbacks;
+  const { signal } = options;
   let accumulatedText = '';
   let currentContext = { ...context };
 
@@ -562,92 +139,51 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
 
         const response = await fetch(`${BACKEND_URL}/api/claude-stream`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: await getBackendHeaders(),
           body: JSON.stringify({
             messages: msgs,
-            systemPrompt: LUNA_SYSTEM_PROMPT,
-            tools: LUNA_TOOLS,
-            maxTokens: 2048,
-            temperature: 1.0
-          })
+            profile: LUNA_PROFILE
+          }),
+          signal
         });
 
         if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Stream error: ${response.status} - ${errorText}`);
+          throw await createBackendError(response);
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        let iterationText = '';
-        let toolCalls = [];
-        let fullAssistantContent = []; // Track full content for tool result continuation
-
-        while (true) {
-          const { done, value } = await reader.read();
-
-          if (done) {
-            break;
-          }
-
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-
-          let currentEvent = '';
-
-          for (const line of lines) {
-            if (line.startsWith('event: ')) {
-              currentEvent = line.slice(7).trim();
-            } else if (line.startsWith('data: ')) {
-              try {
-                const data = JSON.parse(line.slice(6));
-
-                if (currentEvent === 'text' && data.text) {
-                  // Stream text chunk immediately
-                  iterationText += data.text;
-                  accumulatedText += data.text;
-                  if (onChunk) {
-                    onChunk(data.text, accumulatedText);
-                  }
-                  // Add to full content for potential tool continuation
-                  const lastBlock = fullAssistantContent[fullAssistantContent.length - 1];
-                  if (lastBlock && lastBlock.type === 'text') {
-                    lastBlock.text += data.text;
-                  } else {
-                    fullAssistantContent.push({ type: 'text', text: data.text });
-                  }
-                } else if (currentEvent === 'tool_use' && data.tool) {
-                  // Collect tool call for later execution
-                  console.log(`🔧 Stream received tool call: ${data.tool.name}`);
-                  toolCalls.push({
-                    type: 'tool_use',
-                    id: data.tool.id,
-                    name: data.tool.name,
-                    input: data.tool.input
-                  });
-                  fullAssistantContent.push({
-                    type: 'tool_use',
-                    id: data.tool.id,
-                    name: data.tool.name,
-                    input: data.tool.input
-                  });
-                } else if (currentEvent === 'error') {
-                  throw new Error(data.error || 'Stream error');
-                }
-              } catch (parseError) {
-                // Skip non-JSON lines
-                if (line.slice(6).trim() && !line.includes('[DONE]')) {
-                  console.debug('Skipping non-JSON SSE data');
-                }
-              }
+        const streamed = await readLunaStream(response, {
+          onText: (text) => {
+            // Stream text chunk immediately
+            accumulatedText += text;
+            if (onChunk) {
+              onChunk(text, accumulatedText);
             }
-          }
+          },
+          onToolUse: (tool) => console.log(`🔧 Stream received tool call: ${tool.name}`),
+          onToolInputError: ({ tool, error }) => console.warn(`⚠️ Invalid input for tool ${tool.name}: ${error}`)
+        });
+
+        if (!streamed.completed) {
+          console.warn('⚠️ Luna stream ended before the message finished');
         }
 
+        const iterationText = streamed.text;
+        const toolCalls = streamed.toolCalls;
+
+        // Tool calls with unparseable input still need a tool_result, so Claude can try again
+        const fullAssistantContent = [
+          ...streamed.content,
+          ...streamed.toolInputErrors.map(({ tool }) => ({ type: 'tool_use', id: tool.id, name: tool.name, input: {} }))
+        ];
+        const inputErrorResults = streamed.toolInputErrors.map(({ tool, error }) => ({
+          type: 'tool_result',
+          tool_use_id: tool.id,
+          content: JSON.stringify({ success: false, error: `Tool input was not valid JSON: ${error}` }),
+          is_error: true
+        }));
+
         // Stream iteration complete - check if we need to handle tool calls
-        if (toolCalls.length > 0) {
+        if (toolCalls.length > 0 || inputErrorResults.length > 0) {
           console.log(`🔨 Executing ${toolCalls.length} tool(s) from stream`);
 
           // Store conversation messages in context for deep dive generation
@@ -655,9 +191,10 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
 
           try {
             // Execute all tools and collect results
-            const toolResults = [];
+            const toolResults = [...inputErrorResults];
 
             for (const toolUse of toolCalls) {
+              if (signal?.aborted) throw createAbortError();
               console.log(`🔨 Executing streamed tool: ${toolUse.name}`);
 
               const toolResult = await executeToolCall(toolUse.name, toolUse.input, currentContext);
@@ -687,15 +224,16 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
             resolve(result);
 
           } catch (toolError) {
+            if (isAbortError(toolError)) throw toolError;
             console.error(`❌ Tool execution error in stream:`, toolError);
 
             // Send error results back to Claude
-            const errorResults = toolCalls.map(toolUse => ({
+            const errorResults = [...inputErrorResults, ...toolCalls.map(toolUse => ({
               type: 'tool_result',
               tool_use_id: toolUse.id,
               content: JSON.stringify({ success: false, error: toolError.message }),
               is_error: true
-            }));
+            }))];
 
             const continueMessages = [
               ...msgs,
@@ -719,7 +257,7 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
 
       } catch (error) {
         if (timeoutId) clearTimeout(timeoutId);
-        console.error('❌ Stream iteration error:', error);
+        if (!isAbortError(error)) console.error('❌ Stream iteration error:', error);
         reject(error);
       }
     });
@@ -742,6 +280,10 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
     return result;
 
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log('⏹️ Luna stream aborted');
+      throw error;
+    }
     console.error('❌ Luna streaming error:', error);
 
     if (onError) {
@@ -750,7 +292,7 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
 
     // Graceful fallback - return error message
     const fallbackResult = {
-      message: "I'm having a moment of trouble connecting. Could you tell me again what you're hoping to accomplish?",
+      message: getFriendlyErrorMessage(error, "I'm having a moment of trouble connecting. Could you tell me again what you're hoping to accomplish?"),
       context: currentContext,
       error: error.message,
       isComplete: false
@@ -764,7 +306,7 @@ export async function converseWithLunaStreaming(messages, context = {}, callback
  * Handle tool/function calling from Claude
  * Executes the requested function and continues conversation
  */
-async function handleToolUse(data, messages, context) {
+async function handleToolUse(data, messages, context, options = {}) {
   console.log('🔧 Claude wants to use tools');
 
   // Store conversation messages in context for deep dive generation
@@ -783,6 +325,7 @@ async function handleToolUse(data, messages, context) {
     const toolResults = [];
 
     for (const toolUse of toolUses) {
+      if (options.signal?.aborted) throw createAbortError();
       console.log(`🔨 Executing tool: ${toolUse.name}`);
 
       // Execute the tool
@@ -814,9 +357,10 @@ async function handleToolUse(data, messages, context) {
     console.log(`🔄 Continuing with ${toolResults.length} tool result(s)`);
 
     // Recursive call to get Claude's response after tool execution
-    return await converseWithLuna(continueMessages, context);
+    return await converseWithLuna(continueMessages, context, options);
 
   } catch (toolError) {
+    if (isAbortError(toolError)) throw toolError;
     console.error(`❌ Tool execution error:`, toolError);
 
     // Send error back to Claude for ALL tools
@@ -837,7 +381,7 @@ async function handleToolUse(data, messages, context) {
     ];
 
     // Let Claude handle the error gracefully
-    return await converseWithLuna(continueMessages, context);
+    return await converseWithLuna(continueMessages, context, options);
   }
 }
 
@@ -1392,111 +936,30 @@ async function generatePersonalizedContent(input, context) {
   // Extract actual conversation for context
   const conversationMessages = context.conversationMessages || [];
   const userMessages = conversationMessages
-    .filter(msg => msg.role === 'user')
+    .filter(msg => msg.role === 'user' && typeof msg.content === 'string')
     .map(msg => msg.content)
     .join('\n');
 
-  // Build a rich prompt for Claude with actual conversation context
-  const prompt = `You are Luna, an AI planning assistant. Generate personalized insights based on the ACTUAL conversation with this couple.
-
-COUPLE DETAILS:
-- Partners: ${partner1} and ${partner2}
-- Goal Type: ${goal_type}
-- Budget: €${budget.toLocaleString()}
-- Timeline: ${timeline_months} months
-- Location: ${location}
-- Preferences: ${JSON.stringify(preferences || {})}
-
-ACTUAL CONVERSATION WITH USER:
-${userMessages || 'No detailed conversation yet - use basic info above'}
-
-CRITICAL INSTRUCTIONS:
-- Base ALL insights on what the user ACTUALLY said in the conversation above
-- Do NOT assume or invent details they didn't mention
-- If they said they already have housing, don't suggest finding housing
-- Confidence score should reflect how well-prepared THEY are based on THEIR statements
-- Assessment should summarize THEIR specific situation, not generic advice
-- Create a PERSONALIZED roadmap tree with 3-5 phases specific to THEIR unique situation
-- Each phase should have contextual tips that reference THEIR specific budget, timeline, and location
-
-Generate personalized content in JSON format:
-
-{
-  "insights": {
-    "confidence": "High/Medium/Low - assess their readiness",
-    "assessment": "2-3 sentences about their specific situation",
-    "strength": "What's their biggest advantage?",
-    "challenge": "What's their biggest obstacle?"
-  },
-  "roadmapPhases": [
-    {
-      "title": "Phase name (e.g., 'Financial Preparation', 'Venue Search')",
-      "description": "What this phase is about, tailored to THEIR situation",
-      "isCriticalPath": true/false,
-      "isUnlocked": true/false,
-      "duration": "Realistic duration based on THEIR timeline (e.g., '2-4 weeks')",
-      "estimatedCost": 5000,
-      "smartTips": [
-        "Specific tip #1 that references THEIR budget/timeline/location",
-        "Specific tip #2 personalized to THEIR constraints",
-        "Specific tip #3 based on THEIR conversation"
-      ],
-      "dependencies": ["Previous phase name if any"]
-    }
-    // Generate as many phases as makes sense for THEIR specific goal (typically 3-8)
-    // Simple goals need fewer phases, complex goals need more
-    // Example for apartment: Financial Prep → Property Search → Legal/Docs → Move-In
-    // Example for wedding: Vision/Budget → Major Vendors → Details → Final Prep
-    // CUSTOMIZE to what THEY actually said in conversation!
-  ],
-  "tips": [
-    {
-      "title": "Specific tip title",
-      "content": "Personalized advice that references THEIR budget/timeline/location",
-      "impact": "How this helps them specifically",
-      "priority": "critical/high/medium"
-    }
-    // Generate 3-5 tips
-  ],
-  "risks": [
-    {
-      "risk": "Specific risk for THEIR situation",
-      "probability": "high/medium/low",
-      "impact": "What happens if this occurs",
-      "mitigation": "How to prevent or handle it"
-    }
-    // Generate 3-4 risks
-  ],
-  "savings": [
-    {
-      "opportunity": "Way to save money or time",
-      "amount": "Estimated savings in euros or time",
-      "effort": "easy/medium/hard",
-      "description": "How to implement this"
-    }
-    // Generate 3-4 savings opportunities
-  ],
-  "coupleAdvice": {
-    "commonConflict": "What couples typically disagree on for this goal",
-    "yourSituation": "How this might apply to them",
-    "framework": "Decision-making approach for them",
-    "checkIn": "Recommended discussion schedule"
-  }
-}
-
-Make it conversational, reference their specific numbers, and feel like a friend who's helped hundreds of couples.`;
-
-  // Call backend to get Claude's response
+  // The insights template is the server-side 'deep-dive-insights' profile
   console.log(`🌐 Fetching from ${BACKEND_URL}/api/claude-generate`);
 
   const response = await fetch(`${BACKEND_URL}/api/claude-generate`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: await getBackendHeaders(),
     body: JSON.stringify({
-      prompt,
-      systemPrompt: 'You are Luna, a warm and intelligent planning assistant. Generate personalized JSON content. IMPORTANT: Keep your response concise and complete - do not let it get truncated.',
-      maxTokens: 4096,  // Increased from 2048 to allow full response
-      temperature: 0.8
+      profile: 'deep-dive-insights',
+      variables: {
+        partner1,
+        partner2,
+        goal: goal_type,
+        budget,
+        timeline: `${timeline_months} months`,
+        location,
+        preferences: preferences || {},
+        conversation: userMessages
+      },
+      // Identical inputs are served from the backend response cache
+      bypassCache: Boolean(context.bypassCache)
     })
   });
 
@@ -1946,6 +1409,17 @@ async function handleAnalyzeSavingsProgress(input, context) {
   // Import Financial Intelligence Agent
   const { analyzeSavingsProgress } = await import('./agents/financialIntelligenceAgent');
 
+  // Scheduled savings on the roadmap beat the figure Luna picked up from the conversation
+  const roadmapId = input.roadmap_id || context.savedRoadmapId;
+  let scheduledContributions = [];
+  if (input.milestone_id || roadmapId) {
+    const { getRecurringExpenses } = await import('./supabaseService');
+    const { data } = await getRecurringExpenses(
+      input.milestone_id ? { milestoneId: input.milestone_id } : { roadmapId }
+    );
+    scheduledContributions = data || [];
+  }
+
   // Analyze savings progress
   const goal = {
     targetAmount: input.target_amount,
@@ -1954,7 +1428,8 @@ async function handleAnalyzeSavingsProgress(input, context) {
 
   const currentStatus = {
     currentAmount: input.current_amount || 0,
-    monthlyContribution: input.monthly_contribution || 0
+    monthlyContribution: input.monthly_contribution || 0,
+    scheduledContributions
   };
 
   const result = analyzeSavingsProgress(goal, currentStatus);
@@ -2061,6 +1536,7 @@ export async function forceCompleteCreation(milestone, userContext = {}) {
       budget: milestone.estimatedCost || milestone.budget || 0,
       timeline_months: milestone.timeline_months || milestone.timelineMonths || 6,
       location: userContext.location || milestone.location || '',
+      currency: milestone.currency,
     };
 
     const deepDiveData = generateDeepDive({
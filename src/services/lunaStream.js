@@ -0,0 +1,176 @@
+/**
+ * Luna Stream Reader
+ *
+ * The one client-side parser for /api/claude-stream responses (protocol
+ * version 2, documented in server/streamProtocol.js). Used by
+ * callClaudeStreaming, converseWithLunaStreaming and callLunaOverviewStreaming.
+ *
+ * readLunaStream() calls the handlers as events arrive and resolves with the
+ * whole message once the server sends `done` - or with `completed: false` if
+ * the connection dropped first. A server `error` event is thrown.
+ */
+
+export const STREAM_PROTOCOL_VERSION = 2;
+
+/**
+ * Split an SSE byte stream into { id, event, data } records.
+ * `data` is parsed JSON; records with non-JSON data are skipped.
+ * @param {ReadableStream} body - fetch response body
+ * @param {Function} onBytes - Called for every chunk read (e.g. to reset an idle timeout)
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* parseServerSentEvents(body, onBytes) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let record = { id: null, event: 'message', data: '' };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      if (onBytes) onBytes();
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      // Keep last incomplete line in buffer
+      buffer = lines.pop() || '';
+
+      for (const rawLine of lines) {
+        const line = rawLine.replace(/\r$/, '');
+
+        if (line === '') {
+          // Blank line ends the record
+          if (record.data) {
+            let data = null;
+            try {
+              data = JSON.parse(record.data);
+            } catch (e) {
+              // Skip non-JSON data
+            }
+            if (data !== null) yield { id: record.id, event: record.event, data };
+          }
+          record = { id: record.id, event: 'message', data: '' };
+        } else if (line.startsWith('id:')) {
+          record.id = line.slice(3).trim();
+        } else if (line.startsWith('event:')) {
+          record.event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          record.data += line.slice(5).trimStart();
+        }
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+const createStreamError = ({ error, code, status }) => {
+  const streamError = new Error(error || 'Stream error');
+  if (code) streamError.code = code;
+  if (status) streamError.status = status;
+  return streamError;
+};
+
+/**
+ * Read a /api/claude-stream response to the end
+ * @param {Response} response - OK fetch response
+ * @param {Object} handlers - Optional callbacks:
+ *   onMessageStart({ id, model, profile, usage }), onText(text),
+ *   onToolUse(tool), onToolInputError({ tool, error }), onUsage(usage),
+ *   onStopReason(stopReason), onActivity() for every chunk read
+ * @returns {Promise<Object>} {
+ *   completed,        // false if the stream ended without `done`
+ *   messageId, lastEventId, stopReason, usage,
+ *   text,             // all text received
+ *   content,          // assistant content blocks (text and tool_use), ready to send back
+ *   toolCalls,        // tool_use blocks
+ *   toolInputErrors   // [{ tool, error }]
+ * }
+ * @throws {Error} Server `error` event (with `code` and `status`)
+ */
+export const readLunaStream = async (response, handlers = {}) => {
+  const result = {
+    completed: false,
+    messageId: null,
+    lastEventId: null,
+    stopReason: null,
+    usage: null,
+    text: '',
+    content: [],
+    toolCalls: [],
+    toolInputErrors: []
+  };
+
+  for await (const { id, event, data } of parseServerSentEvents(response.body, handlers.onActivity)) {
+    result.lastEventId = id;
+
+    switch (event) {
+      case 'message_start':
+        if (data.protocol !== STREAM_PROTOCOL_VERSION) {
+          console.warn(`⚠️ Luna stream protocol ${data.protocol}, expected ${STREAM_PROTOCOL_VERSION}`);
+        }
+        result.messageId = data.id;
+        result.usage = data.usage || null;
+        if (handlers.onMessageStart) handlers.onMessageStart(data);
+        break;
+
+      case 'text': {
+        if (!data.text) break;
+        result.text += data.text;
+        const lastBlock = result.content[result.content.length - 1];
+        if (lastBlock && lastBlock.type === 'text') {
+          lastBlock.text += data.text;
+        } else {
+          result.content.push({ type: 'text', text: data.text });
+        }
+        if (handlers.onText) handlers.onText(data.text);
+        break;
+      }
+
+      case 'tool_use': {
+        if (!data.tool) break;
+        const toolUse = { type: 'tool_use', id: data.tool.id, name: data.tool.name, input: data.tool.input || {} };
+        result.content.push(toolUse);
+        result.toolCalls.push(toolUse);
+        if (handlers.onToolUse) handlers.onToolUse(toolUse);
+        break;
+      }
+
+      case 'tool_input_error':
+        result.toolInputErrors.push(data);
+        if (handlers.onToolInputError) handlers.onToolInputError(data);
+        break;
+
+      case 'usage':
+        result.usage = data;
+        if (handlers.onUsage) handlers.onUsage(data);
+        break;
+
+      case 'stop_reason':
+        result.stopReason = data.stop_reason;
+        if (handlers.onStopReason) handlers.onStopReason(data.stop_reason);
+        break;
+
+      case 'done':
+        result.completed = true;
+        result.stopReason = data.stop_reason || result.stopReason;
+        result.usage = data.usage || result.usage;
+        return result;
+
+      case 'error':
+        throw createStreamError(data);
+
+      default:
+        break;
+    }
+  }
+
+  return result;
+};
+
+export default {
+  STREAM_PROTOCOL_VERSION,
+  parseServerSentEvents,
+  readLunaStream
+};
@@ -1,12 +1,24 @@
 import jsPDF from 'jspdf';
-import 'jspdf-autotable';
+import autoTable from 'jspdf-autotable';
 import { callClaude } from './claudeAPI';
+import { isAbortError } from './requestPolicy';
+import {
+  getRoadmapById,
+  getMilestonesByRoadmap,
+  getTasksByMilestone,
+  getExpensesByRoadmap
+} from './supabaseService';
+import { getUserAssessmentHistory, getSessionById, getAssessmentResults } from './assessmentService';
+import { JOURNEY_REPORT_SECTION_IDS, buildJourneyReport } from '../utils/journeyReport';
 
 /**
- * AI-Powered PDF Export Service
+ * PDF Export Service
  *
- * Creates beautiful, narrative PDF reports using Claude AI
- * to analyze user's dreams, milestones, and progress
+ * Journey reports as branded PDFs:
+ * - generateJourneyReport() - the dreams and sections the user picks, drawn
+ *   from their data alone; Luna's narrative is an optional extra that the
+ *   report doesn't depend on
+ * - generateAIPoweredPDF() - the narrative report with a dreams overview
  */
 
 // TwogetherForward Brand Colors
@@ -42,7 +54,7 @@ export const generateAIPoweredPDF = async (userData) => {
     const pdf = createBrandedPDF(user, dreams, analysis, user_profile);
 
     // Step 3: Download PDF
-    const fileName = `TwogetherForward-Journey-${new Date().toISOString().split('T')[0]}.pdf`;
+    const fileName = reportFileName();
     pdf.save(fileName);
 
     console.log('✅ PDF generated successfully!');
@@ -53,10 +65,107 @@ export const generateAIPoweredPDF = async (userData) => {
   }
 };
 
+const reportFileName = () => `TwogetherForward-Journey-${new Date().toISOString().split('T')[0]}.pdf`;
+
+const unwrap = ({ data, error }, what) => {
+  if (error) throw new Error(`Could not load ${what}: ${error.message || error}`);
+  return data;
+};
+
+// Latest assessment with results, or null
+const loadLatestAssessment = async () => {
+  const history = unwrap(await getUserAssessmentHistory(), 'assessments') || [];
+  for (const entry of history) {
+    const sessionId = entry.session_id || entry.id;
+    const { data: results } = await getAssessmentResults(sessionId);
+    if (results) {
+      const { data: session } = await getSessionById(sessionId);
+      return { session: session || entry, results };
+    }
+  }
+  return null;
+};
+
+/**
+ * Load what a journey report needs
+ * Only queries the tables the chosen sections use.
+ * @param {Object} params
+ * @param {string[]} params.roadmapIds - Dreams to include, in order
+ * @param {string[]} params.sections - Section ids (see JOURNEY_REPORT_SECTIONS)
+ * @returns {Promise<{dreams: Array, assessment: Object|null}>}
+ */
+export const loadJourneyReportData = async ({ roadmapIds = [], sections = JOURNEY_REPORT_SECTION_IDS }) => {
+  const needsExpenses = ['budget', 'expenses', 'timeline'].some(id => sections.includes(id));
+
+  const dreams = [];
+  for (const roadmapId of roadmapIds) {
+    const roadmap = unwrap(await getRoadmapById(roadmapId), 'the dream');
+    const milestones = unwrap(await getMilestonesByRoadmap(roadmapId), 'milestones') || [];
+
+    // Tasks also give the progress figures, so they're always loaded
+    const tasks = [];
+    for (const milestone of milestones) {
+      tasks.push(...(unwrap(await getTasksByMilestone(milestone.id), 'tasks') || []));
+    }
+    const expenses = needsExpenses ? unwrap(await getExpensesByRoadmap(roadmapId), 'expenses') || [] : [];
+
+    dreams.push({ roadmap, milestones, tasks, expenses });
+  }
+
+  const assessment = sections.includes('compatibility') ? await loadLatestAssessment() : null;
+  return { dreams, assessment };
+};
+
+/**
+ * Generate and download a journey report
+ *
+ * The report itself never calls Luna. With `includeNarrative`, Luna's summary
+ * and recommendations are added when she's reachable; if not, the report is
+ * still made without them.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - The signed-in user
+ * @param {Object} params.user_profile - Their profile
+ * @param {string[]} params.roadmapIds - Dreams to include, in order
+ * @param {string[]} params.sections - Section ids (default: all)
+ * @param {boolean} params.includeNarrative - Ask Luna for a narrative on top
+ * @param {AbortSignal} params.signal - Aborting cancels the report (rejects with an AbortError)
+ * @returns {Promise<{success: boolean, fileName: string, narrative: string}>}
+ *   narrative is 'included', 'unavailable' or 'off'
+ */
+export const generateJourneyReport = async ({
+  user,
+  user_profile,
+  roadmapIds = [],
+  sections = JOURNEY_REPORT_SECTION_IDS,
+  includeNarrative = false,
+  signal
+}) => {
+  const data = await loadJourneyReportData({ roadmapIds, sections });
+  const report = buildJourneyReport({ ...data, sections });
+  const dreams = report.dreams.map(dream => dream.progress);
+
+  const analysis = includeNarrative
+    ? await analyzeUserDataWithClaude({ user, dreams, user_profile }, { fallback: false, signal })
+    : null;
+
+  const pdf = createBrandedPDF(user, dreams, analysis, user_profile, report);
+  const fileName = reportFileName();
+  pdf.save(fileName);
+
+  return {
+    success: true,
+    fileName,
+    narrative: includeNarrative ? (analysis ? 'included' : 'unavailable') : 'off'
+  };
+};
+
 /**
  * Call Claude API to analyze user's journey
+ * Without `fallback`, returns null when Luna can't be reached instead of a
+ * generic summary.
  */
-const analyzeUserDataWithClaude = async ({ user, dreams, user_profile }) => {
+const analyzeUserDataWithClaude = async ({ user, dreams, user_profile }, { fallback = true, signal } = {}) => {
   const totalDreams = dreams?.length || 0;
   const activeDreams = dreams?.filter(d => !d.completed).length || 0;
   const completedDreams = dreams?.filter(d => d.completed).length || 0;
@@ -77,72 +186,33 @@ const analyzeUserDataWithClaude = async ({ user, dreams, user_profile }) => {
     milestones: `${d.completed_milestones}/${d.total_milestones}`,
   })) || [];
 
-  const prompt = `You are analyzing a couple's life planning journey on TwogetherForward, a platform where couples plan their future together.
-
-**User Information:**
-- Email: ${user?.email || 'N/A'}
-- Full Name: ${user_profile?.full_name || 'User'}
-- Account Created: ${user?.created_at ? new Date(user.created_at).toLocaleDateString() : 'N/A'}
-
-**Journey Overview:**
-- Total Dreams: ${totalDreams}
-- Active Dreams: ${activeDreams}
-- Completed Dreams: ${completedDreams}
-- Overall Progress: ${overallProgress}%
-- Total Milestones: ${totalMilestones}
-- Completed Milestones: ${completedMilestones}
-
-**Dreams Breakdown:**
-${dreamsSummary.length > 0 ? dreamsSummary.map((d, i) => `
-${i + 1}. "${d.title}" (${d.status})
-   Progress: ${d.progress}% (${d.milestones} milestones)
-   Description: ${d.description || 'No description'}
-`).join('\n') : 'No dreams created yet.'}
-
-**Task:**
-Create a warm, encouraging, and insightful summary report for this couple's journey. Write in a professional yet personal tone, as if you're a life planning coach celebrating their progress and guiding them forward.
-
-**Your response should include 4 sections:**
-
-1. **EXECUTIVE_SUMMARY** (2-3 paragraphs): A warm overview of their journey so far, highlighting their commitment to planning together and any notable achievements.
-
-2. **KEY_INSIGHTS** (3-5 bullet points): Specific observations about their progress, patterns, strengths, or areas of focus. Be specific and reference their actual dreams/milestones.
-
-3. **PROGRESS_ANALYSIS** (1-2 paragraphs): Analyze their overall progress percentage. Is it strong? What does it say about their momentum? Be encouraging but honest.
-
-4. **RECOMMENDATIONS** (3-5 bullet points): Actionable next steps to maintain or accelerate their progress. Be specific and practical.
-
-**Format your response EXACTLY like this:**
-
-EXECUTIVE_SUMMARY:
-[Your 2-3 paragraph summary here]
-
-KEY_INSIGHTS:
-- [Insight 1]
-- [Insight 2]
-- [Insight 3]
-
-PROGRESS_ANALYSIS:
-[Your 1-2 paragraph analysis here]
-
-RECOMMENDATIONS:
-- [Recommendation 1]
-- [Recommendation 2]
-- [Recommendation 3]
-
-Remember: Be warm, encouraging, and specific. Reference their actual dreams by name. Make them feel proud of their progress while inspiring them to continue.`;
-
   try {
-    const response = await callClaude(
-      [{ role: 'user', content: prompt }],
-      { temperature: 0.7, max_tokens: 1500 }
-    );
+    // The report instructions are the server-side 'pdf-narrative' profile
+    const response = await callClaude([], {
+      profile: 'pdf-narrative',
+      variables: {
+        fullName: user_profile?.full_name || 'User',
+        email: user?.email || 'N/A',
+        memberSince: user?.created_at ? new Date(user.created_at).toLocaleDateString() : 'N/A',
+        totalDreams,
+        activeDreams,
+        completedDreams,
+        overallProgress,
+        totalMilestones,
+        completedMilestones,
+        dreams: dreamsSummary
+      },
+      signal
+    });
 
     // Parse the response
     const sections = parseClaudeAnalysis(response);
     return sections;
   } catch (error) {
+    // Aborted (e.g. the user left the page): no report at all
+    if (isAbortError(error)) throw error;
     console.error('Claude API error:', error);
+    if (!fallback) return null;
     // Fallback to basic analysis
     return {
       executiveSummary: `Thank you for using TwogetherForward to plan your future together. You've created ${totalDreams} dream${totalDreams !== 1 ? 's' : ''} and completed ${completedMilestones} out of ${totalMilestones} milestones, achieving ${overallProgress}% overall progress. Keep building your future together!`,
@@ -202,23 +272,118 @@ const parseClaudeAnalysis = (response) => {
 
 /**
  * Create beautifully branded PDF
+ *
+ * `analysis` (Luna's narrative) and `report` (buildJourneyReport content) are
+ * each optional: without analysis the narrative pages are left out, with a
+ * report its sections follow the dreams overview.
  */
-const createBrandedPDF = (user, dreams, analysis, user_profile) => {
+const createBrandedPDF = (user, dreams, analysis, user_profile, report = null) => {
   const pdf = new jsPDF('p', 'mm', 'a4');
   const pageWidth = pdf.internal.pageSize.getWidth();
   const pageHeight = pdf.internal.pageSize.getHeight();
   let currentY = 0;
 
-  // Helper: Add page header with branding
-  const addPageHeader = (pageNum) => {
-    // Top copper accent bar
-    pdf.setFillColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-    pdf.rect(0, 0, pageWidth, 3, 'F');
+  const rgb = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    return [r, g, b];
+  };
+
+  // Page header and footer, added once every page exists
+  const decoratePages = () => {
+    const pageCount = pdf.getNumberOfPages();
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+      pdf.setPage(pageNum);
+
+      // Top copper accent bar
+      pdf.setFillColor(...rgb(COLORS.copper));
+      pdf.rect(0, 0, pageWidth, 3, 'F');
+
+      // Footer with page number
+      pdf.setFontSize(8);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setTextColor(...rgb(COLORS.charcoalLight));
+      pdf.text(`Page ${pageNum}`, pageWidth - 20, pageHeight - 10);
+    }
+  };
+
+  const newPage = () => {
+    pdf.addPage();
+    currentY = 25;
+  };
+
+  // Start a new page when less than `needed` mm is left
+  const ensureSpace = (needed) => {
+    if (currentY + needed > pageHeight - 20) newPage();
+  };
 
-    // Footer with page number
-    pdf.setFontSize(8);
-    pdf.setTextColor(hexToRgb(COLORS.charcoalLight).r, hexToRgb(COLORS.charcoalLight).g, hexToRgb(COLORS.charcoalLight).b);
-    pdf.text(`Page ${pageNum}`, pageWidth - 20, pageHeight - 10);
+  const addSectionTitle = (title, size = 18) => {
+    ensureSpace(30);
+    pdf.setFontSize(size);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(...rgb(COLORS.copper));
+    pdf.text(title, 20, currentY);
+
+    currentY += size >= 18 ? 10 : 7;
+    pdf.setDrawColor(...rgb(COLORS.copper));
+    pdf.setLineWidth(0.3);
+    pdf.line(20, currentY, 80, currentY);
+    currentY += 8;
+  };
+
+  const addTable = ({ title, head, body }, fontSize = 9) => {
+    if (title) {
+      ensureSpace(25);
+      pdf.setFontSize(11);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setTextColor(...rgb(COLORS.charcoal));
+      pdf.text(pdf.splitTextToSize(title, pageWidth - 40)[0], 20, currentY);
+      currentY += 4;
+    }
+
+    autoTable(pdf, {
+      startY: currentY,
+      head: [head],
+      body,
+      theme: 'plain',
+      headStyles: {
+        fillColor: rgb(COLORS.copper),
+        textColor: [255, 255, 255],
+        fontStyle: 'bold',
+        fontSize: fontSize + 1,
+      },
+      bodyStyles: {
+        textColor: rgb(COLORS.charcoal),
+        fontSize,
+      },
+      alternateRowStyles: {
+        fillColor: rgb(COLORS.creamWarm),
+      },
+      margin: { left: 20, right: 20, top: 15 },
+    });
+
+    currentY = pdf.lastAutoTable.finalY + 10;
+  };
+
+  const addLines = (lines) => {
+    pdf.setFontSize(10);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(...rgb(COLORS.charcoalLight));
+    lines.forEach(line => {
+      const wrapped = pdf.splitTextToSize(line, pageWidth - 40);
+      ensureSpace(wrapped.length * 5 + 2);
+      pdf.text(wrapped, 20, currentY);
+      currentY += wrapped.length * 5 + 1;
+    });
+    if (lines.length > 0) currentY += 4;
+  };
+
+  const addReportSection = (section) => {
+    addSectionTitle(section.title, 14);
+    addLines(section.summary);
+    section.tables.forEach(table => addTable(table));
+    if (section.summary.length === 0 && section.tables.length === 0) {
+      addLines(['Nothing to show yet.']);
+    }
   };
 
   // ========================================
@@ -229,32 +394,32 @@ const createBrandedPDF = (user, dreams, analysis, user_profile) => {
   // Brand name
   pdf.setFontSize(28);
   pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
+  pdf.setTextColor(...rgb(COLORS.copper));
   pdf.text('TwogetherForward', pageWidth / 2, currentY, { align: 'center' });
 
   currentY += 15;
   pdf.setFontSize(16);
   pdf.setFont('helvetica', 'italic');
-  pdf.setTextColor(hexToRgb(COLORS.charcoalLight).r, hexToRgb(COLORS.charcoalLight).g, hexToRgb(COLORS.charcoalLight).b);
+  pdf.setTextColor(...rgb(COLORS.charcoalLight));
   pdf.text('Your Journey Report', pageWidth / 2, currentY, { align: 'center' });
 
   currentY += 40;
   // User name
   pdf.setFontSize(22);
   pdf.setFont('helvetica', 'normal');
-  pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
+  pdf.setTextColor(...rgb(COLORS.charcoal));
   const userName = user_profile?.full_name || user?.email?.split('@')[0] || 'Your';
   pdf.text(`${userName}'s Journey`, pageWidth / 2, currentY, { align: 'center' });
 
   currentY += 20;
   // Date
   pdf.setFontSize(12);
-  pdf.setTextColor(hexToRgb(COLORS.charcoalLight).r, hexToRgb(COLORS.charcoalLight).g, hexToRgb(COLORS.charcoalLight).b);
+  pdf.setTextColor(...rgb(COLORS.charcoalLight));
   pdf.text(new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }), pageWidth / 2, currentY, { align: 'center' });
 
   // Decorative line
   currentY += 30;
-  pdf.setDrawColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
+  pdf.setDrawColor(...rgb(COLORS.copper));
   pdf.setLineWidth(0.5);
   pdf.line(40, currentY, pageWidth - 40, currentY);
 
@@ -266,7 +431,7 @@ const createBrandedPDF = (user, dreams, analysis, user_profile) => {
   const completedMilestones = dreams?.reduce((sum, d) => sum + (d.completed_milestones || 0), 0) || 0;
 
   pdf.setFontSize(11);
-  pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
+  pdf.setTextColor(...rgb(COLORS.charcoal));
 
   const stats = [
     `Dreams Created: ${totalDreams}`,
@@ -279,173 +444,142 @@ const createBrandedPDF = (user, dreams, analysis, user_profile) => {
     pdf.text(stat, pageWidth / 2, currentY + (i * 8), { align: 'center' });
   });
 
-  addPageHeader(1);
-
   // ========================================
-  // PAGE 2: EXECUTIVE SUMMARY
+  // EXECUTIVE SUMMARY (narrative)
   // ========================================
-  pdf.addPage();
-  currentY = 25;
-  addPageHeader(2);
+  if (analysis) {
+    newPage();
+    addSectionTitle('Executive Summary');
 
-  // Section title
-  pdf.setFontSize(18);
-  pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.text('Executive Summary', 20, currentY);
+    pdf.setFontSize(11);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(...rgb(COLORS.charcoal));
 
-  currentY += 10;
-  pdf.setDrawColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.setLineWidth(0.3);
-  pdf.line(20, currentY, 80, currentY);
+    const summaryLines = pdf.splitTextToSize(analysis.executiveSummary, pageWidth - 40);
+    pdf.text(summaryLines, 20, currentY);
+    currentY += summaryLines.length * 5 + 10;
 
-  currentY += 8;
-  pdf.setFontSize(11);
-  pdf.setFont('helvetica', 'normal');
-  pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
+    // Key Insights
+    currentY += 5;
+    pdf.setFontSize(16);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(...rgb(COLORS.copper));
+    pdf.text('Key Insights', 20, currentY);
 
-  const summaryLines = pdf.splitTextToSize(analysis.executiveSummary, pageWidth - 40);
-  pdf.text(summaryLines, 20, currentY);
-  currentY += summaryLines.length * 5 + 10;
+    currentY += 10;
+    pdf.setFontSize(11);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(...rgb(COLORS.charcoal));
 
-  // Key Insights
-  currentY += 5;
-  pdf.setFontSize(16);
-  pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.text('Key Insights', 20, currentY);
+    analysis.keyInsights.forEach((insight) => {
+      const insightLines = pdf.splitTextToSize(insight, pageWidth - 50);
+      ensureSpace(insightLines.length * 5 + 3);
 
-  currentY += 10;
-  pdf.setFontSize(11);
-  pdf.setFont('helvetica', 'normal');
-  pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
-
-  analysis.keyInsights.forEach((insight, i) => {
-    // Bullet point
-    pdf.setFillColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-    pdf.circle(23, currentY - 1.5, 1, 'F');
+      // Bullet point
+      pdf.setFillColor(...rgb(COLORS.copper));
+      pdf.circle(23, currentY - 1.5, 1, 'F');
 
-    const insightLines = pdf.splitTextToSize(insight, pageWidth - 50);
-    pdf.text(insightLines, 28, currentY);
-    currentY += insightLines.length * 5 + 3;
-  });
+      pdf.text(insightLines, 28, currentY);
+      currentY += insightLines.length * 5 + 3;
+    });
 
-  // Progress Analysis
-  currentY += 5;
-  pdf.setFontSize(16);
-  pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.text('Progress Analysis', 20, currentY);
+    // Progress Analysis
+    currentY += 5;
+    ensureSpace(30);
+    pdf.setFontSize(16);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(...rgb(COLORS.copper));
+    pdf.text('Progress Analysis', 20, currentY);
 
-  currentY += 10;
-  pdf.setFontSize(11);
-  pdf.setFont('helvetica', 'normal');
-  pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
+    currentY += 10;
+    pdf.setFontSize(11);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(...rgb(COLORS.charcoal));
 
-  const analysisLines = pdf.splitTextToSize(analysis.progressAnalysis, pageWidth - 40);
-  pdf.text(analysisLines, 20, currentY);
-  currentY += analysisLines.length * 5 + 10;
+    const analysisLines = pdf.splitTextToSize(analysis.progressAnalysis, pageWidth - 40);
+    pdf.text(analysisLines, 20, currentY);
+    currentY += analysisLines.length * 5 + 10;
+  }
 
   // ========================================
-  // PAGE 3: DREAMS OVERVIEW
+  // DREAMS OVERVIEW
   // ========================================
-  pdf.addPage();
-  currentY = 25;
-  addPageHeader(3);
-
-  pdf.setFontSize(18);
-  pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.text('Your Dreams', 20, currentY);
-
-  currentY += 10;
-  pdf.setDrawColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.setLineWidth(0.3);
-  pdf.line(20, currentY, 80, currentY);
-
-  currentY += 8;
+  newPage();
+  addSectionTitle('Your Dreams');
 
   if (dreams && dreams.length > 0) {
-    const tableData = dreams.map(d => [
-      d.title,
-      d.completed ? 'Completed' : 'In Progress',
-      `${d.completed_milestones}/${d.total_milestones}`,
-      d.total_milestones > 0 ? `${Math.round((d.completed_milestones / d.total_milestones) * 100)}%` : '0%',
-    ]);
-
-    pdf.autoTable({
-      startY: currentY,
-      head: [['Dream', 'Status', 'Milestones', 'Progress']],
-      body: tableData,
-      theme: 'plain',
-      headStyles: {
-        fillColor: hexToRgb(COLORS.copper),
-        textColor: [255, 255, 255],
-        fontStyle: 'bold',
-        fontSize: 11,
-      },
-      bodyStyles: {
-        textColor: hexToRgb(COLORS.charcoal),
-        fontSize: 10,
-      },
-      alternateRowStyles: {
-        fillColor: hexToRgb(COLORS.creamWarm),
-      },
-      margin: { left: 20, right: 20 },
-    });
-
-    currentY = pdf.lastAutoTable.finalY + 15;
+    addTable({
+      head: ['Dream', 'Status', 'Milestones', 'Progress'],
+      body: dreams.map(d => [
+        d.title,
+        d.completed ? 'Completed' : 'In Progress',
+        `${d.completed_milestones}/${d.total_milestones}`,
+        d.total_milestones > 0 ? `${Math.round((d.completed_milestones / d.total_milestones) * 100)}%` : '0%',
+      ]),
+    }, 10);
+    currentY += 5;
   } else {
     pdf.setFontSize(11);
-    pdf.setTextColor(hexToRgb(COLORS.charcoalLight).r, hexToRgb(COLORS.charcoalLight).g, hexToRgb(COLORS.charcoalLight).b);
+    pdf.setTextColor(...rgb(COLORS.charcoalLight));
     pdf.text('No dreams created yet. Start your journey today!', 20, currentY);
   }
 
   // ========================================
-  // PAGE 4: RECOMMENDATIONS
+  // REPORT SECTIONS (one page per dream)
   // ========================================
-  pdf.addPage();
-  currentY = 25;
-  addPageHeader(4);
-
-  pdf.setFontSize(18);
-  pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.text('Next Steps & Recommendations', 20, currentY);
-
-  currentY += 10;
-  pdf.setDrawColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-  pdf.setLineWidth(0.3);
-  pdf.line(20, currentY, 120, currentY);
-
-  currentY += 10;
-  pdf.setFontSize(11);
-  pdf.setFont('helvetica', 'normal');
-  pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
-
-  analysis.recommendations.forEach((rec, i) => {
-    // Number badge
-    pdf.setFillColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
-    pdf.circle(23, currentY - 1.5, 2.5, 'F');
-    pdf.setTextColor(255, 255, 255);
-    pdf.setFontSize(10);
-    pdf.setFont('helvetica', 'bold');
-    pdf.text(`${i + 1}`, 23, currentY, { align: 'center', baseline: 'middle' });
+  if (report) {
+    report.dreams.forEach(dream => {
+      if (dream.sections.length === 0) return;
+      newPage();
+      addSectionTitle(dream.progress.title || 'Untitled dream', 20);
+      addLines([
+        `${dream.progress.completed_milestones} of ${dream.progress.total_milestones} milestones and ${dream.progress.completed_tasks} of ${dream.progress.total_tasks} tasks done`
+      ]);
+      dream.sections.forEach(addReportSection);
+    });
 
-    pdf.setFont('helvetica', 'normal');
-    pdf.setFontSize(11);
-    pdf.setTextColor(hexToRgb(COLORS.charcoal).r, hexToRgb(COLORS.charcoal).g, hexToRgb(COLORS.charcoal).b);
+    if (report.compatibility) {
+      newPage();
+      addReportSection({ ...report.compatibility, title: 'Compatibility Results' });
+    }
+  }
 
-    const recLines = pdf.splitTextToSize(rec, pageWidth - 50);
-    pdf.text(recLines, 30, currentY);
-    currentY += recLines.length * 5 + 5;
-  });
+  // ========================================
+  // RECOMMENDATIONS (narrative)
+  // ========================================
+  if (analysis) {
+    newPage();
+    addSectionTitle('Next Steps & Recommendations');
+    currentY += 2;
+
+    analysis.recommendations.forEach((rec, i) => {
+      pdf.setFontSize(11);
+      const recLines = pdf.splitTextToSize(rec, pageWidth - 50);
+      ensureSpace(recLines.length * 5 + 5);
+
+      // Number badge
+      pdf.setFillColor(...rgb(COLORS.copper));
+      pdf.circle(23, currentY - 1.5, 2.5, 'F');
+      pdf.setTextColor(255, 255, 255);
+      pdf.setFontSize(10);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(`${i + 1}`, 23, currentY, { align: 'center', baseline: 'middle' });
+
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(11);
+      pdf.setTextColor(...rgb(COLORS.charcoal));
+
+      pdf.text(recLines, 30, currentY);
+      currentY += recLines.length * 5 + 5;
+    });
+  }
 
   // Closing message
   currentY += 15;
+  ensureSpace(45);
   pdf.setFontSize(12);
   pdf.setFont('helvetica', 'italic');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
+  pdf.setTextColor(...rgb(COLORS.copper));
   const closingText = pdf.splitTextToSize(
     'Thank you for using TwogetherForward to build your future together. Every step forward is progress. Keep dreaming, keep planning, keep building.',
     pageWidth - 40
@@ -456,12 +590,13 @@ const createBrandedPDF = (user, dreams, analysis, user_profile) => {
   currentY = pageHeight - 20;
   pdf.setFontSize(10);
   pdf.setFont('helvetica', 'bold');
-  pdf.setTextColor(hexToRgb(COLORS.copper).r, hexToRgb(COLORS.copper).g, hexToRgb(COLORS.copper).b);
+  pdf.setTextColor(...rgb(COLORS.copper));
   pdf.text('TwogetherForward', pageWidth / 2, currentY, { align: 'center' });
   pdf.setFontSize(8);
   pdf.setFont('helvetica', 'normal');
   pdf.text('Building your life together', pageWidth / 2, currentY + 4, { align: 'center' });
 
+  decoratePages();
   return pdf;
 };
 
@@ -479,4 +614,6 @@ const hexToRgb = (hex) => {
 
 export default {
   generateAIPoweredPDF,
+  generateJourneyReport,
+  loadJourneyReportData,
 };
@@ -0,0 +1,153 @@
+/**
+ * Request Policy for Luna backend calls
+ *
+ * Shared by callClaude, callClaudeGenerate and callClaudeStreaming:
+ * - Per-route timeouts (the backend retries overloaded Claude calls itself,
+ *   so these cover the backend's own retries too)
+ * - Exponential backoff with jitter when the backend is unreachable or a
+ *   gateway in front of it fails (502/503/504)
+ * - An optional AbortSignal, e.g. from useAbortOnUnmount, cancels the request
+ *   and any pending retry
+ *
+ * Errors left after the last retry are thrown, so callers' template fallbacks
+ * (generateTemplateBasedRoadmap, getFallbackQuestions, ...) take over.
+ */
+
+// Milliseconds before we give up on a route (streams: max silence between chunks)
+export const ROUTE_TIMEOUTS = {
+  'claude': 120000,
+  'claude-generate': 150000,
+  'claude-stream': 45000,
+  'optimize-goals': 120000
+};
+
+export const RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 8000
+};
+
+// Statuses worth retrying from the browser; upstream 429/529 are retried by the backend
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Network failures (backend down, connection reset) and gateway errors are retryable
+ */
+export const isRetryableError = (error) => {
+  if (!error || isAbortError(error) || error.code === 'TIMEOUT') return false;
+  if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+  return error instanceof TypeError; // fetch rejects with TypeError on network failure
+};
+
+/**
+ * Full-jitter exponential backoff
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Function} random - Random source (for tests)
+ * @returns {number} Milliseconds to wait
+ */
+export const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs } = RETRY_POLICY, random = Math.random) => (
+  Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+);
+
+export const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const createTimeoutError = (route, timeoutMs) => {
+  const error = new Error(`Luna request to ${route} timed out after ${Math.round(timeoutMs / 1000)}s`);
+  error.code = 'TIMEOUT';
+  error.status = 504;
+  return error;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }, { once: true });
+});
+
+/**
+ * An AbortController that follows the caller's signal and can time out.
+ * `touch()` restarts the timer (streams time out on silence, not total length).
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {number} timeoutMs - Timeout
+ * @returns {{ signal: AbortSignal, touch: Function, clear: Function, timedOut: Function }}
+ */
+export const createTimeoutController = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  let timer = null;
+  let didTimeOut = false;
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      didTimeOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+    timedOut: () => didTimeOut
+  };
+};
+
+/**
+ * Run `attempt(signal)` with the route's timeout, retrying retryable failures
+ * @param {string} route - 'claude' | 'claude-generate' | 'claude-stream' | 'optimize-goals'
+ * @param {Function} attempt - (signal) => Promise; must throw on failure
+ * @param {Object} options - { signal, retries, sleep, random }
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export const withRequestPolicy = async (route, attempt, {
+  signal,
+  retries = RETRY_POLICY.retries,
+  sleep = wait,
+  random = Math.random
+} = {}) => {
+  const timeoutMs = ROUTE_TIMEOUTS[route];
+
+  for (let attemptNumber = 0; ; attemptNumber += 1) {
+    if (signal?.aborted) throw createAbortError();
+
+    const timeout = createTimeoutController(signal, timeoutMs);
+    let error;
+    try {
+      return await attempt(timeout.signal);
+    } catch (attemptError) {
+      error = timeout.timedOut() ? createTimeoutError(route, timeoutMs) : attemptError;
+    } finally {
+      timeout.clear();
+    }
+
+    if (signal?.aborted) throw createAbortError();
+    if (attemptNumber >= retries || !isRetryableError(error)) {
+      error.retriesExhausted = attemptNumber > 0;
+      throw error;
+    }
+
+    const delay = getRetryDelay(attemptNumber, RETRY_POLICY, random);
+    console.warn(`🔁 Luna ${route} request failed (${error.status || error.message}), retrying in ${delay}ms`);
+    await sleep(delay, signal);
+  }
+};
@@ -1,5 +1,18 @@
 import { supabase } from '../config/supabaseClient'
 import { activityService } from './activityService'
+import {
+  convertAmount,
+  formatCurrency,
+  getDefaultCurrency,
+  normalizeCurrency,
+  setDefaultCurrency,
+  summarizeExpensesByCategory,
+  summarizeRoadmapBudget
+} from '../utils/currency'
+import { getMonthlySavings, getOccurrenceDates } from '../utils/recurrence'
+import { calculateStepProgress, getTopLevelTasks, isTaskComplete } from '../utils/metricsAndTerminology'
+import { describeDependencyCycle, findDependencyCycle, getDependencyEndpoint } from '../utils/taskDependencies'
+import { SHARE_ROLES, describeShareRole, hasShareRole, isShareRole } from '../utils/shareRoles'
 
 // =====================================================
 // ROADMAP OPERATIONS
@@ -17,6 +30,7 @@ export const createRoadmap = async (roadmapData) => {
       .from('roadmaps')
       .insert([{
         user_id: user.id,
+        currency: getDefaultCurrency(),
         ...roadmapData
       }])
       .select()
@@ -90,6 +104,8 @@ export const getRoadmapById = async (roadmapId) => {
  */
 export const updateRoadmap = async (roadmapId, updates) => {
   try {
+    await requireRoadmapRole(roadmapId, SHARE_ROLES.EDITOR)
+
     const { data, error } = await supabase
       .from('roadmaps')
       .update(updates)
@@ -133,10 +149,11 @@ export const deleteRoadmap = async (roadmapId) => {
 export const createMilestone = async (milestoneData) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(milestoneData.roadmap_id, SHARE_ROLES.EDITOR)
 
     const { data, error } = await supabase
       .from('milestones')
-      .insert([milestoneData])
+      .insert([{ currency: getDefaultCurrency(), ...milestoneData }])
       .select()
       .single()
 
@@ -360,6 +377,7 @@ export const deleteMilestone = async (milestoneId) => {
 export const createTask = async (taskData, activityContext = null) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(activityContext?.roadmapId, SHARE_ROLES.EDITOR)
 
     const { data, error } = await supabase
       .from('tasks')
@@ -394,8 +412,11 @@ export const getTasksByMilestone = async (milestoneId) => {
 
     if (error) throw error
 
-    // Filter out deleted tasks client-side
-    const filteredData = data ? data.filter(task => !task.deleted) : [];
+    // Filter out deleted tasks client-side, along with subtasks of deleted tasks
+    const deletedIds = new Set((data || []).filter(task => task.deleted).map(task => task.id))
+    const filteredData = data
+      ? data.filter(task => !task.deleted && !deletedIds.has(task.parent_task_id))
+      : [];
 
     return { data: filteredData, error: null }
   } catch (error) {
@@ -415,6 +436,7 @@ export const getTasksByMilestone = async (milestoneId) => {
 export const updateTask = async (taskId, updates, activityContext = null) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(activityContext?.roadmapId, SHARE_ROLES.EDITOR)
 
     // If marking as complete, add completed_by and completed_at
     if (updates.completed && !updates.completed_by) {
@@ -450,6 +472,107 @@ export const updateTask = async (taskId, updates, activityContext = null) => {
   }
 }
 
+/**
+ * Add subtasks (checklist items) to a task
+ * Subtasks live in the tasks table with parent_task_id set. They take no
+ * roadmap phase of their own; progress rolls up through the parent.
+ * @param {object} parentTask - The parent task ({ id, milestone_id })
+ * @param {Array} subtasks - [{ title, assigned_to, assigned_to_user_id, due_date, ai_generated }]
+ * @param {object} [activityContext] - Optional context for activity logging
+ * @param {string} activityContext.roadmapId - The roadmap ID
+ * @param {number} [activityContext.startIndex] - order_index of the first new subtask
+ */
+export const createSubtasks = async (parentTask, subtasks = [], activityContext = null) => {
+  try {
+    if (!parentTask?.id) throw new Error('Parent task is required')
+    if (parentTask.parent_task_id) throw new Error('Subtasks cannot have subtasks of their own')
+
+    const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(activityContext?.roadmapId, SHARE_ROLES.EDITOR)
+    const startIndex = activityContext?.startIndex || 0
+
+    const rows = subtasks
+      .filter(subtask => subtask?.title?.trim())
+      .map((subtask, index) => ({
+        milestone_id: parentTask.milestone_id,
+        parent_task_id: parentTask.id,
+        title: subtask.title.trim(),
+        description: subtask.description || '',
+        assigned_to: subtask.assigned_to || null,
+        assigned_to_user_id: subtask.assigned_to_user_id || null,
+        priority: subtask.priority || parentTask.priority || 'medium',
+        due_date: subtask.due_date || null,
+        roadmap_phase_index: null,
+        completed: false,
+        ai_generated: Boolean(subtask.ai_generated),
+        order_index: startIndex + index
+      }))
+
+    if (rows.length === 0) return { data: [], error: null }
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert(rows)
+      .select()
+
+    if (error) throw error
+
+    // A finished task with a new open step is no longer finished
+    if (parentTask.completed) {
+      await updateTask(parentTask.id, { completed: false, completed_by: null, completed_at: null })
+    }
+
+    // Log activity (non-blocking) if context provided
+    if (data && user && activityContext?.roadmapId) {
+      data.forEach(subtask => activityService.logTaskCreated(activityContext.roadmapId, subtask, user.id))
+    }
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Create subtasks error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Keep a parent task's completed flag in step with its subtasks
+ * Completes the parent when its last subtask is checked, and reopens it when
+ * a subtask is unchecked, so stats that only read tasks.completed stay right.
+ * @param {string} parentTaskId
+ * @param {object} [activityContext] - Optional context for activity logging ({ roadmapId })
+ * @returns {Promise<{data: object|null, error: Error|null}>} The parent task (updated or not)
+ */
+export const syncParentTaskCompletion = async (parentTaskId, activityContext = null) => {
+  try {
+    const { data: tasks, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .or(`id.eq.${parentTaskId},parent_task_id.eq.${parentTaskId}`)
+
+    if (error) throw error
+
+    const parent = tasks?.find(t => t.id === parentTaskId)
+    if (!parent) throw new Error('Parent task not found')
+
+    const subtasks = tasks.filter(t => t.parent_task_id === parentTaskId && !t.deleted)
+    if (subtasks.length === 0) return { data: parent, error: null }
+
+    const allDone = subtasks.every(t => t.completed)
+    if (allDone === Boolean(parent.completed)) return { data: parent, error: null }
+
+    const updates = allDone
+      ? { completed: true }
+      : { completed: false, completed_by: null, completed_at: null }
+
+    return await updateTask(parentTaskId, updates, activityContext
+      ? { ...activityContext, wasCompleted: Boolean(parent.completed) }
+      : null)
+  } catch (error) {
+    console.error('Sync parent task error:', error)
+    return { data: null, error }
+  }
+}
+
 /**
  * Delete a task
  * @param {string} taskId - Task ID to delete
@@ -460,6 +583,7 @@ export const updateTask = async (taskId, updates, activityContext = null) => {
 export const deleteTask = async (taskId, activityContext = null) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(activityContext?.roadmapId, SHARE_ROLES.EDITOR)
 
     const { error } = await supabase
       .from('tasks')
@@ -546,28 +670,36 @@ export const createPhaseTask = async (taskData, phaseIndex) => {
 
 /**
  * Get phase completion statistics
- * Returns: { total, completed, percentage, allCompleted }
+ * Counted in steps: a task with subtasks contributes one step per subtask
+ * (see calculateStepProgress).
+ * Returns: { total, completed, percentage, allCompleted, totalTasks, completedTasks }
  */
 export const getPhaseProgress = async (milestoneId, phaseIndex) => {
   try {
     const { data, error } = await supabase
       .from('tasks')
-      .select('completed')
+      .select('id, completed, deleted, roadmap_phase_index, parent_task_id, order_index')
       .eq('milestone_id', milestoneId)
-      .eq('roadmap_phase_index', phaseIndex)
 
     if (error) throw error
 
-    const total = data?.length || 0
-    const completed = data?.filter(t => t.completed).length || 0
-    const percentage = total > 0 ? Math.round((completed / total) * 100) : 0
+    // Subtasks carry no phase of their own; they belong to their parent's
+    const tasks = (data || []).filter(t => !t.deleted)
+    const phaseTasks = getTopLevelTasks(tasks).filter(t => t.roadmap_phase_index === phaseIndex)
+    const phaseTaskIds = new Set(phaseTasks.map(t => t.id))
+    const phaseItems = tasks.filter(t => phaseTaskIds.has(t.id) || phaseTaskIds.has(t.parent_task_id))
+
+    const { total, completed, percentage } = calculateStepProgress(phaseItems)
+    const completedTasks = phaseTasks.filter(t => isTaskComplete(t, phaseItems)).length
 
     return {
       data: {
         total,
         completed,
         percentage,
-        allCompleted: total > 0 && completed === total
+        allCompleted: phaseTasks.length > 0 && completedTasks === phaseTasks.length,
+        totalTasks: phaseTasks.length,
+        completedTasks
       },
       error: null
     }
@@ -626,32 +758,73 @@ export const getAchievementsByRoadmap = async (roadmapId) => {
 /**
  * Validate a contribution against pocket target limits
  * Server-side validation using the database function
+ *
+ * Pocket targets are in the milestone's currency. A contribution in another
+ * currency, and earlier ones the database can't compare, are converted with
+ * the user's exchange rates first.
  * @param {string} milestoneId - The milestone ID
  * @param {string} category - The pocket/category name
  * @param {number} amount - The contribution amount
- * @returns {Promise<{allowed: boolean, remaining: number|null, message: string}>}
+ * @param {string} [currency] - Currency of `amount` (default: the milestone's)
+ * @returns {Promise<{allowed: boolean, remaining: number|null, currency: string, message: string}>}
  */
-export const validatePocketContribution = async (milestoneId, category, amount) => {
+export const validatePocketContribution = async (milestoneId, category, amount, currency = null) => {
   try {
+    const { data: milestone } = await supabase
+      .from('milestones')
+      .select('currency')
+      .eq('id', milestoneId)
+      .single()
+    const milestoneCurrency = normalizeCurrency(milestone?.currency, normalizeCurrency(currency))
+
+    // Contributions in other currencies the database leaves out of its totals
+    const { data: otherCurrencyExpenses } = await supabase
+      .from('expenses')
+      .select('amount, currency')
+      .eq('milestone_id', milestoneId)
+      .eq('category', category)
+      .neq('currency', milestoneCurrency)
+      .neq('status', 'cancelled')
+    const otherCurrencyTotal = (otherCurrencyExpenses || []).reduce((sum, expense) => (
+      sum + (convertAmount(expense.amount, expense.currency, milestoneCurrency) || 0)
+    ), 0)
+
+    const contribution = convertAmount(amount, currency || milestoneCurrency, milestoneCurrency)
+    if (contribution === null) {
+      return {
+        allowed: false,
+        remaining: null,
+        currency: milestoneCurrency,
+        message: `No exchange rate from ${currency} to ${milestoneCurrency}. Add one in Settings.`
+      }
+    }
+
     const { data, error } = await supabase.rpc('validate_pocket_contribution', {
       p_milestone_id: milestoneId,
       p_category: category,
-      p_amount: amount
+      p_amount: Math.round((contribution + otherCurrencyTotal) * 100) / 100
     })
 
     if (error) {
       // If RPC doesn't exist yet (migration not run), allow contribution
       if (error.code === '42883') { // function does not exist
         console.log('⚠️ validate_pocket_contribution RPC not found - allowing contribution')
-        return { allowed: true, remaining: null, message: 'No server-side validation' }
+        return { allowed: true, remaining: null, currency: milestoneCurrency, message: 'No server-side validation' }
       }
       throw error
     }
 
+    const remaining = data.remaining === null || data.remaining === undefined
+      ? null
+      : Number(data.remaining) - (data.allowed ? 0 : otherCurrencyTotal)
+
     return {
       allowed: data.allowed,
-      remaining: data.remaining,
-      message: data.message
+      remaining,
+      currency: milestoneCurrency,
+      message: data.allowed
+        ? data.message
+        : `Contribution of ${formatCurrency(amount, currency || milestoneCurrency, { maximumFractionDigits: 2 })} would exceed pocket target. Only ${formatCurrency(Math.max(0, remaining), milestoneCurrency, { maximumFractionDigits: 2 })} remaining.`
     }
   } catch (error) {
     console.error('Validate pocket contribution error:', error)
@@ -745,18 +918,25 @@ const recalculateRoadmapBudgetAmount = async (roadmapId) => {
 
   try {
     // Get all milestones for this roadmap
-    const { data: milestones, error: fetchError } = await supabase
-      .from('milestones')
-      .select('budget_amount')
-      .eq('roadmap_id', roadmapId)
+    const [{ data: milestones, error: fetchError }, { data: roadmap }] = await Promise.all([
+      supabase
+        .from('milestones')
+        .select('id, budget_amount, currency')
+        .eq('roadmap_id', roadmapId),
+      supabase
+        .from('roadmaps')
+        .select('id, currency')
+        .eq('id', roadmapId)
+        .single()
+    ])
 
     if (fetchError) {
       console.error('Error fetching milestones for budget recalc:', fetchError)
       return { error: fetchError }
     }
 
-    // Sum all milestone budget_amounts
-    const totalBudget = milestones?.reduce((sum, m) => sum + (m.budget_amount || 0), 0) || 0
+    // Sum all milestone budget_amounts in the roadmap's currency
+    const { total_budget: totalBudget, currency } = summarizeRoadmapBudget({ roadmap, milestones: milestones || [] })
 
     // Update the roadmap's budget_amount
     const { error: updateError } = await supabase
@@ -769,7 +949,7 @@ const recalculateRoadmapBudgetAmount = async (roadmapId) => {
       return { error: updateError }
     }
 
-    console.log(`💰 Roadmap budget_amount recalculated for ${roadmapId}: $${totalBudget}`)
+    console.log(`💰 Roadmap budget_amount recalculated for ${roadmapId}: ${formatCurrency(totalBudget, currency)}`)
     return { error: null, totalBudget }
   } catch (error) {
     console.error('Recalculate roadmap budget error:', error)
@@ -786,11 +966,13 @@ const recalculateRoadmapBudgetAmount = async (roadmapId) => {
  * @param {object} expenseData - Expense data including milestone_id, category, amount
  * @param {object} options - Optional settings
  * @param {boolean} options.skipValidation - Skip pocket validation (use carefully)
+ * @param {boolean} options.skipActivity - Don't log to the activity feed (generated rows)
  */
 export const createExpense = async (expenseData, options = {}) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
     if (!user) throw new Error('User not authenticated')
+    await requireRoadmapRole(expenseData.roadmap_id, SHARE_ROLES.EDITOR)
 
     // CRITICAL: Validate pocket contribution before creating expense
     // This is a HARD BUSINESS RULE - pockets cannot exceed their target amounts
@@ -798,7 +980,8 @@ export const createExpense = async (expenseData, options = {}) => {
       const validation = await validatePocketContribution(
         expenseData.milestone_id,
         expenseData.category,
-        expenseData.amount
+        expenseData.amount,
+        expenseData.currency
       )
 
       if (!validation.allowed) {
@@ -818,6 +1001,7 @@ export const createExpense = async (expenseData, options = {}) => {
       .from('expenses')
       .insert([{
         user_id: user.id,
+        currency: getDefaultCurrency(),
         ...expenseData
       }])
       .select()
@@ -838,7 +1022,7 @@ export const createExpense = async (expenseData, options = {}) => {
     }
 
     // Log activity (non-blocking)
-    if (data && expenseData.roadmap_id) {
+    if (data && expenseData.roadmap_id && !options.skipActivity) {
       activityService.logExpenseAdded(expenseData.roadmap_id, data, user.id)
     }
 
@@ -918,6 +1102,7 @@ export const getExpenseById = async (expenseId) => {
 export const updateExpense = async (expenseId, updates, roadmapId = null) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(roadmapId, SHARE_ROLES.EDITOR)
 
     const { data, error } = await supabase
       .from('expenses')
@@ -952,6 +1137,7 @@ export const updateExpense = async (expenseId, updates, roadmapId = null) => {
 export const deleteExpense = async (expenseId, activityContext = null) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
+    await requireRoadmapRole(activityContext?.roadmapId, SHARE_ROLES.EDITOR)
 
     const { error } = await supabase
       .from('expenses')
@@ -1001,16 +1187,39 @@ export const markExpenseAsPaid = async (expenseId, paidDate = null) => {
 
 /**
  * Get budget summary for a roadmap
+ * Computed in the roadmap's currency; milestones and expenses in other
+ * currencies are converted with the user's exchange-rate table.
+ * Scheduled savings (kind 'savings') aren't spending and are left out.
+ * @returns {Promise<{data: Object, error}>} Fields of the roadmap_budget_summary view,
+ *   plus `currency` and `unconvertedCurrencies`
  */
 export const getRoadmapBudgetSummary = async (roadmapId) => {
   try {
-    const { data, error } = await supabase
-      .from('roadmap_budget_summary')
-      .select('*')
-      .eq('roadmap_id', roadmapId)
-      .single()
-
-    if (error) throw error
+    const [roadmapResult, milestonesResult, expensesResult] = await Promise.all([
+      supabase
+        .from('roadmaps')
+        .select('id, user_id, currency')
+        .eq('id', roadmapId)
+        .single(),
+      supabase
+        .from('milestones')
+        .select('id, budget_amount, currency, completed')
+        .eq('roadmap_id', roadmapId),
+      supabase
+        .from('expenses')
+        .select('amount, currency, status, milestone_id')
+        .eq('roadmap_id', roadmapId)
+        .neq('kind', 'savings')
+    ])
+
+    const error = roadmapResult.error || milestonesResult.error || expensesResult.error
+    if (error) throw error
+
+    const data = summarizeRoadmapBudget({
+      roadmap: roadmapResult.data,
+      milestones: milestonesResult.data || [],
+      expenses: expensesResult.data || []
+    })
     return { data, error: null }
   } catch (error) {
     console.error('Get budget summary error:', error)
@@ -1020,16 +1229,30 @@ export const getRoadmapBudgetSummary = async (roadmapId) => {
 
 /**
  * Get expense breakdown by category for a roadmap
+ * In the roadmap's currency and without scheduled savings, like getRoadmapBudgetSummary
  */
 export const getExpenseCategoryBreakdown = async (roadmapId) => {
   try {
-    const { data, error } = await supabase
-      .from('expense_category_breakdown')
-      .select('*')
-      .eq('roadmap_id', roadmapId)
-      .order('total_amount', { ascending: false })
-
-    if (error) throw error
+    const [roadmapResult, expensesResult] = await Promise.all([
+      supabase
+        .from('roadmaps')
+        .select('currency')
+        .eq('id', roadmapId)
+        .single(),
+      supabase
+        .from('expenses')
+        .select('amount, currency, status, category')
+        .eq('roadmap_id', roadmapId)
+        .neq('kind', 'savings')
+    ])
+
+    const error = roadmapResult.error || expensesResult.error
+    if (error) throw error
+
+    const data = summarizeExpensesByCategory({
+      expenses: expensesResult.data || [],
+      currency: roadmapResult.data?.currency
+    }).map(group => ({ roadmap_id: roadmapId, ...group }))
     return { data, error: null }
   } catch (error) {
     console.error('Get expense breakdown error:', error)
@@ -1039,14 +1262,18 @@ export const getExpenseCategoryBreakdown = async (roadmapId) => {
 
 /**
  * Get overdue expenses for a roadmap
+ * Includes recurring occurrences whose date has passed unpaid
  */
 export const getOverdueExpenses = async (roadmapId) => {
   try {
+    await generateRecurringExpenseInstances(roadmapId)
+
     const { data, error } = await supabase
       .from('expenses')
       .select('*')
       .eq('roadmap_id', roadmapId)
       .eq('status', 'overdue')
+      .neq('kind', 'savings')
       .order('due_date', { ascending: true })
 
     if (error) throw error
@@ -1059,9 +1286,12 @@ export const getOverdueExpenses = async (roadmapId) => {
 
 /**
  * Get upcoming expenses (due in next 30 days)
+ * Includes the occurrences of recurring expenses in that window
  */
 export const getUpcomingExpenses = async (roadmapId, daysAhead = 30) => {
   try {
+    await generateRecurringExpenseInstances(roadmapId, { daysAhead })
+
     const today = new Date().toISOString().split('T')[0]
     const futureDate = new Date(Date.now() + daysAhead * 24 * 60 * 60 * 1000)
       .toISOString().split('T')[0]
@@ -1071,6 +1301,7 @@ export const getUpcomingExpenses = async (roadmapId, daysAhead = 30) => {
       .select('*')
       .eq('roadmap_id', roadmapId)
       .eq('status', 'pending')
+      .neq('kind', 'savings')
       .gte('due_date', today)
       .lte('due_date', futureDate)
       .order('due_date', { ascending: true })
@@ -1083,6 +1314,293 @@ export const getUpcomingExpenses = async (roadmapId, daysAhead = 30) => {
   }
 }
 
+// =====================================================
+// RECURRING EXPENSE OPERATIONS
+// =====================================================
+
+const todayString = () => new Date().toISOString().split('T')[0]
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000)
+  .toISOString().split('T')[0]
+
+// In-flight generations by roadmap and window
+const recurringGenerations = new Map()
+
+/**
+ * Create a recurrence rule (repeating payment or scheduled savings)
+ * and generate its occurrences for the next 30 days
+ * @param {object} ruleData - recurring_expenses fields: roadmap_id, milestone_id, kind,
+ *   description, amount, currency, category, frequency, interval, start_date,
+ *   end_date, installments
+ */
+export const createRecurringExpense = async (ruleData) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+    await requireRoadmapRole(ruleData.roadmap_id, SHARE_ROLES.EDITOR)
+
+    const { data, error } = await supabase
+      .from('recurring_expenses')
+      .insert([{
+        user_id: user.id,
+        currency: getDefaultCurrency(),
+        ...ruleData
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await generateRecurringExpenseInstances(data.roadmap_id)
+    return { data, error: null }
+  } catch (error) {
+    console.error('Create recurring expense error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get active recurrence rules for a roadmap or one milestone
+ * @param {object} filter - { roadmapId } or { milestoneId }
+ */
+export const getRecurringExpenses = async ({ roadmapId, milestoneId } = {}) => {
+  try {
+    let query = supabase
+      .from('recurring_expenses')
+      .select('*')
+      .eq('active', true)
+      .order('start_date', { ascending: true })
+
+    if (milestoneId) query = query.eq('milestone_id', milestoneId)
+    else query = query.eq('roadmap_id', roadmapId)
+
+    const { data, error } = await query
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Get recurring expenses error:', error)
+    return { data: null, error }
+  }
+}
+
+// Remove a rule's occurrences that haven't happened yet and aren't paid
+const deleteFutureOccurrences = (ruleId) => (
+  supabase
+    .from('expenses')
+    .delete()
+    .eq('recurring_expense_id', ruleId)
+    .eq('status', 'pending')
+    .gte('occurrence_date', todayString())
+)
+
+/**
+ * Update a recurrence rule
+ * Changes apply from today: unpaid future occurrences are regenerated,
+ * past and paid ones keep what they recorded.
+ */
+export const updateRecurringExpense = async (ruleId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('recurring_expenses')
+      .update(updates)
+      .eq('id', ruleId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const { error: deleteError } = await deleteFutureOccurrences(ruleId)
+    if (deleteError) throw deleteError
+
+    // Generate again from today with the new schedule
+    const today = todayString()
+    if (data.last_generated_date >= today) {
+      const { error: resetError } = await supabase
+        .from('recurring_expenses')
+        .update({
+          last_generated_date: addDays(today, -1),
+          skipped_dates: (data.skipped_dates || []).filter(date => date < today)
+        })
+        .eq('id', ruleId)
+
+      if (resetError) throw resetError
+    }
+
+    await generateRecurringExpenseInstances(data.roadmap_id)
+    return { data, error: null }
+  } catch (error) {
+    console.error('Update recurring expense error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Stop a recurrence rule
+ * Unpaid future occurrences are removed; expenses it already created stay.
+ */
+export const deleteRecurringExpense = async (ruleId) => {
+  try {
+    const { error: deleteError } = await deleteFutureOccurrences(ruleId)
+    if (deleteError) throw deleteError
+
+    const { error } = await supabase
+      .from('recurring_expenses')
+      .delete()
+      .eq('id', ruleId)
+
+    if (error) throw error
+    return { error: null }
+  } catch (error) {
+    console.error('Delete recurring expense error:', error)
+    return { error }
+  }
+}
+
+/**
+ * Turn a roadmap's recurrence rules into expense rows
+ *
+ * Creates the missing occurrences from the day each rule was set up until
+ * `daysAhead` from today (earlier dates were entered by hand before the rule
+ * existed). Occurrences go through createExpense, so pocket limits still
+ * apply; ones that would overfill a pocket are skipped. Each rule records
+ * how far it got (last_generated_date, skipped_dates), so skipped and
+ * deleted occurrences aren't generated again. Unpaid expense occurrences
+ * whose date has passed are marked overdue. Safe to call repeatedly.
+ *
+ * @param {string} roadmapId
+ * @param {object} options
+ * @param {number} options.daysAhead - How far ahead to generate (default 30)
+ * @returns {Promise<{data: {created: Array, skipped: Array}, error}>}
+ */
+export const generateRecurringExpenseInstances = (roadmapId, options = {}) => {
+  // Budget views ask for upcoming and overdue expenses together - generate once
+  const key = `${roadmapId}:${options.daysAhead || 30}`
+  if (!recurringGenerations.has(key)) {
+    recurringGenerations.set(key, runRecurringGeneration(roadmapId, options)
+      .finally(() => recurringGenerations.delete(key)))
+  }
+  return recurringGenerations.get(key)
+}
+
+const runRecurringGeneration = async (roadmapId, { daysAhead = 30 } = {}) => {
+  try {
+    const today = todayString()
+    const horizon = new Date(Date.now() + daysAhead * 24 * 60 * 60 * 1000)
+      .toISOString().split('T')[0]
+
+    const { data: rules, error: rulesError } = await getRecurringExpenses({ roadmapId })
+    if (rulesError) throw rulesError
+    if (!rules || rules.length === 0) return { data: { created: [], skipped: [] }, error: null }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('expenses')
+      .select('recurring_expense_id, occurrence_date')
+      .in('recurring_expense_id', rules.map(rule => rule.id))
+
+    if (existingError) throw existingError
+    const generated = new Set((existing || []).map(e => `${e.recurring_expense_id}:${e.occurrence_date}`))
+
+    const created = []
+    const skipped = []
+
+    for (const rule of rules) {
+      const setUp = (rule.created_at || rule.start_date).split('T')[0]
+      const from = rule.last_generated_date
+        ? addDays(rule.last_generated_date, 1)
+        : (setUp > rule.start_date ? setUp : rule.start_date)
+      const dates = getOccurrenceDates(rule, { from, to: horizon })
+
+      const kind = rule.kind || 'expense'
+      let lastGenerated = rule.last_generated_date
+      const skippedDates = [...(rule.skipped_dates || [])]
+
+      for (const date of dates) {
+        if (generated.has(`${rule.id}:${date}`)) {
+          lastGenerated = date
+          continue
+        }
+
+        const { data, error } = await createExpense({
+          roadmap_id: rule.roadmap_id,
+          milestone_id: rule.milestone_id,
+          recurring_expense_id: rule.id,
+          occurrence_date: date,
+          kind,
+          description: rule.description,
+          amount: rule.amount,
+          currency: rule.currency,
+          category: rule.category || 'Other',
+          expense_date: date,
+          due_date: date,
+          // Savings are never overdue (see the sweep below)
+          status: date < today && kind === 'expense' ? 'overdue' : 'pending',
+          payment_method: rule.payment_method || null,
+          paid_by_name: rule.paid_by_name || null,
+          paid_by_user_id: rule.paid_by_user_id || null
+        }, { skipActivity: true })
+
+        if (data) {
+          created.push(data)
+        } else if (error?.code === 'POCKET_OVERFUNDING') {
+          skipped.push({ rule, date, error })
+          skippedDates.push(date)
+        } else if (error?.code !== '23505') {
+          // 23505: another tab generated this occurrence first. Anything
+          // else (offline, no edit rights) is retried on the next call.
+          break
+        }
+        lastGenerated = date
+      }
+
+      if (lastGenerated !== rule.last_generated_date) {
+        const { error: progressError } = await supabase
+          .from('recurring_expenses')
+          .update({ last_generated_date: lastGenerated, skipped_dates: skippedDates })
+          .eq('id', rule.id)
+
+        if (progressError) throw progressError
+      }
+    }
+
+    const { error: overdueError } = await supabase
+      .from('expenses')
+      .update({ status: 'overdue' })
+      .eq('roadmap_id', roadmapId)
+      .eq('status', 'pending')
+      .eq('kind', 'expense')
+      .not('recurring_expense_id', 'is', null)
+      .lt('due_date', today)
+
+    if (overdueError) throw overdueError
+
+    if (skipped.length > 0) {
+      console.warn(`⚠️ Skipped ${skipped.length} recurring occurrence(s):`, skipped.map(s => s.error?.message))
+    }
+    return { data: { created, skipped }, error: null }
+  } catch (error) {
+    console.error('Generate recurring expenses error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Monthly total of a roadmap's (or milestone's) scheduled savings
+ * @param {object} filter - { roadmapId } or { milestoneId }
+ * @param {string} currency - Total in this currency (default: the user's)
+ * @returns {Promise<{data: {monthlyContribution: number, rules: Array}, error}>}
+ */
+export const getScheduledMonthlySavings = async (filter, currency = getDefaultCurrency()) => {
+  const { data: rules, error } = await getRecurringExpenses(filter)
+  if (error) return { data: null, error }
+  return {
+    data: {
+      monthlyContribution: getMonthlySavings(rules || [], { currency }),
+      rules: rules || []
+    },
+    error: null
+  }
+}
+
 // =====================================================
 // CONVERSATION HISTORY OPERATIONS
 // =====================================================
@@ -1173,6 +1691,18 @@ export const updateUserProfile = async (userId, updates) => {
 }
 
 
+/**
+ * Save the user's default currency (new dreams and expenses start in it)
+ * @param {string} userId - User ID
+ * @param {string} currency - ISO 4217 code
+ */
+export const updateDefaultCurrency = async (userId, currency) => {
+  const code = normalizeCurrency(currency)
+  const result = await updateUserProfile(userId, { default_currency: code })
+  if (!result.error) setDefaultCurrency(code)
+  return result
+}
+
 /**
  * Create user profile (called after signup)
  *
@@ -1607,21 +2137,26 @@ export const getDashboardSummary = async (page = 1, limit = 20) => {
 
 /**
  * Create a share invite for a dream (roadmap)
- * Generates an 8-character share code
+ * Generates an 8-character share code. Only owners can invite.
  * @param {string} roadmapId - The roadmap to share
  * @param {string} invitedEmail - Optional email of invited partner
  * @param {string} message - Optional invitation message
+ * @param {string} role - 'owner', 'editor', 'commenter' or 'viewer'
  */
-export const createDreamShareInvite = async (roadmapId, invitedEmail = null, message = null) => {
+export const createDreamShareInvite = async (roadmapId, invitedEmail = null, message = null, role = SHARE_ROLES.EDITOR) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
     if (!user) throw new Error('User not authenticated')
+    if (!isShareRole(role)) throw new Error(`Unknown sharing role: ${role}`)
+
+    await requireRoadmapRole(roadmapId, SHARE_ROLES.OWNER, 'invite people to')
 
     // Use the RPC function to generate unique share code
     const { data, error } = await supabase.rpc('create_dream_share_invite', {
       p_roadmap_id: roadmapId,
       p_invited_email: invitedEmail,
-      p_message: message
+      p_message: message,
+      p_role: role
     })
 
     if (error) throw error
@@ -1812,6 +2347,81 @@ export const getPartnerInfo = async (roadmapId) => {
 }
 
 
+/**
+ * Change the role of a share (owners only)
+ * @param {object} share - The dream_sharing row ({ id, roadmap_id })
+ * @param {string} role - 'owner', 'editor', 'commenter' or 'viewer'
+ */
+export const updateShareRole = async (share, role) => {
+  try {
+    if (!isShareRole(role)) throw new Error(`Unknown sharing role: ${role}`)
+    await requireRoadmapRole(share.roadmap_id, SHARE_ROLES.OWNER, 'change sharing on')
+
+    const { data, error } = await supabase
+      .from('dream_sharing')
+      .update({ role })
+      .eq('id', share.id)
+      .select()
+      .single()
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Update share role error:', error)
+    return { data: null, error }
+  }
+}
+
+// Roles are looked up once a minute per dream; RLS has the final say
+const ROLE_CACHE_MS = 60 * 1000
+const roadmapRoleCache = new Map()
+
+/**
+ * Get the current user's role on a dream
+ * @param {string} roadmapId - The roadmap ID
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Skip the cached role
+ * @returns {Promise<{data: string|null, error}>} 'owner', 'editor', 'commenter', 'viewer' or null
+ */
+export const getMyRoadmapRole = async (roadmapId, { refresh = false } = {}) => {
+  try {
+    const cached = roadmapRoleCache.get(roadmapId)
+    if (!refresh && cached && Date.now() - cached.fetchedAt < ROLE_CACHE_MS) {
+      return { data: cached.role, error: null }
+    }
+
+    const { data, error } = await supabase.rpc('get_roadmap_role', {
+      p_roadmap_id: roadmapId
+    })
+
+    if (error) throw error
+    roadmapRoleCache.set(roadmapId, { role: data || null, fetchedAt: Date.now() })
+    return { data: data || null, error: null }
+  } catch (error) {
+    console.error('Get roadmap role error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Throw unless the current user has at least minRole on the dream
+ * Mutations call this before writing so read-only roles get a clear error
+ * instead of an RLS "no rows" failure.
+ */
+const requireRoadmapRole = async (roadmapId, minRole, action = 'edit') => {
+  if (!roadmapId) return
+
+  const { data: role, error } = await getMyRoadmapRole(roadmapId)
+  if (error) throw error
+
+  if (!hasShareRole(role, minRole)) {
+    const roleError = new Error(`Your role (${describeShareRole(role)}) can't ${action} this dream`)
+    roleError.code = 'INSUFFICIENT_ROLE'
+    throw roleError
+  }
+}
+
+
 // =====================================================
 // GLOBAL PARTNERSHIP OPERATIONS
 // =====================================================
@@ -2273,6 +2883,646 @@ export const markNudgeRead = async (nudgeId) => {
 }
 
 
+// =====================================================
+// COMMENT OPERATIONS
+// =====================================================
+// Threaded comments on tasks, expenses and milestones (migrations/021_comments.sql).
+// Notifications for the partner and @mentioned users are created by a trigger.
+
+/**
+ * Get the comments on a task, expense or milestone
+ * @param {string} targetType - 'task', 'expense' or 'milestone'
+ * @param {string} targetId - ID of the commented item
+ * @returns {Promise<{data: Array|null, error: Error|null}>} Oldest first, including deleted placeholders
+ */
+export const getComments = async (targetType, targetId) => {
+  try {
+    const { data, error } = await supabase
+      .from('comments')
+      .select('*')
+      .eq('target_type', targetType)
+      .eq('target_id', targetId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return { data: data || [], error: null }
+  } catch (error) {
+    console.error('Get comments error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Add a comment or reply
+ * @param {object} comment
+ * @param {string} comment.roadmapId
+ * @param {string} comment.milestoneId
+ * @param {string} comment.targetType - 'task', 'expense' or 'milestone'
+ * @param {string} comment.targetId
+ * @param {string} [comment.parentId] - Top-level comment being replied to
+ * @param {string} comment.body
+ * @param {string[]} [comment.mentions] - User ids @mentioned in the body
+ * @param {object} [activityContext] - { targetTitle } for the activity feed
+ */
+export const createComment = async (comment, activityContext = null) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+    await requireRoadmapRole(comment.roadmapId, SHARE_ROLES.COMMENTER, 'comment on')
+
+    const body = comment.body?.trim()
+    if (!body) throw new Error('Comment is empty')
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('display_name, full_name')
+      .eq('id', user.id)
+      .single()
+
+    const { data, error } = await supabase
+      .from('comments')
+      .insert([{
+        roadmap_id: comment.roadmapId,
+        milestone_id: comment.milestoneId,
+        target_type: comment.targetType,
+        target_id: comment.targetId,
+        parent_id: comment.parentId || null,
+        author_id: user.id,
+        author_name: profile?.display_name || profile?.full_name || user.email?.split('@')[0] || null,
+        body,
+        mentions: comment.mentions || []
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    // Log activity (non-blocking)
+    activityService.logCommentAdded(comment.roadmapId, data, user.id, activityContext?.targetTitle || null)
+
+    // Your own comment doesn't count as unread for you
+    await markCommentsRead(comment.targetType, comment.targetId)
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Create comment error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Edit a comment's text
+ * @param {string} commentId
+ * @param {string} body
+ * @param {string[]} [mentions]
+ */
+export const updateComment = async (commentId, body, mentions = []) => {
+  try {
+    const text = body?.trim()
+    if (!text) throw new Error('Comment is empty')
+
+    const { data, error } = await supabase
+      .from('comments')
+      .update({ body: text, mentions, edited_at: new Date().toISOString() })
+      .eq('id', commentId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Update comment error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Delete a comment
+ * Soft delete: replies stay readable under a "deleted" placeholder.
+ * @param {string} commentId
+ */
+export const deleteComment = async (commentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('comments')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', commentId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Delete comment error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Mark the comments on an item as read by the current user
+ * @param {string} targetType
+ * @param {string} targetId
+ */
+export const markCommentsRead = async (targetType, targetId) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+
+    const { error } = await supabase
+      .from('comment_reads')
+      .upsert({
+        user_id: user.id,
+        target_type: targetType,
+        target_id: targetId,
+        last_read_at: new Date().toISOString()
+      }, { onConflict: 'user_id,target_type,target_id' })
+
+    if (error) throw error
+    return { error: null }
+  } catch (error) {
+    console.error('Mark comments read error:', error)
+    return { error }
+  }
+}
+
+/**
+ * Unread comment counts for the current user across a milestone
+ * @param {string} milestoneId
+ * @returns {Promise<{data: Object|null, error: Error|null}>} { [targetId]: { targetType, targetId, unread } }
+ */
+export const getUnreadCommentCounts = async (milestoneId) => {
+  try {
+    const { data, error } = await supabase.rpc('get_unread_comment_counts', {
+      p_milestone_id: milestoneId
+    })
+
+    if (error) throw error
+
+    const counts = Object.fromEntries((data || []).map(row => [
+      row.target_id,
+      { targetType: row.target_type, targetId: row.target_id, unread: row.unread }
+    ]))
+    return { data: counts, error: null }
+  } catch (error) {
+    console.error('Get unread comment counts error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Subscribe to comment changes for a milestone (its tasks, expenses and itself)
+ * Use through subscriptionManager; see useComments.
+ * @param {string} milestoneId
+ * @param {function} callback - Called with the realtime payload
+ * @returns {Object} Channel object with unsubscribe method
+ */
+export const subscribeToComments = (milestoneId, callback) => {
+  const channel = supabase
+    .channel(`comments:${milestoneId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'comments',
+        filter: `milestone_id=eq.${milestoneId}`
+      },
+      (payload) => {
+        callback(payload)
+      }
+    )
+
+  channel.subscribe()
+
+  // Return the channel so .unsubscribe() can be called
+  return channel
+}
+
+// =====================================================
+// TASK DEPENDENCY OPERATIONS
+// =====================================================
+// Finish-to-start links between tasks and roadmap phases of a milestone
+// (migrations/023_task_dependencies.sql). Scheduling lives in utils/taskDependencies.
+
+/**
+ * Get the dependencies of a milestone
+ * @param {string} milestoneId
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+export const getTaskDependencies = async (milestoneId) => {
+  try {
+    const { data, error } = await supabase
+      .from('task_dependencies')
+      .select('*')
+      .eq('milestone_id', milestoneId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return { data: data || [], error: null }
+  } catch (error) {
+    console.error('Get task dependencies error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Make a task or phase wait on another one
+ * Refuses links that would loop back on themselves, naming the loop.
+ * @param {object} dependency
+ * @param {object} dependency.predecessor - { taskId } or { phaseIndex } - what finishes first
+ * @param {object} dependency.successor - { taskId } or { phaseIndex } - what waits on it
+ * @param {object} context - { milestone, tasks } the link is checked against
+ */
+export const createTaskDependency = async ({ predecessor, successor }, { milestone, tasks = [] }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+    await requireRoadmapRole(milestone.roadmap_id, SHARE_ROLES.EDITOR)
+
+    const row = {
+      roadmap_id: milestone.roadmap_id,
+      milestone_id: milestone.id,
+      predecessor_task_id: predecessor.taskId || null,
+      predecessor_phase_index: predecessor.taskId ? null : predecessor.phaseIndex,
+      successor_task_id: successor.taskId || null,
+      successor_phase_index: successor.taskId ? null : successor.phaseIndex,
+      created_by: user.id
+    }
+
+    if (getDependencyEndpoint(row, 'predecessor') === getDependencyEndpoint(row, 'successor')) {
+      throw new Error('A task cannot wait on itself')
+    }
+
+    const { data: existing, error: fetchError } = await getTaskDependencies(milestone.id)
+    if (fetchError) throw fetchError
+
+    const cycle = findDependencyCycle({ milestone, tasks, dependencies: [...existing, row] })
+    if (cycle) {
+      throw new Error(`This would create a loop: ${describeDependencyCycle(cycle, { milestone, tasks })}`)
+    }
+
+    const { data, error } = await supabase
+      .from('task_dependencies')
+      .insert([row])
+      .select()
+      .single()
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Create task dependency error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Remove a dependency
+ * @param {string} dependencyId
+ */
+export const deleteTaskDependency = async (dependencyId) => {
+  try {
+    const { error } = await supabase
+      .from('task_dependencies')
+      .delete()
+      .eq('id', dependencyId)
+
+    if (error) throw error
+    return { error: null }
+  } catch (error) {
+    console.error('Delete task dependency error:', error)
+    return { error }
+  }
+}
+
+// =====================================================
+// CALENDAR FEED OPERATIONS
+// =====================================================
+// Secret-link ICS feed per user (migrations/024_calendar_feeds.sql), served by
+// the backend; see calendarService for the URLs and the one-off download.
+
+/**
+ * Get the current user's calendar feed, if they have one
+ * The token itself is never readable again after it was created.
+ * @returns {Promise<{data: {created_at, last_accessed_at}|null, error: Error|null}>}
+ */
+export const getCalendarFeed = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .select('created_at, last_accessed_at')
+      .maybeSingle()
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Get calendar feed error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Create a calendar feed token, replacing (and turning off) any previous link
+ * @returns {Promise<{data: string|null, error: Error|null}>} The token, shown to the user once
+ */
+export const createCalendarFeedToken = async () => {
+  try {
+    const { data, error } = await supabase.rpc('create_calendar_feed_token')
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Create calendar feed error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Turn off the current user's calendar feed
+ */
+export const revokeCalendarFeed = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+
+    const { error } = await supabase
+      .from('calendar_feeds')
+      .delete()
+      .eq('user_id', user.id)
+
+    if (error) throw error
+    return { error: null }
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error)
+    return { error }
+  }
+}
+
+// =====================================================
+// ROUTINE CHECK-IN OPERATIONS
+// =====================================================
+// Checked-off occurrences of recurring tasks (migrations/025_recurring_tasks.sql).
+// Schedules, streaks and heatmaps live in utils/taskRecurrence.
+
+/**
+ * Get the routine check-ins of a milestone
+ * @param {string} milestoneId
+ * @param {object} [options]
+ * @param {string} [options.since] - Only occurrences on or after this date ('YYYY-MM-DD')
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+export const getTaskCompletions = async (milestoneId, { since } = {}) => {
+  try {
+    let query = supabase
+      .from('task_completions')
+      .select('*')
+      .eq('milestone_id', milestoneId)
+      .order('occurrence_date', { ascending: true })
+
+    if (since) query = query.gte('occurrence_date', since)
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return { data: data || [], error: null }
+  } catch (error) {
+    console.error('Get task completions error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Check off one occurrence of a recurring task
+ * @param {object} task - Recurring task ({ id, milestone_id, title })
+ * @param {object} checkIn
+ * @param {string} checkIn.roadmapId - The task's roadmap
+ * @param {string} checkIn.occurrenceDate - Scheduled date it counts for (getOccurrenceFor)
+ * @param {number} [checkIn.streak] - Streak after this check-in, for the activity feed
+ * @param {string} [checkIn.note]
+ */
+export const checkInTask = async (task, { roadmapId, occurrenceDate, streak, note = null }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+    await requireRoadmapRole(roadmapId, SHARE_ROLES.EDITOR)
+
+    const { data, error } = await supabase
+      .from('task_completions')
+      .insert([{
+        task_id: task.id,
+        roadmap_id: roadmapId,
+        milestone_id: task.milestone_id,
+        occurrence_date: occurrenceDate,
+        completed_by: user.id,
+        note
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    activityService.logRoutineCheckIn(roadmapId, task, user.id, { occurrenceDate, streak })
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Check in task error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Undo a check-in
+ * @param {string} completionId
+ */
+export const undoTaskCheckIn = async (completionId) => {
+  try {
+    const { error } = await supabase
+      .from('task_completions')
+      .delete()
+      .eq('id', completionId)
+
+    if (error) throw error
+    return { error: null }
+  } catch (error) {
+    console.error('Undo task check-in error:', error)
+    return { error }
+  }
+}
+
+/**
+ * Get the routines (recurring tasks) of several dreams with their recent check-ins
+ * Used for streaks on the Home Hub.
+ * @param {Array<string>} roadmapIds
+ * @param {object} [options]
+ * @param {string} [options.since] - Only check-ins on or after this date
+ * @returns {Promise<{data: {tasks: Array, completions: Array}|null, error: Error|null}>}
+ */
+export const getRoutines = async (roadmapIds = [], { since } = {}) => {
+  try {
+    if (roadmapIds.length === 0) return { data: { tasks: [], completions: [] }, error: null }
+
+    const { data: tasks, error: tasksError } = await supabase
+      .from('tasks')
+      .select('*, milestones!inner(roadmap_id, title)')
+      .in('milestones.roadmap_id', roadmapIds)
+      .not('recurrence_frequency', 'is', null)
+
+    if (tasksError) throw tasksError
+
+    let query = supabase
+      .from('task_completions')
+      .select('*')
+      .in('roadmap_id', roadmapIds)
+
+    if (since) query = query.gte('occurrence_date', since)
+
+    const { data: completions, error: completionsError } = await query
+
+    if (completionsError) throw completionsError
+
+    return {
+      data: {
+        tasks: (tasks || [])
+          .filter(task => !task.deleted)
+          .map(({ milestones, ...task }) => ({
+            ...task,
+            roadmap_id: milestones?.roadmap_id,
+            milestone_title: milestones?.title
+          })),
+        completions: completions || []
+      },
+      error: null
+    }
+  } catch (error) {
+    console.error('Get routines error:', error)
+    return { data: null, error }
+  }
+}
+
+// =====================================================
+// PUBLIC DREAM LINK OPERATIONS
+// =====================================================
+// Expiring read-only links to a dream (migrations/027_public_dream_links.sql).
+// The page at /shared/<token> loads through getPublicDream() without a session.
+
+/**
+ * Create a public link to a dream (owners only)
+ * @param {string} roadmapId - The roadmap ID
+ * @param {object} [options]
+ * @param {number} [options.expiresInDays] - 1 to 365 days (default 30)
+ * @param {boolean} [options.showBudget] - Include a budget summary
+ * @param {boolean} [options.showAmounts] - Show amounts instead of percentages
+ * @param {string} [options.label] - Who the link is for
+ * @returns {Promise<{data: {link_id, token, expires_at}|null, error: Error|null}>} The token is shown once
+ */
+export const createPublicDreamLink = async (roadmapId, { expiresInDays = 30, showBudget = false, showAmounts = false, label = null } = {}) => {
+  try {
+    await requireRoadmapRole(roadmapId, SHARE_ROLES.OWNER, 'share')
+
+    const { data, error } = await supabase.rpc('create_public_dream_link', {
+      p_roadmap_id: roadmapId,
+      p_expires_in_days: expiresInDays,
+      p_show_budget: showBudget,
+      p_show_amounts: showAmounts,
+      p_label: label
+    })
+
+    if (error) throw error
+    return { data: data?.[0] || null, error: null }
+  } catch (error) {
+    console.error('Create public dream link error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get a dream's public links, newest first
+ * Revoked and expired links are included as the revocation list.
+ * @param {string} roadmapId - The roadmap ID
+ */
+export const getPublicDreamLinks = async (roadmapId) => {
+  try {
+    const { data, error } = await supabase
+      .from('public_dream_links')
+      .select('id, label, show_budget, show_amounts, expires_at, revoked_at, created_at, last_viewed_at, view_count')
+      .eq('roadmap_id', roadmapId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return { data: data || [], error: null }
+  } catch (error) {
+    console.error('Get public dream links error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Change what a public link shows
+ * @param {string} linkId - The public_dream_links row ID
+ * @param {object} updates - { label, show_budget, show_amounts }
+ */
+export const updatePublicDreamLink = async (linkId, updates) => {
+  try {
+    const allowed = {}
+    for (const key of ['label', 'show_budget', 'show_amounts']) {
+      if (key in updates) allowed[key] = updates[key]
+    }
+    // Amounts only make sense with the budget
+    if (allowed.show_budget === false) allowed.show_amounts = false
+
+    const { data, error } = await supabase
+      .from('public_dream_links')
+      .update(allowed)
+      .eq('id', linkId)
+      .is('revoked_at', null)
+      .select()
+      .single()
+
+    if (error) throw error
+    return { data, error: null }
+  } catch (error) {
+    console.error('Update public dream link error:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Revoke a public link; the page stops working straight away
+ * @param {string} linkId - The public_dream_links row ID
+ */
+export const revokePublicDreamLink = async (linkId) => {
+  try {
+    const { error } = await supabase
+      .from('public_dream_links')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', linkId)
+      .is('revoked_at', null)
+
+    if (error) throw error
+    return { error: null }
+  } catch (error) {
+    console.error('Revoke public dream link error:', error)
+    return { error }
+  }
+}
+
+/**
+ * Load a dream through its public link (no session needed)
+ * @param {string} token - The token from the URL
+ * @returns {Promise<{data: object|null, error: Error|null}>} null data when the
+ *   link is unknown, revoked or expired
+ */
+export const getPublicDream = async (token) => {
+  try {
+    const { data, error } = await supabase.rpc('get_public_dream', { p_token: token })
+
+    if (error) throw error
+    return { data: data || null, error: null }
+  } catch (error) {
+    console.error('Get public dream error:', error)
+    return { data: null, error }
+  }
+}
+
 // =====================================================
 // NOTIFICATION PREFERENCES OPERATIONS
 // =====================================================
@@ -0,0 +1,121 @@
+/**
+ * Assessment Privacy Utilities
+ *
+ * Sealed ("reveal together") sessions keep each partner's answers private
+ * until both opt in (see migrations/030_sealed_assessments.sql, where RLS
+ * enforces it):
+ * - getRevealState() - who has consented and whether answers are open
+ * - buildAnswerComparison() - side-by-side answers once they are
+ * - getSealedBand() / summarizeSealedAlignment() - the only scores a sealed
+ *   session gets before the reveal
+ */
+
+import { normalizeQuestionCategory } from '../data/questionBank';
+
+// Fewer questions than this and a band could give an answer away
+export const SEALED_MIN_QUESTIONS = 3;
+
+// Stand-in alignment (0-1) per band, for scoring sealed sessions
+export const SEALED_BAND_ALIGNMENT = {
+  in_step: 0.9,
+  mixed: 0.6,
+  apart: 0.3
+};
+
+/**
+ * Reveal status of a session from one partner's point of view
+ * @param {Object} session - assessment_sessions row
+ * @param {number} partnerNumber - 1 or 2, the partner looking
+ * @returns {{ sealed, revealed, myConsent, partnerConsent }}
+ */
+export const getRevealState = (session, partnerNumber) => {
+  const sealed = !!session?.sealed;
+  const consent = {
+    1: !!session?.partner1_reveal_consent_at,
+    2: !!session?.partner2_reveal_consent_at
+  };
+
+  return {
+    sealed,
+    revealed: !sealed || !!session?.revealed_at,
+    myConsent: consent[partnerNumber] || false,
+    partnerConsent: consent[partnerNumber === 1 ? 2 : 1] || false
+  };
+};
+
+const optionLabel = (question, answer) => {
+  if (!answer) return null;
+  const option = (question.options || []).find(o => String(o.value) === String(answer.value));
+  return option?.label || answer.value;
+};
+
+/**
+ * One row per question with both partners' answers as option labels
+ * @param {Array} questions - Session questions (getSessionQuestions)
+ * @param {Object} responses - { partner1Answers, partner2Answers } keyed by question id
+ * @returns {Array} [{ questionId, question, category, partner1Answer, partner2Answer, same }]
+ */
+export const buildAnswerComparison = (questions = [], responses = {}) => {
+  const { partner1Answers = {}, partner2Answers = {} } = responses;
+
+  return questions.map(question => {
+    const partner1 = partner1Answers[question.id];
+    const partner2 = partner2Answers[question.id];
+
+    return {
+      questionId: question.id,
+      question: question.question,
+      category: question.category,
+      partner1Answer: optionLabel(question, partner1),
+      partner2Answer: optionLabel(question, partner2),
+      same: !!partner1 && !!partner2 && String(partner1.value) === String(partner2.value)
+    };
+  });
+};
+
+/**
+ * How many of a category's answers matched, as a band. Every band spans
+ * a match count strictly between none and all, so knowing your own
+ * answers never tells you any of your partner's.
+ * @param {number} matched - Questions both partners answered the same
+ * @param {number} total - Questions both partners answered
+ * @returns {'in_step'|'mixed'|'apart'|'unrated'}
+ */
+export const getSealedBand = (matched, total) => {
+  if (total < SEALED_MIN_QUESTIONS) return 'unrated';
+  if (matched >= total - 1) return 'in_step';
+  if (matched <= 1) return 'apart';
+  return 'mixed';
+};
+
+/**
+ * Mirrors get_sealed_assessment_alignment() in
+ * migrations/030_sealed_assessments.sql: one band per category, with
+ * categories under SEALED_MIN_QUESTIONS pooled and banded together
+ * @param {Array} pairs - [{ category, matched }] per question both partners answered
+ * @returns {Array} [{ category, question_count, band, pooled }] sorted by category
+ */
+export const summarizeSealedAlignment = (pairs = []) => {
+  const counts = {};
+  pairs.forEach(({ category, matched }) => {
+    const key = normalizeQuestionCategory(category || 'general');
+    counts[key] = counts[key] || { n: 0, m: 0 };
+    counts[key].n += 1;
+    counts[key].m += matched ? 1 : 0;
+  });
+
+  const pool = Object.values(counts)
+    .filter(({ n }) => n < SEALED_MIN_QUESTIONS)
+    .reduce((sum, { n, m }) => ({ n: sum.n + n, m: sum.m + m }), { n: 0, m: 0 });
+
+  return Object.keys(counts).sort().map(category => {
+    const { n, m } = counts[category];
+    const pooled = n < SEALED_MIN_QUESTIONS;
+    return {
+      category,
+      question_count: n,
+      band: pooled ? getSealedBand(pool.m, pool.n) : getSealedBand(m, n),
+      pooled
+    };
+  });
+};
@@ -0,0 +1,103 @@
+/**
+ * Assessment Schedule Utilities
+ *
+ * Timing rules for remote assessments (assessment_sessions rows, see
+ * migrations/029_async_assessments.sql):
+ * - getSessionExpiry() - whether a session has expired and how long is left
+ * - getExtendedExpiry() - the new expires_at when the creator extends or reopens
+ * - getNextReminderAt() - when a stalled partner will next be reminded
+ * - getResumeIndex() - where a partner picks the questionnaire back up
+ *
+ * The reminder rules mirror queue_assessment_reminders() in the migration;
+ * keep the two in step.
+ */
+
+export const ASSESSMENT_MODES = {
+  TOGETHER: 'together',
+  SEPARATE: 'separate',
+  ASYNC: 'async'
+};
+
+// Async sessions stay open longer, since nobody is waiting on the other screen
+export const SESSION_LIFETIME_DAYS = 7;
+export const ASYNC_SESSION_LIFETIME_DAYS = 14;
+export const SESSION_EXTENSION_DAYS = 7;
+
+// A partner counts as stalled after this long without answering
+export const REMINDER_INTERVAL_DAYS = 2;
+export const MAX_REMINDERS_PER_PARTNER = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Whether each partner answers on their own device
+ */
+export const isRemoteMode = (mode) =>
+  mode === ASSESSMENT_MODES.SEPARATE || mode === ASSESSMENT_MODES.ASYNC;
+
+/**
+ * Default expires_at for a new session
+ */
+export const getInitialExpiry = (mode, now = new Date()) => {
+  const days = mode === ASSESSMENT_MODES.ASYNC ? ASYNC_SESSION_LIFETIME_DAYS : SESSION_LIFETIME_DAYS;
+  return new Date(now.getTime() + days * DAY_MS).toISOString();
+};
+
+/**
+ * { expired, daysLeft } for a session; daysLeft rounds up so the last
+ * few hours still read as "1 day"
+ */
+export const getSessionExpiry = (session, now = new Date()) => {
+  const expiresAt = toTime(session?.expires_at);
+  if (expiresAt === null) return { expired: false, daysLeft: null };
+
+  const remaining = expiresAt - now.getTime();
+  return {
+    expired: remaining <= 0,
+    daysLeft: Math.max(0, Math.ceil(remaining / DAY_MS))
+  };
+};
+
+/**
+ * New expires_at after extending by `days`. Open sessions gain the days on top
+ * of what's left; expired ones reopen for `days` from now.
+ */
+export const getExtendedExpiry = (session, days = SESSION_EXTENSION_DAYS, now = new Date()) => {
+  const base = Math.max(toTime(session?.expires_at) ?? 0, now.getTime());
+  return new Date(base + days * DAY_MS).toISOString();
+};
+
+/**
+ * When the given partner will next be reminded, or null when no reminder is
+ * coming (not an async session, finished, out of reminders, or expiring first)
+ */
+export const getNextReminderAt = (session, partnerNumber, { finished = false } = {}) => {
+  if (!session || session.mode !== ASSESSMENT_MODES.ASYNC || session.status === 'completed' || finished) {
+    return null;
+  }
+
+  const prefix = `partner${partnerNumber}`;
+  if ((session[`${prefix}_reminders_sent`] || 0) >= MAX_REMINDERS_PER_PARTNER) return null;
+
+  const lastTouched = Math.max(
+    toTime(session[`${prefix}_last_active_at`]) ?? toTime(session.created_at) ?? 0,
+    toTime(session[`${prefix}_last_reminded_at`]) ?? 0
+  );
+  const next = lastTouched + REMINDER_INTERVAL_DAYS * DAY_MS;
+
+  const expiresAt = toTime(session.expires_at);
+  if (expiresAt !== null && next >= expiresAt) return null;
+
+  return new Date(next);
+};
+
+/**
+ * Index of the first question without an answer, or questions.length when
+ * every question has one. `answers` is keyed by question id.
+ */
+export const getResumeIndex = (questions = [], answers = {}) => {
+  const index = questions.findIndex(question => !answers[question.id]);
+  return index === -1 ? questions.length : index;
+};
@@ -0,0 +1,283 @@
+/**
+ * Budget Export Utilities
+ *
+ * Spreadsheet rows for handing a dream's budget to someone outside the app
+ * (an accountant, a parent). budgetExportService loads the data and
+ * downloads the files; this module only lays out the rows:
+ * - buildBudgetWorkbook() - XLSX sheets: roadmap summary, then one per milestone
+ * - buildBudgetCsv() - one flat expense list for CSV
+ *
+ * Cancelled expenses are listed but don't count towards spent or remaining,
+ * the same as the budget summary.
+ */
+
+import {
+  convertAmount,
+  getDefaultCurrency,
+  getExchangeRates,
+  normalizeCurrency,
+  summarizeExpensesByCategory
+} from './currency';
+import { toCsv } from './spreadsheet';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  paid: 'Paid',
+  overdue: 'Overdue',
+  cancelled: 'Cancelled'
+};
+
+const EXPENSE_COLUMNS = [
+  'Date', 'Description', 'Pocket', 'Amount', 'Currency', 'Status',
+  'Paid by', 'Due date', 'Paid date', 'Payment method', 'Notes'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const expenseCells = (expense, fallbackCurrency) => [
+  expense.expense_date || '',
+  expense.description || expense.title || '',
+  expense.category || 'Uncategorized',
+  Number(expense.amount) || 0,
+  normalizeCurrency(expense.currency, fallbackCurrency),
+  STATUS_LABELS[expense.status] || expense.status || '',
+  expense.paid_by_name || '',
+  expense.due_date || '',
+  expense.paid_date || '',
+  expense.payment_method || '',
+  expense.notes || ''
+];
+
+const byDate = (a, b) => String(a.expense_date || '').localeCompare(String(b.expense_date || ''));
+
+const activeExpenses = (expenses) => expenses.filter(expense => expense.status !== 'cancelled');
+
+/**
+ * Pocket targets next to what was spent in each pocket, in the milestone's currency
+ * @param {Object} params
+ * @param {Object} params.milestone - { currency }
+ * @param {Object} params.pockets - Budget pockets: { name: { target } }
+ * @param {Array} params.expenses - The milestone's expenses
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Array} [{ pocket, target, spent, paid, pending, overdue, remaining }] - targeted pockets first
+ */
+export const summarizeBudgetPockets = ({ milestone, pockets = {}, expenses = [], rates = getExchangeRates() }) => {
+  const currency = normalizeCurrency(milestone?.currency, getDefaultCurrency());
+  const actuals = new Map(
+    summarizeExpensesByCategory({ expenses: activeExpenses(expenses), currency, rates })
+      .map(group => [group.category, group])
+  );
+
+  const names = [...Object.keys(pockets || {}), ...[...actuals.keys()].filter(name => !(name in (pockets || {})))];
+
+  return names.map(pocket => {
+    const target = pockets?.[pocket]?.target;
+    const actual = actuals.get(pocket);
+    const spent = round(actual?.total_amount || 0);
+    return {
+      pocket,
+      target: target != null ? Number(target) || 0 : null,
+      spent,
+      paid: round(actual?.paid_amount || 0),
+      pending: round(actual?.pending_amount || 0),
+      overdue: round(actual?.overdue_amount || 0),
+      remaining: target != null ? round((Number(target) || 0) - spent) : null
+    };
+  });
+};
+
+/**
+ * Worksheet for one milestone: budget, pockets, then every expense
+ * @param {Object} params
+ * @param {Object} params.milestone - { title, budget_amount, currency }
+ * @param {Object} params.pockets - Budget pockets: { name: { target } }
+ * @param {Array} params.expenses - The milestone's expenses
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Object} { name, rows, headerRows }
+ */
+export const buildMilestoneBudgetSheet = ({ milestone, pockets = {}, expenses = [], rates = getExchangeRates() }) => {
+  const currency = normalizeCurrency(milestone?.currency, getDefaultCurrency());
+  const pocketRows = summarizeBudgetPockets({ milestone, pockets, expenses, rates });
+  const spent = round(pocketRows.reduce((sum, row) => sum + row.spent, 0));
+  const budget = Number(milestone?.budget_amount) || 0;
+
+  const rows = [
+    ['Milestone', milestone?.title || 'Milestone'],
+    ['Currency', currency],
+    ['Budget', budget],
+    ['Spent', spent],
+    ['Remaining', round(budget - spent)],
+    []
+  ];
+
+  const headerRows = [];
+  headerRows.push(rows.length);
+  rows.push(['Pocket', 'Target', 'Spent', 'Paid', 'Pending', 'Overdue', 'Remaining']);
+  pocketRows.forEach(row => {
+    rows.push([row.pocket, row.target, row.spent, row.paid, row.pending, row.overdue, row.remaining]);
+  });
+  const targeted = pocketRows.filter(row => row.target !== null);
+  headerRows.push(rows.length);
+  rows.push([
+    'Total',
+    round(targeted.reduce((sum, row) => sum + row.target, 0)),
+    spent,
+    round(pocketRows.reduce((sum, row) => sum + row.paid, 0)),
+    round(pocketRows.reduce((sum, row) => sum + row.pending, 0)),
+    round(pocketRows.reduce((sum, row) => sum + row.overdue, 0)),
+    targeted.length > 0 ? round(targeted.reduce((sum, row) => sum + row.remaining, 0)) : null
+  ]);
+  rows.push([]);
+
+  headerRows.push(rows.length);
+  rows.push([...EXPENSE_COLUMNS.slice(0, 5), `Amount (${currency})`, ...EXPENSE_COLUMNS.slice(5)]);
+  [...expenses].sort(byDate).forEach(expense => {
+    const cells = expenseCells(expense, currency);
+    const converted = convertAmount(cells[3], cells[4], currency, rates);
+    rows.push([...cells.slice(0, 5), converted === null ? null : round(converted), ...cells.slice(5)]);
+  });
+
+  return { name: milestone?.title || 'Milestone', rows, headerRows };
+};
+
+/**
+ * Worksheet with the roadmap totals, spending per pocket and each milestone
+ * @param {Object} params
+ * @param {Object} params.roadmap - { title }
+ * @param {Object} params.summary - From getRoadmapBudgetSummary
+ * @param {Array} params.categories - From getExpenseCategoryBreakdown
+ * @param {Array} params.milestones - [{ id, title, budget_amount, currency }]
+ * @param {Array} params.expenses - The roadmap's expenses
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Object} { name, rows, headerRows }
+ */
+export const buildRoadmapSummarySheet = ({
+  roadmap,
+  summary,
+  categories = [],
+  milestones = [],
+  expenses = [],
+  rates = getExchangeRates()
+}) => {
+  const currency = normalizeCurrency(summary?.currency || roadmap?.currency, getDefaultCurrency());
+  const rows = [
+    ['Dream', roadmap?.title || 'Dream'],
+    ['Currency', currency],
+    ['Total budget', summary?.total_budget ?? 0],
+    ['Total expenses', summary?.total_expenses ?? 0],
+    ['Paid', summary?.total_paid ?? 0],
+    ['Pending', summary?.total_pending ?? 0],
+    ['Overdue', summary?.total_overdue ?? 0],
+    ['Remaining', summary?.remaining_budget ?? 0],
+    ['Budget used (%)', summary?.budget_used_percentage ?? 0],
+    ['Payments completed (%)', summary?.payment_completion_percentage ?? 0],
+    ['Milestones', String(summary?.total_milestones ?? milestones.length)],
+    ['Completed milestones', String(summary?.completed_milestones ?? 0)]
+  ];
+  if (summary?.unconvertedCurrencies?.length > 0) {
+    rows.push(['Left out (no exchange rate)', summary.unconvertedCurrencies.join(', ')]);
+  }
+  rows.push([]);
+
+  const headerRows = [];
+  headerRows.push(rows.length);
+  rows.push(['Pocket', 'Expenses', 'Total', 'Paid', 'Pending', 'Overdue']);
+  categories.forEach(group => {
+    rows.push([
+      group.category,
+      String(group.expense_count),
+      round(group.total_amount || 0),
+      round(group.paid_amount || 0),
+      round(group.pending_amount || 0),
+      round(group.overdue_amount || 0)
+    ]);
+  });
+  rows.push([]);
+
+  headerRows.push(rows.length);
+  rows.push(['Milestone', 'Currency', 'Budget', 'Spent', 'Remaining']);
+  milestones.forEach(milestone => {
+    const milestoneCurrency = normalizeCurrency(milestone.currency, currency);
+    const spent = round(activeExpenses(expenses)
+      .filter(expense => expense.milestone_id === milestone.id)
+      .reduce((sum, expense) => (
+        sum + (convertAmount(expense.amount || 0, expense.currency || milestoneCurrency, milestoneCurrency, rates) || 0)
+      ), 0));
+    const budget = Number(milestone.budget_amount) || 0;
+    rows.push([milestone.title || 'Milestone', milestoneCurrency, budget, spent, round(budget - spent)]);
+  });
+
+  return { name: 'Summary', rows, headerRows };
+};
+
+/**
+ * All sheets of a roadmap's budget workbook
+ * @param {Object} params
+ * @param {Object} params.roadmap - { title, currency }
+ * @param {Object} params.summary - From getRoadmapBudgetSummary
+ * @param {Array} params.categories - From getExpenseCategoryBreakdown
+ * @param {Array} params.milestones - The roadmap's milestones
+ * @param {Object} params.pocketsByMilestone - Milestone id -> budget pockets
+ * @param {Array} params.expenses - The roadmap's expenses
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Array} Sheets for buildXlsx
+ */
+export const buildBudgetWorkbook = ({
+  roadmap,
+  summary,
+  categories = [],
+  milestones = [],
+  pocketsByMilestone = {},
+  expenses = [],
+  rates = getExchangeRates()
+}) => [
+  buildRoadmapSummarySheet({ roadmap, summary, categories, milestones, expenses, rates }),
+  ...milestones.map(milestone => buildMilestoneBudgetSheet({
+    milestone,
+    pockets: pocketsByMilestone[milestone.id] || milestone.budget_pockets || {},
+    expenses: expenses.filter(expense => expense.milestone_id === milestone.id),
+    rates
+  }))
+];
+
+/**
+ * Every expense as CSV, with its milestone
+ * @param {Object} params
+ * @param {Array} params.milestones - [{ id, title, currency }]
+ * @param {Array} params.expenses - Expenses to list
+ * @returns {string} CSV text
+ */
+export const buildBudgetCsv = ({ milestones = [], expenses = [] }) => {
+  const byId = new Map(milestones.map(milestone => [milestone.id, milestone]));
+  const rows = [['Milestone', ...EXPENSE_COLUMNS]];
+  [...expenses].sort(byDate).forEach(expense => {
+    const milestone = byId.get(expense.milestone_id);
+    rows.push([milestone?.title || '', ...expenseCells(expense, normalizeCurrency(milestone?.currency, getDefaultCurrency()))]);
+  });
+  return toCsv(rows);
+};
+
+/**
+ * File name for an export, e.g. "our-wedding-budget-2026-05-01.xlsx"
+ * @param {string} title - Dream or milestone title
+ * @param {string} extension - 'csv' or 'xlsx'
+ * @param {Date} date - Export date (default: today)
+ * @returns {string}
+ */
+export const getBudgetExportFileName = (title, extension, date = new Date()) => {
+  const slug = String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return `${slug || 'dream'}-budget-${date.toISOString().slice(0, 10)}.${extension}`;
+};
+
+export default {
+  summarizeBudgetPockets,
+  buildMilestoneBudgetSheet,
+  buildRoadmapSummarySheet,
+  buildBudgetWorkbook,
+  buildBudgetCsv,
+  getBudgetExportFileName
+};
@@ -0,0 +1,169 @@
+/**
+ * Comment Utilities
+ *
+ * Threading and @mention handling for comments on tasks, expenses and
+ * milestones (see migrations/021_comments.sql):
+ * - buildCommentThreads() - top-level comments with their replies
+ * - extractMentions() - user ids @mentioned in a comment body
+ * - splitMentions() - body split into text and mention parts for rendering
+ * - getMentionQuery() - the partial @name being typed, for autocomplete
+ *
+ * Mention candidates are `{ userId, name }` pairs (the two partners).
+ * Names may contain spaces, so '@Mary Ann' matches 'Mary Ann' before 'Mary'.
+ */
+
+export const COMMENT_TARGET_TYPES = {
+  TASK: 'task',
+  EXPENSE: 'expense',
+  MILESTONE: 'milestone'
+};
+
+export const MAX_COMMENT_LENGTH = 4000;
+
+// Characters that can't continue a name, so '@Sam' doesn't match '@Samantha'
+const NAME_CONTINUES = /[\p{L}\p{N}_]/u;
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+/**
+ * Group comments into threads
+ * Replies to a reply join the thread of its top-level comment.
+ * @param {Array} comments - comments rows, any order
+ * @returns {Array} Top-level comments, oldest first, each with `replies` (oldest first)
+ */
+export const buildCommentThreads = (comments = []) => {
+  const byId = new Map(comments.map(comment => [comment.id, comment]));
+
+  const rootOf = (comment) => {
+    let current = comment;
+    const seen = new Set();
+    while (current.parent_id && byId.has(current.parent_id) && !seen.has(current.id)) {
+      seen.add(current.id);
+      current = byId.get(current.parent_id);
+    }
+    return current;
+  };
+
+  const threads = new Map();
+  [...comments].sort(byCreatedAt).forEach(comment => {
+    const root = rootOf(comment);
+    if (!threads.has(root.id)) threads.set(root.id, { ...root, replies: [] });
+    if (root.id !== comment.id) threads.get(root.id).replies.push(comment);
+  });
+
+  // Deleted comments only stay while they hold replies together
+  return [...threads.values()]
+    .filter(thread => !thread.deleted_at || thread.replies.some(reply => !reply.deleted_at))
+    .map(thread => ({ ...thread, replies: thread.replies.filter(reply => !reply.deleted_at) }));
+};
+
+/**
+ * Find the mention that starts at `index` (just after an '@')
+ * @private
+ */
+const matchMentionAt = (body, index, people) => {
+  const rest = body.slice(index).toLowerCase();
+  const candidates = people
+    .filter(person => person?.name && person.userId)
+    .sort((a, b) => b.name.length - a.name.length);
+
+  return candidates.find(person => {
+    const name = person.name.toLowerCase();
+    return rest.startsWith(name) && !NAME_CONTINUES.test(rest.charAt(name.length));
+  }) || null;
+};
+
+/**
+ * Split a body into plain text and mention parts
+ * @param {string} body
+ * @param {Array} people - Mention candidates
+ * @returns {Array} [{ type: 'text', text }, { type: 'mention', text: '@Name', userId }, ...]
+ */
+export const splitMentions = (body = '', people = []) => {
+  const parts = [];
+  let text = '';
+
+  for (let i = 0; i < body.length; i++) {
+    const atWordStart = i === 0 || /\s|\(/.test(body.charAt(i - 1));
+    const person = body.charAt(i) === '@' && atWordStart ? matchMentionAt(body, i + 1, people) : null;
+
+    if (person) {
+      if (text) parts.push({ type: 'text', text });
+      text = '';
+      const mention = body.slice(i, i + 1 + person.name.length);
+      parts.push({ type: 'mention', text: mention, userId: person.userId });
+      i += mention.length - 1;
+    } else {
+      text += body.charAt(i);
+    }
+  }
+
+  if (text) parts.push({ type: 'text', text });
+  return parts;
+};
+
+/**
+ * User ids mentioned in a body
+ * @param {string} body
+ * @param {Array} people - Mention candidates
+ * @returns {string[]} Unique ids, in order of first mention
+ */
+export const extractMentions = (body = '', people = []) => (
+  [...new Set(
+    splitMentions(body, people)
+      .filter(part => part.type === 'mention')
+      .map(part => part.userId)
+  )]
+);
+
+/**
+ * The @mention being typed at the caret
+ * @param {string} text - Input value
+ * @param {number} caret - Caret position (default: end of text)
+ * @returns {Object|null} { query, start } where start is the index of the '@'
+ */
+export const getMentionQuery = (text = '', caret = text.length) => {
+  const before = text.slice(0, caret);
+  const match = before.match(/(^|[\s(])@([^\s@]*(?: [^\s@]*)?)$/);
+  if (!match) return null;
+  return { query: match[2], start: before.length - match[2].length - 1 };
+};
+
+/**
+ * Replace the @mention being typed with a full name
+ * @param {string} text - Input value
+ * @param {Object} mention - From getMentionQuery
+ * @param {string} name - Chosen person's name
+ * @param {number} caret - Caret position
+ * @returns {Object} { text, caret } - Updated value and caret after the inserted name
+ */
+export const insertMention = (text, mention, name, caret = text.length) => {
+  const inserted = `@${name} `;
+  return {
+    text: text.slice(0, mention.start) + inserted + text.slice(caret),
+    caret: mention.start + inserted.length
+  };
+};
+
+/**
+ * Total of an unread-counts map
+ * @param {Object} counts - { [targetId]: { targetType, targetId, unread } }
+ * @param {Function} filter - Optional (targetType, targetId) => boolean
+ * @returns {number}
+ */
+export const sumUnreadComments = (counts = {}, filter = null) => (
+  Object.values(counts)
+    .filter(entry => !filter || filter(entry.targetType, entry.targetId))
+    .reduce((sum, entry) => sum + entry.unread, 0)
+);
+
+export default {
+  COMMENT_TARGET_TYPES,
+  MAX_COMMENT_LENGTH,
+  buildCommentThreads,
+  splitMentions,
+  extractMentions,
+  getMentionQuery,
+  insertMention,
+  sumUnreadComments
+};
@@ -3,20 +3,20 @@
  * Calculates alignment scores and generates insights
  */
 
+import {
+  QUESTION_BANK_VERSION,
+  QUESTION_CATEGORIES,
+  getBankQuestion,
+  normalizeQuestionCategory,
+  scoreAnswerPair
+} from '../data/questionBank';
+
 export const calculateCompatibilityScore = (partner1Answers, partner2Answers, questions) => {
   let totalQuestions = questions.length;
   let matchedQuestions = 0;
-  let categoryMatches = {
-    timeline: { matched: 0, total: 0 },
-    financial: { matched: 0, total: 0 },
-    lifestyle: { matched: 0, total: 0 },
-    communication: { matched: 0, total: 0 },
-    values: { matched: 0, total: 0 },
-    family: { matched: 0, total: 0 },
-    career: { matched: 0, total: 0 },
-    parenting: { matched: 0, total: 0 },
-    future: { matched: 0, total: 0 }
-  };
+  const categoryMatches = Object.fromEntries(
+    QUESTION_CATEGORIES.map(category => [category, { matched: 0, total: 0 }])
+  );
 
   const strongAlignments = [];
   const misalignments = [];
@@ -25,25 +25,18 @@ export const calculateCompatibilityScore = (partner1Answers, partner2Answers, qu
     const p1Answer = partner1Answers[question.id];
     const p2Answer = partner2Answers[question.id];
 
-    // Get answer labels
-    const p1Option = question.options.find(opt => opt.value === p1Answer);
-    const p2Option = question.options.find(opt => opt.value === p2Answer);
-
-    if (!p1Option || !p2Option) return;
-
-    // Calculate weight difference (smaller difference = better alignment)
-    const weightDiff = Math.abs(p1Option.weight - p2Option.weight);
-    const maxWeightDiff = question.options.length - 1;
+    // Score this question against the bank (0 = no match, 1 = perfect match)
+    const pair = scoreAnswerPair(question, p1Answer, p2Answer);
+    if (!pair) return;
 
-    // Score this question (0 = no match, 1 = perfect match)
-    const questionScore = 1 - (weightDiff / maxWeightDiff);
+    const { score: questionScore, partner1Option: p1Option, partner2Option: p2Option, category } = pair;
 
     // Update category scores
-    const category = question.category;
-    if (categoryMatches[category]) {
-      categoryMatches[category].total++;
-      categoryMatches[category].matched += questionScore;
+    if (!categoryMatches[category]) {
+      categoryMatches[category] = { matched: 0, total: 0 };
     }
+    categoryMatches[category].total++;
+    categoryMatches[category].matched += questionScore;
 
     // Update total score
     if (questionScore >= 0.75) {
@@ -65,7 +58,7 @@ export const calculateCompatibilityScore = (partner1Answers, partner2Answers, qu
         partner1Answer: p1Option.label,
         partner2Answer: p2Option.label,
         severity: questionScore < 0.25 ? 'high' : 'medium',
-        discussionPrompt: getDiscussionPrompt(question, p1Option, p2Option)
+        discussionPrompt: getDiscussionPrompt(question)
       });
     }
   });
@@ -88,7 +81,8 @@ export const calculateCompatibilityScore = (partner1Answers, partner2Answers, qu
     strongAlignments,
     misalignments,
     totalQuestions,
-    matchedQuestions
+    matchedQuestions,
+    questionBankVersion: QUESTION_BANK_VERSION
   };
 };
 
@@ -184,35 +178,23 @@ const getAlignmentInsight = (question, option) => {
   return insights[option.value] || insights['default'];
 };
 
-// Generate discussion prompts for misalignments
-const getDiscussionPrompt = (question, p1Option, p2Option) => {
-  const prompts = {
-    1: `"When do we each see marriage happening, and why? What would help us both feel ready?"`,
-    2: `"How important is owning vs. renting to each of us? What are the trade-offs we're each considering?"`,
-    3: `"What's driving our different timelines for kids? Are there concerns or goals we need to share?"`,
-    4: `"What are our top priorities right now, and how can we support each other's different focuses?"`,
-    5: `"How do our saving styles affect our relationship? Can we find a compromise that honors both approaches?"`,
-    6: `"What does 'value' mean to each of us when it comes to big purchases? How can we find common ground?"`,
-    7: `"How do we want to manage money together? What makes each of us feel secure and respected?"`,
-    8: `"How can we balance one person's need for adventure with the other's need for stability?"`,
-    9: `"Where do we each see ourselves living long-term? Is there flexibility, or is this a dealbreaker?"`,
-    10: `"How do we currently handle conflict? What would make difficult conversations easier for both of us?"`,
-    11: `"How will our different views on religion/spirituality impact major life decisions? Can we respect each other's beliefs?"`,
-    12: `"What role should family play in our decisions? How do we balance family input with our autonomy as a couple?"`,
-    13: `"If one of us gets a dream job opportunity, how do we decide? What sacrifices are we each willing to make for career vs. relationship?"`,
-    14: `"How much time do we each need with friends vs. alone vs. together? How can we honor each other's social needs?"`,
-    15: `"What are our core parenting values? Can we find a middle ground between structure and freedom?"`,
-    16: `"How should we split household responsibilities? What feels fair to both of us?"`,
-    17: `"What's our comfort level with debt? How will we handle financial decisions that involve borrowing?"`,
-    18: `"How do we balance being individuals with being a couple? What does 'healthy independence' mean to each of us?"`,
-    19: `"What does retirement look like for each of us? Are these visions compatible, or do we need to compromise?"`,
-    20: `"What boundaries do we need in our relationship? How much transparency vs. privacy feels right to both of us?"`
-  };
-
-  return prompts[question.id] || `"Let's talk about why we answered differently and find common ground."`;
-};
+// Discussion prompt for a misalignment, from the question bank
+const getDiscussionPrompt = (question) =>
+  question.discussionPrompt ||
+  getBankQuestion(question.id)?.discussionPrompt ||
+  `"Let's talk about why we answered differently and find common ground."`;
+
+// Tips for talking through any one difference; the guide lists them under
+// each topic and conversation milestones turn them into tasks
+export const DISCUSSION_TIPS = [
+  'Share your "why" behind your answer',
+  'Listen without judgment',
+  'Look for compromise or middle ground',
+  'It\'s okay to agree to disagree on some things'
+];
 
 // Generate discussion guide content
+// Misalignments from a sealed assessment carry no answers, so the guide leaves them out
 export const generateDiscussionGuide = (compatibilityData) => {
   const { partner1Name, partner2Name, misalignments, alignmentScore } = compatibilityData;
 
@@ -233,18 +215,15 @@ ${alignmentScore >= 75
 
 ${misalignments.map((m, index) => `
 ### ${index + 1}. ${m.question}
-
+${m.partner1Answer && m.partner2Answer ? `
 **${partner1Name}'s answer:** ${m.partner1Answer}
 **${partner2Name}'s answer:** ${m.partner2Answer}
-
+` : ''}
 **Discussion starter:**
 ${m.discussionPrompt}
 
 **Tips for this conversation:**
-- Share your "why" behind your answer
-- Listen without judgment
-- Look for compromise or middle ground
-- It's okay to agree to disagree on some things
+${DISCUSSION_TIPS.map(tip => `- ${tip}`).join('\n')}
 
 ---
 `).join('\n')}
@@ -269,7 +248,186 @@ Differences don't mean incompatibility. They mean you're two unique people build
   return guide;
 };
 
+// =====================================================
+// REASSESSMENT TRENDS
+// =====================================================
+
+const toScore = (value) => {
+  const score = typeof value === 'object' && value !== null ? value.score : value;
+  if (score === null || score === undefined || score === '') return null;
+  return Number.isFinite(Number(score)) ? Math.round(Number(score)) : null;
+};
+
+const questionKey = (misalignment) =>
+  String(typeof misalignment === 'string' ? misalignment : misalignment?.question || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const questionLabel = (misalignment) =>
+  typeof misalignment === 'string' ? misalignment : misalignment?.question || '';
+
+const byDate = (a, b) => String(a.date || '').localeCompare(String(b.date || ''));
+
+/**
+ * Reads a result in either shape: fresh analysis (camelCase) or an
+ * assessment_results row (snake_case)
+ */
+export const normalizeCompatibilityResult = (result = {}) => {
+  const categoryScores = {};
+  Object.entries(result.categoryScores || result.category_scores || {}).forEach(([category, value]) => {
+    // Older results may use a category's alias (finances vs financial)
+    const score = toScore(value);
+    if (score !== null) categoryScores[normalizeQuestionCategory(category)] = score;
+  });
+
+  return {
+    sessionId: result.session_id || result.sessionId || null,
+    date: result.assessed_at || result.computed_at || result.created_at || null,
+    score: toScore(result.alignmentScore ?? result.alignment_score ?? result.overallScore),
+    categoryScores,
+    misalignments: result.misalignments || result.growthAreas || [],
+    checkins: result.checkins || []
+  };
+};
+
+/**
+ * Diffs two results: score change per category and which misalignments
+ * were resolved, appeared, or are still open
+ */
+export const compareCompatibilityResults = (previous, current) => {
+  const before = normalizeCompatibilityResult(previous);
+  const after = normalizeCompatibilityResult(current);
+
+  const extraCategories = [...new Set([
+    ...Object.keys(before.categoryScores),
+    ...Object.keys(after.categoryScores)
+  ])].filter(category => !QUESTION_CATEGORIES.includes(category)).sort();
+
+  const categories = [...QUESTION_CATEGORIES, ...extraCategories]
+    .filter(category => category in before.categoryScores || category in after.categoryScores)
+    .map(category => {
+      const was = before.categoryScores[category] ?? null;
+      const now = after.categoryScores[category] ?? null;
+      return {
+        category,
+        previous: was,
+        current: now,
+        change: was !== null && now !== null ? now - was : null
+      };
+    });
+
+  const beforeKeys = new Set(before.misalignments.map(questionKey));
+  const afterKeys = new Set(after.misalignments.map(questionKey));
+
+  return {
+    previousScore: before.score,
+    currentScore: after.score,
+    scoreChange: before.score !== null && after.score !== null ? after.score - before.score : null,
+    categories,
+    resolved: before.misalignments.filter(m => !afterKeys.has(questionKey(m))),
+    emerged: after.misalignments.filter(m => !beforeKeys.has(questionKey(m))),
+    ongoing: after.misalignments.filter(m => beforeKeys.has(questionKey(m)))
+  };
+};
+
+/**
+ * Overall score per assessment, oldest first
+ */
+export const buildCompatibilityTrend = (history = []) =>
+  history
+    .map(normalizeCompatibilityResult)
+    .filter(entry => entry.score !== null)
+    .sort(byDate)
+    .map(({ sessionId, date, score }) => ({ sessionId, date, score }));
+
+/**
+ * Where each topic stands after the couple talked it through: every
+ * partner's latest re-rating (1-5) from conversation check-ins
+ * (assessment_checkins rows), most recently checked-in topic first
+ * @returns {Array} [{ question, ratings: [{ partnerName, rating, note, checkedInAt }], average, lastCheckedInAt }]
+ */
+export const summarizeCheckins = (checkins = []) => {
+  const topics = {};
+
+  [...checkins]
+    .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')))
+    .forEach(checkin => {
+      const key = questionKey(checkin.question);
+      if (!key) return;
+      const topic = topics[key] || (topics[key] = { question: checkin.question, byPartner: {} });
+      topic.byPartner[checkin.user_id || checkin.partner_name] = {
+        partnerName: checkin.partner_name,
+        rating: checkin.rating,
+        note: checkin.note || null,
+        checkedInAt: checkin.created_at
+      };
+    });
+
+  return Object.values(topics)
+    .map(({ question, byPartner }) => {
+      const ratings = Object.values(byPartner);
+      return {
+        question,
+        ratings,
+        average: Math.round((ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length) * 10) / 10,
+        lastCheckedInAt: ratings.map(r => r.checkedInAt).sort().pop()
+      };
+    })
+    .sort((a, b) => String(b.lastCheckedInAt).localeCompare(String(a.lastCheckedInAt)));
+};
+
+/**
+ * Plain-text summary of the trend for Luna's prompts; empty until the
+ * couple has taken the assessment at least once
+ */
+export const describeCompatibilityTrend = (history = []) => {
+  const trend = buildCompatibilityTrend(history);
+  if (trend.length === 0) return '';
+
+  const ordered = [...history].sort((a, b) =>
+    byDate(normalizeCompatibilityResult(a), normalizeCompatibilityResult(b))
+  );
+  const latest = ordered[ordered.length - 1];
+  const lines = [
+    `Past assessments (oldest first): ${trend.map(t => `${t.date ? t.date.slice(0, 10) : 'undated'}: ${t.score}%`).join(', ')}`
+  ];
+
+  if (ordered.length > 1) {
+    const diff = compareCompatibilityResults(ordered[ordered.length - 2], latest);
+    const moved = diff.categories.filter(c => c.change);
+    if (moved.length > 0) {
+      lines.push(`Category changes since the previous assessment: ${moved.map(c => `${c.category} ${c.change > 0 ? '+' : ''}${c.change}`).join(', ')}`);
+    }
+    if (diff.resolved.length > 0) {
+      lines.push(`Resolved since then: ${diff.resolved.map(questionLabel).join('; ')}`);
+    }
+    if (diff.emerged.length > 0) {
+      lines.push(`New differences: ${diff.emerged.map(questionLabel).join('; ')}`);
+    }
+  }
+
+  const open = normalizeCompatibilityResult(latest).misalignments;
+  if (open.length > 0) {
+    lines.push(`Still open from the latest assessment: ${open.map(questionLabel).join('; ')}`);
+  }
+
+  const talkedThrough = summarizeCheckins(ordered.flatMap(entry => normalizeCompatibilityResult(entry).checkins));
+  if (talkedThrough.length > 0) {
+    lines.push(`Re-rated after talking it through (1 = far apart, 5 = on the same page): ${talkedThrough
+      .map(t => `${t.question} (${t.ratings.map(r => `${r.partnerName || 'partner'} ${r.rating}/5`).join(', ')})`)
+      .join('; ')}`);
+  }
+
+  return lines.join('\n');
+};
+
 export default {
   calculateCompatibilityScore,
-  generateDiscussionGuide
+  generateDiscussionGuide,
+  compareCompatibilityResults,
+  buildCompatibilityTrend,
+  summarizeCheckins,
+  describeCompatibilityTrend
 };
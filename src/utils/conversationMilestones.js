@@ -0,0 +1,142 @@
+/**
+ * Conversation Milestone Utilities
+ *
+ * Turns a difference from the alignment assessment into a milestone the
+ * couple works through like any other: the talk itself as tasks (built
+ * from the discussion guide), a check-in date, and a re-rating that is
+ * saved to assessment_checkins (migrations/031_conversation_milestones.sql)
+ * so it shows up in the assessment history:
+ * - CONVERSATION_CHECKIN_DAYS / CHECKIN_RATINGS
+ * - getCheckInDate() - default check-in date
+ * - buildConversationMilestone() - milestone and tasks for one misalignment
+ * - getConversation() - the misalignment a milestone was made from, if any
+ * - getCheckInStatus() - whether the check-in is due
+ */
+
+import { DISCUSSION_TIPS } from './compatibilityScoring';
+
+export const CONVERSATION_CHECKIN_DAYS = 14;
+
+// How close the couple feels on a topic after talking it through
+export const CHECKIN_RATINGS = [
+  { value: 1, label: 'Still far apart' },
+  { value: 2, label: 'A little closer' },
+  { value: 3, label: 'Understand each other' },
+  { value: 4, label: 'Mostly agree' },
+  { value: 5, label: 'On the same page' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TITLE_MAX_LENGTH = 60;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const shorten = (text) => {
+  const trimmed = String(text || '').trim().replace(/\?$/, '');
+  return trimmed.length > TITLE_MAX_LENGTH
+    ? `${trimmed.slice(0, TITLE_MAX_LENGTH - 1).trim()}…`
+    : trimmed;
+};
+
+/**
+ * Default check-in date, as YYYY-MM-DD
+ * @param {Date} now
+ * @param {number} days
+ */
+export const getCheckInDate = (now = new Date(), days = CONVERSATION_CHECKIN_DAYS) =>
+  toDateString(new Date(now.getTime() + days * DAY_MS));
+
+/**
+ * Milestone and tasks for talking through one misalignment
+ * @param {Object|string} misalignment - From the assessment results
+ * @param {Object} options - { sessionId, partner1Name, partner2Name, checkInDate }
+ * @returns {{ milestone: Object, tasks: Array }} Rows for createMilestone / createTask,
+ *   without roadmap_id and milestone_id
+ */
+export const buildConversationMilestone = (misalignment, {
+  sessionId = null,
+  partner1Name = 'Partner 1',
+  partner2Name = 'Partner 2',
+  checkInDate = getCheckInDate()
+} = {}) => {
+  const topic = typeof misalignment === 'string' ? { question: misalignment } : misalignment;
+  const discussionPrompt = topic.discussionPrompt ||
+    `Talk about why you each feel differently about: ${topic.question}`;
+  const answers = topic.partner1Answer && topic.partner2Answer
+    ? `${partner1Name} answered "${topic.partner1Answer}", ${partner2Name} answered "${topic.partner2Answer}".`
+    : null;
+
+  const tasks = [
+    { title: 'Open with the discussion starter', description: discussionPrompt },
+    ...DISCUSSION_TIPS.map((tip, index) => ({
+      title: tip,
+      description: index === 0 ? answers : null
+    })),
+    {
+      title: 'Check in and re-rate',
+      description: 'How close do you feel on this now? Each of you rates it from 1 to 5 on this milestone.',
+      due_date: checkInDate
+    }
+  ].map((task, index) => ({
+    description: null,
+    due_date: null,
+    ...task,
+    order_index: index,
+    ai_generated: false
+  }));
+
+  return {
+    milestone: {
+      title: `Talk it through: ${shorten(topic.question)}`,
+      description: discussionPrompt,
+      icon: 'MessageCircle',
+      color: 'bg-gradient-to-br from-rose-400 to-amber-400',
+      category: 'relationship',
+      estimated_cost: 0,
+      budget_amount: 0,
+      target_date: checkInDate,
+      ai_generated: false,
+      deep_dive_data: {
+        conversation: {
+          sessionId,
+          question: topic.question,
+          questionId: topic.questionId || null,
+          category: topic.category || null,
+          severity: topic.severity || null,
+          partner1Answer: topic.partner1Answer || null,
+          partner2Answer: topic.partner2Answer || null,
+          discussionPrompt,
+          checkInDate
+        }
+      }
+    },
+    tasks
+  };
+};
+
+/**
+ * The misalignment a conversation milestone was made from
+ * @returns {Object|null} deep_dive_data.conversation, or null for other milestones
+ */
+export const getConversation = (milestone) =>
+  milestone?.deep_dive_data?.conversation || null;
+
+/**
+ * Whether the check-in is due, from one partner's point of view
+ * @param {Object} conversation - getConversation()
+ * @param {Array} checkins - assessment_checkins rows for this milestone
+ * @param {string} userId - The partner looking
+ * @param {Date} now
+ * @returns {{ due, daysLeft, hasRated }}
+ */
+export const getCheckInStatus = (conversation, checkins = [], userId = null, now = new Date()) => {
+  const hasRated = checkins.some(checkin => checkin.user_id === userId);
+
+  if (!conversation?.checkInDate) return { due: !hasRated, daysLeft: 0, hasRated };
+
+  const daysLeft = Math.ceil(
+    (new Date(`${conversation.checkInDate}T00:00:00`).getTime() - now.getTime()) / DAY_MS
+  );
+
+  return { due: daysLeft <= 0 && !hasRated, daysLeft: Math.max(0, daysLeft), hasRated };
+};
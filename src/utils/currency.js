@@ -0,0 +1,296 @@
+/**
+ * Currency Utilities
+ *
+ * One place for money formatting and conversion:
+ * - formatCurrency() - locale-aware formatting for every component
+ * - The user's default currency (profiles.default_currency, cached locally so
+ *   formatting stays synchronous)
+ * - An exchange-rate table kept in localStorage that users can edit in
+ *   Settings; budget summaries convert mixed-currency expenses with it
+ *
+ * Roadmaps, milestones and expenses each store an ISO 4217 code in `currency`.
+ */
+
+import { getStorageItem, setStorageItem } from './storageManager';
+
+export const DEFAULT_CURRENCY = 'EUR';
+
+export const SUPPORTED_CURRENCIES = [
+  { code: 'EUR', symbol: '€', name: 'Euro' },
+  { code: 'USD', symbol: '$', name: 'US Dollar' },
+  { code: 'GBP', symbol: '£', name: 'British Pound' },
+  { code: 'CHF', symbol: 'CHF', name: 'Swiss Franc' },
+  { code: 'CAD', symbol: 'CA$', name: 'Canadian Dollar' },
+  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar' },
+  { code: 'NZD', symbol: 'NZ$', name: 'New Zealand Dollar' },
+  { code: 'SEK', symbol: 'kr', name: 'Swedish Krona' },
+  { code: 'NOK', symbol: 'kr', name: 'Norwegian Krone' },
+  { code: 'DKK', symbol: 'kr', name: 'Danish Krone' },
+  { code: 'PLN', symbol: 'zł', name: 'Polish Złoty' },
+  { code: 'JPY', symbol: '¥', name: 'Japanese Yen' },
+  { code: 'INR', symbol: '₹', name: 'Indian Rupee' },
+  { code: 'MXN', symbol: 'MX$', name: 'Mexican Peso' },
+  { code: 'BRL', symbol: 'R$', name: 'Brazilian Real' },
+  { code: 'ZAR', symbol: 'R', name: 'South African Rand' }
+];
+
+// Units of each currency per 1 EUR. Starting values only - users keep them current in Settings.
+export const DEFAULT_EXCHANGE_RATES = {
+  EUR: 1,
+  USD: 1.08,
+  GBP: 0.85,
+  CHF: 0.95,
+  CAD: 1.47,
+  AUD: 1.63,
+  NZD: 1.78,
+  SEK: 11.4,
+  NOK: 11.6,
+  DKK: 7.46,
+  PLN: 4.3,
+  JPY: 162,
+  INR: 90,
+  MXN: 19.5,
+  BRL: 5.6,
+  ZAR: 20.1
+};
+
+const DEFAULT_CURRENCY_KEY = 'tf-default-currency';
+const EXCHANGE_RATES_KEY = 'tf-exchange-rates';
+
+// Symbols older data stored instead of codes
+const SYMBOL_TO_CODE = {
+  '€': 'EUR',
+  '$': 'USD',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR'
+};
+
+/**
+ * Turn a code or legacy symbol into a supported ISO code
+ * @param {string} currency - 'usd', 'EUR', '€', ...
+ * @param {string} fallback - Used when the value is missing or unknown
+ * @returns {string} ISO 4217 code
+ */
+export const normalizeCurrency = (currency, fallback = DEFAULT_CURRENCY) => {
+  if (!currency || typeof currency !== 'string') return fallback;
+  const value = currency.trim();
+  if (SYMBOL_TO_CODE[value]) return SYMBOL_TO_CODE[value];
+  const code = value.toUpperCase();
+  return SUPPORTED_CURRENCIES.some(c => c.code === code) ? code : fallback;
+};
+
+// Code of any currency, supported or not. Conversions keep unknown codes so
+// they come out as unconverted instead of being taken 1:1 as the fallback.
+const toCurrencyCode = (currency) => {
+  if (!currency || typeof currency !== 'string') return null;
+  const value = currency.trim();
+  if (SYMBOL_TO_CODE[value]) return SYMBOL_TO_CODE[value];
+  return /^[A-Za-z]{3}$/.test(value) ? value.toUpperCase() : null;
+};
+
+export const getCurrencySymbol = (currency) => {
+  const code = normalizeCurrency(currency, getDefaultCurrency());
+  return SUPPORTED_CURRENCIES.find(c => c.code === code)?.symbol || code;
+};
+
+/**
+ * The signed-in user's default currency (cached from their profile)
+ */
+export const getDefaultCurrency = () => normalizeCurrency(getStorageItem(DEFAULT_CURRENCY_KEY));
+
+export const setDefaultCurrency = (currency) => {
+  if (!currency) return;
+  setStorageItem(DEFAULT_CURRENCY_KEY, normalizeCurrency(currency));
+};
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount (null/undefined renders as '—')
+ * @param {string} currency - ISO code or legacy symbol (default: the user's currency)
+ * @param {Object} options
+ * @param {string} options.locale - BCP 47 locale (default: the browser's)
+ * @param {number} options.maximumFractionDigits - Default 0, like the rest of the app
+ * @param {boolean} options.compact - '€1.2K' style
+ * @returns {string}
+ */
+export const formatCurrency = (amount, currency, {
+  locale,
+  maximumFractionDigits = 0,
+  compact = false
+} = {}) => {
+  if (amount === null || amount === undefined || amount === '' || Number.isNaN(Number(amount))) return '—';
+
+  const code = normalizeCurrency(currency, getDefaultCurrency());
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: 0,
+      maximumFractionDigits,
+      ...(compact ? { notation: 'compact' } : {})
+    }).format(Number(amount));
+  } catch (error) {
+    return `${getCurrencySymbol(code)}${Math.round(Number(amount)).toLocaleString(locale)}`;
+  }
+};
+
+/**
+ * The exchange-rate table: defaults overlaid with the user's edits
+ * @returns {Object} { [code]: units per 1 EUR }
+ */
+export const getExchangeRates = () => ({
+  ...DEFAULT_EXCHANGE_RATES,
+  ...(getStorageItem(EXCHANGE_RATES_KEY) || {})
+});
+
+/**
+ * Save an edited rate
+ * @param {string} currency - ISO code
+ * @param {number} rate - Units per 1 EUR (must be positive)
+ * @returns {Object} Updated table
+ */
+export const setExchangeRate = (currency, rate) => {
+  const code = normalizeCurrency(currency, null);
+  const value = Number(rate);
+  if (!code || code === 'EUR' || !(value > 0)) {
+    throw new Error(`Invalid exchange rate for ${currency}`);
+  }
+  const edits = { ...(getStorageItem(EXCHANGE_RATES_KEY) || {}), [code]: value };
+  setStorageItem(EXCHANGE_RATES_KEY, edits);
+  return getExchangeRates();
+};
+
+export const resetExchangeRates = () => {
+  setStorageItem(EXCHANGE_RATES_KEY, {});
+  return getExchangeRates();
+};
+
+/**
+ * Convert between currencies through EUR
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency (default: `to`)
+ * @param {string} to - Target currency
+ * @param {Object} rates - Rate table (default: getExchangeRates())
+ * @returns {number|null} Converted amount, or null when a rate is missing
+ *   (including currencies outside SUPPORTED_CURRENCIES without a rate)
+ */
+export const convertAmount = (amount, from, to, rates = getExchangeRates()) => {
+  const value = Number(amount) || 0;
+  const target = toCurrencyCode(to) || DEFAULT_CURRENCY;
+  const source = toCurrencyCode(from) || target;
+  if (source === target) return value;
+  if (!rates[source] || !rates[target]) return null;
+  return (value / rates[source]) * rates[target];
+};
+
+/**
+ * Roadmap budget summary in one currency
+ *
+ * Same fields as the roadmap_budget_summary view, computed from the rows so
+ * milestones and expenses in other currencies are converted first. Expenses
+ * without their own currency use their milestone's, then the roadmap's.
+ *
+ * @param {Object} params
+ * @param {Object} params.roadmap - { id, user_id, currency }
+ * @param {Array} params.milestones - [{ id, budget_amount, currency, completed }]
+ * @param {Array} params.expenses - [{ amount, currency, status, milestone_id }]
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Object} Summary with `currency` and `unconvertedCurrencies` (no rate, left out)
+ */
+export const summarizeRoadmapBudget = ({ roadmap, milestones = [], expenses = [], rates = getExchangeRates() }) => {
+  const currency = normalizeCurrency(roadmap?.currency, getDefaultCurrency());
+  const unconverted = new Set();
+  const milestoneCurrency = new Map(milestones.map(m => [m.id, toCurrencyCode(m.currency) || currency]));
+
+  const toSummaryCurrency = (amount, from) => {
+    const converted = convertAmount(amount, from, currency, rates);
+    if (converted === null) {
+      unconverted.add(toCurrencyCode(from));
+      return 0;
+    }
+    return converted;
+  };
+
+  const totalBudget = milestones.reduce((sum, m) => (
+    sum + toSummaryCurrency(m.budget_amount || 0, milestoneCurrency.get(m.id))
+  ), 0);
+
+  const totals = { total: 0, paid: 0, pending: 0, overdue: 0 };
+  expenses.forEach(expense => {
+    if (expense.status === 'cancelled') return;
+    const from = expense.currency || milestoneCurrency.get(expense.milestone_id) || currency;
+    const amount = toSummaryCurrency(expense.amount || 0, from);
+    totals.total += amount;
+    if (totals[expense.status] !== undefined) totals[expense.status] += amount;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    roadmap_id: roadmap?.id,
+    user_id: roadmap?.user_id,
+    currency,
+    total_milestones: milestones.length,
+    completed_milestones: milestones.filter(m => m.completed).length,
+    total_budget: round(totalBudget),
+    total_expenses: round(totals.total),
+    total_paid: round(totals.paid),
+    total_pending: round(totals.pending),
+    total_overdue: round(totals.overdue),
+    remaining_budget: round(totalBudget - totals.total),
+    budget_used_percentage: totalBudget > 0 ? (totals.total / totalBudget) * 100 : 0,
+    payment_completion_percentage: totals.total > 0 ? (totals.paid / totals.total) * 100 : 0,
+    unconvertedCurrencies: [...unconverted]
+  };
+};
+
+/**
+ * Expense totals per category in one currency
+ * (fields of the expense_category_breakdown view, largest first)
+ * @param {Object} params
+ * @param {Array} params.expenses - [{ amount, currency, status, category }]
+ * @param {string} params.currency - Target currency
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Array} [{ category, expense_count, total_amount, paid_amount, pending_amount, overdue_amount, currency }]
+ */
+export const summarizeExpensesByCategory = ({ expenses = [], currency, rates = getExchangeRates() }) => {
+  const target = normalizeCurrency(currency, getDefaultCurrency());
+  const groups = {};
+
+  expenses.forEach(expense => {
+    const category = expense.category || 'Uncategorized';
+    const amount = convertAmount(expense.amount || 0, expense.currency || target, target, rates) || 0;
+    const group = groups[category] || (groups[category] = {
+      category,
+      expense_count: 0,
+      total_amount: 0,
+      paid_amount: 0,
+      pending_amount: 0,
+      overdue_amount: 0,
+      currency: target
+    });
+    group.expense_count += 1;
+    group.total_amount += amount;
+    if (group[`${expense.status}_amount`] !== undefined) group[`${expense.status}_amount`] += amount;
+  });
+
+  return Object.values(groups).sort((a, b) => b.total_amount - a.total_amount);
+};
+
+export default {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  normalizeCurrency,
+  getCurrencySymbol,
+  getDefaultCurrency,
+  setDefaultCurrency,
+  formatCurrency,
+  getExchangeRates,
+  setExchangeRate,
+  resetExchangeRates,
+  convertAmount,
+  summarizeRoadmapBudget,
+  summarizeExpensesByCategory
+};
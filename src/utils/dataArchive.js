@@ -0,0 +1,303 @@
+/**
+ * Data Archive Utilities
+ *
+ * A versioned, machine-readable JSON export of everything in an account, and
+ * the plan for importing one into another account. dataArchiveService reads
+ * and writes the rows; this module only shapes them:
+ * - createDataArchive() - wrap exported rows with format, version and counts
+ * - parseDataArchive() - read a file back, rejecting anything else
+ * - planDataArchiveImport() - new ids for every row, references remapped
+ *
+ * Archives hold raw table rows (deep_dive_data and budget_pockets included),
+ * so a new column is exported without changes here. Bump
+ * DATA_ARCHIVE_VERSION when a change needs old archives converted.
+ */
+
+export const DATA_ARCHIVE_FORMAT = 'twogetherforward-archive';
+export const DATA_ARCHIVE_VERSION = 1;
+
+/**
+ * Archived tables in insert order. A table only refers to tables above it
+ * (or to itself through `selfRef`).
+ * - refs: column -> table whose new id replaces the old one. A row whose
+ *   reference isn't in the import is left out, so importing one dream only
+ *   brings that dream's rows.
+ * - owner: columns set to the importing user
+ * - users: columns kept only when they pointed at the archive's own account
+ * - omit: columns that don't carry over (sharing)
+ * - reset: column -> value it starts over with (seats and consent belong to
+ *   the original partners)
+ * - account: account-wide rows, only restored with the whole account
+ */
+export const DATA_ARCHIVE_TABLES = [
+  { name: 'roadmaps', owner: ['user_id'], omit: ['partner_id', 'shared_with'] },
+  { name: 'milestones', refs: { roadmap_id: 'roadmaps' } },
+  {
+    name: 'tasks',
+    refs: { milestone_id: 'milestones', parent_task_id: 'tasks' },
+    selfRef: 'parent_task_id',
+    users: ['completed_by', 'assigned_to_user_id']
+  },
+  {
+    name: 'task_dependencies',
+    refs: { roadmap_id: 'roadmaps', milestone_id: 'milestones', predecessor_task_id: 'tasks', successor_task_id: 'tasks' },
+    users: ['created_by']
+  },
+  {
+    name: 'task_completions',
+    refs: { task_id: 'tasks', roadmap_id: 'roadmaps', milestone_id: 'milestones' },
+    users: ['completed_by']
+  },
+  {
+    name: 'recurring_expenses',
+    refs: { roadmap_id: 'roadmaps', milestone_id: 'milestones' },
+    owner: ['user_id'],
+    users: ['paid_by_user_id']
+  },
+  {
+    name: 'expenses',
+    refs: { roadmap_id: 'roadmaps', milestone_id: 'milestones', recurring_expense_id: 'recurring_expenses' },
+    owner: ['user_id'],
+    users: ['paid_by_user_id']
+  },
+  { name: 'conversation_history', refs: { roadmap_id: 'roadmaps' } },
+  { name: 'milestone_conversations', refs: { milestone_id: 'milestones' } },
+  { name: 'activity_feed', refs: { roadmap_id: 'roadmaps' }, users: ['actor_id'] },
+  {
+    name: 'assessment_sessions',
+    account: true,
+    owner: ['user_id'],
+    // The archive only holds answers its account could read, so the copy
+    // starts unsealed with seat 2 open
+    reset: {
+      partner2_user_id: null,
+      sealed: false,
+      partner1_reveal_consent_at: null,
+      partner2_reveal_consent_at: null,
+      revealed_at: null
+    }
+  },
+  { name: 'prescreening_responses', account: true, refs: { session_id: 'assessment_sessions' } },
+  {
+    name: 'session_questions',
+    account: true,
+    refs: { session_id: 'assessment_sessions', follow_up_for: 'session_questions' },
+    selfRef: 'follow_up_for'
+  },
+  {
+    name: 'assessment_responses',
+    account: true,
+    refs: { session_id: 'assessment_sessions', question_id: 'session_questions' }
+  },
+  { name: 'conversational_responses', account: true, refs: { session_id: 'assessment_sessions' } },
+  { name: 'assessment_results', account: true, refs: { session_id: 'assessment_sessions' } },
+  { name: 'notification_preferences', account: true, owner: ['user_id'], omit: ['id'], onConflict: 'user_id' }
+];
+
+// activity_feed.target_id points at whichever table target_type names
+const ACTIVITY_TARGET_TABLES = {
+  roadmap: 'roadmaps',
+  milestone: 'milestones',
+  task: 'tasks',
+  expense: 'expenses'
+};
+
+const emptyData = () => Object.fromEntries(DATA_ARCHIVE_TABLES.map(table => [table.name, []]));
+
+const countRows = (data) => Object.fromEntries(
+  DATA_ARCHIVE_TABLES.map(table => [table.name, (data[table.name] || []).length])
+);
+
+/**
+ * Wrap exported rows into an archive
+ * @param {Object} params
+ * @param {Object} params.account - { id, email }
+ * @param {Object} params.data - Rows by table name (missing tables become [])
+ * @param {Date} params.exportedAt - Export time (default: now)
+ * @returns {Object} { format, version, exported_at, account, counts, data }
+ */
+export const createDataArchive = ({ account, data = {}, exportedAt = new Date() }) => {
+  const rows = { ...emptyData() };
+  for (const table of DATA_ARCHIVE_TABLES) {
+    rows[table.name] = data[table.name] || [];
+  }
+
+  return {
+    format: DATA_ARCHIVE_FORMAT,
+    version: DATA_ARCHIVE_VERSION,
+    exported_at: exportedAt.toISOString(),
+    account: { id: account?.id || null, email: account?.email || null },
+    counts: countRows(rows),
+    data: rows
+  };
+};
+
+/**
+ * Read an archive file
+ * @param {string|Object} input - File text or parsed JSON
+ * @returns {Object} The archive, with every table present
+ * @throws {Error} When it isn't an archive or comes from a newer version
+ */
+export const parseDataArchive = (input) => {
+  let archive = input;
+  if (typeof input === 'string') {
+    try {
+      archive = JSON.parse(input);
+    } catch (error) {
+      throw new Error('This file is not a TwogetherForward data archive');
+    }
+  }
+
+  if (!archive || archive.format !== DATA_ARCHIVE_FORMAT || typeof archive.data !== 'object' || !archive.data) {
+    throw new Error('This file is not a TwogetherForward data archive');
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new Error('This archive has no valid version');
+  }
+  if (archive.version > DATA_ARCHIVE_VERSION) {
+    throw new Error('This archive was made by a newer version of TwogetherForward. Please update and try again.');
+  }
+
+  const data = emptyData();
+  for (const table of DATA_ARCHIVE_TABLES) {
+    const rows = archive.data[table.name];
+    if (rows !== undefined && !Array.isArray(rows)) {
+      throw new Error(`The archive's ${table.name} are damaged`);
+    }
+    data[table.name] = rows || [];
+  }
+
+  return { ...archive, data, counts: countRows(data) };
+};
+
+/**
+ * Dreams in an archive, for choosing what to import
+ * @param {Object} archive - From parseDataArchive
+ * @returns {Array} [{ id, title, milestones, tasks }]
+ */
+export const listArchiveDreams = (archive) => archive.data.roadmaps.map(roadmap => {
+  const milestoneIds = new Set(
+    archive.data.milestones.filter(m => m.roadmap_id === roadmap.id).map(m => m.id)
+  );
+  return {
+    id: roadmap.id,
+    title: roadmap.title,
+    milestones: milestoneIds.size,
+    tasks: archive.data.tasks.filter(t => milestoneIds.has(t.milestone_id)).length
+  };
+});
+
+// Parents before the rows that point at them
+const sortBySelfRef = (rows, column) => {
+  if (!column) return rows;
+  const ids = new Set(rows.map(row => row.id));
+  const sorted = [];
+  const placed = new Set();
+  let pending = rows;
+
+  while (pending.length > 0) {
+    const ready = pending.filter(row => !row[column] || !ids.has(row[column]) || placed.has(row[column]));
+    // A cycle can't be placed; leave it out rather than loop forever
+    if (ready.length === 0) break;
+    ready.forEach(row => {
+      sorted.push(row);
+      placed.add(row.id);
+    });
+    pending = pending.filter(row => !placed.has(row.id));
+  }
+  return sorted;
+};
+
+/**
+ * Rows to insert, in order, with new ids
+ *
+ * @param {Object} archive - From parseDataArchive
+ * @param {Object} options
+ * @param {string} options.userId - The importing user
+ * @param {string} [options.roadmapId] - Import only this dream (archive id); default: the whole account
+ * @param {Function} [options.newId] - Id generator (default: crypto.randomUUID)
+ * @param {Function} [options.newSessionCode] - Fresh assessment session code (codes are unique)
+ * @returns {Array} [{ table, rows, onConflict }] - only tables with rows
+ */
+export const planDataArchiveImport = (archive, {
+  userId,
+  roadmapId = null,
+  newId = () => crypto.randomUUID(),
+  newSessionCode = null
+}) => {
+  const sourceUserId = archive.account?.id || null;
+  const idMaps = {};
+
+  const mapUser = (value) => (value && value === sourceUserId ? userId : null);
+
+  const plan = [];
+  for (const table of DATA_ARCHIVE_TABLES) {
+    if (table.account && roadmapId) continue;
+
+    let sourceRows = archive.data[table.name] || [];
+    if (table.name === 'roadmaps' && roadmapId) {
+      sourceRows = sourceRows.filter(row => row.id === roadmapId);
+    }
+
+    const ids = new Map();
+    idMaps[table.name] = ids;
+    const refs = Object.entries(table.refs || {});
+    const rows = [];
+
+    for (const source of sortBySelfRef(sourceRows, table.selfRef)) {
+      const row = { ...source };
+      (table.omit || []).forEach(column => delete row[column]);
+
+      // Leave out rows whose parent isn't part of this import
+      let orphan = false;
+      for (const [column, target] of refs) {
+        if (row[column] == null) continue;
+        const mapped = idMaps[target]?.get(row[column]);
+        if (!mapped) {
+          orphan = true;
+          break;
+        }
+        row[column] = mapped;
+      }
+      if (orphan) continue;
+
+      if (row.id) {
+        const id = newId();
+        ids.set(row.id, id);
+        row.id = id;
+      }
+      (table.owner || []).forEach(column => { row[column] = userId; });
+      (table.users || []).forEach(column => {
+        if (column in row) row[column] = mapUser(row[column]);
+      });
+      Object.entries(table.reset || {}).forEach(([column, value]) => {
+        if (column in row) row[column] = value;
+      });
+
+      if (table.name === 'assessment_sessions' && newSessionCode) {
+        row.session_code = newSessionCode();
+      }
+      if (table.name === 'activity_feed' && row.target_id) {
+        row.target_id = idMaps[ACTIVITY_TARGET_TABLES[row.target_type]]?.get(row.target_id) || null;
+      }
+
+      rows.push(row);
+    }
+
+    if (rows.length > 0) {
+      plan.push({ table: table.name, rows, onConflict: table.onConflict || null });
+    }
+  }
+
+  return plan;
+};
+
+export default {
+  DATA_ARCHIVE_FORMAT,
+  DATA_ARCHIVE_VERSION,
+  DATA_ARCHIVE_TABLES,
+  createDataArchive,
+  parseDataArchive,
+  listArchiveDreams,
+  planDataArchiveImport
+};
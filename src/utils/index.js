@@ -6,5 +6,16 @@ export * from './validation';
 export * from './sanitization';
 export * from './analytics';
 export * from './navigationHelpers';
+export * from './currency';
+export * from './recurrence';
+export * from './comments';
+export * from './taskDependencies';
+export * from './taskRecurrence';
+export * from './shareRoles';
+export * from './publicDream';
+export * from './dataArchive';
+export * from './spreadsheet';
+export * from './budgetExport';
+export * from './journeyReport';
 export * from './storageManager';
 export * from './serviceWorker';
@@ -0,0 +1,308 @@
+/**
+ * Journey Report Utilities
+ *
+ * The content of the PDF journey report, built from the rows alone so the
+ * same data always gives the same report - no AI call involved. The PDF
+ * service draws what buildJourneyReport() returns and can add Luna's
+ * narrative on top.
+ *
+ * A report has one entry per dream (its progress and the chosen sections)
+ * and the latest compatibility results. Every section is a list of summary
+ * lines and tables ({ title, head, body }) of plain strings.
+ */
+
+import { getDefaultCurrency, getExchangeRates, normalizeCurrency, summarizeRoadmapBudget } from './currency';
+import { summarizeBudgetPockets } from './budgetExport';
+
+export const JOURNEY_REPORT_SECTIONS = [
+  { id: 'phases', label: 'Roadmap phases', description: 'Each milestone\'s phases with duration, cost and progress' },
+  { id: 'tasks', label: 'Tasks per partner', description: 'Who is doing what, with due dates' },
+  { id: 'budget', label: 'Budget & pockets', description: 'Totals and pocket targets against spending' },
+  { id: 'expenses', label: 'Expense ledger', description: 'Every expense with status and who paid' },
+  { id: 'compatibility', label: 'Compatibility results', description: 'Your latest assessment scores' },
+  { id: 'timeline', label: 'Timeline', description: 'Target dates, due tasks and upcoming payments' }
+];
+
+export const JOURNEY_REPORT_SECTION_IDS = JOURNEY_REPORT_SECTIONS.map(section => section.id);
+
+const TOGETHER = 'Both of you';
+
+// Standard PDF fonts lack most currency symbols, so amounts use the code
+const amountFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const money = (amount, currency) => `${amountFormat.format(Number(amount) || 0)} ${currency}`;
+
+const day = (value) => (value ? String(value).slice(0, 10) : '');
+
+const capitalize = (value) => (value ? `${value.charAt(0).toUpperCase()}${value.slice(1)}` : '');
+
+const byDateThenTitle = (a, b) => (
+  String(a.date || '9999').localeCompare(String(b.date || '9999')) || String(a.title).localeCompare(String(b.title))
+);
+
+const taskTitle = (task, tasksById) => {
+  const parent = task.parent_task_id ? tasksById.get(task.parent_task_id) : null;
+  return parent ? `${parent.title}: ${task.title}` : task.title || 'Untitled task';
+};
+
+const milestoneTitle = (milestones, id) => milestones.find(m => m.id === id)?.title || '';
+
+const phasesSection = ({ milestones, tasks }) => ({
+  id: 'phases',
+  title: 'Roadmap Phases',
+  summary: [],
+  tables: milestones
+    .filter(milestone => (milestone.deep_dive_data?.roadmapPhases || []).length > 0)
+    .map(milestone => ({
+      title: milestone.title,
+      head: ['Phase', 'Duration', 'Estimated cost', 'Tasks done'],
+      body: milestone.deep_dive_data.roadmapPhases.map((phase, index) => {
+        const phaseTasks = tasks.filter(task => task.milestone_id === milestone.id && task.roadmap_phase_index === index);
+        return [
+          `${index + 1}. ${String(phase.title || '').replace(/^Phase \d+:\s*/, '')}`,
+          phase.duration || '',
+          phase.estimatedCost ? money(phase.estimatedCost, normalizeCurrency(milestone.currency, getDefaultCurrency())) : '',
+          phaseTasks.length > 0 ? `${phaseTasks.filter(task => task.completed).length}/${phaseTasks.length}` : ''
+        ];
+      })
+    }))
+});
+
+const tasksSection = ({ roadmap, milestones, tasks }) => {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const partners = [roadmap.partner1_name, roadmap.partner2_name].filter(Boolean);
+  tasks.forEach(task => {
+    if (task.assigned_to && !partners.includes(task.assigned_to)) partners.push(task.assigned_to);
+  });
+
+  const groups = [...partners, TOGETHER]
+    .map(name => ({
+      name,
+      tasks: tasks.filter(task => (task.assigned_to || TOGETHER) === name)
+    }))
+    .filter(group => group.tasks.length > 0);
+
+  return {
+    id: 'tasks',
+    title: 'Tasks per Partner',
+    summary: groups.map(group => (
+      `${group.name}: ${group.tasks.filter(task => task.completed).length} of ${group.tasks.length} done`
+    )),
+    tables: groups.map(group => ({
+      title: group.name,
+      head: ['Task', 'Milestone', 'Due', 'Priority', 'Status'],
+      body: [...group.tasks]
+        .map(task => ({ task, date: day(task.due_date), title: taskTitle(task, tasksById) }))
+        .sort(byDateThenTitle)
+        .map(({ task, date, title }) => [
+          title,
+          milestoneTitle(milestones, task.milestone_id),
+          date,
+          capitalize(task.priority),
+          task.completed ? 'Done' : 'Open'
+        ])
+    }))
+  };
+};
+
+const budgetSection = ({ roadmap, milestones, expenses, rates }) => {
+  const summary = summarizeRoadmapBudget({ roadmap, milestones, expenses, rates });
+  const { currency } = summary;
+
+  return {
+    id: 'budget',
+    title: 'Budget',
+    summary: summary.unconvertedCurrencies.length > 0
+      ? [`Left out of the totals (no exchange rate): ${summary.unconvertedCurrencies.join(', ')}`]
+      : [],
+    tables: [
+      {
+        title: `Totals (${currency})`,
+        head: ['', 'Amount'],
+        body: [
+          ['Total budget', money(summary.total_budget, currency)],
+          ['Spent', money(summary.total_expenses, currency)],
+          ['Paid', money(summary.total_paid, currency)],
+          ['Pending', money(summary.total_pending, currency)],
+          ['Overdue', money(summary.total_overdue, currency)],
+          ['Remaining', money(summary.remaining_budget, currency)],
+          ['Budget used', `${summary.budget_used_percentage.toFixed(1)}%`]
+        ]
+      },
+      ...milestones.map(milestone => {
+        const milestoneCurrency = normalizeCurrency(milestone.currency, currency);
+        const pockets = summarizeBudgetPockets({
+          milestone: { ...milestone, currency: milestoneCurrency },
+          pockets: milestone.budget_pockets || {},
+          expenses: expenses.filter(expense => expense.milestone_id === milestone.id),
+          rates
+        });
+        return {
+          title: `${milestone.title} - budget ${money(milestone.budget_amount || 0, milestoneCurrency)}`,
+          head: ['Pocket', 'Target', 'Spent', 'Remaining'],
+          body: pockets.map(pocket => [
+            pocket.pocket,
+            pocket.target === null ? '' : money(pocket.target, milestoneCurrency),
+            money(pocket.spent, milestoneCurrency),
+            pocket.remaining === null ? '' : money(pocket.remaining, milestoneCurrency)
+          ])
+        };
+      }).filter(table => table.body.length > 0)
+    ]
+  };
+};
+
+const expensesSection = ({ milestones, expenses }) => ({
+  id: 'expenses',
+  title: 'Expense Ledger',
+  summary: expenses.length === 0 ? ['No expenses recorded yet.'] : [],
+  tables: expenses.length === 0 ? [] : [{
+    title: '',
+    head: ['Date', 'Description', 'Milestone', 'Pocket', 'Amount', 'Status', 'Paid by'],
+    body: [...expenses]
+      .map(expense => ({ expense, date: day(expense.expense_date), title: expense.description || expense.title || '' }))
+      .sort(byDateThenTitle)
+      .map(({ expense, date, title }) => [
+        date,
+        title,
+        milestoneTitle(milestones, expense.milestone_id),
+        expense.category || 'Uncategorized',
+        money(expense.amount, normalizeCurrency(expense.currency, getDefaultCurrency())),
+        capitalize(expense.status),
+        expense.paid_by_name || ''
+      ])
+  }]
+});
+
+const timelineSection = ({ roadmap, milestones, tasks, expenses }) => {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const items = [
+    ...(roadmap.target_date ? [{ date: day(roadmap.target_date), title: `Dream target: ${roadmap.title}`, kind: 'Dream' }] : []),
+    ...milestones
+      .filter(milestone => milestone.target_date)
+      .map(milestone => ({ date: day(milestone.target_date), title: milestone.title, kind: milestone.completed ? 'Milestone (reached)' : 'Milestone' })),
+    ...tasks
+      .filter(task => task.due_date && !task.completed)
+      .map(task => ({ date: day(task.due_date), title: taskTitle(task, tasksById), kind: `Task - ${task.assigned_to || TOGETHER}` })),
+    ...expenses
+      .filter(expense => expense.due_date && (expense.status === 'pending' || expense.status === 'overdue'))
+      .map(expense => ({
+        date: day(expense.due_date),
+        title: `${expense.description || expense.title || 'Payment'} (${money(expense.amount, normalizeCurrency(expense.currency, getDefaultCurrency()))})`,
+        kind: expense.status === 'overdue' ? 'Payment (overdue)' : 'Payment'
+      }))
+  ].sort(byDateThenTitle);
+
+  return {
+    id: 'timeline',
+    title: 'Timeline',
+    summary: items.length === 0 ? ['No dates set yet.'] : [],
+    tables: items.length === 0 ? [] : [{
+      title: '',
+      head: ['Date', 'What', 'Type'],
+      body: items.map(item => [item.date, item.title, item.kind])
+    }]
+  };
+};
+
+const DREAM_SECTIONS = {
+  phases: phasesSection,
+  tasks: tasksSection,
+  budget: budgetSection,
+  expenses: expensesSection,
+  timeline: timelineSection
+};
+
+const compatibilitySection = ({ session, results }) => {
+  const partner1 = session?.partner1_name || 'Partner 1';
+  const partner2 = session?.partner2_name || 'Partner 2';
+  const scores = Object.entries(results.category_scores || {}).sort(([a], [b]) => a.localeCompare(b));
+  const misalignments = results.misalignments || [];
+
+  return {
+    id: 'compatibility',
+    title: 'Compatibility',
+    summary: [
+      `${partner1} & ${partner2}${session?.created_at ? ` - assessed ${day(session.created_at)}` : ''}`,
+      `Overall alignment: ${Math.round(results.alignment_score || 0)}%`
+    ],
+    tables: [
+      ...(scores.length > 0 ? [{
+        title: 'By category',
+        head: ['Category', 'Alignment'],
+        body: scores.map(([category, score]) => [capitalize(category), `${Math.round(score || 0)}%`])
+      }] : []),
+      ...(misalignments.length > 0 ? [{
+        title: 'Worth talking about',
+        head: ['Question', partner1, partner2, 'Severity'],
+        body: misalignments.map(item => [
+          item.question || '',
+          String(item.partner1Answer ?? ''),
+          String(item.partner2Answer ?? ''),
+          capitalize(item.severity)
+        ])
+      }] : []),
+      ...((results.discussion_prompts || []).length > 0 ? [{
+        title: 'Discussion prompts',
+        head: ['Prompt'],
+        body: results.discussion_prompts.map(prompt => [typeof prompt === 'string' ? prompt : prompt?.prompt || prompt?.question || ''])
+      }] : [])
+    ]
+  };
+};
+
+/**
+ * Progress figures for one dream
+ * @param {Object} dream - { roadmap, milestones, tasks }
+ * @returns {Object} { title, description, completed, total_milestones, completed_milestones, total_tasks, completed_tasks }
+ */
+export const summarizeDreamProgress = ({ roadmap, milestones = [], tasks = [] }) => ({
+  title: roadmap.title,
+  description: roadmap.description || '',
+  completed: milestones.length > 0 && milestones.every(milestone => milestone.completed),
+  total_milestones: milestones.length,
+  completed_milestones: milestones.filter(milestone => milestone.completed).length,
+  total_tasks: tasks.length,
+  completed_tasks: tasks.filter(task => task.completed).length
+});
+
+/**
+ * Report content from loaded rows
+ *
+ * @param {Object} params
+ * @param {Array} params.dreams - [{ roadmap, milestones, tasks, expenses }] in report order
+ * @param {Object} params.assessment - { session, results } of the latest assessment, or null
+ * @param {string[]} params.sections - Section ids to include (default: all)
+ * @param {Object} params.rates - Rate table (default: getExchangeRates())
+ * @returns {Object} { dreams: [{ progress, sections }], compatibility }
+ */
+export const buildJourneyReport = ({
+  dreams = [],
+  assessment = null,
+  sections = JOURNEY_REPORT_SECTION_IDS,
+  rates = getExchangeRates()
+}) => {
+  const selected = JOURNEY_REPORT_SECTION_IDS.filter(id => sections.includes(id));
+
+  return {
+    dreams: dreams.map(({ roadmap, milestones = [], tasks = [], expenses = [] }) => {
+      const liveTasks = tasks.filter(task => !task.deleted);
+      const data = { roadmap, milestones, tasks: liveTasks, expenses, rates };
+      return {
+        progress: summarizeDreamProgress(data),
+        sections: selected
+          .filter(id => DREAM_SECTIONS[id])
+          .map(id => DREAM_SECTIONS[id](data))
+      };
+    }),
+    compatibility: selected.includes('compatibility') && assessment?.results
+      ? compatibilitySection(assessment)
+      : null
+  };
+};
+
+export default {
+  JOURNEY_REPORT_SECTIONS,
+  JOURNEY_REPORT_SECTION_IDS,
+  summarizeDreamProgress,
+  buildJourneyReport
+};
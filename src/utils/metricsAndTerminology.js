@@ -24,7 +24,7 @@
  * KEY METRICS:
  * ------------
  * - Dream Progress = completedRoadmaps / totalRoadmaps (from roadmapPhases)
- * - Velocity = progress vs time + budget alignment
+ * - Velocity = progress vs time + budget alignment (routine consistency for routines)
  * - Open Roadmaps = total uncompleted phases across all dreams
  *
  * SUBSCRIPTION MODEL:
@@ -55,6 +55,8 @@
  * - Annual plan saves $24/year ($120/year vs $144/year)
  */
 
+import { getRoutineConsistency, getRoutineStreaks } from './taskRecurrence';
+
 // =====================================================
 // TERMINOLOGY CONSTANTS
 // =====================================================
@@ -107,10 +109,16 @@ export const SUBSCRIPTION = {
   // Free tier limits
   FREE_MAX_DREAMS: 2,
   // No Luna limits - core experience is free
+  FREE_LUNA_MONTHLY_TOKENS: -1,
   // No compatibility limits - core experience is free
 
   // Pro tier (unlimited = -1)
   PRO_MAX_DREAMS: -1,
+  PRO_LUNA_MONTHLY_TOKENS: -1,
+
+  // Luna features (prompt profiles) behind the Pro paywall
+  // Enforced by the backend usage ledger (server/usage) - keep in sync with serverEnv.js
+  PRO_ONLY_AI_FEATURES: ['pdf-narrative'], // AI-Powered PDF Reports
 
   // Features by tier
   FEATURES: {
@@ -144,6 +152,90 @@ export const VELOCITY_THRESHOLDS = {
   // Below -25 = AT_RISK
 };
 
+// =====================================================
+// TASK & SUBTASK PROGRESS
+// =====================================================
+// Subtasks are task rows with parent_task_id set (one level deep). They have
+// their own assignee and completion state; their parent's progress rolls up
+// from them.
+
+/**
+ * Tasks that aren't subtasks
+ * @param {Array} tasks
+ * @returns {Array}
+ */
+export const getTopLevelTasks = (tasks = []) => tasks.filter(t => !t.parent_task_id);
+
+/**
+ * Subtasks of a task, in list order
+ * @param {Object} task
+ * @param {Array} tasks - Tasks including the subtasks
+ * @returns {Array}
+ */
+export const getSubtasks = (task, tasks = []) => (
+  tasks
+    .filter(t => t.parent_task_id && t.parent_task_id === task?.id)
+    .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+);
+
+/**
+ * A task is done when it's marked complete or all of its subtasks are
+ * @param {Object} task
+ * @param {Array} tasks - Tasks including the subtasks
+ * @returns {boolean}
+ */
+export const isTaskComplete = (task, tasks = []) => {
+  if (!task) return false;
+  if (task.completed) return true;
+  const subtasks = getSubtasks(task, tasks);
+  return subtasks.length > 0 && subtasks.every(t => t.completed);
+};
+
+/**
+ * Progress of one task, counted in steps
+ * A task without subtasks is a single step; a task with subtasks has one
+ * step per subtask (all done once the task itself is marked complete).
+ *
+ * @param {Object} task
+ * @param {Array} tasks - Tasks including the subtasks
+ * @returns {Object} { completed, total, percentage }
+ */
+export const calculateTaskProgress = (task, tasks = []) => {
+  const subtasks = getSubtasks(task, tasks);
+  const total = subtasks.length || 1;
+  const completed = task?.completed
+    ? total
+    : subtasks.filter(t => t.completed).length;
+
+  return {
+    completed,
+    total,
+    percentage: Math.round((completed / total) * 100)
+  };
+};
+
+/**
+ * Progress of a list of tasks, counted in steps (see calculateTaskProgress)
+ * @param {Array} tasks - Tasks including their subtasks
+ * @returns {Object} { completed, total, percentage }
+ */
+export const calculateStepProgress = (tasks = []) => {
+  let completed = 0;
+  let total = 0;
+
+  getTopLevelTasks(tasks).forEach(task => {
+    const progress = calculateTaskProgress(task, tasks);
+    completed += progress.completed;
+    total += progress.total;
+  });
+
+  return {
+    completed,
+    total,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+};
+
 // =====================================================
 // ROADMAP (PHASE) CALCULATION FUNCTIONS
 // =====================================================
@@ -153,10 +245,11 @@ export const VELOCITY_THRESHOLDS = {
  *
  * A roadmap (phase) is considered complete if:
  * 1. phase.completed === true (manually marked), OR
- * 2. All tasks in that phase are completed
+ * 2. All tasks in that phase are completed (a task with subtasks counts
+ *    as completed once all of its subtasks are)
  *
  * @param {Object} milestone - The milestone object with deep_dive_data
- * @param {Array} tasks - Tasks associated with this milestone
+ * @param {Array} tasks - Tasks associated with this milestone, including subtasks
  * @returns {Object} { completedRoadmaps, totalRoadmaps, percentage }
  */
 export const calculateRoadmapProgress = (milestone, tasks = []) => {
@@ -175,8 +268,8 @@ export const calculateRoadmapProgress = (milestone, tasks = []) => {
       completedRoadmaps++;
     } else {
       // Check if all tasks for this phase are completed
-      const phaseTasks = tasks.filter(t => t.roadmap_phase_index === phaseIndex);
-      if (phaseTasks.length > 0 && phaseTasks.every(t => t.completed)) {
+      const phaseTasks = getTopLevelTasks(tasks).filter(t => t.roadmap_phase_index === phaseIndex);
+      if (phaseTasks.length > 0 && phaseTasks.every(t => isTaskComplete(t, tasks))) {
         completedRoadmaps++;
       }
     }
@@ -284,13 +377,18 @@ export const calculateBudgetProgress = (budgetAmount, budgetSpent = 0) => {
  * - budgetAlignment = how well budget tracks with progress
  * - velocityScore = (progressDelta * 0.7) + (budgetAlignment * 0.3)
  *
+ * Dreams with routines (recurring tasks) are mostly about showing up, so
+ * routine consistency takes the place of budget alignment, and without a
+ * target date counts for half the score.
+ *
  * @param {number} roadmapProgress - Percentage of roadmaps (phases) completed (0-100)
  * @param {number} timeProgress - Percentage of time elapsed (0-100)
  * @param {number} budgetProgress - Percentage of budget used (0-100)
  * @param {boolean} hasTargetDate - Whether a target date is set
- * @returns {Object} { score, label, progressDelta, budgetAlignment }
+ * @param {number|null} routineConsistency - Recent routine occurrences done (0-100, see getRoutineConsistency)
+ * @returns {Object} { score, label, progressDelta, budgetAlignment, routineConsistency }
  */
-export const calculateVelocity = (roadmapProgress, timeProgress, budgetProgress, hasTargetDate = true) => {
+export const calculateVelocity = (roadmapProgress, timeProgress, budgetProgress, hasTargetDate = true, routineConsistency = null) => {
   // How far ahead/behind schedule are we?
   const progressDelta = roadmapProgress - timeProgress;
 
@@ -299,10 +397,15 @@ export const calculateVelocity = (roadmapProgress, timeProgress, budgetProgress,
     ? Math.min(100, (budgetProgress / roadmapProgress) * 100)
     : (budgetProgress > 0 ? 100 : 50); // Neutral if no progress yet
 
+  const hasRoutines = routineConsistency !== null && routineConsistency !== undefined;
+
   // Calculate weighted velocity score
   let score;
   if (hasTargetDate) {
-    score = (progressDelta * 0.7) + ((budgetAlignment - 50) * 0.3);
+    const secondary = hasRoutines ? routineConsistency : budgetAlignment;
+    score = (progressDelta * 0.7) + ((secondary - 50) * 0.3);
+  } else if (hasRoutines) {
+    score = ((roadmapProgress - 50) * 0.5) + ((routineConsistency - 50) * 0.5);
   } else {
     // No target date: just use progress relative to neutral (50%)
     score = roadmapProgress - 50;
@@ -324,7 +427,8 @@ export const calculateVelocity = (roadmapProgress, timeProgress, budgetProgress,
     score: Math.round(score * 10) / 10,
     label,
     progressDelta: Math.round(progressDelta),
-    budgetAlignment: Math.round(budgetAlignment)
+    budgetAlignment: Math.round(budgetAlignment),
+    routineConsistency: hasRoutines ? Math.round(routineConsistency) : null
   };
 };
 
@@ -334,9 +438,10 @@ export const calculateVelocity = (roadmapProgress, timeProgress, budgetProgress,
  * @param {Object} dream - The dream object (from roadmaps table)
  * @param {Array} milestones - Milestones for this dream
  * @param {Array} tasks - All tasks for this dream
+ * @param {Array} completions - Routine check-ins (task_completions) for those tasks
  * @returns {Object} Complete metrics for the dream
  */
-export const calculateDreamMetrics = (dream, milestones = [], tasks = []) => {
+export const calculateDreamMetrics = (dream, milestones = [], tasks = [], completions = []) => {
   // Roadmap progress (from phases in deep_dive_data)
   const roadmapMetrics = calculateDreamRoadmapProgress(milestones, tasks);
 
@@ -346,17 +451,23 @@ export const calculateDreamMetrics = (dream, milestones = [], tasks = []) => {
   // Budget progress
   const budgetMetrics = calculateBudgetProgress(dream.budget_amount, dream.budget_spent);
 
-  // Task progress
-  const completedTasks = tasks.filter(t => t.completed).length;
-  const totalTasks = tasks.length;
+  // Task progress (subtasks roll up into their parent task)
+  const topLevelTasks = getTopLevelTasks(tasks);
+  const completedTasks = topLevelTasks.filter(t => isTaskComplete(t, tasks)).length;
+  const totalTasks = topLevelTasks.length;
   const taskPercentage = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
 
+  // Routines (recurring tasks)
+  const routineConsistency = getRoutineConsistency(tasks, completions);
+  const routineStreaks = getRoutineStreaks(tasks, completions);
+
   // Velocity
   const velocity = calculateVelocity(
     roadmapMetrics.percentage,
     timeMetrics.percentage,
     budgetMetrics.percentage,
-    !!dream.target_date
+    !!dream.target_date,
+    routineConsistency
   );
 
   return {
@@ -381,6 +492,10 @@ export const calculateDreamMetrics = (dream, milestones = [], tasks = []) => {
     budgetProgress: budgetMetrics.percentage,
     budgetRemaining: budgetMetrics.remaining,
 
+    // Routine metrics
+    routineConsistency,
+    bestStreak: routineStreaks[0]?.streak.current || 0,
+
     // Velocity
     velocityScore: velocity.score,
     velocityLabel: velocity.label
@@ -473,6 +588,11 @@ export default {
   TERMINOLOGY,
   SUBSCRIPTION,
   VELOCITY_THRESHOLDS,
+  getTopLevelTasks,
+  getSubtasks,
+  isTaskComplete,
+  calculateTaskProgress,
+  calculateStepProgress,
   calculateRoadmapProgress,
   calculateDreamRoadmapProgress,
   calculateTimeProgress,
@@ -11,6 +11,8 @@ import {
   Target, Map, DollarSign, Brain, CheckSquare,
   AlertTriangle, Clock, TrendingUp, AlertCircle
 } from 'lucide-react';
+import { formatCurrency } from './currency';
+import { getTopLevelTasks, isTaskComplete } from './metricsAndTerminology';
 
 /**
  * All available navigation tabs
@@ -156,6 +158,19 @@ export const shouldShowBudgetTab = (milestone) => {
   return true;
 };
 
+/**
+ * Whether a milestone is about a routine (fitness, habits, date nights...)
+ * rather than a one-off purchase. The task form suggests repeating tasks for these.
+ *
+ * @param {Object} milestone - The milestone object
+ * @returns {Boolean} Whether goal_type or category is non-monetary
+ */
+export const isRoutineGoal = (milestone) => {
+  if (!milestone) return false;
+  return [milestone.goal_type, milestone.category]
+    .some(type => type && NON_MONETARY_GOAL_TYPES.includes(type.toLowerCase()));
+};
+
 /**
  * Generates smart alerts for dashboard based on milestone state
  *
@@ -340,8 +355,10 @@ export const calculateClientMetrics = (milestone, tasks = [], expenses = []) =>
     };
   }
 
-  const completedTasks = tasks.filter(t => t.completed).length;
-  const totalTasks = tasks.length;
+  // Subtasks roll up into their parent task
+  const topLevelTasks = getTopLevelTasks(tasks);
+  const completedTasks = topLevelTasks.filter(t => isTaskComplete(t, tasks)).length;
+  const totalTasks = topLevelTasks.length;
 
   // Progress calculation:
   // 1. If milestone is manually marked complete, progress is 100%
@@ -366,8 +383,8 @@ export const calculateClientMetrics = (milestone, tasks = [], expenses = []) =>
           completedPhases++;
         } else {
           // Check if all tasks for this phase are completed
-          const phaseTasks = tasks.filter(t => t.roadmap_phase_index === phaseIndex);
-          if (phaseTasks.length > 0 && phaseTasks.every(t => t.completed)) {
+          const phaseTasks = topLevelTasks.filter(t => t.roadmap_phase_index === phaseIndex);
+          if (phaseTasks.length > 0 && phaseTasks.every(t => isTaskComplete(t, tasks))) {
             completedPhases++;
           }
         }
@@ -588,17 +605,8 @@ export const getHealthStatus = (healthScore) => {
   }
 };
 
-/**
- * Format currency for display
- *
- * @param {Number} amount - Amount to format
- * @param {String} currency - Currency symbol (default: '€')
- * @returns {String} Formatted currency string
- */
-export const formatCurrency = (amount, currency = '€') => {
-  if (amount === null || amount === undefined) return '—';
-  return `${currency}${amount.toLocaleString()}`;
-};
+// Currency formatting lives in ./currency (locale-aware, user's default currency)
+export { formatCurrency };
 
 /**
  * Format days remaining into human-readable string
@@ -644,6 +652,7 @@ export const getPriorityColor = (priority) => {
 export default {
   getVisibleNavigationTabs,
   shouldShowBudgetTab,
+  isRoutineGoal,
   generateSmartAlerts,
   calculateClientMetrics,
   getHealthStatus,
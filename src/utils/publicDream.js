@@ -0,0 +1,138 @@
+/**
+ * Public Dream Utilities
+ *
+ * Helpers for the read-only dream pages at /shared/<token>
+ * (see migrations/027_public_dream_links.sql):
+ * - getPublicLinkStatus() - 'active', 'expired' or 'revoked'
+ * - summarizePublicDream() - progress and budget from get_public_dream() data
+ *
+ * When a link hides amounts, get_public_dream() sends each milestone's spend
+ * per currency, with a ratio of the budget only for the budget's own
+ * currency. Spend in other currencies is listed but can't be counted.
+ */
+
+import { convertAmount, getExchangeRates, normalizeCurrency, summarizeRoadmapBudget } from './currency';
+
+export const PUBLIC_DREAM_PATH = '/shared/';
+
+export const PUBLIC_LINK_EXPIRY_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 7, label: '1 week' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' }
+];
+
+/**
+ * Full URL of a public dream page
+ * @param {string} token - Link token (only known right after creating it)
+ * @param {string} origin - Site origin (default: the current one)
+ */
+export const buildPublicDreamUrl = (token, origin = (typeof window !== 'undefined' ? window.location.origin : '')) => (
+  `${origin}${PUBLIC_DREAM_PATH}${token}`
+);
+
+/**
+ * @param {Object} link - public_dream_links row
+ * @param {Date} now - Current time
+ * @returns {string} 'revoked', 'expired' or 'active'
+ */
+export const getPublicLinkStatus = (link, now = new Date()) => {
+  if (link?.revoked_at) return 'revoked';
+  if (!link?.expires_at || new Date(link.expires_at) <= now) return 'expired';
+  return 'active';
+};
+
+const toPercent = (done, total) => (total > 0 ? Math.round((done / total) * 100) : 0);
+
+/**
+ * Task progress of a milestone; a completed milestone counts as done
+ */
+const getMilestoneProgress = (milestone) => {
+  const tasks = milestone.tasks || [];
+  const completed = tasks.filter(task => task.completed).length;
+  return {
+    completed,
+    total: tasks.length,
+    percentage: milestone.completed ? 100 : toPercent(completed, tasks.length)
+  };
+};
+
+/**
+ * Spend of one milestone in its own currency
+ * @returns {Object|null} { percent, budget, spent, paid, currency } - amounts only when shown;
+ *   without amounts, otherCurrencies lists spend the percentage leaves out
+ */
+const summarizeMilestoneSpend = (milestone, showAmounts, rates) => {
+  if (!milestone.spend) return null;
+  const currency = normalizeCurrency(milestone.currency);
+  const toMilestone = (amount, from) => convertAmount(amount, from || currency, currency, rates) || 0;
+
+  if (!showAmounts) {
+    if (!milestone.has_budget) return { percent: null, currency };
+    const share = milestone.spend.reduce((sum, row) => sum + (row.ratio || 0), 0);
+    const otherCurrencies = milestone.spend
+      .filter(row => row.ratio == null)
+      .map(row => row.currency);
+    return { percent: Math.round(share * 100), currency, otherCurrencies };
+  }
+
+  const budget = milestone.budget_amount || 0;
+  const spent = milestone.spend.reduce((sum, row) => sum + toMilestone(row.amount || 0, row.currency), 0);
+  const paid = milestone.spend
+    .filter(row => row.status === 'paid')
+    .reduce((sum, row) => sum + toMilestone(row.amount || 0, row.currency), 0);
+
+  return {
+    percent: budget > 0 ? Math.round((spent / budget) * 100) : null,
+    budget,
+    spent: Math.round(spent * 100) / 100,
+    paid: Math.round(paid * 100) / 100,
+    currency
+  };
+};
+
+/**
+ * Progress and budget of a public dream
+ * @param {Object} dream - get_public_dream() result: { link, roadmap, milestones }
+ * @param {Object} options
+ * @param {Object} options.rates - Rate table (default: getExchangeRates())
+ * @returns {Object} { progress, milestones (with progress and budget), budget }
+ *   budget is the roadmap summary when amounts are shown, otherwise null
+ */
+export const summarizePublicDream = (dream, { rates = getExchangeRates() } = {}) => {
+  const link = dream?.link || {};
+  const showAmounts = Boolean(link.show_budget && link.show_amounts);
+
+  const milestones = (dream?.milestones || []).map(milestone => ({
+    ...milestone,
+    progress: getMilestoneProgress(milestone),
+    budget: link.show_budget ? summarizeMilestoneSpend(milestone, showAmounts, rates) : null
+  }));
+
+  const progress = {
+    completed: milestones.filter(m => m.progress.percentage === 100).length,
+    total: milestones.length,
+    percentage: milestones.length > 0
+      ? Math.round(milestones.reduce((sum, m) => sum + m.progress.percentage, 0) / milestones.length)
+      : 0
+  };
+
+  const budget = showAmounts
+    ? summarizeRoadmapBudget({
+      roadmap: dream.roadmap,
+      milestones,
+      expenses: milestones.flatMap(m => (m.spend || []).map(row => ({ ...row, milestone_id: m.id }))),
+      rates
+    })
+    : null;
+
+  return { progress, milestones, budget };
+};
+
+export default {
+  PUBLIC_DREAM_PATH,
+  PUBLIC_LINK_EXPIRY_OPTIONS,
+  buildPublicDreamUrl,
+  getPublicLinkStatus,
+  summarizePublicDream
+};
@@ -0,0 +1,159 @@
+/**
+ * Recurrence Utilities
+ *
+ * Date maths for recurring expenses and scheduled savings
+ * (recurring_expenses rows, see migrations/020_recurring_expenses.sql):
+ * - getOccurrenceDates() - the dates a rule falls on within a window
+ * - getMonthlyAmount() - what a rule costs or saves per month
+ * - describeRecurrence() - 'Every 2 weeks', '6 monthly instalments', ...
+ *
+ * Dates are 'YYYY-MM-DD' strings, handled in UTC so time zones can't shift a day.
+ */
+
+import { convertAmount } from './currency';
+
+export const RECURRENCE_FREQUENCIES = {
+  MONTHLY: 'monthly',
+  WEEKLY: 'weekly'
+};
+
+export const RECURRENCE_KINDS = {
+  EXPENSE: 'expense',
+  SAVINGS: 'savings'
+};
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+// Upper bound on occurrences generated per call, for rules without an end
+const MAX_OCCURRENCES = 500;
+
+const toDate = (value) => {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * The nth occurrence of a rule (0 = start_date)
+ * Monthly rules keep the start day, moved back to the month's last day when
+ * the month is shorter (31 Jan → 28 Feb → 31 Mar).
+ */
+const nthOccurrence = (rule, n) => {
+  const start = toDate(rule.start_date);
+  const interval = Math.max(1, rule.interval || 1);
+
+  if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    return new Date(start.getTime() + n * interval * 7 * 24 * 60 * 60 * 1000);
+  }
+
+  const monthIndex = start.getUTCMonth() + n * interval;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+};
+
+/**
+ * Dates a rule falls on between `from` and `to` (inclusive)
+ * @param {Object} rule - { frequency, interval, start_date, end_date, installments }
+ * @param {Object} window
+ * @param {string} window.from - Default: start_date
+ * @param {string} window.to - Required unless the rule has an end
+ * @returns {string[]} 'YYYY-MM-DD' dates, earliest first
+ */
+export const getOccurrenceDates = (rule, { from, to } = {}) => {
+  if (!rule?.start_date) return [];
+  const fromDate = from ? toDate(from) : toDate(rule.start_date);
+  const endDate = rule.end_date ? toDate(rule.end_date) : null;
+  const toDateLimit = to ? toDate(to) : endDate;
+  const limit = endDate && toDateLimit && endDate < toDateLimit ? endDate : toDateLimit;
+  const count = rule.installments || Infinity;
+  if (!limit && count === Infinity) return [];
+
+  const dates = [];
+  for (let n = 0; n < count; n++) {
+    const date = nthOccurrence(rule, n);
+    if (limit && date > limit) break;
+    if (date >= fromDate) dates.push(toDateString(date));
+    if (dates.length >= MAX_OCCURRENCES) break;
+  }
+  return dates;
+};
+
+/**
+ * The first occurrence on or after a date
+ * @param {Object} rule
+ * @param {string} after - Default: today
+ * @returns {string|null} Date, or null when the rule has finished
+ */
+export const getNextOccurrence = (rule, after = toDateString(new Date())) => {
+  if (!rule?.start_date) return null;
+  const from = toDate(after) < toDate(rule.start_date) ? rule.start_date : after;
+  // One full period ahead always contains the next occurrence, if there is one
+  const periodDays = (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY ? 7 : 31) * Math.max(1, rule.interval || 1);
+  const horizon = new Date(toDate(from).getTime() + periodDays * 24 * 60 * 60 * 1000);
+  return getOccurrenceDates(rule, { from, to: toDateString(horizon) })[0] || null;
+};
+
+/**
+ * What a rule costs (or saves) per month while it runs
+ * @param {Object} rule - { amount, currency, frequency, interval, active, ... }
+ * @param {Object} options
+ * @param {string} options.currency - Convert into this currency (skipped when there's no rate)
+ * @param {string} options.asOf - Finished or paused rules count as 0 (default: today)
+ * @returns {number}
+ */
+export const getMonthlyAmount = (rule, { currency, asOf = toDateString(new Date()) } = {}) => {
+  if (!rule || rule.active === false || !getNextOccurrence(rule, asOf)) return 0;
+
+  const interval = Math.max(1, rule.interval || 1);
+  const perMonth = rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY
+    ? (Number(rule.amount) * WEEKS_PER_MONTH) / interval
+    : Number(rule.amount) / interval;
+
+  if (!currency) return perMonth;
+  return convertAmount(perMonth, rule.currency || currency, currency) || 0;
+};
+
+/**
+ * Monthly total of the scheduled savings among `rules`
+ * @param {Array} rules - recurring_expenses rows
+ * @param {Object} options - As getMonthlyAmount
+ * @returns {number}
+ */
+export const getMonthlySavings = (rules = [], options = {}) => (
+  rules
+    .filter(rule => rule.kind === RECURRENCE_KINDS.SAVINGS)
+    .reduce((sum, rule) => sum + getMonthlyAmount(rule, options), 0)
+);
+
+/**
+ * Human-readable schedule
+ * @param {Object} rule
+ * @returns {string}
+ */
+export const describeRecurrence = (rule) => {
+  const interval = Math.max(1, rule?.interval || 1);
+  const weekly = rule?.frequency === RECURRENCE_FREQUENCIES.WEEKLY;
+
+  if (rule?.installments) {
+    const cadence = weekly
+      ? (interval === 1 ? 'weekly' : `${interval}-weekly`)
+      : (interval === 1 ? 'monthly' : `${interval}-monthly`);
+    return `${rule.installments} ${cadence} ${rule.installments === 1 ? 'instalment' : 'instalments'}`;
+  }
+
+  if (interval === 1) return weekly ? 'Weekly' : 'Monthly';
+  return `Every ${interval} ${weekly ? 'weeks' : 'months'}`;
+};
+
+export default {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_KINDS,
+  getOccurrenceDates,
+  getNextOccurrence,
+  getMonthlyAmount,
+  getMonthlySavings,
+  describeRecurrence
+};
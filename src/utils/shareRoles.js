@@ -0,0 +1,72 @@
+/**
+ * Share Role Utilities
+ *
+ * Roles on a shared dream (see migrations/026_share_roles.sql), from most to
+ * least access:
+ * - owner - full co-owner, can invite people and change their roles
+ * - editor - can change tasks, expenses, budget pockets and the dream
+ * - commenter - read only, but can join comment threads
+ * - viewer - read only
+ *
+ * The database enforces the same ranks in RLS; these helpers decide which
+ * controls the UI shows. A null role means no access.
+ */
+
+export const SHARE_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  COMMENTER: 'commenter',
+  VIEWER: 'viewer'
+};
+
+const ROLE_RANKS = {
+  [SHARE_ROLES.VIEWER]: 1,
+  [SHARE_ROLES.COMMENTER]: 2,
+  [SHARE_ROLES.EDITOR]: 3,
+  [SHARE_ROLES.OWNER]: 4
+};
+
+/**
+ * Roles offered when inviting someone, most access first
+ */
+export const SHARE_ROLE_OPTIONS = [
+  { value: SHARE_ROLES.OWNER, label: 'Co-owner', description: 'Full access, including sharing' },
+  { value: SHARE_ROLES.EDITOR, label: 'Editor', description: 'Can edit tasks, expenses and budget' },
+  { value: SHARE_ROLES.COMMENTER, label: 'Commenter', description: 'Can view and comment' },
+  { value: SHARE_ROLES.VIEWER, label: 'Viewer', description: 'Can only view' }
+];
+
+export const isShareRole = (role) => Object.prototype.hasOwnProperty.call(ROLE_RANKS, role);
+
+/**
+ * Whether a role grants at least another role's access
+ * @param {string|null} role - The user's role
+ * @param {string} minRole - The role needed
+ */
+export const hasShareRole = (role, minRole) => (
+  isShareRole(role) && ROLE_RANKS[role] >= ROLE_RANKS[minRole]
+);
+
+export const roleCanEdit = (role) => hasShareRole(role, SHARE_ROLES.EDITOR);
+
+export const roleCanComment = (role) => hasShareRole(role, SHARE_ROLES.COMMENTER);
+
+export const roleCanManageSharing = (role) => hasShareRole(role, SHARE_ROLES.OWNER);
+
+/**
+ * Short label for a role, e.g. 'Co-owner'
+ */
+export const describeShareRole = (role) => (
+  SHARE_ROLE_OPTIONS.find(option => option.value === role)?.label || 'No access'
+);
+
+export default {
+  SHARE_ROLES,
+  SHARE_ROLE_OPTIONS,
+  isShareRole,
+  hasShareRole,
+  roleCanEdit,
+  roleCanComment,
+  roleCanManageSharing,
+  describeShareRole
+};
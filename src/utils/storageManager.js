@@ -97,6 +97,7 @@ export const initializeStorage = () => {
  * - Supabase auth session (sb-*)
  * - React Query persisted cache (tf-query-cache)
  * - Pending invite codes
+ * - Exchange rates the user edited
  */
 export const clearAllStorage = () => {
   // Keys/prefixes to PRESERVE (never clear these)
@@ -105,6 +106,8 @@ export const clearAllStorage = () => {
     'tf-query-cache',               // React Query persisted cache (CRITICAL!)
     'pending_invite_code',          // Partner invite in progress
     'pending_partner_invite_code',  // Partner invite in progress
+    'tf-exchange-rates',            // User-edited exchange rates
+    'tf-default-currency',          // Cached profile currency
   ];
 
   // Get all keys
@@ -0,0 +1,440 @@
+/**
+ * Task Dependency Utilities
+ *
+ * Finish-to-start dependencies between the tasks and roadmap phases of a
+ * milestone (task_dependencies rows, see migrations/023_task_dependencies.sql):
+ * - findDependencyCycle() - the loop a set of dependencies would create, if any
+ * - getPredecessors() / getBlockers() - what a task waits on / is still waiting on
+ * - calculateSchedule() - projected finish dates, the critical path and how far
+ *   it pushes out the milestone's target date
+ *
+ * A phase starts once its predecessors are done and finishes when all of its
+ * tasks have. Phases also follow each other in order, the same way the roadmap
+ * view unlocks them one at a time.
+ *
+ * Dates are 'YYYY-MM-DD' strings, handled in UTC so time zones can't shift a day.
+ */
+
+import { getTopLevelTasks, getSubtasks, isTaskComplete } from './metricsAndTerminology';
+
+export const DEPENDENCY_TYPES = {
+  TASK: 'task',
+  PHASE: 'phase'
+};
+
+// Focused hours a couple puts into one task on a typical day
+const HOURS_PER_DAY = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / DAY_MS);
+
+const addDays = (value, days) => toDateString(new Date(toDate(value).getTime() + days * DAY_MS));
+
+const taskKey = (id) => `${DEPENDENCY_TYPES.TASK}:${id}`;
+const phaseKey = (index) => `${DEPENDENCY_TYPES.PHASE}:${index}`;
+// Internal node a phase's tasks hang off; the phase key itself is its finish
+const phaseStartKey = (index) => `${phaseKey(index)}:start`;
+
+const getPhases = (milestone) => (
+  (milestone?.deepDiveData || milestone?.deep_dive_data)?.roadmapPhases || []
+);
+
+// =====================================================
+// ESTIMATES
+// =====================================================
+
+/**
+ * Rough time estimate for a task, from its title
+ * @param {Object} task - Task object
+ * @returns {string} Time estimate
+ */
+export const estimateTaskTime = (task) => {
+  const taskType = (task?.title || '').toLowerCase();
+
+  if (taskType.includes('research') || taskType.includes('compare')) {
+    return '2-4 hours';
+  } else if (taskType.includes('book') || taskType.includes('schedule')) {
+    return '1-2 hours';
+  } else if (taskType.includes('create') || taskType.includes('design')) {
+    return '3-5 hours';
+  }
+
+  return '1-2 hours'; // Default
+};
+
+/**
+ * Days of work a single task takes
+ * Uses the task's own estimated_time when set ('3 days', '1-2 weeks', ...),
+ * otherwise estimateTaskTime. Ranges count at their upper end.
+ *
+ * @param {Object} task
+ * @returns {number} Whole days, at least 1
+ */
+export const getTaskDurationDays = (task) => {
+  const estimate = String(task?.estimated_time || estimateTaskTime(task));
+  const match = estimate.match(/(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(hour|hr|day|week|month)/i);
+  if (!match) return 1;
+
+  const amount = parseFloat(match[2] || match[1]);
+  const unit = match[3].toLowerCase();
+  const days = {
+    hour: amount / HOURS_PER_DAY,
+    hr: amount / HOURS_PER_DAY,
+    day: amount,
+    week: amount * 7,
+    month: amount * 30
+  }[unit];
+
+  return Math.max(1, Math.ceil(days));
+};
+
+// Remaining work on a top-level task: its open subtasks, or the task itself
+const remainingDays = (task, tasks) => {
+  if (isTaskComplete(task, tasks)) return 0;
+  const subtasks = getSubtasks(task, tasks);
+  if (subtasks.length === 0) return getTaskDurationDays(task);
+  return subtasks
+    .filter(t => !t.completed)
+    .reduce((sum, t) => sum + getTaskDurationDays(t), 0);
+};
+
+// =====================================================
+// GRAPH
+// =====================================================
+
+/**
+ * Node key for one side of a dependency
+ * @param {Object} dependency - task_dependencies row
+ * @param {'predecessor'|'successor'} side
+ * @returns {string|null} 'task:<id>' or 'phase:<index>'
+ */
+export const getDependencyEndpoint = (dependency, side) => {
+  if (dependency?.[`${side}_task_id`]) return taskKey(dependency[`${side}_task_id`]);
+  const index = dependency?.[`${side}_phase_index`];
+  return index === null || index === undefined ? null : phaseKey(index);
+};
+
+/**
+ * Dependency graph of a milestone
+ * Phase links attach to the phase's finish on the predecessor side and its
+ * start on the successor side, so a phase sits between its tasks.
+ *
+ * @param {Object} input - { milestone, tasks, dependencies }
+ * @returns {Object} { nodes: Map<key, node>, preds: Map<key, Set<key>> }
+ */
+const buildGraph = ({ milestone, tasks = [], dependencies = [] }) => {
+  const nodes = new Map();
+  const preds = new Map();
+
+  const addNode = (key, node) => {
+    nodes.set(key, { key, ...node });
+    preds.set(key, new Set());
+  };
+  const addEdge = (from, to) => {
+    if (nodes.has(from) && nodes.has(to) && from !== to) preds.get(to).add(from);
+  };
+
+  const topLevel = getTopLevelTasks(tasks);
+  const phases = getPhases(milestone);
+
+  topLevel.forEach(task => {
+    addNode(taskKey(task.id), {
+      type: DEPENDENCY_TYPES.TASK,
+      task,
+      title: task.title,
+      done: isTaskComplete(task, tasks),
+      duration: remainingDays(task, tasks),
+      dueDate: task.due_date ? String(task.due_date).split('T')[0] : null
+    });
+  });
+
+  phases.forEach((phase, index) => {
+    const phaseTasks = topLevel.filter(t => t.roadmap_phase_index === index);
+    const done = !!phase.completed ||
+      (phaseTasks.length > 0 && phaseTasks.every(t => isTaskComplete(t, tasks)));
+
+    addNode(phaseStartKey(index), { type: 'phase-start', phaseIndex: index, done, duration: 0 });
+    addNode(phaseKey(index), {
+      type: DEPENDENCY_TYPES.PHASE,
+      phaseIndex: index,
+      title: phase.title,
+      done,
+      duration: 0,
+      dueDate: null
+    });
+
+    addEdge(phaseStartKey(index), phaseKey(index));
+    if (index > 0) addEdge(phaseKey(index - 1), phaseStartKey(index));
+    phaseTasks.forEach(task => {
+      addEdge(phaseStartKey(index), taskKey(task.id));
+      addEdge(taskKey(task.id), phaseKey(index));
+    });
+  });
+
+  dependencies.forEach(dependency => {
+    const from = getDependencyEndpoint(dependency, 'predecessor');
+    const successor = getDependencyEndpoint(dependency, 'successor');
+    const to = successor?.startsWith(`${DEPENDENCY_TYPES.PHASE}:`)
+      ? `${successor}:start`
+      : successor;
+    addEdge(from, to);
+  });
+
+  return { nodes, preds };
+};
+
+// Kahn's algorithm; nodes left over sit on or behind a cycle
+const topologicalOrder = ({ nodes, preds }) => {
+  const inDegree = new Map();
+  const succs = new Map([...nodes.keys()].map(key => [key, []]));
+
+  preds.forEach((from, key) => {
+    inDegree.set(key, from.size);
+    from.forEach(pred => succs.get(pred).push(key));
+  });
+
+  const queue = [...nodes.keys()].filter(key => inDegree.get(key) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+    order.push(key);
+    succs.get(key).forEach(next => {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  return { order, remaining: [...nodes.keys()].filter(key => inDegree.get(key) > 0) };
+};
+
+/**
+ * The loop in a milestone's dependencies, if there is one
+ * @param {Object} input - { milestone, tasks, dependencies }
+ * @returns {Array|null} Node keys around the loop ('task:<id>', 'phase:<index>'), in order
+ */
+export const findDependencyCycle = (input) => {
+  const graph = buildGraph(input);
+  const { remaining } = topologicalOrder(graph);
+  if (remaining.length === 0) return null;
+
+  // Walk predecessors inside the leftover set until a node repeats
+  const leftover = new Set(remaining);
+  const path = [];
+  const seen = new Map();
+  let key = remaining[0];
+
+  while (!seen.has(key)) {
+    seen.set(key, path.length);
+    path.push(key);
+    key = [...graph.preds.get(key)].find(pred => leftover.has(pred));
+  }
+
+  return path
+    .slice(seen.get(key))
+    .reverse()
+    .filter(node => !node.endsWith(':start'));
+};
+
+/**
+ * Readable form of a loop, e.g. 'Book venue → Send invitations → Book venue'
+ * @param {Array} cycle - Node keys from findDependencyCycle
+ * @param {Object} input - { milestone, tasks }
+ * @returns {string}
+ */
+export const describeDependencyCycle = (cycle = [], { milestone, tasks = [] } = {}) => {
+  const phases = getPhases(milestone);
+  const titleOf = (key) => {
+    const [type, ref] = key.split(':');
+    if (type === DEPENDENCY_TYPES.PHASE) return phases[ref]?.title || `Phase ${Number(ref) + 1}`;
+    return tasks.find(t => String(t.id) === ref)?.title || 'Task';
+  };
+  return [...cycle, cycle[0]].filter(Boolean).map(titleOf).join(' → ');
+};
+
+/**
+ * Whether adding a dependency would create a loop
+ * @param {Object} input - { milestone, tasks, dependencies }
+ * @param {Object} dependency - The new task_dependencies row
+ * @returns {boolean}
+ */
+export const wouldCreateCycle = (input, dependency) => (
+  getDependencyEndpoint(dependency, 'predecessor') === getDependencyEndpoint(dependency, 'successor') ||
+  findDependencyCycle({ ...input, dependencies: [...(input.dependencies || []), dependency] }) !== null
+);
+
+/**
+ * Tasks and phases a task directly depends on
+ * @param {Object} task
+ * @param {Object} input - { milestone, tasks, dependencies }
+ * @returns {Array} [{ dependencyId, key, type, id, phaseIndex, title, done }]
+ */
+export const getPredecessors = (task, { milestone, tasks = [], dependencies = [] }) => {
+  if (!task) return [];
+
+  const { nodes } = buildGraph({ milestone, tasks, dependencies });
+
+  return dependencies
+    .filter(dependency => dependency.successor_task_id === task.id)
+    .map(dependency => ({ dependency, node: nodes.get(getDependencyEndpoint(dependency, 'predecessor')) }))
+    .filter(({ node }) => node)
+    .map(({ dependency, node }) => ({
+      dependencyId: dependency.id,
+      key: node.key,
+      type: node.type,
+      id: node.task?.id ?? null,
+      phaseIndex: node.phaseIndex ?? null,
+      title: node.title,
+      done: node.done
+    }));
+};
+
+/**
+ * Unfinished tasks and phases an open task is waiting on
+ * @param {Object} task
+ * @param {Object} input - { milestone, tasks, dependencies }
+ * @returns {Array} See getPredecessors
+ */
+export const getBlockers = (task, input) => (
+  isTaskComplete(task, input.tasks) ? [] : getPredecessors(task, input).filter(p => !p.done)
+);
+
+// =====================================================
+// SCHEDULE
+// =====================================================
+
+/**
+ * Critical-path schedule of a milestone
+ *
+ * Open work starts today at the earliest, once its predecessors finish, and
+ * takes getTaskDurationDays. A task with a due date is expected to take until
+ * then, and is delayed by however far its earliest finish overshoots it.
+ * The critical path is the chain of work that sets the projected finish.
+ *
+ * @param {Object} input - { milestone, tasks, dependencies, today }
+ * @returns {Object} {
+ *   cycle,              // see findDependencyCycle; everything else is empty when set
+ *   tasks,              // { [taskId]: { start, finish, delayDays, critical } }
+ *   phases,             // { [phaseIndex]: { start, finish, critical } }
+ *   criticalPath,       // node keys, first to last
+ *   projectedFinish,    // null once everything is done
+ *   targetDate,
+ *   targetSlipDays,     // days past the milestone's target_date (0 when on time)
+ *   delayedTaskIds      // delayed tasks on the critical path, when the target slips
+ * }
+ */
+export const calculateSchedule = ({ milestone, tasks = [], dependencies = [], today = toDateString(new Date()) }) => {
+  const targetDate = milestone?.target_date ? String(milestone.target_date).split('T')[0] : null;
+  const empty = {
+    cycle: null,
+    tasks: {},
+    phases: {},
+    criticalPath: [],
+    projectedFinish: null,
+    targetDate,
+    targetSlipDays: 0,
+    delayedTaskIds: []
+  };
+
+  const graph = buildGraph({ milestone, tasks, dependencies });
+  const { order, remaining } = topologicalOrder(graph);
+  if (remaining.length > 0) {
+    return { ...empty, cycle: findDependencyCycle({ milestone, tasks, dependencies }) };
+  }
+
+  // Day offsets from today; finished work counts as done by today
+  const timing = new Map();
+  order.forEach(key => {
+    const node = graph.nodes.get(key);
+    if (node.done) {
+      timing.set(key, { start: 0, finish: 0, delayDays: 0, driver: null });
+      return;
+    }
+
+    let start = 0;
+    let driver = null;
+    graph.preds.get(key).forEach(pred => {
+      if (timing.get(pred).finish > start) {
+        start = timing.get(pred).finish;
+        driver = pred;
+      }
+    });
+
+    const earliestFinish = start + node.duration;
+    const due = node.dueDate ? daysBetween(today, node.dueDate) : null;
+    const drivenByDueDate = due !== null && due > earliestFinish;
+
+    timing.set(key, {
+      start,
+      finish: drivenByDueDate ? due : earliestFinish,
+      delayDays: due !== null ? Math.max(0, earliestFinish - due) : 0,
+      driver: drivenByDueDate ? null : driver
+    });
+  });
+
+  const openKeys = order.filter(key => !graph.nodes.get(key).done);
+  if (openKeys.length === 0) return empty;
+
+  // Latest-finishing node, preferring a task or phase over a phase's start
+  const last = openKeys.reduce((best, key) => {
+    const a = timing.get(key).finish;
+    const b = timing.get(best).finish;
+    return a > b || (a === b && best.endsWith(':start')) ? key : best;
+  });
+
+  const criticalPath = [];
+  for (let key = last; key; key = timing.get(key).driver) {
+    if (!key.endsWith(':start')) criticalPath.unshift(key);
+  }
+  const onPath = new Set(criticalPath);
+
+  const result = { ...empty, criticalPath };
+  graph.nodes.forEach((node, key) => {
+    if (node.type === 'phase-start') return;
+    const { start, finish, delayDays } = timing.get(key);
+    const entry = {
+      start: addDays(today, start),
+      finish: addDays(today, finish),
+      critical: onPath.has(key)
+    };
+    if (node.type === DEPENDENCY_TYPES.TASK) {
+      result.tasks[node.task.id] = { ...entry, delayDays };
+    } else {
+      result.phases[node.phaseIndex] = entry;
+    }
+  });
+
+  result.projectedFinish = addDays(today, timing.get(last).finish);
+  if (targetDate) {
+    result.targetSlipDays = Math.max(0, daysBetween(targetDate, result.projectedFinish));
+  }
+  if (result.targetSlipDays > 0) {
+    result.delayedTaskIds = criticalPath
+      .map(key => graph.nodes.get(key))
+      .filter(node => node.type === DEPENDENCY_TYPES.TASK && timing.get(node.key).delayDays > 0)
+      .map(node => node.task.id);
+  }
+
+  return result;
+};
+
+export default {
+  DEPENDENCY_TYPES,
+  estimateTaskTime,
+  getTaskDurationDays,
+  getDependencyEndpoint,
+  findDependencyCycle,
+  describeDependencyCycle,
+  wouldCreateCycle,
+  getPredecessors,
+  getBlockers,
+  calculateSchedule
+};
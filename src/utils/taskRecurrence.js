@@ -0,0 +1,375 @@
+/**
+ * Task Recurrence Utilities
+ *
+ * Routines - tasks that repeat daily, weekly or on chosen weekdays, with each
+ * occurrence checked off separately (task_completions rows, see
+ * migrations/025_recurring_tasks.sql):
+ * - getOccurrenceFor() - the scheduled date a check-in on a given day counts for
+ * - calculateStreak() - current and longest run of checked-off occurrences
+ * - buildCompletionHeatmap() - check-ins per day for the last few weeks
+ * - getRoutineConsistency() - share of recent occurrences that were done,
+ *   which feeds momentum (calculateVelocity)
+ *
+ * An occurrence stays open until the next one is scheduled: a weekly routine
+ * started on a Wednesday can be done any day up to the following Tuesday.
+ *
+ * Dates are 'YYYY-MM-DD' strings, handled in UTC so time zones can't shift a day.
+ * "Today" is the user's local date, since that's the day they did it on.
+ */
+
+export const TASK_RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  CUSTOM: 'custom'
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Upper bound on occurrences walked per call
+const MAX_OCCURRENCES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / DAY_MS);
+
+const addDays = (value, days) => toDateString(new Date(toDate(value).getTime() + days * DAY_MS));
+
+const getWeekday = (value) => toDate(value).getUTCDay();
+
+/**
+ * A local date as 'YYYY-MM-DD'
+ * @param {Date} date - Default: now
+ * @returns {string}
+ */
+export const getLocalDateString = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Is this task a routine?
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export const isRecurringTask = (task) => Boolean(task?.recurrence_frequency && task?.recurrence_start_date);
+
+const getWeekdays = (task) => [...new Set((task.recurrence_weekdays || []).map(Number))].sort();
+
+// Days between occurrences of a daily or weekly routine
+const getPeriodDays = (task) => {
+  const interval = Math.max(1, task.recurrence_interval || 1);
+  return task.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.WEEKLY ? interval * 7 : interval;
+};
+
+/**
+ * The scheduled occurrence a check-in on `date` counts for: the latest one on
+ * or before it
+ * @param {Object} task - Recurring task
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string|null} Occurrence date, or null before the routine starts
+ */
+export const getOccurrenceFor = (task, date) => {
+  if (!isRecurringTask(task) || !date) return null;
+  const start = task.recurrence_start_date;
+  const offset = daysBetween(start, date);
+  if (offset < 0) return null;
+
+  if (task.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.CUSTOM) {
+    const weekdays = getWeekdays(task);
+    for (let back = 0; back < 7 && back <= offset; back++) {
+      const candidate = addDays(date, -back);
+      if (weekdays.includes(getWeekday(candidate))) return candidate;
+    }
+    return null;
+  }
+
+  return addDays(start, offset - (offset % getPeriodDays(task)));
+};
+
+/**
+ * The first scheduled occurrence after `date`
+ * @param {Object} task - Recurring task
+ * @param {string} date
+ * @returns {string|null}
+ */
+export const getNextTaskOccurrence = (task, date) => {
+  if (!isRecurringTask(task) || !date) return null;
+  if (daysBetween(task.recurrence_start_date, date) < 0) {
+    return getOccurrenceFor(task, task.recurrence_start_date) || getNextTaskOccurrence(task, task.recurrence_start_date);
+  }
+
+  if (task.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.CUSTOM) {
+    const weekdays = getWeekdays(task);
+    for (let ahead = 1; ahead <= 7; ahead++) {
+      const candidate = addDays(date, ahead);
+      if (weekdays.includes(getWeekday(candidate))) return candidate;
+    }
+    return null;
+  }
+
+  return addDays(getOccurrenceFor(task, date), getPeriodDays(task));
+};
+
+/**
+ * Scheduled occurrences between `from` and `to` (inclusive)
+ * @param {Object} task - Recurring task
+ * @param {Object} window - { from, to } 'YYYY-MM-DD'
+ * @returns {string[]} Earliest first
+ */
+export const getTaskOccurrences = (task, { from, to }) => {
+  if (!isRecurringTask(task) || !to) return [];
+  const windowStart = from && daysBetween(task.recurrence_start_date, from) > 0 ? from : task.recurrence_start_date;
+
+  const dates = [];
+  let occurrence = getOccurrenceFor(task, windowStart);
+  if (!occurrence || occurrence < windowStart) occurrence = getNextTaskOccurrence(task, windowStart);
+
+  while (occurrence && occurrence <= to && dates.length < MAX_OCCURRENCES) {
+    dates.push(occurrence);
+    occurrence = getNextTaskOccurrence(task, occurrence);
+  }
+  return dates;
+};
+
+/**
+ * Can a task form's repeat settings be saved? Custom routines need a weekday.
+ * @param {Object} form
+ * @returns {boolean}
+ */
+export const isRecurrenceValid = (form) => (
+  form?.recurrence_frequency !== TASK_RECURRENCE_FREQUENCIES.CUSTOM
+  || (form.recurrence_weekdays || []).length > 0
+);
+
+/**
+ * tasks columns for a task form's repeat settings
+ * For routines the form's date is when the routine starts, so due_date is cleared.
+ * @param {Object} form - { recurrence_frequency, recurrence_interval, recurrence_weekdays,
+ *   recurrence_target, due_date }
+ * @param {Object} options - { today }
+ * @returns {Object} recurrence_* columns and due_date
+ */
+export const getRecurrenceColumns = (form, { today = getLocalDateString() } = {}) => {
+  if (!form?.recurrence_frequency) {
+    return {
+      recurrence_frequency: null,
+      recurrence_interval: 1,
+      recurrence_weekdays: null,
+      recurrence_start_date: null,
+      recurrence_target: null,
+      due_date: form?.due_date || null
+    };
+  }
+
+  const custom = form.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.CUSTOM;
+  const target = parseInt(form.recurrence_target, 10);
+  return {
+    recurrence_frequency: form.recurrence_frequency,
+    recurrence_interval: custom ? 1 : Math.min(52, Math.max(1, parseInt(form.recurrence_interval, 10) || 1)),
+    recurrence_weekdays: custom ? [...new Set((form.recurrence_weekdays || []).map(Number))].sort() : null,
+    recurrence_start_date: form.due_date || today,
+    recurrence_target: target > 0 ? target : null,
+    due_date: null
+  };
+};
+
+/**
+ * Current and longest streaks of a routine
+ * The current occurrence doesn't break a streak while it's still open.
+ * @param {Object} task - Recurring task
+ * @param {Array} completions - The task's task_completions rows
+ * @param {Object} options - { today }
+ * @returns {Object} { current, longest, total, doneThisTime, currentOccurrence, dueBy, atRisk }
+ */
+export const calculateStreak = (task, completions = [], { today = getLocalDateString() } = {}) => {
+  const done = new Set(completions.map(c => c.occurrence_date));
+  const currentOccurrence = getOccurrenceFor(task, today);
+  const doneThisTime = Boolean(currentOccurrence && done.has(currentOccurrence));
+
+  let current = 0;
+  let occurrence = currentOccurrence && (doneThisTime ? currentOccurrence : getOccurrenceFor(task, addDays(currentOccurrence, -1)));
+  while (occurrence && done.has(occurrence) && current < MAX_OCCURRENCES) {
+    current++;
+    occurrence = getOccurrenceFor(task, addDays(occurrence, -1));
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...done].sort().forEach(date => {
+    run = previous && getNextTaskOccurrence(task, previous) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  const next = currentOccurrence ? getNextTaskOccurrence(task, currentOccurrence) : null;
+  const dueBy = next ? addDays(next, -1) : null;
+
+  return {
+    current,
+    longest: Math.max(longest, current),
+    total: done.size,
+    doneThisTime,
+    currentOccurrence,
+    dueBy,
+    atRisk: current > 0 && !doneThisTime && dueBy === today
+  };
+};
+
+/**
+ * Check-ins so far against the routine's goal (e.g. 12 date nights)
+ * @param {Object} task
+ * @param {Array} completions - The task's task_completions rows
+ * @returns {Object} { completed, target, percentage } - target/percentage are null without a goal
+ */
+export const getRoutineProgress = (task, completions = []) => {
+  const completed = completions.length;
+  const target = task?.recurrence_target || null;
+  return {
+    completed,
+    target,
+    percentage: target ? Math.min(100, Math.round((completed / target) * 100)) : null
+  };
+};
+
+/**
+ * Share of a routine's recent occurrences that were done, across routines
+ * Finished routines and the still-open current occurrences are left out.
+ * @param {Array} tasks - Tasks, recurring or not
+ * @param {Array} completions - task_completions rows for those tasks
+ * @param {Object} options - { today, days: look-back window (default 28) }
+ * @returns {number|null} 0-100, or null when nothing was due yet
+ */
+export const getRoutineConsistency = (tasks = [], completions = [], { today = getLocalDateString(), days = 28 } = {}) => {
+  const from = addDays(today, -(days - 1));
+  let due = 0;
+  let done = 0;
+
+  tasks.filter(task => isRecurringTask(task) && !task.completed).forEach(task => {
+    const doneDates = new Set(completions.filter(c => c.task_id === task.id).map(c => c.occurrence_date));
+    const current = getOccurrenceFor(task, today);
+
+    getTaskOccurrences(task, { from, to: today }).forEach(date => {
+      if (date === current && !doneDates.has(date)) return;
+      due++;
+      if (doneDates.has(date)) done++;
+    });
+  });
+
+  return due > 0 ? Math.round((done / due) * 100) : null;
+};
+
+/**
+ * Check-ins per day, laid out as weeks (columns) of Sunday-Saturday days
+ * Days come from when the check-in was made, not the occurrence it counts for.
+ * @param {Array} completions - task_completions rows
+ * @param {Object} options - { weeks (default 12), today }
+ * @returns {Object} { weeks: [[{ date, count, future }]], max, total }
+ */
+export const buildCompletionHeatmap = (completions = [], { weeks = 12, today = getLocalDateString() } = {}) => {
+  const counts = {};
+  completions.forEach(c => {
+    const date = c.completed_at ? getLocalDateString(new Date(c.completed_at)) : c.occurrence_date;
+    counts[date] = (counts[date] || 0) + 1;
+  });
+
+  const firstDay = addDays(today, -getWeekday(today) - (weeks - 1) * 7);
+  const grid = [];
+  let total = 0;
+  let max = 0;
+
+  for (let w = 0; w < weeks; w++) {
+    const week = [];
+    for (let d = 0; d < 7; d++) {
+      const date = addDays(firstDay, w * 7 + d);
+      const future = date > today;
+      const count = future ? 0 : counts[date] || 0;
+      total += count;
+      max = Math.max(max, count);
+      week.push({ date, count, future });
+    }
+    grid.push(week);
+  }
+
+  return { weeks: grid, max, total };
+};
+
+/**
+ * Human-readable schedule
+ * @param {Object} task
+ * @returns {string} 'Daily', 'Every 2 weeks', 'Mon, Wed, Fri', ...
+ */
+export const describeTaskRecurrence = (task) => {
+  if (!task?.recurrence_frequency) return '';
+  const interval = Math.max(1, task.recurrence_interval || 1);
+
+  if (task.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.CUSTOM) {
+    const weekdays = getWeekdays(task);
+    if (weekdays.length === 7) return 'Daily';
+    if (weekdays.join() === '1,2,3,4,5') return 'Weekdays';
+    if (weekdays.join() === '0,6') return 'Weekends';
+    return weekdays.map(d => WEEKDAY_LABELS[d]).join(', ');
+  }
+
+  if (task.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.WEEKLY) {
+    return interval === 1 ? 'Weekly' : `Every ${interval} weeks`;
+  }
+  return interval === 1 ? 'Daily' : `Every ${interval} days`;
+};
+
+/**
+ * Streak label in the routine's own unit
+ * @param {Object} task
+ * @param {number} count
+ * @returns {string} '5-day streak', '3-week streak' or '4 in a row'
+ */
+export const describeStreak = (task, count) => {
+  const interval = Math.max(1, task?.recurrence_interval || 1);
+  if (interval === 1 && task?.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.DAILY) return `${count}-day streak`;
+  if (interval === 1 && task?.recurrence_frequency === TASK_RECURRENCE_FREQUENCIES.WEEKLY) return `${count}-week streak`;
+  return `${count} in a row`;
+};
+
+/**
+ * Open routines with their streaks, longest current streak first
+ * @param {Array} tasks - Tasks, recurring or not
+ * @param {Array} completions - task_completions rows for those tasks
+ * @param {Object} options - { today }
+ * @returns {Array} [{ task, streak, label }]
+ */
+export const getRoutineStreaks = (tasks = [], completions = [], options = {}) => (
+  tasks
+    .filter(task => isRecurringTask(task) && !task.completed)
+    .map(task => {
+      const streak = calculateStreak(task, completions.filter(c => c.task_id === task.id), options);
+      return { task, streak, label: describeStreak(task, streak.current) };
+    })
+    .sort((a, b) => b.streak.current - a.streak.current)
+);
+
+export default {
+  TASK_RECURRENCE_FREQUENCIES,
+  WEEKDAY_LABELS,
+  getLocalDateString,
+  isRecurringTask,
+  getOccurrenceFor,
+  getNextTaskOccurrence,
+  getTaskOccurrences,
+  isRecurrenceValid,
+  getRecurrenceColumns,
+  calculateStreak,
+  getRoutineProgress,
+  getRoutineConsistency,
+  buildCompletionHeatmap,
+  describeTaskRecurrence,
+  describeStreak,
+  getRoutineStreaks
+};
@@ -29,6 +29,10 @@ const EMAIL_CONFIG: Record<string, { sender: keyof typeof EMAIL_SENDERS; subject
     sender: "team",
     subject: (data) => `${data.inviter_name} wants to take a relationship alignment test with you`,
   },
+  assessment_reminder: {
+    sender: "notifications",
+    subject: (data) => `${data.other_partner_name} is waiting on your alignment test answers`,
+  },
   welcome: {
     sender: "team",
     subject: () => "Welcome to TwogetherForward! Let's plan your future together",
@@ -193,6 +197,40 @@ function generateEmailHTML(type: string, data: any): string {
         </body></html>
       `;
 
+    case "assessment_reminder":
+      return `
+        <!DOCTYPE html>
+        <html><head><style>${baseStyles}</style></head>
+        <body>
+          <div class="container">
+            <div class="header" style="background: linear-gradient(135deg, #8B5CF6 0%, #6366F1 100%);">
+              <h1>Your Alignment Test Is Waiting</h1>
+              <p>Finish your half whenever suits you</p>
+            </div>
+            <div class="content">
+              <p>Hi ${data.partner_name},</p>
+              <p><strong>${data.other_partner_name}</strong> is waiting for your answers so Luna can put your results together.</p>
+
+              ${data.answered > 0 ? `
+              <div class="card">
+                <p style="color: #6B5E54; margin: 0;">You've answered <strong>${data.answered} of ${data.total}</strong> questions. Your answers are saved, so you can pick up right where you left off, on any device.</p>
+              </div>
+              ` : ""}
+
+              <div style="text-align: center;">
+                <a href="${data.resume_url}" class="button" style="background: linear-gradient(135deg, #8B5CF6 0%, #6366F1 100%);">${data.answered > 0 ? "Continue the Test" : "Start the Test"}</a>
+              </div>
+
+              <p style="font-size: 14px; color: #6B5E54; text-align: center;">Or enter this code: <strong>${data.session_code}</strong></p>
+            </div>
+            <div class="footer">
+              <p>TwogetherForward – Plan your future, together</p>
+              <p>This session is open until ${new Date(data.expires_at).toLocaleDateString("en-US", { month: "long", day: "numeric" })}.</p>
+            </div>
+          </div>
+        </body></html>
+      `;
+
     case "task_assigned":
       return `
         <!DOCTYPE html>
@@ -474,6 +512,23 @@ Or enter this code: ${data.session_code}
 
 This session expires in 7 days.
 
+--
+TwogetherForward - Plan your future, together
+      `.trim();
+
+    case "assessment_reminder":
+      return `
+Hi ${data.partner_name},
+
+${data.other_partner_name} is waiting for your answers so Luna can put your results together.
+${data.answered > 0 ? `
+You've answered ${data.answered} of ${data.total} questions. Your answers are saved, so you can pick up right where you left off, on any device.
+` : ""}
+${data.answered > 0 ? "Continue" : "Start"} the test: ${data.resume_url}
+Or enter this code: ${data.session_code}
+
+This session is open until ${new Date(data.expires_at).toLocaleDateString("en-US", { month: "long", day: "numeric" })}.
+
 --
 TwogetherForward - Plan your future, together
       `.trim();